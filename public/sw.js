@@ -1,44 +1,186 @@
 // Service Worker for QR Restaurant SaaS PWA
-const CACHE_NAME = 'qr-restaurant-v1'
-const urlsToCache = [
+// Registered as /sw.js?build=<id> (src/main.jsx), so each build gets its own caches
+const CACHE_VERSION = new URL(self.location.href).searchParams.get('build') || 'dev'
+const SHELL_CACHE = `ordyrr-shell-${CACHE_VERSION}`
+const MENU_CACHE = `ordyrr-menu-${CACHE_VERSION}`
+const IMAGE_CACHE = `ordyrr-images-${CACHE_VERSION}`
+const CURRENT_CACHES = [SHELL_CACHE, MENU_CACHE, IMAGE_CACHE]
+
+const MAX_CACHED_IMAGES = 150
+
+const SHELL_URLS = [
   '/',
-  '/static/js/bundle.js',
-  '/static/css/main.css',
-  '/manifest.json'
+  '/index.html',
+  '/manifest.json',
+  '/favicon.ico',
+  '/icon-192x192.png',
+  '/icon-512x512.png'
 ]
 
+// Written by `vite build` (build.manifest in vite.config.js)
+const BUILD_MANIFEST_URL = '/asset-manifest.json'
+
+// Every JS/CSS/asset file the build emitted, so the app boots offline
+const getBuildAssets = async () => {
+  try {
+    const response = await fetch(BUILD_MANIFEST_URL, { cache: 'no-store' })
+    if (!response.ok) return []
+
+    const manifest = await response.json()
+    const files = new Set()
+    Object.values(manifest).forEach((chunk) => {
+      if (chunk.file) files.add(`/${chunk.file}`)
+      ;(chunk.css || []).forEach((file) => files.add(`/${file}`))
+      ;(chunk.assets || []).forEach((file) => files.add(`/${file}`))
+    })
+    return [...files]
+  } catch (error) {
+    // Dev server has no build manifest - only the shell is precached
+    console.warn('⚠️ SW: build manifest unavailable', error)
+    return []
+  }
+}
+
+const trimCache = async (cacheName, maxEntries) => {
+  const cache = await caches.open(cacheName)
+  const keys = await cache.keys()
+  if (keys.length <= maxEntries) return
+  await Promise.all(keys.slice(0, keys.length - maxEntries).map((key) => cache.delete(key)))
+}
+
+const networkFirst = async (request, cacheName, matchOptions = {}) => {
+  const cache = await caches.open(cacheName)
+  try {
+    const response = await fetch(request)
+    if (response.ok) cache.put(request, response.clone())
+    return response
+  } catch (error) {
+    const cached = await cache.match(request, matchOptions)
+    if (cached) return cached
+    throw error
+  }
+}
+
+const cacheFirst = async (request, cacheName) => {
+  const cached = await caches.match(request)
+  if (cached) return cached
+
+  const response = await fetch(request)
+  if (response.ok) {
+    const cache = await caches.open(cacheName)
+    cache.put(request, response.clone())
+  }
+  return response
+}
+
+const staleWhileRevalidate = async (request, cacheName) => {
+  const cache = await caches.open(cacheName)
+  const cached = await cache.match(request)
+
+  const network = fetch(request)
+    .then((response) => {
+      // Opaque responses (cross-origin images without CORS) are still usable offline
+      if (response.ok || response.type === 'opaque') {
+        cache.put(request, response.clone()).then(() => trimCache(cacheName, MAX_CACHED_IMAGES))
+      }
+      return response
+    })
+    .catch(() => cached || new Response(null, { status: 504, statusText: 'Offline' }))
+
+  return cached || network
+}
+
+// Supabase sends the anon key as the bearer token until someone signs in.
+// Only those requests are cached: their responses are the same for every
+// visitor, so no one's signed-in data ends up in the cache.
+const isAnonymousRequest = (request) => {
+  const apiKey = request.headers.get('apikey')
+  const authorization = request.headers.get('Authorization')
+  return Boolean(apiKey) && (!authorization || authorization === `Bearer ${apiKey}`)
+}
+
+// Menu data is only cached for requests made from the customer menu page
+// (/menu/:restaurantId/:tableId), not for dashboards
+const isFromMenuPage = async (event) => {
+  if (!event.clientId) return false
+  const client = await self.clients.get(event.clientId)
+  return Boolean(client && new URL(client.url).pathname.startsWith('/menu/'))
+}
+
 // Install event
 self.addEventListener('install', (event) => {
   event.waitUntil(
-    caches.open(CACHE_NAME)
-      .then((cache) => {
-        return cache.addAll(urlsToCache)
-      })
-  )
-})
+    (async () => {
+      const cache = await caches.open(SHELL_CACHE)
+      await cache.addAll(SHELL_URLS)
 
-// Fetch event
-self.addEventListener('fetch', (event) => {
-  event.respondWith(
-    caches.match(event.request)
-      .then((response) => {
-        // Return cached version or fetch from network
-        return response || fetch(event.request)
-      })
+      const assets = await getBuildAssets()
+      // One missing file shouldn't stop the rest from being precached
+      await Promise.all(assets.map((url) => cache.add(url).catch(() => {
+        console.warn('⚠️ SW: could not precache', url)
+      })))
+      console.log(`✅ SW: precached ${SHELL_URLS.length + assets.length} files`)
+    })()
   )
 })
 
 // Activate event
 self.addEventListener('activate', (event) => {
   event.waitUntil(
-    caches.keys().then((cacheNames) => {
-      return Promise.all(
-        cacheNames.map((cacheName) => {
-          if (cacheName !== CACHE_NAME) {
-            return caches.delete(cacheName)
-          }
-        })
+    (async () => {
+      const cacheNames = await caches.keys()
+      await Promise.all(
+        cacheNames
+          .filter((cacheName) => !CURRENT_CACHES.includes(cacheName))
+          .map((cacheName) => caches.delete(cacheName))
       )
-    })
+      await self.clients.claim()
+    })()
   )
 })
+
+// Fetch event
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  if (request.method !== 'GET') return
+
+  const url = new URL(request.url)
+
+  // App pages: always try for the latest build, fall back to the cached shell
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request).catch(async () => (await caches.match('/index.html')) || caches.match('/'))
+    )
+    return
+  }
+
+  // Hashed build files never change
+  if (url.origin === self.location.origin && url.pathname.startsWith('/assets/')) {
+    event.respondWith(cacheFirst(request, SHELL_CACHE))
+    return
+  }
+
+  // Restaurant, menu and table data loaded by the customer menu
+  if (url.pathname.startsWith('/rest/v1/')) {
+    if (!isAnonymousRequest(request)) return
+
+    event.respondWith(
+      (async () => {
+        if (!(await isFromMenuPage(event))) return fetch(request)
+        // Anonymous responses don't differ by header, so Vary can be ignored
+        return networkFirst(request, MENU_CACHE, { ignoreVary: true })
+      })()
+    )
+    return
+  }
+
+  // Menu item photos, logos and banners
+  if (request.destination === 'image') {
+    event.respondWith(staleWhileRevalidate(request, IMAGE_CACHE))
+  }
+})
+
+// Let the page activate a waiting worker after a deploy
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') self.skipWaiting()
+})
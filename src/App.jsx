@@ -24,6 +24,7 @@ import CustomerOrders from './pages/CustomerOrders'
 import CustomerFavorites from './pages/CustomerFavorites'
 import CustomerSettings from './pages/CustomerSettings'
 import RestaurantDetailsPage from './pages/RestaurantDetailsPage'
+import KitchenDisplay from './pages/KitchenDisplay'
 
 // Protected Route Component
 const ProtectedRoute = ({ children, allowedRoles = [] }) => {
@@ -238,6 +239,12 @@ function App() {
             )
           } />
           
+          <Route path="/kitchen/:restaurantId" element={
+            <ProtectedRoute allowedRoles={['restaurant_owner', 'staff']}>
+              <KitchenDisplay />
+            </ProtectedRoute>
+          } />
+          
           <Route path="/admin" element={
             <ProtectedRoute allowedRoles={['super_admin']}>
               <ConfirmationProvider>
@@ -6,11 +6,13 @@ import {
   DevicePhoneMobileIcon,
   BuildingLibraryIcon,
   ChartPieIcon,
-  CalendarIcon
+  CalendarIcon,
+  ArrowUturnLeftIcon
 } from '@heroicons/react/24/outline'
 import { PieChart, Pie, Cell, ResponsiveContainer, Legend, Tooltip, BarChart, Bar, XAxis, YAxis, CartesianGrid } from 'recharts'
 import { supabase } from '../../config/supabase'
 import toast from 'react-hot-toast'
+import { REFUND_METHOD_LABELS, getRefundReasonLabel, summarizeRefunds } from '../../utils/refundUtils'
 
 const PaymentAnalytics = ({ restaurantId = null }) => {
   const [paymentData, setPaymentData] = useState({
@@ -37,9 +39,11 @@ const PaymentAnalytics = ({ restaurantId = null }) => {
     cardCount: 0,
     cardAmount: 0,
     averageTransactionValue: 0,
+    netAmount: 0,
     platformEarnings: 0,
     restaurantEarnings: 0
   })
+  const [refundSummary, setRefundSummary] = useState(summarizeRefunds([]))
   const [loading, setLoading] = useState(true)
   const [restaurants, setRestaurants] = useState([])
 
@@ -91,17 +95,29 @@ const PaymentAnalytics = ({ restaurantId = null }) => {
         `)
         .gte('created_at', filters.dateFrom)
         .lte('created_at', filters.dateTo + 'T23:59:59')
-        .eq('payment_status', 'completed')
+        // Refunded orders were still paid; their refunds are counted below
+        .in('payment_status', ['completed', 'partially_refunded', 'refunded'])
+
+      // Refunds by the day they were given, not the day of the order
+      let refundsQuery = supabase
+        .from('order_refunds')
+        .select('id, method, amount, tip_amount, coins_credited, reason, status')
+        .gte('created_at', filters.dateFrom)
+        .lte('created_at', filters.dateTo + 'T23:59:59')
 
       if (filters.restaurantId !== 'all') {
         query = query.eq('restaurant_id', filters.restaurantId)
+        refundsQuery = refundsQuery.eq('restaurant_id', filters.restaurantId)
       }
 
-      const { data: orders, error } = await query
+      const [{ data: orders, error }, { data: refunds, error: refundsError }] = await Promise.all([query, refundsQuery])
 
       if (error) throw error
+      if (refundsError) throw refundsError
 
-      processPaymentData(orders || [])
+      const refundStats = summarizeRefunds(refunds || [])
+      setRefundSummary(refundStats)
+      processPaymentData(orders || [], refundStats.amount)
     } catch (error) {
       console.error('Error fetching payment data:', error)
       toast.error('Failed to load payment analytics')
@@ -110,7 +126,7 @@ const PaymentAnalytics = ({ restaurantId = null }) => {
     }
   }
 
-  const processPaymentData = (orders) => {
+  const processPaymentData = (orders, refundedAmount = 0) => {
     const methodStats = {}
     const restaurantStats = {}
     const timelineData = {}
@@ -177,8 +193,9 @@ const PaymentAnalytics = ({ restaurantId = null }) => {
     const upiOrders = orders.filter(o => o.payment_method?.toLowerCase() === 'upi')
     const cardOrders = orders.filter(o => o.payment_method?.toLowerCase() === 'card')
 
-    const platformEarnings = totalAmount * commissionRate
-    const restaurantEarnings = totalAmount - platformEarnings
+    const netAmount = totalAmount - refundedAmount
+    const platformEarnings = netAmount * commissionRate
+    const restaurantEarnings = netAmount - platformEarnings
 
     setSummary({
       totalTransactions: orders.length,
@@ -194,6 +211,7 @@ const PaymentAnalytics = ({ restaurantId = null }) => {
       cardCount: cardOrders.length,
       cardAmount: cardOrders.reduce((sum, o) => sum + parseFloat(o.total_amount || 0), 0),
       averageTransactionValue: orders.length > 0 ? totalAmount / orders.length : 0,
+      netAmount,
       platformEarnings,
       restaurantEarnings
     })
@@ -335,9 +353,11 @@ const PaymentAnalytics = ({ restaurantId = null }) => {
           {/* Earnings Breakdown */}
           <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
             <div className="bg-gradient-to-br from-green-500 to-emerald-600 rounded-xl p-6 text-white">
-              <p className="text-sm opacity-90">Total Revenue</p>
-              <p className="text-3xl font-bold mt-2">{formatCurrency(summary.totalAmount)}</p>
-              <p className="text-xs opacity-75 mt-1">{summary.totalTransactions} transactions</p>
+              <p className="text-sm opacity-90">Net Revenue</p>
+              <p className="text-3xl font-bold mt-2">{formatCurrency(summary.netAmount)}</p>
+              <p className="text-xs opacity-75 mt-1">
+                {formatCurrency(summary.totalAmount)} from {summary.totalTransactions} transactions, less refunds
+              </p>
             </div>
             <div className="bg-gradient-to-br from-red-500 to-orange-600 rounded-xl p-6 text-white">
               <p className="text-sm opacity-90">Platform Earnings (3%)</p>
@@ -416,6 +436,73 @@ const PaymentAnalytics = ({ restaurantId = null }) => {
             </ResponsiveContainer>
           </div>
 
+          {/* Refunds */}
+          <div className="bg-white rounded-xl p-6 border-2 border-neutral-200">
+            <div className="flex items-center gap-2 mb-4">
+              <ArrowUturnLeftIcon className="w-5 h-5 text-red-600" />
+              <h3 className="text-lg font-bold text-neutral-900">Refunds</h3>
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
+              <div className="p-4 bg-red-50 rounded-lg">
+                <p className="text-sm text-red-600 font-medium">Refunded</p>
+                <p className="text-2xl font-bold text-red-900 mt-1">{formatCurrency(refundSummary.amount)}</p>
+                <p className="text-xs text-red-600 mt-1">{refundSummary.count} refunds</p>
+              </div>
+              <div className="p-4 bg-orange-50 rounded-lg">
+                <p className="text-sm text-orange-600 font-medium">Refund Rate</p>
+                <p className="text-2xl font-bold text-orange-900 mt-1">
+                  {((refundSummary.amount / summary.totalAmount) * 100 || 0).toFixed(1)}%
+                </p>
+                <p className="text-xs text-orange-600 mt-1">of revenue</p>
+              </div>
+              <div className="p-4 bg-amber-50 rounded-lg">
+                <p className="text-sm text-amber-600 font-medium">Tips Refunded</p>
+                <p className="text-2xl font-bold text-amber-900 mt-1">{formatCurrency(refundSummary.tips)}</p>
+                {refundSummary.pendingCount > 0 && (
+                  <p className="text-xs text-amber-600 mt-1">{refundSummary.pendingCount} waiting on the gateway</p>
+                )}
+              </div>
+              <div className="p-4 bg-yellow-50 rounded-lg">
+                <p className="text-sm text-yellow-700 font-medium">Goodwill Coins</p>
+                <p className="text-2xl font-bold text-yellow-900 mt-1">{refundSummary.coinsCredited.toLocaleString()}</p>
+                <p className="text-xs text-yellow-700 mt-1">Ordyrr Coins credited</p>
+              </div>
+            </div>
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+              <div>
+                <p className="text-sm font-medium text-neutral-600 mb-2">By Method</p>
+                <div className="space-y-2">
+                  {refundSummary.byMethod.map(row => (
+                    <div key={row.key} className="flex items-center justify-between p-3 bg-neutral-50 rounded-lg">
+                      <div>
+                        <p className="font-medium text-neutral-900">{REFUND_METHOD_LABELS[row.key] || row.key}</p>
+                        <p className="text-xs text-neutral-500">{row.count} refunds</p>
+                      </div>
+                      <p className="font-bold text-neutral-900">{formatCurrency(row.amount)}</p>
+                    </div>
+                  ))}
+                  {refundSummary.byMethod.length === 0 && (
+                    <p className="text-sm text-neutral-500">No refunds in this period</p>
+                  )}
+                </div>
+              </div>
+              <div>
+                <p className="text-sm font-medium text-neutral-600 mb-2">By Reason</p>
+                <div className="space-y-2">
+                  {refundSummary.byReason.map(row => (
+                    <div key={row.key} className="flex items-center justify-between p-3 bg-neutral-50 rounded-lg">
+                      <div>
+                        <p className="font-medium text-neutral-900">{getRefundReasonLabel(row.key)}</p>
+                        <p className="text-xs text-neutral-500">{row.count} refunds</p>
+                      </div>
+                      <p className="font-bold text-neutral-900">{formatCurrency(row.amount)}</p>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            </div>
+          </div>
+
           {/* Average Transaction Value */}
           <div className="bg-white rounded-xl p-6 border-2 border-neutral-200">
             <h3 className="text-lg font-bold text-neutral-900 mb-4">Transaction Insights</h3>
@@ -17,6 +17,7 @@ import {
 } from '@heroicons/react/24/outline'
 import { supabase } from '../../config/supabase'
 import toast from 'react-hot-toast'
+import { getOrderDisplayNumber } from '../../utils/orderNumberUtils'
 
 const RestaurantDetailsView = ({ restaurantId, onClose }) => {
   const [restaurant, setRestaurant] = useState(null)
@@ -437,7 +438,7 @@ const RestaurantDetailsView = ({ restaurantId, onClose }) => {
                 {recentOrders.map((order) => (
                   <div key={order.id} className="flex items-center justify-between p-3 bg-neutral-50 rounded-lg">
                     <div>
-                      <p className="font-medium text-neutral-900">#{order.order_number}</p>
+                      <p className="font-medium text-neutral-900">#{getOrderDisplayNumber(order)}</p>
                       <p className="text-xs text-neutral-500">{formatDate(order.created_at)}</p>
                       <p className="text-xs text-neutral-500">{order.payment_method || 'N/A'}</p>
                     </div>
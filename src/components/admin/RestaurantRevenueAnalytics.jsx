@@ -10,6 +10,7 @@ import {
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, LineChart, Line } from 'recharts'
 import { supabase } from '../../config/supabase'
 import toast from 'react-hot-toast'
+import { getOrderTaxSummary } from '../../utils/taxUtils'
 
 const RestaurantRevenueAnalytics = ({ restaurantId = null }) => {
   const [revenueData, setRevenueData] = useState([])
@@ -27,7 +28,13 @@ const RestaurantRevenueAnalytics = ({ restaurantId = null }) => {
     averageOrderValue: 0,
     totalOrders: 0,
     totalTips: 0,
-    platformCommission: 0
+    platformCommission: 0,
+    gstCollected: 0,
+    cgst: 0,
+    sgst: 0,
+    igst: 0,
+    serviceCharges: 0,
+    platformFees: 0
   })
   const [loading, setLoading] = useState(true)
   const [restaurants, setRestaurants] = useState([])
@@ -66,6 +73,9 @@ const RestaurantRevenueAnalytics = ({ restaurantId = null }) => {
           total_amount,
           subtotal,
           tax_amount,
+          tax_breakdown,
+          service_charge,
+          platform_fee,
           tip_amount,
           payment_method,
           payment_status,
@@ -104,6 +114,19 @@ const RestaurantRevenueAnalytics = ({ restaurantId = null }) => {
     const totalRevenue = orders.reduce((sum, order) => sum + parseFloat(order.total_amount || 0), 0)
     const totalTips = orders.reduce((sum, order) => sum + parseFloat(order.tip_amount || 0), 0)
     const platformCommission = totalRevenue * 0.03 // 3% commission
+
+    // GST, service charges and platform fees are reported separately
+    const taxTotals = orders.reduce((totals, order) => {
+      const orderTax = getOrderTaxSummary(order)
+      return {
+        gst: totals.gst + orderTax.gst,
+        cgst: totals.cgst + orderTax.cgst,
+        sgst: totals.sgst + orderTax.sgst,
+        igst: totals.igst + orderTax.igst,
+        serviceCharge: totals.serviceCharge + orderTax.serviceCharge,
+        platformFee: totals.platformFee + orderTax.platformFee
+      }
+    }, { gst: 0, cgst: 0, sgst: 0, igst: 0, serviceCharge: 0, platformFee: 0 })
     
     const onlinePayments = orders
       .filter(o => ['online', 'card', 'upi', 'wallet'].includes(o.payment_method?.toLowerCase()))
@@ -170,7 +193,13 @@ const RestaurantRevenueAnalytics = ({ restaurantId = null }) => {
         averageOrderValue: orders.length > 0 ? totalRevenue / orders.length : 0,
         totalOrders: orders.length,
         totalTips,
-        platformCommission
+        platformCommission,
+        gstCollected: taxTotals.gst,
+        cgst: taxTotals.cgst,
+        sgst: taxTotals.sgst,
+        igst: taxTotals.igst,
+        serviceCharges: taxTotals.serviceCharge,
+        platformFees: taxTotals.platformFee
       },
       chartData
     }
@@ -353,6 +382,30 @@ const RestaurantRevenueAnalytics = ({ restaurantId = null }) => {
             />
           </div>
 
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <StatCard
+              title="GST Collected"
+              value={formatCurrency(summary.gstCollected)}
+              icon={CurrencyRupeeIcon}
+              color="text-amber-600"
+              subtitle={`CGST ${formatCurrency(summary.cgst)} • SGST ${formatCurrency(summary.sgst)} • IGST ${formatCurrency(summary.igst)}`}
+            />
+            <StatCard
+              title="Service Charges"
+              value={formatCurrency(summary.serviceCharges)}
+              icon={CurrencyRupeeIcon}
+              color="text-cyan-600"
+              subtitle="Including GST on service charge"
+            />
+            <StatCard
+              title="Platform Fees"
+              value={formatCurrency(summary.platformFees)}
+              icon={CurrencyRupeeIcon}
+              color="text-rose-600"
+              subtitle="Charged to customers"
+            />
+          </div>
+
           {/* Revenue Chart */}
           <div className="bg-white rounded-xl p-6 border-2 border-neutral-200">
             <h3 className="text-lg font-bold text-neutral-900 mb-4">Revenue Trend</h3>
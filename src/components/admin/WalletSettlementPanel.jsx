@@ -0,0 +1,320 @@
+import React, { useState, useEffect } from 'react'
+import { motion } from 'framer-motion'
+import {
+  ArrowDownTrayIcon,
+  ArrowPathIcon,
+  Cog6ToothIcon
+} from '@heroicons/react/24/outline'
+import WalletService from '../../services/walletService'
+import { DEFAULT_WALLET_SETTINGS, validateWalletSettings } from '../../utils/walletUtils'
+import { toDateKey } from '../../utils/reservationUtils'
+import ordyrrCoin from '../../assets/ordyrr coin.png'
+import toast from 'react-hot-toast'
+
+const inputClassName = 'w-full px-4 py-2 border-4 border-black rounded-full font-bold focus:outline-none focus:ring-4 focus:ring-amber-400'
+
+const formatCurrency = (amount) => `₹${amount.toFixed(2)}`
+
+const monthStart = () => {
+  const date = new Date()
+  return toDateKey(new Date(date.getFullYear(), date.getMonth(), 1))
+}
+
+/**
+ * Ordyrr Coins wallet for super admins: turn the cross-restaurant wallet on,
+ * set who pays for coins redeemed away from the restaurant that issued them,
+ * and see what each restaurant owes or is owed for a period.
+ */
+const WalletSettlementPanel = () => {
+  const [settings, setSettings] = useState(DEFAULT_WALLET_SETTINGS)
+  const [form, setForm] = useState(null)
+  const [isSaving, setIsSaving] = useState(false)
+  const [range, setRange] = useState({ from: monthStart(), to: toDateKey() })
+  const [report, setReport] = useState(null)
+  const [loading, setLoading] = useState(false)
+
+  useEffect(() => {
+    loadSettings()
+  }, [])
+
+  const loadSettings = async () => {
+    try {
+      setSettings(await WalletService.getSettings())
+    } catch (error) {
+      console.error('❌ Error loading wallet settings:', error)
+      toast.error('Failed to load wallet rules')
+    }
+  }
+
+  const handleSave = async () => {
+    const validation = validateWalletSettings(form)
+    if (!validation.valid) {
+      toast.error(validation.errors[0])
+      return
+    }
+
+    try {
+      setIsSaving(true)
+      await WalletService.saveSettings(form)
+      toast.success('Wallet rules saved')
+      setForm(null)
+      await loadSettings()
+    } catch (error) {
+      toast.error(error.message || 'Failed to save wallet rules')
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const runReport = async () => {
+    const from = new Date(`${range.from}T00:00:00`)
+    const until = new Date(`${range.to}T00:00:00`)
+    until.setDate(until.getDate() + 1)
+
+    if (!(from < until)) {
+      toast.error('Pick a start date before the end date')
+      return
+    }
+
+    try {
+      setLoading(true)
+      setReport(await WalletService.getSettlementReport(from, until))
+    } catch (error) {
+      console.error('❌ Error building wallet settlement:', error)
+      toast.error(error.message || 'Failed to build settlement')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const shareFields = [
+    { key: 'issuer_share_percent', label: 'Issuing restaurant pays (%)' },
+    { key: 'platform_share_percent', label: 'Platform pays (%)' },
+    { key: 'redeemer_share_percent', label: 'Redeeming restaurant absorbs (%)' }
+  ]
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
+        <h2 className="text-2xl sm:text-3xl font-black text-black uppercase flex items-center gap-3">
+          <img src={ordyrrCoin} alt="Ordyrr Coin" className="h-8 w-8" />
+          Ordyrr Coins Wallet
+        </h2>
+        <div className={`px-4 py-2 rounded-full border-4 border-black ${settings.enabled ? 'bg-black' : 'bg-white'}`}>
+          <span className={`text-sm font-black ${settings.enabled ? 'text-amber-400' : 'text-black/60'}`}>
+            {settings.enabled ? 'WALLET ON' : 'WALLET OFF'}
+          </span>
+        </div>
+      </div>
+
+      {/* Funding Rules */}
+      <div className="bg-amber-50 rounded-2xl p-6 border-4 border-black shadow-[4px_4px_0_0_rgba(0,0,0,1)] space-y-4">
+        <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-3">
+          <div>
+            <h3 className="text-lg font-black text-black uppercase">Funding Rules</h3>
+            <p className="text-sm font-bold text-black/60">
+              Restaurants that join the wallet share one coin balance per customer. When a coin issued by one
+              restaurant is redeemed at another, it is paid for as below.
+            </p>
+          </div>
+          {!form && (
+            <motion.button
+              whileHover={{ scale: 1.05 }}
+              whileTap={{ scale: 0.95 }}
+              onClick={() => setForm(settings)}
+              className="flex items-center gap-2 px-4 py-2 bg-white rounded-full font-black border-4 border-black shadow-[4px_4px_0_0_rgba(0,0,0,1)] hover:shadow-[6px_6px_0_0_rgba(0,0,0,1)] transition-all whitespace-nowrap"
+            >
+              <Cog6ToothIcon className="h-5 w-5" />
+              EDIT RULES
+            </motion.button>
+          )}
+        </div>
+
+        {form ? (
+          <div className="space-y-4">
+            <label className="flex items-center gap-2 font-black text-black">
+              <input
+                type="checkbox"
+                checked={form.enabled}
+                onChange={(e) => setForm({ ...form, enabled: e.target.checked })}
+                className="h-5 w-5 rounded border-2 border-black text-amber-500 focus:ring-amber-400"
+              />
+              Customers can spend coins at any restaurant in the wallet
+            </label>
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+              {shareFields.map(field => (
+                <div key={field.key}>
+                  <label className="block text-xs font-black text-black/60 uppercase mb-1">{field.label}</label>
+                  <input
+                    type="number"
+                    min="0"
+                    max="100"
+                    value={form[field.key]}
+                    onChange={(e) => setForm({ ...form, [field.key]: e.target.value })}
+                    className={inputClassName}
+                  />
+                </div>
+              ))}
+            </div>
+            <div className="flex gap-3">
+              <button
+                onClick={() => setForm(null)}
+                className="px-6 py-2 bg-white rounded-full font-black border-4 border-black"
+              >
+                CANCEL
+              </button>
+              <button
+                onClick={handleSave}
+                disabled={isSaving}
+                className="px-6 py-2 bg-black text-amber-400 rounded-full font-black border-4 border-black shadow-[4px_4px_0_0_rgba(0,0,0,1)] disabled:opacity-50"
+              >
+                {isSaving ? 'SAVING...' : 'SAVE RULES'}
+              </button>
+            </div>
+          </div>
+        ) : (
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+            {shareFields.map(field => (
+              <div key={field.key} className="p-3 bg-white rounded-xl border-4 border-black">
+                <p className="text-xs font-bold text-black/60 uppercase">{field.label.replace(' (%)', '')}</p>
+                <p className="text-2xl font-black text-black">{settings[field.key]}%</p>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Settlement Report */}
+      <div className="bg-white rounded-2xl p-6 border-4 border-black shadow-[4px_4px_0_0_rgba(0,0,0,1)] space-y-4">
+        <div className="flex flex-col lg:flex-row justify-between items-start lg:items-center gap-3">
+          <h3 className="text-lg font-black text-black uppercase">Settlement</h3>
+          <div className="flex flex-wrap items-center gap-3">
+            <input
+              type="date"
+              value={range.from}
+              onChange={(e) => setRange({ ...range, from: e.target.value })}
+              className="px-4 py-2 border-4 border-black rounded-full font-bold focus:outline-none focus:ring-4 focus:ring-amber-400"
+            />
+            <span className="font-black text-black">TO</span>
+            <input
+              type="date"
+              value={range.to}
+              onChange={(e) => setRange({ ...range, to: e.target.value })}
+              className="px-4 py-2 border-4 border-black rounded-full font-bold focus:outline-none focus:ring-4 focus:ring-amber-400"
+            />
+            <motion.button
+              whileHover={{ scale: 1.05 }}
+              whileTap={{ scale: 0.95 }}
+              onClick={runReport}
+              disabled={loading}
+              className="flex items-center gap-2 px-4 py-2 bg-black text-amber-400 rounded-full font-black border-4 border-black shadow-[4px_4px_0_0_rgba(0,0,0,1)] disabled:opacity-50"
+            >
+              <ArrowPathIcon className={`h-5 w-5 ${loading ? 'animate-spin' : ''}`} />
+              {loading ? 'BUILDING...' : 'RUN'}
+            </motion.button>
+            {report && (
+              <motion.button
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={() => WalletService.downloadCsv(report)}
+                className="flex items-center gap-2 px-4 py-2 bg-white rounded-full font-black border-4 border-black shadow-[4px_4px_0_0_rgba(0,0,0,1)]"
+              >
+                <ArrowDownTrayIcon className="h-5 w-5" />
+                CSV
+              </motion.button>
+            )}
+          </div>
+        </div>
+
+        {report && (
+          <>
+            <div className="grid grid-cols-2 lg:grid-cols-4 gap-3">
+              <div className="p-3 bg-blue-50 rounded-xl border-4 border-black">
+                <p className="text-xs font-bold text-black/60 uppercase">Coins Redeemed</p>
+                <p className="text-2xl font-black text-blue-600">{report.totals.coinsRedeemed}</p>
+              </div>
+              <div className="p-3 bg-amber-50 rounded-xl border-4 border-black">
+                <p className="text-xs font-bold text-black/60 uppercase">Across Restaurants</p>
+                <p className="text-2xl font-black text-amber-600">{formatCurrency(report.totals.crossValue)}</p>
+              </div>
+              <div className="p-3 bg-green-50 rounded-xl border-4 border-black">
+                <p className="text-xs font-bold text-black/60 uppercase">Restaurants Pay</p>
+                <p className="text-2xl font-black text-green-600">{formatCurrency(report.totals.restaurantsPay)}</p>
+              </div>
+              <div className="p-3 bg-purple-50 rounded-xl border-4 border-black">
+                <p className="text-xs font-bold text-black/60 uppercase">Platform Pays</p>
+                <p className="text-2xl font-black text-purple-600">{formatCurrency(report.totals.platformPays)}</p>
+              </div>
+            </div>
+
+            {report.restaurants.length === 0 ? (
+              <div className="text-center py-8 rounded-2xl border-4 border-black">
+                <p className="text-lg font-black text-black/60">NO COINS REDEEMED IN THIS PERIOD</p>
+                <p className="text-sm font-bold text-black/40 mt-1">
+                  {report.participants.length} restaurant{report.participants.length === 1 ? '' : 's'} in the wallet
+                </p>
+              </div>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-xs font-black text-black/60 uppercase border-b-4 border-black">
+                      <th className="py-2 pr-3">Restaurant</th>
+                      <th className="py-2 pr-3 text-right">Redeemed Here</th>
+                      <th className="py-2 pr-3 text-right">From Others</th>
+                      <th className="py-2 pr-3 text-right">Spent Elsewhere</th>
+                      <th className="py-2 pr-3 text-right">Owes</th>
+                      <th className="py-2 pr-3 text-right">Owed</th>
+                      <th className="py-2 text-right">Net</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {report.restaurants.map(row => (
+                      <tr key={row.restaurantId} className="border-b-2 border-black/10 last:border-0 font-bold">
+                        <td className="py-2 pr-3 text-black">{row.name}</td>
+                        <td className="py-2 pr-3 text-right">{row.coinsRedeemedHere}</td>
+                        <td className="py-2 pr-3 text-right">{row.coinsFromOthers}</td>
+                        <td className="py-2 pr-3 text-right">{row.coinsSpentElsewhere}</td>
+                        <td className="py-2 pr-3 text-right text-red-600">{formatCurrency(row.owes)}</td>
+                        <td className="py-2 pr-3 text-right text-green-600">{formatCurrency(row.owed)}</td>
+                        <td className={`py-2 text-right font-black ${row.net < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                          {formatCurrency(row.net)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            {report.flows.length > 0 && (
+              <div className="space-y-2">
+                <h4 className="text-sm font-black text-black uppercase">Between Restaurants</h4>
+                {report.flows.map(flow => (
+                  <div
+                    key={`${flow.issuerId}:${flow.redeemerId}`}
+                    className="flex flex-col sm:flex-row sm:items-center justify-between gap-2 p-3 bg-amber-50 rounded-xl border-2 border-black text-sm font-bold"
+                  >
+                    <span className="text-black">
+                      {flow.coins} coins from {flow.issuerName} redeemed at {flow.redeemerName}
+                    </span>
+                    <span className="text-black/60">
+                      {flow.issuerName} pays {formatCurrency(flow.issuerAmount)}
+                      {flow.platformAmount !== 0 && ` · platform pays ${formatCurrency(flow.platformAmount)}`}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            <p className="text-xs font-bold text-black/40">
+              Coins are counted as spent oldest first. Refunded redemptions are taken off the period they were refunded in.
+            </p>
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default WalletSettlementPanel
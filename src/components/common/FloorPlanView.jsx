@@ -0,0 +1,251 @@
+import React, { useState, useEffect, useMemo } from 'react'
+import {
+  ArrowPathIcon,
+  SparklesIcon,
+  UserIcon,
+  XMarkIcon
+} from '@heroicons/react/24/outline'
+import tableService from '../../services/tableService'
+import {
+  FLOOR_CELL_SIZE,
+  FLOOR_STATUSES,
+  FLOOR_STATUS_LABELS,
+  applyMergeGroups,
+  getTableRect,
+  placeUnpositionedTables
+} from '../../utils/floorPlanUtils'
+import toast from 'react-hot-toast'
+
+/**
+ * Live floor view: the saved floor plan with every table coloured by its
+ * status (free, booked, occupied, bill requested, needs cleaning). Updates
+ * come in through realtime, with a slow poll as a fallback. Tapping a table
+ * shows its details; renderTableActions adds screen-specific buttons there.
+ */
+const FloorPlanView = ({ restaurantId, renderTableActions, refreshKey, headerActions }) => {
+  const [plan, setPlan] = useState(null)
+  const [tables, setTables] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [selectedTableId, setSelectedTableId] = useState(null)
+  const [cleaningId, setCleaningId] = useState(null)
+
+  const placedTables = useMemo(() => plan ? placeUnpositionedTables(tables, plan) : [], [tables, plan])
+  const selectedTable = placedTables.find(table => table.id === selectedTableId) || null
+  const statusCounts = useMemo(() => placedTables.reduce((counts, table) => ({
+    ...counts,
+    [table.floor_status]: (counts[table.floor_status] || 0) + 1
+  }), {}), [placedTables])
+
+  useEffect(() => {
+    if (!restaurantId) return
+
+    loadFloor()
+    const channel = tableService.subscribeToFloor(restaurantId, ({ table, tableId }) => {
+      // A guest sat down, left or asked for the bill: refresh that table.
+      // Table rows can be added, removed or regrouped, so reload them all.
+      if (tableId && table !== 'tables') {
+        refreshTable(tableId)
+      } else {
+        loadTables()
+      }
+    })
+    const interval = setInterval(loadTables, 30000)
+
+    return () => {
+      channel.unsubscribe()
+      clearInterval(interval)
+    }
+  }, [restaurantId])
+
+  useEffect(() => {
+    if (restaurantId && refreshKey) loadFloor()
+  }, [refreshKey])
+
+  const loadFloor = async () => {
+    try {
+      setLoading(true)
+      const [floorPlan] = await Promise.all([
+        tableService.getFloorPlan(restaurantId),
+        loadTables()
+      ])
+      setPlan(floorPlan)
+    } catch (error) {
+      console.error('❌ Error loading floor plan:', error)
+      toast.error('Failed to load floor plan')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const loadTables = async () => {
+    try {
+      setTables(await tableService.getRestaurantTables(restaurantId))
+    } catch (error) {
+      console.error('❌ Error loading floor tables:', error)
+    }
+  }
+
+  // One table changed: take its live status and recompute merged groups
+  const refreshTable = async (tableId) => {
+    try {
+      const status = await tableService.getTableStatus(tableId)
+      setTables(prev => applyMergeGroups(prev.map(table => {
+        if (table.id !== tableId) return table
+        const ownStatus = status.floor_status === FLOOR_STATUSES.FREE && table.current_booking
+          ? FLOOR_STATUSES.RESERVED
+          : status.floor_status
+        return { ...table, ...status, own_floor_status: ownStatus, floor_status: ownStatus }
+      })))
+    } catch (error) {
+      console.error('❌ Error refreshing table:', error)
+      loadTables()
+    }
+  }
+
+  const handleMarkClean = async (table) => {
+    try {
+      setCleaningId(table.id)
+      await tableService.markTableClean(table.merged_into || table.id)
+      toast.success(`Table ${table.table_number} is ready for guests`)
+      await loadTables()
+    } catch (error) {
+      toast.error(error.message || 'Failed to update table')
+    } finally {
+      setCleaningId(null)
+    }
+  }
+
+  if (!plan) {
+    return (
+      <div className="bg-white rounded-xl p-8 border border-gray-200 text-center text-sm text-gray-500">
+        {loading ? 'Loading floor plan...' : 'Floor plan not available'}
+      </div>
+    )
+  }
+
+  return (
+    <div className="bg-white rounded-xl p-4 md:p-6 border border-gray-200 space-y-4">
+      <div className="flex flex-col sm:flex-row gap-3 sm:items-center sm:justify-between">
+        <div className="flex flex-wrap gap-3">
+          {Object.values(FLOOR_STATUSES).map(status => (
+            <span key={status} className="flex items-center gap-1.5 text-xs text-gray-600">
+              <span className={`w-2.5 h-2.5 rounded-full ${FLOOR_STATUS_LABELS[status].dotClassName}`} />
+              {FLOOR_STATUS_LABELS[status].label} ({statusCounts[status] || 0})
+            </span>
+          ))}
+        </div>
+        <div className="flex items-center gap-2">
+          {headerActions}
+          <button onClick={loadFloor} className="p-2 text-blue-600 border border-blue-200 rounded-lg hover:bg-blue-50">
+            <ArrowPathIcon className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+          </button>
+        </div>
+      </div>
+
+      <div className="overflow-auto rounded-lg border border-gray-200">
+        <div
+          className="relative bg-gray-50"
+          style={{
+            width: plan.columns * FLOOR_CELL_SIZE,
+            height: plan.rows * FLOOR_CELL_SIZE,
+            backgroundImage: 'linear-gradient(to right, #f1f5f9 1px, transparent 1px), linear-gradient(to bottom, #f1f5f9 1px, transparent 1px)',
+            backgroundSize: `${FLOOR_CELL_SIZE}px ${FLOOR_CELL_SIZE}px`
+          }}
+        >
+          {plan.sections.map(section => (
+            <div
+              key={section.id}
+              className="absolute rounded-lg border border-dashed border-gray-300"
+              style={{
+                left: section.x * FLOOR_CELL_SIZE,
+                top: section.y * FLOOR_CELL_SIZE,
+                width: section.width * FLOOR_CELL_SIZE,
+                height: section.height * FLOOR_CELL_SIZE,
+                backgroundColor: section.color
+              }}
+            >
+              <span className="absolute top-1 left-2 text-[11px] font-semibold text-gray-600 uppercase tracking-wide">
+                {section.name}
+              </span>
+            </div>
+          ))}
+
+          {placedTables.map(table => {
+            const rect = getTableRect(table)
+            return (
+              <button
+                key={table.id}
+                onClick={() => setSelectedTableId(table.id === selectedTableId ? null : table.id)}
+                className={`absolute flex flex-col items-center justify-center border-2 shadow-sm transition-all ${
+                  FLOOR_STATUS_LABELS[table.floor_status].className
+                } ${table.floor_shape === 'round' ? 'rounded-full' : 'rounded-lg'} ${
+                  table.id === selectedTableId ? 'ring-2 ring-offset-1 ring-gray-900' : 'hover:shadow-md'
+                } ${table.merged_into ? 'border-dashed' : ''}`}
+                style={{
+                  left: rect.x * FLOOR_CELL_SIZE + 2,
+                  top: rect.y * FLOOR_CELL_SIZE + 2,
+                  width: rect.width * FLOOR_CELL_SIZE - 4,
+                  height: rect.height * FLOOR_CELL_SIZE - 4
+                }}
+              >
+                <span className="text-sm font-bold leading-tight">{table.table_number}</span>
+                <span className="text-[10px] leading-tight">{table.capacity} seats</span>
+              </button>
+            )
+          })}
+        </div>
+      </div>
+
+      {selectedTable && (
+        <div className="rounded-lg border border-gray-200 p-4 space-y-3">
+          <div className="flex items-start justify-between gap-3">
+            <div>
+              <p className="font-semibold text-gray-900">Table {selectedTable.table_number}</p>
+              <p className="text-sm text-gray-600">
+                {FLOOR_STATUS_LABELS[selectedTable.floor_status].label}
+                {selectedTable.location && ` · ${selectedTable.location}`}
+                {selectedTable.group_tables.length > 1
+                  ? ` · Merged: ${selectedTable.group_tables.join(' + ')} (${selectedTable.group_capacity} seats)`
+                  : ` · ${selectedTable.capacity} seats`}
+              </p>
+            </div>
+            <button onClick={() => setSelectedTableId(null)} className="p-1 text-gray-400 hover:bg-gray-100 rounded-lg">
+              <XMarkIcon className="h-4 w-4" />
+            </button>
+          </div>
+
+          {selectedTable.current_session && (
+            <div className="flex items-center gap-2 text-sm text-gray-700">
+              <UserIcon className="h-4 w-4 text-gray-500" />
+              <span>{selectedTable.current_session.customer_name || 'Guest'}</span>
+              <span className="text-xs text-gray-500">
+                since {new Date(selectedTable.current_session.started_at).toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' })}
+              </span>
+            </div>
+          )}
+          {selectedTable.current_booking && !selectedTable.current_session && (
+            <p className="text-sm text-gray-700">
+              Booked for {selectedTable.current_booking.customer_name} ({selectedTable.current_booking.party_size})
+            </p>
+          )}
+
+          <div className="flex flex-wrap gap-2">
+            {selectedTable.floor_status === FLOOR_STATUSES.NEEDS_CLEANING && (
+              <button
+                onClick={() => handleMarkClean(selectedTable)}
+                disabled={cleaningId === selectedTable.id}
+                className="flex items-center gap-1 px-3 py-2 text-sm font-medium text-white bg-green-600 rounded-lg hover:bg-green-700 disabled:opacity-50"
+              >
+                <SparklesIcon className="h-4 w-4" />
+                {cleaningId === selectedTable.id ? 'Updating...' : 'Mark Clean'}
+              </button>
+            )}
+            {renderTableActions?.(selectedTable, loadTables)}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default FloorPlanView
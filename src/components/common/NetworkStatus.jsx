@@ -4,15 +4,71 @@ import {
   WifiIcon,
   ExclamationTriangleIcon
 } from '@heroicons/react/24/outline'
+import toast from 'react-hot-toast'
+import OfflineOrderService, { QUEUED_ORDER_STATUS } from '../../services/offlineOrderService'
+import { getOrderDisplayNumber } from '../../utils/orderNumberUtils'
+
+// Tell the customer what happened to orders sent from the queue
+const reportReplay = ({ sent, failed }) => {
+  sent.forEach(order => {
+    toast.success(`Order #${getOrderDisplayNumber(order)} sent to the restaurant!`, { icon: '📶', duration: 5000 })
+  })
+  failed.forEach(record => {
+    toast.error(`A saved order could not be placed: ${record.lastError}`, { duration: 8000 })
+  })
+}
+
+// Send orders queued while offline
+const replayQueuedOrders = async () => {
+  reportReplay(await OfflineOrderService.replayQueue())
+}
 
 const NetworkStatus = () => {
   const [isOnline, setIsOnline] = useState(navigator.onLine)
   const [showOfflineMessage, setShowOfflineMessage] = useState(false)
+  const [queuedCount, setQueuedCount] = useState(0)
+  const [failedOrders, setFailedOrders] = useState([])
+  const [busyKey, setBusyKey] = useState(null)
+
+  // Track queued orders and send any left over from an earlier visit
+  useEffect(() => {
+    const refreshQueue = async () => {
+      const queued = await OfflineOrderService.getQueuedOrders()
+      setQueuedCount(queued.filter(record => record.status === QUEUED_ORDER_STATUS.QUEUED).length)
+      setFailedOrders(queued.filter(record => record.status === QUEUED_ORDER_STATUS.FAILED))
+    }
+
+    refreshQueue()
+    if (navigator.onLine) replayQueuedOrders()
+    return OfflineOrderService.subscribe(refreshQueue)
+  }, [])
+
+  const retryFailedOrder = async (record) => {
+    setBusyKey(record.idempotencyKey)
+    try {
+      reportReplay(await OfflineOrderService.retryOrder(record.idempotencyKey))
+    } finally {
+      setBusyKey(null)
+    }
+  }
+
+  const discardFailedOrder = async (record) => {
+    setBusyKey(record.idempotencyKey)
+    try {
+      await OfflineOrderService.removeOrder(record.idempotencyKey)
+      toast('Saved order discarded', { icon: '🗑️' })
+    } catch (error) {
+      toast.error('Could not discard the saved order')
+    } finally {
+      setBusyKey(null)
+    }
+  }
 
   useEffect(() => {
     const handleOnline = () => {
       setIsOnline(true)
       setShowOfflineMessage(false)
+      replayQueuedOrders()
     }
 
     const handleOffline = () => {
@@ -51,7 +107,9 @@ const NetworkStatus = () => {
           <div className="flex items-center justify-center gap-3 max-w-4xl mx-auto">
             <ExclamationTriangleIcon className="w-6 h-6" />
             <span className="font-bold tracking-tight">
-              YOU'RE OFFLINE - Some features may not work properly
+              {queuedCount > 0
+                ? `YOU'RE OFFLINE - ${queuedCount} ORDER${queuedCount > 1 ? 'S' : ''} WILL BE SENT WHEN YOU RECONNECT`
+                : "YOU'RE OFFLINE - Some features may not work properly"}
             </span>
           </div>
         </motion.div>
@@ -72,6 +130,44 @@ const NetworkStatus = () => {
           </div>
         </motion.div>
       )}
+
+      {failedOrders.length > 0 && (
+        <motion.div
+          key="failed-orders"
+          initial={{ opacity: 0, y: 50 }}
+          animate={{ opacity: 1, y: 0 }}
+          exit={{ opacity: 0, y: 50 }}
+          className="fixed bottom-0 left-0 right-0 z-50 bg-white text-black px-4 py-3 border-t-4 border-black"
+        >
+          <div className="max-w-4xl mx-auto space-y-2">
+            {failedOrders.map(record => (
+              <div key={record.idempotencyKey} className="flex flex-wrap items-center gap-3">
+                <ExclamationTriangleIcon className="w-5 h-5 flex-shrink-0" />
+                <span className="flex-1 min-w-0 text-sm">
+                  <span className="font-bold">
+                    Saved order ({record.params?.cartItems?.length || 0} item{record.params?.cartItems?.length === 1 ? '' : 's'}) was not placed:
+                  </span>{' '}
+                  {record.lastError}
+                </span>
+                <button
+                  onClick={() => retryFailedOrder(record)}
+                  disabled={!isOnline || busyKey === record.idempotencyKey}
+                  className="px-3 py-1.5 bg-black text-white text-xs font-bold rounded disabled:opacity-50"
+                >
+                  TRY AGAIN
+                </button>
+                <button
+                  onClick={() => discardFailedOrder(record)}
+                  disabled={busyKey === record.idempotencyKey}
+                  className="px-3 py-1.5 border-2 border-black text-xs font-bold rounded disabled:opacity-50"
+                >
+                  DISCARD
+                </button>
+              </div>
+            ))}
+          </div>
+        </motion.div>
+      )}
     </AnimatePresence>
   )
 }
@@ -0,0 +1,302 @@
+import React, { useState, useEffect, useMemo } from 'react'
+import {
+  BanknotesIcon,
+  ArrowDownTrayIcon,
+  ArrowPathIcon,
+  Cog6ToothIcon,
+  XMarkIcon
+} from '@heroicons/react/24/outline'
+import PayrollService from '../../services/payrollService'
+import {
+  PAY_PERIODS,
+  TIP_POLICIES,
+  TIP_POLICY_LABELS,
+  getPayPeriod
+} from '../../utils/payrollUtils'
+import toast from 'react-hot-toast'
+
+/**
+ * Pay-period settlement: wages from clock-ins plus each person's tip share.
+ * The owner sees everyone and sets the tip policy; with a staffId only that
+ * staff member's own line is shown.
+ */
+const PaySettlementReport = ({ restaurantId, staffId = null, canConfigure = false }) => {
+  const [periodKey, setPeriodKey] = useState('this_week')
+  const [report, setReport] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [showPolicyModal, setShowPolicyModal] = useState(false)
+  const [policyForm, setPolicyForm] = useState(null)
+  const [isSubmitting, setIsSubmitting] = useState(false)
+
+  const { from, until } = useMemo(() => getPayPeriod(periodKey), [periodKey])
+  const positions = useMemo(
+    () => [...new Set((report?.rows || []).map(row => (row.position || '').trim().toLowerCase()).filter(Boolean))],
+    [report]
+  )
+  const ownRow = staffId ? report?.rows[0] : null
+
+  useEffect(() => {
+    if (restaurantId) loadReport()
+  }, [restaurantId, staffId, from])
+
+  const loadReport = async () => {
+    try {
+      setLoading(true)
+      setReport(await PayrollService.getSettlement(restaurantId, from, until, staffId))
+    } catch (error) {
+      console.error('❌ Error loading settlement:', error)
+      toast.error('Failed to load pay settlement')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleExport = async (format) => {
+    if (!report) return
+    try {
+      if (format === 'csv') {
+        PayrollService.downloadCsv(report)
+      } else {
+        await PayrollService.downloadPdf(report)
+      }
+    } catch (error) {
+      console.error('❌ Error exporting settlement:', error)
+      toast.error('Failed to export report')
+    }
+  }
+
+  const openPolicy = () => {
+    setPolicyForm({ ...report.settings, role_weights: { ...report.settings.role_weights } })
+    setShowPolicyModal(true)
+  }
+
+  const handleSavePolicy = async () => {
+    try {
+      setIsSubmitting(true)
+      await PayrollService.saveTipSettings(restaurantId, policyForm)
+      toast.success('Tip policy saved')
+      setShowPolicyModal(false)
+      await loadReport()
+    } catch (error) {
+      toast.error(error.message || 'Failed to save tip policy')
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  return (
+    <div className="bg-white rounded-xl p-4 md:p-6 border border-gray-200 space-y-4">
+      <div className="flex flex-col sm:flex-row gap-3 sm:items-center sm:justify-between">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900 flex items-center gap-2">
+            <BanknotesIcon className="h-5 w-5 text-orange-500" />
+            {staffId ? 'My Pay' : 'Pay Settlement'}
+          </h3>
+          {report && (
+            <p className="text-xs text-gray-500 mt-1">
+              Tips: {TIP_POLICY_LABELS[report.settings.policy].label}
+            </p>
+          )}
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <select
+            value={periodKey}
+            onChange={(e) => setPeriodKey(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-orange-500 focus:border-transparent"
+          >
+            {PAY_PERIODS.map(period => (
+              <option key={period.key} value={period.key}>{period.label}</option>
+            ))}
+          </select>
+          <button onClick={loadReport} className="p-2 text-blue-600 border border-blue-200 rounded-lg hover:bg-blue-50">
+            <ArrowPathIcon className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+          </button>
+          {canConfigure && report && (
+            <button
+              onClick={openPolicy}
+              title="Tip policy"
+              className="p-2 text-gray-600 border border-gray-300 rounded-lg hover:bg-gray-50"
+            >
+              <Cog6ToothIcon className="h-4 w-4" />
+            </button>
+          )}
+          <button
+            onClick={() => handleExport('csv')}
+            disabled={!report}
+            className="flex items-center gap-1 px-3 py-2 text-sm font-medium text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 disabled:opacity-50"
+          >
+            <ArrowDownTrayIcon className="h-4 w-4" />
+            CSV
+          </button>
+          <button
+            onClick={() => handleExport('pdf')}
+            disabled={!report}
+            className="flex items-center gap-1 px-3 py-2 text-sm font-medium text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 disabled:opacity-50"
+          >
+            <ArrowDownTrayIcon className="h-4 w-4" />
+            PDF
+          </button>
+        </div>
+      </div>
+
+      {!report ? (
+        <p className="text-sm text-gray-500 py-6 text-center">{loading ? 'Loading settlement...' : 'No settlement yet'}</p>
+      ) : staffId ? (
+        <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+          <div>
+            <p className="text-xl font-bold text-gray-900">{(ownRow?.payableHours || 0).toFixed(1)}h</p>
+            <p className="text-sm text-gray-600">Payable Hours</p>
+          </div>
+          <div>
+            <p className="text-xl font-bold text-gray-900">₹{(ownRow?.wages || 0).toFixed(2)}</p>
+            <p className="text-sm text-gray-600">Wages</p>
+          </div>
+          <div>
+            <p className="text-xl font-bold text-gray-900">₹{(ownRow?.tips || 0).toFixed(2)}</p>
+            <p className="text-sm text-gray-600">
+              Tip Share{ownRow && ownRow.tipsServed !== ownRow.tips && ` (₹${ownRow.tipsServed.toFixed(2)} on your orders)`}
+            </p>
+          </div>
+          <div>
+            <p className="text-xl font-bold text-orange-600">₹{(ownRow?.total || 0).toFixed(2)}</p>
+            <p className="text-sm text-gray-600">Total</p>
+          </div>
+        </div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-[720px] w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs font-medium text-gray-500">
+                <th className="pb-2">Staff</th>
+                <th className="pb-2 text-right">Hours</th>
+                <th className="pb-2 text-right">Rate</th>
+                <th className="pb-2 text-right">Wages</th>
+                <th className="pb-2 text-right">Tips served</th>
+                <th className="pb-2 text-right">Tip share</th>
+                <th className="pb-2 text-right">Total</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {report.rows.map(row => (
+                <tr key={row.staffId}>
+                  <td className="py-2">
+                    <span className="font-medium text-gray-900">{row.name}</span>
+                    {row.position && <span className="ml-2 text-xs text-gray-500">{row.position}</span>}
+                  </td>
+                  <td className="py-2 text-right text-gray-700">{row.payableHours.toFixed(2)}</td>
+                  <td className="py-2 text-right text-gray-500">₹{row.hourlyRate}/hr</td>
+                  <td className="py-2 text-right text-gray-700">₹{row.wages.toFixed(2)}</td>
+                  <td className="py-2 text-right text-gray-500">₹{row.tipsServed.toFixed(2)}</td>
+                  <td className="py-2 text-right text-gray-700">₹{row.tips.toFixed(2)}</td>
+                  <td className="py-2 text-right font-semibold text-gray-900">₹{row.total.toFixed(2)}</td>
+                </tr>
+              ))}
+            </tbody>
+            <tfoot>
+              <tr className="border-t border-gray-200 font-semibold text-gray-900">
+                <td className="pt-2">Total</td>
+                <td className="pt-2 text-right">{report.totals.payableHours.toFixed(2)}</td>
+                <td />
+                <td className="pt-2 text-right">₹{report.totals.wages.toFixed(2)}</td>
+                <td />
+                <td className="pt-2 text-right">₹{report.totals.tips.toFixed(2)}</td>
+                <td className="pt-2 text-right text-orange-600">₹{report.totals.total.toFixed(2)}</td>
+              </tr>
+            </tfoot>
+          </table>
+          {report.totals.unallocatedTips > 0 && (
+            <p className="text-xs text-orange-600 mt-2">
+              ₹{report.totals.unallocatedTips.toFixed(2)} in tips came in while nobody was clocked in and no one served the order
+            </p>
+          )}
+        </div>
+      )}
+
+      {/* Tip Policy Modal */}
+      {showPolicyModal && policyForm && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-xl max-w-md w-full max-h-[85vh] flex flex-col shadow-2xl">
+            <div className="p-4 sm:p-6 border-b border-gray-200 flex-shrink-0">
+              <div className="flex items-center justify-between">
+                <h3 className="text-lg sm:text-xl font-bold text-gray-900">Tip Policy</h3>
+                <button onClick={() => setShowPolicyModal(false)} className="p-2 hover:bg-gray-100 rounded-lg transition-colors">
+                  <XMarkIcon className="h-5 w-5" />
+                </button>
+              </div>
+            </div>
+
+            <div className="p-4 sm:p-6 space-y-3 flex-1 overflow-y-auto">
+              {Object.values(TIP_POLICIES).map(policy => (
+                <label
+                  key={policy}
+                  className={`flex items-start gap-3 p-3 rounded-lg border cursor-pointer ${
+                    policyForm.policy === policy ? 'border-orange-500 bg-orange-50' : 'border-gray-200 hover:bg-gray-50'
+                  }`}
+                >
+                  <input
+                    type="radio"
+                    name="tip-policy"
+                    checked={policyForm.policy === policy}
+                    onChange={() => setPolicyForm({ ...policyForm, policy })}
+                    className="mt-1 text-orange-500 focus:ring-orange-500"
+                  />
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">{TIP_POLICY_LABELS[policy].label}</p>
+                    <p className="text-xs text-gray-500">{TIP_POLICY_LABELS[policy].description}</p>
+                  </div>
+                </label>
+              ))}
+
+              {policyForm.policy === TIP_POLICIES.ROLE_WEIGHTED && (
+                <div className="space-y-2">
+                  <p className="text-sm font-medium text-gray-700">Points per role</p>
+                  {positions.length === 0 && <p className="text-xs text-gray-500">No staff positions yet</p>}
+                  {positions.map(position => (
+                    <div key={position} className="flex items-center justify-between gap-3">
+                      <span className="text-sm text-gray-700 capitalize">{position}</span>
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.5"
+                        value={policyForm.role_weights[position] ?? 1}
+                        onChange={(e) => setPolicyForm({
+                          ...policyForm,
+                          role_weights: { ...policyForm.role_weights, [position]: e.target.value }
+                        })}
+                        className="w-24 px-3 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-orange-500 focus:border-transparent"
+                      />
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              <p className="text-xs text-gray-500">
+                Pooled tips are shared among staff who clocked in that day. Changing the policy recalculates every period.
+              </p>
+            </div>
+
+            <div className="p-4 sm:p-6 border-t border-gray-200 bg-gray-50 flex-shrink-0">
+              <div className="flex gap-3">
+                <button
+                  onClick={() => setShowPolicyModal(false)}
+                  className="flex-1 px-4 py-2 text-gray-600 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors font-medium"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={handleSavePolicy}
+                  disabled={isSubmitting}
+                  className="flex-1 px-4 py-2 bg-orange-500 text-white rounded-lg hover:bg-orange-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors font-medium"
+                >
+                  {isSubmitting ? 'Saving...' : 'Save Policy'}
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default PaySettlementReport
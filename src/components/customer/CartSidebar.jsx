@@ -9,7 +9,12 @@ import {
   ArrowLeftIcon
 } from '@heroicons/react/24/outline'
 import useCartStore from '../../stores/useCartStore'
-import { supabase } from '../../config/supabase'
+import { formatModifierSummary, hasModifiers } from '../../utils/modifierUtils'
+import { DEFAULT_TAX_SETTINGS, getTaxLines } from '../../utils/taxUtils'
+import PromotionService from '../../services/promotionService'
+import LoyaltyService from '../../services/loyaltyService'
+import { normalizeOfferCode } from '../../utils/promotionUtils'
+import { COINS_PER_RUPEE, DEFAULT_LOYALTY_SETTINGS, calculateCoinsRedemption, calculateEarnPoints, getLoyaltyTier } from '../../utils/loyaltyUtils'
 
 // Ordyrr Brand Colors
 const BRAND_GREEN = '#00E676'
@@ -17,16 +22,18 @@ const ACTION_GREEN = '#00C853'
 const DARK_TEXT = '#212121'
 const MEDIUM_GRAY = '#666666'
 
-const CartSidebar = ({ isOpen, onClose, onCheckout, selectedTip = 0, currentCustomer, isAuthenticated, restaurantId, allMenuItems = [] }) => {
-  const { cart, updateQuantity, removeFromCart, getCartTotal, getCartCount, addToCart } = useCartStore()
-  const [hasUsedFirstOrderDiscount, setHasUsedFirstOrderDiscount] = useState(false)
+const CartSidebar = ({ isOpen, onClose, onCheckout, selectedTip = 0, currentCustomer, isAuthenticated, restaurantId, allMenuItems = [], taxSettings = DEFAULT_TAX_SETTINGS, loyaltySettings = DEFAULT_LOYALTY_SETTINGS }) => {
+  const { cart, updateQuantity, removeFromCart, getCartTotal, getCartCount, getCartWithTax, addToCart, couponCode, setCouponCode } = useCartStore()
   const [showDiscountPopup, setShowDiscountPopup] = useState(false)
-  const [currentOffer, setCurrentOffer] = useState(null)
+  const [promotion, setPromotion] = useState({ offer: null, discount: 0, couponError: null })
   const [useOrdyrrCoins, setUseOrdyrrCoins] = useState(false)
   const [availableCoins, setAvailableCoins] = useState(0)
+  const [walletCoins, setWalletCoins] = useState(false) // Balance includes coins from other wallet restaurants
+  const [tierPoints, setTierPoints] = useState(0) // Coins earned here and not expired - sets the tier
   const [tipAmount, setTipAmount] = useState(0)
   const [customTip, setCustomTip] = useState('')
   const [showCustomTip, setShowCustomTip] = useState(false)
+  const [couponInput, setCouponInput] = useState(couponCode)
   const hasShownPopup = useRef(false)
   const popupTimeout = useRef(null)
 
@@ -36,27 +43,11 @@ const CartSidebar = ({ isOpen, onClose, onCheckout, selectedTip = 0, currentCust
       if (currentCustomer?.id && restaurantId) {
         try {
           console.log('💰 [CartSidebar] Fetching coins for customer:', currentCustomer.id, 'restaurant:', restaurantId)
-          const { data, error } = await supabase
-            .from('loyalty_points')
-            .select('points_earned, points_redeemed')
-            .eq('customer_id', currentCustomer.id)
-            .eq('restaurant_id', restaurantId)
-          
-          if (error) {
-            console.error('❌ Error fetching coins:', error)
-            return
-          }
-          
-          if (data) {
-            // Calculate total points: sum of all earned points minus redeemed points
-            const totalCoins = (data || []).reduce((total, transaction) => {
-              const earned = transaction.points_earned || 0
-              const redeemed = transaction.points_redeemed || 0
-              return total + earned - redeemed
-            }, 0)
-            setAvailableCoins(totalCoins)
-            console.log('✅ [CartSidebar] Available Ordyrr Coins:', totalCoins, 'from', data.length, 'transactions')
-          }
+          const { balance, wallet, tierPoints: points } = await LoyaltyService.getBalance(currentCustomer.id, restaurantId)
+          setAvailableCoins(balance)
+          setWalletCoins(wallet)
+          setTierPoints(points)
+          console.log('✅ [CartSidebar] Available Ordyrr Coins:', balance)
         } catch (error) {
           console.error('❌ Exception fetching coins balance:', error)
         }
@@ -65,96 +56,62 @@ const CartSidebar = ({ isOpen, onClose, onCheckout, selectedTip = 0, currentCust
     fetchCoinsBalance()
   }, [currentCustomer, restaurantId])
 
-  // Check if customer has used the first order offer
+  // Coupon and automatic offers - same engine createOrder charges with
   useEffect(() => {
-    const checkOfferEligibility = async () => {
-      if (currentCustomer?.id) {
-        try {
-          console.log('🔍 Checking offer eligibility for customer:', currentCustomer.id)
-          
-          // Get the first order offer
-          const { data: offer, error: offerError } = await supabase
-            .from('offers')
-            .select('*')
-            .eq('offer_code', 'FIRST_ORDER_10')
-            .eq('is_active', true)
-            .single()
-          
-          if (offerError || !offer) {
-            console.log('❌ First order offer not found or inactive')
-            return
-          }
-          
-          console.log('✅ Found offer:', offer.offer_code, 'Offer ID:', offer.id)
-          setCurrentOffer(offer)
-          
-          // Check if customer has already used this offer
-          const { data: usageData, error: usageError } = await supabase
-            .from('customer_offers')
-            .select('*')
-            .eq('customer_id', currentCustomer.id)
-            .eq('offer_id', offer.id)
-          
-          console.log('📊 Customer offer usage check:', {
-            customer_id: currentCustomer.id,
-            offer_id: offer.id,
-            usageData,
-            usageError,
-            hasUsed: usageData && usageData.length > 0
-          })
-          
-          if (!usageError && usageData && usageData.length > 0) {
-            // Customer has already used this offer
-            console.log('🚫 Customer has already used this offer')
-            setHasUsedFirstOrderDiscount(true)
-          } else {
-            console.log('✅ Customer eligible for first order discount')
-            setHasUsedFirstOrderDiscount(false)
-          }
-        } catch (error) {
-          console.error('❌ Error checking offer eligibility:', error)
-        }
-      }
-    }
-    checkOfferEligibility()
-  }, [currentCustomer])
+    let cancelled = false
+    PromotionService.evaluateCart({
+      restaurantId,
+      customerId: isAuthenticated ? currentCustomer?.id : null,
+      cartItems: cart,
+      couponCode
+    })
+      .then(result => {
+        if (!cancelled) setPromotion(result)
+      })
+      .catch(error => {
+        console.error('❌ Error evaluating offers:', error)
+        if (!cancelled) setPromotion({ offer: null, discount: 0, couponError: null })
+      })
+    return () => { cancelled = true }
+  }, [cart, couponCode, restaurantId, currentCustomer?.id, isAuthenticated])
 
-  const subtotal = getCartTotal()
-  
-  // Calculate automatic discount based on offer
-  let discount = 0
-  if (isAuthenticated && !hasUsedFirstOrderDiscount && currentOffer && subtotal >= (currentOffer.min_order_amount || 0)) {
-    // Calculate discount based on offer type
-    if (currentOffer.discount_type === 'percentage') {
-      discount = subtotal * (currentOffer.discount_value / 100)
-      // Apply max discount cap if specified
-      if (currentOffer.max_discount_amount) {
-        discount = Math.min(discount, currentOffer.max_discount_amount)
-      }
-    } else if (currentOffer.discount_type === 'fixed') {
-      discount = currentOffer.discount_value
-    }
+  const handleApplyCoupon = () => {
+    setCouponCode(normalizeOfferCode(couponInput))
   }
+
+  const handleRemoveCoupon = () => {
+    setCouponCode('')
+    setCouponInput('')
+  }
+
+  const subtotal = getCartTotal()
   
-  // Calculate Ordyrr Coins discount
+  const discount = promotion.discount
+  const offerLabel = promotion.offer ? (promotion.offer.title || promotion.offer.offer_code) : ''
+  const couponApplied = Boolean(couponCode) && promotion.offer && normalizeOfferCode(promotion.offer.offer_code) === couponCode
+
+  // Ordyrr Coins discount within the restaurant's redemption cap
+  const canRedeemCoins = loyaltySettings.enabled && subtotal >= loyaltySettings.min_order_amount
   let coinsDiscount = 0
   let coinsUsed = 0
-  if (useOrdyrrCoins && isAuthenticated && availableCoins > 0 && subtotal >= 100) {
-    // Max discount is 5% of subtotal
-    const maxCoinsDiscount = subtotal * 0.05
-    // Max 500 coins per order (₹50)
-    const maxCoinsAllowed = 500
-    // Convert available coins to rupees (100 coins = ₹10)
-    const maxCoinsValue = Math.min(availableCoins, maxCoinsAllowed) / 10
-    // Take the minimum of available coins value and max allowed discount
-    coinsDiscount = Math.min(maxCoinsValue, maxCoinsDiscount)
-    // Calculate coins used (₹1 = 10 coins)
-    coinsUsed = Math.floor(coinsDiscount * 10)
+  if (useOrdyrrCoins && isAuthenticated) {
+    const redemption = calculateCoinsRedemption({ subtotal, balance: availableCoins, settings: loyaltySettings })
+    coinsDiscount = redemption.discount
+    coinsUsed = redemption.coinsUsed
   }
-  
-  // Calculate platform fee and total with tip
-  const platformFee = subtotal * 0.015
-  const total = subtotal + platformFee - discount - coinsDiscount + tipAmount
+
+  // Coins this order earns - createOrder awards them with the same rules
+  const earning = calculateEarnPoints({
+    items: cart,
+    discount: discount + coinsDiscount,
+    tier: isAuthenticated ? getLoyaltyTier(tierPoints, loyaltySettings) : null,
+    settings: loyaltySettings
+  })
+
+  const bill = getCartWithTax(taxSettings, { discountAmount: discount + coinsDiscount, tipAmount })
+  const platformFee = bill.platformFee
+  const taxLines = getTaxLines(bill.taxBreakdown)
+  const total = bill.total
   
   // Reset popup flag when cart sidebar opens
   useEffect(() => {
@@ -165,7 +122,7 @@ const CartSidebar = ({ isOpen, onClose, onCheckout, selectedTip = 0, currentCust
 
   // Show celebratory popup when discount is applied
   useEffect(() => {
-    if (discount > 0 && !hasShownPopup.current && isOpen && isAuthenticated) {
+    if (discount > 0 && !hasShownPopup.current && isOpen) {
       hasShownPopup.current = true
       setShowDiscountPopup(true)
       // Auto-dismiss after 4 seconds
@@ -173,7 +130,7 @@ const CartSidebar = ({ isOpen, onClose, onCheckout, selectedTip = 0, currentCust
         setShowDiscountPopup(false)
       }, 4000)
     }
-  }, [discount, isOpen, isAuthenticated])
+  }, [discount, isOpen])
 
   // Cleanup timeout on unmount
   useEffect(() => {
@@ -184,10 +141,11 @@ const CartSidebar = ({ isOpen, onClose, onCheckout, selectedTip = 0, currentCust
     }
   }, [])
 
-  // Get suggested items (items not in cart)
+  // Get suggested items (items not in cart). Customisable items need a
+  // variant / add-on choice, so they are not offered for one-tap adding here.
   const cartItemIds = cart.map(item => item.id)
   const suggestedItems = allMenuItems
-    .filter(item => !cartItemIds.includes(item.id) && item.is_available)
+    .filter(item => !cartItemIds.includes(item.id) && item.is_available && !hasModifiers(item))
     .slice(0, 6)
 
   return (
@@ -272,7 +230,7 @@ const CartSidebar = ({ isOpen, onClose, onCheckout, selectedTip = 0, currentCust
                   {/* Cart Items List */}
                   <div className="p-4 space-y-3">
                     {cart.map((item, index) => (
-                      <div key={item.id} className="flex gap-3">
+                      <div key={item.cartItemId || item.id} className="flex gap-3">
                         {/* Item Image */}
                         <div className="w-16 h-16 bg-gray-100 rounded-lg flex items-center justify-center flex-shrink-0 overflow-hidden">
                           {item.image_url ? (
@@ -285,7 +243,9 @@ const CartSidebar = ({ isOpen, onClose, onCheckout, selectedTip = 0, currentCust
                         {/* Item Details */}
                         <div className="flex-1 min-w-0">
                           <h4 className="font-bold text-sm mb-0.5" style={{ color: DARK_TEXT }}>{item.name}</h4>
-                          <p className="text-xs mb-1" style={{ color: MEDIUM_GRAY }}>1 piece</p>
+                          <p className="text-xs mb-1" style={{ color: MEDIUM_GRAY }}>
+                            {item.modifiers?.length > 0 ? formatModifierSummary(item.modifiers) : '1 piece'}
+                          </p>
                           <div className="flex items-center gap-1 text-xs mb-2" style={{ color: MEDIUM_GRAY }}>
                             <span>⏱</span>
                             <span>15 mins</span>
@@ -305,14 +265,14 @@ const CartSidebar = ({ isOpen, onClose, onCheckout, selectedTip = 0, currentCust
                             }}
                           >
                             <button
-                              onClick={() => updateQuantity(item.id, Math.max(0, item.quantity - 1))}
+                              onClick={() => updateQuantity(item.cartItemId || item.id, Math.max(0, item.quantity - 1))}
                               className="text-black font-bold text-base leading-none"
                             >
                               −
                             </button>
                             <span className="text-black font-bold text-base px-1.5">{item.quantity}</span>
                             <button
-                              onClick={() => updateQuantity(item.id, item.quantity + 1)}
+                              onClick={() => updateQuantity(item.cartItemId || item.id, item.quantity + 1)}
                               className="text-black font-bold text-base leading-none"
                             >
                               +
@@ -463,7 +423,7 @@ const CartSidebar = ({ isOpen, onClose, onCheckout, selectedTip = 0, currentCust
             {cart.length > 0 && (
               <div className="bg-white border-t p-4">
                 {/* Ordyrr Coins - Only for logged in users */}
-                {isAuthenticated && availableCoins > 0 && (
+                {isAuthenticated && availableCoins > 0 && loyaltySettings.enabled && (
                   <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-2 mb-3">
                     <div className="flex items-center justify-between">
                       <div className="flex items-center gap-1.5">
@@ -473,7 +433,8 @@ const CartSidebar = ({ isOpen, onClose, onCheckout, selectedTip = 0, currentCust
                             Use Ordyrr Coins
                           </p>
                           <p className="text-[9px] text-gray-600">
-                            {availableCoins} coins (₹{(availableCoins / 10).toFixed(2)})
+                            {availableCoins} coins (₹{(availableCoins / COINS_PER_RUPEE).toFixed(2)})
+                            {walletCoins && ' · from any Ordyrr wallet restaurant'}
                           </p>
                         </div>
                       </div>
@@ -482,7 +443,7 @@ const CartSidebar = ({ isOpen, onClose, onCheckout, selectedTip = 0, currentCust
                         className={`relative inline-flex h-4 w-8 items-center rounded-full transition-colors ${
                           useOrdyrrCoins ? 'bg-green-600' : 'bg-gray-300'
                         }`}
-                        disabled={subtotal < 100}
+                        disabled={!canRedeemCoins}
                       >
                         <span
                           className={`inline-block h-2.5 w-2.5 transform rounded-full bg-white transition-transform ${
@@ -492,13 +453,13 @@ const CartSidebar = ({ isOpen, onClose, onCheckout, selectedTip = 0, currentCust
                       </button>
                     </div>
                     
-                    {subtotal < 100 && (
+                    {!canRedeemCoins && (
                       <p className="text-[9px] text-red-600 font-medium mt-1">
-                        ⚠️ Min ₹100 order required
+                        ⚠️ Min ₹{loyaltySettings.min_order_amount} order required
                       </p>
                     )}
                     
-                    {useOrdyrrCoins && subtotal >= 100 && (
+                    {useOrdyrrCoins && canRedeemCoins && (
                       <p className="text-[9px] text-green-700 font-medium mt-1">
                         ✓ Saving ₹{coinsDiscount.toFixed(2)} ({coinsUsed} coins)
                       </p>
@@ -506,19 +467,70 @@ const CartSidebar = ({ isOpen, onClose, onCheckout, selectedTip = 0, currentCust
                   </div>
                 )}
 
+                {/* Coupon */}
+                <div className="mb-3">
+                  {couponApplied ? (
+                    <div className="flex items-center justify-between bg-green-50 border border-green-200 rounded-lg px-3 py-2">
+                      <div>
+                        <p className="text-[11px] font-bold" style={{ color: ACTION_GREEN }}>🏷️ {couponCode} applied</p>
+                        <p className="text-[9px] text-gray-600">You save ₹{discount.toFixed(0)}</p>
+                      </div>
+                      <button onClick={handleRemoveCoupon} className="text-[11px] font-semibold text-red-500">
+                        Remove
+                      </button>
+                    </div>
+                  ) : (
+                    <>
+                      <div className="flex gap-2">
+                        <input
+                          type="text"
+                          value={couponInput}
+                          onChange={(e) => setCouponInput(e.target.value.toUpperCase())}
+                          onKeyDown={(e) => e.key === 'Enter' && handleApplyCoupon()}
+                          placeholder="Coupon code"
+                          className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-lg text-xs font-semibold uppercase focus:outline-none focus:border-gray-500"
+                        />
+                        <button
+                          onClick={handleApplyCoupon}
+                          disabled={!couponInput.trim()}
+                          className="px-4 py-2 text-xs font-bold text-black rounded-lg disabled:opacity-50"
+                          style={{ backgroundColor: BRAND_GREEN, boxShadow: '0 2px 0 0 #000000' }}
+                        >
+                          APPLY
+                        </button>
+                      </div>
+                      {couponCode && promotion.couponError && (
+                        <p className="text-[10px] text-red-600 font-medium mt-1">⚠️ {promotion.couponError}</p>
+                      )}
+                    </>
+                  )}
+                </div>
+
                 {/* Bill Summary */}
                 <div className="space-y-2 mb-4">
                   <div className="flex justify-between text-xs" style={{ color: MEDIUM_GRAY }}>
                     <span>Subtotal</span>
                     <span style={{ color: DARK_TEXT }}>₹{subtotal.toFixed(0)}</span>
                   </div>
+                  {bill.serviceCharge.amount > 0 && (
+                    <div className="flex justify-between text-xs" style={{ color: MEDIUM_GRAY }}>
+                      <span>Service Charge ({bill.serviceCharge.rate}%)</span>
+                      <span style={{ color: DARK_TEXT }}>₹{bill.serviceCharge.amount.toFixed(2)}</span>
+                    </div>
+                  )}
+                  {taxLines.map(line => (
+                    <div key={line.label} className="flex justify-between text-xs" style={{ color: MEDIUM_GRAY }}>
+                      <span>{line.label}{bill.taxBreakdown.price_mode === 'inclusive' ? ' (incl.)' : ''}</span>
+                      <span style={{ color: DARK_TEXT }}>₹{line.amount.toFixed(2)}</span>
+                    </div>
+                  ))}
                   <div className="flex justify-between text-xs" style={{ color: MEDIUM_GRAY }}>
-                    <span>Platform Fee (1.5%)</span>
+                    <span>Platform Fee ({(taxSettings.platform_fee_rate * 100).toFixed(1)}%)</span>
                     <span style={{ color: DARK_TEXT }}>₹{platformFee.toFixed(0)}</span>
                   </div>
                   {discount > 0 && (
                   <div className="flex justify-between text-xs font-semibold" style={{ color: ACTION_GREEN }}>
-                    <span>🎉 First Order Discount (10%)</span>
+                    <span>🎉 {offerLabel}</span>
                     <span>-₹{discount.toFixed(0)}</span>
                   </div>
                 )}
@@ -540,6 +552,11 @@ const CartSidebar = ({ isOpen, onClose, onCheckout, selectedTip = 0, currentCust
                       <span>₹{total.toFixed(0)}</span>
                     </div>
                   </div>
+                  {earning.points > 0 && (
+                    <p className="text-[11px] font-semibold text-yellow-700 mt-2">
+                      🪙 Earn {earning.points} Ordyrr Coins on this order
+                    </p>
+                  )}
                 </div>
 
                 {/* Checkout Button */}
@@ -643,7 +660,7 @@ const CartSidebar = ({ isOpen, onClose, onCheckout, selectedTip = 0, currentCust
                     </p>
                     
                     <p className="text-xs mb-5 font-medium" style={{ color: '#00C853' }}>
-                      First order discount applied! 🎊
+                      {offerLabel} applied! 🎊
                     </p>
                     
                     {/* Playful Boxy Button */}
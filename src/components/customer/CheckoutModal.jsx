@@ -5,14 +5,27 @@ import {
   BanknotesIcon,
   XMarkIcon,
   CheckCircleIcon,
-  ArrowLeftIcon
+  ArrowLeftIcon,
+  ExclamationTriangleIcon,
+  WifiIcon
 } from '@heroicons/react/24/outline'
 import UnifiedOrderService from '../../services/unifiedOrderService'
+import OfflineOrderService from '../../services/offlineOrderService'
 import customerService from '../../services/customerService'
+import PaymentService from '../../services/paymentService'
+import { getAvailableGateways } from '../../services/payments'
+import UpiAdapter from '../../services/payments/upiAdapter'
+import PaymentGatewayOptions from './PaymentGatewayOptions'
 import realtimeService from '../../services/realtimeService'
 import useCartStore from '../../stores/useCartStore'
+import PromotionService from '../../services/promotionService'
+import LoyaltyService from '../../services/loyaltyService'
 import { supabase } from '../../config/supabase'
 import toast from 'react-hot-toast'
+import { DEFAULT_TAX_SETTINGS, getTaxLines } from '../../utils/taxUtils'
+import { getCartFixes, ORDER_ISSUE_CODES, OrderVerificationError } from '../../utils/orderVerificationUtils'
+import { getOrderDisplayNumber } from '../../utils/orderNumberUtils'
+import { DEFAULT_LOYALTY_SETTINGS, calculateCoinsRedemption, calculateEarnPoints, getLoyaltyTier } from '../../utils/loyaltyUtils'
 
 // Ordyrr Brand Colors
 const BRAND_GREEN = '#00E676'
@@ -20,23 +33,32 @@ const ACTION_GREEN = '#00C853'
 const DARK_TEXT = '#212121'
 const MEDIUM_GRAY = '#666666'
 
-const CheckoutModal = ({ isOpen, onClose, onSuccess, restaurantId, tableId, sessionId, currentCustomer, initialTip = 0 }) => {
+const CheckoutModal = ({ isOpen, onClose, onSuccess, restaurantId, tableId, sessionId, currentCustomer, initialTip = 0, taxSettings = DEFAULT_TAX_SETTINGS, loyaltySettings = DEFAULT_LOYALTY_SETTINGS }) => {
   const [loading, setLoading] = useState(false)
   const [selectedTip, setSelectedTip] = useState(initialTip)
   const [orderSuccess, setOrderSuccess] = useState(false)
   const [orderData, setOrderData] = useState(null)
+  const [queuedOffline, setQueuedOffline] = useState(false)
   const [selectedPayment, setSelectedPayment] = useState('cash')
+  const [selectedGateway, setSelectedGateway] = useState(null)
+  const [upiFlow, setUpiFlow] = useState(UpiAdapter.FLOWS.INTENT)
+  const [upiVpa, setUpiVpa] = useState('')
   const [showDiscountPopup, setShowDiscountPopup] = useState(false)
   const [discountAmount, setDiscountAmount] = useState(0)
-  const [hasUsedFirstOrderDiscount, setHasUsedFirstOrderDiscount] = useState(false)
-  const [currentOffer, setCurrentOffer] = useState(null)
+  const [promotion, setPromotion] = useState({ offer: null, discount: 0, couponError: null })
+  const [verification, setVerification] = useState(null) // { issues, cartItems } when the server rejects the order
   const [useOrdyrrCoins, setUseOrdyrrCoins] = useState(true) // Default to true so coins are applied
   const [availableCoins, setAvailableCoins] = useState(0)
+  const [tierPoints, setTierPoints] = useState(0) // Coins earned here and not expired - sets the tier
   const hasShownPopup = useRef(false)
   const popupTimeout = useRef(null)
+  // One idempotency key per cart: retries and double-taps reuse it, so the
+  // server returns the order it already created instead of a second one
+  const submissionKey = useRef(null)
+  const submitting = useRef(false)
   
   // Use cart store instead of separate cart service
-  const { cart, getCartTotal, getCartWithTax, clearCart } = useCartStore()
+  const { cart, getCartTotal, getCartWithTax, clearCart, couponCode, setCouponCode, removeFromCart, repriceLine } = useCartStore()
   
   const [customerInfo, setCustomerInfo] = useState({
     name: currentCustomer?.name || '',
@@ -64,6 +86,15 @@ const CheckoutModal = ({ isOpen, onClose, onSuccess, restaurantId, tableId, sess
   }, [currentCustomer])
 
   const tipAmounts = [10, 20, 30, 50, 100, 200]
+
+  // Online gateways configured for this build (default first)
+  const availableGateways = React.useMemo(() => getAvailableGateways(), [])
+
+  const selectOnlineGateway = (gatewayName) => {
+    setSelectedGateway(gatewayName)
+    setSelectedPayment('online')
+    setCustomerInfo(prev => ({ ...prev, paymentMethod: 'online' }))
+  }
   
   // Check if user is logged in
   const isLoggedIn = !!currentCustomer
@@ -74,27 +105,10 @@ const CheckoutModal = ({ isOpen, onClose, onSuccess, restaurantId, tableId, sess
       if (currentCustomer?.id && restaurantId) {
         try {
           console.log('💰 [CheckoutModal] Fetching coins for customer:', currentCustomer.id, 'restaurant:', restaurantId)
-          const { data, error } = await supabase
-            .from('loyalty_points')
-            .select('points_earned, points_redeemed')
-            .eq('customer_id', currentCustomer.id)
-            .eq('restaurant_id', restaurantId)
-          
-          if (error) {
-            console.error('❌ Error fetching coins:', error)
-            return
-          }
-          
-          if (data) {
-            // Calculate total points: sum of all earned points minus redeemed points
-            const totalCoins = (data || []).reduce((total, transaction) => {
-              const earned = transaction.points_earned || 0
-              const redeemed = transaction.points_redeemed || 0
-              return total + earned - redeemed
-            }, 0)
-            setAvailableCoins(totalCoins)
-            console.log('✅ [CheckoutModal] Available Ordyrr Coins:', totalCoins, 'from', data.length, 'transactions')
-          }
+          const { balance, tierPoints: points } = await LoyaltyService.getBalance(currentCustomer.id, restaurantId)
+          setAvailableCoins(balance)
+          setTierPoints(points)
+          console.log('✅ [CheckoutModal] Available Ordyrr Coins:', balance)
         } catch (error) {
           console.error('❌ Exception fetching coins balance:', error)
         }
@@ -103,59 +117,32 @@ const CheckoutModal = ({ isOpen, onClose, onSuccess, restaurantId, tableId, sess
     fetchCoinsBalance()
   }, [currentCustomer, restaurantId])
 
-  // Check if customer has used the first order offer
+  // Coupon and automatic offers - createOrder re-checks with the same engine
   React.useEffect(() => {
-    const checkOfferEligibility = async () => {
-      if (currentCustomer?.id) {
-        try {
-          console.log('🔍 [CheckoutModal] Checking offer eligibility for customer:', currentCustomer.id)
-          
-          // Get the first order offer
-          const { data: offer, error: offerError } = await supabase
-            .from('offers')
-            .select('*')
-            .eq('offer_code', 'FIRST_ORDER_10')
-            .eq('is_active', true)
-            .single()
-          
-          if (offerError || !offer) {
-            console.log('❌ [CheckoutModal] First order offer not found or inactive')
-            return
-          }
-          
-          console.log('✅ [CheckoutModal] Found offer:', offer.offer_code, 'Offer ID:', offer.id)
-          setCurrentOffer(offer)
-          
-          // Check if customer has already used this offer
-          const { data: usageData, error: usageError } = await supabase
-            .from('customer_offers')
-            .select('*')
-            .eq('customer_id', currentCustomer.id)
-            .eq('offer_id', offer.id)
-          
-          console.log('📊 [CheckoutModal] Customer offer usage check:', {
-            customer_id: currentCustomer.id,
-            offer_id: offer.id,
-            usageData,
-            usageError,
-            hasUsed: usageData && usageData.length > 0
-          })
-          
-          if (!usageError && usageData && usageData.length > 0) {
-            // Customer has already used this offer
-            console.log('🚫 [CheckoutModal] Customer has already used this offer')
-            setHasUsedFirstOrderDiscount(true)
-          } else {
-            console.log('✅ [CheckoutModal] Customer eligible for first order discount')
-            setHasUsedFirstOrderDiscount(false)
-          }
-        } catch (error) {
-          console.error('❌ [CheckoutModal] Error checking offer eligibility:', error)
-        }
-      }
-    }
-    checkOfferEligibility()
-  }, [currentCustomer])
+    if (!isOpen) return
+    let cancelled = false
+    PromotionService.evaluateCart({
+      restaurantId,
+      customerId: currentCustomer?.id || null,
+      cartItems: cart,
+      couponCode
+    })
+      .then(result => {
+        if (!cancelled) setPromotion(result)
+      })
+      .catch(error => {
+        console.error('❌ [CheckoutModal] Error evaluating offers:', error)
+        if (!cancelled) setPromotion({ offer: null, discount: 0, couponError: null })
+      })
+    return () => { cancelled = true }
+  }, [isOpen, cart, couponCode, restaurantId, currentCustomer?.id])
+
+  // Issues and the submission key belong to the cart that was submitted -
+  // drop them once it changes
+  React.useEffect(() => {
+    setVerification(null)
+    submissionKey.current = null
+  }, [cart, couponCode])
 
   // Cleanup timeout on unmount
   React.useEffect(() => {
@@ -176,61 +163,54 @@ const CheckoutModal = ({ isOpen, onClose, onSuccess, restaurantId, tableId, sess
   // Cart summary with automatic discount calculation
   const cartSummary = React.useMemo(() => {
     if (!cart || cart.length === 0) {
-      return { isEmpty: true, subtotal: 0, platformFee: 0, total: 0, discount: 0, coinsDiscount: 0, coinsUsed: 0 }
+      return { isEmpty: true, subtotal: 0, platformFee: 0, taxLines: [], serviceCharge: 0, total: 0, discount: 0, coinsDiscount: 0, coinsUsed: 0, coinsToEarn: 0 }
     }
     
     const subtotal = getCartTotal()
-    const platformFee = subtotal * 0.015 // 1.5% platform fee (same as CartSidebar)
     
-    // Calculate automatic discount based on offer
-    let discount = 0
-    if (isLoggedIn && !hasUsedFirstOrderDiscount && currentOffer && subtotal >= (currentOffer.min_order_amount || 0)) {
-      // Calculate discount based on offer type
-      if (currentOffer.discount_type === 'percentage') {
-        discount = subtotal * (currentOffer.discount_value / 100)
-        // Apply max discount cap if specified
-        if (currentOffer.max_discount_amount) {
-          discount = Math.min(discount, currentOffer.max_discount_amount)
-        }
-      } else if (currentOffer.discount_type === 'fixed') {
-        discount = currentOffer.discount_value
-      }
-    }
-    
-    // Calculate Ordyrr Coins discount
+    const discount = promotion.discount
+
+    // Ordyrr Coins discount within the restaurant's redemption cap
     let coinsDiscount = 0
     let coinsUsed = 0
-    if (useOrdyrrCoins && isLoggedIn && availableCoins > 0 && subtotal >= 100) {
-      // Max discount is 5% of subtotal
-      const maxCoinsDiscount = subtotal * 0.05
-      // Max 500 coins per order (₹50)
-      const maxCoinsAllowed = 500
-      // Convert available coins to rupees (100 coins = ₹10)
-      const maxCoinsValue = Math.min(availableCoins, maxCoinsAllowed) / 10
-      // Take the minimum of available coins value and max allowed discount
-      coinsDiscount = Math.min(maxCoinsValue, maxCoinsDiscount)
-      // Calculate coins used (₹1 = 10 coins)
-      coinsUsed = Math.floor(coinsDiscount * 10)
+    if (useOrdyrrCoins && isLoggedIn) {
+      const redemption = calculateCoinsRedemption({ subtotal, balance: availableCoins, settings: loyaltySettings })
+      coinsDiscount = redemption.discount
+      coinsUsed = redemption.coinsUsed
     }
+
+    // Coins this order earns - createOrder awards them with the same rules
+    const earning = calculateEarnPoints({
+      items: cart,
+      discount: discount + coinsDiscount,
+      tier: isLoggedIn ? getLoyaltyTier(tierPoints, loyaltySettings) : null,
+      settings: loyaltySettings
+    })
     
-    const total = subtotal + platformFee - discount - coinsDiscount
+    // Same calculation UnifiedOrderService.createOrder stores (tip is added separately)
+    const bill = getCartWithTax(taxSettings, { discountAmount: discount + coinsDiscount })
     
     return {
       isEmpty: false,
       subtotal,
-      platformFee,
+      platformFee: bill.platformFee,
+      taxLines: getTaxLines(bill.taxBreakdown),
+      serviceCharge: bill.serviceCharge,
+      pricesIncludeTax: bill.taxBreakdown.price_mode === 'inclusive',
       discount,
       coinsDiscount,
       coinsUsed,
-      total,
+      coinsToEarn: earning.points,
+      coinsEarnBlocker: earning.reason,
+      total: bill.total,
       items: cart
     }
-  }, [cart, getCartTotal, isLoggedIn, hasUsedFirstOrderDiscount, currentOffer, useOrdyrrCoins, availableCoins])
+  }, [cart, getCartTotal, getCartWithTax, taxSettings, loyaltySettings, isLoggedIn, promotion, useOrdyrrCoins, availableCoins, tierPoints])
 
   // Show celebratory popup when discount is applied
   React.useEffect(() => {
     const discount = cartSummary?.discount || 0
-    if (discount > 0 && !hasShownPopup.current && isOpen && isLoggedIn) {
+    if (discount > 0 && !hasShownPopup.current && isOpen) {
       hasShownPopup.current = true
       setDiscountAmount(discount)
       setShowDiscountPopup(true)
@@ -242,6 +222,17 @@ const CheckoutModal = ({ isOpen, onClose, onSuccess, restaurantId, tableId, sess
   }, [cartSummary, isOpen, isLoggedIn])
 
   const handleSubmit = async () => {
+    // A double-tap must not start a second submission
+    if (submitting.current) return
+    submitting.current = true
+    try {
+      await submitOrder()
+    } finally {
+      submitting.current = false
+    }
+  }
+
+  const submitOrder = async () => {
     // For logged-in users, use their stored information
     const finalCustomerInfo = isLoggedIn ? {
       name: currentCustomer?.full_name || currentCustomer?.name || currentCustomer?.customer_name || '',
@@ -263,17 +254,63 @@ const CheckoutModal = ({ isOpen, onClose, onSuccess, restaurantId, tableId, sess
       return
     }
 
+    const payOnline = finalCustomerInfo.paymentMethod === 'online'
+    const gatewayName = selectedGateway || availableGateways[0]?.name
+
+    if (payOnline && !gatewayName) {
+      toast.error('Online payment is not available right now. Please pay at the counter.')
+      return
+    }
+
+    if (payOnline && gatewayName === 'upi' && upiFlow === UpiAdapter.FLOWS.COLLECT && !upiVpa) {
+      toast.error('Please enter your UPI ID')
+      return
+    }
+
+    // Extract discount and coins values from cartSummary
+    const discount = cartSummary?.discount || 0
+    const coinsDiscount = cartSummary?.coinsDiscount || 0
+    const coinsUsed = cartSummary?.coinsUsed || 0
+
+    // Also used when the order is queued offline and replayed later
+    if (!submissionKey.current) submissionKey.current = UnifiedOrderService.generateIdempotencyKey()
+    const idempotencyKey = submissionKey.current
+    const orderParams = {
+      source: 'customer',
+      restaurantId,
+      tableId,
+      sessionId,
+      cartItems: cart,
+      customerInfo: {
+        name: finalCustomerInfo.name,
+        phone: finalCustomerInfo.phone,
+        email: finalCustomerInfo.email,
+        customerId: isLoggedIn ? currentCustomer?.id : null // Pass customer ID for logged-in users
+      },
+      specialInstructions: finalCustomerInfo.specialInstructions,
+      paymentMethod: finalCustomerInfo.paymentMethod,
+      tipAmount: selectedTip,
+      discountAmount: coinsDiscount, // createOrder adds the offer discount itself
+      coinsRedeemed: coinsUsed, // Track coins redeemed for order history
+      couponCode,
+      promotionDiscount: discount
+    }
+
+    if (!navigator.onLine) {
+      if (payOnline) {
+        toast.error("You're offline. Choose pay at counter to send your order when you reconnect.")
+        return
+      }
+      await queueOfflineOrder(orderParams, idempotencyKey)
+      return
+    }
+
     setLoading(true)
 
     try {
       console.log('🛒 Starting complete checkout workflow...')
       console.log('Customer info:', finalCustomerInfo)
 
-      // Extract discount and coins values from cartSummary
-      const discount = cartSummary?.discount || 0
-      const coinsDiscount = cartSummary?.coinsDiscount || 0
-      const coinsUsed = cartSummary?.coinsUsed || 0
-
       // Step 1: Update customer session with customer info
       await customerService.updateCustomerSession(sessionId, {
         customer_name: finalCustomerInfo.name,
@@ -282,24 +319,7 @@ const CheckoutModal = ({ isOpen, onClose, onSuccess, restaurantId, tableId, sess
       })
 
       // Step 2: Create order using UnifiedOrderService with cart items
-      const orderResult = await UnifiedOrderService.createOrder({
-        source: 'customer',
-        restaurantId,
-        tableId,
-        cartItems: cart,
-        customerInfo: {
-          name: finalCustomerInfo.name,
-          phone: finalCustomerInfo.phone,
-          email: finalCustomerInfo.email,
-          customerId: isLoggedIn ? currentCustomer?.id : null // Pass customer ID for logged-in users
-        },
-        specialInstructions: finalCustomerInfo.specialInstructions,
-        paymentMethod: finalCustomerInfo.paymentMethod,
-        tipAmount: selectedTip,
-        discountAmount: discount + coinsDiscount, // Include both offer discount and coins discount
-        coinsRedeemed: coinsUsed, // Track coins redeemed for order history
-        firstOrderDiscountApplied: discount > 0
-      })
+      const orderResult = await UnifiedOrderService.createOrder({ ...orderParams, idempotencyKey })
 
       if (!orderResult || !orderResult.id) {
         throw new Error('Failed to create order')
@@ -307,65 +327,71 @@ const CheckoutModal = ({ isOpen, onClose, onSuccess, restaurantId, tableId, sess
 
       console.log('✅ Order created successfully:', orderResult.order_number)
       
-      // Step 2.5: Deduct Ordyrr Coins if used
-      if (useOrdyrrCoins && coinsUsed > 0 && isLoggedIn && currentCustomer?.id) {
-        try {
-          console.log(`🪙 Redeeming ${coinsUsed} Ordyrr Coins (₹${coinsDiscount.toFixed(2)} discount)...`)
-          
-          // Record the redemption in loyalty_points table
-          const { error: coinsError } = await supabase
-            .from('loyalty_points')
-            .insert({
-              customer_id: currentCustomer.id,
-              restaurant_id: restaurantId,
-              order_id: orderResult.id,
-              points_earned: 0,
-              points_redeemed: coinsUsed, // Record redeemed coins
-              transaction_type: 'redemption',
-              description: `Redeemed ${coinsUsed} coins for ₹${coinsDiscount.toFixed(2)} discount on order #${orderResult.order_number}`
-            })
-          
-          if (coinsError) {
-            console.error('❌ Error recording coin redemption:', coinsError)
-            // Don't fail the order, just log the error
-            toast.error('Coins could not be redeemed. Please contact support.', {
-              duration: 5000
-            })
-          } else {
-            console.log(`✅ Successfully redeemed ${coinsUsed} Ordyrr Coins`)
-            toast.success(`🪙 ${coinsUsed} coins redeemed! You saved ₹${coinsDiscount.toFixed(2)}`, {
-              duration: 3000
-            })
-          }
-        } catch (coinsError) {
-          console.error('❌ Exception redeeming coins:', coinsError)
-        }
+      // Step 2.5: Coins were taken off the balance with the order itself
+      if (useOrdyrrCoins && coinsUsed > 0 && isLoggedIn && !orderResult.deduplicated) {
+        toast.success(`🪙 ${coinsUsed} coins redeemed! You saved ₹${coinsDiscount.toFixed(2)}`, {
+          duration: 3000
+        })
       }
       
       // Clear cart only after successful order creation
       clearCart()
       
-      // Payment is handled within UnifiedOrderService
-      // For cash payments, staff will collect when ready
-      // For online payments, additional processing can be added here if needed
+      // Step 2.6: Online payment through the gateway adapter
+      // Cash orders are collected by staff when ready
+      let paymentStatus = payOnline ? 'processing' : 'pending'
+
+      if (payOnline && orderResult.payment_status === 'completed') {
+        paymentStatus = 'completed'
+      } else if (payOnline) {
+        const paymentResult = await PaymentService.processPayment({
+          orderId: orderResult.id,
+          amount: parseFloat(orderResult.total_amount), // Stored order total (tip included)
+          paymentMethod: gatewayName === 'upi' ? 'upi' : 'online',
+          gateway: gatewayName,
+          sessionId: orderResult.session_id,
+          customer: {
+            name: finalCustomerInfo.name,
+            phone: finalCustomerInfo.phone,
+            email: finalCustomerInfo.email
+          },
+          checkoutOptions: {
+            flow: upiFlow,
+            vpa: upiVpa
+          }
+        })
+
+        if (paymentResult.success) {
+          paymentStatus = paymentResult.data?.status || 'completed'
+        } else {
+          // The order stands - fall back to paying at the counter
+          paymentStatus = 'failed'
+          toast.error(`${paymentResult.message || 'Payment failed.'} You can pay at the counter instead.`, {
+            duration: 5000
+          })
+        }
+      }
+
+      const paidOnline = payOnline && paymentStatus !== 'failed'
 
       // Step 3: Set success state with complete order data
       setOrderData({
         ...orderResult,
         customerInfo,
-        total: cartSummary.total + selectedTip,
-        paymentMethod: customerInfo.paymentMethod
+        total: parseFloat(orderResult.total_amount),
+        paymentMethod: paidOnline ? 'online' : 'cash',
+        paymentStatus
       })
       setOrderSuccess(true)
 
       // Step 4: Show appropriate success message
-      if (customerInfo.paymentMethod === 'cash') {
-        toast.success(`Order #${orderResult.order_number} placed! Staff will collect payment when ready.`, {
+      if (!paidOnline) {
+        toast.success(`Order #${getOrderDisplayNumber(orderResult)} placed! Staff will collect payment when ready.`, {
           icon: '🛎️',
           duration: 4000
         })
       } else {
-        toast.success(`Order #${orderResult.order_number} placed successfully!`, {
+        toast.success(`Order #${getOrderDisplayNumber(orderResult)} placed successfully!`, {
           icon: '✅',
           duration: 4000
         })
@@ -404,12 +430,76 @@ const CheckoutModal = ({ isOpen, onClose, onSuccess, restaurantId, tableId, sess
 
     } catch (error) {
       console.error('❌ Complete checkout workflow failed:', error)
-      toast.error(error.message || 'Failed to place order. Please try again.')
+      if (error instanceof OrderVerificationError) {
+        setVerification({ issues: error.issues, cartItems: cart })
+        toast.error('Some items in your order have changed')
+      } else if (!payOnline && OfflineOrderService.isNetworkError(error)) {
+        await queueOfflineOrder(orderParams, idempotencyKey)
+      } else {
+        toast.error(error.message || 'Failed to place order. Please try again.')
+      }
     } finally {
       setLoading(false)
     }
   }
 
+  // Keep the order on this device until the connection is back.
+  // Coins and offers are checked by the server, so the queued order is
+  // sent without them and priced when it is replayed.
+  const queueOfflineOrder = async (orderParams, idempotencyKey) => {
+    try {
+      await OfflineOrderService.queueOrder({
+        ...orderParams,
+        discountAmount: 0,
+        coinsRedeemed: 0,
+        promotionDiscount: null
+      }, idempotencyKey)
+      clearCart()
+      setQueuedOffline(true)
+      toast.success("Order saved. We'll send it as soon as you're back online.", { icon: '📴', duration: 5000 })
+    } catch (queueError) {
+      console.error('❌ Could not save order offline:', queueError)
+      toast.error('You are offline and the order could not be saved. Please try again when connected.')
+    }
+  }
+
+  // Apply the server's corrections: drop unavailable lines, take the new
+  // prices, remove an offer that no longer applies and recheck coins
+  const applyVerificationFixes = () => {
+    const { removeLineIds, reprice, resetOffer } = getCartFixes(verification.issues, verification.cartItems)
+    const coinIssue = verification.issues.some(issue =>
+      issue.code === ORDER_ISSUE_CODES.COINS_EXCEEDED || issue.code === ORDER_ISSUE_CODES.COINS_NOT_ALLOWED
+    )
+
+    removeLineIds.forEach(lineId => removeFromCart(lineId))
+    reprice.forEach(({ lineId, price }) => repriceLine(lineId, price))
+    if (resetOffer) setCouponCode('')
+    if (coinIssue) setUseOrdyrrCoins(false)
+
+    setVerification(null)
+    toast.success('Cart updated. Please review your order.')
+  }
+
+  const renderVerificationIssues = () => verification && (
+    <div className="p-3 mb-3 bg-red-50 border border-red-200 rounded-lg">
+      <div className="flex items-center gap-2 mb-2 text-red-700 font-semibold text-sm">
+        <ExclamationTriangleIcon className="w-5 h-5" />
+        <span>Your order needs a quick update</span>
+      </div>
+      <ul className="space-y-1 mb-3">
+        {verification.issues.map((issue, index) => (
+          <li key={`${issue.code}-${index}`} className="text-xs text-red-700">• {issue.message}</li>
+        ))}
+      </ul>
+      <button
+        onClick={applyVerificationFixes}
+        className="w-full py-2 text-xs font-bold uppercase text-white bg-red-600 rounded-lg hover:bg-red-700 transition-colors"
+      >
+        Update cart
+      </button>
+    </div>
+  )
+
   const updateCustomerSession = async () => {
     try {
       // Update customer session with customer details
@@ -429,14 +519,61 @@ const CheckoutModal = ({ isOpen, onClose, onSuccess, restaurantId, tableId, sess
   // Calculate totals from cart summary
   const subtotal = cartSummary?.subtotal || 0
   const platformFee = cartSummary?.platformFee || 0
+  const taxLines = cartSummary?.taxLines || []
+  const serviceCharge = cartSummary?.serviceCharge
   const discount = cartSummary?.discount || 0
+  const offerLabel = promotion.offer ? (promotion.offer.title || promotion.offer.offer_code) : ''
   const total = cartSummary?.total || 0
 
   if (!isOpen) return null
 
+  // Order saved on the device while offline
+  if (queuedOffline) {
+    return (
+      <AnimatePresence>
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4"
+        >
+          <motion.div
+            initial={{ scale: 0.9, opacity: 0 }}
+            animate={{ scale: 1, opacity: 1 }}
+            exit={{ scale: 0.9, opacity: 0 }}
+            className="bg-white rounded-xl p-6 w-full max-w-lg text-center"
+          >
+            <div className="w-16 h-16 bg-orange-100 rounded-full flex items-center justify-center mx-auto mb-4">
+              <WifiIcon className="h-8 w-8 text-orange-600" />
+            </div>
+            <h3 className="text-xl font-bold text-black mb-2">Order Saved Offline</h3>
+            <p className="text-gray-600 mb-4">
+              Your connection dropped, so the order is saved on this device. It will be sent to the restaurant automatically when you're back online.
+            </p>
+            <div className="bg-orange-50 border border-orange-200 rounded-lg p-3 mb-4">
+              <p className="text-sm text-orange-800">
+                💰 Pay at the counter. Offers and Ordyrr Coins are applied when the order is sent, so the final total may differ.
+              </p>
+            </div>
+            <button
+              onClick={() => {
+                onClose()
+                setQueuedOffline(false)
+              }}
+              className="mt-2 px-6 py-2 bg-black text-white rounded-lg text-sm hover:bg-gray-800 transition-colors"
+            >
+              Got it
+            </button>
+          </motion.div>
+        </motion.div>
+      </AnimatePresence>
+    )
+  }
+
   // Show success screen if order was placed
   if (orderSuccess && orderData) {
-    const isOnlinePayment = orderData.paymentMethod === 'online'
+    const isOnlinePayment = orderData.paymentMethod === 'online' && orderData.paymentStatus === 'completed'
+    const isPaymentProcessing = orderData.paymentMethod === 'online' && orderData.paymentStatus === 'processing'
     const isCashPayment = orderData.paymentMethod === 'cash'
     
     return (
@@ -467,20 +604,27 @@ const CheckoutModal = ({ isOpen, onClose, onSuccess, restaurantId, tableId, sess
             </h3>
             
             <p className="text-gray-600 mb-4">
-              Order #{orderData.order_number} has been placed and assigned to our staff.
+              Order #{getOrderDisplayNumber(orderData)} has been placed and assigned to our staff.
             </p>
             
             {/* Order Details */}
             <div className="bg-gray-50 rounded-lg p-4 mb-4 space-y-3">
               <div className="flex justify-between items-center">
                 <span className="text-sm text-gray-600">Order Number</span>
-                <span className="font-bold text-black">#{orderData.order_number}</span>
+                <span className="font-bold text-black">#{getOrderDisplayNumber(orderData)}</span>
               </div>
               
               <div className="flex justify-between items-center">
                 <span className="text-sm text-gray-600">Total Amount</span>
                 <span className="font-bold text-lg text-black">₹{orderData.total.toFixed(2)}</span>
               </div>
+
+              {orderData.loyalty_points_earned > 0 && (
+                <div className="flex justify-between items-center">
+                  <span className="text-sm text-gray-600">Ordyrr Coins Earned</span>
+                  <span className="text-sm font-bold text-yellow-600">🪙 +{orderData.loyalty_points_earned}</span>
+                </div>
+              )}
               
               <div className="flex justify-between items-center">
                 <span className="text-sm text-gray-600">Payment Method</span>
@@ -516,6 +660,14 @@ const CheckoutModal = ({ isOpen, onClose, onSuccess, restaurantId, tableId, sess
               </div>
             )}
             
+            {isPaymentProcessing && (
+              <div className="bg-blue-50 border border-blue-200 rounded-lg p-3 mb-4">
+                <p className="text-sm text-blue-800">
+                  ⏳ Waiting for payment confirmation from your bank. This page will update automatically.
+                </p>
+              </div>
+            )}
+
             {isCashPayment && (
               <div className="bg-orange-50 border border-orange-200 rounded-lg p-3 mb-4">
                 <p className="text-sm text-orange-800">
@@ -598,50 +750,24 @@ const CheckoutModal = ({ isOpen, onClose, onSuccess, restaurantId, tableId, sess
                   </button>
                 </div>
 
-                {/* UPI Options - Coming Soon */}
-                <div className="mb-6">
-                  <h4 className="text-sm font-bold mb-3" style={{ color: DARK_TEXT }}>UPI</h4>
-                  <div className="space-y-2 opacity-50 pointer-events-none">
-                    {['Paytm UPI', 'Google Pay UPI', 'PhonePe UPI'].map((option) => (
-                      <div key={option} className="w-full p-3 rounded-xl border border-gray-200 flex items-center justify-between">
-                        <span className="text-sm" style={{ color: DARK_TEXT }}>{option}</span>
-                        <span className="text-xs px-2 py-1 bg-gray-100 rounded" style={{ color: MEDIUM_GRAY }}>
-                          Coming Soon
-                        </span>
-                      </div>
-                    ))}
-                  </div>
-                </div>
-
-                {/* Cards - Coming Soon */}
-                <div className="mb-6">
-                  <h4 className="text-sm font-bold mb-3" style={{ color: DARK_TEXT }}>Cards</h4>
-                  <div className="w-full p-3 rounded-xl border border-gray-200 flex items-center justify-between opacity-50">
-                    <span className="text-sm" style={{ color: DARK_TEXT }}>Add credit or debit cards</span>
-                    <span className="text-xs px-2 py-1 bg-gray-100 rounded" style={{ color: MEDIUM_GRAY }}>
-                      Coming Soon
-                    </span>
-                  </div>
-                </div>
-
-                {/* Wallets - Coming Soon */}
+                {/* Online Payments */}
                 <div>
-                  <h4 className="text-sm font-bold mb-3" style={{ color: DARK_TEXT }}>Wallets</h4>
-                  <div className="space-y-2 opacity-50 pointer-events-none">
-                    {['Blinkit Money', 'Amazon Pay Balance', 'Mobikwik'].map((option) => (
-                      <div key={option} className="w-full p-3 rounded-xl border border-gray-200 flex items-center justify-between">
-                        <span className="text-sm" style={{ color: DARK_TEXT }}>{option}</span>
-                        <span className="text-xs px-2 py-1 bg-gray-100 rounded" style={{ color: MEDIUM_GRAY }}>
-                          Coming Soon
-                        </span>
-                      </div>
-                    ))}
-                  </div>
+                  <h4 className="text-sm font-bold mb-3" style={{ color: DARK_TEXT }}>Pay Online</h4>
+                  <PaymentGatewayOptions
+                    gateways={availableGateways}
+                    selectedGateway={selectedPayment === 'online' ? selectedGateway : null}
+                    onSelect={selectOnlineGateway}
+                    upiFlow={upiFlow}
+                    onUpiFlowChange={setUpiFlow}
+                    upiVpa={upiVpa}
+                    onUpiVpaChange={setUpiVpa}
+                  />
                 </div>
               </div>
 
               {/* Place Order Button */}
               <div className="p-4 border-t">
+                {renderVerificationIssues()}
                 <motion.button
                   whileTap={{ scale: 0.98 }}
                   onClick={handleSubmit}
@@ -764,6 +890,20 @@ const CheckoutModal = ({ isOpen, onClose, onSuccess, restaurantId, tableId, sess
                   <span className="block text-sm font-medium text-black">Online</span>
                 </button>
               </div>
+
+              {customerInfo.paymentMethod === 'online' && (
+                <div className="mt-3">
+                  <PaymentGatewayOptions
+                    gateways={availableGateways}
+                    selectedGateway={selectedGateway || availableGateways[0]?.name}
+                    onSelect={selectOnlineGateway}
+                    upiFlow={upiFlow}
+                    onUpiFlowChange={setUpiFlow}
+                    upiVpa={upiVpa}
+                    onUpiVpaChange={setUpiVpa}
+                  />
+                </div>
+              )}
             </div>
 
             {/* Add Tip */}
@@ -797,13 +937,25 @@ const CheckoutModal = ({ isOpen, onClose, onSuccess, restaurantId, tableId, sess
                   <span>Subtotal</span>
                   <span>₹{subtotal.toFixed(2)}</span>
                 </div>
+                {serviceCharge?.amount > 0 && (
+                  <div className="flex justify-between text-sm text-black">
+                    <span>Service Charge ({serviceCharge.rate}%)</span>
+                    <span>₹{serviceCharge.amount.toFixed(2)}</span>
+                  </div>
+                )}
+                {taxLines.map(line => (
+                  <div key={line.label} className="flex justify-between text-sm text-black">
+                    <span>{line.label}{cartSummary.pricesIncludeTax ? ' (incl.)' : ''}</span>
+                    <span>₹{line.amount.toFixed(2)}</span>
+                  </div>
+                ))}
                 <div className="flex justify-between text-sm text-black">
-                  <span>Platform Fee (1.5%)</span>
+                  <span>Platform Fee ({(taxSettings.platform_fee_rate * 100).toFixed(1)}%)</span>
                   <span>₹{platformFee.toFixed(2)}</span>
                 </div>
                 {discount > 0 && (
                   <div className="flex justify-between text-sm font-semibold" style={{ color: ACTION_GREEN }}>
-                    <span>🎉 First Order Discount (10%)</span>
+                    <span>🎉 {offerLabel}</span>
                     <span>-₹{discount.toFixed(2)}</span>
                   </div>
                 )}
@@ -825,9 +977,20 @@ const CheckoutModal = ({ isOpen, onClose, onSuccess, restaurantId, tableId, sess
                     <span>₹{total.toFixed(2)}</span>
                   </div>
                 </div>
+                {cartSummary.coinsToEarn > 0 ? (
+                  <p className="text-xs font-medium text-yellow-700 bg-yellow-50 rounded-lg px-3 py-2">
+                    🪙 You'll earn {cartSummary.coinsToEarn} Ordyrr Coins on this order
+                  </p>
+                ) : cartSummary.coinsEarnBlocker === 'below_minimum' && loyaltySettings.min_order_amount > 0 ? (
+                  <p className="text-xs text-gray-500">
+                    Orders of ₹{loyaltySettings.min_order_amount} or more earn Ordyrr Coins
+                  </p>
+                ) : null}
               </div>
             </div>
 
+            {renderVerificationIssues()}
+
             {/* Action Buttons */}
             <div className="flex gap-3">
               <button
@@ -924,7 +1087,7 @@ const CheckoutModal = ({ isOpen, onClose, onSuccess, restaurantId, tableId, sess
                   </p>
                   
                   <p className="text-xs mb-5 font-medium" style={{ color: '#00C853' }}>
-                    First order discount applied! 🎊
+                    {offerLabel} applied! 🎊
                   </p>
                   
                   {/* Playful Boxy Button */}
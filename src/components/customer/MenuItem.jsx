@@ -1,24 +1,58 @@
 import React, { useState } from 'react'
-import { motion } from 'framer-motion'
+import { motion, AnimatePresence } from 'framer-motion'
 import { 
   PlusIcon,
   ClockIcon,
   CheckBadgeIcon as LeafIcon,
-  HeartIcon
+  HeartIcon,
+  XMarkIcon
 } from '@heroicons/react/24/outline'
 import { HeartIcon as HeartSolidIcon } from '@heroicons/react/24/solid'
+import ModifierSelector from './ModifierSelector'
+import {
+  getDefaultSelections,
+  hasModifiers,
+  selectionsToModifiers,
+  getUnitPrice,
+  validateModifierSelections
+} from '../../utils/modifierUtils'
 
 const MenuItem = ({ item, onAddToCart, index }) => {
   const [isLiked, setIsLiked] = useState(false)
   const [isAdding, setIsAdding] = useState(false)
+  const [showModifiers, setShowModifiers] = useState(false)
+  const [selections, setSelections] = useState({})
+  const [selectionErrors, setSelectionErrors] = useState([])
+
+  const itemHasModifiers = hasModifiers(item)
+  const selectedModifiers = showModifiers ? selectionsToModifiers(item, selections) : []
 
   const handleAddToCart = async () => {
+    // Items with variants / add-ons need a selection first
+    if (itemHasModifiers) {
+      setSelections(getDefaultSelections(item))
+      setSelectionErrors([])
+      setShowModifiers(true)
+      return
+    }
+
     setIsAdding(true)
     await new Promise(resolve => setTimeout(resolve, 300)) // Smooth animation
-    onAddToCart(item)
+    onAddToCart(item, [])
     setIsAdding(false)
   }
 
+  const handleConfirmModifiers = () => {
+    const errors = validateModifierSelections(item, selections)
+    if (errors.length > 0) {
+      setSelectionErrors(errors)
+      return
+    }
+
+    onAddToCart(item, selectedModifiers)
+    setShowModifiers(false)
+  }
+
   const toggleLike = (e) => {
     e.stopPropagation()
     setIsLiked(!isLiked)
@@ -124,6 +158,9 @@ const MenuItem = ({ item, onAddToCart, index }) => {
             <span className="text-lg font-bold text-gray-900">
               ₹{item.price}
             </span>
+            {itemHasModifiers && (
+              <p className="text-[10px] text-gray-500">Customisable</p>
+            )}
           </div>
         </div>
         
@@ -172,6 +209,57 @@ const MenuItem = ({ item, onAddToCart, index }) => {
           )}
         </motion.button>
       </div>
+
+      {/* Modifier Picker */}
+      <AnimatePresence>
+        {showModifiers && (
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="fixed inset-0 bg-black/50 flex items-end sm:items-center justify-center z-50"
+            onClick={() => setShowModifiers(false)}
+          >
+            <motion.div
+              initial={{ y: 50, opacity: 0 }}
+              animate={{ y: 0, opacity: 1 }}
+              exit={{ y: 50, opacity: 0 }}
+              className="bg-white rounded-t-2xl sm:rounded-2xl w-full max-w-md max-h-[85vh] flex flex-col"
+              onClick={(e) => e.stopPropagation()}
+            >
+              <div className="flex items-center justify-between p-4 border-b border-gray-100">
+                <h3 className="font-bold text-base text-gray-900">{item.name}</h3>
+                <button onClick={() => setShowModifiers(false)} className="p-1 rounded-full hover:bg-gray-100">
+                  <XMarkIcon className="w-5 h-5 text-gray-600" />
+                </button>
+              </div>
+
+              <div className="p-4 overflow-y-auto flex-1">
+                <ModifierSelector
+                  item={item}
+                  selections={selections}
+                  onChange={(next) => {
+                    setSelections(next)
+                    if (selectionErrors.length > 0) setSelectionErrors(validateModifierSelections(item, next))
+                  }}
+                  errors={selectionErrors}
+                />
+              </div>
+
+              <div className="p-4 border-t border-gray-100">
+                <motion.button
+                  whileTap={{ scale: 0.98 }}
+                  onClick={handleConfirmModifiers}
+                  className="w-full py-3 rounded-lg font-semibold text-sm bg-black text-white hover:bg-gray-800 flex items-center justify-center gap-2"
+                >
+                  <PlusIcon className="w-4 h-4" />
+                  Add to Cart · ₹{getUnitPrice(item, selectedModifiers)}
+                </motion.button>
+              </div>
+            </motion.div>
+          </motion.div>
+        )}
+      </AnimatePresence>
     </motion.div>
   )
 }
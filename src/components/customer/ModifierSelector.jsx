@@ -0,0 +1,115 @@
+import React from 'react'
+import { motion } from 'framer-motion'
+import { CheckIcon } from '@heroicons/react/24/solid'
+import {
+  getModifierGroups,
+  getSelectionLimits,
+  toggleModifierOption,
+  MODIFIER_GROUP_TYPES
+} from '../../utils/modifierUtils'
+
+const ACTION_GREEN = '#00C853'
+const DARK_TEXT = '#212121'
+const MEDIUM_GRAY = '#666666'
+
+const getGroupHint = (group) => {
+  const { min, max } = getSelectionLimits(group)
+  if (group.type === MODIFIER_GROUP_TYPES.VARIANT || (min === 1 && max === 1)) return 'Choose 1'
+  if (min > 0 && max > min) return `Choose ${min} to ${max}`
+  if (min > 0) return `Choose ${min}`
+  return `Up to ${max}`
+}
+
+/**
+ * Variant / choice / add-on picker for a menu item.
+ * Controlled component - `selections` is keyed by group id.
+ */
+const ModifierSelector = ({ item, selections, onChange, errors = [] }) => {
+  const groups = getModifierGroups(item)
+
+  if (groups.length === 0) return null
+
+  return (
+    <div className="space-y-4">
+      {groups.map((group) => {
+        const { min, max } = getSelectionLimits(group)
+        const chosen = selections[group.id] || []
+        const isSingle = max === 1
+        const isMissing = chosen.length < min
+
+        return (
+          <div key={group.id} className="border border-gray-300 rounded-lg p-4">
+            <div className="flex items-center justify-between mb-3">
+              <div>
+                <h3 className="text-base font-semibold" style={{ color: DARK_TEXT }}>{group.name}</h3>
+                <span className="text-xs" style={{ color: MEDIUM_GRAY }}>{getGroupHint(group)}</span>
+              </div>
+              {min > 0 && (
+                <span
+                  className={`text-[10px] font-bold uppercase px-2 py-1 rounded ${
+                    isMissing && errors.length > 0 ? 'bg-red-100 text-red-600' : 'bg-gray-100 text-gray-600'
+                  }`}
+                >
+                  Required
+                </span>
+              )}
+            </div>
+
+            <div className="space-y-2">
+              {group.options.map((option) => {
+                const isSelected = chosen.includes(option.id)
+                const isDisabled = !option.is_available || (!isSelected && !isSingle && chosen.length >= max)
+
+                return (
+                  <motion.button
+                    key={option.id}
+                    type="button"
+                    whileTap={{ scale: isDisabled ? 1 : 0.98 }}
+                    onClick={() => !isDisabled && onChange(toggleModifierOption(selections, group, option.id))}
+                    disabled={isDisabled}
+                    className={`w-full flex items-center justify-between py-2 text-left ${
+                      isDisabled && !isSelected ? 'opacity-40 cursor-not-allowed' : ''
+                    }`}
+                  >
+                    <div className="flex items-center gap-3">
+                      <div
+                        className={`w-5 h-5 border-2 flex items-center justify-center flex-shrink-0 ${
+                          isSingle ? 'rounded-full' : 'rounded'
+                        }`}
+                        style={{
+                          borderColor: isSelected ? ACTION_GREEN : '#BDBDBD',
+                          backgroundColor: isSelected && !isSingle ? ACTION_GREEN : 'transparent'
+                        }}
+                      >
+                        {isSelected && (isSingle ? (
+                          <div className="w-2.5 h-2.5 rounded-full" style={{ backgroundColor: ACTION_GREEN }} />
+                        ) : (
+                          <CheckIcon className="w-3.5 h-3.5 text-white" />
+                        ))}
+                      </div>
+                      <span className="text-sm" style={{ color: DARK_TEXT }}>
+                        {option.name}
+                        {!option.is_available && <span className="text-xs ml-2" style={{ color: MEDIUM_GRAY }}>(Unavailable)</span>}
+                      </span>
+                    </div>
+                    {option.price_delta !== 0 && (
+                      <span className="text-sm font-medium" style={{ color: MEDIUM_GRAY }}>
+                        {option.price_delta > 0 ? '+' : '-'}₹{Math.abs(option.price_delta)}
+                      </span>
+                    )}
+                  </motion.button>
+                )
+              })}
+            </div>
+          </div>
+        )
+      })}
+
+      {errors.length > 0 && (
+        <p className="text-sm text-red-600">{errors[0]}</p>
+      )}
+    </div>
+  )
+}
+
+export default ModifierSelector
@@ -1,4 +1,5 @@
 import React, { useEffect, useState } from 'react'
+import { useNavigate } from 'react-router-dom'
 import { motion, AnimatePresence } from 'framer-motion'
 import {
   CheckCircleIcon,
@@ -8,18 +9,29 @@ import {
   TruckIcon,
   XMarkIcon,
   CreditCardIcon,
-  BanknotesIcon
+  BanknotesIcon,
+  UsersIcon,
+  DocumentArrowDownIcon
 } from '@heroicons/react/24/outline'
 import UnifiedOrderService from '../../services/unifiedOrderService'
 import NotificationService from '../../services/notificationService'
 import realtimeService from '../../services/realtimeService'
 import { supabase } from '../../config/supabase'
+import SplitBillModal from './SplitBillModal'
+import InvoiceService from '../../services/invoiceService'
+import toast from 'react-hot-toast'
+import { getOrderDisplayNumber } from '../../utils/orderNumberUtils'
 
-const OrderTracking = ({ sessionId, isOpen, onClose }) => {
+const OrderTracking = ({ sessionId, restaurantId, tableId, currentCustomer, isOpen, onClose }) => {
   const [orders, setOrders] = useState([])
+  const [showSplitBill, setShowSplitBill] = useState(false)
   const [currentOrder, setCurrentOrder] = useState(null)
   const [loading, setLoading] = useState(true)
   const [subscription, setSubscription] = useState(null)
+  const [downloadingInvoice, setDownloadingInvoice] = useState(null)
+  const [orderNumber, setOrderNumber] = useState('')
+  const [findingOrder, setFindingOrder] = useState(false)
+  const navigate = useNavigate()
 
   // Load customer orders when component opens
   useEffect(() => {
@@ -56,6 +68,24 @@ const OrderTracking = ({ sessionId, isOpen, onClose }) => {
     }
   }
 
+  // Orders placed on another device or an earlier visit aren't in this
+  // session; the number on the receipt (A-042) still finds them
+  const findOrderByNumber = async (e) => {
+    e.preventDefault()
+    if (!orderNumber.trim()) return
+
+    setFindingOrder(true)
+    try {
+      const order = await UnifiedOrderService.trackOrderByNumber(orderNumber, restaurantId)
+      onClose()
+      navigate(`/order/${order.id}`)
+    } catch (error) {
+      toast.error(error.message)
+    } finally {
+      setFindingOrder(false)
+    }
+  }
+
   const setupRealtimeSubscription = async () => {
     try {
       // Subscribe to customer order updates using UnifiedOrderService
@@ -70,6 +100,23 @@ const OrderTracking = ({ sessionId, isOpen, onClose }) => {
     }
   }
 
+  // scope: 'order' for the selected order, 'all' for every order listed here
+  const downloadInvoice = async (scope) => {
+    try {
+      setDownloadingInvoice(scope)
+      const orderIds = scope === 'all'
+        ? orders.filter(order => order.status !== 'cancelled').map(order => order.id)
+        : [currentOrder.id]
+      const invoice = await InvoiceService.getOrdersInvoice(orderIds)
+      await InvoiceService.downloadPdf(invoice)
+    } catch (error) {
+      console.error('❌ Error downloading invoice:', error)
+      toast.error('Failed to download invoice')
+    } finally {
+      setDownloadingInvoice(null)
+    }
+  }
+
   const orderStatuses = [
     { 
       id: 'pending', 
@@ -153,6 +200,22 @@ const OrderTracking = ({ sessionId, isOpen, onClose }) => {
           ) : !currentOrder ? (
             <div className="text-center py-8">
               <p className="text-gray-600">No orders found for this session</p>
+              <form onSubmit={findOrderByNumber} className="mt-4 flex gap-2 max-w-xs mx-auto">
+                <input
+                  type="text"
+                  value={orderNumber}
+                  onChange={(e) => setOrderNumber(e.target.value)}
+                  placeholder="Order # (e.g. A-042)"
+                  className="flex-1 px-3 py-2 border border-gray-200 rounded-lg text-sm focus:ring-2 focus:ring-black focus:border-transparent"
+                />
+                <button
+                  type="submit"
+                  disabled={findingOrder || !orderNumber.trim()}
+                  className="px-4 py-2 bg-black text-white rounded-lg text-sm font-medium disabled:opacity-50"
+                >
+                  {findingOrder ? 'Finding...' : 'Find'}
+                </button>
+              </form>
             </div>
           ) : (
             <div className="space-y-6">
@@ -160,7 +223,7 @@ const OrderTracking = ({ sessionId, isOpen, onClose }) => {
               <div className="bg-gray-50 rounded-lg p-4">
                 <div className="flex justify-between items-start mb-2">
                   <div>
-                    <h4 className="font-semibold text-black">Order #{currentOrder.order_number}</h4>
+                    <h4 className="font-semibold text-black">Order #{getOrderDisplayNumber(currentOrder)}</h4>
                     <p className="text-sm text-gray-600">
                       Placed at {new Date(currentOrder.created_at).toLocaleTimeString()}
                     </p>
@@ -330,6 +393,45 @@ const OrderTracking = ({ sessionId, isOpen, onClose }) => {
                 </div>
               )}
 
+              {/* Invoice */}
+              {currentOrder.status !== 'cancelled' && (
+                <div className="flex gap-3">
+                  <button
+                    onClick={() => downloadInvoice('order')}
+                    disabled={downloadingInvoice !== null}
+                    className="flex-1 flex items-center justify-center gap-2 p-3 rounded-lg border-2 border-gray-200 hover:border-gray-300 transition-all disabled:opacity-50"
+                  >
+                    <DocumentArrowDownIcon className="h-5 w-5 text-black" />
+                    <span className="font-medium text-black">
+                      {downloadingInvoice === 'order' ? 'Preparing...' : 'Download Invoice'}
+                    </span>
+                  </button>
+                  {orders.length > 1 && (
+                    <button
+                      onClick={() => downloadInvoice('all')}
+                      disabled={downloadingInvoice !== null}
+                      className="flex-1 flex items-center justify-center gap-2 p-3 rounded-lg border-2 border-gray-200 hover:border-gray-300 transition-all disabled:opacity-50"
+                    >
+                      <DocumentArrowDownIcon className="h-5 w-5 text-black" />
+                      <span className="font-medium text-black">
+                        {downloadingInvoice === 'all' ? 'Preparing...' : 'Full Bill'}
+                      </span>
+                    </button>
+                  )}
+                </div>
+              )}
+
+              {/* Split the table's bill */}
+              {tableId && (
+                <button
+                  onClick={() => setShowSplitBill(true)}
+                  className="w-full flex items-center justify-center gap-2 p-3 rounded-lg border-2 border-gray-200 hover:border-gray-300 transition-all"
+                >
+                  <UsersIcon className="h-5 w-5 text-black" />
+                  <span className="font-medium text-black">Split the Bill</span>
+                </button>
+              )}
+
               {/* All Orders History */}
               {orders.length > 1 && (
                 <div className="space-y-4">
@@ -347,7 +449,7 @@ const OrderTracking = ({ sessionId, isOpen, onClose }) => {
                       >
                         <div className="flex justify-between items-center">
                           <div>
-                            <p className="font-medium text-black">Order #{order.order_number}</p>
+                            <p className="font-medium text-black">Order #{getOrderDisplayNumber(order)}</p>
                             <p className="text-sm text-gray-600">
                               {new Date(order.created_at).toLocaleString()}
                             </p>
@@ -372,6 +474,17 @@ const OrderTracking = ({ sessionId, isOpen, onClose }) => {
           )}
         </motion.div>
       </motion.div>
+
+      {showSplitBill && (
+        <SplitBillModal
+          isOpen={showSplitBill}
+          onClose={() => setShowSplitBill(false)}
+          restaurantId={restaurantId}
+          tableId={tableId}
+          sessionId={sessionId}
+          currentCustomer={currentCustomer}
+        />
+      )}
     </AnimatePresence>
   )
 }
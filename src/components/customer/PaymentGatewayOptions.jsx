@@ -0,0 +1,117 @@
+import React from 'react'
+import { CreditCardIcon, DevicePhoneMobileIcon, BeakerIcon } from '@heroicons/react/24/outline'
+import UpiAdapter from '../../services/payments/upiAdapter'
+
+const ACTION_GREEN = '#00C853'
+const DARK_TEXT = '#212121'
+const MEDIUM_GRAY = '#666666'
+
+const GATEWAY_ICONS = {
+  upi: DevicePhoneMobileIcon,
+  mock: BeakerIcon
+}
+
+const GATEWAY_DESCRIPTIONS = {
+  razorpay: 'UPI, cards, netbanking & wallets',
+  stripe: 'Credit or debit card',
+  upi: 'Pay with any UPI app or UPI ID',
+  mock: 'Offline test gateway - no money moves'
+}
+
+/**
+ * Online payment gateway picker used in checkout
+ * Lists the gateways configured for this build; UPI additionally asks for
+ * intent (open app) vs collect (UPI ID).
+ */
+const PaymentGatewayOptions = ({
+  gateways,
+  selectedGateway,
+  onSelect,
+  upiFlow,
+  onUpiFlowChange,
+  upiVpa,
+  onUpiVpaChange
+}) => {
+  if (!gateways.length) {
+    return (
+      <div className="w-full p-3 rounded-xl border border-gray-200 flex items-center justify-between opacity-50">
+        <span className="text-sm" style={{ color: DARK_TEXT }}>Online payments</span>
+        <span className="text-xs px-2 py-1 bg-gray-100 rounded" style={{ color: MEDIUM_GRAY }}>
+          Unavailable
+        </span>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-2">
+      {gateways.map((gateway) => {
+        const Icon = GATEWAY_ICONS[gateway.name] || CreditCardIcon
+        const isSelected = selectedGateway === gateway.name
+
+        return (
+          <div key={gateway.name}>
+            <button
+              type="button"
+              onClick={() => onSelect(gateway.name)}
+              className={`w-full p-4 rounded-xl border-2 flex items-center justify-between transition-all ${
+                isSelected ? 'border-green-500 bg-green-50' : 'border-gray-200'
+              }`}
+            >
+              <div className="flex items-center gap-3 text-left">
+                <div className="w-10 h-10 bg-gray-100 rounded-lg flex items-center justify-center">
+                  <Icon className="w-6 h-6" style={{ color: ACTION_GREEN }} />
+                </div>
+                <div>
+                  <span className="block text-sm font-semibold" style={{ color: DARK_TEXT }}>{gateway.label}</span>
+                  <span className="block text-xs" style={{ color: MEDIUM_GRAY }}>{GATEWAY_DESCRIPTIONS[gateway.name]}</span>
+                </div>
+              </div>
+              <div className="w-5 h-5 rounded-full border-2 flex items-center justify-center"
+                style={{ borderColor: isSelected ? ACTION_GREEN : '#E0E0E0' }}>
+                {isSelected && (
+                  <div className="w-3 h-3 rounded-full" style={{ backgroundColor: ACTION_GREEN }}></div>
+                )}
+              </div>
+            </button>
+
+            {/* UPI intent / collect */}
+            {isSelected && gateway.name === 'upi' && (
+              <div className="mt-2 p-3 rounded-xl bg-gray-50 space-y-2">
+                <div className="grid grid-cols-2 gap-2">
+                  {[
+                    { flow: UpiAdapter.FLOWS.INTENT, label: 'Open UPI app' },
+                    { flow: UpiAdapter.FLOWS.COLLECT, label: 'Enter UPI ID' }
+                  ].map(option => (
+                    <button
+                      key={option.flow}
+                      type="button"
+                      onClick={() => onUpiFlowChange(option.flow)}
+                      className={`py-2 rounded-lg border text-xs font-medium ${
+                        upiFlow === option.flow ? 'border-green-500 bg-white' : 'border-gray-200'
+                      }`}
+                      style={{ color: DARK_TEXT }}
+                    >
+                      {option.label}
+                    </button>
+                  ))}
+                </div>
+                {upiFlow === UpiAdapter.FLOWS.COLLECT && (
+                  <input
+                    type="text"
+                    value={upiVpa}
+                    onChange={(e) => onUpiVpaChange(e.target.value.trim())}
+                    placeholder="yourname@upi"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                  />
+                )}
+              </div>
+            )}
+          </div>
+        )
+      })}
+    </div>
+  )
+}
+
+export default PaymentGatewayOptions
@@ -11,7 +11,8 @@ import {
   ArrowDownIcon
 } from '@heroicons/react/24/outline'
 import ordyrrCoin from '../../assets/ordyrr coin.png'
-import { supabase } from '../../config/supabase'
+import LoyaltyService from '../../services/loyaltyService'
+import { LOYALTY_TRANSACTION_LABELS } from '../../utils/loyaltyUtils'
 
 // Ordyrr Brand Colors
 const ACTION_GREEN = '#00C853'
@@ -29,15 +30,7 @@ const ProfileModal = ({ isOpen, onClose, currentCustomer, loyaltyPoints, onViewO
     
     setLoadingHistory(true)
     try {
-      const { data, error } = await supabase
-        .from('loyalty_points')
-        .select('*')
-        .eq('customer_id', currentCustomer.id)
-        .order('created_at', { ascending: false })
-        .limit(50)
-      
-      if (error) throw error
-      setCoinsTransactions(data || [])
+      setCoinsTransactions(await LoyaltyService.getHistory(currentCustomer.id))
     } catch (error) {
       console.error('Error fetching coins history:', error)
     } finally {
@@ -239,9 +232,8 @@ const ProfileModal = ({ isOpen, onClose, currentCustomer, loyaltyPoints, onViewO
               ) : (
                 <div className="space-y-3">
                   {coinsTransactions.map((transaction) => {
-                    const isEarned = transaction.points_earned > 0
-                    const isRedeemed = transaction.points_redeemed > 0
-                    const amount = isEarned ? transaction.points_earned : transaction.points_redeemed
+                    const isEarned = transaction.points > 0
+                    const amount = Math.abs(transaction.points)
                     
                     return (
                       <motion.div
@@ -263,7 +255,7 @@ const ProfileModal = ({ isOpen, onClose, currentCustomer, loyaltyPoints, onViewO
                             </div>
                             <div>
                               <p className="text-sm font-bold" style={{ color: DARK_TEXT }}>
-                                {isEarned ? 'Earned' : 'Redeemed'}
+                                {LOYALTY_TRANSACTION_LABELS[transaction.transaction_type] || (isEarned ? 'Earned' : 'Redeemed')}
                               </p>
                               <p className="text-xs" style={{ color: MEDIUM_GRAY }}>
                                 {new Date(transaction.created_at).toLocaleDateString('en-US', {
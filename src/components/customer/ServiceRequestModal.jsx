@@ -0,0 +1,197 @@
+import React, { useState, useEffect } from 'react'
+import { motion, AnimatePresence } from 'framer-motion'
+import { XMarkIcon, BellAlertIcon, CheckCircleIcon, ClockIcon } from '@heroicons/react/24/outline'
+import ServiceRequestService from '../../services/serviceRequestService'
+import {
+  SERVICE_REQUEST_LABELS,
+  SERVICE_REQUEST_STATUS,
+  getServiceRequestLabel,
+  isServiceRequestOpen
+} from '../../utils/serviceRequestUtils'
+import toast from 'react-hot-toast'
+
+// Ordyrr Brand Colors
+const ACTION_GREEN = '#00C853'
+const DARK_TEXT = '#212121'
+const MEDIUM_GRAY = '#666666'
+
+const STATUS_TEXT = {
+  [SERVICE_REQUEST_STATUS.PENDING]: 'Waiting for staff',
+  [SERVICE_REQUEST_STATUS.ACKNOWLEDGED]: 'On the way',
+  [SERVICE_REQUEST_STATUS.RESOLVED]: 'Done',
+  [SERVICE_REQUEST_STATUS.CANCELLED]: 'Cancelled'
+}
+
+/**
+ * Ask the staff for water, cutlery, the bill or help from the table.
+ * Requests are kept by the parent (CustomerMenu) so realtime updates from
+ * staff can move them along while this sheet is closed.
+ */
+const ServiceRequestModal = ({
+  isOpen,
+  onClose,
+  restaurantId,
+  tableId,
+  tableNumber,
+  sessionId,
+  customerName,
+  requests = [],
+  onRequestsChange
+}) => {
+  const [sending, setSending] = useState(null)
+  const [note, setNote] = useState('')
+
+  useEffect(() => {
+    if (isOpen && tableId && sessionId) {
+      ServiceRequestService.getSessionRequests(tableId, sessionId)
+        .then(onRequestsChange)
+        .catch(error => console.warn('⚠️ Could not load service requests:', error))
+    }
+  }, [isOpen, tableId, sessionId])
+
+  const openRequests = requests.filter(isServiceRequestOpen)
+  const isOpenType = (type) => openRequests.some(request => request.request_type === type)
+
+  const sendRequest = async (requestType) => {
+    if (sending) return
+
+    setSending(requestType)
+    try {
+      const { request, duplicate } = await ServiceRequestService.createRequest({
+        restaurantId,
+        tableId,
+        tableNumber,
+        sessionId,
+        requestType,
+        note,
+        customerName
+      })
+
+      onRequestsChange(prev => [request, ...prev.filter(existing => existing.id !== request.id)])
+      setNote('')
+
+      const { label } = getServiceRequestLabel(requestType)
+      if (duplicate) {
+        toast(`${label} is already requested - staff are on it`, { icon: '🛎️' })
+      } else {
+        toast.success(`${label} requested!`)
+      }
+    } catch (error) {
+      console.error('❌ Error sending service request:', error)
+      toast.error('Could not reach the staff. Please try again.')
+    } finally {
+      setSending(null)
+    }
+  }
+
+  if (!isOpen) return null
+
+  return (
+    <AnimatePresence>
+      <motion.div
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        exit={{ opacity: 0 }}
+        className="fixed inset-0 bg-black/50 z-50 flex items-end sm:items-center justify-center"
+        onClick={onClose}
+      >
+        <motion.div
+          initial={{ y: 50, opacity: 0 }}
+          animate={{ y: 0, opacity: 1 }}
+          exit={{ y: 50, opacity: 0 }}
+          className="bg-white rounded-t-2xl sm:rounded-2xl w-full max-w-md max-h-[90vh] overflow-y-auto"
+          onClick={(e) => e.stopPropagation()}
+        >
+          {/* Header */}
+          <div className="sticky top-0 bg-white p-4 border-b flex items-center justify-between">
+            <div className="flex items-center gap-2">
+              <BellAlertIcon className="w-5 h-5" style={{ color: ACTION_GREEN }} />
+              <div>
+                <h3 className="text-base font-bold" style={{ color: DARK_TEXT }}>Call Staff</h3>
+                {tableNumber && <p className="text-xs" style={{ color: MEDIUM_GRAY }}>Table {tableNumber}</p>}
+              </div>
+            </div>
+            <button onClick={onClose} className="p-2 hover:bg-gray-100 rounded-lg">
+              <XMarkIcon className="w-5 h-5" style={{ color: DARK_TEXT }} />
+            </button>
+          </div>
+
+          <div className="p-4 space-y-5">
+            {/* Request types */}
+            <div className="grid grid-cols-2 gap-3">
+              {Object.entries(SERVICE_REQUEST_LABELS).map(([type, { label, emoji, description }]) => {
+                const alreadyOpen = isOpenType(type)
+                return (
+                  <motion.button
+                    key={type}
+                    whileTap={{ scale: 0.97 }}
+                    onClick={() => sendRequest(type)}
+                    disabled={Boolean(sending)}
+                    className={`p-4 rounded-xl border-2 text-left transition-colors disabled:opacity-60 ${
+                      alreadyOpen ? 'border-green-300 bg-green-50' : 'border-gray-200 hover:border-black'
+                    }`}
+                  >
+                    <span className="text-2xl">{emoji}</span>
+                    <p className="text-sm font-bold mt-1" style={{ color: DARK_TEXT }}>
+                      {sending === type ? 'Sending...' : label}
+                    </p>
+                    <p className="text-[11px]" style={{ color: MEDIUM_GRAY }}>
+                      {alreadyOpen ? 'Requested' : description}
+                    </p>
+                  </motion.button>
+                )
+              })}
+            </div>
+
+            {/* Optional note */}
+            <div>
+              <label className="block text-xs font-semibold mb-1" style={{ color: DARK_TEXT }}>
+                Anything we should know? (optional)
+              </label>
+              <input
+                type="text"
+                value={note}
+                onChange={(e) => setNote(e.target.value)}
+                maxLength={200}
+                placeholder="e.g. 2 glasses of warm water"
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-green-500 focus:border-transparent"
+              />
+            </div>
+
+            {/* This visit's requests */}
+            {requests.length > 0 && (
+              <div>
+                <h4 className="text-xs font-bold uppercase mb-2" style={{ color: MEDIUM_GRAY }}>Your requests</h4>
+                <div className="space-y-2">
+                  {requests.slice(0, 5).map(request => {
+                    const { label, emoji } = getServiceRequestLabel(request.request_type)
+                    const open = isServiceRequestOpen(request)
+                    return (
+                      <div key={request.id} className="flex items-center justify-between p-3 rounded-xl bg-gray-50">
+                        <div className="flex items-center gap-2">
+                          <span>{emoji}</span>
+                          <div>
+                            <p className="text-sm font-semibold" style={{ color: DARK_TEXT }}>{label}</p>
+                            <p className="text-[11px]" style={{ color: MEDIUM_GRAY }}>
+                              {new Date(request.created_at).toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' })}
+                            </p>
+                          </div>
+                        </div>
+                        <span className={`inline-flex items-center gap-1 text-xs font-medium ${open ? 'text-orange-600' : 'text-green-700'}`}>
+                          {open ? <ClockIcon className="w-4 h-4" /> : <CheckCircleIcon className="w-4 h-4" />}
+                          {STATUS_TEXT[request.status] || request.status}
+                        </span>
+                      </div>
+                    )
+                  })}
+                </div>
+              </div>
+            )}
+          </div>
+        </motion.div>
+      </motion.div>
+    </AnimatePresence>
+  )
+}
+
+export default ServiceRequestModal
@@ -0,0 +1,489 @@
+import React, { useState, useEffect, useMemo } from 'react'
+import { motion, AnimatePresence } from 'framer-motion'
+import {
+  XMarkIcon,
+  UsersIcon,
+  MinusIcon,
+  PlusIcon,
+  CheckCircleIcon,
+  BanknotesIcon,
+  ArrowPathIcon
+} from '@heroicons/react/24/outline'
+import SplitBillService from '../../services/splitBillService'
+import { getAvailableGateways } from '../../services/payments'
+import UpiAdapter from '../../services/payments/upiAdapter'
+import PaymentGatewayOptions from './PaymentGatewayOptions'
+import { formatModifierSummary } from '../../utils/modifierUtils'
+import {
+  SPLIT_METHODS,
+  SPLIT_METHOD_LABELS,
+  MIN_SPLIT_SHARES,
+  MAX_SPLIT_SHARES,
+  buildShares,
+  validateSplit,
+  getShareLabel
+} from '../../utils/splitBillUtils'
+import toast from 'react-hot-toast'
+
+// Ordyrr Brand Colors
+const ACTION_GREEN = '#00C853'
+const DARK_TEXT = '#212121'
+const MEDIUM_GRAY = '#666666'
+
+const SplitBillModal = ({ isOpen, onClose, restaurantId, tableId, sessionId, currentCustomer }) => {
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [bill, setBill] = useState(null)
+  const [split, setSplit] = useState(null)
+  const [editing, setEditing] = useState(false)
+
+  const [method, setMethod] = useState(SPLIT_METHODS.EQUAL)
+  const [shareCount, setShareCount] = useState(MIN_SPLIT_SHARES)
+  const [labels, setLabels] = useState([])
+  const [assignments, setAssignments] = useState({})
+  const [amounts, setAmounts] = useState([])
+
+  const [payingShare, setPayingShare] = useState(null)
+  const [selectedGateway, setSelectedGateway] = useState(null)
+  const [upiFlow, setUpiFlow] = useState(UpiAdapter.FLOWS.INTENT)
+  const [upiVpa, setUpiVpa] = useState('')
+  const [processingPayment, setProcessingPayment] = useState(false)
+
+  const availableGateways = useMemo(() => getAvailableGateways(), [])
+
+  useEffect(() => {
+    if (isOpen && tableId && sessionId) {
+      loadBill()
+    }
+  }, [isOpen, tableId, sessionId])
+
+  const loadBill = async () => {
+    try {
+      setLoading(true)
+      const result = await SplitBillService.getTableBill(tableId, restaurantId, sessionId)
+      setBill(result.bill)
+      setSplit(result.split)
+      setEditing(!result.split)
+    } catch (error) {
+      toast.error('Could not load the table bill')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const changeShareCount = (delta) => {
+    const next = Math.max(MIN_SPLIT_SHARES, Math.min(MAX_SPLIT_SHARES, shareCount + delta))
+    setShareCount(next)
+    setAmounts(prev => prev.slice(0, next))
+    setAssignments(prev => Object.fromEntries(
+      Object.entries(prev).map(([itemId, owners]) => [itemId, owners.filter(index => index < next)])
+    ))
+  }
+
+  const toggleAssignment = (itemId, shareIndex) => {
+    setAssignments(prev => {
+      const owners = prev[itemId] || []
+      return {
+        ...prev,
+        [itemId]: owners.includes(shareIndex)
+          ? owners.filter(index => index !== shareIndex)
+          : [...owners, shareIndex].sort((a, b) => a - b)
+      }
+    })
+  }
+
+  const customAmounts = Array.from({ length: shareCount }, (_, index) => amounts[index] ?? '')
+
+  const previewShares = useMemo(() => {
+    if (!bill) return []
+    return buildShares(bill, method, { shareCount, assignments, amounts: customAmounts, labels })
+  }, [bill, method, shareCount, assignments, amounts, labels])
+
+  const validation = useMemo(() => {
+    if (!bill) return { valid: false, errors: [] }
+    return validateSplit(bill, method, previewShares, assignments)
+  }, [bill, method, previewShares, assignments])
+
+  const handleCreateSplit = async () => {
+    if (!validation.valid) {
+      toast.error(validation.errors[0])
+      return
+    }
+
+    try {
+      setSaving(true)
+      const newSplit = await SplitBillService.createSplit({
+        restaurantId,
+        tableId,
+        sessionId,
+        method,
+        shareCount,
+        assignments,
+        amounts: customAmounts,
+        labels
+      })
+      setSplit(newSplit)
+      setEditing(false)
+      toast.success(`Bill split into ${newSplit.shares.length} shares`, { icon: '✂️' })
+    } catch (error) {
+      toast.error(error.message || 'Failed to split the bill')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handlePayShare = async () => {
+    const gatewayName = selectedGateway || availableGateways[0]?.name
+    if (!payingShare || !gatewayName) return
+
+    if (gatewayName === 'upi' && upiFlow === UpiAdapter.FLOWS.COLLECT && !upiVpa) {
+      toast.error('Please enter your UPI ID')
+      return
+    }
+
+    try {
+      setProcessingPayment(true)
+      const result = await SplitBillService.payShareOnline(payingShare, {
+        gateway: gatewayName,
+        paymentMethod: gatewayName === 'upi' ? 'upi' : 'online',
+        customer: {
+          name: currentCustomer?.full_name || currentCustomer?.name || payingShare.share_label,
+          phone: currentCustomer?.phone || '',
+          email: currentCustomer?.email || ''
+        },
+        sessionId,
+        checkoutOptions: { flow: upiFlow, vpa: upiVpa }
+      })
+
+      if (result.success) {
+        toast.success(result.data?.status === 'processing'
+          ? 'Waiting for payment confirmation'
+          : `${payingShare.share_label}'s share is paid!`)
+        setPayingShare(null)
+      } else {
+        toast.error(result.message || result.error || 'Payment failed')
+      }
+    } finally {
+      setProcessingPayment(false)
+      loadBill()
+    }
+  }
+
+  if (!isOpen) return null
+
+  const paidShares = split?.shares.filter(share => share.payment_status === 'completed') || []
+  const canChangeSplit = split && !split.shares.some(share => ['completed', 'processing'].includes(share.payment_status))
+
+  return (
+    <AnimatePresence>
+      <motion.div
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        exit={{ opacity: 0 }}
+        className="fixed inset-0 bg-black/50 z-50 flex items-end sm:items-center justify-center"
+        onClick={onClose}
+      >
+        <motion.div
+          initial={{ y: 50, opacity: 0 }}
+          animate={{ y: 0, opacity: 1 }}
+          exit={{ y: 50, opacity: 0 }}
+          className="bg-white rounded-t-2xl sm:rounded-2xl w-full max-w-md max-h-[90vh] overflow-y-auto"
+          onClick={(e) => e.stopPropagation()}
+        >
+          {/* Header */}
+          <div className="sticky top-0 bg-white p-4 border-b flex items-center justify-between">
+            <div className="flex items-center gap-2">
+              <UsersIcon className="w-5 h-5" style={{ color: ACTION_GREEN }} />
+              <h3 className="text-base font-bold" style={{ color: DARK_TEXT }}>Split the Bill</h3>
+            </div>
+            <button onClick={onClose} className="p-2 hover:bg-gray-100 rounded-lg">
+              <XMarkIcon className="w-5 h-5" style={{ color: DARK_TEXT }} />
+            </button>
+          </div>
+
+          {loading ? (
+            <div className="p-8 text-center">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-black mx-auto mb-4"></div>
+              <p className="text-sm" style={{ color: MEDIUM_GRAY }}>Loading table bill...</p>
+            </div>
+          ) : !bill || (bill.total <= 0 && !split) ? (
+            <div className="p-8 text-center">
+              <p className="text-sm" style={{ color: MEDIUM_GRAY }}>Nothing left to pay on this table.</p>
+            </div>
+          ) : (
+            <div className="p-4 space-y-5">
+              {/* Bill total */}
+              <div className="bg-gray-50 rounded-xl p-4 flex items-center justify-between">
+                <div>
+                  <p className="text-xs" style={{ color: MEDIUM_GRAY }}>Table total</p>
+                  <p className="text-xs" style={{ color: MEDIUM_GRAY }}>
+                    {bill.orders.length} order{bill.orders.length !== 1 ? 's' : ''} • {bill.items.length} item{bill.items.length !== 1 ? 's' : ''}
+                  </p>
+                </div>
+                <p className="text-xl font-bold" style={{ color: DARK_TEXT }}>₹{parseFloat(split?.total_amount ?? bill.total).toFixed(2)}</p>
+              </div>
+
+              {split && !editing ? (
+                /* Existing split - pay shares */
+                <div className="space-y-3">
+                  <div className="flex items-center justify-between">
+                    <h4 className="text-sm font-bold" style={{ color: DARK_TEXT }}>
+                      {SPLIT_METHOD_LABELS[split.method]} • {paidShares.length}/{split.shares.length} paid
+                    </h4>
+                    <div className="flex items-center gap-2">
+                      <button onClick={loadBill} className="p-1.5 hover:bg-gray-100 rounded-lg" title="Refresh">
+                        <ArrowPathIcon className="w-4 h-4" style={{ color: MEDIUM_GRAY }} />
+                      </button>
+                      {canChangeSplit && (
+                        <button
+                          onClick={() => setEditing(true)}
+                          className="text-xs font-semibold"
+                          style={{ color: ACTION_GREEN }}
+                        >
+                          Change split
+                        </button>
+                      )}
+                    </div>
+                  </div>
+
+                  {split.shares.map(share => {
+                    const isPaid = share.payment_status === 'completed'
+                    const isProcessing = share.payment_status === 'processing'
+
+                    return (
+                      <div
+                        key={share.id}
+                        className={`p-3 rounded-xl border-2 ${isPaid ? 'border-green-200 bg-green-50' : 'border-gray-200'}`}
+                      >
+                        <div className="flex items-center justify-between">
+                          <div>
+                            <p className="text-sm font-semibold" style={{ color: DARK_TEXT }}>{share.share_label}</p>
+                            {share.share_items?.length > 0 && (
+                              <p className="text-xs" style={{ color: MEDIUM_GRAY }}>
+                                {share.share_items.map(item => item.shared_with > 1 ? `${item.item_name} (1/${item.shared_with})` : item.item_name).join(', ')}
+                              </p>
+                            )}
+                          </div>
+                          <div className="text-right">
+                            <p className="text-sm font-bold" style={{ color: DARK_TEXT }}>₹{parseFloat(share.amount).toFixed(2)}</p>
+                            {isPaid ? (
+                              <span className="inline-flex items-center gap-1 text-xs font-medium text-green-700">
+                                <CheckCircleIcon className="w-3.5 h-3.5" /> Paid
+                              </span>
+                            ) : isProcessing ? (
+                              <span className="text-xs font-medium text-blue-600">Processing...</span>
+                            ) : (
+                              <button
+                                onClick={() => setPayingShare(payingShare?.id === share.id ? null : share)}
+                                className="text-xs font-bold"
+                                style={{ color: ACTION_GREEN }}
+                              >
+                                {payingShare?.id === share.id ? 'Cancel' : 'Pay now'}
+                              </button>
+                            )}
+                          </div>
+                        </div>
+
+                        {/* Pay this share */}
+                        {payingShare?.id === share.id && (
+                          <div className="mt-3 pt-3 border-t space-y-3">
+                            <PaymentGatewayOptions
+                              gateways={availableGateways}
+                              selectedGateway={selectedGateway || availableGateways[0]?.name}
+                              onSelect={setSelectedGateway}
+                              upiFlow={upiFlow}
+                              onUpiFlowChange={setUpiFlow}
+                              upiVpa={upiVpa}
+                              onUpiVpaChange={setUpiVpa}
+                            />
+                            {availableGateways.length > 0 && (
+                              <motion.button
+                                whileTap={{ scale: 0.98 }}
+                                onClick={handlePayShare}
+                                disabled={processingPayment}
+                                className="w-full py-3 text-black font-bold text-sm uppercase rounded-xl disabled:opacity-50"
+                                style={{ backgroundColor: ACTION_GREEN, boxShadow: '0 4px 0 0 #000000' }}
+                              >
+                                {processingPayment ? 'Processing...' : `Pay ₹${parseFloat(share.amount).toFixed(2)}`}
+                              </motion.button>
+                            )}
+                            <p className="text-xs flex items-center gap-1" style={{ color: MEDIUM_GRAY }}>
+                              <BanknotesIcon className="w-4 h-4" />
+                              Paying cash? Staff can collect this share at your table.
+                            </p>
+                          </div>
+                        )}
+                      </div>
+                    )
+                  })}
+                </div>
+              ) : (
+                /* New split */
+                <div className="space-y-5">
+                  {/* Method */}
+                  <div className="grid grid-cols-3 gap-2">
+                    {Object.values(SPLIT_METHODS).map(option => (
+                      <button
+                        key={option}
+                        onClick={() => setMethod(option)}
+                        className={`py-2 px-2 rounded-xl border-2 text-xs font-semibold transition-all ${
+                          method === option ? 'border-green-500 bg-green-50' : 'border-gray-200'
+                        }`}
+                        style={{ color: DARK_TEXT }}
+                      >
+                        {SPLIT_METHOD_LABELS[option]}
+                      </button>
+                    ))}
+                  </div>
+
+                  {/* People */}
+                  <div className="flex items-center justify-between">
+                    <span className="text-sm font-semibold" style={{ color: DARK_TEXT }}>People</span>
+                    <div className="flex items-center gap-3">
+                      <button
+                        onClick={() => changeShareCount(-1)}
+                        disabled={shareCount <= MIN_SPLIT_SHARES}
+                        className="w-8 h-8 rounded-full border border-gray-300 flex items-center justify-center disabled:opacity-40"
+                      >
+                        <MinusIcon className="w-4 h-4" />
+                      </button>
+                      <span className="text-base font-bold w-6 text-center" style={{ color: DARK_TEXT }}>{shareCount}</span>
+                      <button
+                        onClick={() => changeShareCount(1)}
+                        disabled={shareCount >= MAX_SPLIT_SHARES}
+                        className="w-8 h-8 rounded-full border border-gray-300 flex items-center justify-center disabled:opacity-40"
+                      >
+                        <PlusIcon className="w-4 h-4" />
+                      </button>
+                    </div>
+                  </div>
+
+                  {/* Names */}
+                  <div className="grid grid-cols-2 gap-2">
+                    {Array.from({ length: shareCount }, (_, index) => (
+                      <input
+                        key={index}
+                        type="text"
+                        value={labels[index] || ''}
+                        onChange={(e) => setLabels(prev => {
+                          const next = [...prev]
+                          next[index] = e.target.value
+                          return next
+                        })}
+                        placeholder={getShareLabel(index)}
+                        className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                      />
+                    ))}
+                  </div>
+
+                  {/* By item */}
+                  {method === SPLIT_METHODS.BY_ITEM && (
+                    <div className="space-y-2">
+                      <p className="text-xs" style={{ color: MEDIUM_GRAY }}>
+                        Tap who had each item. Shared items are divided between everyone ticked.
+                      </p>
+                      {bill.items.map(item => (
+                        <div key={item.id} className="p-3 rounded-xl bg-gray-50">
+                          <div className="flex items-center justify-between mb-2">
+                            <div className="min-w-0">
+                              <p className="text-sm font-medium truncate" style={{ color: DARK_TEXT }}>
+                                {item.quantity}× {item.item_name}
+                              </p>
+                              {item.modifiers.length > 0 && (
+                                <p className="text-xs truncate" style={{ color: MEDIUM_GRAY }}>
+                                  {formatModifierSummary(item.modifiers, { showPrices: false })}
+                                </p>
+                              )}
+                            </div>
+                            <span className="text-sm font-semibold ml-2" style={{ color: DARK_TEXT }}>₹{item.total_price.toFixed(2)}</span>
+                          </div>
+                          <div className="flex flex-wrap gap-1.5">
+                            {Array.from({ length: shareCount }, (_, index) => {
+                              const isAssigned = (assignments[item.id] || []).includes(index)
+                              return (
+                                <button
+                                  key={index}
+                                  onClick={() => toggleAssignment(item.id, index)}
+                                  className={`px-2.5 py-1 rounded-full text-xs font-medium border ${
+                                    isAssigned ? 'bg-green-500 border-green-500 text-white' : 'bg-white border-gray-300'
+                                  }`}
+                                  style={isAssigned ? {} : { color: DARK_TEXT }}
+                                >
+                                  {labels[index]?.trim() || getShareLabel(index)}
+                                </button>
+                              )
+                            })}
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+
+                  {/* Custom amounts */}
+                  {method === SPLIT_METHODS.CUSTOM && (
+                    <div className="space-y-2">
+                      {customAmounts.map((amount, index) => (
+                        <div key={index} className="flex items-center justify-between gap-3">
+                          <span className="text-sm" style={{ color: DARK_TEXT }}>{labels[index]?.trim() || getShareLabel(index)}</span>
+                          <input
+                            type="number"
+                            min="0"
+                            step="0.01"
+                            value={amount}
+                            onChange={(e) => setAmounts(() => {
+                              const next = [...customAmounts]
+                              next[index] = e.target.value
+                              return next
+                            })}
+                            placeholder="0.00"
+                            className="w-32 px-3 py-2 border border-gray-300 rounded-lg text-sm text-right focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                          />
+                        </div>
+                      ))}
+                    </div>
+                  )}
+
+                  {/* Preview */}
+                  <div className="border-t pt-4 space-y-2">
+                    {previewShares.map(share => (
+                      <div key={share.index} className="flex items-center justify-between text-sm">
+                        <span style={{ color: MEDIUM_GRAY }}>{share.label}</span>
+                        <span className="font-semibold" style={{ color: DARK_TEXT }}>₹{share.amount.toFixed(2)}</span>
+                      </div>
+                    ))}
+                    {!validation.valid && validation.errors.length > 0 && (
+                      <p className="text-xs text-red-600">{validation.errors[0]}</p>
+                    )}
+                  </div>
+
+                  <div className="flex gap-2">
+                    {split && (
+                      <button
+                        onClick={() => setEditing(false)}
+                        className="flex-1 py-3 rounded-xl border border-gray-300 text-sm font-semibold"
+                        style={{ color: DARK_TEXT }}
+                      >
+                        Back
+                      </button>
+                    )}
+                    <motion.button
+                      whileTap={{ scale: 0.98 }}
+                      onClick={handleCreateSplit}
+                      disabled={saving || !validation.valid}
+                      className="flex-1 py-3 text-black font-bold text-sm uppercase rounded-xl disabled:opacity-50"
+                      style={{ backgroundColor: ACTION_GREEN, boxShadow: '0 4px 0 0 #000000' }}
+                    >
+                      {saving ? 'Splitting...' : 'Split Bill'}
+                    </motion.button>
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+        </motion.div>
+      </motion.div>
+    </AnimatePresence>
+  )
+}
+
+export default SplitBillModal
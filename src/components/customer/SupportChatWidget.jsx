@@ -0,0 +1,297 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react'
+import { motion, AnimatePresence } from 'framer-motion'
+import {
+  ChatBubbleLeftRightIcon,
+  XMarkIcon,
+  PaperAirplaneIcon,
+  HandRaisedIcon
+} from '@heroicons/react/24/outline'
+import supportDataset from '../../data/chatSupportDataset.json'
+import SupportChatService from '../../services/supportChatService'
+import {
+  SUPPORT_REPLY_TYPES,
+  buildSupportIndex,
+  describeOrderStatus,
+  pickLine,
+  resolveSupportReply
+} from '../../utils/supportChatUtils'
+import toast from 'react-hot-toast'
+
+// Ordyrr Brand Colors
+const ACTION_GREEN = '#00C853'
+const DARK_TEXT = '#212121'
+const MEDIUM_GRAY = '#666666'
+
+// Don't let one table page the staff over and over
+const WAITER_CALL_COOLDOWN_MS = 60 * 1000
+
+const supportIndex = buildSupportIndex(supportDataset)
+
+/**
+ * Help widget for customer pages. Answers from chatSupportDataset.json,
+ * looks up the live order for "where is my order" and, at a table, can
+ * call a waiter when nothing fits.
+ */
+const SupportChatWidget = ({
+  restaurantId = null,
+  tableId = null,
+  tableNumber = null,
+  sessionId = null,
+  orderId = null,
+  customerName = null,
+  customerPhone = null,
+  launcherClassName = 'bottom-24 right-4'
+}) => {
+  const [isOpen, setIsOpen] = useState(false)
+  const [messages, setMessages] = useState([])
+  const [input, setInput] = useState('')
+  const [thinking, setThinking] = useState(false)
+  const [lastWaiterCall, setLastWaiterCall] = useState(0)
+  const messagesEnd = useRef(null)
+
+  const canCallWaiter = Boolean(restaurantId && tableId)
+  const hasOrderContext = Boolean(orderId || sessionId || (tableId && customerPhone))
+  const orderContext = useMemo(
+    () => ({ orderId, sessionId, tableId, customerPhone }),
+    [orderId, sessionId, tableId, customerPhone]
+  )
+
+  useEffect(() => {
+    if (isOpen && messages.length === 0) {
+      addBotMessage(pickLine(supportDataset.greetings))
+    }
+  }, [isOpen])
+
+  useEffect(() => {
+    messagesEnd.current?.scrollIntoView({ behavior: 'smooth' })
+  }, [messages, thinking])
+
+  const addMessage = (message) => {
+    setMessages(prev => [...prev, { id: `${Date.now()}-${prev.length}`, ...message }])
+  }
+
+  const addBotMessage = (text, extras = {}) => addMessage({ from: 'bot', text, ...extras })
+
+  const callWaiter = async (question = '') => {
+    if (Date.now() - lastWaiterCall < WAITER_CALL_COOLDOWN_MS) {
+      addBotMessage("A waiter has already been called - they'll be with you shortly.")
+      return
+    }
+
+    setThinking(true)
+    try {
+      const { notified } = await SupportChatService.callWaiter({
+        restaurantId,
+        tableId,
+        tableNumber,
+        sessionId,
+        customerName,
+        message: question
+      })
+      setLastWaiterCall(Date.now())
+      addBotMessage(notified === null
+        ? "A waiter has already been called - they'll be with you shortly."
+        : notified === 'staff'
+          ? "I've let the staff member looking after your table know. They'll be with you shortly. 🙋"
+          : "I've asked the restaurant to send a waiter to your table. 🙋")
+      if (notified) toast.success('Waiter called!')
+    } catch (error) {
+      console.error('❌ Error calling waiter:', error)
+      addBotMessage("Sorry, I couldn't reach the staff just now. Please wave to a server nearby.")
+    } finally {
+      setThinking(false)
+    }
+  }
+
+  const answerFromDataset = (reply, question) => {
+    if (reply.type === SUPPORT_REPLY_TYPES.ANSWER) {
+      addBotMessage(reply.entry.answer, { entry: reply.entry, related: reply.related })
+      return
+    }
+
+    addBotMessage(pickLine(supportDataset.fallback), {
+      related: reply.related,
+      offerWaiter: canCallWaiter,
+      question
+    })
+  }
+
+  const ask = async (question) => {
+    const text = question.trim()
+    if (!text || thinking) return
+
+    setInput('')
+    addMessage({ from: 'user', text })
+
+    const reply = resolveSupportReply(supportIndex, text, { hasOrder: hasOrderContext, canCallWaiter })
+
+    if (reply.type === SUPPORT_REPLY_TYPES.CALL_WAITER) {
+      await callWaiter(text)
+      return
+    }
+
+    if (reply.type === SUPPORT_REPLY_TYPES.ORDER_STATUS) {
+      setThinking(true)
+      try {
+        const order = await SupportChatService.getLatestOrder(orderContext)
+        if (order) {
+          addBotMessage(describeOrderStatus(order), { offerWaiter: canCallWaiter, question: text })
+          return
+        }
+        addBotMessage("I couldn't find an order from this table yet. Once you place one, I can tell you how it's going.")
+      } catch (error) {
+        console.error('❌ Error loading order for support chat:', error)
+        answerFromDataset(resolveSupportReply(supportIndex, text), text)
+      } finally {
+        setThinking(false)
+      }
+      return
+    }
+
+    answerFromDataset(reply, text)
+  }
+
+  return (
+    <>
+      {/* Launcher */}
+      {!isOpen && (
+        <motion.button
+          initial={{ scale: 0 }}
+          animate={{ scale: 1 }}
+          whileTap={{ scale: 0.9 }}
+          onClick={() => setIsOpen(true)}
+          className={`fixed ${launcherClassName} z-40 w-12 h-12 rounded-full border-2 border-black flex items-center justify-center`}
+          style={{ backgroundColor: ACTION_GREEN, boxShadow: '0 4px 0 0 #000000' }}
+          aria-label="Help"
+        >
+          <ChatBubbleLeftRightIcon className="w-6 h-6 text-black" />
+        </motion.button>
+      )}
+
+      <AnimatePresence>
+        {isOpen && (
+          <motion.div
+            initial={{ opacity: 0, y: 40 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: 40 }}
+            className="fixed inset-x-0 bottom-0 sm:inset-x-auto sm:right-4 sm:bottom-4 z-50 w-full sm:w-96 h-[70vh] sm:h-[32rem] bg-white rounded-t-2xl sm:rounded-2xl border-2 border-black flex flex-col overflow-hidden"
+          >
+            {/* Header */}
+            <div className="p-4 border-b flex items-center justify-between" style={{ backgroundColor: ACTION_GREEN }}>
+              <div>
+                <h3 className="text-base font-black text-black uppercase">Ordyrr Help</h3>
+                <p className="text-xs text-black/70">Ask about ordering, payments, your order...</p>
+              </div>
+              <button onClick={() => setIsOpen(false)} className="p-2 hover:bg-black/10 rounded-lg">
+                <XMarkIcon className="w-5 h-5 text-black" />
+              </button>
+            </div>
+
+            {/* Messages */}
+            <div className="flex-1 overflow-y-auto p-4 space-y-3 bg-gray-50">
+              {messages.map(message => (
+                <div key={message.id} className={`flex ${message.from === 'user' ? 'justify-end' : 'justify-start'}`}>
+                  <div className="max-w-[85%] space-y-2">
+                    <div
+                      className={`px-3 py-2 rounded-2xl text-sm ${
+                        message.from === 'user' ? 'bg-black text-white rounded-br-sm' : 'bg-white border border-gray-200 rounded-bl-sm'
+                      }`}
+                      style={message.from === 'bot' ? { color: DARK_TEXT } : {}}
+                    >
+                      {message.entry && (
+                        <p className="text-[10px] font-bold uppercase mb-1" style={{ color: MEDIUM_GRAY }}>
+                          {message.entry.icon} {message.entry.categoryName}
+                        </p>
+                      )}
+                      {message.text}
+                    </div>
+
+                    {message.offerWaiter && (
+                      <button
+                        onClick={() => callWaiter(message.question || '')}
+                        disabled={thinking}
+                        className="flex items-center gap-1.5 px-3 py-1.5 rounded-full border-2 border-black text-xs font-bold text-black disabled:opacity-50"
+                        style={{ backgroundColor: ACTION_GREEN }}
+                      >
+                        <HandRaisedIcon className="w-4 h-4" />
+                        Call a waiter
+                      </button>
+                    )}
+
+                    {message.related?.length > 0 && (
+                      <div className="flex flex-wrap gap-1.5">
+                        {message.related.map(entry => (
+                          <button
+                            key={entry.id}
+                            onClick={() => ask(entry.question)}
+                            className="px-2.5 py-1 rounded-full bg-white border border-gray-300 text-xs hover:border-black"
+                            style={{ color: DARK_TEXT }}
+                          >
+                            {entry.question}
+                          </button>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                </div>
+              ))}
+
+              {thinking && (
+                <div className="flex justify-start">
+                  <div className="px-3 py-2 rounded-2xl bg-white border border-gray-200 text-sm" style={{ color: MEDIUM_GRAY }}>
+                    ...
+                  </div>
+                </div>
+              )}
+
+              {/* Quick replies until the customer asks something */}
+              {messages.length <= 1 && (
+                <div className="flex flex-wrap gap-1.5 pt-2">
+                  {supportDataset.quickReplies.map(reply => (
+                    <button
+                      key={reply}
+                      onClick={() => ask(reply)}
+                      className="px-3 py-1.5 rounded-full bg-white border border-gray-300 text-xs font-medium hover:border-black"
+                      style={{ color: DARK_TEXT }}
+                    >
+                      {reply}
+                    </button>
+                  ))}
+                </div>
+              )}
+              <div ref={messagesEnd} />
+            </div>
+
+            {/* Input */}
+            <form
+              onSubmit={(e) => {
+                e.preventDefault()
+                ask(input)
+              }}
+              className="p-3 border-t flex gap-2"
+            >
+              <input
+                type="text"
+                value={input}
+                onChange={(e) => setInput(e.target.value)}
+                placeholder="Type your question..."
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-full text-sm focus:ring-2 focus:ring-green-500 focus:border-transparent"
+              />
+              <button
+                type="submit"
+                disabled={!input.trim() || thinking}
+                className="w-10 h-10 rounded-full border-2 border-black flex items-center justify-center disabled:opacity-50"
+                style={{ backgroundColor: ACTION_GREEN }}
+                aria-label="Send"
+              >
+                <PaperAirplaneIcon className="w-5 h-5 text-black" />
+              </button>
+            </form>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </>
+  )
+}
+
+export default SupportChatWidget
@@ -0,0 +1,256 @@
+import React, { useState, useEffect } from 'react'
+import { motion, AnimatePresence } from 'framer-motion'
+import {
+  XMarkIcon,
+  CalendarDaysIcon,
+  MinusIcon,
+  PlusIcon,
+  CheckCircleIcon
+} from '@heroicons/react/24/outline'
+import ReservationService from '../../services/reservationService'
+import { DEFAULT_RESERVATION_SETTINGS, formatReservationTime, toDateKey } from '../../utils/reservationUtils'
+import toast from 'react-hot-toast'
+
+// Ordyrr Brand Colors
+const ACTION_GREEN = '#00C853'
+const DARK_TEXT = '#212121'
+const MEDIUM_GRAY = '#666666'
+
+const TableBookingModal = ({ isOpen, onClose, restaurant, currentCustomer = null }) => {
+  const [dateKey, setDateKey] = useState(toDateKey())
+  const [partySize, setPartySize] = useState(2)
+  const [slots, setSlots] = useState([])
+  const [settings, setSettings] = useState(DEFAULT_RESERVATION_SETTINGS)
+  const [selectedTime, setSelectedTime] = useState(null)
+  const [loadingSlots, setLoadingSlots] = useState(false)
+  const [guest, setGuest] = useState({ name: '', phone: '', notes: '' })
+  const [booking, setBooking] = useState(false)
+  const [confirmed, setConfirmed] = useState(null)
+
+  useEffect(() => {
+    if (isOpen) {
+      setConfirmed(null)
+      setGuest(prev => ({
+        ...prev,
+        name: prev.name || currentCustomer?.name || '',
+        phone: prev.phone || currentCustomer?.phone || ''
+      }))
+    }
+  }, [isOpen, currentCustomer])
+
+  useEffect(() => {
+    if (isOpen && restaurant?.id) loadSlots()
+  }, [isOpen, restaurant?.id, dateKey, partySize])
+
+  const loadSlots = async () => {
+    setLoadingSlots(true)
+    setSelectedTime(null)
+    try {
+      const result = await ReservationService.getSlotAvailability({ restaurantId: restaurant.id, dateKey, partySize })
+      setSettings(result.settings)
+      setSlots(result.slots)
+    } catch (error) {
+      console.error('❌ Error loading booking slots:', error)
+      setSlots([])
+      toast.error('Could not load available times')
+    } finally {
+      setLoadingSlots(false)
+    }
+  }
+
+  const handleBook = async () => {
+    if (!selectedTime) return
+    if (!guest.name.trim() || !guest.phone.trim()) {
+      toast.error('Please enter your name and phone number')
+      return
+    }
+
+    setBooking(true)
+    try {
+      const reservation = await ReservationService.bookTable({
+        restaurantId: restaurant.id,
+        partySize,
+        reservedFor: selectedTime,
+        customerName: guest.name,
+        customerPhone: guest.phone,
+        customerId: currentCustomer?.customerId || null,
+        notes: guest.notes
+      })
+      setConfirmed(reservation)
+      toast.success('Table booked!')
+    } catch (error) {
+      console.error('❌ Booking failed:', error)
+      toast.error(error.message || 'Booking failed. Please try again.')
+      loadSlots()
+    } finally {
+      setBooking(false)
+    }
+  }
+
+  if (!isOpen) return null
+
+  const maxDate = new Date()
+  maxDate.setDate(maxDate.getDate() + settings.advance_days)
+  const restaurantName = restaurant?.restaurant_name || restaurant?.name || 'Restaurant'
+
+  return (
+    <AnimatePresence>
+      <motion.div
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        exit={{ opacity: 0 }}
+        className="fixed inset-0 bg-black/50 z-50 flex items-end sm:items-center justify-center"
+        onClick={onClose}
+      >
+        <motion.div
+          initial={{ y: 50, opacity: 0 }}
+          animate={{ y: 0, opacity: 1 }}
+          exit={{ y: 50, opacity: 0 }}
+          className="bg-white rounded-t-2xl sm:rounded-2xl w-full max-w-md max-h-[90vh] overflow-y-auto"
+          onClick={(e) => e.stopPropagation()}
+        >
+          {/* Header */}
+          <div className="sticky top-0 bg-white p-4 border-b flex items-center justify-between">
+            <div className="flex items-center gap-2 min-w-0">
+              <CalendarDaysIcon className="w-5 h-5 flex-shrink-0" style={{ color: ACTION_GREEN }} />
+              <h3 className="text-base font-bold truncate" style={{ color: DARK_TEXT }}>Book a Table · {restaurantName}</h3>
+            </div>
+            <button onClick={onClose} className="p-2 hover:bg-gray-100 rounded-lg">
+              <XMarkIcon className="w-5 h-5" style={{ color: DARK_TEXT }} />
+            </button>
+          </div>
+
+          {confirmed ? (
+            <div className="p-8 text-center">
+              <CheckCircleIcon className="w-16 h-16 mx-auto mb-4" style={{ color: ACTION_GREEN }} />
+              <p className="text-lg font-bold mb-1" style={{ color: DARK_TEXT }}>You're booked!</p>
+              <p className="text-sm mb-1" style={{ color: MEDIUM_GRAY }}>
+                {new Date(confirmed.reserved_for).toLocaleDateString('en-IN', { weekday: 'short', day: 'numeric', month: 'short' })}
+                {' at '}{formatReservationTime(confirmed.reserved_for)} · {confirmed.party_size} guests
+              </p>
+              <p className="text-xs mb-6" style={{ color: MEDIUM_GRAY }}>
+                We'll hold your table for {settings.hold_minutes} minutes after your booking time.
+              </p>
+              <button
+                onClick={onClose}
+                className="w-full py-3 rounded-xl font-bold text-sm uppercase text-black border-2 border-black"
+                style={{ backgroundColor: ACTION_GREEN }}
+              >
+                Done
+              </button>
+            </div>
+          ) : (
+            <div className="p-4 space-y-5">
+              {/* Date and party size */}
+              <div className="flex gap-3">
+                <div className="flex-1">
+                  <label className="block text-xs font-bold uppercase mb-1" style={{ color: MEDIUM_GRAY }}>Date</label>
+                  <input
+                    type="date"
+                    value={dateKey}
+                    min={toDateKey()}
+                    max={toDateKey(maxDate)}
+                    onChange={(e) => e.target.value && setDateKey(e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs font-bold uppercase mb-1" style={{ color: MEDIUM_GRAY }}>Guests</label>
+                  <div className="flex items-center gap-2">
+                    <button
+                      onClick={() => setPartySize(size => Math.max(1, size - 1))}
+                      className="p-2 border border-gray-300 rounded-lg hover:bg-gray-50"
+                    >
+                      <MinusIcon className="w-4 h-4" />
+                    </button>
+                    <span className="w-6 text-center font-bold" style={{ color: DARK_TEXT }}>{partySize}</span>
+                    <button
+                      onClick={() => setPartySize(size => Math.min(settings.max_party_size, size + 1))}
+                      className="p-2 border border-gray-300 rounded-lg hover:bg-gray-50"
+                    >
+                      <PlusIcon className="w-4 h-4" />
+                    </button>
+                  </div>
+                </div>
+              </div>
+
+              {/* Time slots */}
+              <div>
+                <label className="block text-xs font-bold uppercase mb-2" style={{ color: MEDIUM_GRAY }}>Time</label>
+                {loadingSlots ? (
+                  <div className="py-6 text-center">
+                    <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-black mx-auto"></div>
+                  </div>
+                ) : !settings.enabled ? (
+                  <p className="text-sm py-4 text-center" style={{ color: MEDIUM_GRAY }}>This restaurant isn't taking online bookings right now.</p>
+                ) : slots.length === 0 ? (
+                  <p className="text-sm py-4 text-center" style={{ color: MEDIUM_GRAY }}>No times left on this day. Try another date.</p>
+                ) : (
+                  <div className="grid grid-cols-4 gap-2">
+                    {slots.map(slot => {
+                      const isSelected = selectedTime?.getTime() === slot.time.getTime()
+                      return (
+                        <button
+                          key={slot.time.toISOString()}
+                          disabled={!slot.available}
+                          onClick={() => setSelectedTime(slot.time)}
+                          className={`py-2 rounded-lg text-xs font-bold border transition-colors ${
+                            isSelected
+                              ? 'text-white border-black'
+                              : slot.available
+                                ? 'bg-white border-gray-300 hover:border-black'
+                                : 'bg-gray-100 border-gray-200 text-gray-400 line-through cursor-not-allowed'
+                          }`}
+                          style={isSelected ? { backgroundColor: ACTION_GREEN } : slot.available ? { color: DARK_TEXT } : {}}
+                        >
+                          {formatReservationTime(slot.time)}
+                        </button>
+                      )
+                    })}
+                  </div>
+                )}
+              </div>
+
+              {/* Guest details */}
+              <div className="space-y-3">
+                <input
+                  type="text"
+                  value={guest.name}
+                  onChange={(e) => setGuest({ ...guest, name: e.target.value })}
+                  placeholder="Your name"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                />
+                <input
+                  type="tel"
+                  value={guest.phone}
+                  onChange={(e) => setGuest({ ...guest, phone: e.target.value })}
+                  placeholder="Phone number"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                />
+                <input
+                  type="text"
+                  value={guest.notes}
+                  onChange={(e) => setGuest({ ...guest, notes: e.target.value })}
+                  placeholder="Special requests (optional)"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                />
+              </div>
+
+              <motion.button
+                whileTap={{ scale: 0.98 }}
+                onClick={handleBook}
+                disabled={!selectedTime || booking}
+                className="w-full py-3.5 text-black font-bold text-sm uppercase rounded-xl disabled:opacity-50"
+                style={{ backgroundColor: ACTION_GREEN, boxShadow: '0 4px 0 0 #000000' }}
+              >
+                {booking ? 'Booking...' : selectedTime ? `Book for ${formatReservationTime(selectedTime)}` : 'Pick a time'}
+              </motion.button>
+            </div>
+          )}
+        </motion.div>
+      </motion.div>
+    </AnimatePresence>
+  )
+}
+
+export default TableBookingModal
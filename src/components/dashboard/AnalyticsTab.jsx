@@ -23,8 +23,9 @@ import {
   AreaChart,
   Area
 } from 'recharts'
+import OrderSlaPanel from './OrderSlaPanel'
 
-const AnalyticsTab = ({ stats, revenueData, orders, staff, menuItems }) => {
+const AnalyticsTab = ({ stats, revenueData, orders, staff, menuItems, restaurantId }) => {
   const [timeRange, setTimeRange] = useState('7d')
 
   // Process real-time data for analytics
@@ -379,6 +380,9 @@ const AnalyticsTab = ({ stats, revenueData, orders, staff, menuItems }) => {
         </div>
       </div>
 
+      {/* Order SLAs */}
+      {restaurantId && <OrderSlaPanel restaurantId={restaurantId} />}
+
       {/* Summary Cards */}
       <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
         <div className="bg-gradient-to-r from-orange-500 to-red-500 rounded-xl p-6 text-white">
@@ -0,0 +1,442 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react'
+import {
+  ArrowsPointingOutIcon,
+  LinkIcon,
+  PlusIcon,
+  ScissorsIcon,
+  TrashIcon
+} from '@heroicons/react/24/outline'
+import tableService from '../../services/tableService'
+import {
+  FLOOR_CELL_SIZE,
+  SECTION_COLORS,
+  TABLE_SHAPES,
+  TABLE_SHAPE_LABELS,
+  canMergeTables,
+  clampRect,
+  findSectionForTable,
+  getTableRect,
+  mergeTableGroup,
+  placeUnpositionedTables,
+  splitTableGroup
+} from '../../utils/floorPlanUtils'
+import toast from 'react-hot-toast'
+
+/**
+ * Floor plan editor: drag tables and sections around the grid, resize
+ * sections from their corner, set table shapes and merge neighbouring tables
+ * into one party. Nothing is saved until Save Layout.
+ */
+const FloorPlanEditor = ({ restaurant, onClose, onSaved }) => {
+  const [plan, setPlan] = useState(null)
+  const [tables, setTables] = useState([])
+  const [selectedTableIds, setSelectedTableIds] = useState([])
+  const [selectedSectionId, setSelectedSectionId] = useState(null)
+  const [newSectionName, setNewSectionName] = useState('')
+  const [loading, setLoading] = useState(false)
+  const [isSaving, setIsSaving] = useState(false)
+  const canvasRef = useRef(null)
+  const dragRef = useRef(null)
+
+  const tableNumbers = useMemo(() => Object.fromEntries(tables.map(table => [table.id, table.table_number])), [tables])
+  const selectedTables = tables.filter(table => selectedTableIds.includes(table.id))
+  const selectedSection = plan?.sections.find(section => section.id === selectedSectionId) || null
+  const selectedGroupId = selectedTables.length === 1
+    ? (selectedTables[0].merged_into || (tables.some(table => table.merged_into === selectedTables[0].id) ? selectedTables[0].id : null))
+    : null
+
+  useEffect(() => {
+    if (restaurant?.id) loadLayout()
+  }, [restaurant?.id])
+
+  const loadLayout = async () => {
+    try {
+      setLoading(true)
+      const [floorPlan, restaurantTables] = await Promise.all([
+        tableService.getFloorPlan(restaurant.id),
+        tableService.getRestaurantTables(restaurant.id)
+      ])
+      setPlan(floorPlan)
+      setTables(placeUnpositionedTables(restaurantTables, floorPlan))
+    } catch (error) {
+      console.error('❌ Error loading floor plan:', error)
+      toast.error('Failed to load floor plan')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const updateTable = (tableId, changes) => {
+    setTables(prev => prev.map(table => table.id === tableId ? { ...table, ...changes } : table))
+  }
+
+  const updateSection = (sectionId, changes) => {
+    setPlan(prev => ({
+      ...prev,
+      sections: prev.sections.map(section => section.id === sectionId ? { ...section, ...changes } : section)
+    }))
+  }
+
+  // Dragging works in whole grid cells: the pointer's offset from where the
+  // drag started decides the new position (or size, from a section corner)
+  const startDrag = (event, kind, item, mode = 'move') => {
+    event.stopPropagation()
+    canvasRef.current?.setPointerCapture(event.pointerId)
+    dragRef.current = {
+      kind,
+      id: item.id,
+      mode,
+      startX: event.clientX,
+      startY: event.clientY,
+      origin: kind === 'table' ? getTableRect(item) : { x: item.x, y: item.y, width: item.width, height: item.height },
+      moved: false
+    }
+  }
+
+  const handlePointerMove = (event) => {
+    const drag = dragRef.current
+    if (!drag) return
+
+    const dx = Math.round((event.clientX - drag.startX) / FLOOR_CELL_SIZE)
+    const dy = Math.round((event.clientY - drag.startY) / FLOOR_CELL_SIZE)
+    if (!dx && !dy && !drag.moved) return
+    drag.moved = true
+
+    const rect = clampRect(drag.mode === 'resize'
+      ? { ...drag.origin, width: drag.origin.width + dx, height: drag.origin.height + dy }
+      : { ...drag.origin, x: drag.origin.x + dx, y: drag.origin.y + dy }, plan)
+
+    if (drag.kind === 'table') {
+      updateTable(drag.id, { floor_x: rect.x, floor_y: rect.y })
+    } else {
+      updateSection(drag.id, rect)
+    }
+  }
+
+  const handlePointerUp = () => {
+    const drag = dragRef.current
+    dragRef.current = null
+    if (!drag || drag.moved) return
+
+    // A tap selects: tables add to the selection (for merging), sections replace it
+    if (drag.kind === 'table') {
+      setSelectedSectionId(null)
+      setSelectedTableIds(prev => prev.includes(drag.id) ? prev.filter(id => id !== drag.id) : [...prev, drag.id])
+    } else {
+      setSelectedTableIds([])
+      setSelectedSectionId(drag.id)
+    }
+  }
+
+  const handleShapeChange = (table, shape) => {
+    const width = shape === TABLE_SHAPES.RECTANGLE ? Math.max(getTableRect(table).width, 3) : getTableRect(table).height
+    updateTable(table.id, { floor_shape: shape, floor_width: width })
+  }
+
+  const handleAddSection = () => {
+    const name = newSectionName.trim()
+    if (!name) {
+      toast.error('Enter a section name')
+      return
+    }
+    if (plan.sections.some(section => section.name.toLowerCase() === name.toLowerCase())) {
+      toast.error('A section with this name already exists')
+      return
+    }
+
+    const section = {
+      id: `section-${Date.now()}`,
+      name,
+      x: 0,
+      y: 0,
+      width: Math.min(8, plan.columns),
+      height: Math.min(6, plan.rows),
+      color: SECTION_COLORS[plan.sections.length % SECTION_COLORS.length]
+    }
+    setPlan(prev => ({ ...prev, sections: [...prev.sections, section] }))
+    setSelectedSectionId(section.id)
+    setSelectedTableIds([])
+    setNewSectionName('')
+  }
+
+  const handleDeleteSection = (sectionId) => {
+    setPlan(prev => ({ ...prev, sections: prev.sections.filter(section => section.id !== sectionId) }))
+    setSelectedSectionId(null)
+  }
+
+  const handleMerge = () => {
+    if (!canMergeTables(selectedTables)) {
+      toast.error('Only tables next to each other can be merged')
+      return
+    }
+    setTables(prev => mergeTableGroup(prev, selectedTableIds))
+    toast.success(`Tables ${selectedTables.map(table => table.table_number).join(' + ')} merged`)
+    setSelectedTableIds([selectedTableIds[0]])
+  }
+
+  const handleSplit = () => {
+    setTables(prev => splitTableGroup(prev, selectedTables[0].id))
+    setSelectedTableIds([])
+  }
+
+  const handleSave = async () => {
+    try {
+      setIsSaving(true)
+      await tableService.saveFloorPlan(restaurant.id, plan, tables)
+      toast.success('Floor plan saved')
+      onSaved?.()
+    } catch (error) {
+      toast.error(error.message || 'Failed to save floor plan')
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  if (!plan) {
+    return (
+      <div className="bg-white rounded-xl p-8 border border-gray-200 text-center text-sm text-gray-500">
+        {loading ? 'Loading floor plan...' : 'Floor plan not available'}
+      </div>
+    )
+  }
+
+  return (
+    <div className="bg-white rounded-xl p-4 md:p-6 border border-gray-200 space-y-4">
+      <div className="flex flex-col lg:flex-row gap-3 lg:items-center lg:justify-between">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">Edit Floor Plan</h3>
+          <p className="text-xs text-gray-500">Drag tables and sections. Tap tables to select them, then merge neighbours.</p>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <label className="flex items-center gap-1 text-xs text-gray-600">
+            Grid
+            <input
+              type="number"
+              min="8"
+              max="60"
+              value={plan.columns}
+              onChange={(e) => setPlan({ ...plan, columns: Math.min(60, Math.max(8, parseInt(e.target.value) || 8)) })}
+              className="w-16 px-2 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-orange-500 focus:border-transparent"
+            />
+            ×
+            <input
+              type="number"
+              min="6"
+              max="40"
+              value={plan.rows}
+              onChange={(e) => setPlan({ ...plan, rows: Math.min(40, Math.max(6, parseInt(e.target.value) || 6)) })}
+              className="w-16 px-2 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-orange-500 focus:border-transparent"
+            />
+          </label>
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-gray-600 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors font-medium text-sm"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={isSaving}
+            className="px-4 py-2 bg-orange-500 text-white rounded-lg hover:bg-orange-600 disabled:opacity-50 transition-colors font-medium text-sm"
+          >
+            {isSaving ? 'Saving...' : 'Save Layout'}
+          </button>
+        </div>
+      </div>
+
+      <div className="flex flex-col xl:flex-row gap-4">
+        <div className="flex-1 overflow-auto rounded-lg border border-gray-200">
+          <div
+            ref={canvasRef}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerDown={() => {
+              setSelectedTableIds([])
+              setSelectedSectionId(null)
+            }}
+            className="relative bg-gray-50 touch-none select-none"
+            style={{
+              width: plan.columns * FLOOR_CELL_SIZE,
+              height: plan.rows * FLOOR_CELL_SIZE,
+              backgroundImage: 'linear-gradient(to right, #e5e7eb 1px, transparent 1px), linear-gradient(to bottom, #e5e7eb 1px, transparent 1px)',
+              backgroundSize: `${FLOOR_CELL_SIZE}px ${FLOOR_CELL_SIZE}px`
+            }}
+          >
+            {plan.sections.map(section => (
+              <div
+                key={section.id}
+                onPointerDown={(e) => startDrag(e, 'section', section)}
+                className={`absolute rounded-lg border-2 border-dashed cursor-move ${
+                  section.id === selectedSectionId ? 'border-orange-500' : 'border-gray-300'
+                }`}
+                style={{
+                  left: section.x * FLOOR_CELL_SIZE,
+                  top: section.y * FLOOR_CELL_SIZE,
+                  width: section.width * FLOOR_CELL_SIZE,
+                  height: section.height * FLOOR_CELL_SIZE,
+                  backgroundColor: section.color
+                }}
+              >
+                <span className="absolute top-1 left-2 text-[11px] font-semibold text-gray-600 uppercase tracking-wide">
+                  {section.name}
+                </span>
+                <span
+                  onPointerDown={(e) => startDrag(e, 'section', section, 'resize')}
+                  className="absolute bottom-0 right-0 p-0.5 bg-white/80 rounded-tl cursor-se-resize"
+                >
+                  <ArrowsPointingOutIcon className="h-3 w-3 text-gray-500" />
+                </span>
+              </div>
+            ))}
+
+            {tables.map(table => {
+              const rect = getTableRect(table)
+              const selected = selectedTableIds.includes(table.id)
+              return (
+                <div
+                  key={table.id}
+                  onPointerDown={(e) => startDrag(e, 'table', table)}
+                  className={`absolute flex flex-col items-center justify-center border-2 bg-white shadow-sm cursor-move ${
+                    table.floor_shape === 'round' ? 'rounded-full' : 'rounded-lg'
+                  } ${selected ? 'border-orange-500 ring-2 ring-orange-200' : 'border-gray-400'} ${
+                    table.merged_into ? 'border-dashed' : ''
+                  }`}
+                  style={{
+                    left: rect.x * FLOOR_CELL_SIZE + 2,
+                    top: rect.y * FLOOR_CELL_SIZE + 2,
+                    width: rect.width * FLOOR_CELL_SIZE - 4,
+                    height: rect.height * FLOOR_CELL_SIZE - 4
+                  }}
+                >
+                  <span className="text-sm font-bold text-gray-900 leading-tight">{table.table_number}</span>
+                  <span className="text-[10px] text-gray-500 leading-tight">
+                    {table.merged_into ? `with ${tableNumbers[table.merged_into] || '?'}` : `${table.capacity} seats`}
+                  </span>
+                </div>
+              )
+            })}
+          </div>
+        </div>
+
+        {/* Side panel */}
+        <div className="xl:w-72 space-y-4">
+          <div className="space-y-2">
+            <p className="text-sm font-medium text-gray-700">Sections</p>
+            <div className="flex gap-2">
+              <input
+                type="text"
+                value={newSectionName}
+                onChange={(e) => setNewSectionName(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && handleAddSection()}
+                placeholder="e.g. Patio"
+                className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-orange-500 focus:border-transparent"
+              />
+              <button onClick={handleAddSection} className="p-2 text-white bg-orange-500 rounded-lg hover:bg-orange-600">
+                <PlusIcon className="h-4 w-4" />
+              </button>
+            </div>
+            <p className="text-xs text-gray-500">Tables inside a section take its name as their location on save.</p>
+          </div>
+
+          {selectedSection && (
+            <div className="rounded-lg border border-gray-200 p-3 space-y-3">
+              <input
+                type="text"
+                value={selectedSection.name}
+                onChange={(e) => updateSection(selectedSection.id, { name: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-orange-500 focus:border-transparent"
+              />
+              <div className="flex gap-2">
+                {SECTION_COLORS.map(color => (
+                  <button
+                    key={color}
+                    onClick={() => updateSection(selectedSection.id, { color })}
+                    className={`w-6 h-6 rounded-full border-2 ${selectedSection.color === color ? 'border-gray-900' : 'border-gray-200'}`}
+                    style={{ backgroundColor: color }}
+                  />
+                ))}
+              </div>
+              <p className="text-xs text-gray-500">
+                {tables.filter(table => findSectionForTable([selectedSection], getTableRect(table))).length} tables inside
+              </p>
+              <button
+                onClick={() => handleDeleteSection(selectedSection.id)}
+                className="flex items-center gap-1 text-sm text-red-600 hover:text-red-700"
+              >
+                <TrashIcon className="h-4 w-4" />
+                Delete section
+              </button>
+            </div>
+          )}
+
+          {selectedTables.length === 1 && (
+            <div className="rounded-lg border border-gray-200 p-3 space-y-3">
+              <p className="text-sm font-semibold text-gray-900">Table {selectedTables[0].table_number}</p>
+              <div className="flex gap-2">
+                {Object.values(TABLE_SHAPES).map(shape => (
+                  <button
+                    key={shape}
+                    onClick={() => handleShapeChange(selectedTables[0], shape)}
+                    className={`flex-1 px-2 py-1.5 rounded-lg text-xs font-medium ${
+                      (selectedTables[0].floor_shape || 'square') === shape
+                        ? 'bg-orange-100 text-orange-700 border border-orange-300'
+                        : 'bg-gray-100 text-gray-600 border border-gray-200'
+                    }`}
+                  >
+                    {TABLE_SHAPE_LABELS[shape]}
+                  </button>
+                ))}
+              </div>
+              <div className="grid grid-cols-2 gap-2">
+                {[['floor_width', 'Width'], ['floor_height', 'Depth']].map(([key, label]) => (
+                  <label key={key} className="text-xs text-gray-600">
+                    {label} (cells)
+                    <input
+                      type="number"
+                      min="1"
+                      max="8"
+                      value={getTableRect(selectedTables[0])[key === 'floor_width' ? 'width' : 'height']}
+                      onChange={(e) => updateTable(selectedTables[0].id, { [key]: Math.min(8, Math.max(1, parseInt(e.target.value) || 1)) })}
+                      className="mt-1 w-full px-2 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-orange-500 focus:border-transparent"
+                    />
+                  </label>
+                ))}
+              </div>
+              {selectedGroupId && (
+                <button
+                  onClick={handleSplit}
+                  className="flex items-center gap-1 px-3 py-2 text-sm font-medium text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200"
+                >
+                  <ScissorsIcon className="h-4 w-4" />
+                  Split merged tables
+                </button>
+              )}
+            </div>
+          )}
+
+          {selectedTables.length > 1 && (
+            <div className="rounded-lg border border-gray-200 p-3 space-y-2">
+              <p className="text-sm text-gray-700">
+                {selectedTables.map(table => table.table_number).join(' + ')} ·{' '}
+                {selectedTables.reduce((sum, table) => sum + (table.capacity || 0), 0)} seats
+              </p>
+              <button
+                onClick={handleMerge}
+                disabled={!canMergeTables(selectedTables)}
+                className="flex items-center gap-1 px-3 py-2 text-sm font-medium text-white bg-orange-500 rounded-lg hover:bg-orange-600 disabled:opacity-50"
+              >
+                <LinkIcon className="h-4 w-4" />
+                Merge into {selectedTables[0].table_number}
+              </button>
+              {!canMergeTables(selectedTables) && (
+                <p className="text-xs text-gray-500">Move the tables next to each other to merge them</p>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default FloorPlanEditor
@@ -0,0 +1,628 @@
+import React, { useState, useEffect, useMemo } from 'react'
+import { motion } from 'framer-motion'
+import {
+  ArchiveBoxIcon,
+  PlusIcon,
+  PencilIcon,
+  TrashIcon,
+  XMarkIcon,
+  ArrowPathIcon,
+  ExclamationTriangleIcon,
+  BeakerIcon
+} from '@heroicons/react/24/outline'
+import InventoryService, { INVENTORY_UNITS, STOCK_STATUS } from '../../services/inventoryService'
+import toast from 'react-hot-toast'
+
+const EMPTY_ITEM = {
+  name: '',
+  category: '',
+  unit: 'kg',
+  current_stock: '',
+  minimum_stock: '',
+  cost_per_unit: ''
+}
+
+const STATUS_BADGES = {
+  [STOCK_STATUS.IN_STOCK]: { label: 'In stock', className: 'bg-green-100 text-green-700' },
+  [STOCK_STATUS.LOW]: { label: 'Low', className: 'bg-amber-100 text-amber-700' },
+  [STOCK_STATUS.OUT]: { label: 'Out', className: 'bg-red-100 text-red-700' }
+}
+
+const ADJUST_REASONS = [
+  { id: 'restock', label: 'Restock', sign: 1 },
+  { id: 'adjustment', label: 'Stock count correction', sign: 1 },
+  { id: 'waste', label: 'Waste / spoilage', sign: -1 }
+]
+
+const formatQuantity = (value) => {
+  const number = parseFloat(value) || 0
+  return Number.isInteger(number) ? number : number.toFixed(3).replace(/\.?0+$/, '')
+}
+
+const InventoryTab = ({ restaurantId, menuItems = [], onMenuItemsChanged }) => {
+  const [items, setItems] = useState([])
+  const [recipes, setRecipes] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [view, setView] = useState('ingredients')
+
+  const [editingItem, setEditingItem] = useState(null) // EMPTY_ITEM for a new one
+  const [adjustingItem, setAdjustingItem] = useState(null)
+  const [adjustment, setAdjustment] = useState({ reason: 'restock', quantity: '', note: '' })
+  const [recipeMenuItem, setRecipeMenuItem] = useState(null)
+  const [recipeLines, setRecipeLines] = useState([])
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    if (restaurantId) {
+      fetchInventory()
+    }
+  }, [restaurantId])
+
+  const fetchInventory = async () => {
+    try {
+      setLoading(true)
+      const [inventoryItems, recipeRows] = await Promise.all([
+        InventoryService.getInventoryItems(restaurantId),
+        InventoryService.getRecipes(restaurantId)
+      ])
+      setItems(inventoryItems)
+      setRecipes(recipeRows)
+    } catch (error) {
+      console.error('Error fetching inventory:', error)
+      toast.error('Failed to load inventory')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const recipesByMenuItem = useMemo(() => {
+    return recipes.reduce((groups, line) => {
+      groups[line.menu_item_id] = [...(groups[line.menu_item_id] || []), line]
+      return groups
+    }, {})
+  }, [recipes])
+
+  const counts = useMemo(() => {
+    return items.reduce((totals, item) => {
+      totals[InventoryService.getStockStatus(item)] += 1
+      return totals
+    }, { [STOCK_STATUS.IN_STOCK]: 0, [STOCK_STATUS.LOW]: 0, [STOCK_STATUS.OUT]: 0 })
+  }, [items])
+
+  const handleSaveItem = async () => {
+    try {
+      setSaving(true)
+      await InventoryService.saveInventoryItem(restaurantId, editingItem)
+      toast.success(editingItem.id ? 'Ingredient updated' : 'Ingredient added')
+      setEditingItem(null)
+      await fetchInventory()
+    } catch (error) {
+      toast.error(error.message || 'Failed to save ingredient')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleDeleteItem = async (item) => {
+    const usedIn = recipes.filter(line => line.inventory_item_id === item.id).length
+    const warning = usedIn > 0 ? `\n\nIt is used in ${usedIn} recipe(s) and will be removed from them.` : ''
+    if (!window.confirm(`Delete ${item.name}?${warning}`)) return
+
+    try {
+      await InventoryService.deleteInventoryItem(item.id)
+      toast.success('Ingredient deleted')
+      await fetchInventory()
+    } catch (error) {
+      toast.error(error.message || 'Failed to delete ingredient')
+    }
+  }
+
+  const openAdjust = (item) => {
+    setAdjustingItem(item)
+    setAdjustment({ reason: 'restock', quantity: '', note: '' })
+  }
+
+  const handleAdjustStock = async () => {
+    const reason = ADJUST_REASONS.find(option => option.id === adjustment.reason)
+    const quantity = parseFloat(adjustment.quantity)
+    if (!quantity) {
+      toast.error('Enter a quantity')
+      return
+    }
+
+    try {
+      setSaving(true)
+      // Corrections can go either way; restock and waste take a positive amount
+      const change = reason.id === 'adjustment' ? quantity : Math.abs(quantity) * reason.sign
+      const stockAfter = await InventoryService.adjustStock(adjustingItem, change, reason.id, adjustment.note || null)
+      toast.success(`${adjustingItem.name}: ${formatQuantity(stockAfter)} ${adjustingItem.unit} in stock`, { icon: '📦' })
+      setAdjustingItem(null)
+      await fetchInventory()
+      onMenuItemsChanged?.()
+    } catch (error) {
+      toast.error(error.message || 'Failed to update stock')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const openRecipe = (menuItem) => {
+    setRecipeMenuItem(menuItem)
+    setRecipeLines((recipesByMenuItem[menuItem.id] || []).map(line => ({
+      inventory_item_id: line.inventory_item_id,
+      quantity: line.quantity,
+      is_required: line.is_required
+    })))
+  }
+
+  const updateRecipeLine = (index, changes) => {
+    setRecipeLines(lines => lines.map((line, i) => (i === index ? { ...line, ...changes } : line)))
+  }
+
+  const handleSaveRecipe = async () => {
+    try {
+      setSaving(true)
+      await InventoryService.saveRecipe(restaurantId, recipeMenuItem.id, recipeLines)
+      toast.success(`Recipe saved for ${recipeMenuItem.name}`)
+      setRecipeMenuItem(null)
+      await fetchInventory()
+    } catch (error) {
+      toast.error(error.message || 'Failed to save recipe')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-16">
+        <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-orange-500"></div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="bg-gradient-to-r from-white to-orange-50 rounded-xl p-4 md:p-6 shadow-sm border border-neutral-200">
+        <div className="flex flex-col md:flex-row gap-4 md:items-center md:justify-between">
+          <div className="flex items-center gap-3">
+            <div className="p-2 bg-orange-100 rounded-lg">
+              <ArchiveBoxIcon className="h-6 w-6 text-orange-600" />
+            </div>
+            <div>
+              <h2 className="text-xl font-bold text-neutral-900">Inventory</h2>
+              <p className="text-neutral-600 text-sm mt-1">Ingredients are deducted automatically for every order</p>
+            </div>
+          </div>
+          <div className="flex flex-col sm:flex-row gap-2">
+            <motion.button
+              whileHover={{ scale: 1.02 }}
+              whileTap={{ scale: 0.98 }}
+              onClick={fetchInventory}
+              className="flex items-center justify-center gap-2 px-4 py-2.5 text-orange-600 border border-orange-200 rounded-lg hover:bg-orange-50 hover:border-orange-300 transition-all duration-200 font-medium"
+            >
+              <ArrowPathIcon className="h-4 w-4" />
+              <span>Refresh</span>
+            </motion.button>
+            <motion.button
+              whileHover={{ scale: 1.02 }}
+              whileTap={{ scale: 0.98 }}
+              onClick={() => setEditingItem({ ...EMPTY_ITEM })}
+              className="flex items-center justify-center gap-2 px-4 py-2.5 bg-gradient-to-r from-orange-500 to-orange-600 text-white rounded-lg hover:from-orange-600 hover:to-orange-700 transition-all duration-200 font-medium shadow-sm"
+            >
+              <PlusIcon className="h-4 w-4" />
+              <span>Add Ingredient</span>
+            </motion.button>
+          </div>
+        </div>
+
+        <div className="flex flex-wrap gap-2 mt-4">
+          {Object.entries(STATUS_BADGES).map(([status, badge]) => (
+            <span key={status} className={`px-3 py-1 rounded-full text-xs font-semibold ${badge.className}`}>
+              {badge.label}: {counts[status]}
+            </span>
+          ))}
+        </div>
+      </div>
+
+      {/* View toggle */}
+      <div className="flex gap-2">
+        {[
+          { id: 'ingredients', label: `Ingredients (${items.length})` },
+          { id: 'recipes', label: 'Recipes' }
+        ].map(option => (
+          <button
+            key={option.id}
+            onClick={() => setView(option.id)}
+            className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+              view === option.id ? 'bg-orange-500 text-white' : 'bg-white text-neutral-700 border border-neutral-200 hover:bg-neutral-50'
+            }`}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+
+      {view === 'ingredients' && (
+        <div className="bg-white rounded-xl shadow-sm border border-neutral-200 overflow-hidden">
+          {items.length === 0 ? (
+            <div className="text-center py-12 px-4">
+              <ArchiveBoxIcon className="h-12 w-12 text-neutral-300 mx-auto mb-3" />
+              <p className="text-neutral-600 font-medium">No ingredients yet</p>
+              <p className="text-neutral-500 text-sm mt-1">Add ingredients, then link them to menu items under Recipes</p>
+            </div>
+          ) : (
+            <div className="divide-y divide-neutral-100">
+              {items.map(item => {
+                const badge = STATUS_BADGES[InventoryService.getStockStatus(item)]
+                return (
+                  <div key={item.id} className="flex flex-col sm:flex-row sm:items-center gap-3 p-4">
+                    <div className="flex-1 min-w-0">
+                      <div className="flex items-center gap-2">
+                        <p className="font-semibold text-neutral-900 truncate">{item.name}</p>
+                        <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${badge.className}`}>{badge.label}</span>
+                      </div>
+                      <p className="text-xs text-neutral-500 mt-1">
+                        {[item.category, `Reorder at ${formatQuantity(item.minimum_stock)} ${item.unit}`, item.cost_per_unit && `₹${item.cost_per_unit}/${item.unit}`].filter(Boolean).join(' • ')}
+                      </p>
+                    </div>
+                    <div className="text-lg font-bold text-neutral-900 sm:w-32 sm:text-right">
+                      {formatQuantity(item.current_stock)} <span className="text-sm font-medium text-neutral-500">{item.unit}</span>
+                    </div>
+                    <div className="flex items-center gap-2">
+                      <button
+                        onClick={() => openAdjust(item)}
+                        className="px-3 py-1.5 bg-orange-50 text-orange-700 rounded-lg text-sm font-medium hover:bg-orange-100 transition-colors"
+                      >
+                        Update Stock
+                      </button>
+                      <button
+                        onClick={() => setEditingItem({ ...item, cost_per_unit: item.cost_per_unit ?? '' })}
+                        className="p-2 text-neutral-500 hover:bg-neutral-100 rounded-lg transition-colors"
+                        title="Edit"
+                      >
+                        <PencilIcon className="h-4 w-4" />
+                      </button>
+                      <button
+                        onClick={() => handleDeleteItem(item)}
+                        className="p-2 text-red-500 hover:bg-red-50 rounded-lg transition-colors"
+                        title="Delete"
+                      >
+                        <TrashIcon className="h-4 w-4" />
+                      </button>
+                    </div>
+                  </div>
+                )
+              })}
+            </div>
+          )}
+        </div>
+      )}
+
+      {view === 'recipes' && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+          {menuItems.length === 0 && (
+            <p className="text-neutral-500 text-sm">Add menu items first.</p>
+          )}
+          {menuItems.map(menuItem => {
+            const lines = recipesByMenuItem[menuItem.id] || []
+            return (
+              <button
+                key={menuItem.id}
+                onClick={() => openRecipe(menuItem)}
+                className="text-left bg-white rounded-xl p-4 shadow-sm border border-neutral-200 hover:border-orange-300 hover:shadow-md transition-all"
+              >
+                <div className="flex items-center justify-between gap-2">
+                  <p className="font-semibold text-neutral-900 truncate">{menuItem.name}</p>
+                  {menuItem.disabled_by_inventory && (
+                    <span className="flex items-center gap-1 px-2 py-0.5 bg-red-100 text-red-700 rounded-full text-xs font-semibold flex-shrink-0">
+                      <ExclamationTriangleIcon className="h-3 w-3" />
+                      Out of stock
+                    </span>
+                  )}
+                </div>
+                <p className="text-xs text-neutral-500 mt-1">
+                  {lines.length > 0
+                    ? lines.map(line => `${formatQuantity(line.quantity)} ${line.inventory_items?.unit || ''} ${line.inventory_items?.name || ''}`.trim()).join(', ')
+                    : 'No recipe - stock is not tracked for this item'}
+                </p>
+              </button>
+            )
+          })}
+        </div>
+      )}
+
+      {/* Add / Edit Ingredient Modal */}
+      {editingItem && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-xl max-w-md w-full max-h-[85vh] flex flex-col shadow-2xl">
+            <div className="p-4 sm:p-6 border-b border-neutral-200 flex-shrink-0">
+              <div className="flex items-center justify-between">
+                <h3 className="text-lg sm:text-xl font-bold text-neutral-900">{editingItem.id ? 'Edit Ingredient' : 'Add Ingredient'}</h3>
+                <button
+                  onClick={() => setEditingItem(null)}
+                  className="p-2 hover:bg-neutral-100 rounded-lg transition-colors"
+                >
+                  <XMarkIcon className="h-5 w-5" />
+                </button>
+              </div>
+            </div>
+
+            <div className="p-4 sm:p-6 space-y-3 sm:space-y-4 flex-1 overflow-y-auto">
+              <div>
+                <label className="block text-sm font-medium text-neutral-700 mb-2">Name</label>
+                <input
+                  type="text"
+                  value={editingItem.name}
+                  onChange={(e) => setEditingItem({ ...editingItem, name: e.target.value })}
+                  placeholder="e.g., Paneer"
+                  className="w-full px-3 py-2 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-transparent"
+                />
+              </div>
+
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label className="block text-sm font-medium text-neutral-700 mb-2">Category</label>
+                  <input
+                    type="text"
+                    value={editingItem.category || ''}
+                    onChange={(e) => setEditingItem({ ...editingItem, category: e.target.value })}
+                    placeholder="e.g., Dairy"
+                    className="w-full px-3 py-2 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-transparent"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-neutral-700 mb-2">Unit</label>
+                  <select
+                    value={editingItem.unit}
+                    onChange={(e) => setEditingItem({ ...editingItem, unit: e.target.value })}
+                    className="w-full px-3 py-2 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-transparent"
+                  >
+                    {INVENTORY_UNITS.map(unit => (
+                      <option key={unit} value={unit}>{unit}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              <div className="grid grid-cols-2 gap-3">
+                {!editingItem.id && (
+                  <div>
+                    <label className="block text-sm font-medium text-neutral-700 mb-2">Opening Stock</label>
+                    <input
+                      type="number"
+                      value={editingItem.current_stock}
+                      onChange={(e) => setEditingItem({ ...editingItem, current_stock: e.target.value })}
+                      placeholder="0"
+                      min="0"
+                      step="0.001"
+                      className="w-full px-3 py-2 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-transparent"
+                    />
+                  </div>
+                )}
+                <div>
+                  <label className="block text-sm font-medium text-neutral-700 mb-2">Reorder Level</label>
+                  <input
+                    type="number"
+                    value={editingItem.minimum_stock}
+                    onChange={(e) => setEditingItem({ ...editingItem, minimum_stock: e.target.value })}
+                    placeholder="0"
+                    min="0"
+                    step="0.001"
+                    className="w-full px-3 py-2 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-transparent"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-neutral-700 mb-2">Cost per {editingItem.unit} (₹)</label>
+                  <input
+                    type="number"
+                    value={editingItem.cost_per_unit}
+                    onChange={(e) => setEditingItem({ ...editingItem, cost_per_unit: e.target.value })}
+                    placeholder="Optional"
+                    min="0"
+                    step="0.01"
+                    className="w-full px-3 py-2 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-transparent"
+                  />
+                </div>
+              </div>
+              {editingItem.id && (
+                <p className="text-xs text-neutral-500">Use Update Stock to change the quantity on hand.</p>
+              )}
+            </div>
+
+            <div className="p-4 sm:p-6 border-t border-neutral-200 flex gap-3 flex-shrink-0">
+              <button
+                onClick={() => setEditingItem(null)}
+                className="flex-1 px-4 py-2 border border-neutral-300 text-neutral-700 rounded-lg hover:bg-neutral-50 transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleSaveItem}
+                disabled={saving}
+                className="flex-1 px-4 py-2 bg-orange-500 text-white rounded-lg hover:bg-orange-600 transition-colors disabled:opacity-50"
+              >
+                {saving ? 'Saving...' : 'Save'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Update Stock Modal */}
+      {adjustingItem && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-xl max-w-md w-full shadow-2xl">
+            <div className="p-4 sm:p-6 border-b border-neutral-200">
+              <div className="flex items-center justify-between">
+                <div>
+                  <h3 className="text-lg sm:text-xl font-bold text-neutral-900">{adjustingItem.name}</h3>
+                  <p className="text-sm text-neutral-500">In stock: {formatQuantity(adjustingItem.current_stock)} {adjustingItem.unit}</p>
+                </div>
+                <button
+                  onClick={() => setAdjustingItem(null)}
+                  className="p-2 hover:bg-neutral-100 rounded-lg transition-colors"
+                >
+                  <XMarkIcon className="h-5 w-5" />
+                </button>
+              </div>
+            </div>
+
+            <div className="p-4 sm:p-6 space-y-3 sm:space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-neutral-700 mb-2">Reason</label>
+                <select
+                  value={adjustment.reason}
+                  onChange={(e) => setAdjustment({ ...adjustment, reason: e.target.value })}
+                  className="w-full px-3 py-2 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-transparent"
+                >
+                  {ADJUST_REASONS.map(reason => (
+                    <option key={reason.id} value={reason.id}>{reason.label}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-neutral-700 mb-2">
+                  {adjustment.reason === 'adjustment' ? `Change (${adjustingItem.unit}, negative to remove)` : `Quantity (${adjustingItem.unit})`}
+                </label>
+                <input
+                  type="number"
+                  value={adjustment.quantity}
+                  onChange={(e) => setAdjustment({ ...adjustment, quantity: e.target.value })}
+                  placeholder="0"
+                  step="0.001"
+                  className="w-full px-3 py-2 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-transparent"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-neutral-700 mb-2">Note</label>
+                <input
+                  type="text"
+                  value={adjustment.note}
+                  onChange={(e) => setAdjustment({ ...adjustment, note: e.target.value })}
+                  placeholder="Optional, e.g. supplier invoice number"
+                  className="w-full px-3 py-2 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-transparent"
+                />
+              </div>
+            </div>
+
+            <div className="p-4 sm:p-6 border-t border-neutral-200 flex gap-3">
+              <button
+                onClick={() => setAdjustingItem(null)}
+                className="flex-1 px-4 py-2 border border-neutral-300 text-neutral-700 rounded-lg hover:bg-neutral-50 transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleAdjustStock}
+                disabled={saving}
+                className="flex-1 px-4 py-2 bg-orange-500 text-white rounded-lg hover:bg-orange-600 transition-colors disabled:opacity-50"
+              >
+                {saving ? 'Saving...' : 'Update Stock'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Recipe Modal */}
+      {recipeMenuItem && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-xl max-w-lg w-full max-h-[85vh] flex flex-col shadow-2xl">
+            <div className="p-4 sm:p-6 border-b border-neutral-200 flex-shrink-0">
+              <div className="flex items-center justify-between">
+                <div>
+                  <h3 className="text-lg sm:text-xl font-bold text-neutral-900">Recipe - {recipeMenuItem.name}</h3>
+                  <p className="text-sm text-neutral-500">Quantities used for one serving</p>
+                </div>
+                <button
+                  onClick={() => setRecipeMenuItem(null)}
+                  className="p-2 hover:bg-neutral-100 rounded-lg transition-colors"
+                >
+                  <XMarkIcon className="h-5 w-5" />
+                </button>
+              </div>
+            </div>
+
+            <div className="p-4 sm:p-6 space-y-3 flex-1 overflow-y-auto">
+              {items.length === 0 ? (
+                <p className="text-sm text-neutral-500">Add ingredients first.</p>
+              ) : (
+                <>
+                  {recipeLines.map((line, index) => {
+                    const ingredient = items.find(item => item.id === line.inventory_item_id)
+                    return (
+                      <div key={index} className="flex items-center gap-2">
+                        <select
+                          value={line.inventory_item_id}
+                          onChange={(e) => updateRecipeLine(index, { inventory_item_id: e.target.value })}
+                          className="flex-1 min-w-0 px-3 py-2 border border-neutral-300 rounded-lg text-sm focus:ring-2 focus:ring-orange-500 focus:border-transparent"
+                        >
+                          <option value="">Select ingredient</option>
+                          {items.map(item => (
+                            <option key={item.id} value={item.id}>{item.name}</option>
+                          ))}
+                        </select>
+                        <input
+                          type="number"
+                          value={line.quantity}
+                          onChange={(e) => updateRecipeLine(index, { quantity: e.target.value })}
+                          placeholder="Qty"
+                          min="0"
+                          step="0.001"
+                          className="w-20 px-2 py-2 border border-neutral-300 rounded-lg text-sm focus:ring-2 focus:ring-orange-500 focus:border-transparent"
+                        />
+                        <span className="w-10 text-xs text-neutral-500">{ingredient?.unit || ''}</span>
+                        <label className="flex items-center gap-1 text-xs text-neutral-600" title="Hide the menu item when this runs out">
+                          <input
+                            type="checkbox"
+                            checked={line.is_required !== false}
+                            onChange={(e) => updateRecipeLine(index, { is_required: e.target.checked })}
+                            className="rounded border-neutral-300"
+                          />
+                          Required
+                        </label>
+                        <button
+                          onClick={() => setRecipeLines(lines => lines.filter((_, i) => i !== index))}
+                          className="p-1.5 text-red-500 hover:bg-red-50 rounded-lg transition-colors"
+                        >
+                          <TrashIcon className="h-4 w-4" />
+                        </button>
+                      </div>
+                    )
+                  })}
+                  <button
+                    onClick={() => setRecipeLines(lines => [...lines, { inventory_item_id: '', quantity: '', is_required: true }])}
+                    className="flex items-center gap-2 text-sm font-medium text-orange-600 hover:text-orange-700"
+                  >
+                    <BeakerIcon className="h-4 w-4" />
+                    Add ingredient
+                  </button>
+                </>
+              )}
+            </div>
+
+            <div className="p-4 sm:p-6 border-t border-neutral-200 flex gap-3 flex-shrink-0">
+              <button
+                onClick={() => setRecipeMenuItem(null)}
+                className="flex-1 px-4 py-2 border border-neutral-300 text-neutral-700 rounded-lg hover:bg-neutral-50 transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleSaveRecipe}
+                disabled={saving || items.length === 0}
+                className="flex-1 px-4 py-2 bg-orange-500 text-white rounded-lg hover:bg-orange-600 transition-colors disabled:opacity-50"
+              >
+                {saving ? 'Saving...' : 'Save Recipe'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default InventoryTab
@@ -0,0 +1,137 @@
+import React, { useState } from 'react'
+import {
+  ArrowPathIcon,
+  CheckCircleIcon,
+  ExclamationTriangleIcon,
+  ScaleIcon
+} from '@heroicons/react/24/outline'
+import LoyaltyService from '../../services/loyaltyService'
+import toast from 'react-hot-toast'
+
+const ISSUE_LABELS = {
+  missing_account: 'No cached account',
+  balance_mismatch: 'Balance differs',
+  lifetime_mismatch: 'Lifetime coins differ',
+  running_balance_mismatch: 'Running balance broken',
+  negative_balance: 'Negative balance'
+}
+
+/**
+ * Loyalty ledger check: compares each customer's cached coin balance with
+ * the ledger and lists the accounts that don't match, with a rebuild action.
+ */
+const LoyaltyLedgerPanel = ({ restaurantId }) => {
+  const [report, setReport] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [rebuildingId, setRebuildingId] = useState(null)
+
+  const runReport = async () => {
+    try {
+      setLoading(true)
+      setReport(await LoyaltyService.getReconciliationReport(restaurantId))
+    } catch (error) {
+      console.error('❌ Error running loyalty reconciliation:', error)
+      toast.error('Failed to check loyalty balances')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleRebuild = async (row) => {
+    try {
+      setRebuildingId(row.customer_id)
+      const result = await LoyaltyService.rebuildAccount(row.customer_id, restaurantId)
+      toast.success(`Balance reset to ${result.balance} coins`)
+      await runReport()
+    } catch (error) {
+      toast.error(error.message || 'Failed to rebuild balance')
+    } finally {
+      setRebuildingId(null)
+    }
+  }
+
+  return (
+    <div className="bg-white rounded-xl p-4 md:p-6 shadow-sm border border-neutral-200 space-y-4">
+      <div className="flex flex-col sm:flex-row gap-3 sm:items-center sm:justify-between">
+        <div>
+          <h3 className="text-lg font-semibold flex items-center gap-2">
+            <ScaleIcon className="h-5 w-5 text-orange-500" />
+            Coin Balances Check
+          </h3>
+          <p className="text-xs text-neutral-500 mt-1">
+            Every coin earned, redeemed, reversed or expired is a ledger entry. This compares customers' balances with it.
+          </p>
+        </div>
+        <button
+          onClick={runReport}
+          disabled={loading}
+          className="flex items-center justify-center gap-2 px-3 py-2 text-sm text-neutral-700 border border-neutral-300 rounded-lg hover:bg-neutral-50 disabled:opacity-50"
+        >
+          <ArrowPathIcon className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+          {loading ? 'Checking...' : 'Run Check'}
+        </button>
+      </div>
+
+      {report && report.length === 0 && (
+        <div className="flex items-center gap-2 p-3 rounded-lg bg-green-50 text-sm text-green-700">
+          <CheckCircleIcon className="h-5 w-5" />
+          All balances match the ledger
+        </div>
+      )}
+
+      {report && report.length > 0 && (
+        <div className="space-y-2">
+          <div className="flex items-center gap-2 p-3 rounded-lg bg-amber-50 text-sm text-amber-700">
+            <ExclamationTriangleIcon className="h-5 w-5" />
+            {report.length} account{report.length === 1 ? '' : 's'} don't match the ledger
+          </div>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs text-neutral-500 border-b border-neutral-200">
+                  <th className="py-2 pr-3 font-medium">Customer</th>
+                  <th className="py-2 pr-3 font-medium text-right">Cached</th>
+                  <th className="py-2 pr-3 font-medium text-right">Ledger</th>
+                  <th className="py-2 pr-3 font-medium">Issues</th>
+                  <th className="py-2" />
+                </tr>
+              </thead>
+              <tbody>
+                {report.map(row => (
+                  <tr key={row.customer_id} className="border-b border-neutral-100 last:border-0">
+                    <td className="py-2 pr-3 text-neutral-900">{row.customer_name || 'Customer'}</td>
+                    <td className="py-2 pr-3 text-right text-neutral-600">{row.cached_balance ?? '—'}</td>
+                    <td className="py-2 pr-3 text-right font-medium text-neutral-900">{row.ledger_balance}</td>
+                    <td className="py-2 pr-3">
+                      <div className="flex flex-wrap gap-1">
+                        {(row.issues || []).map(issue => (
+                          <span key={issue} className="px-2 py-0.5 rounded-full text-xs font-medium bg-amber-100 text-amber-700">
+                            {ISSUE_LABELS[issue] || issue}
+                          </span>
+                        ))}
+                      </div>
+                    </td>
+                    <td className="py-2 text-right">
+                      <button
+                        onClick={() => handleRebuild(row)}
+                        disabled={rebuildingId === row.customer_id}
+                        className="px-3 py-1 text-xs font-medium text-orange-600 border border-orange-200 rounded-lg hover:bg-orange-50 disabled:opacity-50"
+                      >
+                        {rebuildingId === row.customer_id ? 'Rebuilding...' : 'Rebuild'}
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <p className="text-xs text-neutral-500">
+            Rebuild resets the cached balance from the ledger. Ledger entries themselves are never changed.
+          </p>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default LoyaltyLedgerPanel
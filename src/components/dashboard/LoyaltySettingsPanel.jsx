@@ -0,0 +1,345 @@
+import React, { useState, useEffect } from 'react'
+import {
+  Cog6ToothIcon,
+  StarIcon,
+  XMarkIcon
+} from '@heroicons/react/24/outline'
+import LoyaltyService from '../../services/loyaltyService'
+import WalletService from '../../services/walletService'
+import {
+  COINS_PER_RUPEE,
+  DEFAULT_LOYALTY_SETTINGS,
+  calculateEarnPoints,
+  getLoyaltySettings,
+  validateLoyaltySettings
+} from '../../utils/loyaltyUtils'
+import toast from 'react-hot-toast'
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-transparent'
+
+// Order value used for the "what a customer earns" examples
+const EXAMPLE_ORDER_AMOUNT = 1000
+
+/**
+ * Loyalty rules: how many Ordyrr Coins orders earn, tier thresholds and
+ * multipliers, expiry, how much of an order coins may pay for, and whether
+ * coins are shared through the Ordyrr Coins wallet when the platform runs it.
+ */
+const LoyaltySettingsPanel = ({ restaurantId, categories = [] }) => {
+  const [settings, setSettings] = useState(DEFAULT_LOYALTY_SETTINGS)
+  const [form, setForm] = useState(null)
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const [walletEnabled, setWalletEnabled] = useState(false)
+
+  useEffect(() => {
+    if (restaurantId) loadSettings()
+  }, [restaurantId])
+
+  const loadSettings = async () => {
+    try {
+      const [rules, wallet] = await Promise.all([
+        LoyaltyService.getSettings(restaurantId),
+        WalletService.getSettings()
+      ])
+      setSettings(rules)
+      setWalletEnabled(wallet.enabled)
+    } catch (error) {
+      console.error('❌ Error loading loyalty settings:', error)
+      toast.error('Failed to load loyalty rules')
+    }
+  }
+
+  const updateForm = (changes) => setForm(current => ({ ...current, ...changes }))
+
+  const updateTier = (key, changes) => {
+    setForm(current => ({
+      ...current,
+      tiers: current.tiers.map(tier => tier.key === key ? { ...tier, ...changes } : tier)
+    }))
+  }
+
+  const toggleExcludedCategory = (categoryId) => {
+    setForm(current => ({
+      ...current,
+      excluded_category_ids: current.excluded_category_ids.includes(categoryId)
+        ? current.excluded_category_ids.filter(id => id !== categoryId)
+        : [...current.excluded_category_ids, categoryId]
+    }))
+  }
+
+  const handleSave = async () => {
+    const validation = validateLoyaltySettings(form)
+    if (!validation.valid) {
+      toast.error(validation.errors[0])
+      return
+    }
+
+    try {
+      setIsSubmitting(true)
+      await LoyaltyService.saveSettings(restaurantId, form)
+      toast.success('Loyalty rules saved')
+      setForm(null)
+      await loadSettings()
+    } catch (error) {
+      toast.error(error.message || 'Failed to save loyalty rules')
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  const exampleEarnings = (rules) => rules.tiers.map(tier => ({
+    tier,
+    points: calculateEarnPoints({
+      items: [{ price: EXAMPLE_ORDER_AMOUNT, quantity: 1 }],
+      tier,
+      settings: rules
+    }).points
+  }))
+
+  const excludedNames = categories
+    .filter(category => settings.excluded_category_ids.includes(category.id))
+    .map(category => category.name)
+
+  // Example for the form uses the rules as typed, before they are saved
+  const formPreview = form ? exampleEarnings(getLoyaltySettings({ loyalty_settings: form })) : []
+
+  return (
+    <div className="bg-white rounded-xl p-4 md:p-6 shadow-sm border border-neutral-200 space-y-4">
+      <div className="flex flex-col sm:flex-row gap-3 sm:items-center sm:justify-between">
+        <div>
+          <h3 className="text-lg font-semibold flex items-center gap-2">
+            <StarIcon className="h-5 w-5 text-orange-500" />
+            Loyalty Program
+            {!settings.enabled && (
+              <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-neutral-100 text-neutral-600">Off</span>
+            )}
+          </h3>
+          <p className="text-xs text-neutral-500 mt-1">
+            {settings.earn_rate} coins per ₹100 on orders from ₹{settings.min_order_amount}
+            {' · '}{settings.signup_bonus} coin signup bonus
+            {' · '}{settings.expiry_days ? `coins last ${settings.expiry_days} days` : 'coins never expire'}
+            {walletEnabled && settings.join_wallet && ' · in the Ordyrr Coins wallet'}
+          </p>
+        </div>
+        <button
+          onClick={() => setForm(settings)}
+          className="flex items-center justify-center gap-2 px-3 py-2 text-sm text-neutral-700 border border-neutral-300 rounded-lg hover:bg-neutral-50"
+        >
+          <Cog6ToothIcon className="h-4 w-4" />
+          Edit Rules
+        </button>
+      </div>
+
+      <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+        {exampleEarnings(settings).map(({ tier, points }) => (
+          <div key={tier.key} className="p-3 rounded-lg bg-neutral-50">
+            <p className="text-sm font-semibold text-neutral-900">{tier.name}</p>
+            <p className="text-xs text-neutral-600">
+              {tier.min_points > 0 ? `${tier.min_points}+ coins earned` : 'Every member'} · ×{tier.multiplier}
+            </p>
+            <p className="text-xs text-neutral-500 mt-1">₹{EXAMPLE_ORDER_AMOUNT} order earns {points} coins</p>
+          </div>
+        ))}
+      </div>
+
+      <p className="text-xs text-neutral-500">
+        Coins can pay for up to {settings.redeem_max_percent}% of an order, at most {settings.redeem_max_coins} coins
+        (₹{(settings.redeem_max_coins / COINS_PER_RUPEE).toFixed(0)}).
+        {excludedNames.length > 0 && ` No coins on ${excludedNames.join(', ')}.`}
+      </p>
+
+      {/* Loyalty Rules Modal */}
+      {form && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-xl max-w-lg w-full max-h-[85vh] flex flex-col shadow-2xl">
+            <div className="p-4 sm:p-6 border-b border-gray-200 flex-shrink-0">
+              <div className="flex items-center justify-between">
+                <h3 className="text-lg sm:text-xl font-bold text-gray-900">Loyalty Rules</h3>
+                <button onClick={() => setForm(null)} className="p-2 hover:bg-gray-100 rounded-lg transition-colors">
+                  <XMarkIcon className="h-5 w-5" />
+                </button>
+              </div>
+            </div>
+
+            <div className="p-4 sm:p-6 space-y-4 flex-1 overflow-y-auto">
+              <label className="flex items-center gap-2 text-sm font-medium text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={form.enabled}
+                  onChange={(e) => updateForm({ enabled: e.target.checked })}
+                  className="rounded text-orange-500 focus:ring-orange-500"
+                />
+                Customers earn and redeem Ordyrr Coins here
+              </label>
+
+              {walletEnabled && (
+                <label className="flex items-start gap-2 text-sm font-medium text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={form.join_wallet}
+                    onChange={(e) => updateForm({ join_wallet: e.target.checked })}
+                    className="mt-0.5 rounded text-orange-500 focus:ring-orange-500"
+                  />
+                  <span>
+                    Join the Ordyrr Coins wallet
+                    <span className="block text-xs font-normal text-gray-500">
+                      Customers can spend coins from other wallet restaurants here, and coins earned here elsewhere.
+                      Ordyrr settles the difference between restaurants.
+                    </span>
+                  </span>
+                </label>
+              )}
+
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Coins per ₹100</label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.5"
+                    value={form.earn_rate}
+                    onChange={(e) => updateForm({ earn_rate: e.target.value })}
+                    className={inputClassName}
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Minimum order (₹)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    value={form.min_order_amount}
+                    onChange={(e) => updateForm({ min_order_amount: e.target.value })}
+                    className={inputClassName}
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Signup bonus (coins)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    value={form.signup_bonus}
+                    onChange={(e) => updateForm({ signup_bonus: e.target.value })}
+                    className={inputClassName}
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Coins expire after (days)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    value={form.expiry_days}
+                    onChange={(e) => updateForm({ expiry_days: e.target.value })}
+                    className={inputClassName}
+                  />
+                  <p className="text-xs text-gray-500 mt-1">0 = never</p>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Coins pay up to (%)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    max="100"
+                    value={form.redeem_max_percent}
+                    onChange={(e) => updateForm({ redeem_max_percent: e.target.value })}
+                    className={inputClassName}
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Max coins per order</label>
+                  <input
+                    type="number"
+                    min="0"
+                    value={form.redeem_max_coins}
+                    onChange={(e) => updateForm({ redeem_max_coins: e.target.value })}
+                    className={inputClassName}
+                  />
+                </div>
+              </div>
+
+              <div>
+                <p className="text-sm font-medium text-gray-700 mb-2">Tiers</p>
+                <p className="text-xs text-gray-500 mb-2">Coins a customer has earned here (less any that expired) unlock a tier; its multiplier applies to every order.</p>
+                <div className="space-y-2">
+                  {form.tiers.map(tier => (
+                    <div key={tier.key} className="grid grid-cols-3 gap-2 items-center">
+                      <span className="text-sm font-medium text-gray-900">{tier.name}</span>
+                      <input
+                        type="number"
+                        min="0"
+                        value={tier.min_points}
+                        disabled={tier.key === 'bronze'}
+                        onChange={(e) => updateTier(tier.key, { min_points: e.target.value })}
+                        className={`${inputClassName} disabled:bg-gray-100`}
+                        title="Coins earned to reach this tier"
+                      />
+                      <input
+                        type="number"
+                        min="1"
+                        step="0.1"
+                        value={tier.multiplier}
+                        onChange={(e) => updateTier(tier.key, { multiplier: e.target.value })}
+                        className={inputClassName}
+                        title="Earn multiplier"
+                      />
+                    </div>
+                  ))}
+                </div>
+              </div>
+
+              {categories.length > 0 && (
+                <div>
+                  <p className="text-sm font-medium text-gray-700 mb-2">Categories that don't earn coins</p>
+                  <div className="flex flex-wrap gap-2">
+                    {categories.map(category => (
+                      <label
+                        key={category.id}
+                        className={`flex items-center gap-1.5 px-3 py-1 rounded-full text-xs font-medium border cursor-pointer ${
+                          form.excluded_category_ids.includes(category.id)
+                            ? 'bg-orange-100 border-orange-300 text-orange-700'
+                            : 'border-gray-300 text-gray-600'
+                        }`}
+                      >
+                        <input
+                          type="checkbox"
+                          checked={form.excluded_category_ids.includes(category.id)}
+                          onChange={() => toggleExcludedCategory(category.id)}
+                          className="hidden"
+                        />
+                        {category.name}
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              <p className="text-xs text-gray-500">
+                A ₹{EXAMPLE_ORDER_AMOUNT} order earns {formPreview.map(({ tier, points }) => `${points} (${tier.name})`).join(', ')} coins.
+                Taxes, fees and tips never earn coins; discounts are taken off first.
+              </p>
+            </div>
+
+            <div className="p-4 sm:p-6 border-t border-gray-200 bg-gray-50 flex-shrink-0">
+              <div className="flex gap-3">
+                <button
+                  onClick={() => setForm(null)}
+                  className="flex-1 px-4 py-2 text-gray-600 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors font-medium"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={handleSave}
+                  disabled={isSubmitting}
+                  className="flex-1 px-4 py-2 bg-orange-500 text-white rounded-lg hover:bg-orange-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors font-medium"
+                >
+                  {isSubmitting ? 'Saving...' : 'Save Rules'}
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default LoyaltySettingsPanel
@@ -15,8 +15,12 @@ import {
 import { uploadRestaurantImage, deleteRestaurantImage, compressRestaurantImage, uploadImageToStorage, uploadImageRLSFree } from '../../utils/storageUtils'
 import toast from 'react-hot-toast'
 import { useConfirmation } from '../../contexts/ConfirmationContext'
+import ModifierGroupsEditor from './ModifierGroupsEditor'
+import KitchenService from '../../services/kitchenService'
+import { getModifierGroups, sanitizeModifierGroups } from '../../utils/modifierUtils'
+import { GST_SLABS, isValidHsnCode } from '../../utils/taxUtils'
 
-const MenuTab = ({ menuItems, categories, onAddItem, onUpdateItem, onDeleteItem, onAddCategory, restaurantId }) => {
+const MenuTab = ({ menuItems, categories, onAddItem, onUpdateItem, onDeleteItem, onAddCategory, onUpdateCategory, restaurantId }) => {
   const { showConfirmation } = useConfirmation()
   const [showAddItemModal, setShowAddItemModal] = useState(false)
   const [showAddCategoryModal, setShowAddCategoryModal] = useState(false)
@@ -27,7 +31,10 @@ const MenuTab = ({ menuItems, categories, onAddItem, onUpdateItem, onDeleteItem,
     price: '',
     category_id: '',
     is_available: true,
-    image_url: ''
+    image_url: '',
+    modifier_groups: [],
+    hsn_code: '',
+    gst_rate: ''
   })
   const [selectedImage, setSelectedImage] = useState(null)
   const [imagePreview, setImagePreview] = useState('')
@@ -38,7 +45,17 @@ const MenuTab = ({ menuItems, categories, onAddItem, onUpdateItem, onDeleteItem,
   const [isEditDragging, setIsEditDragging] = useState(false)
   const [newCategory, setNewCategory] = useState({ name: '', description: '' })
 
+  // HSN/SAC is optional; an empty GST rate means "use the restaurant default"
+  const getItemTaxFields = (item) => ({
+    hsn_code: item.hsn_code?.trim() || null,
+    gst_rate: item.gst_rate === '' || item.gst_rate === null || item.gst_rate === undefined ? null : Number(item.gst_rate)
+  })
+
   const handleAddItem = async () => {
+    if (newItem.hsn_code && !isValidHsnCode(newItem.hsn_code)) {
+      toast.error('HSN/SAC code must be 4 to 8 digits')
+      return
+    }
     if (newItem.name && newItem.price && newItem.category_id) {
       setUploadingImage(true)
       let imageUrl = newItem.image_url
@@ -95,7 +112,9 @@ const MenuTab = ({ menuItems, categories, onAddItem, onUpdateItem, onDeleteItem,
           price: parseFloat(newItem.price),
           category_id: newItem.category_id,
           is_available: newItem.is_available,
-          image_url: imageUrl || null // Ensure empty strings become null
+          image_url: imageUrl || null, // Ensure empty strings become null
+          modifier_groups: sanitizeModifierGroups(newItem.modifier_groups),
+          ...getItemTaxFields(newItem)
         }
         
         // Validate that if an image was selected, we got a URL
@@ -111,7 +130,7 @@ const MenuTab = ({ menuItems, categories, onAddItem, onUpdateItem, onDeleteItem,
         await onAddItem(itemData)
         
         // Reset form
-        setNewItem({ name: '', description: '', price: '', category_id: '', is_available: true, image_url: '' })
+        setNewItem({ name: '', description: '', price: '', category_id: '', is_available: true, image_url: '', modifier_groups: [], hsn_code: '', gst_rate: '' })
         setSelectedImage(null)
         setImagePreview('')
         setShowAddItemModal(false)
@@ -152,6 +171,18 @@ const MenuTab = ({ menuItems, categories, onAddItem, onUpdateItem, onDeleteItem,
     } = finalUpdates
     
     finalUpdates = cleanUpdates
+
+    if (finalUpdates.modifier_groups) {
+      finalUpdates.modifier_groups = sanitizeModifierGroups(finalUpdates.modifier_groups)
+    }
+
+    if ('hsn_code' in finalUpdates || 'gst_rate' in finalUpdates) {
+      if (finalUpdates.hsn_code && !isValidHsnCode(finalUpdates.hsn_code)) {
+        toast.error('HSN/SAC code must be 4 to 8 digits')
+        return
+      }
+      Object.assign(finalUpdates, getItemTaxFields(finalUpdates))
+    }
     
     
     // Upload image if file is selected for editing
@@ -370,6 +401,18 @@ const MenuTab = ({ menuItems, categories, onAddItem, onUpdateItem, onDeleteItem,
                 </div>
               </div>
               <div className="flex items-center gap-2">
+                {/* Kitchen station this category's tickets are routed to */}
+                <select
+                  value={category.station || ''}
+                  onChange={(e) => onUpdateCategory?.(category.id, { station: e.target.value || null })}
+                  title="Kitchen station"
+                  className="px-2 py-1 border border-neutral-300 rounded-lg text-xs text-neutral-700 focus:ring-2 focus:ring-orange-500 focus:border-transparent"
+                >
+                  <option value="">{KitchenService.DEFAULT_STATION.emoji} {KitchenService.DEFAULT_STATION.name}</option>
+                  {Object.values(KitchenService.STATIONS).map(station => (
+                    <option key={station.id} value={station.id}>{station.emoji} {station.name}</option>
+                  ))}
+                </select>
                 <span className="inline-flex items-center gap-1 px-2 py-1 bg-neutral-100 text-neutral-600 rounded-full text-xs font-medium">
                   <span className="w-2 h-2 bg-orange-500 rounded-full"></span>
                   {menuItems.filter(item => item.category_id === category.id).length} items
@@ -406,7 +449,7 @@ const MenuTab = ({ menuItems, categories, onAddItem, onUpdateItem, onDeleteItem,
                       {/* Floating Action Buttons */}
                       <div className="absolute top-2 right-2 flex gap-1 opacity-0 group-hover:opacity-100 transition-opacity duration-200">
                         <button
-                          onClick={() => setEditingItem(item)}
+                          onClick={() => setEditingItem({ ...item, modifier_groups: getModifierGroups(item) })}
                           className="p-1.5 bg-white/90 backdrop-blur-sm rounded-full text-neutral-600 hover:text-orange-500 hover:bg-white shadow-sm transition-all duration-200"
                         >
                           <PencilIcon className="h-3.5 w-3.5" />
@@ -550,6 +593,34 @@ const MenuTab = ({ menuItems, categories, onAddItem, onUpdateItem, onDeleteItem,
                   className="w-full px-3 py-2 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-transparent"
                 />
               </div>
+
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label className="block text-sm font-medium text-neutral-700 mb-2">HSN/SAC Code</label>
+                  <input
+                    type="text"
+                    inputMode="numeric"
+                    value={newItem.hsn_code || ''}
+                    onChange={(e) => setNewItem({ ...newItem, hsn_code: e.target.value.replace(/\D/g, '') })}
+                    placeholder="996331"
+                    maxLength={8}
+                    className="w-full px-3 py-2 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-transparent"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-neutral-700 mb-2">GST Rate</label>
+                  <select
+                    value={newItem.gst_rate ?? ''}
+                    onChange={(e) => setNewItem({ ...newItem, gst_rate: e.target.value })}
+                    className="w-full px-3 py-2 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-transparent"
+                  >
+                    <option value="">Restaurant default</option>
+                    {GST_SLABS.map(rate => (
+                      <option key={rate} value={rate}>{rate}%</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
               
               <div>
                 <label className="block text-sm font-medium text-neutral-700 mb-2">Category</label>
@@ -662,6 +733,11 @@ const MenuTab = ({ menuItems, categories, onAddItem, onUpdateItem, onDeleteItem,
                   Available for order
                 </label>
               </div>
+
+              <ModifierGroupsEditor
+                groups={newItem.modifier_groups}
+                onChange={(modifierGroups) => setNewItem({ ...newItem, modifier_groups: modifierGroups })}
+              />
               
             </div>
             
@@ -801,6 +877,34 @@ const MenuTab = ({ menuItems, categories, onAddItem, onUpdateItem, onDeleteItem,
                   className="w-full px-3 py-2 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-transparent"
                 />
               </div>
+
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label className="block text-sm font-medium text-neutral-700 mb-2">HSN/SAC Code</label>
+                  <input
+                    type="text"
+                    inputMode="numeric"
+                    value={editingItem.hsn_code || ''}
+                    onChange={(e) => setEditingItem({ ...editingItem, hsn_code: e.target.value.replace(/\D/g, '') })}
+                    placeholder="996331"
+                    maxLength={8}
+                    className="w-full px-3 py-2 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-transparent"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-neutral-700 mb-2">GST Rate</label>
+                  <select
+                    value={editingItem.gst_rate ?? ''}
+                    onChange={(e) => setEditingItem({ ...editingItem, gst_rate: e.target.value })}
+                    className="w-full px-3 py-2 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-transparent"
+                  >
+                    <option value="">Restaurant default</option>
+                    {GST_SLABS.map(rate => (
+                      <option key={rate} value={rate}>{rate}%</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
               
               {/* Edit Image Upload Section */}
               <div>
@@ -899,6 +1003,11 @@ const MenuTab = ({ menuItems, categories, onAddItem, onUpdateItem, onDeleteItem,
                   Available for order
                 </label>
               </div>
+
+              <ModifierGroupsEditor
+                groups={editingItem.modifier_groups || []}
+                onChange={(modifierGroups) => setEditingItem({ ...editingItem, modifier_groups: modifierGroups })}
+              />
               
             </div>
             
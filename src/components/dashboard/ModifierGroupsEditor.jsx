@@ -0,0 +1,181 @@
+import React from 'react'
+import { PlusIcon, TrashIcon, XMarkIcon } from '@heroicons/react/24/outline'
+import {
+  createModifierGroup,
+  createModifierOption,
+  MODIFIER_GROUP_TYPES,
+  MODIFIER_GROUP_LABELS
+} from '../../utils/modifierUtils'
+
+const inputClass = 'w-full px-3 py-2 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-transparent'
+
+/**
+ * Owner editor for a menu item's variants, choices and add-ons.
+ * Controlled component - `groups` is the item's `modifier_groups` array.
+ */
+const ModifierGroupsEditor = ({ groups = [], onChange }) => {
+  const updateGroup = (groupId, updates) => {
+    onChange(groups.map(group => group.id === groupId ? { ...group, ...updates } : group))
+  }
+
+  const removeGroup = (groupId) => {
+    onChange(groups.filter(group => group.id !== groupId))
+  }
+
+  const updateOption = (groupId, optionId, updates) => {
+    const group = groups.find(g => g.id === groupId)
+    updateGroup(groupId, {
+      options: group.options.map(option => option.id === optionId ? { ...option, ...updates } : option)
+    })
+  }
+
+  const addOption = (groupId) => {
+    const group = groups.find(g => g.id === groupId)
+    updateGroup(groupId, { options: [...group.options, createModifierOption()] })
+  }
+
+  const removeOption = (groupId, optionId) => {
+    const group = groups.find(g => g.id === groupId)
+    updateGroup(groupId, { options: group.options.filter(option => option.id !== optionId) })
+  }
+
+  const handleTypeChange = (group, type) => {
+    // Keep the selection rules consistent with the new type
+    const defaults = createModifierGroup(type)
+    updateGroup(group.id, {
+      type,
+      required: defaults.required,
+      min_select: defaults.min_select,
+      max_select: defaults.max_select
+    })
+  }
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <label className="block text-sm font-medium text-neutral-700">Variants & Add-ons</label>
+        <button
+          type="button"
+          onClick={() => onChange([...groups, createModifierGroup(groups.length === 0 ? MODIFIER_GROUP_TYPES.VARIANT : MODIFIER_GROUP_TYPES.ADDON)])}
+          className="flex items-center gap-1 text-sm font-medium text-orange-600 hover:text-orange-700"
+        >
+          <PlusIcon className="h-4 w-4" />
+          Add Group
+        </button>
+      </div>
+
+      {groups.length === 0 && (
+        <p className="text-xs text-neutral-500">
+          Add sizes (Half / Full), choices (spice level) or paid extras (extra cheese). Option prices are added to the base price.
+        </p>
+      )}
+
+      <div className="space-y-3">
+        {groups.map(group => (
+          <div key={group.id} className="border border-neutral-200 rounded-lg p-3 bg-neutral-50 space-y-2">
+            <div className="flex gap-2">
+              <input
+                type="text"
+                value={group.name}
+                onChange={(e) => updateGroup(group.id, { name: e.target.value })}
+                placeholder="Group name, e.g. Size"
+                className={inputClass}
+              />
+              <select
+                value={group.type}
+                onChange={(e) => handleTypeChange(group, e.target.value)}
+                className="px-2 py-2 border border-neutral-300 rounded-lg text-sm focus:ring-2 focus:ring-orange-500 focus:border-transparent"
+              >
+                {Object.values(MODIFIER_GROUP_TYPES).map(type => (
+                  <option key={type} value={type}>{MODIFIER_GROUP_LABELS[type]}</option>
+                ))}
+              </select>
+              <button
+                type="button"
+                onClick={() => removeGroup(group.id)}
+                className="p-2 text-red-500 hover:bg-red-50 rounded-lg transition-colors"
+              >
+                <TrashIcon className="h-4 w-4" />
+              </button>
+            </div>
+
+            {group.type !== MODIFIER_GROUP_TYPES.VARIANT && (
+              <div className="flex items-center gap-3 text-xs text-neutral-600">
+                <label className="flex items-center gap-1">
+                  <input
+                    type="checkbox"
+                    checked={!!group.required}
+                    onChange={(e) => updateGroup(group.id, {
+                      required: e.target.checked,
+                      min_select: e.target.checked ? Math.max(1, parseInt(group.min_select) || 0) : 0
+                    })}
+                    className="rounded border-neutral-300 text-orange-500 focus:ring-orange-500"
+                  />
+                  Required
+                </label>
+                <label className="flex items-center gap-1">
+                  Max
+                  <input
+                    type="number"
+                    min="1"
+                    value={group.max_select || ''}
+                    onChange={(e) => updateGroup(group.id, { max_select: e.target.value ? parseInt(e.target.value) : null })}
+                    placeholder="Any"
+                    className="w-16 px-2 py-1 border border-neutral-300 rounded focus:ring-2 focus:ring-orange-500 focus:border-transparent"
+                  />
+                </label>
+              </div>
+            )}
+
+            {group.options.map(option => (
+              <div key={option.id} className="flex items-center gap-2">
+                <input
+                  type="text"
+                  value={option.name}
+                  onChange={(e) => updateOption(group.id, option.id, { name: e.target.value })}
+                  placeholder="Option, e.g. Full"
+                  className={inputClass}
+                />
+                <div className="relative w-28 flex-shrink-0">
+                  <span className="absolute left-2 top-1/2 -translate-y-1/2 text-xs text-neutral-500">+₹</span>
+                  <input
+                    type="number"
+                    step="0.01"
+                    value={option.price_delta}
+                    onChange={(e) => updateOption(group.id, option.id, { price_delta: e.target.value })}
+                    className="w-full pl-7 pr-2 py-2 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-transparent"
+                  />
+                </div>
+                <input
+                  type="checkbox"
+                  title="Available"
+                  checked={option.is_available !== false}
+                  onChange={(e) => updateOption(group.id, option.id, { is_available: e.target.checked })}
+                  className="rounded border-neutral-300 text-orange-500 focus:ring-orange-500"
+                />
+                <button
+                  type="button"
+                  onClick={() => removeOption(group.id, option.id)}
+                  disabled={group.options.length === 1}
+                  className="p-1 text-neutral-400 hover:text-red-500 disabled:opacity-30"
+                >
+                  <XMarkIcon className="h-4 w-4" />
+                </button>
+              </div>
+            ))}
+
+            <button
+              type="button"
+              onClick={() => addOption(group.id)}
+              className="text-xs font-medium text-orange-600 hover:text-orange-700"
+            >
+              + Add option
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default ModifierGroupsEditor
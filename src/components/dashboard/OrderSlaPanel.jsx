@@ -0,0 +1,250 @@
+import React, { useState, useEffect, useMemo } from 'react'
+import {
+  ArrowPathIcon,
+  Cog6ToothIcon,
+  ExclamationTriangleIcon,
+  XMarkIcon
+} from '@heroicons/react/24/outline'
+import SlaService from '../../services/slaService'
+import {
+  DEFAULT_SLA_SETTINGS,
+  SLA_STAGES,
+  SLA_STAGE_LABELS,
+  summarizeBreaches
+} from '../../utils/slaUtils'
+import { getOrderDisplayNumber } from '../../utils/orderNumberUtils'
+import toast from 'react-hot-toast'
+
+const BREACH_RANGES = [
+  { key: '1d', label: 'Today', days: 1 },
+  { key: '7d', label: 'Last 7 days', days: 7 },
+  { key: '30d', label: 'Last 30 days', days: 30 }
+]
+
+/**
+ * Order SLAs: accept / prepare / serve targets, and the breaches the
+ * sweeper logged with what it did about each.
+ */
+const OrderSlaPanel = ({ restaurantId }) => {
+  const [rangeKey, setRangeKey] = useState('7d')
+  const [settings, setSettings] = useState(DEFAULT_SLA_SETTINGS)
+  const [breaches, setBreaches] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [showSettingsModal, setShowSettingsModal] = useState(false)
+  const [settingsForm, setSettingsForm] = useState(DEFAULT_SLA_SETTINGS)
+  const [isSubmitting, setIsSubmitting] = useState(false)
+
+  const summary = useMemo(() => summarizeBreaches(breaches), [breaches])
+
+  useEffect(() => {
+    if (restaurantId) loadAll()
+  }, [restaurantId, rangeKey])
+
+  const loadAll = async () => {
+    try {
+      setLoading(true)
+      const range = BREACH_RANGES.find(option => option.key === rangeKey)
+      const since = new Date()
+      since.setHours(0, 0, 0, 0)
+      since.setDate(since.getDate() - (range.days - 1))
+
+      const [savedSettings, loggedBreaches] = await Promise.all([
+        SlaService.getSettings(restaurantId),
+        SlaService.getBreaches(restaurantId, since)
+      ])
+      setSettings(savedSettings)
+      setBreaches(loggedBreaches)
+    } catch (error) {
+      console.error('❌ Error loading SLA breaches:', error)
+      toast.error('Failed to load order SLAs')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const openSettings = () => {
+    setSettingsForm(settings)
+    setShowSettingsModal(true)
+  }
+
+  const handleSaveSettings = async () => {
+    try {
+      setIsSubmitting(true)
+      await SlaService.saveSettings(restaurantId, settingsForm)
+      toast.success('SLA targets saved')
+      setShowSettingsModal(false)
+      await loadAll()
+    } catch (error) {
+      toast.error(error.message || 'Failed to save SLA targets')
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  return (
+    <div className="bg-white rounded-xl p-4 md:p-6 shadow-sm border border-neutral-200 space-y-4">
+      <div className="flex flex-col sm:flex-row gap-3 sm:items-center sm:justify-between">
+        <div>
+          <h3 className="text-lg font-semibold flex items-center gap-2">
+            <ExclamationTriangleIcon className="h-5 w-5 text-orange-500" />
+            Order SLA Breaches
+          </h3>
+          <p className="text-xs text-neutral-500 mt-1">
+            Targets: accept {settings.accept_minutes} min · prepare {settings.prepare_minutes} min · serve {settings.serve_minutes} min
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <select
+            value={rangeKey}
+            onChange={(e) => setRangeKey(e.target.value)}
+            className="px-3 py-2 border border-neutral-300 rounded-lg text-sm focus:ring-2 focus:ring-orange-500 focus:border-transparent"
+          >
+            {BREACH_RANGES.map(range => (
+              <option key={range.key} value={range.key}>{range.label}</option>
+            ))}
+          </select>
+          <button onClick={loadAll} className="p-2 text-blue-600 border border-blue-200 rounded-lg hover:bg-blue-50">
+            <ArrowPathIcon className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+          </button>
+          <button
+            onClick={openSettings}
+            title="SLA targets"
+            className="p-2 text-neutral-600 border border-neutral-300 rounded-lg hover:bg-neutral-50"
+          >
+            <Cog6ToothIcon className="h-4 w-4" />
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+        {Object.values(SLA_STAGES).map(stage => (
+          <div key={stage} className="p-3 rounded-lg bg-neutral-50">
+            <p className="text-xl font-bold text-neutral-900">{summary.byStage[stage].count}</p>
+            <p className="text-sm text-neutral-600">Late to {SLA_STAGE_LABELS[stage].label.toLowerCase()}</p>
+            {summary.byStage[stage].count > 0 && (
+              <p className="text-xs text-neutral-500">avg {summary.byStage[stage].avgMinutesLate} min over</p>
+            )}
+          </div>
+        ))}
+        <div className="p-3 rounded-lg bg-neutral-50">
+          <p className="text-xl font-bold text-neutral-900">{summary.reassigned}</p>
+          <p className="text-sm text-neutral-600">Reassigned</p>
+          <p className="text-xs text-neutral-500">{summary.escalated} escalated to you</p>
+        </div>
+      </div>
+
+      {summary.byStaff.length > 0 && (
+        <div>
+          <p className="text-sm font-medium text-neutral-700 mb-2">Most breaches by staff</p>
+          <div className="flex flex-wrap gap-2">
+            {summary.byStaff.slice(0, 5).map(entry => (
+              <span key={entry.staffId} className="px-3 py-1 rounded-full text-xs font-medium bg-orange-100 text-orange-700">
+                {entry.name} · {entry.count}
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {breaches.length === 0 ? (
+        <p className="text-sm text-neutral-500 py-4 text-center">{loading ? 'Loading breaches...' : 'No late orders in this period'}</p>
+      ) : (
+        <div className="divide-y divide-neutral-100 max-h-80 overflow-y-auto">
+          {breaches.map(breach => (
+            <div key={breach.id} className="py-2 flex items-start justify-between gap-3 text-sm">
+              <div className="min-w-0">
+                <span className="font-semibold text-neutral-900">
+                  #{breach.orders ? getOrderDisplayNumber(breach.orders) : '-'}
+                </span>
+                {breach.orders?.tables?.table_number && (
+                  <span className="ml-2 text-neutral-500">Table {breach.orders.tables.table_number}</span>
+                )}
+                <p className="text-xs text-neutral-600 mt-0.5">
+                  {parseFloat(breach.minutes_late).toFixed(1)} min past the {SLA_STAGE_LABELS[breach.stage].label.toLowerCase()} target
+                  {breach.staff?.full_name && ` · ${breach.staff.full_name}`}
+                  {breach.action === 'reassigned' && breach.reassigned?.full_name && ` → ${breach.reassigned.full_name}`}
+                </p>
+              </div>
+              <div className="text-right flex-shrink-0">
+                <span className={`px-2 py-0.5 rounded-full text-[10px] font-medium ${
+                  breach.action === 'reassigned' ? 'bg-yellow-100 text-yellow-700' : 'bg-red-100 text-red-700'
+                }`}>
+                  {breach.action === 'reassigned' ? 'Reassigned' : 'Escalated'}
+                </span>
+                <p className="text-xs text-neutral-400 mt-1">{new Date(breach.breached_at).toLocaleString('en-IN')}</p>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* SLA Targets Modal */}
+      {showSettingsModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-xl max-w-md w-full max-h-[85vh] flex flex-col shadow-2xl">
+            <div className="p-4 sm:p-6 border-b border-gray-200 flex-shrink-0">
+              <div className="flex items-center justify-between">
+                <h3 className="text-lg sm:text-xl font-bold text-gray-900">SLA Targets</h3>
+                <button onClick={() => setShowSettingsModal(false)} className="p-2 hover:bg-gray-100 rounded-lg transition-colors">
+                  <XMarkIcon className="h-5 w-5" />
+                </button>
+              </div>
+            </div>
+
+            <div className="p-4 sm:p-6 space-y-4 flex-1 overflow-y-auto">
+              {Object.values(SLA_STAGES).map(stage => (
+                <div key={stage}>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    {SLA_STAGE_LABELS[stage].label} within (minutes)
+                  </label>
+                  <input
+                    type="number"
+                    min="1"
+                    value={settingsForm[`${stage}_minutes`]}
+                    onChange={(e) => setSettingsForm({ ...settingsForm, [`${stage}_minutes`]: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-transparent"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">{SLA_STAGE_LABELS[stage].description}</p>
+                </div>
+              ))}
+
+              <label className="flex items-center gap-2 text-sm font-medium text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={settingsForm.auto_reassign}
+                  onChange={(e) => setSettingsForm({ ...settingsForm, auto_reassign: e.target.checked })}
+                  className="rounded text-orange-500 focus:ring-orange-500"
+                />
+                Reassign orders nobody accepts in time
+              </label>
+
+              <p className="text-xs text-gray-500">
+                Late orders are checked every minute, whether or not this dashboard is open. Customers see an ETA based on these targets.
+              </p>
+            </div>
+
+            <div className="p-4 sm:p-6 border-t border-gray-200 bg-gray-50 flex-shrink-0">
+              <div className="flex gap-3">
+                <button
+                  onClick={() => setShowSettingsModal(false)}
+                  className="flex-1 px-4 py-2 text-gray-600 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors font-medium"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={handleSaveSettings}
+                  disabled={isSubmitting}
+                  className="flex-1 px-4 py-2 bg-orange-500 text-white rounded-lg hover:bg-orange-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors font-medium"
+                >
+                  {isSubmitting ? 'Saving...' : 'Save Targets'}
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default OrderSlaPanel
@@ -12,20 +12,27 @@ import {
   CurrencyRupeeIcon,
   CalendarIcon,
   ShoppingBagIcon,
-  PhoneIcon
+  PhoneIcon,
+  FireIcon,
+  ArrowUturnLeftIcon
 } from '@heroicons/react/24/outline'
 import UnifiedOrderService from '../../services/unifiedOrderService'
+import RefundModal from './RefundModal'
 import useAuthStore from '../../stores/useAuthStore'
 import toast from 'react-hot-toast'
+import { useNavigate } from 'react-router-dom'
+import { getOrderDisplayNumber, matchesOrderNumber } from '../../utils/orderNumberUtils'
 
-const OrdersTab = () => {
+const OrdersTab = ({ restaurantId }) => {
   const { user } = useAuthStore()
+  const navigate = useNavigate()
   const [orders, setOrders] = useState([])
   const [loading, setLoading] = useState(true)
   const [searchTerm, setSearchTerm] = useState('')
   const [statusFilter, setStatusFilter] = useState('all')
   const [selectedOrder, setSelectedOrder] = useState(null)
   const [updatingOrder, setUpdatingOrder] = useState(null)
+  const [refundOrderId, setRefundOrderId] = useState(null)
 
   // Fetch orders on component mount
   useEffect(() => {
@@ -73,7 +80,7 @@ const OrdersTab = () => {
 
   const filteredOrders = orders.filter(order => {
     const customerName = order.customers?.full_name || order.customer_name || ''
-    const matchesSearch = order.order_number.toLowerCase().includes(searchTerm.toLowerCase()) ||
+    const matchesSearch = matchesOrderNumber(order, searchTerm) ||
                          customerName.toLowerCase().includes(searchTerm.toLowerCase())
     const matchesStatus = statusFilter === 'all' || order.status === statusFilter
     return matchesSearch && matchesStatus
@@ -106,7 +113,16 @@ const OrdersTab = () => {
       {/* Header with Search and Filters */}
       <div className="bg-white rounded-xl p-4 md:p-6 shadow-sm border border-neutral-200">
         <div className="flex flex-col md:flex-row gap-4 md:items-center md:justify-between">
-          <h2 className="text-xl font-bold text-neutral-900">Order Management</h2>
+          <div className="flex items-center gap-3">
+            <h2 className="text-xl font-bold text-neutral-900">Order Management</h2>
+            <button
+              onClick={() => navigate(`/kitchen/${restaurantId || user.id}`)}
+              className="flex items-center gap-1 px-3 py-1.5 text-sm font-medium text-orange-600 border border-orange-200 rounded-lg hover:bg-orange-50 transition-colors"
+            >
+              <FireIcon className="h-4 w-4" />
+              Kitchen Display
+            </button>
+          </div>
           
           <div className="flex flex-col sm:flex-row gap-3">
             {/* Search */}
@@ -114,7 +130,7 @@ const OrdersTab = () => {
               <MagnifyingGlassIcon className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-neutral-400" />
               <input
                 type="text"
-                placeholder="Search orders..."
+                placeholder="Search by order # (A-042) or customer..."
                 value={searchTerm}
                 onChange={(e) => setSearchTerm(e.target.value)}
                 className="pl-10 pr-4 py-2 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-transparent text-sm w-full sm:w-64"
@@ -163,7 +179,7 @@ const OrdersTab = () => {
               {/* Order Info */}
               <div className="flex-1 space-y-3">
                 <div className="flex flex-col sm:flex-row sm:items-center gap-2 sm:gap-4">
-                  <h3 className="text-lg font-semibold text-neutral-900">#{order.order_number}</h3>
+                  <h3 className="text-lg font-semibold text-neutral-900">#{getOrderDisplayNumber(order)}</h3>
                   <span className={`px-3 py-1 rounded-full text-xs font-medium w-fit ${getStatusColor(order.status)}`}>
                     {order.status.charAt(0).toUpperCase() + order.status.slice(1)}
                   </span>
@@ -357,12 +373,23 @@ const OrdersTab = () => {
             <div className="p-4 sm:p-6 border-b border-neutral-200 flex-shrink-0">
               <div className="flex items-center justify-between">
                 <h3 className="text-lg sm:text-xl font-bold text-neutral-900">Order Details</h3>
-                <button
-                  onClick={() => setSelectedOrder(null)}
-                  className="p-2 hover:bg-neutral-100 rounded-lg transition-colors"
-                >
-                  <XMarkIcon className="h-5 w-5" />
-                </button>
+                <div className="flex items-center gap-2">
+                  {['completed', 'paid', 'partially_refunded'].includes(selectedOrder.payment_status) && (
+                    <button
+                      onClick={() => setRefundOrderId(selectedOrder.id)}
+                      className="flex items-center gap-1 px-3 py-1.5 text-sm font-medium text-orange-600 border border-orange-300 rounded-lg hover:bg-orange-50 transition-colors"
+                    >
+                      <ArrowUturnLeftIcon className="h-4 w-4" />
+                      Refund
+                    </button>
+                  )}
+                  <button
+                    onClick={() => setSelectedOrder(null)}
+                    className="p-2 hover:bg-neutral-100 rounded-lg transition-colors"
+                  >
+                    <XMarkIcon className="h-5 w-5" />
+                  </button>
+                </div>
               </div>
             </div>
             
@@ -370,7 +397,7 @@ const OrdersTab = () => {
               <div className="grid grid-cols-2 gap-4">
                 <div>
                   <label className="text-sm font-medium text-neutral-500">Order Number</label>
-                  <p className="text-lg font-semibold">#{selectedOrder.order_number}</p>
+                  <p className="text-lg font-semibold">#{getOrderDisplayNumber(selectedOrder)}</p>
                 </div>
                 <div>
                   <label className="text-sm font-medium text-neutral-500">Status</label>
@@ -391,6 +418,9 @@ const OrdersTab = () => {
                 <div>
                   <label className="text-sm font-medium text-neutral-500">Total Amount</label>
                   <p className="text-lg font-bold text-orange-600">₹{selectedOrder.total_amount}</p>
+                  {parseFloat(selectedOrder.refunded_amount) > 0 && (
+                    <p className="text-sm text-red-600">₹{parseFloat(selectedOrder.refunded_amount).toFixed(2)} refunded</p>
+                  )}
                 </div>
               </div>
               
@@ -459,6 +489,17 @@ const OrdersTab = () => {
           </div>
         </div>
       )}
+
+      {refundOrderId && (
+        <RefundModal
+          orderId={refundOrderId}
+          onClose={() => setRefundOrderId(null)}
+          onRefunded={async () => {
+            await fetchOrders()
+            setSelectedOrder(null)
+          }}
+        />
+      )}
     </div>
   )
 }
@@ -17,6 +17,7 @@ import {
   BarChart,
   Bar
 } from 'recharts'
+import { getOrderDisplayNumber } from '../../utils/orderNumberUtils'
 
 const OverviewTab = ({ stats, revenueData, orders }) => {
   return (
@@ -153,7 +154,7 @@ const OverviewTab = ({ stats, revenueData, orders }) => {
             <tbody>
               {orders.length > 0 ? orders.map((order) => (
                 <tr key={order.id} className="border-b border-neutral-100">
-                  <td className="py-3 px-2 md:px-4 font-medium text-sm">#{order.order_number}</td>
+                  <td className="py-3 px-2 md:px-4 font-medium text-sm">#{getOrderDisplayNumber(order)}</td>
                   <td className="py-3 px-2 md:px-4 text-sm">{order.customer_name}</td>
                   <td className="py-3 px-2 md:px-4 text-sm">{order.users?.full_name || 'Unassigned'}</td>
                   <td className="py-3 px-2 md:px-4 font-medium text-sm">₹{order.total_amount}</td>
@@ -0,0 +1,523 @@
+import React, { useState, useEffect } from 'react'
+import { motion } from 'framer-motion'
+import {
+  TagIcon,
+  PlusIcon,
+  PencilIcon,
+  TrashIcon,
+  XMarkIcon,
+  BoltIcon
+} from '@heroicons/react/24/outline'
+import PromotionService from '../../services/promotionService'
+import LoyaltySettingsPanel from './LoyaltySettingsPanel'
+import LoyaltyLedgerPanel from './LoyaltyLedgerPanel'
+import {
+  DISCOUNT_TYPES,
+  EMPTY_OFFER,
+  WEEKDAYS,
+  formatOfferSummary,
+  getScheduleBlocker,
+  validateOffer
+} from '../../utils/promotionUtils'
+import toast from 'react-hot-toast'
+
+const DISCOUNT_TYPE_OPTIONS = [
+  { id: DISCOUNT_TYPES.PERCENTAGE, label: 'Percentage' },
+  { id: DISCOUNT_TYPES.FIXED, label: 'Flat amount' },
+  { id: DISCOUNT_TYPES.BOGO, label: 'Buy X Get Y' }
+]
+
+const inputClassName = 'w-full px-3 py-2 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-transparent'
+
+// timestamptz -> value for <input type="datetime-local">
+const toLocalInput = (timestamp) => {
+  if (!timestamp) return ''
+  const date = new Date(timestamp)
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16)
+}
+
+const PromotionsTab = ({ restaurantId, menuItems = [], categories = [] }) => {
+  const [offers, setOffers] = useState([])
+  const [usage, setUsage] = useState({})
+  const [loading, setLoading] = useState(true)
+  const [editingOffer, setEditingOffer] = useState(null)
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    if (restaurantId) {
+      fetchOffers()
+    }
+  }, [restaurantId])
+
+  const fetchOffers = async () => {
+    try {
+      setLoading(true)
+      const restaurantOffers = await PromotionService.getRestaurantOffers(restaurantId)
+      setOffers(restaurantOffers)
+      setUsage(await PromotionService.getOfferUsage(restaurantOffers.map(offer => offer.id)))
+    } catch (error) {
+      console.error('Error fetching offers:', error)
+      toast.error('Failed to load promotions')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const openEditor = (offer) => {
+    setEditingOffer(offer
+      ? {
+          ...EMPTY_OFFER,
+          ...offer,
+          starts_at: toLocalInput(offer.starts_at),
+          ends_at: toLocalInput(offer.ends_at),
+          valid_from_time: offer.valid_from_time?.slice(0, 5) || '',
+          valid_until_time: offer.valid_until_time?.slice(0, 5) || '',
+          max_discount_amount: offer.max_discount_amount ?? '',
+          usage_limit_total: offer.usage_limit_total ?? '',
+          usage_limit_per_customer: offer.usage_limit_per_customer ?? ''
+        }
+      : { ...EMPTY_OFFER })
+  }
+
+  const updateOffer = (changes) => setEditingOffer(current => ({ ...current, ...changes }))
+
+  const toggleListValue = (field, value) => {
+    const values = editingOffer[field] || []
+    updateOffer({ [field]: values.includes(value) ? values.filter(v => v !== value) : [...values, value] })
+  }
+
+  const handleSave = async () => {
+    const { valid, errors } = validateOffer(editingOffer)
+    if (!valid) {
+      toast.error(errors[0])
+      return
+    }
+
+    try {
+      setSaving(true)
+      await PromotionService.saveOffer(restaurantId, editingOffer)
+      toast.success(editingOffer.id ? 'Promotion updated' : 'Promotion created')
+      setEditingOffer(null)
+      await fetchOffers()
+    } catch (error) {
+      toast.error(error.message || 'Failed to save promotion')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleToggle = async (offer) => {
+    try {
+      await PromotionService.setOfferActive(offer.id, !offer.is_active)
+      setOffers(current => current.map(o => (o.id === offer.id ? { ...o, is_active: !offer.is_active } : o)))
+    } catch (error) {
+      toast.error(error.message || 'Failed to update promotion')
+    }
+  }
+
+  const handleDelete = async (offer) => {
+    if (!window.confirm(`Delete ${offer.offer_code}?`)) return
+    try {
+      await PromotionService.deleteOffer(offer.id)
+      toast.success('Promotion deleted')
+      await fetchOffers()
+    } catch (error) {
+      toast.error(error.message || 'Failed to delete promotion')
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-16">
+        <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-orange-500"></div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="bg-gradient-to-r from-white to-orange-50 rounded-xl p-4 md:p-6 shadow-sm border border-neutral-200">
+        <div className="flex flex-col md:flex-row gap-4 md:items-center md:justify-between">
+          <div className="flex items-center gap-3">
+            <div className="p-2 bg-orange-100 rounded-lg">
+              <TagIcon className="h-6 w-6 text-orange-600" />
+            </div>
+            <div>
+              <h2 className="text-xl font-bold text-neutral-900">Promotions</h2>
+              <p className="text-neutral-600 text-sm mt-1">Coupon codes and automatic offers for your customers</p>
+            </div>
+          </div>
+          <motion.button
+            whileHover={{ scale: 1.02 }}
+            whileTap={{ scale: 0.98 }}
+            onClick={() => openEditor(null)}
+            className="flex items-center justify-center gap-2 px-4 py-2.5 bg-gradient-to-r from-orange-500 to-orange-600 text-white rounded-lg hover:from-orange-600 hover:to-orange-700 transition-all duration-200 font-medium shadow-sm"
+          >
+            <PlusIcon className="h-4 w-4" />
+            <span>New Promotion</span>
+          </motion.button>
+        </div>
+      </div>
+
+      <LoyaltySettingsPanel restaurantId={restaurantId} categories={categories} />
+      <LoyaltyLedgerPanel restaurantId={restaurantId} />
+
+      {/* Offers */}
+      {offers.length === 0 ? (
+        <div className="bg-white rounded-xl shadow-sm border border-neutral-200 text-center py-12 px-4">
+          <TagIcon className="h-12 w-12 text-neutral-300 mx-auto mb-3" />
+          <p className="text-neutral-600 font-medium">No promotions yet</p>
+          <p className="text-neutral-500 text-sm mt-1">Create a coupon code or a happy-hour offer</p>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {offers.map(offer => {
+            const blocker = getScheduleBlocker(offer)
+            const uses = usage[offer.id]?.total || 0
+            return (
+              <motion.div
+                key={offer.id}
+                initial={{ opacity: 0, y: 20 }}
+                animate={{ opacity: 1, y: 0 }}
+                className={`bg-white rounded-xl p-4 shadow-sm border ${offer.is_active ? 'border-neutral-200' : 'border-neutral-200 opacity-60'}`}
+              >
+                <div className="flex items-start justify-between gap-3">
+                  <div className="min-w-0">
+                    <div className="flex items-center gap-2 flex-wrap">
+                      <span className="px-2 py-0.5 bg-orange-100 text-orange-700 rounded font-mono text-sm font-bold">{offer.offer_code}</span>
+                      {offer.is_automatic && (
+                        <span className="flex items-center gap-1 px-2 py-0.5 bg-blue-100 text-blue-700 rounded-full text-xs font-semibold">
+                          <BoltIcon className="h-3 w-3" />
+                          Automatic
+                        </span>
+                      )}
+                      {offer.is_active && !blocker && (
+                        <span className="px-2 py-0.5 bg-green-100 text-green-700 rounded-full text-xs font-semibold">Live now</span>
+                      )}
+                    </div>
+                    {offer.title && <p className="font-semibold text-neutral-900 mt-2">{offer.title}</p>}
+                    <p className="text-sm text-neutral-600 mt-1">{formatOfferSummary(offer)}</p>
+                    {offer.valid_days?.length > 0 && (
+                      <p className="text-xs text-neutral-500 mt-1">{offer.valid_days.map(day => WEEKDAYS[day]).join(', ')}</p>
+                    )}
+                    <p className="text-xs text-neutral-500 mt-1">
+                      Used {uses}{offer.usage_limit_total ? ` / ${offer.usage_limit_total}` : ''} times
+                      {offer.usage_limit_per_customer ? ` • ${offer.usage_limit_per_customer} per customer` : ''}
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => handleToggle(offer)}
+                    className={`relative inline-flex h-6 w-11 flex-shrink-0 items-center rounded-full transition-colors ${offer.is_active ? 'bg-orange-500' : 'bg-neutral-300'}`}
+                    title={offer.is_active ? 'Switch off' : 'Switch on'}
+                  >
+                    <span className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform ${offer.is_active ? 'translate-x-6' : 'translate-x-1'}`} />
+                  </button>
+                </div>
+                <div className="flex justify-end gap-2 mt-3">
+                  <button
+                    onClick={() => openEditor(offer)}
+                    className="p-2 text-neutral-500 hover:bg-neutral-100 rounded-lg transition-colors"
+                    title="Edit"
+                  >
+                    <PencilIcon className="h-4 w-4" />
+                  </button>
+                  <button
+                    onClick={() => handleDelete(offer)}
+                    className="p-2 text-red-500 hover:bg-red-50 rounded-lg transition-colors"
+                    title="Delete"
+                  >
+                    <TrashIcon className="h-4 w-4" />
+                  </button>
+                </div>
+              </motion.div>
+            )
+          })}
+        </div>
+      )}
+
+      {/* Promotion Editor */}
+      {editingOffer && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-xl max-w-lg w-full max-h-[90vh] flex flex-col shadow-2xl">
+            <div className="p-4 sm:p-6 border-b border-neutral-200 flex-shrink-0">
+              <div className="flex items-center justify-between">
+                <h3 className="text-lg sm:text-xl font-bold text-neutral-900">{editingOffer.id ? 'Edit Promotion' : 'New Promotion'}</h3>
+                <button
+                  onClick={() => setEditingOffer(null)}
+                  className="p-2 hover:bg-neutral-100 rounded-lg transition-colors"
+                >
+                  <XMarkIcon className="h-5 w-5" />
+                </button>
+              </div>
+            </div>
+
+            <div className="p-4 sm:p-6 space-y-4 flex-1 overflow-y-auto">
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label className="block text-sm font-medium text-neutral-700 mb-2">Code</label>
+                  <input
+                    type="text"
+                    value={editingOffer.offer_code}
+                    onChange={(e) => updateOffer({ offer_code: e.target.value.toUpperCase().replace(/\s/g, '') })}
+                    placeholder="HAPPYHOUR"
+                    maxLength={20}
+                    className={`${inputClassName} font-mono uppercase`}
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-neutral-700 mb-2">Title</label>
+                  <input
+                    type="text"
+                    value={editingOffer.title || ''}
+                    onChange={(e) => updateOffer({ title: e.target.value })}
+                    placeholder="Happy Hour"
+                    className={inputClassName}
+                  />
+                </div>
+              </div>
+
+              <label className="flex items-center gap-2 text-sm text-neutral-700">
+                <input
+                  type="checkbox"
+                  checked={Boolean(editingOffer.is_automatic)}
+                  onChange={(e) => updateOffer({ is_automatic: e.target.checked })}
+                  className="rounded border-neutral-300 text-orange-500 focus:ring-orange-500"
+                />
+                Apply automatically (no code needed)
+              </label>
+
+              {/* Discount */}
+              <div>
+                <label className="block text-sm font-medium text-neutral-700 mb-2">Discount</label>
+                <div className="grid grid-cols-3 gap-2 mb-3">
+                  {DISCOUNT_TYPE_OPTIONS.map(option => (
+                    <button
+                      key={option.id}
+                      onClick={() => updateOffer({ discount_type: option.id })}
+                      className={`px-2 py-2 rounded-lg text-xs font-semibold border transition-colors ${
+                        editingOffer.discount_type === option.id ? 'border-orange-500 bg-orange-50 text-orange-700' : 'border-neutral-200 text-neutral-600'
+                      }`}
+                    >
+                      {option.label}
+                    </button>
+                  ))}
+                </div>
+
+                {editingOffer.discount_type === DISCOUNT_TYPES.BOGO ? (
+                  <div className="grid grid-cols-3 gap-3">
+                    <div>
+                      <label className="block text-xs text-neutral-600 mb-1">Buy</label>
+                      <input
+                        type="number"
+                        min="1"
+                        value={editingOffer.buy_quantity}
+                        onChange={(e) => updateOffer({ buy_quantity: e.target.value })}
+                        className={inputClassName}
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-xs text-neutral-600 mb-1">Get</label>
+                      <input
+                        type="number"
+                        min="1"
+                        value={editingOffer.get_quantity}
+                        onChange={(e) => updateOffer({ get_quantity: e.target.value })}
+                        className={inputClassName}
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-xs text-neutral-600 mb-1">% off (100 = free)</label>
+                      <input
+                        type="number"
+                        min="1"
+                        max="100"
+                        value={editingOffer.discount_value}
+                        onChange={(e) => updateOffer({ discount_value: e.target.value })}
+                        placeholder="100"
+                        className={inputClassName}
+                      />
+                    </div>
+                  </div>
+                ) : (
+                  <div className="grid grid-cols-2 gap-3">
+                    <div>
+                      <label className="block text-xs text-neutral-600 mb-1">
+                        {editingOffer.discount_type === DISCOUNT_TYPES.PERCENTAGE ? 'Percent off' : 'Amount off (₹)'}
+                      </label>
+                      <input
+                        type="number"
+                        min="0"
+                        value={editingOffer.discount_value}
+                        onChange={(e) => updateOffer({ discount_value: e.target.value })}
+                        className={inputClassName}
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-xs text-neutral-600 mb-1">Max discount (₹)</label>
+                      <input
+                        type="number"
+                        min="0"
+                        value={editingOffer.max_discount_amount}
+                        onChange={(e) => updateOffer({ max_discount_amount: e.target.value })}
+                        placeholder="No cap"
+                        className={inputClassName}
+                      />
+                    </div>
+                  </div>
+                )}
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-neutral-700 mb-2">Minimum order (₹)</label>
+                <input
+                  type="number"
+                  min="0"
+                  value={editingOffer.min_order_amount}
+                  onChange={(e) => updateOffer({ min_order_amount: e.target.value })}
+                  placeholder="0"
+                  className={inputClassName}
+                />
+              </div>
+
+              {/* Schedule */}
+              <div>
+                <label className="block text-sm font-medium text-neutral-700 mb-2">Runs between</label>
+                <div className="grid grid-cols-2 gap-3">
+                  <input
+                    type="datetime-local"
+                    value={editingOffer.starts_at}
+                    onChange={(e) => updateOffer({ starts_at: e.target.value })}
+                    className={inputClassName}
+                  />
+                  <input
+                    type="datetime-local"
+                    value={editingOffer.ends_at}
+                    onChange={(e) => updateOffer({ ends_at: e.target.value })}
+                    className={inputClassName}
+                  />
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-neutral-700 mb-2">Days (none selected = every day)</label>
+                <div className="flex flex-wrap gap-2">
+                  {WEEKDAYS.map((day, index) => (
+                    <button
+                      key={day}
+                      onClick={() => toggleListValue('valid_days', index)}
+                      className={`px-3 py-1.5 rounded-lg text-xs font-semibold border transition-colors ${
+                        editingOffer.valid_days?.includes(index) ? 'border-orange-500 bg-orange-50 text-orange-700' : 'border-neutral-200 text-neutral-600'
+                      }`}
+                    >
+                      {day}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-neutral-700 mb-2">Daily hours (happy hour)</label>
+                <div className="grid grid-cols-2 gap-3">
+                  <input
+                    type="time"
+                    value={editingOffer.valid_from_time}
+                    onChange={(e) => updateOffer({ valid_from_time: e.target.value })}
+                    className={inputClassName}
+                  />
+                  <input
+                    type="time"
+                    value={editingOffer.valid_until_time}
+                    onChange={(e) => updateOffer({ valid_until_time: e.target.value })}
+                    className={inputClassName}
+                  />
+                </div>
+              </div>
+
+              {/* Limits */}
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label className="block text-sm font-medium text-neutral-700 mb-2">Total uses</label>
+                  <input
+                    type="number"
+                    min="0"
+                    value={editingOffer.usage_limit_total}
+                    onChange={(e) => updateOffer({ usage_limit_total: e.target.value })}
+                    placeholder="Unlimited"
+                    className={inputClassName}
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-neutral-700 mb-2">Uses per customer</label>
+                  <input
+                    type="number"
+                    min="0"
+                    value={editingOffer.usage_limit_per_customer}
+                    onChange={(e) => updateOffer({ usage_limit_per_customer: e.target.value })}
+                    placeholder="Unlimited"
+                    className={inputClassName}
+                  />
+                </div>
+              </div>
+              {(editingOffer.usage_limit_total || editingOffer.usage_limit_per_customer) && (
+                <p className="text-xs text-neutral-500 -mt-2">Limited offers are only available to signed-in customers.</p>
+              )}
+
+              {/* Scope */}
+              <div>
+                <label className="block text-sm font-medium text-neutral-700 mb-2">Applies to (nothing selected = whole cart)</label>
+                {categories.length > 0 && (
+                  <div className="flex flex-wrap gap-2 mb-2">
+                    {categories.map(category => (
+                      <button
+                        key={category.id}
+                        onClick={() => toggleListValue('applicable_category_ids', category.id)}
+                        className={`px-3 py-1.5 rounded-lg text-xs font-semibold border transition-colors ${
+                          editingOffer.applicable_category_ids?.includes(category.id) ? 'border-orange-500 bg-orange-50 text-orange-700' : 'border-neutral-200 text-neutral-600'
+                        }`}
+                      >
+                        {category.name}
+                      </button>
+                    ))}
+                  </div>
+                )}
+                <div className="max-h-40 overflow-y-auto border border-neutral-200 rounded-lg divide-y divide-neutral-100">
+                  {menuItems.map(menuItem => (
+                    <label key={menuItem.id} className="flex items-center gap-2 px-3 py-2 text-sm text-neutral-700">
+                      <input
+                        type="checkbox"
+                        checked={editingOffer.applicable_item_ids?.includes(menuItem.id) || false}
+                        onChange={() => toggleListValue('applicable_item_ids', menuItem.id)}
+                        className="rounded border-neutral-300 text-orange-500 focus:ring-orange-500"
+                      />
+                      <span className="flex-1 truncate">{menuItem.name}</span>
+                      <span className="text-xs text-neutral-500">₹{menuItem.price}</span>
+                    </label>
+                  ))}
+                </div>
+              </div>
+            </div>
+
+            <div className="p-4 sm:p-6 border-t border-neutral-200 flex gap-3 flex-shrink-0">
+              <button
+                onClick={() => setEditingOffer(null)}
+                className="flex-1 px-4 py-2 border border-neutral-300 text-neutral-700 rounded-lg hover:bg-neutral-50 transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleSave}
+                disabled={saving}
+                className="flex-1 px-4 py-2 bg-orange-500 text-white rounded-lg hover:bg-orange-600 transition-colors disabled:opacity-50"
+              >
+                {saving ? 'Saving...' : 'Save'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default PromotionsTab
@@ -0,0 +1,395 @@
+import React, { useState, useEffect, useMemo } from 'react'
+import {
+  XMarkIcon,
+  ArrowUturnLeftIcon,
+  MinusIcon,
+  PlusIcon,
+  ArrowPathIcon
+} from '@heroicons/react/24/outline'
+import PaymentService from '../../services/paymentService'
+import toast from 'react-hot-toast'
+import { getOrderDisplayNumber } from '../../utils/orderNumberUtils'
+import {
+  REFUND_TYPES,
+  REFUND_METHODS,
+  REFUND_METHOD_LABELS,
+  REFUND_REASONS,
+  calculateRefundQuote,
+  getRefundableBalance,
+  getRefundReasonLabel
+} from '../../utils/refundUtils'
+
+const TYPE_TABS = [
+  { id: REFUND_TYPES.FULL, name: 'Full order' },
+  { id: REFUND_TYPES.ITEMS, name: 'Items' },
+  { id: REFUND_TYPES.GOODWILL, name: 'Goodwill' }
+]
+
+const STATUS_STYLES = {
+  processed: 'bg-green-100 text-green-800',
+  pending: 'bg-yellow-100 text-yellow-800',
+  failed: 'bg-red-100 text-red-800'
+}
+
+const RefundModal = ({ orderId, onClose, onRefunded }) => {
+  const [order, setOrder] = useState(null)
+  const [refunds, setRefunds] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [submitting, setSubmitting] = useState(false)
+  const [retrying, setRetrying] = useState(null)
+  const [type, setType] = useState(REFUND_TYPES.ITEMS)
+  const [method, setMethod] = useState(REFUND_METHODS.ORIGINAL)
+  const [quantities, setQuantities] = useState({})
+  const [includeTip, setIncludeTip] = useState(false)
+  const [amount, setAmount] = useState('')
+  const [reason, setReason] = useState(REFUND_REASONS[0].key)
+  const [note, setNote] = useState('')
+
+  useEffect(() => {
+    loadRefunds()
+  }, [orderId])
+
+  const loadRefunds = async () => {
+    setLoading(true)
+    const result = await PaymentService.getOrderRefunds(orderId)
+    if (result.success) {
+      setOrder(result.data.order)
+      setRefunds(result.data.refunds)
+      setQuantities({})
+    } else {
+      toast.error('Failed to load refunds')
+    }
+    setLoading(false)
+  }
+
+  const balance = useMemo(() => (order ? getRefundableBalance(order, refunds) : null), [order, refunds])
+
+  const quote = useMemo(() => (
+    order
+      ? calculateRefundQuote(order, refunds, { type, method, quantities, includeTip, amount: parseFloat(amount) || 0 })
+      : null
+  ), [order, refunds, type, method, quantities, includeTip, amount])
+
+  const canPayCoins = type === REFUND_TYPES.GOODWILL && !!order?.customer_id
+  const methods = [REFUND_METHODS.ORIGINAL, REFUND_METHODS.CASH, ...(canPayCoins ? [REFUND_METHODS.COINS] : [])]
+
+  const changeType = (nextType) => {
+    setType(nextType)
+    if (method === REFUND_METHODS.COINS && nextType !== REFUND_TYPES.GOODWILL) {
+      setMethod(REFUND_METHODS.ORIGINAL)
+    }
+  }
+
+  const changeQuantity = (item, delta) => {
+    setQuantities(current => ({
+      ...current,
+      [item.id]: Math.min(Math.max((current[item.id] || 0) + delta, 0), item.quantityLeft)
+    }))
+  }
+
+  const handleSubmit = async () => {
+    if (!quote || quote.amount <= 0) {
+      toast.error(type === REFUND_TYPES.ITEMS ? 'Pick the items to refund' : 'Enter an amount')
+      return
+    }
+    if (quote.exceedsRemaining) {
+      toast.error(`Only ₹${quote.remaining.toFixed(2)} is left to refund`)
+      return
+    }
+
+    setSubmitting(true)
+    const result = await PaymentService.refundOrder({
+      orderId,
+      type,
+      method,
+      reason,
+      note,
+      items: quote.items.map(item => ({ order_item_id: item.orderItemId, quantity: item.quantity })),
+      amount: type === REFUND_TYPES.GOODWILL ? quote.amount : null,
+      includeTip
+    })
+    setSubmitting(false)
+
+    if (!result.success) {
+      toast.error(result.error || 'Refund failed')
+      await loadRefunds()
+      return
+    }
+
+    const { refund, coins } = result.data
+    if (refund.status === 'pending') {
+      toast('Refund sent - waiting on the payment gateway', { icon: '⏳' })
+    } else if (refund.method === REFUND_METHODS.COINS) {
+      toast.success(`${refund.coins_credited} Ordyrr Coins credited`)
+    } else {
+      toast.success(`₹${parseFloat(refund.amount).toFixed(2)} refunded${coins.clawedBack ? ` · ${coins.clawedBack} coins taken back` : ''}`)
+    }
+
+    setAmount('')
+    setNote('')
+    setIncludeTip(false)
+    await loadRefunds()
+    onRefunded?.()
+  }
+
+  const handleRetry = async (refund) => {
+    setRetrying(refund.id)
+    const result = await PaymentService.retryRefund(refund.id)
+    setRetrying(null)
+
+    if (result.success && result.data.refund.status === 'processed') {
+      toast.success('Refund processed')
+      onRefunded?.()
+    } else {
+      toast.error(result.error || result.data?.refund?.error || 'Refund is still pending')
+    }
+    await loadRefunds()
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-[60]">
+      <div className="bg-white rounded-xl max-w-2xl w-full max-h-[90vh] flex flex-col shadow-2xl">
+        <div className="p-4 sm:p-6 border-b border-neutral-200 flex-shrink-0">
+          <div className="flex items-center justify-between">
+            <div>
+              <h3 className="text-lg sm:text-xl font-bold text-neutral-900">Refund Order</h3>
+              {order && (
+                <p className="text-sm text-neutral-500">
+                  #{getOrderDisplayNumber(order)} · ₹{balance.amount.toFixed(2)} of ₹{parseFloat(order.total_amount).toFixed(2)} left to refund
+                </p>
+              )}
+            </div>
+            <button
+              onClick={onClose}
+              className="p-2 hover:bg-neutral-100 rounded-lg transition-colors"
+            >
+              <XMarkIcon className="h-5 w-5" />
+            </button>
+          </div>
+        </div>
+
+        {loading || !order ? (
+          <div className="p-12 flex justify-center">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-orange-500"></div>
+          </div>
+        ) : (
+          <div className="p-4 sm:p-6 space-y-5 flex-1 overflow-y-auto">
+            {/* Refund type */}
+            <div className="flex bg-neutral-100 rounded-lg p-1">
+              {TYPE_TABS.map(tab => (
+                <button
+                  key={tab.id}
+                  onClick={() => changeType(tab.id)}
+                  className={`flex-1 py-2 px-3 rounded-md text-sm font-medium transition-colors ${
+                    type === tab.id ? 'bg-white text-orange-600 shadow-sm' : 'text-neutral-600 hover:text-neutral-900'
+                  }`}
+                >
+                  {tab.name}
+                </button>
+              ))}
+            </div>
+
+            {type === REFUND_TYPES.FULL && (
+              <div className="bg-neutral-50 p-3 rounded-lg space-y-1">
+                {quote.items.map(item => (
+                  <div key={item.orderItemId} className="flex justify-between text-sm">
+                    <span>{item.quantity} × {item.itemName}</span>
+                    <span className="font-medium">₹{item.amount.toFixed(2)}</span>
+                  </div>
+                ))}
+                {quote.tip > 0 && (
+                  <div className="flex justify-between text-sm text-neutral-600">
+                    <span>Tip</span>
+                    <span>₹{quote.tip.toFixed(2)}</span>
+                  </div>
+                )}
+              </div>
+            )}
+
+            {type === REFUND_TYPES.ITEMS && (
+              <div className="space-y-2">
+                {balance.items.map(item => (
+                  <div key={item.id} className="flex items-center justify-between bg-neutral-50 p-3 rounded-lg">
+                    <div>
+                      <p className="font-medium">{item.itemName}</p>
+                      <p className="text-xs text-neutral-500">
+                        ₹{item.paid.toFixed(2)} paid for {item.quantity}
+                        {item.quantityLeft < item.quantity && ` · ${item.quantity - item.quantityLeft} refunded`}
+                      </p>
+                    </div>
+                    <div className="flex items-center gap-2">
+                      <button
+                        onClick={() => changeQuantity(item, -1)}
+                        disabled={!quantities[item.id]}
+                        className="p-1.5 rounded-lg border border-neutral-300 hover:bg-neutral-100 disabled:opacity-40"
+                      >
+                        <MinusIcon className="h-4 w-4" />
+                      </button>
+                      <span className="w-10 text-center font-medium">{quantities[item.id] || 0}/{item.quantityLeft}</span>
+                      <button
+                        onClick={() => changeQuantity(item, 1)}
+                        disabled={(quantities[item.id] || 0) >= item.quantityLeft}
+                        className="p-1.5 rounded-lg border border-neutral-300 hover:bg-neutral-100 disabled:opacity-40"
+                      >
+                        <PlusIcon className="h-4 w-4" />
+                      </button>
+                    </div>
+                  </div>
+                ))}
+                {balance.tip > 0 && (
+                  <label className="flex items-center gap-2 text-sm text-neutral-700">
+                    <input
+                      type="checkbox"
+                      checked={includeTip}
+                      onChange={(e) => setIncludeTip(e.target.checked)}
+                      className="rounded border-neutral-300 text-orange-600 focus:ring-orange-500"
+                    />
+                    Refund the ₹{balance.tip.toFixed(2)} tip too
+                  </label>
+                )}
+              </div>
+            )}
+
+            {type === REFUND_TYPES.GOODWILL && (
+              <div>
+                <label className="text-sm font-medium text-neutral-500">Amount (₹)</label>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={amount}
+                  onChange={(e) => setAmount(e.target.value)}
+                  className="mt-1 w-full px-3 py-2 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-orange-500"
+                  placeholder="0.00"
+                />
+              </div>
+            )}
+
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <div>
+                <label className="text-sm font-medium text-neutral-500">Refund to</label>
+                <select
+                  value={method}
+                  onChange={(e) => setMethod(e.target.value)}
+                  className="mt-1 w-full px-3 py-2 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-orange-500"
+                >
+                  {methods.map(key => (
+                    <option key={key} value={key}>{REFUND_METHOD_LABELS[key]}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="text-sm font-medium text-neutral-500">Reason</label>
+                <select
+                  value={reason}
+                  onChange={(e) => setReason(e.target.value)}
+                  className="mt-1 w-full px-3 py-2 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-orange-500"
+                >
+                  {REFUND_REASONS.map(option => (
+                    <option key={option.key} value={option.key}>{option.label}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            <div>
+              <label className="text-sm font-medium text-neutral-500">Note (optional)</label>
+              <textarea
+                value={note}
+                onChange={(e) => setNote(e.target.value)}
+                rows={2}
+                className="mt-1 w-full px-3 py-2 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-orange-500"
+                placeholder="What happened?"
+              />
+            </div>
+
+            {/* Quote */}
+            <div className="bg-orange-50 border border-orange-200 p-4 rounded-lg">
+              <div className="flex justify-between items-center">
+                <span className="font-medium text-neutral-700">
+                  {method === REFUND_METHODS.COINS ? 'Coins to credit' : 'Refund amount'}
+                </span>
+                <span className="text-xl font-bold text-orange-600">
+                  {method === REFUND_METHODS.COINS ? `${quote.coins} coins` : `₹${quote.amount.toFixed(2)}`}
+                </span>
+              </div>
+              {quote.coinsRatio > 0 && (
+                <p className="text-xs text-neutral-600 mt-1">
+                  {Math.round(quote.coinsRatio * 100)}% of the coins earned and spent on this order will be reversed
+                </p>
+              )}
+              {quote.exceedsRemaining && (
+                <p className="text-xs text-red-600 mt-1">Only ₹{quote.remaining.toFixed(2)} is left to refund</p>
+              )}
+            </div>
+
+            {/* Past refunds */}
+            {refunds.length > 0 && (
+              <div>
+                <label className="text-sm font-medium text-neutral-500">Refund history</label>
+                <div className="bg-neutral-50 p-3 rounded-lg space-y-3 mt-1">
+                  {refunds.map(refund => (
+                    <div key={refund.id} className="flex justify-between items-start gap-3">
+                      <div>
+                        <p className="font-medium text-sm">
+                          {refund.method === REFUND_METHODS.COINS
+                            ? `${refund.coins_credited} coins`
+                            : `₹${parseFloat(refund.amount).toFixed(2)}`}
+                          <span className="text-neutral-500 font-normal"> · {REFUND_METHOD_LABELS[refund.method]}</span>
+                        </p>
+                        <p className="text-xs text-neutral-600">
+                          {getRefundReasonLabel(refund.reason)} · {new Date(refund.created_at).toLocaleString()}
+                        </p>
+                        {refund.items?.length > 0 && (
+                          <p className="text-xs text-neutral-500">
+                            {refund.items.map(item => `${item.quantity} × ${item.item_name}`).join(', ')}
+                          </p>
+                        )}
+                        {refund.note && <p className="text-xs text-neutral-500">Note: {refund.note}</p>}
+                        {refund.error && <p className="text-xs text-red-600">{refund.error}</p>}
+                      </div>
+                      <div className="flex items-center gap-2 flex-shrink-0">
+                        <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_STYLES[refund.status]}`}>
+                          {refund.status}
+                        </span>
+                        {refund.status === 'pending' && (
+                          <button
+                            onClick={() => handleRetry(refund)}
+                            disabled={retrying === refund.id}
+                            className="p-1 hover:bg-neutral-200 rounded transition-colors disabled:opacity-50"
+                            title="Try again"
+                          >
+                            <ArrowPathIcon className={`h-4 w-4 ${retrying === refund.id ? 'animate-spin' : ''}`} />
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+
+        <div className="p-4 sm:p-6 border-t border-neutral-200 flex justify-end gap-3 flex-shrink-0">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 border border-neutral-300 rounded-lg text-neutral-700 hover:bg-neutral-50 transition-colors"
+          >
+            Close
+          </button>
+          <button
+            onClick={handleSubmit}
+            disabled={loading || submitting || !quote || quote.amount <= 0 || quote.exceedsRemaining}
+            className="flex items-center gap-2 px-4 py-2 bg-orange-500 text-white rounded-lg hover:bg-orange-600 transition-colors disabled:opacity-50"
+          >
+            <ArrowUturnLeftIcon className="h-4 w-4" />
+            {submitting ? 'Refunding...' : 'Refund'}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default RefundModal
@@ -0,0 +1,507 @@
+import React, { useState, useEffect, useMemo } from 'react'
+import {
+  CalendarDaysIcon,
+  ChevronLeftIcon,
+  ChevronRightIcon,
+  PlusIcon,
+  Cog6ToothIcon,
+  XMarkIcon,
+  UserGroupIcon,
+  PhoneIcon,
+  ArrowPathIcon
+} from '@heroicons/react/24/outline'
+import ReservationService from '../../services/reservationService'
+import {
+  RESERVATION_STATUS,
+  RESERVATION_STATUS_LABELS,
+  DEFAULT_RESERVATION_SETTINGS,
+  formatReservationTime,
+  getOpeningHoursForDate,
+  getTimelinePosition,
+  isHoldExpired,
+  toDateKey
+} from '../../utils/reservationUtils'
+import toast from 'react-hot-toast'
+
+const STATUS_STYLES = {
+  confirmed: 'bg-blue-100 text-blue-800 border-blue-300',
+  seated: 'bg-green-100 text-green-800 border-green-300',
+  completed: 'bg-neutral-100 text-neutral-600 border-neutral-300',
+  cancelled: 'bg-neutral-50 text-neutral-400 border-neutral-200 line-through',
+  no_show: 'bg-red-100 text-red-700 border-red-300'
+}
+
+const EMPTY_BOOKING = { customer_name: '', customer_phone: '', party_size: 2, time: '19:00', table_id: '', notes: '' }
+
+const SETTING_FIELDS = [
+  { key: 'slot_minutes', label: 'Slot interval (min)' },
+  { key: 'duration_minutes', label: 'Seating duration (min)' },
+  { key: 'buffer_minutes', label: 'Buffer between bookings (min)' },
+  { key: 'hold_minutes', label: 'Hold table for late guests (min)' },
+  { key: 'advance_days', label: 'Bookable days ahead' },
+  { key: 'max_party_size', label: 'Largest party online' }
+]
+
+/**
+ * Day view of a restaurant's bookings: one row per table with each booking's
+ * blocked window (buffer shaded), plus the day's list with seat / complete /
+ * no-show / cancel actions.
+ */
+const ReservationsTimeline = ({ restaurant, tables = [], onChange }) => {
+  const [dateKey, setDateKey] = useState(toDateKey())
+  const [reservations, setReservations] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [restaurantInfo, setRestaurantInfo] = useState(null)
+  const [settings, setSettings] = useState(DEFAULT_RESERVATION_SETTINGS)
+  const [showBookingModal, setShowBookingModal] = useState(false)
+  const [booking, setBooking] = useState(EMPTY_BOOKING)
+  const [showSettingsModal, setShowSettingsModal] = useState(false)
+  const [settingsForm, setSettingsForm] = useState(DEFAULT_RESERVATION_SETTINGS)
+  const [isSubmitting, setIsSubmitting] = useState(false)
+
+  const hours = getOpeningHoursForDate(restaurantInfo, dateKey) || getOpeningHoursForDate(null, dateKey)
+  const { dayStart, dayEnd } = useMemo(() => {
+    const start = new Date(`${dateKey}T${hours.open}`)
+    const end = new Date(`${dateKey}T${hours.close}`)
+    if (end <= start) end.setDate(end.getDate() + 1)
+    return { dayStart: start, dayEnd: end }
+  }, [dateKey, hours.open, hours.close])
+
+  const hourMarks = useMemo(() => {
+    const marks = []
+    const mark = new Date(dayStart)
+    mark.setMinutes(0, 0, 0)
+    if (mark < dayStart) mark.setHours(mark.getHours() + 1)
+    while (mark <= dayEnd) {
+      marks.push(new Date(mark))
+      mark.setHours(mark.getHours() + 1)
+    }
+    return marks
+  }, [dayStart, dayEnd])
+
+  useEffect(() => {
+    if (!restaurant?.id) return
+    ReservationService.getSettings(restaurant.id)
+      .then(({ restaurant: info, settings: saved }) => {
+        setRestaurantInfo(info)
+        setSettings(saved)
+      })
+      .catch(error => console.error('Error loading reservation settings:', error))
+  }, [restaurant?.id])
+
+  useEffect(() => {
+    if (restaurant?.id) loadReservations()
+  }, [restaurant?.id, dateKey])
+
+  const loadReservations = async () => {
+    setLoading(true)
+    try {
+      await ReservationService.releaseExpiredHolds(restaurant.id)
+      const dayBegin = new Date(`${dateKey}T00:00`)
+      const nextDay = new Date(dayBegin)
+      nextDay.setDate(nextDay.getDate() + 1)
+      setReservations(await ReservationService.getReservations(restaurant.id, dayBegin, nextDay))
+    } catch (error) {
+      console.error('Error loading reservations:', error)
+      toast.error('Failed to load bookings')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const shiftDay = (days) => {
+    const date = new Date(`${dateKey}T00:00`)
+    date.setDate(date.getDate() + days)
+    setDateKey(toDateKey(date))
+  }
+
+  const handleStatusChange = async (reservation, status) => {
+    try {
+      const updated = await ReservationService.updateStatus(reservation.id, status)
+      setReservations(prev => prev.map(item => (item.id === updated.id ? updated : item)))
+      toast.success(`${reservation.customer_name}: ${RESERVATION_STATUS_LABELS[status]}`)
+      onChange?.()
+    } catch (error) {
+      console.error('Error updating reservation:', error)
+      toast.error(error.message || 'Failed to update booking')
+    }
+  }
+
+  const handleCreateBooking = async () => {
+    setIsSubmitting(true)
+    try {
+      await ReservationService.bookTable({
+        restaurantId: restaurant.id,
+        partySize: parseInt(booking.party_size),
+        reservedFor: new Date(`${dateKey}T${booking.time}`),
+        customerName: booking.customer_name,
+        customerPhone: booking.customer_phone,
+        tableId: booking.table_id || null,
+        notes: booking.notes
+      })
+      toast.success('Booking added')
+      setShowBookingModal(false)
+      setBooking(EMPTY_BOOKING)
+      await loadReservations()
+      onChange?.()
+    } catch (error) {
+      console.error('Error creating booking:', error)
+      toast.error(error.message || 'Failed to add booking')
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  const handleSaveSettings = async () => {
+    setIsSubmitting(true)
+    try {
+      await ReservationService.saveSettings(restaurant.id, settingsForm)
+      const { settings: saved } = await ReservationService.getSettings(restaurant.id)
+      setSettings(saved)
+      setShowSettingsModal(false)
+      toast.success('Booking settings saved')
+    } catch (error) {
+      console.error('Error saving reservation settings:', error)
+      toast.error('Failed to save booking settings')
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  const getActions = (reservation) => {
+    switch (reservation.status) {
+      case RESERVATION_STATUS.CONFIRMED:
+        return [
+          { status: RESERVATION_STATUS.SEATED, label: 'Seat', className: 'bg-green-500 text-white hover:bg-green-600' },
+          { status: RESERVATION_STATUS.NO_SHOW, label: 'No-show', className: 'bg-red-50 text-red-600 hover:bg-red-100' },
+          { status: RESERVATION_STATUS.CANCELLED, label: 'Cancel', className: 'bg-neutral-100 text-neutral-600 hover:bg-neutral-200' }
+        ]
+      case RESERVATION_STATUS.SEATED:
+        return [
+          { status: RESERVATION_STATUS.COMPLETED, label: 'Complete', className: 'bg-orange-500 text-white hover:bg-orange-600' }
+        ]
+      default:
+        return []
+    }
+  }
+
+  const activeCount = reservations.filter(item =>
+    item.status === RESERVATION_STATUS.CONFIRMED || item.status === RESERVATION_STATUS.SEATED
+  ).length
+  const coversCount = reservations
+    .filter(item => item.status !== RESERVATION_STATUS.CANCELLED && item.status !== RESERVATION_STATUS.NO_SHOW)
+    .reduce((sum, item) => sum + item.party_size, 0)
+
+  return (
+    <div className="bg-white rounded-xl p-4 md:p-6 shadow-sm border border-neutral-200 space-y-4">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row gap-3 sm:items-center sm:justify-between">
+        <div>
+          <h3 className="text-lg font-bold text-neutral-900 flex items-center gap-2">
+            <CalendarDaysIcon className="h-5 w-5 text-orange-500" />
+            Bookings
+          </h3>
+          <p className="text-xs text-neutral-500 mt-1">
+            {activeCount} upcoming · {coversCount} covers · {settings.duration_minutes} min seatings, {settings.buffer_minutes} min buffer
+            {!settings.enabled && <span className="text-red-600"> · Online booking off</span>}
+          </p>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <button onClick={() => shiftDay(-1)} className="p-2 border border-neutral-300 rounded-lg hover:bg-neutral-50">
+            <ChevronLeftIcon className="h-4 w-4" />
+          </button>
+          <input
+            type="date"
+            value={dateKey}
+            onChange={(e) => e.target.value && setDateKey(e.target.value)}
+            className="px-3 py-1.5 border border-neutral-300 rounded-lg text-sm focus:ring-2 focus:ring-orange-500 focus:border-transparent"
+          />
+          <button onClick={() => shiftDay(1)} className="p-2 border border-neutral-300 rounded-lg hover:bg-neutral-50">
+            <ChevronRightIcon className="h-4 w-4" />
+          </button>
+          <button onClick={loadReservations} className="p-2 text-blue-600 border border-blue-200 rounded-lg hover:bg-blue-50">
+            <ArrowPathIcon className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+          </button>
+          <button
+            onClick={() => {
+              setSettingsForm(settings)
+              setShowSettingsModal(true)
+            }}
+            className="p-2 text-neutral-600 border border-neutral-300 rounded-lg hover:bg-neutral-50"
+          >
+            <Cog6ToothIcon className="h-4 w-4" />
+          </button>
+          <button
+            onClick={() => setShowBookingModal(true)}
+            className="flex items-center gap-2 px-3 py-2 bg-orange-500 text-white rounded-lg hover:bg-orange-600 transition-colors font-medium text-sm"
+          >
+            <PlusIcon className="h-4 w-4" />
+            Booking
+          </button>
+        </div>
+      </div>
+
+      {/* Timeline */}
+      <div className="overflow-x-auto">
+        <div className="min-w-[640px]">
+          <div className="flex text-[10px] text-neutral-400 ml-20 relative h-4">
+            {hourMarks.map(mark => (
+              <span
+                key={mark.toISOString()}
+                className="absolute -translate-x-1/2"
+                style={{ left: `${getTimelinePosition(dayStart, mark, dayStart, dayEnd).width}%` }}
+              >
+                {mark.getHours().toString().padStart(2, '0')}:00
+              </span>
+            ))}
+          </div>
+          {tables.length === 0 ? (
+            <p className="text-sm text-neutral-500 py-4 text-center">Add tables to start taking bookings</p>
+          ) : tables.map(table => (
+            <div key={table.id} className="flex items-center h-9 border-t border-neutral-100">
+              <div className="w-20 flex-shrink-0 text-xs font-medium text-neutral-700 truncate">
+                {table.table_number} <span className="text-neutral-400">({table.capacity})</span>
+              </div>
+              <div className="relative flex-1 h-7 bg-neutral-50 rounded">
+                {reservations
+                  .filter(item => item.table_id === table.id && item.status !== RESERVATION_STATUS.CANCELLED)
+                  .map(item => {
+                    const blocked = getTimelinePosition(item.blocked_from, item.blocked_until, dayStart, dayEnd)
+                    const seating = getTimelinePosition(
+                      item.reserved_for,
+                      new Date(new Date(item.reserved_for).getTime() + item.duration_minutes * 60 * 1000),
+                      dayStart,
+                      dayEnd
+                    )
+                    if (blocked.width <= 0) return null
+                    return (
+                      <React.Fragment key={item.id}>
+                        <div
+                          className="absolute top-0 h-full bg-neutral-200 rounded"
+                          style={{ left: `${blocked.left}%`, width: `${blocked.width}%` }}
+                        />
+                        <div
+                          title={`${item.customer_name} · ${item.party_size} guests · ${formatReservationTime(item.reserved_for)}`}
+                          className={`absolute top-0.5 bottom-0.5 rounded border text-[10px] font-medium px-1 truncate ${STATUS_STYLES[item.status]}`}
+                          style={{ left: `${seating.left}%`, width: `${seating.width}%` }}
+                        >
+                          {item.customer_name} ({item.party_size})
+                        </div>
+                      </React.Fragment>
+                    )
+                  })}
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* Day list */}
+      {reservations.length > 0 && (
+        <div className="divide-y divide-neutral-100 border-t border-neutral-200">
+          {reservations.map(item => (
+            <div key={item.id} className="py-3 flex flex-col sm:flex-row sm:items-center gap-2 sm:justify-between">
+              <div className="min-w-0">
+                <div className="flex items-center gap-2 flex-wrap">
+                  <span className="font-semibold text-sm text-neutral-900">{formatReservationTime(item.reserved_for)}</span>
+                  <span className="text-sm text-neutral-800 truncate">{item.customer_name}</span>
+                  <span className={`px-2 py-0.5 rounded-full text-[10px] font-medium border ${STATUS_STYLES[item.status]}`}>
+                    {RESERVATION_STATUS_LABELS[item.status]}{item.auto_released ? ' (auto)' : ''}
+                  </span>
+                  {isHoldExpired(item) && (
+                    <span className="text-[10px] text-red-600 font-medium">Hold expired</span>
+                  )}
+                </div>
+                <div className="flex items-center gap-3 text-xs text-neutral-500 mt-1">
+                  <span className="flex items-center gap-1"><UserGroupIcon className="h-3 w-3" />{item.party_size}</span>
+                  <span>Table {item.tables?.table_number || '-'}</span>
+                  {item.customer_phone && (
+                    <span className="flex items-center gap-1"><PhoneIcon className="h-3 w-3" />{item.customer_phone}</span>
+                  )}
+                  {item.notes && <span className="truncate">“{item.notes}”</span>}
+                </div>
+              </div>
+              <div className="flex gap-2 flex-shrink-0">
+                {getActions(item).map(action => (
+                  <button
+                    key={action.status}
+                    onClick={() => handleStatusChange(item, action.status)}
+                    className={`px-3 py-1 rounded-lg text-xs font-medium transition-colors ${action.className}`}
+                  >
+                    {action.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* New Booking Modal */}
+      {showBookingModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-xl max-w-md w-full max-h-[85vh] flex flex-col shadow-2xl">
+            <div className="p-4 sm:p-6 border-b border-neutral-200 flex-shrink-0">
+              <div className="flex items-center justify-between">
+                <h3 className="text-lg sm:text-xl font-bold text-neutral-900">New Booking - {new Date(`${dateKey}T00:00`).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' })}</h3>
+                <button onClick={() => setShowBookingModal(false)} className="p-2 hover:bg-neutral-100 rounded-lg transition-colors">
+                  <XMarkIcon className="h-5 w-5" />
+                </button>
+              </div>
+            </div>
+
+            <div className="p-4 sm:p-6 space-y-3 flex-1 overflow-y-auto">
+              <div>
+                <label className="block text-sm font-medium text-neutral-700 mb-2">Guest Name</label>
+                <input
+                  type="text"
+                  value={booking.customer_name}
+                  onChange={(e) => setBooking({ ...booking, customer_name: e.target.value })}
+                  className="w-full px-3 py-2 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-transparent"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-neutral-700 mb-2">Phone</label>
+                <input
+                  type="tel"
+                  value={booking.customer_phone}
+                  onChange={(e) => setBooking({ ...booking, customer_phone: e.target.value })}
+                  className="w-full px-3 py-2 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-transparent"
+                />
+              </div>
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label className="block text-sm font-medium text-neutral-700 mb-2">Guests</label>
+                  <input
+                    type="number"
+                    min="1"
+                    value={booking.party_size}
+                    onChange={(e) => setBooking({ ...booking, party_size: e.target.value })}
+                    className="w-full px-3 py-2 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-transparent"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-neutral-700 mb-2">Time</label>
+                  <input
+                    type="time"
+                    value={booking.time}
+                    onChange={(e) => setBooking({ ...booking, time: e.target.value })}
+                    className="w-full px-3 py-2 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-transparent"
+                  />
+                </div>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-neutral-700 mb-2">Table</label>
+                <select
+                  value={booking.table_id}
+                  onChange={(e) => setBooking({ ...booking, table_id: e.target.value })}
+                  className="w-full px-3 py-2 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-transparent"
+                >
+                  <option value="">Best fit (smallest free table)</option>
+                  {tables
+                    .filter(table => table.capacity >= (parseInt(booking.party_size) || 1))
+                    .map(table => (
+                      <option key={table.id} value={table.id}>{table.table_number} - {table.capacity} seats</option>
+                    ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-neutral-700 mb-2">Notes</label>
+                <input
+                  type="text"
+                  value={booking.notes}
+                  onChange={(e) => setBooking({ ...booking, notes: e.target.value })}
+                  placeholder="e.g., Birthday, high chair"
+                  className="w-full px-3 py-2 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-transparent"
+                />
+              </div>
+            </div>
+
+            <div className="p-4 sm:p-6 border-t border-neutral-200 bg-neutral-50 flex-shrink-0">
+              <div className="flex gap-3">
+                <button
+                  onClick={() => setShowBookingModal(false)}
+                  className="flex-1 px-4 py-2 text-neutral-600 border border-neutral-300 rounded-lg hover:bg-neutral-50 transition-colors font-medium"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={handleCreateBooking}
+                  disabled={isSubmitting || !booking.customer_name.trim()}
+                  className="flex-1 px-4 py-2 bg-orange-500 text-white rounded-lg hover:bg-orange-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors font-medium"
+                >
+                  {isSubmitting ? 'Booking...' : 'Add Booking'}
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Booking Settings Modal */}
+      {showSettingsModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-xl max-w-md w-full max-h-[85vh] flex flex-col shadow-2xl">
+            <div className="p-4 sm:p-6 border-b border-neutral-200 flex-shrink-0">
+              <div className="flex items-center justify-between">
+                <h3 className="text-lg sm:text-xl font-bold text-neutral-900">Booking Settings</h3>
+                <button onClick={() => setShowSettingsModal(false)} className="p-2 hover:bg-neutral-100 rounded-lg transition-colors">
+                  <XMarkIcon className="h-5 w-5" />
+                </button>
+              </div>
+            </div>
+
+            <div className="p-4 sm:p-6 space-y-3 flex-1 overflow-y-auto">
+              <label className="flex items-center gap-2 text-sm font-medium text-neutral-700">
+                <input
+                  type="checkbox"
+                  checked={settingsForm.enabled}
+                  onChange={(e) => setSettingsForm({ ...settingsForm, enabled: e.target.checked })}
+                  className="rounded text-orange-500 focus:ring-orange-500"
+                />
+                Accept online bookings
+              </label>
+              <div className="grid grid-cols-2 gap-3">
+                {SETTING_FIELDS.map(field => (
+                  <div key={field.key}>
+                    <label className="block text-xs font-medium text-neutral-700 mb-1">{field.label}</label>
+                    <input
+                      type="number"
+                      min="0"
+                      value={settingsForm[field.key]}
+                      onChange={(e) => setSettingsForm({ ...settingsForm, [field.key]: e.target.value })}
+                      className="w-full px-3 py-2 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-transparent"
+                    />
+                  </div>
+                ))}
+              </div>
+              <p className="text-xs text-neutral-500">
+                Tables are blocked from the buffer before arrival until the buffer after the seating ends. Guests who have not arrived when the hold runs out are marked as no-shows and the table is released.
+              </p>
+            </div>
+
+            <div className="p-4 sm:p-6 border-t border-neutral-200 bg-neutral-50 flex-shrink-0">
+              <div className="flex gap-3">
+                <button
+                  onClick={() => setShowSettingsModal(false)}
+                  className="flex-1 px-4 py-2 text-neutral-600 border border-neutral-300 rounded-lg hover:bg-neutral-50 transition-colors font-medium"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={handleSaveSettings}
+                  disabled={isSubmitting}
+                  className="flex-1 px-4 py-2 bg-orange-500 text-white rounded-lg hover:bg-orange-600 disabled:opacity-50 transition-colors font-medium"
+                >
+                  {isSubmitting ? 'Saving...' : 'Save'}
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ReservationsTimeline
@@ -0,0 +1,316 @@
+import React, { useState, useEffect, useMemo } from 'react'
+import {
+  AdjustmentsHorizontalIcon,
+  ArrowPathIcon,
+  ChevronDownIcon,
+  ChevronUpIcon,
+  ClipboardDocumentListIcon,
+  MapIcon
+} from '@heroicons/react/24/outline'
+import { supabase } from '../../config/supabase'
+import StaffAssignmentService from '../../services/staffAssignmentService'
+import {
+  ASSIGNMENT_STRATEGIES,
+  ASSIGNMENT_STRATEGY_LABELS,
+  DEFAULT_ASSIGNMENT_SETTINGS
+} from '../../utils/assignmentUtils'
+import { getOrderDisplayNumber } from '../../utils/orderNumberUtils'
+import toast from 'react-hot-toast'
+
+/**
+ * Auto-assignment: engine settings, each staff member's live load and
+ * sections, and the audit log explaining who got which order and why.
+ */
+const StaffAssignmentPanel = ({ restaurant }) => {
+  const [settings, setSettings] = useState(DEFAULT_ASSIGNMENT_SETTINGS)
+  const [workload, setWorkload] = useState([])
+  const [log, setLog] = useState([])
+  const [tableSections, setTableSections] = useState([])
+  const [sectionDrafts, setSectionDrafts] = useState({})
+  const [expandedLogId, setExpandedLogId] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [isSaving, setIsSaving] = useState(false)
+
+  const positions = useMemo(
+    () => [...new Set(workload.map(staff => (staff.position || '').trim().toLowerCase()).filter(Boolean))],
+    [workload]
+  )
+
+  useEffect(() => {
+    if (restaurant?.id) loadAll()
+  }, [restaurant?.id])
+
+  const loadAll = async () => {
+    try {
+      setLoading(true)
+      const [savedSettings, staffWorkload, decisions, { data: tables }] = await Promise.all([
+        StaffAssignmentService.getAssignmentSettings(restaurant.id),
+        StaffAssignmentService.getStaffWorkload(restaurant.id),
+        StaffAssignmentService.getAssignmentLog(restaurant.id),
+        supabase.from('tables').select('location').eq('restaurant_id', restaurant.id)
+      ])
+
+      setSettings(savedSettings)
+      setWorkload(staffWorkload)
+      setLog(decisions)
+      setTableSections([...new Set((tables || []).map(table => table.location).filter(Boolean))].sort())
+      setSectionDrafts(Object.fromEntries(staffWorkload.map(staff => [staff.id, (staff.sections || []).join(', ')])))
+    } catch (error) {
+      console.error('❌ Error loading assignment data:', error)
+      toast.error('Failed to load auto-assignment')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleSaveSettings = async () => {
+    try {
+      setIsSaving(true)
+      await StaffAssignmentService.saveAssignmentSettings(restaurant.id, settings)
+      toast.success('Auto-assignment settings saved')
+      await loadAll()
+    } catch (error) {
+      toast.error(error.message || 'Failed to save settings')
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  // An empty list means every role, so the first tap turns one role off
+  const togglePosition = (position) => {
+    const current = settings.eligible_positions.length ? settings.eligible_positions : positions
+    const next = current.includes(position)
+      ? current.filter(existing => existing !== position)
+      : [...current, position]
+    setSettings({
+      ...settings,
+      eligible_positions: positions.every(existing => next.includes(existing)) ? [] : next
+    })
+  }
+
+  const handleSaveSections = async (staff) => {
+    const sections = (sectionDrafts[staff.id] || '').split(',')
+    if (sections.map(section => section.trim()).filter(Boolean).join(', ') === (staff.sections || []).join(', ')) return
+
+    try {
+      await StaffAssignmentService.updateStaffSections(staff.id, sections)
+      toast.success(`Sections updated for ${staff.full_name}`)
+      setWorkload(prev => prev.map(existing => existing.id === staff.id
+        ? { ...existing, sections: sections.map(section => section.trim()).filter(Boolean) }
+        : existing))
+    } catch (error) {
+      toast.error(error.message || 'Failed to update sections')
+    }
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Settings */}
+      <div className="bg-white rounded-xl p-4 md:p-6 border border-gray-200 space-y-4">
+        <div className="flex items-center justify-between gap-3">
+          <h2 className="text-2xl font-bold text-gray-900 flex items-center gap-2">
+            <AdjustmentsHorizontalIcon className="h-6 w-6 text-orange-500" />
+            Auto-assignment
+          </h2>
+          <button onClick={loadAll} className="p-2 text-blue-600 border border-blue-200 rounded-lg hover:bg-blue-50">
+            <ArrowPathIcon className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+          </button>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+          {Object.values(ASSIGNMENT_STRATEGIES).map(strategy => (
+            <label
+              key={strategy}
+              className={`flex items-start gap-3 p-3 rounded-lg border cursor-pointer ${
+                settings.strategy === strategy ? 'border-orange-500 bg-orange-50' : 'border-gray-200 hover:bg-gray-50'
+              }`}
+            >
+              <input
+                type="radio"
+                name="assignment-strategy"
+                checked={settings.strategy === strategy}
+                onChange={() => setSettings({ ...settings, strategy })}
+                className="mt-1 text-orange-500 focus:ring-orange-500"
+              />
+              <div>
+                <p className="text-sm font-medium text-gray-900">{ASSIGNMENT_STRATEGY_LABELS[strategy].label}</p>
+                <p className="text-xs text-gray-500">{ASSIGNMENT_STRATEGY_LABELS[strategy].description}</p>
+              </div>
+            </label>
+          ))}
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Max orders per staff member at once</label>
+            <input
+              type="number"
+              min="1"
+              value={settings.max_concurrent_orders}
+              onChange={(e) => setSettings({ ...settings, max_concurrent_orders: e.target.value })}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-transparent"
+            />
+          </div>
+          <label className="flex items-center gap-2 text-sm font-medium text-gray-700 md:mt-7">
+            <input
+              type="checkbox"
+              checked={settings.section_priority}
+              onChange={(e) => setSettings({ ...settings, section_priority: e.target.checked })}
+              className="rounded text-orange-500 focus:ring-orange-500"
+            />
+            Prefer staff who serve the table's section
+          </label>
+        </div>
+
+        {positions.length > 0 && (
+          <div>
+            <p className="text-sm font-medium text-gray-700 mb-2">Roles that take table orders</p>
+            <div className="flex flex-wrap gap-2">
+              {positions.map(position => {
+                const selected = settings.eligible_positions.length === 0 || settings.eligible_positions.includes(position)
+                return (
+                  <button
+                    key={position}
+                    onClick={() => togglePosition(position)}
+                    className={`px-3 py-1.5 rounded-full text-sm font-medium capitalize transition-colors ${
+                      selected ? 'bg-orange-100 text-orange-700 border border-orange-300' : 'bg-gray-100 text-gray-500 border border-gray-200'
+                    }`}
+                  >
+                    {position}
+                  </button>
+                )
+              })}
+            </div>
+            <p className="text-xs text-gray-500 mt-1">
+              {settings.eligible_positions.length === 0 ? 'All roles take orders. Tap a role to leave it out' : 'Only the highlighted roles get orders'}
+            </p>
+          </div>
+        )}
+
+        <button
+          onClick={handleSaveSettings}
+          disabled={isSaving}
+          className="px-4 py-2 bg-orange-500 text-white rounded-lg hover:bg-orange-600 disabled:opacity-50 transition-colors font-medium"
+        >
+          {isSaving ? 'Saving...' : 'Save Settings'}
+        </button>
+      </div>
+
+      {/* Live workload and sections */}
+      <div className="bg-white rounded-xl p-4 md:p-6 border border-gray-200 space-y-3">
+        <h3 className="text-lg font-semibold text-gray-900 flex items-center gap-2">
+          <MapIcon className="h-5 w-5 text-orange-500" />
+          Workload & Sections
+        </h3>
+        {workload.length === 0 ? (
+          <p className="text-sm text-gray-500 py-4 text-center">No staff yet</p>
+        ) : (
+          <div className="divide-y divide-gray-100">
+            {workload.map(staff => (
+              <div key={staff.id} className="py-3 grid grid-cols-1 md:grid-cols-3 gap-3 md:items-center">
+                <div>
+                  <p className="font-medium text-gray-900">
+                    {staff.full_name}
+                    {staff.position && <span className="ml-2 text-xs text-gray-500">{staff.position}</span>}
+                  </p>
+                  <p className="text-xs">
+                    <span className={staff.is_available && staff.onShift ? 'text-green-600' : 'text-gray-400'}>
+                      {!staff.is_available ? 'Offline' : staff.onShift ? 'Taking orders' : 'Not on shift'}
+                    </span>
+                    <span className="text-gray-400"> · {staff.orders_today} today</span>
+                  </p>
+                </div>
+                <div>
+                  <div className="flex justify-between text-xs text-gray-500 mb-1">
+                    <span>{staff.active_orders}/{staff.maxConcurrentOrders} active</span>
+                    <span>{staff.workloadPercentage}%</span>
+                  </div>
+                  <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+                    <div
+                      className={`h-full rounded-full ${
+                        staff.workloadPercentage >= 100 ? 'bg-red-500' : staff.workloadPercentage >= 60 ? 'bg-yellow-500' : 'bg-green-500'
+                      }`}
+                      style={{ width: `${staff.workloadPercentage}%` }}
+                    />
+                  </div>
+                </div>
+                <input
+                  type="text"
+                  list="table-sections"
+                  value={sectionDrafts[staff.id] ?? ''}
+                  onChange={(e) => setSectionDrafts({ ...sectionDrafts, [staff.id]: e.target.value })}
+                  onBlur={() => handleSaveSections(staff)}
+                  placeholder="Sections, e.g. Patio, Ground Floor"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-orange-500 focus:border-transparent"
+                />
+              </div>
+            ))}
+          </div>
+        )}
+        <datalist id="table-sections">
+          {tableSections.map(section => <option key={section} value={section} />)}
+        </datalist>
+        <p className="text-xs text-gray-500">
+          A section matches any table whose location contains it, so "Patio" covers "Patio - Left".
+        </p>
+      </div>
+
+      {/* Audit log */}
+      <div className="bg-white rounded-xl p-4 md:p-6 border border-gray-200 space-y-3">
+        <h3 className="text-lg font-semibold text-gray-900 flex items-center gap-2">
+          <ClipboardDocumentListIcon className="h-5 w-5 text-orange-500" />
+          Recent Assignments
+        </h3>
+        {log.length === 0 ? (
+          <p className="text-sm text-gray-500 py-4 text-center">No automatic assignments yet</p>
+        ) : (
+          <div className="divide-y divide-gray-100">
+            {log.map(entry => (
+              <div key={entry.id} className="py-3">
+                <button
+                  onClick={() => setExpandedLogId(expandedLogId === entry.id ? null : entry.id)}
+                  className="w-full flex items-start justify-between gap-3 text-left"
+                >
+                  <div className="min-w-0">
+                    <div className="flex items-center gap-2 flex-wrap">
+                      <span className="text-sm font-semibold text-gray-900">
+                        #{entry.orders ? getOrderDisplayNumber(entry.orders) : '-'}
+                      </span>
+                      <span className={`text-sm ${entry.staff_id ? 'text-gray-800' : 'text-red-600'}`}>
+                        {entry.staff?.full_name || 'Not assigned'}
+                      </span>
+                      {entry.source === 'reassign' && (
+                        <span className="px-2 py-0.5 rounded-full text-[10px] font-medium bg-yellow-100 text-yellow-700">Reassigned</span>
+                      )}
+                      <span className="text-xs text-gray-400">{new Date(entry.created_at).toLocaleString('en-IN')}</span>
+                    </div>
+                    <p className="text-xs text-gray-600 mt-1">{entry.reason}</p>
+                  </div>
+                  {expandedLogId === entry.id
+                    ? <ChevronUpIcon className="h-4 w-4 text-gray-400 flex-shrink-0" />
+                    : <ChevronDownIcon className="h-4 w-4 text-gray-400 flex-shrink-0" />}
+                </button>
+
+                {expandedLogId === entry.id && (
+                  <div className="mt-2 space-y-1">
+                    {(entry.candidates || []).map(candidate => (
+                      <div key={candidate.staff_id} className="flex items-start justify-between gap-3 text-xs px-3 py-1.5 rounded bg-gray-50">
+                        <span className={candidate.eligible ? 'text-gray-800' : 'text-gray-400'}>{candidate.name}</span>
+                        <span className="text-gray-500 text-right">
+                          {candidate.eligible && <span className="font-medium text-gray-700">{candidate.score} · </span>}
+                          {candidate.reasons.join(', ')}
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default StaffAssignmentPanel
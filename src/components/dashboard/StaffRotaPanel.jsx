@@ -0,0 +1,353 @@
+import React, { useState, useEffect, useMemo } from 'react'
+import {
+  CalendarIcon,
+  ChevronLeftIcon,
+  ChevronRightIcon,
+  PlusIcon,
+  XMarkIcon,
+  TrashIcon,
+  DocumentDuplicateIcon,
+  ArrowPathIcon
+} from '@heroicons/react/24/outline'
+import ShiftService from '../../services/shiftService'
+import {
+  buildShiftTimes,
+  formatHoursMinutes,
+  getScheduledMinutes,
+  getWeekDays,
+  getWeekStart,
+  groupShiftsByStaffAndDay,
+  toTimeInput
+} from '../../utils/attendanceUtils'
+import { toDateKey } from '../../utils/reservationUtils'
+import toast from 'react-hot-toast'
+
+const EMPTY_SHIFT = { id: null, staff_id: '', date: '', start: '09:00', end: '17:00', notes: '' }
+const WEEK = 7 * 24 * 60 * 60 * 1000
+
+/**
+ * Weekly rota: one row per staff member, one column per day, with a chip
+ * per shift. Click an empty cell to add a shift, a chip to edit it.
+ */
+const StaffRotaPanel = ({ restaurant, staff = [] }) => {
+  const [weekStart, setWeekStart] = useState(getWeekStart())
+  const [shifts, setShifts] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [form, setForm] = useState(null)
+  const [isSubmitting, setIsSubmitting] = useState(false)
+
+  const days = useMemo(() => getWeekDays(weekStart), [weekStart])
+  const grouped = useMemo(() => groupShiftsByStaffAndDay(shifts), [shifts])
+  const todayKey = toDateKey()
+
+  useEffect(() => {
+    if (restaurant?.id) loadShifts()
+  }, [restaurant?.id, weekStart])
+
+  const loadShifts = async () => {
+    try {
+      setLoading(true)
+      const data = await ShiftService.getShifts(restaurant.id, weekStart, new Date(weekStart.getTime() + WEEK))
+      setShifts(data)
+    } catch (error) {
+      console.error('❌ Error loading rota:', error)
+      toast.error('Failed to load rota')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const moveWeek = (direction) => {
+    const next = new Date(weekStart)
+    next.setDate(next.getDate() + direction * 7)
+    setWeekStart(next)
+  }
+
+  const openNewShift = (staffId, day) => {
+    setForm({ ...EMPTY_SHIFT, staff_id: staffId, date: toDateKey(day) })
+  }
+
+  const openShift = (shift) => {
+    setForm({
+      id: shift.id,
+      staff_id: shift.staff_id,
+      date: toDateKey(new Date(shift.starts_at)),
+      start: toTimeInput(shift.starts_at),
+      end: toTimeInput(shift.ends_at),
+      notes: shift.notes || ''
+    })
+  }
+
+  const handleSaveShift = async () => {
+    if (!form.staff_id || !form.date) {
+      toast.error('Choose a staff member and day')
+      return
+    }
+
+    try {
+      setIsSubmitting(true)
+      const { startsAt, endsAt } = buildShiftTimes(form.date, form.start, form.end)
+      await ShiftService.saveShift({
+        id: form.id,
+        restaurantId: restaurant.id,
+        staffId: form.staff_id,
+        startsAt,
+        endsAt,
+        notes: form.notes,
+        createdBy: restaurant.id
+      })
+      toast.success(form.id ? 'Shift updated' : 'Shift added')
+      setForm(null)
+      await loadShifts()
+    } catch (error) {
+      toast.error(error.message || 'Failed to save shift')
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  const handleDeleteShift = async () => {
+    try {
+      setIsSubmitting(true)
+      await ShiftService.deleteShift(form.id)
+      toast.success('Shift removed')
+      setForm(null)
+      await loadShifts()
+    } catch (error) {
+      toast.error(error.message || 'Failed to remove shift')
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  const handleCopyLastWeek = async () => {
+    try {
+      setLoading(true)
+      const lastWeek = new Date(weekStart.getTime() - WEEK)
+      const { copied, skipped } = await ShiftService.copyWeek(restaurant.id, lastWeek, weekStart, restaurant.id)
+      if (copied === 0 && skipped === 0) {
+        toast('Last week has no shifts to copy')
+      } else {
+        toast.success(`Copied ${copied} shift${copied !== 1 ? 's' : ''}${skipped ? ` (${skipped} clashed and were skipped)` : ''}`)
+      }
+      await loadShifts()
+    } catch (error) {
+      toast.error(error.message || 'Failed to copy rota')
+      setLoading(false)
+    }
+  }
+
+  const weekLabel = `${days[0].toLocaleDateString('en-IN', { day: 'numeric', month: 'short' })} - ${days[6].toLocaleDateString('en-IN', { day: 'numeric', month: 'short' })}`
+
+  return (
+    <div className="bg-white rounded-xl p-4 md:p-6 border border-gray-200 space-y-4">
+      <div className="flex flex-col sm:flex-row gap-3 sm:items-center sm:justify-between">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900 flex items-center gap-2">
+            <CalendarIcon className="h-6 w-6 text-orange-500" />
+            Weekly Rota
+          </h2>
+          <p className="text-gray-600 mt-1">
+            {shifts.length} shift{shifts.length !== 1 ? 's' : ''} · {formatHoursMinutes(getScheduledMinutes(shifts))} scheduled
+          </p>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <button onClick={() => moveWeek(-1)} className="p-2 border border-gray-300 rounded-lg hover:bg-gray-50">
+            <ChevronLeftIcon className="h-4 w-4" />
+          </button>
+          <span className="text-sm font-medium text-gray-700 min-w-[120px] text-center">{weekLabel}</span>
+          <button onClick={() => moveWeek(1)} className="p-2 border border-gray-300 rounded-lg hover:bg-gray-50">
+            <ChevronRightIcon className="h-4 w-4" />
+          </button>
+          <button onClick={loadShifts} className="p-2 text-blue-600 border border-blue-200 rounded-lg hover:bg-blue-50">
+            <ArrowPathIcon className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+          </button>
+          <button
+            onClick={handleCopyLastWeek}
+            disabled={loading}
+            className="flex items-center gap-2 px-3 py-2 text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors font-medium text-sm disabled:opacity-50"
+          >
+            <DocumentDuplicateIcon className="h-4 w-4" />
+            Copy last week
+          </button>
+          <button
+            onClick={() => setForm({ ...EMPTY_SHIFT, staff_id: staff[0]?.id || '', date: toDateKey(days[0]) })}
+            disabled={staff.length === 0}
+            className="flex items-center gap-2 px-3 py-2 bg-orange-500 text-white rounded-lg hover:bg-orange-600 transition-colors font-medium text-sm disabled:opacity-50"
+          >
+            <PlusIcon className="h-4 w-4" />
+            Add Shift
+          </button>
+        </div>
+      </div>
+
+      {staff.length === 0 ? (
+        <p className="text-sm text-gray-500 py-8 text-center">Approve staff applications to start building the rota</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-[760px] w-full text-sm">
+            <thead>
+              <tr>
+                <th className="w-36 text-left text-xs font-medium text-gray-500 pb-2">Staff</th>
+                {days.map(day => (
+                  <th
+                    key={day.toISOString()}
+                    className={`text-xs font-medium pb-2 ${toDateKey(day) === todayKey ? 'text-orange-600' : 'text-gray-500'}`}
+                  >
+                    {day.toLocaleDateString('en-IN', { weekday: 'short', day: 'numeric' })}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {staff.map(member => (
+                <tr key={member.id} className="border-t border-gray-100">
+                  <td className="py-2 pr-2 align-top">
+                    <p className="font-medium text-gray-900 truncate">{member.full_name}</p>
+                    <p className="text-xs text-gray-500">
+                      {formatHoursMinutes(getScheduledMinutes(Object.values(grouped[member.id] || {}).flat()))}
+                    </p>
+                  </td>
+                  {days.map(day => {
+                    const dayShifts = grouped[member.id]?.[toDateKey(day)] || []
+                    return (
+                      <td key={day.toISOString()} className="p-1 align-top">
+                        <div
+                          onClick={() => dayShifts.length === 0 && openNewShift(member.id, day)}
+                          className={`min-h-[44px] rounded-lg p-1 space-y-1 ${
+                            dayShifts.length === 0 ? 'bg-gray-50 hover:bg-orange-50 cursor-pointer' : ''
+                          }`}
+                        >
+                          {dayShifts.map(shift => (
+                            <button
+                              key={shift.id}
+                              onClick={() => openShift(shift)}
+                              title={shift.notes || ''}
+                              className="w-full px-2 py-1 rounded-md bg-orange-100 text-orange-800 border border-orange-200 text-xs font-medium hover:bg-orange-200 text-left"
+                            >
+                              {toTimeInput(shift.starts_at)}-{toTimeInput(shift.ends_at)}
+                            </button>
+                          ))}
+                          {dayShifts.length > 0 && (
+                            <button
+                              onClick={() => openNewShift(member.id, day)}
+                              className="w-full text-[10px] text-gray-400 hover:text-orange-600"
+                            >
+                              + split shift
+                            </button>
+                          )}
+                        </div>
+                      </td>
+                    )
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Shift Modal */}
+      {form && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-xl max-w-md w-full max-h-[85vh] flex flex-col shadow-2xl">
+            <div className="p-4 sm:p-6 border-b border-gray-200 flex-shrink-0">
+              <div className="flex items-center justify-between">
+                <h3 className="text-lg sm:text-xl font-bold text-gray-900">{form.id ? 'Edit Shift' : 'New Shift'}</h3>
+                <button onClick={() => setForm(null)} className="p-2 hover:bg-gray-100 rounded-lg transition-colors">
+                  <XMarkIcon className="h-5 w-5" />
+                </button>
+              </div>
+            </div>
+
+            <div className="p-4 sm:p-6 space-y-3 flex-1 overflow-y-auto">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Staff Member</label>
+                <select
+                  value={form.staff_id}
+                  onChange={(e) => setForm({ ...form, staff_id: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-transparent"
+                >
+                  {staff.map(member => (
+                    <option key={member.id} value={member.id}>{member.full_name}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Day</label>
+                <input
+                  type="date"
+                  value={form.date}
+                  onChange={(e) => setForm({ ...form, date: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-transparent"
+                />
+              </div>
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Start</label>
+                  <input
+                    type="time"
+                    value={form.start}
+                    onChange={(e) => setForm({ ...form, start: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-transparent"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">End</label>
+                  <input
+                    type="time"
+                    value={form.end}
+                    onChange={(e) => setForm({ ...form, end: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-transparent"
+                  />
+                </div>
+              </div>
+              {form.end <= form.start && (
+                <p className="text-xs text-gray-500">Ends the next morning</p>
+              )}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Notes</label>
+                <input
+                  type="text"
+                  value={form.notes}
+                  onChange={(e) => setForm({ ...form, notes: e.target.value })}
+                  placeholder="e.g., Opening, bar cover"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-transparent"
+                />
+              </div>
+            </div>
+
+            <div className="p-4 sm:p-6 border-t border-gray-200 bg-gray-50 flex-shrink-0">
+              <div className="flex gap-3">
+                {form.id && (
+                  <button
+                    onClick={handleDeleteShift}
+                    disabled={isSubmitting}
+                    className="px-4 py-2 text-red-600 border border-red-200 rounded-lg hover:bg-red-50 transition-colors font-medium disabled:opacity-50"
+                  >
+                    <TrashIcon className="h-4 w-4" />
+                  </button>
+                )}
+                <button
+                  onClick={() => setForm(null)}
+                  className="flex-1 px-4 py-2 text-gray-600 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors font-medium"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={handleSaveShift}
+                  disabled={isSubmitting}
+                  className="flex-1 px-4 py-2 bg-orange-500 text-white rounded-lg hover:bg-orange-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors font-medium"
+                >
+                  {isSubmitting ? 'Saving...' : 'Save Shift'}
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default StaffRotaPanel
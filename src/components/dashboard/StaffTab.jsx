@@ -23,6 +23,10 @@ import {
 import { CurrencyRupeeIcon } from '@heroicons/react/24/solid'
 import { supabase } from '../../config/supabase'
 import toast from 'react-hot-toast'
+import StaffRotaPanel from './StaffRotaPanel'
+import StaffTimesheetsPanel from './StaffTimesheetsPanel'
+import PaySettlementReport from '../common/PaySettlementReport'
+import StaffAssignmentPanel from './StaffAssignmentPanel'
 
 function StaffTab({ restaurant }) {
   const [staff, setStaff] = useState([])
@@ -282,7 +286,7 @@ function StaffTab({ restaurant }) {
     <div className="space-y-6">
       {/* Tab Navigation */}
       <div className="bg-white rounded-xl border border-gray-200 p-1">
-        <div className="flex space-x-1">
+        <div className="flex space-x-1 overflow-x-auto">
           <button
             onClick={() => setActiveTab('staff')}
             className={`flex-1 flex items-center justify-center gap-2 px-4 py-3 rounded-lg font-medium transition-all ${
@@ -310,6 +314,39 @@ function StaffTab({ restaurant }) {
               </span>
             )}
           </button>
+          <button
+            onClick={() => setActiveTab('rota')}
+            className={`flex-1 flex items-center justify-center gap-2 px-4 py-3 rounded-lg font-medium transition-all ${
+              activeTab === 'rota'
+                ? 'bg-gradient-to-r from-orange-500 to-red-500 text-white shadow-md'
+                : 'text-gray-600 hover:text-orange-600 hover:bg-orange-50'
+            }`}
+          >
+            <CalendarIcon className="w-5 h-5" />
+            Rota
+          </button>
+          <button
+            onClick={() => setActiveTab('timesheets')}
+            className={`flex-1 flex items-center justify-center gap-2 px-4 py-3 rounded-lg font-medium transition-all ${
+              activeTab === 'timesheets'
+                ? 'bg-gradient-to-r from-orange-500 to-red-500 text-white shadow-md'
+                : 'text-gray-600 hover:text-orange-600 hover:bg-orange-50'
+            }`}
+          >
+            <ClockIcon className="w-5 h-5" />
+            Timesheets
+          </button>
+          <button
+            onClick={() => setActiveTab('assignment')}
+            className={`flex-1 flex items-center justify-center gap-2 px-4 py-3 rounded-lg font-medium transition-all ${
+              activeTab === 'assignment'
+                ? 'bg-gradient-to-r from-orange-500 to-red-500 text-white shadow-md'
+                : 'text-gray-600 hover:text-orange-600 hover:bg-orange-50'
+            }`}
+          >
+            <SparklesIcon className="w-5 h-5" />
+            Auto-assign
+          </button>
         </div>
       </div>
 
@@ -480,6 +517,24 @@ function StaffTab({ restaurant }) {
         </>
       )}
 
+      {/* Rota Tab Content */}
+      {activeTab === 'rota' && (
+        <StaffRotaPanel restaurant={restaurant} staff={staff} />
+      )}
+
+      {/* Timesheets Tab Content */}
+      {activeTab === 'timesheets' && (
+        <>
+          <StaffTimesheetsPanel restaurant={restaurant} />
+          <PaySettlementReport restaurantId={restaurant.id} canConfigure />
+        </>
+      )}
+
+      {/* Auto-assign Tab Content */}
+      {activeTab === 'assignment' && (
+        <StaffAssignmentPanel restaurant={restaurant} />
+      )}
+
       {/* Applications Tab Content */}
       {activeTab === 'applications' && (
         <>
@@ -0,0 +1,290 @@
+import React, { useState, useEffect, useMemo } from 'react'
+import {
+  ClockIcon,
+  MapPinIcon,
+  Cog6ToothIcon,
+  XMarkIcon,
+  ArrowPathIcon
+} from '@heroicons/react/24/outline'
+import ShiftService from '../../services/shiftService'
+import { DEFAULT_ATTENDANCE_SETTINGS, getWeekStart } from '../../utils/attendanceUtils'
+import toast from 'react-hot-toast'
+
+const WEEK = 7 * 24 * 60 * 60 * 1000
+
+const PERIODS = [
+  { key: 'this_week', label: 'This week', offsetWeeks: 0 },
+  { key: 'last_week', label: 'Last week', offsetWeeks: -1 }
+]
+
+/**
+ * Timesheets for the week: scheduled vs payable hours and pay per staff
+ * member, from their clock-ins. Also holds the clock-in rules (geofence).
+ */
+const StaffTimesheetsPanel = ({ restaurant }) => {
+  const [period, setPeriod] = useState('this_week')
+  const [rows, setRows] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [showSettingsModal, setShowSettingsModal] = useState(false)
+  const [settingsForm, setSettingsForm] = useState(DEFAULT_ATTENDANCE_SETTINGS)
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const [locating, setLocating] = useState(false)
+
+  const { from, until } = useMemo(() => {
+    const { offsetWeeks } = PERIODS.find(option => option.key === period)
+    const start = new Date(getWeekStart().getTime() + offsetWeeks * WEEK)
+    return { from: start, until: new Date(start.getTime() + WEEK) }
+  }, [period])
+
+  const totals = useMemo(() => rows.reduce((sum, row) => ({
+    scheduledHours: sum.scheduledHours + row.scheduledHours,
+    payableHours: sum.payableHours + row.payableHours,
+    pay: sum.pay + row.pay
+  }), { scheduledHours: 0, payableHours: 0, pay: 0 }), [rows])
+
+  useEffect(() => {
+    if (restaurant?.id) loadTimesheets()
+  }, [restaurant?.id, from])
+
+  const loadTimesheets = async () => {
+    try {
+      setLoading(true)
+      const { rows: timesheetRows } = await ShiftService.getTimesheets(restaurant.id, from, until)
+      setRows(timesheetRows)
+    } catch (error) {
+      console.error('❌ Error loading timesheets:', error)
+      toast.error('Failed to load timesheets')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const openSettings = async () => {
+    try {
+      setSettingsForm(await ShiftService.getSettings(restaurant.id))
+      setShowSettingsModal(true)
+    } catch (error) {
+      toast.error('Failed to load clock-in settings')
+    }
+  }
+
+  const useCurrentLocation = async () => {
+    setLocating(true)
+    const position = await ShiftService.getCurrentPosition()
+    setLocating(false)
+
+    if (!position) {
+      toast.error('Could not get your location. Allow location access and try again')
+      return
+    }
+    setSettingsForm(prev => ({ ...prev, latitude: position.latitude, longitude: position.longitude }))
+    toast.success('Restaurant location set')
+  }
+
+  const handleSaveSettings = async () => {
+    if (settingsForm.geofence_enabled && (settingsForm.latitude === null || settingsForm.longitude === null)) {
+      toast.error('Set the restaurant location to use a geofence')
+      return
+    }
+
+    try {
+      setIsSubmitting(true)
+      await ShiftService.saveSettings(restaurant.id, settingsForm)
+      toast.success('Clock-in settings saved')
+      setShowSettingsModal(false)
+    } catch (error) {
+      toast.error(error.message || 'Failed to save settings')
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  return (
+    <div className="bg-white rounded-xl p-4 md:p-6 border border-gray-200 space-y-4">
+      <div className="flex flex-col sm:flex-row gap-3 sm:items-center sm:justify-between">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900 flex items-center gap-2">
+            <ClockIcon className="h-6 w-6 text-orange-500" />
+            Timesheets
+          </h2>
+          <p className="text-gray-600 mt-1">
+            {from.toLocaleDateString('en-IN', { day: 'numeric', month: 'short' })} - {new Date(until.getTime() - 1).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' })}
+          </p>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          {PERIODS.map(option => (
+            <button
+              key={option.key}
+              onClick={() => setPeriod(option.key)}
+              className={`px-3 py-2 rounded-lg text-sm font-medium transition-colors ${
+                period === option.key ? 'bg-orange-500 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+          <button onClick={loadTimesheets} className="p-2 text-blue-600 border border-blue-200 rounded-lg hover:bg-blue-50">
+            <ArrowPathIcon className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+          </button>
+          <button
+            onClick={openSettings}
+            title="Clock-in settings"
+            className="p-2 text-gray-600 border border-gray-300 rounded-lg hover:bg-gray-50"
+          >
+            <Cog6ToothIcon className="h-4 w-4" />
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-3 gap-3">
+        <div className="p-3 rounded-lg bg-gray-50">
+          <p className="text-xs text-gray-500">Scheduled</p>
+          <p className="text-lg font-bold text-gray-900">{totals.scheduledHours.toFixed(1)}h</p>
+        </div>
+        <div className="p-3 rounded-lg bg-gray-50">
+          <p className="text-xs text-gray-500">Payable</p>
+          <p className="text-lg font-bold text-gray-900">{totals.payableHours.toFixed(1)}h</p>
+        </div>
+        <div className="p-3 rounded-lg bg-orange-50">
+          <p className="text-xs text-orange-700">Wages</p>
+          <p className="text-lg font-bold text-orange-700">₹{totals.pay.toFixed(2)}</p>
+        </div>
+      </div>
+
+      {rows.length === 0 ? (
+        <p className="text-sm text-gray-500 py-8 text-center">{loading ? 'Loading timesheets...' : 'No staff yet'}</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-[640px] w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs font-medium text-gray-500">
+                <th className="pb-2">Staff</th>
+                <th className="pb-2 text-right">Clock-ins</th>
+                <th className="pb-2 text-right">Scheduled</th>
+                <th className="pb-2 text-right">Breaks</th>
+                <th className="pb-2 text-right">Payable</th>
+                <th className="pb-2 text-right">Rate</th>
+                <th className="pb-2 text-right">Pay</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {rows.map(row => (
+                <tr key={row.staffId}>
+                  <td className="py-2">
+                    <span className="font-medium text-gray-900">{row.name}</span>
+                    {row.openClockIn && (
+                      <span className="ml-2 px-2 py-0.5 rounded-full text-[10px] font-medium bg-green-100 text-green-700">
+                        On shift now
+                      </span>
+                    )}
+                  </td>
+                  <td className="py-2 text-right text-gray-700">{row.clockIns}</td>
+                  <td className="py-2 text-right text-gray-700">{row.scheduledHours.toFixed(2)}h</td>
+                  <td className="py-2 text-right text-gray-500">{row.breakHours.toFixed(2)}h</td>
+                  <td className={`py-2 text-right font-medium ${
+                    row.scheduledHours > 0 && row.payableHours > row.scheduledHours ? 'text-orange-600' : 'text-gray-900'
+                  }`}>
+                    {row.payableHours.toFixed(2)}h
+                  </td>
+                  <td className="py-2 text-right text-gray-500">₹{row.hourlyRate}/hr</td>
+                  <td className="py-2 text-right font-semibold text-gray-900">₹{row.pay.toFixed(2)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="text-xs text-gray-500 mt-2">
+            Payable hours exclude unpaid breaks. Each clock-in is paid at the hourly rate it started with.
+          </p>
+        </div>
+      )}
+
+      {/* Clock-in Settings Modal */}
+      {showSettingsModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-xl max-w-md w-full max-h-[85vh] flex flex-col shadow-2xl">
+            <div className="p-4 sm:p-6 border-b border-gray-200 flex-shrink-0">
+              <div className="flex items-center justify-between">
+                <h3 className="text-lg sm:text-xl font-bold text-gray-900">Clock-in Settings</h3>
+                <button onClick={() => setShowSettingsModal(false)} className="p-2 hover:bg-gray-100 rounded-lg transition-colors">
+                  <XMarkIcon className="h-5 w-5" />
+                </button>
+              </div>
+            </div>
+
+            <div className="p-4 sm:p-6 space-y-3 flex-1 overflow-y-auto">
+              <label className="flex items-center gap-2 text-sm font-medium text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={settingsForm.geofence_enabled}
+                  onChange={(e) => setSettingsForm({ ...settingsForm, geofence_enabled: e.target.checked })}
+                  className="rounded text-orange-500 focus:ring-orange-500"
+                />
+                Only allow clock-in at the restaurant
+              </label>
+
+              <div className="p-3 rounded-lg bg-gray-50 text-sm">
+                {settingsForm.latitude !== null && settingsForm.longitude !== null ? (
+                  <p className="text-gray-700">
+                    Location: {settingsForm.latitude.toFixed(5)}, {settingsForm.longitude.toFixed(5)}
+                  </p>
+                ) : (
+                  <p className="text-gray-500">No restaurant location set</p>
+                )}
+                <button
+                  onClick={useCurrentLocation}
+                  disabled={locating}
+                  className="mt-2 flex items-center gap-2 px-3 py-1.5 text-sm text-orange-600 border border-orange-200 rounded-lg hover:bg-orange-50 disabled:opacity-50"
+                >
+                  <MapPinIcon className="h-4 w-4" />
+                  {locating ? 'Locating...' : 'Use my current location'}
+                </button>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Allowed distance (metres)</label>
+                <input
+                  type="number"
+                  min="20"
+                  value={settingsForm.radius_meters}
+                  onChange={(e) => setSettingsForm({ ...settingsForm, radius_meters: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-transparent"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Early clock-in allowance (min)</label>
+                <input
+                  type="number"
+                  min="0"
+                  value={settingsForm.early_clock_in_minutes}
+                  onChange={(e) => setSettingsForm({ ...settingsForm, early_clock_in_minutes: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-transparent"
+                />
+                <p className="text-xs text-gray-500 mt-1">Clock-ins this early still count towards the rota shift</p>
+              </div>
+            </div>
+
+            <div className="p-4 sm:p-6 border-t border-gray-200 bg-gray-50 flex-shrink-0">
+              <div className="flex gap-3">
+                <button
+                  onClick={() => setShowSettingsModal(false)}
+                  className="flex-1 px-4 py-2 text-gray-600 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors font-medium"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={handleSaveSettings}
+                  disabled={isSubmitting}
+                  className="flex-1 px-4 py-2 bg-orange-500 text-white rounded-lg hover:bg-orange-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors font-medium"
+                >
+                  {isSubmitting ? 'Saving...' : 'Save Settings'}
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default StaffTimesheetsPanel
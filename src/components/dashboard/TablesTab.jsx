@@ -16,9 +16,15 @@ import {
   UserIcon,
   ClockIcon,
   PhoneIcon,
-  UserGroupIcon
+  UserGroupIcon,
+  Squares2X2Icon,
+  MapIcon
 } from '@heroicons/react/24/outline'
 import tableService from '../../services/tableService'
+import ReservationsTimeline from './ReservationsTimeline'
+import FloorPlanEditor from './FloorPlanEditor'
+import FloorPlanView from '../common/FloorPlanView'
+import { formatReservationTime } from '../../utils/reservationUtils'
 import UnifiedOrderService from '../../services/unifiedOrderService'
 import toast from 'react-hot-toast'
 
@@ -36,6 +42,8 @@ const TablesTab = ({ restaurant, tables = [], onAddTable, onUpdateTable, onDelet
   const [showTableDetails, setShowTableDetails] = useState(false)
   const [selectedTableDetails, setSelectedTableDetails] = useState(null)
   const [refreshing, setRefreshing] = useState(false)
+  const [viewMode, setViewMode] = useState('cards') // 'cards' | 'floor' | 'edit'
+  const [floorRefreshKey, setFloorRefreshKey] = useState(0)
   const qrRef = useRef(null)
   
   // Load tables with reservation status
@@ -78,7 +86,7 @@ const TablesTab = ({ restaurant, tables = [], onAddTable, onUpdateTable, onDelet
       toast.success('Table released successfully')
       setShowTableDetails(false)
     } catch (error) {
-      toast.error('Failed to release table')
+      toast.error(error.message || 'Failed to release table')
       console.error('Error releasing table:', error)
     }
   }
@@ -105,6 +113,12 @@ const TablesTab = ({ restaurant, tables = [], onAddTable, onUpdateTable, onDelet
     }
   }
 
+  const getBookingNote = (table) => {
+    const booking = table.current_booking || table.next_booking
+    const label = table.current_booking ? 'Held for' : 'Next booking'
+    return `${label}: ${booking.customer_name} (${booking.party_size}) at ${formatReservationTime(booking.reserved_for)}`
+  }
+
   // Generate QR Code URL for table
   const generateQRValue = (tableId, tableNumber) => {
     const baseUrl = window.location.origin
@@ -187,7 +201,27 @@ const TablesTab = ({ restaurant, tables = [], onAddTable, onUpdateTable, onDelet
               </div>
             )}
           </div>
-          <div className="flex gap-2">
+          <div className="flex flex-wrap gap-2">
+            <div className="flex rounded-lg border border-neutral-200 overflow-hidden">
+              <button
+                onClick={() => setViewMode('cards')}
+                className={`flex items-center gap-1 px-3 py-2 text-sm font-medium transition-colors ${
+                  viewMode === 'cards' ? 'bg-orange-500 text-white' : 'bg-white text-neutral-600 hover:bg-neutral-50'
+                }`}
+              >
+                <Squares2X2Icon className="h-4 w-4" />
+                <span className="hidden sm:inline">Cards</span>
+              </button>
+              <button
+                onClick={() => setViewMode('floor')}
+                className={`flex items-center gap-1 px-3 py-2 text-sm font-medium transition-colors ${
+                  viewMode !== 'cards' ? 'bg-orange-500 text-white' : 'bg-white text-neutral-600 hover:bg-neutral-50'
+                }`}
+              >
+                <MapIcon className="h-4 w-4" />
+                <span className="hidden sm:inline">Floor Plan</span>
+              </button>
+            </div>
             <button
               onClick={handleRefreshTables}
               disabled={refreshing}
@@ -217,6 +251,68 @@ const TablesTab = ({ restaurant, tables = [], onAddTable, onUpdateTable, onDelet
         </div>
       </div>
 
+      {/* Floor plan: live view, or the layout editor */}
+      {!error && restaurant?.id && viewMode === 'edit' && (
+        <FloorPlanEditor
+          restaurant={restaurant}
+          onClose={() => setViewMode('floor')}
+          onSaved={() => {
+            setViewMode('floor')
+            setFloorRefreshKey(key => key + 1)
+            loadTablesWithStatus()
+          }}
+        />
+      )}
+      {!error && restaurant?.id && viewMode === 'floor' && (
+        <FloorPlanView
+          restaurantId={restaurant.id}
+          refreshKey={floorRefreshKey}
+          headerActions={(
+            <button
+              onClick={() => setViewMode('edit')}
+              className="flex items-center gap-1 px-3 py-2 text-sm font-medium text-orange-600 border border-orange-200 rounded-lg hover:bg-orange-50"
+            >
+              <PencilIcon className="h-4 w-4" />
+              Edit Layout
+            </button>
+          )}
+          renderTableActions={(table, reload) => (
+            <>
+              <button
+                onClick={() => {
+                  setSelectedTableDetails(tablesWithStatus.find(existing => existing.id === table.id) || table)
+                  setShowTableDetails(true)
+                }}
+                className="flex items-center gap-1 px-3 py-2 text-sm font-medium text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200"
+              >
+                <EyeIcon className="h-4 w-4" />
+                Details
+              </button>
+              {table.current_session && (
+                <button
+                  onClick={async () => {
+                    await handleReleaseTable(table.id, table.current_session.session_id)
+                    reload()
+                  }}
+                  className="px-3 py-2 text-sm font-medium text-white bg-orange-500 rounded-lg hover:bg-orange-600"
+                >
+                  Release Table
+                </button>
+              )}
+            </>
+          )}
+        />
+      )}
+
+      {/* Advance bookings */}
+      {!error && restaurant?.id && (
+        <ReservationsTimeline
+          restaurant={restaurant}
+          tables={tablesWithStatus}
+          onChange={loadTablesWithStatus}
+        />
+      )}
+
       {/* Error State */}
       {error && (
         <div className="bg-red-50 border border-red-200 rounded-xl p-4 md:p-6">
@@ -269,7 +365,7 @@ const TablesTab = ({ restaurant, tables = [], onAddTable, onUpdateTable, onDelet
             </button>
           </div>
         </div>
-      ) : (
+      ) : viewMode === 'cards' && (
         /* Tables Grid */
         <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4 md:gap-6">
           <AnimatePresence>
@@ -320,7 +416,7 @@ const TablesTab = ({ restaurant, tables = [], onAddTable, onUpdateTable, onDelet
                     <div className="flex items-center justify-between gap-2">
                       <span className={`px-3 py-1 rounded-full text-xs font-medium border flex items-center gap-1 ${getTableStatusColor(table.reservation_status)}`}>
                         {getTableStatusIcon(table.reservation_status)}
-                        {table.reservation_status === 'available' ? 'Available' : 'Reserved'}
+                        {table.reservation_status === 'available' ? 'Available' : table.reserved_by === 'booking' ? 'Booked' : 'Reserved'}
                       </span>
                       
                       <button
@@ -335,6 +431,14 @@ const TablesTab = ({ restaurant, tables = [], onAddTable, onUpdateTable, onDelet
                       </button>
                     </div>
 
+                    {/* Advance booking holding the table now, or the next one today */}
+                    {!table.current_session && (table.current_booking || table.next_booking) && (
+                      <div className="bg-blue-50 border border-blue-200 rounded-lg p-2 text-xs text-blue-800 flex items-center gap-2">
+                        <ClockIcon className="h-3 w-3 flex-shrink-0" />
+                        <span className="truncate">{getBookingNote(table)}</span>
+                      </div>
+                    )}
+
                     {/* Customer Information for Reserved Tables */}
                     {table.current_session && (
                       <div className="bg-orange-50 border border-orange-200 rounded-lg p-3">
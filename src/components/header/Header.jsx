@@ -18,7 +18,8 @@ const Header = ({
   setActiveTab,
   handleLogout,
   onMarkNotificationRead,
-  onMarkAllNotificationsRead
+  onMarkAllNotificationsRead,
+  onOpenSettings
 }) => {
   const [showNotifications, setShowNotifications] = useState(false)
   const [showProfileMenu, setShowProfileMenu] = useState(false)
@@ -180,6 +181,7 @@ const Header = ({
                   setShowProfileMenu={handleProfileToggle}
                   setActiveTab={setActiveTab}
                   handleLogout={handleLogout}
+                  onOpenSettings={onOpenSettings}
                 />
               </div>
             </div>
@@ -15,7 +15,8 @@ const ProfileDropdown = ({
   showProfileMenu, 
   setShowProfileMenu,
   setActiveTab,
-  handleLogout 
+  handleLogout,
+  onOpenSettings
 }) => {
   const userName = profile?.full_name || user?.email?.split('@')[0] || 'Owner'
   const userEmail = user?.email || 'owner@restaurant.com'
@@ -122,7 +123,7 @@ const ProfileDropdown = ({
                 <button 
                   onClick={() => {
                     setShowProfileMenu(false)
-                    // Add settings functionality here
+                    onOpenSettings?.()
                   }}
                   className="w-full text-left px-6 py-3 text-sm font-medium text-gray-700 hover:text-purple-700 hover:bg-purple-50 flex items-center space-x-4 transition-colors duration-200"
                 >
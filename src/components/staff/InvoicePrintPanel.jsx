@@ -0,0 +1,117 @@
+import React, { useState } from 'react'
+import { motion } from 'framer-motion'
+import {
+  PrinterIcon,
+  DocumentArrowDownIcon,
+  CommandLineIcon
+} from '@heroicons/react/24/outline'
+import InvoiceService from '../../services/invoiceService'
+import { PAPER_WIDTHS } from '../../utils/invoiceUtils'
+import toast from 'react-hot-toast'
+
+/**
+ * Receipt section of the staff order detail modal
+ * Prints the order's (or the whole table session's) invoice on a 58mm/80mm
+ * thermal printer, exports the raw ESC/POS bytes, or downloads the A4 PDF.
+ */
+const InvoicePrintPanel = ({ order }) => {
+  const [paperWidth, setPaperWidth] = useState(PAPER_WIDTHS.MM80)
+  const [wholeTable, setWholeTable] = useState(false)
+  const [busyAction, setBusyAction] = useState(null)
+
+  const loadInvoice = () => {
+    return wholeTable && order.session_id
+      ? InvoiceService.getSessionInvoice(order.session_id)
+      : InvoiceService.getOrderInvoice(order.id)
+  }
+
+  const runAction = async (action) => {
+    try {
+      setBusyAction(action)
+      const invoice = await loadInvoice()
+
+      if (action === 'print') {
+        InvoiceService.printThermal(invoice, paperWidth)
+      } else if (action === 'escpos') {
+        InvoiceService.downloadEscPos(invoice, paperWidth)
+        toast.success('ESC/POS receipt saved', { icon: '🧾' })
+      } else {
+        await InvoiceService.downloadPdf(invoice)
+      }
+    } catch (error) {
+      toast.error(error.message || 'Failed to generate invoice')
+    } finally {
+      setBusyAction(null)
+    }
+  }
+
+  if (!order?.id) return null
+
+  return (
+    <div className="mb-6">
+      <h3 className="text-lg font-bold text-gray-900 mb-4">Receipt</h3>
+
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        {[PAPER_WIDTHS.MM58, PAPER_WIDTHS.MM80].map(width => (
+          <button
+            key={width}
+            onClick={() => setPaperWidth(width)}
+            className={`px-3 py-1.5 rounded-lg text-xs font-semibold border-2 transition-colors ${
+              paperWidth === width ? 'border-gray-900 bg-gray-900 text-white' : 'border-gray-200 text-gray-700'
+            }`}
+          >
+            {width}mm
+          </button>
+        ))}
+
+        {order.session_id && (
+          <label className="flex items-center gap-2 ml-auto text-xs text-gray-700">
+            <input
+              type="checkbox"
+              checked={wholeTable}
+              onChange={(e) => setWholeTable(e.target.checked)}
+              className="rounded border-gray-300"
+            />
+            Whole table bill
+          </label>
+        )}
+      </div>
+
+      <div className="grid grid-cols-3 gap-2">
+        <motion.button
+          whileHover={{ scale: 1.02 }}
+          whileTap={{ scale: 0.98 }}
+          onClick={() => runAction('print')}
+          disabled={busyAction !== null}
+          className="flex items-center justify-center gap-1 px-3 py-2.5 bg-gray-900 hover:bg-black text-white rounded-xl text-xs font-semibold disabled:opacity-50"
+        >
+          <PrinterIcon className="h-4 w-4" />
+          <span>{busyAction === 'print' ? 'Preparing...' : 'Print'}</span>
+        </motion.button>
+        <motion.button
+          whileHover={{ scale: 1.02 }}
+          whileTap={{ scale: 0.98 }}
+          onClick={() => runAction('escpos')}
+          disabled={busyAction !== null}
+          className="flex items-center justify-center gap-1 px-3 py-2.5 bg-gray-100 hover:bg-gray-200 text-gray-800 rounded-xl text-xs font-semibold disabled:opacity-50"
+          title="Raw ESC/POS file for receipt printers"
+        >
+          <CommandLineIcon className="h-4 w-4" />
+          <span>ESC/POS</span>
+        </motion.button>
+        <motion.button
+          whileHover={{ scale: 1.02 }}
+          whileTap={{ scale: 0.98 }}
+          onClick={() => runAction('pdf')}
+          disabled={busyAction !== null}
+          className="flex items-center justify-center gap-1 px-3 py-2.5 bg-gray-100 hover:bg-gray-200 text-gray-800 rounded-xl text-xs font-semibold disabled:opacity-50"
+        >
+          <DocumentArrowDownIcon className="h-4 w-4" />
+          <span>{busyAction === 'pdf' ? 'Saving...' : 'A4 PDF'}</span>
+        </motion.button>
+      </div>
+    </div>
+  )
+}
+
+export default InvoicePrintPanel
@@ -0,0 +1,167 @@
+import React, { useState, useEffect } from 'react'
+import { motion, AnimatePresence } from 'framer-motion'
+import { BellAlertIcon, CheckCircleIcon, HandThumbUpIcon } from '@heroicons/react/24/outline'
+import ServiceRequestService from '../../services/serviceRequestService'
+import realtimeService from '../../services/realtimeService'
+import {
+  SERVICE_REQUEST_STATUS,
+  formatResponseTime,
+  getServiceRequestLabel,
+  isServiceRequestOpen
+} from '../../utils/serviceRequestUtils'
+import toast from 'react-hot-toast'
+
+/**
+ * Table requests strip at the top of the staff order screen
+ * Lists open requests for the staff member's tables plus unassigned ones,
+ * live over the staff and restaurant channels, with acknowledge / resolve.
+ */
+const ServiceRequestsPanel = ({ staffId, restaurantId, onNewRequest }) => {
+  const [requests, setRequests] = useState([])
+  const [updatingId, setUpdatingId] = useState(null)
+  const [now, setNow] = useState(Date.now())
+
+  useEffect(() => {
+    if (!restaurantId || !staffId) return
+
+    loadRequests()
+
+    const handleNewRequest = (request) => {
+      // Restaurant-wide broadcasts only matter when nobody was assigned
+      if (request.assigned_staff_id && request.assigned_staff_id !== staffId) return
+
+      console.log('🛎️ Service request received:', request)
+      setRequests(prev => [...prev.filter(existing => existing.id !== request.id), request])
+      onNewRequest?.(request)
+      toast(`Table ${request.tableNumber || '?'}: ${request.label}${request.note ? ` - ${request.note}` : ''}`, {
+        icon: request.emoji,
+        duration: 8000
+      })
+    }
+
+    const handleRequestUpdate = (update) => {
+      setRequests(prev => prev
+        .map(request => request.id === update.id ? { ...request, ...update } : request)
+        .filter(request => isServiceRequestOpen(request) && (
+          request.status === SERVICE_REQUEST_STATUS.PENDING || request.acknowledged_by === staffId
+        )))
+    }
+
+    const handlers = { onServiceRequest: handleNewRequest, onServiceRequestUpdate: handleRequestUpdate }
+    realtimeService.subscribeToStaffNotifications(staffId, handlers)
+    realtimeService.subscribeToRestaurant(restaurantId, handlers)
+
+    // Keeps the "waiting" times current
+    const timer = setInterval(() => setNow(Date.now()), 30000)
+
+    return () => {
+      clearInterval(timer)
+      realtimeService.unsubscribeFromChannel(`staff-${staffId}`)
+      realtimeService.unsubscribeFromChannel(`restaurant-${restaurantId}`)
+    }
+  }, [restaurantId, staffId])
+
+  const loadRequests = async () => {
+    try {
+      const open = await ServiceRequestService.getOpenRequests(restaurantId, staffId)
+      // Requests another staff member is already handling drop off the list
+      setRequests(open.filter(request =>
+        request.status === SERVICE_REQUEST_STATUS.PENDING || request.acknowledged_by === staffId
+      ))
+    } catch (error) {
+      console.error('❌ Error loading service requests:', error)
+    }
+  }
+
+  const updateRequest = async (request, action) => {
+    try {
+      setUpdatingId(request.id)
+      const updated = action === 'acknowledge'
+        ? await ServiceRequestService.acknowledgeRequest(request.id, staffId)
+        : await ServiceRequestService.resolveRequest(request.id, staffId)
+
+      setRequests(prev => prev
+        .map(existing => existing.id === updated.id ? { ...existing, ...updated } : existing)
+        .filter(isServiceRequestOpen))
+      toast.success(action === 'acknowledge' ? 'Customer notified you are on the way' : 'Request done')
+    } catch (error) {
+      toast.error(error.message || 'Failed to update request')
+      await loadRequests()
+    } finally {
+      setUpdatingId(null)
+    }
+  }
+
+  if (requests.length === 0) return null
+
+  return (
+    <div className="px-4 sm:px-6 py-3 bg-orange-50 border-b border-orange-200 flex-shrink-0">
+      <div className="flex items-center gap-2 mb-2">
+        <BellAlertIcon className="h-4 w-4 text-orange-600" />
+        <h2 className="text-sm font-semibold text-orange-900">Table Requests</h2>
+        <span className="px-2 py-0.5 rounded-full text-xs font-semibold bg-orange-200 text-orange-800">
+          {requests.length}
+        </span>
+      </div>
+
+      <div className="flex gap-2 overflow-x-auto scrollbar-hide pb-1">
+        <AnimatePresence>
+          {requests.map(request => {
+            const { label, emoji } = getServiceRequestLabel(request.request_type)
+            const waitingSeconds = Math.round((now - new Date(request.created_at)) / 1000)
+            const acknowledged = request.status === SERVICE_REQUEST_STATUS.ACKNOWLEDGED
+
+            return (
+              <motion.div
+                key={request.id}
+                layout
+                initial={{ opacity: 0, scale: 0.95 }}
+                animate={{ opacity: 1, scale: 1 }}
+                exit={{ opacity: 0, scale: 0.95 }}
+                className={`min-w-[220px] p-3 rounded-lg bg-white border ${
+                  acknowledged ? 'border-blue-200' : waitingSeconds > 120 ? 'border-red-300' : 'border-orange-200'
+                }`}
+              >
+                <div className="flex items-start justify-between gap-2">
+                  <div>
+                    <p className="text-sm font-semibold text-gray-900">
+                      {emoji} Table {request.tables?.table_number || request.tableNumber || '?'}
+                    </p>
+                    <p className="text-xs text-gray-600">{label}</p>
+                  </div>
+                  <span className={`text-xs font-medium ${waitingSeconds > 120 && !acknowledged ? 'text-red-600' : 'text-gray-500'}`}>
+                    {formatResponseTime(waitingSeconds)}
+                  </span>
+                </div>
+                {request.note && <p className="text-xs text-gray-700 mt-1 line-clamp-2">"{request.note}"</p>}
+
+                <div className="flex gap-2 mt-2">
+                  {!acknowledged && (
+                    <button
+                      onClick={() => updateRequest(request, 'acknowledge')}
+                      disabled={updatingId === request.id}
+                      className="flex-1 flex items-center justify-center gap-1 px-2 py-1.5 bg-blue-600 text-white rounded-md text-xs font-medium hover:bg-blue-700 disabled:opacity-50"
+                    >
+                      <HandThumbUpIcon className="h-3.5 w-3.5" />
+                      On my way
+                    </button>
+                  )}
+                  <button
+                    onClick={() => updateRequest(request, 'resolve')}
+                    disabled={updatingId === request.id}
+                    className="flex-1 flex items-center justify-center gap-1 px-2 py-1.5 bg-green-600 text-white rounded-md text-xs font-medium hover:bg-green-700 disabled:opacity-50"
+                  >
+                    <CheckCircleIcon className="h-3.5 w-3.5" />
+                    Done
+                  </button>
+                </div>
+              </motion.div>
+            )
+          })}
+        </AnimatePresence>
+      </div>
+    </div>
+  )
+}
+
+export default ServiceRequestsPanel
@@ -0,0 +1,155 @@
+import React, { useState, useEffect } from 'react'
+import { motion } from 'framer-motion'
+import { ClockIcon, PlayIcon, StopIcon, PauseIcon, CalendarIcon } from '@heroicons/react/24/outline'
+import ShiftService from '../../services/shiftService'
+import {
+  calculateAttendanceMinutes,
+  formatHoursMinutes,
+  toTimeInput
+} from '../../utils/attendanceUtils'
+import toast from 'react-hot-toast'
+
+const WEEK = 7 * 24 * 60 * 60 * 1000
+
+/**
+ * Clock in / out and breaks for the signed-in staff member, with their
+ * current or next rota shift. Clocking in also puts them online for orders.
+ */
+const ShiftClockCard = ({ staffId, restaurantId, onShiftChange }) => {
+  const [attendance, setAttendance] = useState(null)
+  const [nextShift, setNextShift] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [working, setWorking] = useState(false)
+  const [now, setNow] = useState(new Date())
+
+  const openBreak = attendance?.staff_breaks?.find(breakRow => !breakRow.ended_at)
+
+  useEffect(() => {
+    if (!staffId || !restaurantId) return
+
+    loadShift()
+    // Keeps the worked time ticking
+    const timer = setInterval(() => setNow(new Date()), 60000)
+    return () => clearInterval(timer)
+  }, [staffId, restaurantId])
+
+  const loadShift = async () => {
+    try {
+      const today = new Date()
+      today.setHours(0, 0, 0, 0)
+      const [open, shifts] = await Promise.all([
+        ShiftService.getOpenAttendance(staffId),
+        ShiftService.getShifts(restaurantId, today, new Date(today.getTime() + WEEK), staffId)
+      ])
+      setAttendance(open)
+      setNextShift(shifts.find(shift => new Date(shift.ends_at) > new Date()) || null)
+    } catch (error) {
+      console.error('❌ Error loading shift:', error)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleClock = async () => {
+    try {
+      setWorking(true)
+      const position = await ShiftService.getCurrentPosition()
+
+      if (attendance) {
+        await ShiftService.clockOut(position)
+        toast.success('Clocked out. See you next shift!', { icon: '🔴' })
+        onShiftChange?.(false)
+      } else {
+        await ShiftService.clockIn(position)
+        toast.success('Clocked in. You are online for orders', { icon: '🟢' })
+        onShiftChange?.(true)
+      }
+      await loadShift()
+    } catch (error) {
+      toast.error(error.message || 'Failed to update clock-in')
+    } finally {
+      setWorking(false)
+    }
+  }
+
+  const handleBreak = async () => {
+    try {
+      setWorking(true)
+      await ShiftService.toggleBreak(!openBreak)
+      toast.success(openBreak ? 'Welcome back! New orders will reach you again' : 'Enjoy your break. New orders go to others meanwhile')
+      await loadShift()
+    } catch (error) {
+      toast.error(error.message || 'Failed to update break')
+    } finally {
+      setWorking(false)
+    }
+  }
+
+  if (loading) return null
+
+  const minutes = attendance ? calculateAttendanceMinutes(attendance, now) : null
+  const shiftLabel = nextShift
+    ? `${new Date(nextShift.starts_at).toDateString() === now.toDateString()
+        ? 'Today'
+        : new Date(nextShift.starts_at).toLocaleDateString('en-IN', { weekday: 'short', day: 'numeric', month: 'short' })} ${toTimeInput(nextShift.starts_at)}-${toTimeInput(nextShift.ends_at)}`
+    : 'No upcoming shift on the rota'
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="bg-white border border-gray-200 rounded-lg p-5 shadow-sm"
+    >
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div className="flex items-center gap-3">
+          <div className={`w-10 h-10 rounded-lg flex items-center justify-center ${
+            openBreak ? 'bg-yellow-50' : attendance ? 'bg-green-50' : 'bg-gray-100'
+          }`}>
+            <ClockIcon className={`h-5 w-5 ${openBreak ? 'text-yellow-600' : attendance ? 'text-green-600' : 'text-gray-500'}`} />
+          </div>
+          <div>
+            <p className="text-sm font-semibold text-gray-900">
+              {openBreak
+                ? 'On break'
+                : attendance
+                  ? `Clocked in at ${toTimeInput(attendance.clock_in_at)}`
+                  : 'Not clocked in'}
+            </p>
+            <p className="text-xs text-gray-500 flex items-center gap-1">
+              {attendance ? (
+                <>Worked {formatHoursMinutes(minutes.payableMinutes)}{minutes.breakMinutes > 0 && ` · breaks ${formatHoursMinutes(minutes.breakMinutes)}`}</>
+              ) : (
+                <><CalendarIcon className="h-3 w-3" />{shiftLabel}</>
+              )}
+            </p>
+          </div>
+        </div>
+
+        <div className="flex gap-2">
+          {attendance && (
+            <button
+              onClick={handleBreak}
+              disabled={working}
+              className="flex items-center gap-2 px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors disabled:opacity-50 text-sm font-medium"
+            >
+              {openBreak ? <PlayIcon className="h-4 w-4" /> : <PauseIcon className="h-4 w-4" />}
+              {openBreak ? 'End break' : 'Start break'}
+            </button>
+          )}
+          <button
+            onClick={handleClock}
+            disabled={working}
+            className={`flex items-center gap-2 px-4 py-2 rounded-lg transition-colors disabled:opacity-50 text-sm font-medium text-white ${
+              attendance ? 'bg-red-600 hover:bg-red-700' : 'bg-blue-600 hover:bg-blue-700'
+            }`}
+          >
+            {attendance ? <StopIcon className="h-4 w-4" /> : <PlayIcon className="h-4 w-4" />}
+            {working ? 'Please wait...' : attendance ? 'Clock out' : 'Clock in'}
+          </button>
+        </div>
+      </div>
+    </motion.div>
+  )
+}
+
+export default ShiftClockCard
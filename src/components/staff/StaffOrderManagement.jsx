@@ -14,12 +14,18 @@ import {
   MapPinIcon,
   PhoneIcon,
   ChatBubbleLeftIcon,
-  ArrowPathIcon
+  ArrowPathIcon,
+  MagnifyingGlassIcon
 } from '@heroicons/react/24/outline'
 import { supabase } from '../../config/supabase'
 import UnifiedOrderService from '../../services/unifiedOrderService'
 import NotificationService from '../../services/notificationService'
 import useOrderStore from '../../stores/useOrderStore'
+import { formatModifierSummary } from '../../utils/modifierUtils'
+import { getOrderDisplayNumber, matchesOrderNumber } from '../../utils/orderNumberUtils'
+import TableBillPanel from './TableBillPanel'
+import ServiceRequestsPanel from './ServiceRequestsPanel'
+import InvoicePrintPanel from './InvoicePrintPanel'
 import toast from 'react-hot-toast'
 
 const StaffOrderManagement = ({ staffId, restaurantId, isOnline }) => {
@@ -37,6 +43,8 @@ const StaffOrderManagement = ({ staffId, restaurantId, isOnline }) => {
 
   const [selectedOrder, setSelectedOrder] = useState(null)
   const [filter, setFilter] = useState('pending') // pending, assigned, completed
+  const [orderSearch, setOrderSearch] = useState('') // Number called out at the pass, e.g. A-042
+  const [lookingUp, setLookingUp] = useState(false)
   const [refreshing, setRefreshing] = useState(false)
   const [subscription, setSubscription] = useState(null)
   const [processingOrders, setProcessingOrders] = useState(new Set())
@@ -75,7 +83,7 @@ const StaffOrderManagement = ({ staffId, restaurantId, isOnline }) => {
       const sub = subscribeToStaffOrders(staffId, restaurantId, (newOrder) => {
         console.log('📨 New order notification:', newOrder)
         playNotificationSound()
-        toast.success(`New order assigned: #${newOrder.order_number}`, {
+        toast.success(`New order assigned: #${getOrderDisplayNumber(newOrder)}`, {
           icon: '🔔',
           duration: 5000
         })
@@ -299,6 +307,29 @@ const StaffOrderManagement = ({ staffId, restaurantId, isOnline }) => {
     }
   }, [filter, staffId, restaurantId])
 
+  const visibleOrders = orders.filter(order => matchesOrderNumber(order, orderSearch))
+
+  // Enter opens the order, looking it up across the restaurant when it isn't in this tab
+  const findOrderByNumber = async (e) => {
+    e.preventDefault()
+    if (!orderSearch.trim()) return
+
+    if (visibleOrders.length === 1) {
+      setSelectedOrder(visibleOrders[0])
+      return
+    }
+
+    setLookingUp(true)
+    try {
+      const order = await UnifiedOrderService.trackOrderByNumber(orderSearch, restaurantId)
+      setSelectedOrder({ ...order, table_number: order.tables?.table_number })
+    } catch (error) {
+      toast.error(error.message)
+    } finally {
+      setLookingUp(false)
+    }
+  }
+
   return (
     <div className="h-full bg-gray-50 flex flex-col">
       {/* Professional Header */}
@@ -335,6 +366,13 @@ const StaffOrderManagement = ({ staffId, restaurantId, isOnline }) => {
         </div>
       </div>
 
+      {/* Water, cutlery, bill and help requests from tables */}
+      <ServiceRequestsPanel
+        staffId={staffId}
+        restaurantId={restaurantId}
+        onNewRequest={playNotificationSound}
+      />
+
       {/* Professional Filter Tabs */}
       <div className="px-4 sm:px-6 py-4 bg-white border-b border-gray-200 flex-shrink-0">
         <div className="flex gap-2 overflow-x-auto scrollbar-hide">
@@ -366,6 +404,17 @@ const StaffOrderManagement = ({ staffId, restaurantId, isOnline }) => {
             </motion.button>
           ))}
         </div>
+        <form onSubmit={findOrderByNumber} className="relative mt-3">
+          <MagnifyingGlassIcon className="h-4 w-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+          <input
+            type="text"
+            value={orderSearch}
+            onChange={(e) => setOrderSearch(e.target.value)}
+            disabled={lookingUp}
+            placeholder="Find order # (e.g. A-042), Enter to open"
+            className="w-full pl-9 pr-3 py-2 border border-gray-200 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:opacity-60"
+          />
+        </form>
       </div>
 
       {/* Orders List Container */}
@@ -431,7 +480,10 @@ const StaffOrderManagement = ({ staffId, restaurantId, isOnline }) => {
           </motion.div>
         ) : (
           <div className="space-y-4">
-            {orders.map((order, index) => {
+            {visibleOrders.length === 0 && (
+              <p className="text-center text-sm text-gray-500 py-8">No order here matches #{orderSearch.trim()} - press Enter to look it up</p>
+            )}
+            {visibleOrders.map((order, index) => {
               const priority = getOrderPriority(order)
               const isProcessing = processingOrders.has(order.id)
               
@@ -452,7 +504,7 @@ const StaffOrderManagement = ({ staffId, restaurantId, isOnline }) => {
                     <div className="flex-1 mb-3 sm:mb-0">
                       <div className="flex items-center gap-2 mb-2">
                         <h3 className="text-lg sm:text-xl font-semibold text-gray-900">
-                          #{order.order_number || order.id.slice(-6)}
+                          #{getOrderDisplayNumber(order)}
                         </h3>
                         
                         {/* Priority Badge */}
@@ -524,9 +576,16 @@ const StaffOrderManagement = ({ staffId, restaurantId, isOnline }) => {
                       <div className="space-y-2">
                         {order.order_items.slice(0, 3).map((item, idx) => (
                           <div key={idx} className="flex items-center justify-between p-2.5 bg-gray-50 rounded-lg">
-                            <span className="text-sm font-medium text-gray-900 truncate">
-                              {item.menu_items?.name || item.item_name}
-                            </span>
+                            <div className="min-w-0">
+                              <span className="block text-sm font-medium text-gray-900 truncate">
+                                {item.menu_items?.name || item.item_name}
+                              </span>
+                              {item.modifiers?.length > 0 && (
+                                <span className="block text-xs text-gray-500 truncate">
+                                  {formatModifierSummary(item.modifiers, { showPrices: false })}
+                                </span>
+                              )}
+                            </div>
                             <span className="text-sm text-gray-600 ml-2">
                               {item.quantity}× ₹{Math.round(item.unit_price)}
                             </span>
@@ -697,7 +756,7 @@ const StaffOrderManagement = ({ staffId, restaurantId, isOnline }) => {
                 <div className="flex items-center justify-between">
                   <div>
                     <h2 className="text-2xl font-bold text-gray-900">
-                      Order #{selectedOrder.order_number || selectedOrder.id.slice(-6)}
+                      Order #{getOrderDisplayNumber(selectedOrder)}
                     </h2>
                     <p className="text-gray-600 mt-1">
                       {selectedOrder.customer_name || 'Guest Customer'} • Table {selectedOrder.table_number || 'N/A'}
@@ -775,6 +834,22 @@ const StaffOrderManagement = ({ staffId, restaurantId, isOnline }) => {
                             </span>
                             <span>₹{Math.round(item.unit_price)} each</span>
                           </div>
+                          {item.modifiers?.length > 0 && (
+                            <div className="mt-2 space-y-1">
+                              {item.modifiers.map((modifier) => (
+                                <div key={`${modifier.group_id}-${modifier.option_id}`} className="flex items-center justify-between text-sm">
+                                  <span className="text-gray-700">
+                                    <span className="text-gray-500">{modifier.group_name}:</span> {modifier.option_name}
+                                  </span>
+                                  {parseFloat(modifier.price_delta) !== 0 && (
+                                    <span className="text-gray-500 ml-2">
+                                      {modifier.price_delta > 0 ? '+' : '-'}₹{Math.abs(modifier.price_delta)}
+                                    </span>
+                                  )}
+                                </div>
+                              ))}
+                            </div>
+                          )}
                           {item.special_instructions && (
                             <div className="mt-2 p-2 bg-blue-50 rounded-lg">
                               <p className="text-xs text-blue-600 font-medium mb-1">SPECIAL NOTE</p>
@@ -790,6 +865,19 @@ const StaffOrderManagement = ({ staffId, restaurantId, isOnline }) => {
                   </div>
                 </div>
 
+                {/* Receipt - thermal print and A4 invoice */}
+                <InvoicePrintPanel order={selectedOrder} />
+
+                {/* Table Bill - split shares and table release */}
+                <TableBillPanel
+                  order={selectedOrder}
+                  staffId={staffId}
+                  onTableReleased={() => {
+                    setSelectedOrder(null)
+                    handleRefresh()
+                  }}
+                />
+
                 {/* Action Buttons */}
                 <div className="flex flex-col sm:flex-row gap-3">
                   {selectedOrder.status === 'pending' && (
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react'
+import React, { useState, useEffect, useRef } from 'react'
 import { motion, AnimatePresence } from 'framer-motion'
 import { 
   TableCellsIcon,
@@ -19,9 +19,11 @@ import {
 } from '@heroicons/react/24/outline'
 import tableService from '../../services/tableService'
 import UnifiedOrderService from '../../services/unifiedOrderService'
+import LoyaltyService from '../../services/loyaltyService'
 import { supabase } from '../../config/supabase'
 import useCartStore from '../../stores/useCartStore'
 import toast from 'react-hot-toast'
+import { getOrderDisplayNumber } from '../../utils/orderNumberUtils'
 
 const StaffOrderingFlow = ({ restaurantId, staffId, onClose }) => {
   const [currentStep, setCurrentStep] = useState('table') // table -> customer -> menu -> cart -> payment -> complete
@@ -38,6 +40,8 @@ const StaffOrderingFlow = ({ restaurantId, staffId, onClose }) => {
   const [loading, setLoading] = useState(false)
   const [loyaltyInfo, setLoyaltyInfo] = useState(null)
   const [sessionId, setSessionId] = useState(null)
+  // Reused when placing the same cart again, so a retry can't duplicate the order
+  const submissionKey = useRef(null)
 
   // Cart store integration
   const { 
@@ -52,6 +56,10 @@ const StaffOrderingFlow = ({ restaurantId, staffId, onClose }) => {
 
   // No longer need order store - using unified service
 
+  useEffect(() => {
+    submissionKey.current = null
+  }, [cart, selectedTable?.id])
+
   useEffect(() => {
     loadAvailableTables()
     loadMenuData()
@@ -154,17 +162,11 @@ const StaffOrderingFlow = ({ restaurantId, staffId, onClose }) => {
       if (!customerError && existingCustomer?.customer_id) {
         customerId = existingCustomer.customer_id
         
-        // Check if customer has existing loyalty account
-        const { data: loyaltyData, error: loyaltyError } = await supabase
-          .from('loyalty_points')
-          .select('*')
-          .eq('restaurant_id', restaurantId)
-          .eq('customer_id', customerId)
-          .maybeSingle() // Use maybeSingle to avoid PGRST116 error
-
-        if (!loyaltyError && loyaltyData) {
-          setLoyaltyInfo(loyaltyData)
-          toast.success(`Welcome back! You have ${loyaltyData.current_balance} loyalty points`)
+        // Balance from the loyalty ledger
+        const { balance, lifetimeEarned } = await LoyaltyService.getBalance(customerId, restaurantId)
+        if (lifetimeEarned > 0) {
+          setLoyaltyInfo({ customerId, balance, lifetimeEarned })
+          toast.success(`Welcome back! You have ${balance} loyalty points`)
           return
         }
       }
@@ -240,6 +242,8 @@ const StaffOrderingFlow = ({ restaurantId, staffId, onClose }) => {
       // Use unified order service for staff-assisted orders
       console.log('🔄 Creating staff-assisted order with unified service')
       
+      if (!submissionKey.current) submissionKey.current = UnifiedOrderService.generateIdempotencyKey()
+
       const order = await UnifiedOrderService.createOrder({
         source: 'staff',
         restaurantId: restaurantId,
@@ -253,22 +257,23 @@ const StaffOrderingFlow = ({ restaurantId, staffId, onClose }) => {
         staffId: staffId,
         specialInstructions: '',
         paymentMethod: 'cash',
-        tipAmount: 0
+        tipAmount: 0,
+        idempotencyKey: submissionKey.current
       })
 
       console.log('✅ Staff-assisted order created successfully:', order)
       setSessionId(order.session_id)
 
-      // Create loyalty points if email provided
-      if (customerInfo.email && order) {
-        await createLoyaltyTransaction(order)
+      // createOrder awarded the customer's points by the restaurant's loyalty rules
+      if (order.loyalty_points_earned > 0) {
+        toast.success(`Customer earned ${order.loyalty_points_earned} loyalty points!`)
       }
 
       // Clear the cart after successful order
       clearCart()
 
       setCurrentStep('payment')
-      toast.success(`Order #${order.order_number} placed successfully!`)
+      toast.success(`Order #${getOrderDisplayNumber(order)} placed successfully!`)
     } catch (error) {
       console.error('❌ Error placing order:', error)
       toast.error(`Failed to place order: ${error.message}`)
@@ -277,101 +282,6 @@ const StaffOrderingFlow = ({ restaurantId, staffId, onClose }) => {
     }
   }
 
-  const createLoyaltyTransaction = async (order) => {
-    try {
-      // Only create loyalty points if customer provided email
-      if (!customerInfo.email) return
-
-      const pointsEarned = Math.floor(order.total_amount * 0.1) // 10% of order value as points
-      
-      // Get customer ID from the order (should be set by UnifiedOrderService)
-      let customerId = order.customer_id
-      
-      // If no customer_id in order, try to create customer record
-      if (!customerId && customerInfo.email) {
-        try {
-          console.log('👤 Creating customer record for loyalty points:', customerInfo)
-          
-          const { data: customerResult, error: customerError } = await supabase
-            .rpc('get_or_create_guest_customer', {
-              p_email: customerInfo.email,
-              p_phone: customerInfo.phone,
-              p_full_name: customerInfo.name
-            })
-          
-          if (!customerError && customerResult) {
-            customerId = customerResult
-            console.log('✅ Customer record created for loyalty:', customerId)
-          } else {
-            console.warn('⚠️ Could not create customer for loyalty points:', customerError)
-            return // Skip loyalty points if no customer
-          }
-        } catch (error) {
-          console.warn('⚠️ Error creating customer for loyalty points:', error)
-          return // Skip loyalty points if error
-        }
-      }
-      
-      if (!customerId) {
-        console.log('ℹ️ No customer ID available, skipping loyalty points')
-        return
-      }
-
-      // Check if loyalty account exists
-      const { data: existingLoyalty } = await supabase
-        .from('loyalty_points')
-        .select('*')
-        .eq('restaurant_id', restaurantId)
-        .eq('customer_id', customerId)
-        .maybeSingle() // Use maybeSingle to avoid PGRST116 error
-
-      if (existingLoyalty) {
-        // Update existing loyalty account
-        const { error } = await supabase
-          .from('loyalty_points')
-          .update({
-            points_earned: existingLoyalty.points_earned + pointsEarned,
-            current_balance: existingLoyalty.current_balance + pointsEarned,
-            updated_at: new Date().toISOString()
-          })
-          .eq('id', existingLoyalty.id)
-
-        if (!error) {
-          toast.success(`Customer earned ${pointsEarned} loyalty points! Total: ${existingLoyalty.current_balance + pointsEarned}`)
-        }
-      } else {
-        // Create new loyalty account with proper error handling
-        console.log('🎯 Creating new loyalty account:', {
-          customer_id: customerId,
-          restaurant_id: restaurantId,
-          points_earned: pointsEarned,
-          current_balance: pointsEarned,
-          tier: 'bronze'
-        })
-        
-        const { error } = await supabase
-          .from('loyalty_points')
-          .insert({
-            customer_id: customerId,
-            restaurant_id: restaurantId,
-            points_earned: pointsEarned,
-            current_balance: pointsEarned,
-            tier: 'bronze'
-          })
-
-        if (error) {
-          console.error('❌ Loyalty points creation error:', error)
-          toast.error(`Failed to create loyalty account: ${error.message}`)
-        } else {
-          toast.success(`Customer earned ${pointsEarned} loyalty points!`)
-        }
-      }
-    } catch (error) {
-      console.error('❌ Error in loyalty points process:', error)
-      toast.error(`Loyalty points error: ${error.message}`)
-    }
-  }
-
   const handlePaymentComplete = () => {
     clearCart()
     setCurrentStep('complete')
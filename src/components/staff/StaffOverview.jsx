@@ -18,6 +18,7 @@ import {
   InformationCircleIcon,
   UserIcon
 } from '@heroicons/react/24/outline'
+import ShiftClockCard from './ShiftClockCard'
 
 const StaffOverview = ({ 
   stats, 
@@ -28,7 +29,8 @@ const StaffOverview = ({
   staffSession,
   loading = false,
   onRefresh,
-  onStartOrdering
+  onStartOrdering,
+  onShiftChange
 }) => {
   const [isRefreshing, setIsRefreshing] = useState(false)
 
@@ -153,6 +155,13 @@ const StaffOverview = ({
         </div>
       </motion.div>
 
+      {/* Clock In / Out */}
+      <ShiftClockCard
+        staffId={staffSession?.staff_id}
+        restaurantId={staffSession?.restaurant_id}
+        onShiftChange={onShiftChange}
+      />
+
       {/* Professional Stats Cards */}
       <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
         <motion.div
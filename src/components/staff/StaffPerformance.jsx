@@ -13,6 +13,10 @@ import {
   FireIcon
 } from '@heroicons/react/24/outline'
 import { supabase } from '../../config/supabase'
+import { getOrderDisplayNumber } from '../../utils/orderNumberUtils'
+import ServiceRequestService from '../../services/serviceRequestService'
+import { formatResponseTime, summarizeServiceResponse } from '../../utils/serviceRequestUtils'
+import PaySettlementReport from '../common/PaySettlementReport'
 
 const StaffPerformance = ({ staffId, restaurantId }) => {
   const [performance, setPerformance] = useState({
@@ -21,21 +25,24 @@ const StaffPerformance = ({ staffId, restaurantId }) => {
       earnings: 0,
       tips: 0,
       hoursWorked: 0,
-      avgRating: 0
+      avgRating: 0,
+      serviceRequests: summarizeServiceResponse([])
     },
     weeklyStats: {
       ordersCompleted: 0,
       earnings: 0,
       tips: 0,
       hoursWorked: 0,
-      avgRating: 0
+      avgRating: 0,
+      serviceRequests: summarizeServiceResponse([])
     },
     monthlyStats: {
       ordersCompleted: 0,
       earnings: 0,
       tips: 0,
       hoursWorked: 0,
-      avgRating: 0
+      avgRating: 0,
+      serviceRequests: summarizeServiceResponse([])
     },
     achievements: [],
     recentReviews: [],
@@ -43,7 +50,9 @@ const StaffPerformance = ({ staffId, restaurantId }) => {
       orderAcceptanceRate: 0,
       avgOrderTime: 0,
       customerSatisfaction: 0,
-      punctuality: 0
+      punctuality: 0,
+      avgResponseSeconds: 0,
+      respondedWithin2Min: 0
     }
   })
   const [loading, setLoading] = useState(true)
@@ -79,7 +88,9 @@ const StaffPerformance = ({ staffId, restaurantId }) => {
         .select(`
           *,
           orders!inner (
-            assigned_staff_id
+            assigned_staff_id,
+            order_number,
+            display_number
           )
         `)
         .eq('orders.assigned_staff_id', staffId)
@@ -88,16 +99,25 @@ const StaffPerformance = ({ staffId, restaurantId }) => {
       // Note: staff_work_sessions table doesn't exist in schema, using placeholder
       const workSessions = []
 
+      // Table requests (water, bill, ...) this staff member picked up
+      const serviceRequests = await ServiceRequestService.getHandledRequests(
+        staffId,
+        weekStart < monthStart ? weekStart : monthStart
+      ).catch(error => {
+        console.warn('⚠️ Could not load service requests:', error)
+        return []
+      })
+
       // Calculate stats for different periods
-      const todayStats = calculatePeriodStats(ordersData, workSessions, todayStart)
-      const weeklyStats = calculatePeriodStats(ordersData, workSessions, weekStart)
-      const monthlyStats = calculatePeriodStats(ordersData, workSessions, monthStart)
+      const todayStats = calculatePeriodStats(ordersData, workSessions, todayStart, serviceRequests)
+      const weeklyStats = calculatePeriodStats(ordersData, workSessions, weekStart, serviceRequests)
+      const monthlyStats = calculatePeriodStats(ordersData, workSessions, monthStart, serviceRequests)
 
       // Use the reviews data we already fetched above
       const recentReviews = reviewsData?.slice(0, 10) || []
 
       // Calculate performance metrics
-      const performanceMetrics = calculatePerformanceMetrics(ordersData, workSessions)
+      const performanceMetrics = calculatePerformanceMetrics(ordersData, workSessions, monthlyStats.serviceRequests)
 
       // Generate achievements
       const achievements = generateAchievements(todayStats, weeklyStats, monthlyStats, performanceMetrics)
@@ -118,7 +138,7 @@ const StaffPerformance = ({ staffId, restaurantId }) => {
     }
   }
 
-  const calculatePeriodStats = (orders, workSessions, startDate) => {
+  const calculatePeriodStats = (orders, workSessions, startDate, serviceRequests = []) => {
     const periodOrders = orders?.filter(order => 
       new Date(order.created_at) >= startDate
     ) || []
@@ -152,11 +172,14 @@ const StaffPerformance = ({ staffId, restaurantId }) => {
       earnings,
       tips,
       hoursWorked,
-      avgRating
+      avgRating,
+      serviceRequests: summarizeServiceResponse(
+        serviceRequests.filter(request => new Date(request.created_at) >= startDate)
+      )
     }
   }
 
-  const calculatePerformanceMetrics = (orders, workSessions) => {
+  const calculatePerformanceMetrics = (orders, workSessions, serviceResponse) => {
     // Order acceptance rate (placeholder - would need order assignment data)
     const orderAcceptanceRate = 95 // Mock data
 
@@ -188,7 +211,10 @@ const StaffPerformance = ({ staffId, restaurantId }) => {
       orderAcceptanceRate,
       avgOrderTime,
       customerSatisfaction,
-      punctuality
+      punctuality,
+      // How quickly table requests get an "on my way"
+      avgResponseSeconds: serviceResponse.avgResponseSeconds,
+      respondedWithin2Min: serviceResponse.within2Min
     }
   }
 
@@ -230,6 +256,18 @@ const StaffPerformance = ({ staffId, restaurantId }) => {
       })
     }
 
+    // Performance achievements
+    if (monthly.serviceRequests.acknowledged >= 10 && metrics.respondedWithin2Min >= 90) {
+      achievements.push({
+        id: 'quick_responder',
+        title: 'Quick Responder',
+        description: '90%+ of table requests answered within 2 minutes',
+        icon: ClockIcon,
+        color: 'text-orange-500',
+        bgColor: 'bg-orange-100'
+      })
+    }
+
     // Performance achievements
     if (metrics.customerSatisfaction >= 90) {
       achievements.push({
@@ -487,6 +525,39 @@ const StaffPerformance = ({ staffId, restaurantId }) => {
         </div>
       </div>
 
+      {/* Table Requests */}
+      <div className="bg-white rounded-lg border border-gray-200 p-6">
+        <div className="flex items-center gap-2 mb-4">
+          <ClockIcon className="h-5 w-5 text-orange-500" />
+          <h3 className="text-lg font-semibold text-gray-900">Table Requests</h3>
+        </div>
+        {currentStats.serviceRequests.total > 0 ? (
+          <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+            <div>
+              <p className="text-xl font-bold text-gray-900">{currentStats.serviceRequests.total}</p>
+              <p className="text-sm text-gray-600">Requests Handled</p>
+            </div>
+            <div>
+              <p className="text-xl font-bold text-gray-900">{formatResponseTime(currentStats.serviceRequests.avgResponseSeconds)}</p>
+              <p className="text-sm text-gray-600">Avg Response Time</p>
+            </div>
+            <div>
+              <p className="text-xl font-bold text-gray-900">{formatResponseTime(currentStats.serviceRequests.avgResolveSeconds)}</p>
+              <p className="text-sm text-gray-600">Avg Time to Done</p>
+            </div>
+            <div>
+              <p className="text-xl font-bold text-gray-900">{currentStats.serviceRequests.within2Min}%</p>
+              <p className="text-sm text-gray-600">Answered in 2 min</p>
+            </div>
+          </div>
+        ) : (
+          <p className="text-sm text-gray-500">No table requests handled in this period</p>
+        )}
+      </div>
+
+      {/* Wages and tip share for the pay period */}
+      <PaySettlementReport restaurantId={restaurantId} staffId={staffId} />
+
       {/* Achievements */}
       {performance.achievements.length > 0 && (
         <div className="bg-white rounded-lg border border-gray-200 p-6">
@@ -536,7 +607,7 @@ const StaffPerformance = ({ staffId, restaurantId }) => {
                     ))}
                   </div>
                   <span className="text-sm text-gray-600">
-                    Order #{review.orders?.order_number}
+                    Order #{getOrderDisplayNumber(review.orders)}
                   </span>
                   <span className="text-sm text-gray-500">
                     {new Date(review.created_at).toLocaleDateString()}
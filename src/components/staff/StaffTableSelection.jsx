@@ -10,6 +10,8 @@ import {
   UserGroupIcon
 } from '@heroicons/react/24/outline'
 import tableService from '../../services/tableService'
+import FloorPlanView from '../common/FloorPlanView'
+import { FLOOR_STATUSES } from '../../utils/floorPlanUtils'
 import toast from 'react-hot-toast'
 
 const StaffTableSelection = ({ restaurantId, staffId, onTableReserved, onClose }) => {
@@ -26,7 +28,7 @@ const StaffTableSelection = ({ restaurantId, staffId, onTableReserved, onClose }
   const [loading, setLoading] = useState(true)
   const [submitting, setSubmitting] = useState(false)
   const [showCustomerForm, setShowCustomerForm] = useState(false)
-  const [activeTab, setActiveTab] = useState('available') // 'available' or 'reserved'
+  const [activeTab, setActiveTab] = useState('available') // 'available', 'reserved' or 'floor'
 
   useEffect(() => {
     loadAllTables()
@@ -182,6 +184,16 @@ const StaffTableSelection = ({ restaurantId, staffId, onTableReserved, onClose }
           >
             Reserved ({reservedTables.length})
           </button>
+          <button
+            onClick={() => setActiveTab('floor')}
+            className={`px-4 py-2 rounded-lg font-medium transition-all ${
+              activeTab === 'floor'
+                ? 'bg-blue-600 text-white shadow-sm'
+                : 'bg-white text-gray-600 hover:bg-gray-50 border border-gray-200'
+            }`}
+          >
+            Floor
+          </button>
         </div>
       </div>
 
@@ -201,17 +213,50 @@ const StaffTableSelection = ({ restaurantId, staffId, onTableReserved, onClose }
                 exit={{ opacity: 0, y: -20 }}
                 className="space-y-4"
               >
-                <div className="flex items-center justify-between mb-4">
-                  <h3 className="text-lg font-semibold text-gray-900">
-                    {activeTab === 'available' ? 'Available Tables' : 'Reserved Tables'}
-                  </h3>
-                  <button
-                    onClick={loadAllTables}
-                    className="text-sm text-blue-600 hover:text-blue-700 font-medium"
-                  >
-                    Refresh
-                  </button>
-                </div>
+                {activeTab !== 'floor' && (
+                  <div className="flex items-center justify-between mb-4">
+                    <h3 className="text-lg font-semibold text-gray-900">
+                      {activeTab === 'available' ? 'Available Tables' : 'Reserved Tables'}
+                    </h3>
+                    <button
+                      onClick={loadAllTables}
+                      className="text-sm text-blue-600 hover:text-blue-700 font-medium"
+                    >
+                      Refresh
+                    </button>
+                  </div>
+                )}
+
+                {/* Live Floor View */}
+                {activeTab === 'floor' && (
+                  <FloorPlanView
+                    restaurantId={restaurantId}
+                    renderTableActions={(table, reload) => (
+                      <>
+                        {table.floor_status === FLOOR_STATUSES.FREE && !table.merged_into && (
+                          <button
+                            onClick={() => handleTableSelect(table)}
+                            className="px-3 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors text-sm font-medium"
+                          >
+                            Seat Guests
+                          </button>
+                        )}
+                        {table.current_session && (
+                          <button
+                            onClick={async () => {
+                              await handleUnreserveTable(table)
+                              reload()
+                            }}
+                            disabled={submitting}
+                            className="px-3 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors text-sm font-medium disabled:opacity-50"
+                          >
+                            Release Table
+                          </button>
+                        )}
+                      </>
+                    )}
+                  />
+                )}
 
                 {/* Available Tables View */}
                 {activeTab === 'available' && (
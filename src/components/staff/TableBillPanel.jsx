@@ -0,0 +1,165 @@
+import React, { useState, useEffect } from 'react'
+import { motion } from 'framer-motion'
+import {
+  CheckCircleIcon,
+  ClockIcon,
+  BanknotesIcon,
+  LockClosedIcon,
+  ArrowPathIcon
+} from '@heroicons/react/24/outline'
+import SplitBillService from '../../services/splitBillService'
+import tableService from '../../services/tableService'
+import { SPLIT_METHOD_LABELS } from '../../utils/splitBillUtils'
+import toast from 'react-hot-toast'
+
+/**
+ * Table bill section of the staff order detail modal
+ * Shows the split-bill shares of the order's table session, lets staff
+ * collect cash shares and only allows releasing the table once every share
+ * is paid.
+ */
+const TableBillPanel = ({ order, staffId, onTableReleased }) => {
+  const [split, setSplit] = useState(null)
+  const [unpaidShares, setUnpaidShares] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [collectingShareId, setCollectingShareId] = useState(null)
+  const [releasing, setReleasing] = useState(false)
+
+  useEffect(() => {
+    if (order?.table_id && order?.session_id) {
+      loadShares()
+    }
+  }, [order?.table_id, order?.session_id])
+
+  const loadShares = async () => {
+    try {
+      setLoading(true)
+      const [activeSplit, unpaid] = await Promise.all([
+        SplitBillService.getActiveSplit(order.session_id),
+        SplitBillService.getUnpaidShares(order.table_id)
+      ])
+      setSplit(activeSplit)
+      setUnpaidShares(unpaid)
+    } catch (error) {
+      console.error('❌ Error loading bill shares:', error)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const collectCash = async (share) => {
+    try {
+      setCollectingShareId(share.id)
+      const result = await SplitBillService.collectShareCash(share, staffId)
+      if (!result.success) throw new Error(result.error)
+
+      toast.success(`Collected ₹${parseFloat(share.amount).toFixed(2)} from ${share.share_label}`, { icon: '💵' })
+      await loadShares()
+    } catch (error) {
+      toast.error(`Failed to record payment: ${error.message}`)
+    } finally {
+      setCollectingShareId(null)
+    }
+  }
+
+  const releaseTable = async () => {
+    try {
+      setReleasing(true)
+      await tableService.releaseTable(order.table_id, order.session_id)
+      toast.success(`Table ${order.tables?.table_number || ''} released`.trim(), { icon: '✅' })
+      onTableReleased?.()
+    } catch (error) {
+      toast.error(error.message || 'Failed to release table')
+      await loadShares()
+    } finally {
+      setReleasing(false)
+    }
+  }
+
+  if (!order?.table_id || !order?.session_id) return null
+
+  return (
+    <div className="mb-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-bold text-gray-900">Table Bill</h3>
+        <button
+          onClick={loadShares}
+          className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
+          title="Refresh"
+        >
+          <ArrowPathIcon className={`h-4 w-4 text-gray-500 ${loading ? 'animate-spin' : ''}`} />
+        </button>
+      </div>
+
+      {split ? (
+        <div className="space-y-2 mb-4">
+          <p className="text-sm text-gray-600">
+            {SPLIT_METHOD_LABELS[split.method]} • ₹{parseFloat(split.total_amount).toFixed(2)} between {split.shares.length}
+          </p>
+          {split.shares.map(share => {
+            const isPaid = share.payment_status === 'completed'
+
+            return (
+              <div
+                key={share.id}
+                className={`flex items-center justify-between p-3 rounded-xl ${isPaid ? 'bg-green-50' : 'bg-amber-50'}`}
+              >
+                <div className="flex items-center gap-3">
+                  {isPaid ? (
+                    <CheckCircleIcon className="h-5 w-5 text-green-600" />
+                  ) : (
+                    <ClockIcon className="h-5 w-5 text-amber-600" />
+                  )}
+                  <div>
+                    <p className="text-sm font-semibold text-gray-900">{share.share_label}</p>
+                    <p className="text-xs text-gray-600 capitalize">
+                      {isPaid ? `Paid • ${share.payment_method}` : share.payment_status === 'processing' ? 'Paying online...' : 'Unpaid'}
+                    </p>
+                  </div>
+                </div>
+                <div className="flex items-center gap-3">
+                  <span className="text-sm font-bold text-gray-900">₹{parseFloat(share.amount).toFixed(2)}</span>
+                  {!isPaid && share.payment_status !== 'processing' && (
+                    <motion.button
+                      whileHover={{ scale: 1.02 }}
+                      whileTap={{ scale: 0.98 }}
+                      onClick={() => collectCash(share)}
+                      disabled={collectingShareId === share.id}
+                      className="flex items-center gap-1 px-3 py-1.5 bg-green-600 hover:bg-green-700 text-white rounded-lg text-xs font-semibold disabled:opacity-50"
+                    >
+                      <BanknotesIcon className="h-4 w-4" />
+                      <span>{collectingShareId === share.id ? 'Saving...' : 'Collect Cash'}</span>
+                    </motion.button>
+                  )}
+                </div>
+              </div>
+            )
+          })}
+        </div>
+      ) : (
+        <p className="text-sm text-gray-600 mb-4">The table has not split this bill.</p>
+      )}
+
+      {unpaidShares.length > 0 && (
+        <div className="mb-3 p-3 bg-red-50 rounded-xl border-l-4 border-red-400">
+          <p className="text-sm text-red-800">
+            {unpaidShares.length} unpaid share{unpaidShares.length > 1 ? 's' : ''}: {unpaidShares.map(share => share.share_label).join(', ')}
+          </p>
+        </div>
+      )}
+
+      <motion.button
+        whileHover={{ scale: unpaidShares.length ? 1 : 1.01 }}
+        whileTap={{ scale: unpaidShares.length ? 1 : 0.99 }}
+        onClick={releaseTable}
+        disabled={releasing || loading || unpaidShares.length > 0}
+        className="w-full flex items-center justify-center gap-2 px-4 py-3 bg-gray-900 hover:bg-black text-white rounded-xl font-semibold text-sm transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+      >
+        {unpaidShares.length > 0 && <LockClosedIcon className="h-4 w-4" />}
+        <span>{releasing ? 'Releasing...' : 'Release Table'}</span>
+      </motion.button>
+    </div>
+  )
+}
+
+export default TableBillPanel
@@ -0,0 +1,127 @@
+-- Migration: Per-restaurant sequential order numbers
+-- Purpose: Give every order a short number (A-042) that restarts daily, for the pass and phone calls
+-- Date: 2026-10-19
+
+-- Numbering rules: { prefix, reset_policy: daily|weekly|monthly|never, padding, day_start_hour }
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS order_number_settings JSONB DEFAULT '{}'::jsonb;
+
+COMMENT ON COLUMN users.order_number_settings IS 'Order number prefix, reset policy (daily/weekly/monthly/never), digits and business day start hour';
+
+-- Short number shown to staff and customers (order_number stays the unique reference)
+ALTER TABLE orders
+ADD COLUMN IF NOT EXISTS display_number VARCHAR(20);
+
+-- Position in the restaurant's sequence and the period it belongs to
+ALTER TABLE orders
+ADD COLUMN IF NOT EXISTS sequence_number INTEGER;
+
+ALTER TABLE orders
+ADD COLUMN IF NOT EXISTS sequence_period DATE;
+
+COMMENT ON COLUMN orders.display_number IS 'Human-readable number, e.g. A-042; unique per restaurant within sequence_period';
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_orders_sequence
+ON orders(restaurant_id, sequence_period, sequence_number)
+WHERE sequence_number IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_orders_display_number
+ON orders(restaurant_id, display_number);
+
+-- Last number handed out per restaurant and period
+CREATE TABLE IF NOT EXISTS public.order_number_counters (
+    restaurant_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    period_start DATE NOT NULL,
+    last_number INTEGER NOT NULL DEFAULT 0,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (restaurant_id, period_start)
+);
+
+-- Only the functions below write counters
+ALTER TABLE public.order_number_counters ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Owners read their order counters" ON public.order_number_counters;
+CREATE POLICY "Owners read their order counters" ON public.order_number_counters
+FOR SELECT USING (restaurant_id = auth.uid());
+
+-- Start of the numbering period a moment falls in (India time, shifted by
+-- the business day start so 1 am still counts as the previous night)
+CREATE OR REPLACE FUNCTION order_number_period(p_settings JSONB, p_at TIMESTAMP WITH TIME ZONE DEFAULT NOW())
+RETURNS DATE AS $$
+DECLARE
+    v_day_start INTEGER := LEAST(GREATEST(COALESCE((p_settings->>'day_start_hour')::INTEGER, 0), 0), 23);
+    v_day DATE := ((p_at AT TIME ZONE 'Asia/Kolkata') - make_interval(hours => v_day_start))::DATE;
+BEGIN
+    RETURN CASE COALESCE(p_settings->>'reset_policy', 'daily')
+        WHEN 'never' THEN DATE '2000-01-01'
+        WHEN 'monthly' THEN date_trunc('month', v_day)::DATE
+        WHEN 'weekly' THEN date_trunc('week', v_day)::DATE
+        ELSE v_day
+    END;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Hand out the next number. The counter row is locked by the upsert until
+-- the order's transaction ends, so concurrent orders queue up here and a
+-- rolled-back order gives its number back.
+-- Returns: { display_number, sequence_number, sequence_period }
+CREATE OR REPLACE FUNCTION next_order_display_number(p_restaurant_id UUID)
+RETURNS JSONB AS $$
+DECLARE
+    v_settings JSONB;
+    v_prefix TEXT;
+    v_padding INTEGER;
+    v_period DATE;
+    v_number INTEGER;
+BEGIN
+    SELECT COALESCE(order_number_settings, '{}'::jsonb) INTO v_settings
+    FROM users
+    WHERE id = p_restaurant_id;
+
+    v_settings := COALESCE(v_settings, '{}'::jsonb);
+    v_prefix := upper(regexp_replace(COALESCE(v_settings->>'prefix', 'A'), '[^A-Za-z0-9]', '', 'g'));
+    v_prefix := left(v_prefix, 4);
+    v_padding := LEAST(GREATEST(COALESCE((v_settings->>'padding')::INTEGER, 3), 1), 6);
+    v_period := order_number_period(v_settings);
+
+    INSERT INTO order_number_counters (restaurant_id, period_start, last_number, updated_at)
+    VALUES (p_restaurant_id, v_period, 1, NOW())
+    ON CONFLICT (restaurant_id, period_start)
+    DO UPDATE SET last_number = order_number_counters.last_number + 1, updated_at = NOW()
+    RETURNING last_number INTO v_number;
+
+    RETURN jsonb_build_object(
+        'display_number', CASE WHEN v_prefix = '' THEN '' ELSE v_prefix || '-' END
+            -- lpad would cut numbers longer than the padding
+            || CASE WHEN length(v_number::TEXT) >= v_padding THEN v_number::TEXT ELSE lpad(v_number::TEXT, v_padding, '0') END,
+        'sequence_number', v_number,
+        'sequence_period', v_period
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Every insert path (create_order_transaction, direct inserts) gets a number
+CREATE OR REPLACE FUNCTION assign_order_display_number()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_next JSONB;
+BEGIN
+    IF NEW.display_number IS NULL AND NEW.restaurant_id IS NOT NULL THEN
+        v_next := next_order_display_number(NEW.restaurant_id);
+        NEW.display_number := v_next->>'display_number';
+        NEW.sequence_number := (v_next->>'sequence_number')::INTEGER;
+        NEW.sequence_period := (v_next->>'sequence_period')::DATE;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS trg_assign_order_display_number ON orders;
+CREATE TRIGGER trg_assign_order_display_number
+BEFORE INSERT ON orders
+FOR EACH ROW EXECUTE FUNCTION assign_order_display_number();
+
+-- Verify the migration
+SELECT column_name, data_type
+FROM information_schema.columns
+WHERE table_name = 'orders' AND column_name IN ('display_number', 'sequence_number', 'sequence_period');
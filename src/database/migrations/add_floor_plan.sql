@@ -0,0 +1,102 @@
+-- Migration: Floor plan and live floor view
+-- Purpose: Table positions, shapes and merges, dining room sections, and "needs cleaning" after a party leaves
+-- Date: 2026-10-19
+
+-- Where each table sits on the floor plan grid (cells, top-left corner)
+ALTER TABLE tables
+ADD COLUMN IF NOT EXISTS floor_x INTEGER;
+
+ALTER TABLE tables
+ADD COLUMN IF NOT EXISTS floor_y INTEGER;
+
+ALTER TABLE tables
+ADD COLUMN IF NOT EXISTS floor_width INTEGER DEFAULT 2 CHECK (floor_width BETWEEN 1 AND 8);
+
+ALTER TABLE tables
+ADD COLUMN IF NOT EXISTS floor_height INTEGER DEFAULT 2 CHECK (floor_height BETWEEN 1 AND 8);
+
+ALTER TABLE tables
+ADD COLUMN IF NOT EXISTS floor_shape VARCHAR(20) DEFAULT 'square'
+CHECK (floor_shape IN ('square', 'round', 'rectangle'));
+
+-- Pushed-together tables seat one party: members point at the main table
+ALTER TABLE tables
+ADD COLUMN IF NOT EXISTS merged_into UUID REFERENCES tables(id) ON DELETE SET NULL;
+
+-- Set when a party leaves, cleared when staff mark the table clean
+ALTER TABLE tables
+ADD COLUMN IF NOT EXISTS needs_cleaning_since TIMESTAMP WITH TIME ZONE;
+
+-- Dining room layout: { columns, rows, sections: [{ id, name, x, y, width, height, color }] }
+-- A table inside a section takes its name as tables.location, which staff
+-- sections match against
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS floor_plan JSONB DEFAULT '{}'::jsonb;
+
+COMMENT ON COLUMN tables.merged_into IS 'Main table of a merged group; NULL for a standalone or main table';
+COMMENT ON COLUMN users.floor_plan IS 'Floor plan grid size and sections: {columns, rows, sections: [{id, name, x, y, width, height, color}]}';
+
+CREATE INDEX IF NOT EXISTS idx_tables_merged_into ON tables(merged_into) WHERE merged_into IS NOT NULL;
+
+-- A table needs cleaning once its session ends, whoever ended it
+CREATE OR REPLACE FUNCTION mark_table_needs_cleaning()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.status = 'completed' AND OLD.status IS DISTINCT FROM 'completed' AND NEW.table_id IS NOT NULL THEN
+        UPDATE tables SET needs_cleaning_since = NOW()
+        WHERE id = NEW.table_id AND needs_cleaning_since IS NULL;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS trg_mark_table_needs_cleaning ON customer_sessions;
+CREATE TRIGGER trg_mark_table_needs_cleaning
+AFTER UPDATE OF status ON customer_sessions
+FOR EACH ROW EXECUTE FUNCTION mark_table_needs_cleaning();
+
+-- Owner or staff of the restaurant marks a table (and its merged group) clean
+CREATE OR REPLACE FUNCTION mark_table_clean(p_table_id UUID)
+RETURNS VOID AS $$
+DECLARE
+    v_restaurant_id UUID;
+BEGIN
+    SELECT restaurant_id INTO v_restaurant_id FROM tables WHERE id = p_table_id;
+
+    IF v_restaurant_id IS NULL THEN
+        RAISE EXCEPTION 'Table not found' USING ERRCODE = 'P0002';
+    END IF;
+
+    IF v_restaurant_id <> auth.uid() AND NOT EXISTS (
+        SELECT 1 FROM users WHERE id = auth.uid() AND role = 'staff' AND restaurant_id = v_restaurant_id
+    ) THEN
+        RAISE EXCEPTION 'Not allowed to update this table' USING ERRCODE = '42501';
+    END IF;
+
+    UPDATE tables SET needs_cleaning_since = NULL
+    WHERE id = p_table_id OR merged_into = p_table_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Live floor view listens for table, session and service request changes
+DO $$
+DECLARE
+    v_table TEXT;
+BEGIN
+    IF EXISTS (SELECT 1 FROM pg_publication WHERE pubname = 'supabase_realtime') THEN
+        FOREACH v_table IN ARRAY ARRAY['tables', 'customer_sessions', 'service_requests'] LOOP
+            IF NOT EXISTS (
+                SELECT 1 FROM pg_publication_tables
+                WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = v_table
+            ) THEN
+                EXECUTE format('ALTER PUBLICATION supabase_realtime ADD TABLE public.%I', v_table);
+            END IF;
+        END LOOP;
+    END IF;
+END $$;
+
+-- Verify the migration
+SELECT column_name
+FROM information_schema.columns
+WHERE table_name = 'tables'
+  AND column_name IN ('floor_x', 'floor_y', 'floor_width', 'floor_height', 'floor_shape', 'merged_into', 'needs_cleaning_since');
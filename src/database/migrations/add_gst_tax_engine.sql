@@ -0,0 +1,74 @@
+-- Migration: Add GST tax engine
+-- Purpose: Store restaurant GST settings, per-item HSN/SAC codes and GST slabs, and a line-level tax breakdown on orders kept apart from platform fees and service charges
+-- Date: 2026-10-19
+
+-- Restaurant GST settings (restaurants are users rows with role restaurant_owner)
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS gstin VARCHAR(15);
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS tax_settings JSONB DEFAULT '{}'::jsonb;
+
+COMMENT ON COLUMN users.gstin IS 'Restaurant GSTIN printed on invoices';
+COMMENT ON COLUMN users.tax_settings IS 'GST settings: gst_enabled, default_gst_rate (0/5/12/18), supply_type (intra_state/inter_state), price_mode (exclusive/inclusive), service_charge_rate, platform_fee_rate, default_sac_code';
+
+-- Per-item HSN/SAC code and GST slab (NULL rate = restaurant default)
+ALTER TABLE menu_items
+ADD COLUMN IF NOT EXISTS hsn_code VARCHAR(8);
+
+ALTER TABLE menu_items
+ADD COLUMN IF NOT EXISTS gst_rate DECIMAL(5,2) CHECK (gst_rate IS NULL OR gst_rate IN (0, 5, 12, 18));
+
+COMMENT ON COLUMN menu_items.hsn_code IS 'HSN or SAC code of the item; falls back to the restaurant default SAC (996331)';
+COMMENT ON COLUMN menu_items.gst_rate IS 'GST slab in percent; NULL uses the restaurant default_gst_rate';
+
+-- Orders: tax_amount now holds GST only; fees get their own columns
+ALTER TABLE orders
+ADD COLUMN IF NOT EXISTS tax_breakdown JSONB;
+
+ALTER TABLE orders
+ADD COLUMN IF NOT EXISTS service_charge DECIMAL(10,2) DEFAULT 0;
+
+ALTER TABLE orders
+ADD COLUMN IF NOT EXISTS platform_fee DECIMAL(10,2);
+
+COMMENT ON COLUMN orders.tax_amount IS 'Total GST (CGST + SGST + IGST). Orders with platform_fee NULL predate the tax engine and stored the platform fee here';
+COMMENT ON COLUMN orders.tax_breakdown IS 'GST breakdown: gstin, supply_type, price_mode, cgst, sgst, igst, total and by_slab';
+COMMENT ON COLUMN orders.service_charge IS 'Restaurant service charge including the GST on it';
+COMMENT ON COLUMN orders.platform_fee IS 'Ordyrr platform fee - not a tax';
+
+-- Order items: line-level GST
+ALTER TABLE order_items
+ADD COLUMN IF NOT EXISTS hsn_code VARCHAR(8);
+
+ALTER TABLE order_items
+ADD COLUMN IF NOT EXISTS gst_rate DECIMAL(5,2) DEFAULT 0;
+
+ALTER TABLE order_items
+ADD COLUMN IF NOT EXISTS taxable_value DECIMAL(10,2);
+
+ALTER TABLE order_items
+ADD COLUMN IF NOT EXISTS tax_amount DECIMAL(10,2) DEFAULT 0;
+
+ALTER TABLE order_items
+ADD COLUMN IF NOT EXISTS cgst_amount DECIMAL(10,2) DEFAULT 0;
+
+ALTER TABLE order_items
+ADD COLUMN IF NOT EXISTS sgst_amount DECIMAL(10,2) DEFAULT 0;
+
+ALTER TABLE order_items
+ADD COLUMN IF NOT EXISTS igst_amount DECIMAL(10,2) DEFAULT 0;
+
+COMMENT ON COLUMN order_items.taxable_value IS 'Line value after discount and before GST';
+
+-- GST reports group order lines by slab
+CREATE INDEX IF NOT EXISTS idx_order_items_gst_rate ON order_items(gst_rate);
+
+-- Verify the migration
+SELECT column_name, data_type
+FROM information_schema.columns
+WHERE (table_name = 'orders' AND column_name IN ('tax_breakdown', 'service_charge', 'platform_fee'))
+   OR (table_name = 'order_items' AND column_name IN ('hsn_code', 'gst_rate', 'taxable_value', 'tax_amount', 'cgst_amount', 'sgst_amount', 'igst_amount'))
+   OR (table_name = 'menu_items' AND column_name IN ('hsn_code', 'gst_rate'))
+   OR (table_name = 'users' AND column_name IN ('gstin', 'tax_settings'))
+ORDER BY table_name, column_name;
@@ -0,0 +1,245 @@
+-- Migration: Add inventory, recipes and stock deduction
+-- Purpose: Track ingredient stock per restaurant, link menu items to ingredient quantities and deduct stock for every order
+-- Date: 2026-10-19
+
+-- Ingredients (schema.sql pointed restaurant_id at the old restaurants table;
+-- restaurants are restaurant_owner rows in users, same as orders.restaurant_id)
+CREATE TABLE IF NOT EXISTS public.inventory_items (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    restaurant_id UUID NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    category VARCHAR(100),
+    unit VARCHAR(50) NOT NULL,
+    current_stock DECIMAL(10,3) DEFAULT 0,
+    minimum_stock DECIMAL(10,3) DEFAULT 0,
+    cost_per_unit DECIMAL(10,2),
+    supplier_info JSONB DEFAULT '{}',
+    last_restocked_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE public.inventory_items DROP CONSTRAINT IF EXISTS inventory_items_restaurant_id_fkey;
+
+COMMENT ON COLUMN public.inventory_items.restaurant_id IS 'Restaurant owner users.id';
+COMMENT ON COLUMN public.inventory_items.minimum_stock IS 'Reorder level - owners are notified when stock drops to or below it';
+
+-- Recipe lines: how much of each ingredient one unit of a menu item uses
+CREATE TABLE IF NOT EXISTS public.menu_item_recipes (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    restaurant_id UUID NOT NULL,
+    menu_item_id UUID NOT NULL REFERENCES public.menu_items(id) ON DELETE CASCADE,
+    inventory_item_id UUID NOT NULL REFERENCES public.inventory_items(id) ON DELETE CASCADE,
+    quantity DECIMAL(10,3) NOT NULL CHECK (quantity > 0), -- in the ingredient's unit
+    is_required BOOLEAN DEFAULT true, -- running out hides the menu item
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(menu_item_id, inventory_item_id)
+);
+
+COMMENT ON TABLE public.menu_item_recipes IS 'Ingredient quantities per unit of a menu item, deducted from inventory_items for each order';
+
+-- Every stock change, so order deductions are idempotent and stock can be audited
+CREATE TABLE IF NOT EXISTS public.inventory_movements (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    restaurant_id UUID NOT NULL,
+    inventory_item_id UUID NOT NULL REFERENCES public.inventory_items(id) ON DELETE CASCADE,
+    order_id UUID REFERENCES public.orders(id) ON DELETE SET NULL,
+    change DECIMAL(10,3) NOT NULL,
+    reason VARCHAR(20) NOT NULL CHECK (reason IN ('order', 'restock', 'adjustment', 'waste')),
+    stock_after DECIMAL(10,3) NOT NULL,
+    note TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Menu items hidden because an ingredient ran out (restocking re-enables only these)
+ALTER TABLE menu_items
+ADD COLUMN IF NOT EXISTS disabled_by_inventory BOOLEAN DEFAULT false;
+
+COMMENT ON COLUMN menu_items.disabled_by_inventory IS 'True when is_available was switched off automatically because a required ingredient ran out';
+
+CREATE INDEX IF NOT EXISTS idx_inventory_items_restaurant ON public.inventory_items(restaurant_id);
+CREATE INDEX IF NOT EXISTS idx_menu_item_recipes_menu_item ON public.menu_item_recipes(menu_item_id);
+CREATE INDEX IF NOT EXISTS idx_menu_item_recipes_inventory_item ON public.menu_item_recipes(inventory_item_id);
+CREATE INDEX IF NOT EXISTS idx_inventory_movements_item ON public.inventory_movements(inventory_item_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_inventory_movements_order ON public.inventory_movements(order_id);
+
+-- Whether the caller is the restaurant owner, its staff, or a server job
+CREATE OR REPLACE FUNCTION can_manage_inventory(p_restaurant_id UUID)
+RETURNS BOOLEAN AS $$
+    SELECT auth.role() = 'service_role'
+        OR auth.uid() = p_restaurant_id
+        OR EXISTS (
+            SELECT 1 FROM users
+            WHERE id = auth.uid() AND role = 'staff' AND restaurant_id = p_restaurant_id
+        );
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- Deduct the recipe quantities of every item in an order.
+-- Runs once per order (later calls return already_processed) and hides menu
+-- items whose required ingredient is used up. SECURITY DEFINER because
+-- customers place orders without access to inventory or menu_items; they
+-- pass the order's table session (orders.session_id) to show it is theirs.
+DROP FUNCTION IF EXISTS deduct_inventory_for_order(UUID);
+
+CREATE OR REPLACE FUNCTION deduct_inventory_for_order(p_order_id UUID, p_session_id TEXT DEFAULT NULL)
+RETURNS JSONB AS $$
+DECLARE
+    v_restaurant_id UUID;
+    v_session_id TEXT;
+    v_usage RECORD;
+    v_stock_before DECIMAL(10,3);
+    v_stock_after DECIMAL(10,3);
+    v_deducted JSONB := '[]'::jsonb;
+    v_disabled JSONB := '[]'::jsonb;
+    v_menu_item RECORD;
+BEGIN
+    SELECT o.restaurant_id, o.session_id INTO v_restaurant_id, v_session_id FROM orders o WHERE o.id = p_order_id;
+    IF v_restaurant_id IS NULL THEN
+        RAISE EXCEPTION 'Order % not found', p_order_id;
+    END IF;
+
+    IF NOT can_manage_inventory(v_restaurant_id)
+       AND (p_session_id IS NULL OR p_session_id IS DISTINCT FROM v_session_id) THEN
+        RAISE EXCEPTION 'Not allowed to deduct stock for this order' USING ERRCODE = '42501';
+    END IF;
+
+    -- Two calls for the same order wait for each other here; the second
+    -- one then finds the first one's movements
+    PERFORM pg_advisory_xact_lock(hashtext('inventory:' || p_order_id));
+
+    IF EXISTS (
+        SELECT 1 FROM inventory_movements m
+        WHERE m.order_id = p_order_id AND m.reason = 'order'
+    ) THEN
+        RETURN jsonb_build_object('already_processed', true, 'deducted', v_deducted, 'disabled_menu_items', v_disabled);
+    END IF;
+
+    FOR v_usage IN
+        SELECT r.inventory_item_id, SUM(r.quantity * oi.quantity) AS used
+        FROM order_items oi
+        JOIN menu_item_recipes r ON r.menu_item_id = oi.menu_item_id
+        WHERE oi.order_id = p_order_id
+        GROUP BY r.inventory_item_id
+    LOOP
+        SELECT i.current_stock INTO v_stock_before
+        FROM inventory_items i
+        WHERE i.id = v_usage.inventory_item_id
+        FOR UPDATE;
+
+        v_stock_after := GREATEST(0, COALESCE(v_stock_before, 0) - v_usage.used);
+
+        UPDATE inventory_items
+        SET current_stock = v_stock_after, updated_at = NOW()
+        WHERE id = v_usage.inventory_item_id;
+
+        INSERT INTO inventory_movements (restaurant_id, inventory_item_id, order_id, change, reason, stock_after)
+        VALUES (v_restaurant_id, v_usage.inventory_item_id, p_order_id, -v_usage.used, 'order', v_stock_after);
+
+        SELECT v_deducted || jsonb_build_object(
+            'inventory_item_id', i.id,
+            'name', i.name,
+            'unit', i.unit,
+            'stock_before', v_stock_before,
+            'stock_after', v_stock_after,
+            'minimum_stock', i.minimum_stock
+        ) INTO v_deducted
+        FROM inventory_items i
+        WHERE i.id = v_usage.inventory_item_id;
+
+        IF v_stock_after <= 0 THEN
+            FOR v_menu_item IN
+                UPDATE menu_items mi
+                SET is_available = false, disabled_by_inventory = true, updated_at = NOW()
+                FROM menu_item_recipes r
+                WHERE r.menu_item_id = mi.id
+                  AND r.inventory_item_id = v_usage.inventory_item_id
+                  AND r.is_required = true
+                  AND mi.is_available = true
+                RETURNING mi.id, mi.name
+            LOOP
+                v_disabled := v_disabled || jsonb_build_object('id', v_menu_item.id, 'name', v_menu_item.name);
+            END LOOP;
+        END IF;
+    END LOOP;
+
+    RETURN jsonb_build_object('already_processed', false, 'deducted', v_deducted, 'disabled_menu_items', v_disabled);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Restock / manual adjustment in one statement so it cannot overwrite a
+-- concurrent order deduction. Owners and staff only; SECURITY DEFINER so
+-- the movement log stays read-only for them.
+CREATE OR REPLACE FUNCTION adjust_inventory_stock(p_item_id UUID, p_change DECIMAL, p_reason VARCHAR, p_note TEXT DEFAULT NULL)
+RETURNS DECIMAL AS $$
+DECLARE
+    v_restaurant_id UUID;
+    v_stock_after DECIMAL(10,3);
+BEGIN
+    SELECT restaurant_id INTO v_restaurant_id FROM inventory_items WHERE id = p_item_id;
+    IF v_restaurant_id IS NULL THEN
+        RAISE EXCEPTION 'Inventory item % not found', p_item_id;
+    END IF;
+
+    IF NOT can_manage_inventory(v_restaurant_id) THEN
+        RAISE EXCEPTION 'Not allowed to change stock of this item' USING ERRCODE = '42501';
+    END IF;
+
+    IF p_reason NOT IN ('restock', 'adjustment', 'waste') THEN
+        RAISE EXCEPTION 'Unknown stock change reason %', p_reason USING ERRCODE = 'P0001';
+    END IF;
+
+    UPDATE inventory_items
+    SET current_stock = GREATEST(0, current_stock + p_change),
+        last_restocked_at = CASE WHEN p_reason = 'restock' THEN NOW() ELSE last_restocked_at END,
+        updated_at = NOW()
+    WHERE id = p_item_id
+    RETURNING current_stock INTO v_stock_after;
+
+    INSERT INTO inventory_movements (restaurant_id, inventory_item_id, change, reason, stock_after, note)
+    VALUES (v_restaurant_id, p_item_id, p_change, p_reason, v_stock_after, p_note);
+
+    RETURN v_stock_after;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Owners and their staff manage ingredients and recipes from the dashboard.
+-- Stock movements are only written by the functions above.
+ALTER TABLE public.inventory_items ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Public access to inventory items" ON public.inventory_items;
+DROP POLICY IF EXISTS "Owners manage their inventory items" ON public.inventory_items;
+CREATE POLICY "Owners manage their inventory items" ON public.inventory_items
+FOR ALL USING (restaurant_id = auth.uid()) WITH CHECK (restaurant_id = auth.uid());
+
+DROP POLICY IF EXISTS "Staff manage restaurant inventory items" ON public.inventory_items;
+CREATE POLICY "Staff manage restaurant inventory items" ON public.inventory_items
+FOR ALL USING (
+    restaurant_id IN (SELECT restaurant_id FROM users WHERE id = auth.uid() AND role = 'staff')
+) WITH CHECK (
+    restaurant_id IN (SELECT restaurant_id FROM users WHERE id = auth.uid() AND role = 'staff')
+);
+
+ALTER TABLE public.menu_item_recipes ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Public access to menu item recipes" ON public.menu_item_recipes;
+DROP POLICY IF EXISTS "Owners manage their menu item recipes" ON public.menu_item_recipes;
+CREATE POLICY "Owners manage their menu item recipes" ON public.menu_item_recipes
+FOR ALL USING (restaurant_id = auth.uid()) WITH CHECK (restaurant_id = auth.uid());
+
+DROP POLICY IF EXISTS "Staff manage restaurant menu item recipes" ON public.menu_item_recipes;
+CREATE POLICY "Staff manage restaurant menu item recipes" ON public.menu_item_recipes
+FOR ALL USING (
+    restaurant_id IN (SELECT restaurant_id FROM users WHERE id = auth.uid() AND role = 'staff')
+) WITH CHECK (
+    restaurant_id IN (SELECT restaurant_id FROM users WHERE id = auth.uid() AND role = 'staff')
+);
+
+ALTER TABLE public.inventory_movements ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Public access to inventory movements" ON public.inventory_movements;
+DROP POLICY IF EXISTS "Restaurant team reads its inventory movements" ON public.inventory_movements;
+CREATE POLICY "Restaurant team reads its inventory movements" ON public.inventory_movements
+FOR SELECT USING (can_manage_inventory(restaurant_id));
+
+-- Verify the migration
+SELECT
+    (SELECT COUNT(*) FROM public.inventory_items) AS inventory_items,
+    (SELECT COUNT(*) FROM public.menu_item_recipes) AS recipe_lines,
+    (SELECT COUNT(*) FROM menu_items WHERE disabled_by_inventory = true) AS disabled_menu_items;
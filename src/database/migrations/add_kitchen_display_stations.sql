@@ -0,0 +1,30 @@
+-- Migration: Add kitchen stations and per-item bump state
+-- Purpose: Route kitchen tickets by category station and track bump / recall per order item
+-- Date: 2026-10-19
+
+-- Station a category's items are prepared at (grill, tandoor, bar, desserts)
+-- NULL routes to the main kitchen line
+ALTER TABLE categories
+ADD COLUMN IF NOT EXISTS station TEXT;
+
+COMMENT ON COLUMN categories.station IS 'Kitchen station for this category: grill, tandoor, bar, desserts or NULL for main kitchen';
+
+-- Per-item kitchen state
+ALTER TABLE order_items
+ADD COLUMN IF NOT EXISTS item_status TEXT DEFAULT 'pending';
+
+ALTER TABLE order_items
+ADD COLUMN IF NOT EXISTS bumped_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN order_items.item_status IS 'Kitchen state of the item: pending or bumped';
+COMMENT ON COLUMN order_items.bumped_at IS 'When the item was bumped at its station';
+
+UPDATE order_items SET item_status = 'pending' WHERE item_status IS NULL;
+
+-- Kitchen display loads active orders per restaurant by status
+CREATE INDEX IF NOT EXISTS idx_orders_restaurant_status ON orders(restaurant_id, status);
+
+-- Verify the migration
+SELECT station, COUNT(*) AS categories
+FROM categories
+GROUP BY station;
@@ -0,0 +1,1154 @@
+-- Migration: Append-only loyalty ledger
+-- Purpose: Every Ordyrr Coins earn, redemption, reversal, refund clawback and expiry is one ledger row; balances come from the ledger
+-- Date: 2026-10-19
+-- Requires: add_loyalty_rules.sql, add_transactional_order_create.sql
+
+-- Older schemas have a loyalty_transactions audit log that was written
+-- next to loyalty_points. Its rows would count twice, so it is kept aside
+-- and the coins come over from loyalty_points below.
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM information_schema.tables WHERE table_name = 'loyalty_transactions')
+       AND NOT EXISTS (SELECT 1 FROM information_schema.columns
+                       WHERE table_name = 'loyalty_transactions' AND column_name = 'balance_after') THEN
+        ALTER TABLE loyalty_transactions RENAME TO loyalty_transactions_legacy;
+    END IF;
+END $$;
+
+-- The ledger. Rows are never changed or removed: a mistake is undone by
+-- posting a reversal. points is signed (+ credit, - debit).
+-- customer_id is a customers row (no FK: older rows may predate it).
+CREATE TABLE IF NOT EXISTS loyalty_transactions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    restaurant_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    customer_id UUID NOT NULL,
+    order_id UUID REFERENCES orders(id) ON DELETE SET NULL,
+    transaction_type VARCHAR(30) NOT NULL CHECK (transaction_type IN (
+        'signup_bonus', 'earned', 'redeemed', 'reversal', 'refund_clawback', 'expired', 'adjustment'
+    )),
+    points INTEGER NOT NULL CHECK (points <> 0),
+    balance_after INTEGER NOT NULL,
+    expires_at TIMESTAMP WITH TIME ZONE,
+    reference_id UUID REFERENCES loyalty_transactions(id),
+    idempotency_key TEXT,
+    description TEXT,
+    created_by UUID,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+COMMENT ON TABLE loyalty_transactions IS 'Append-only Ordyrr Coins ledger; write through post_loyalty_transaction';
+COMMENT ON COLUMN loyalty_transactions.reference_id IS 'Ledger row this one reverses, claws back or expires';
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_loyalty_transactions_idempotency ON loyalty_transactions(idempotency_key) WHERE idempotency_key IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_loyalty_transactions_account ON loyalty_transactions(customer_id, restaurant_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_loyalty_transactions_order ON loyalty_transactions(order_id) WHERE order_id IS NOT NULL;
+
+-- Cached balance per customer and restaurant. The row is locked while a
+-- transaction is posted, so two redemptions can't spend the same coins.
+CREATE TABLE IF NOT EXISTS loyalty_accounts (
+    customer_id UUID NOT NULL,
+    restaurant_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    balance INTEGER NOT NULL DEFAULT 0,
+    lifetime_earned INTEGER NOT NULL DEFAULT 0,
+    last_transaction_id UUID,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (customer_id, restaurant_id)
+);
+
+COMMENT ON TABLE loyalty_accounts IS 'Cached Ordyrr Coins balance per customer and restaurant; the ledger is the source of truth';
+
+-- Ledger rows can't be edited or deleted (except by a cascade from a deleted restaurant)
+CREATE OR REPLACE FUNCTION prevent_loyalty_ledger_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        IF pg_trigger_depth() > 1 THEN
+            RETURN OLD;
+        END IF;
+        RAISE EXCEPTION 'Loyalty transactions cannot be deleted; post a reversal instead' USING ERRCODE = '42501';
+    END IF;
+
+    IF NEW.points IS DISTINCT FROM OLD.points
+       OR NEW.transaction_type IS DISTINCT FROM OLD.transaction_type
+       OR NEW.customer_id IS DISTINCT FROM OLD.customer_id
+       OR NEW.restaurant_id IS DISTINCT FROM OLD.restaurant_id
+       OR NEW.balance_after IS DISTINCT FROM OLD.balance_after
+       OR NEW.idempotency_key IS DISTINCT FROM OLD.idempotency_key
+       OR NEW.created_at IS DISTINCT FROM OLD.created_at THEN
+        RAISE EXCEPTION 'Loyalty transactions cannot be changed; post a reversal instead' USING ERRCODE = '42501';
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_loyalty_ledger_append_only ON loyalty_transactions;
+CREATE TRIGGER trg_loyalty_ledger_append_only
+BEFORE UPDATE OR DELETE ON loyalty_transactions
+FOR EACH ROW EXECUTE FUNCTION prevent_loyalty_ledger_changes();
+
+-- Whether the caller is the restaurant owner, its staff, or a server job
+CREATE OR REPLACE FUNCTION can_manage_loyalty(p_restaurant_id UUID)
+RETURNS BOOLEAN AS $$
+    SELECT auth.role() = 'service_role'
+        OR auth.uid() = p_restaurant_id
+        OR EXISTS (
+            SELECT 1 FROM users
+            WHERE id = auth.uid() AND role = 'staff' AND restaurant_id = p_restaurant_id
+        );
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- Owners and staff read directly; customers read and everyone writes
+-- through the functions below
+ALTER TABLE loyalty_transactions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE loyalty_accounts ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Restaurant team reads its loyalty ledger" ON loyalty_transactions;
+CREATE POLICY "Restaurant team reads its loyalty ledger" ON loyalty_transactions
+    FOR SELECT USING (can_manage_loyalty(restaurant_id));
+
+DROP POLICY IF EXISTS "Restaurant team reads its loyalty accounts" ON loyalty_accounts;
+CREATE POLICY "Restaurant team reads its loyalty accounts" ON loyalty_accounts
+    FOR SELECT USING (can_manage_loyalty(restaurant_id));
+
+-- Balance and lifetime earnings straight from the ledger.
+-- Lifetime earnings (tiers) count signup bonuses and order earnings, less
+-- what was reversed or clawed back. Mirrors summarizeLoyaltyRows in loyaltyUtils.js.
+CREATE OR REPLACE FUNCTION loyalty_ledger_totals(p_customer_id UUID, p_restaurant_id UUID)
+RETURNS TABLE (balance INTEGER, lifetime_earned INTEGER) AS $$
+    SELECT
+        COALESCE(SUM(points), 0)::INTEGER,
+        COALESCE(SUM(points) FILTER (
+            WHERE transaction_type IN ('signup_bonus', 'earned', 'refund_clawback')
+               OR (transaction_type = 'reversal' AND points < 0)
+        ), 0)::INTEGER
+    FROM loyalty_transactions
+    WHERE customer_id = p_customer_id
+      AND restaurant_id = p_restaurant_id;
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION loyalty_ledger_balance(p_customer_id UUID, p_restaurant_id UUID)
+RETURNS INTEGER AS $$
+    SELECT balance FROM loyalty_ledger_totals(p_customer_id, p_restaurant_id);
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- Coins an order earns its customer, at the tier the customer has before
+-- them. Mirrors calculateEarnPoints and getLoyaltySettings in
+-- loyaltyUtils.js - keep them in step.
+CREATE OR REPLACE FUNCTION calculate_order_earn_points(p_order_id UUID)
+RETURNS INTEGER AS $$
+DECLARE
+    v_order RECORD;
+    v_settings JSONB;
+    v_excluded JSONB;
+    v_earn_rate DECIMAL;
+    v_subtotal DECIMAL;
+    v_eligible DECIMAL;
+    v_eligible_amount DECIMAL;
+    v_totals JSONB;
+    v_tier_points INTEGER;
+    v_multiplier DECIMAL;
+BEGIN
+    SELECT restaurant_id, customer_id, discount_amount INTO v_order FROM orders WHERE id = p_order_id;
+    IF NOT FOUND OR v_order.customer_id IS NULL THEN
+        RETURN 0;
+    END IF;
+
+    SELECT COALESCE(loyalty_settings, '{}'::jsonb) INTO v_settings FROM users WHERE id = v_order.restaurant_id;
+    v_settings := COALESCE(v_settings, '{}'::jsonb);
+    v_earn_rate := COALESCE((v_settings->>'earn_rate')::DECIMAL, 10);
+    IF COALESCE((v_settings->>'enabled')::BOOLEAN, true) = false OR v_earn_rate <= 0 THEN
+        RETURN 0;
+    END IF;
+
+    v_excluded := CASE WHEN jsonb_typeof(v_settings->'excluded_category_ids') = 'array'
+                       THEN v_settings->'excluded_category_ids' ELSE '[]'::jsonb END;
+
+    SELECT COALESCE(SUM(oi.unit_price * oi.quantity), 0),
+           COALESCE(SUM(oi.unit_price * oi.quantity) FILTER (
+               WHERE mi.category_id IS NULL OR NOT v_excluded ? mi.category_id::TEXT
+           ), 0)
+    INTO v_subtotal, v_eligible
+    FROM order_items oi
+    LEFT JOIN menu_items mi ON mi.id = oi.menu_item_id
+    WHERE oi.order_id = p_order_id;
+
+    IF v_subtotal <= 0 OR v_subtotal < COALESCE((v_settings->>'min_order_amount')::DECIMAL, 100) OR v_eligible <= 0 THEN
+        RETURN 0;
+    END IF;
+
+    -- Excluded lines take their share of the discount with them
+    v_eligible_amount := ROUND(v_eligible - LEAST(COALESCE(v_order.discount_amount, 0), v_subtotal) * v_eligible / v_subtotal, 2);
+
+    -- Tier points once add_loyalty_maintenance.sql has run, lifetime
+    -- earnings before it (as in LoyaltyService.getBalance)
+    SELECT to_jsonb(totals) INTO v_totals FROM loyalty_ledger_totals(v_order.customer_id, v_order.restaurant_id) AS totals;
+    v_tier_points := GREATEST(COALESCE((v_totals->>'tier_points')::INTEGER, (v_totals->>'lifetime_earned')::INTEGER, 0), 0);
+
+    -- The default tiers with the restaurant's thresholds and multipliers
+    SELECT tier.multiplier INTO v_multiplier
+    FROM (
+        SELECT d.position,
+               CASE WHEN d.key = 'bronze' THEN 0
+                    WHEN saved.tier->>'min_points' ~ '^\d+(\.\d+)?$' THEN FLOOR((saved.tier->>'min_points')::DECIMAL)
+                    ELSE d.min_points END AS min_points,
+               CASE WHEN saved.tier->>'multiplier' ~ '^\d+(\.\d+)?$' AND (saved.tier->>'multiplier')::DECIMAL > 0
+                    THEN (saved.tier->>'multiplier')::DECIMAL ELSE d.multiplier END AS multiplier
+        FROM (VALUES (1, 'bronze', 0, 1.0), (2, 'silver', 1000, 1.2), (3, 'gold', 5000, 1.5), (4, 'platinum', 10000, 2.0))
+            AS d(position, key, min_points, multiplier)
+        LEFT JOIN LATERAL (
+            SELECT saved_tier AS tier
+            FROM jsonb_array_elements(CASE WHEN jsonb_typeof(v_settings->'tiers') = 'array'
+                                           THEN v_settings->'tiers' ELSE '[]'::jsonb END) AS saved_tier
+            WHERE saved_tier->>'key' = d.key
+            LIMIT 1
+        ) saved ON true
+    ) tier
+    WHERE tier.min_points <= v_tier_points
+    ORDER BY tier.position DESC
+    LIMIT 1;
+
+    -- Rounded to the paisa first, like the app
+    RETURN GREATEST(FLOOR(ROUND(v_eligible_amount * v_earn_rate * COALESCE(v_multiplier, 1)) / 100), 0)::INTEGER;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+-- Lock (creating if needed) a customer's account row for the rest of the transaction
+CREATE OR REPLACE FUNCTION lock_loyalty_account(p_customer_id UUID, p_restaurant_id UUID)
+RETURNS loyalty_accounts AS $$
+DECLARE
+    v_account loyalty_accounts%ROWTYPE;
+BEGIN
+    INSERT INTO loyalty_accounts (customer_id, restaurant_id)
+    VALUES (p_customer_id, p_restaurant_id)
+    ON CONFLICT (customer_id, restaurant_id) DO NOTHING;
+
+    SELECT * INTO v_account
+    FROM loyalty_accounts
+    WHERE customer_id = p_customer_id AND restaurant_id = p_restaurant_id
+    FOR UPDATE;
+
+    RETURN v_account;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Post one ledger row. The only way coins move. Clients can't call it:
+-- create_order_transaction, award_signup_bonus, reverse_order_loyalty,
+-- create_order_refund and the loyalty job post through it.
+-- What each type may post:
+--   signup_bonus - the restaurant's signup bonus, once
+--   earned       - once per order, exactly what calculate_order_earn_points gives
+--   redeemed     - once per order, exactly orders.coins_redeemed
+-- Reversals, refund clawbacks, expiry and adjustments need the owner, staff
+-- or a server job. Debits that would take the balance below zero are
+-- refused for redemptions and adjustments, and capped at the balance for
+-- clawbacks, expiry and reversals.
+-- Returns { transaction, balance, lifetime_earned, deduplicated }
+CREATE OR REPLACE FUNCTION post_loyalty_transaction(
+    p_restaurant_id UUID,
+    p_customer_id UUID,
+    p_type TEXT,
+    p_points INTEGER,
+    p_order_id UUID DEFAULT NULL,
+    p_description TEXT DEFAULT NULL,
+    p_idempotency_key TEXT DEFAULT NULL,
+    p_expires_at TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    p_reference_id UUID DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_settings JSONB;
+    v_order RECORD;
+    v_key TEXT := p_idempotency_key;
+    v_points INTEGER := p_points;
+    v_existing loyalty_transactions%ROWTYPE;
+    v_row loyalty_transactions%ROWTYPE;
+    v_balance INTEGER;
+    v_lifetime INTEGER;
+    v_earn_points INTEGER;
+BEGIN
+    IF p_customer_id IS NULL OR p_restaurant_id IS NULL THEN
+        RAISE EXCEPTION 'Customer and restaurant are required' USING ERRCODE = 'P0001';
+    END IF;
+
+    IF p_type NOT IN ('signup_bonus', 'earned', 'redeemed', 'reversal', 'refund_clawback', 'expired', 'adjustment') THEN
+        RAISE EXCEPTION 'Unknown loyalty transaction type %', p_type USING ERRCODE = 'P0001';
+    END IF;
+
+    IF COALESCE(p_points, 0) = 0
+       OR (p_type IN ('signup_bonus', 'earned') AND p_points < 0)
+       OR (p_type IN ('redeemed', 'refund_clawback', 'expired') AND p_points > 0) THEN
+        RAISE EXCEPTION 'Invalid points % for %', p_points, p_type USING ERRCODE = 'P0001';
+    END IF;
+
+    SELECT COALESCE(loyalty_settings, '{}'::jsonb) INTO v_settings FROM users WHERE id = p_restaurant_id;
+
+    IF p_type = 'signup_bonus' THEN
+        v_key := 'signup:' || p_customer_id || ':' || p_restaurant_id;
+        IF p_points <> COALESCE((v_settings->>'signup_bonus')::NUMERIC, 100)::INTEGER THEN
+            RAISE EXCEPTION 'Signup bonus is % coins', COALESCE((v_settings->>'signup_bonus')::NUMERIC, 100)::INTEGER USING ERRCODE = 'P0001';
+        END IF;
+    ELSIF p_type IN ('earned', 'redeemed') THEN
+        SELECT id, customer_id, coins_redeemed INTO v_order
+        FROM orders
+        WHERE id = p_order_id AND restaurant_id = p_restaurant_id;
+
+        IF NOT FOUND OR v_order.customer_id IS DISTINCT FROM p_customer_id THEN
+            RAISE EXCEPTION 'Order does not belong to this customer' USING ERRCODE = '42501';
+        END IF;
+
+        v_key := CASE p_type WHEN 'earned' THEN 'earn:' ELSE 'redeem:' END || p_order_id;
+
+        IF p_type = 'earned' THEN
+            v_earn_points := calculate_order_earn_points(p_order_id);
+            IF p_points <> v_earn_points THEN
+                RAISE EXCEPTION 'This order earns % coins, not %', v_earn_points, p_points USING ERRCODE = 'P0001';
+            END IF;
+        ELSIF -p_points <> COALESCE(v_order.coins_redeemed, 0) THEN
+            RAISE EXCEPTION 'Order redeemed % coins, not %', COALESCE(v_order.coins_redeemed, 0), -p_points USING ERRCODE = 'P0001';
+        END IF;
+    ELSIF NOT can_manage_loyalty(p_restaurant_id) THEN
+        RAISE EXCEPTION 'Not allowed to post % transactions', p_type USING ERRCODE = '42501';
+    END IF;
+
+    PERFORM lock_loyalty_account(p_customer_id, p_restaurant_id);
+
+    -- A repeated key returns the row already posted
+    IF v_key IS NOT NULL THEN
+        SELECT * INTO v_existing FROM loyalty_transactions WHERE idempotency_key = v_key;
+        IF FOUND THEN
+            SELECT balance, lifetime_earned INTO v_balance, v_lifetime FROM loyalty_ledger_totals(p_customer_id, p_restaurant_id);
+            RETURN jsonb_build_object('transaction', to_jsonb(v_existing), 'balance', v_balance,
+                'lifetime_earned', v_lifetime, 'deduplicated', true);
+        END IF;
+    END IF;
+
+    SELECT balance INTO v_balance FROM loyalty_ledger_totals(p_customer_id, p_restaurant_id);
+
+    IF v_balance + v_points < 0 THEN
+        IF p_type IN ('redeemed', 'adjustment') THEN
+            RAISE EXCEPTION 'Not enough Ordyrr Coins: % available', v_balance USING ERRCODE = 'P0001';
+        END IF;
+        v_points := -GREATEST(v_balance, 0);
+    END IF;
+
+    IF v_points <> 0 THEN
+        INSERT INTO loyalty_transactions (
+            restaurant_id, customer_id, order_id, transaction_type, points, balance_after,
+            expires_at, reference_id, idempotency_key, description, created_by
+        ) VALUES (
+            p_restaurant_id, p_customer_id, p_order_id, p_type, v_points, v_balance + v_points,
+            CASE WHEN v_points > 0 THEN p_expires_at END, p_reference_id, v_key, p_description, auth.uid()
+        )
+        RETURNING * INTO v_row;
+    END IF;
+
+    SELECT balance, lifetime_earned INTO v_balance, v_lifetime FROM loyalty_ledger_totals(p_customer_id, p_restaurant_id);
+
+    UPDATE loyalty_accounts
+    SET balance = v_balance,
+        lifetime_earned = v_lifetime,
+        last_transaction_id = COALESCE(v_row.id, last_transaction_id),
+        updated_at = NOW()
+    WHERE customer_id = p_customer_id AND restaurant_id = p_restaurant_id;
+
+    RETURN jsonb_build_object(
+        'transaction', CASE WHEN v_row.id IS NULL THEN NULL ELSE to_jsonb(v_row) END,
+        'balance', v_balance,
+        'lifetime_earned', v_lifetime,
+        'deduplicated', false
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Only the functions below, the order and refund functions and server jobs post
+REVOKE EXECUTE ON FUNCTION post_loyalty_transaction(UUID, UUID, TEXT, INTEGER, UUID, TEXT, TEXT, TIMESTAMP WITH TIME ZONE, UUID)
+    FROM PUBLIC, anon, authenticated;
+
+-- When coins credited now expire, NULL for never. Mirrors getLoyaltyExpiryDate in loyaltyUtils.js.
+CREATE OR REPLACE FUNCTION loyalty_expiry_date(p_restaurant_id UUID)
+RETURNS TIMESTAMP WITH TIME ZONE AS $$
+    SELECT CASE WHEN expiry.days > 0 THEN NOW() + make_interval(days => expiry.days) END
+    FROM (
+        SELECT COALESCE(FLOOR((loyalty_settings->>'expiry_days')::NUMERIC), 365)::INTEGER AS days
+        FROM users
+        WHERE id = p_restaurant_id
+    ) AS expiry;
+$$ LANGUAGE sql STABLE;
+
+-- The restaurant's signup bonus for an account created in the last hour,
+-- once per restaurant
+-- Returns post_loyalty_transaction's result, NULL when there is no bonus
+CREATE OR REPLACE FUNCTION award_signup_bonus(p_customer_id UUID, p_restaurant_id UUID)
+RETURNS JSONB AS $$
+DECLARE
+    v_settings JSONB;
+    v_bonus INTEGER;
+BEGIN
+    SELECT COALESCE(loyalty_settings, '{}'::jsonb) INTO v_settings FROM users WHERE id = p_restaurant_id;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Restaurant not found' USING ERRCODE = 'P0001';
+    END IF;
+
+    v_bonus := COALESCE((v_settings->>'signup_bonus')::NUMERIC, 100)::INTEGER;
+    IF COALESCE((v_settings->>'enabled')::BOOLEAN, true) = false OR v_bonus <= 0 THEN
+        RETURN NULL;
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM customers
+        WHERE id = p_customer_id AND is_guest IS NOT TRUE AND created_at > NOW() - INTERVAL '1 hour'
+    ) THEN
+        RAISE EXCEPTION 'Signup bonuses are only given when an account is created' USING ERRCODE = '42501';
+    END IF;
+
+    RETURN post_loyalty_transaction(
+        p_restaurant_id,
+        p_customer_id,
+        'signup_bonus',
+        v_bonus,
+        NULL,
+        'Welcome bonus - ' || v_bonus || ' Ordyrr Coins',
+        NULL,
+        loyalty_expiry_date(p_restaurant_id)
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Undo a share of an order's coins: claw back what it earned and give back
+-- what it spent. Rows already partly undone only lose what is left of them,
+-- so repeated partial refunds never overshoot.
+-- p_type: 'reversal' (cancelled) or 'refund_clawback' (refunded)
+-- p_reference_key: unique per undo (e.g. 'refund:' || refund id), so retries don't repeat it
+-- Returns { clawed_back, returned }
+CREATE OR REPLACE FUNCTION reverse_order_loyalty(
+    p_order_id UUID,
+    p_ratio DECIMAL DEFAULT 1,
+    p_type TEXT DEFAULT 'reversal',
+    p_reason TEXT DEFAULT 'Order cancelled',
+    p_reference_key TEXT DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_restaurant_id UUID;
+    v_row loyalty_transactions%ROWTYPE;
+    v_share DECIMAL := LEAST(GREATEST(COALESCE(p_ratio, 1), 0), 1);
+    v_key TEXT := COALESCE(p_reference_key, 'cancel:' || p_order_id);
+    v_earned BOOLEAN;
+    v_left INTEGER;
+    v_points INTEGER;
+    v_result JSONB;
+    v_clawed_back INTEGER := 0;
+    v_returned INTEGER := 0;
+BEGIN
+    SELECT restaurant_id INTO v_restaurant_id FROM orders WHERE id = p_order_id;
+    IF NOT FOUND OR NOT can_manage_loyalty(v_restaurant_id) THEN
+        RAISE EXCEPTION 'Not allowed to reverse coins on this order' USING ERRCODE = '42501';
+    END IF;
+
+    IF p_type NOT IN ('reversal', 'refund_clawback') THEN
+        RAISE EXCEPTION 'Unknown reversal type %', p_type USING ERRCODE = 'P0001';
+    END IF;
+
+    FOR v_row IN
+        SELECT * FROM loyalty_transactions
+        WHERE restaurant_id = v_restaurant_id
+          AND order_id = p_order_id
+          AND transaction_type IN ('earned', 'redeemed')
+        ORDER BY created_at
+    LOOP
+        SELECT GREATEST(ABS(v_row.points) - COALESCE(SUM(ABS(points)), 0), 0)::INTEGER INTO v_left
+        FROM loyalty_transactions
+        WHERE reference_id = v_row.id;
+
+        v_points := LEAST(ROUND(ABS(v_row.points) * v_share)::INTEGER, v_left);
+        CONTINUE WHEN v_points = 0;
+
+        -- Earned coins come back out (never below zero); spent coins are returned
+        v_earned := v_row.transaction_type = 'earned';
+        v_result := post_loyalty_transaction(
+            v_restaurant_id,
+            v_row.customer_id,
+            CASE WHEN v_earned THEN p_type ELSE 'reversal' END,
+            CASE WHEN v_earned THEN -v_points ELSE v_points END,
+            p_order_id,
+            p_reason,
+            v_key || CASE WHEN v_earned THEN ':earn' ELSE ':redeem' END,
+            NULL,
+            v_row.id
+        );
+
+        IF v_earned THEN
+            v_clawed_back := v_clawed_back + ABS(COALESCE((v_result->'transaction'->>'points')::INTEGER, 0));
+        ELSE
+            v_returned := v_returned + ABS(COALESCE((v_result->'transaction'->>'points')::INTEGER, 0));
+        END IF;
+    END LOOP;
+
+    RETURN jsonb_build_object('clawed_back', v_clawed_back, 'returned', v_returned);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Balance for the cart, checkout and profile
+CREATE OR REPLACE FUNCTION get_loyalty_balance(p_customer_id UUID, p_restaurant_id UUID)
+RETURNS JSONB AS $$
+    SELECT jsonb_build_object('balance', balance, 'lifetime_earned', lifetime_earned)
+    FROM loyalty_ledger_totals(p_customer_id, p_restaurant_id);
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- A customer's ledger rows, newest first (every restaurant when p_restaurant_id is NULL)
+CREATE OR REPLACE FUNCTION get_loyalty_history(p_customer_id UUID, p_restaurant_id UUID DEFAULT NULL, p_limit INTEGER DEFAULT 50)
+RETURNS SETOF loyalty_transactions AS $$
+    SELECT *
+    FROM loyalty_transactions
+    WHERE customer_id = p_customer_id
+      AND (p_restaurant_id IS NULL OR restaurant_id = p_restaurant_id)
+    ORDER BY created_at DESC
+    LIMIT LEAST(GREATEST(p_limit, 1), 200);
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- Accounts whose cached balance (or the last balance_after) doesn't match the ledger
+CREATE OR REPLACE FUNCTION get_loyalty_reconciliation(p_restaurant_id UUID)
+RETURNS TABLE (
+    customer_id UUID,
+    customer_name TEXT,
+    cached_balance INTEGER,
+    ledger_balance INTEGER,
+    cached_lifetime INTEGER,
+    ledger_lifetime INTEGER,
+    last_balance_after INTEGER,
+    issues TEXT[]
+) AS $$
+BEGIN
+    IF NOT can_manage_loyalty(p_restaurant_id) THEN
+        RAISE EXCEPTION 'Not allowed to view this restaurant''s loyalty ledger' USING ERRCODE = '42501';
+    END IF;
+
+    RETURN QUERY
+    WITH ledger AS (
+        SELECT
+            t.customer_id,
+            COALESCE(SUM(t.points), 0)::INTEGER AS balance,
+            COALESCE(SUM(t.points) FILTER (
+                WHERE t.transaction_type IN ('signup_bonus', 'earned', 'refund_clawback')
+                   OR (t.transaction_type = 'reversal' AND t.points < 0)
+            ), 0)::INTEGER AS lifetime,
+            (ARRAY_AGG(t.balance_after ORDER BY t.created_at DESC, t.id DESC))[1] AS last_balance_after
+        FROM loyalty_transactions t
+        WHERE t.restaurant_id = p_restaurant_id
+        GROUP BY t.customer_id
+    ),
+    compared AS (
+        SELECT
+            COALESCE(a.customer_id, l.customer_id) AS customer_id,
+            a.balance AS cached_balance,
+            COALESCE(l.balance, 0) AS ledger_balance,
+            a.lifetime_earned AS cached_lifetime,
+            COALESCE(l.lifetime, 0) AS ledger_lifetime,
+            l.last_balance_after
+        FROM (SELECT * FROM loyalty_accounts WHERE restaurant_id = p_restaurant_id) a
+        FULL OUTER JOIN ledger l ON l.customer_id = a.customer_id
+    )
+    SELECT
+        c.customer_id,
+        cu.full_name::TEXT,
+        c.cached_balance,
+        c.ledger_balance,
+        c.cached_lifetime,
+        c.ledger_lifetime,
+        c.last_balance_after,
+        ARRAY_REMOVE(ARRAY[
+            CASE WHEN c.cached_balance IS NULL THEN 'missing_account' END,
+            CASE WHEN c.cached_balance IS DISTINCT FROM c.ledger_balance THEN 'balance_mismatch' END,
+            CASE WHEN c.cached_lifetime IS DISTINCT FROM c.ledger_lifetime THEN 'lifetime_mismatch' END,
+            CASE WHEN c.last_balance_after IS NOT NULL AND c.last_balance_after <> c.ledger_balance THEN 'running_balance_mismatch' END,
+            CASE WHEN c.ledger_balance < 0 THEN 'negative_balance' END
+        ], NULL)
+    FROM compared c
+    LEFT JOIN customers cu ON cu.id = c.customer_id
+    WHERE c.cached_balance IS DISTINCT FROM c.ledger_balance
+       OR c.cached_lifetime IS DISTINCT FROM c.ledger_lifetime
+       OR (c.last_balance_after IS NOT NULL AND c.last_balance_after <> c.ledger_balance)
+       OR c.ledger_balance < 0
+    ORDER BY ABS(COALESCE(c.cached_balance, 0) - c.ledger_balance) DESC;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Reset an account's cached balance from the ledger
+CREATE OR REPLACE FUNCTION rebuild_loyalty_account(p_customer_id UUID, p_restaurant_id UUID)
+RETURNS JSONB AS $$
+DECLARE
+    v_balance INTEGER;
+    v_lifetime INTEGER;
+BEGIN
+    IF NOT can_manage_loyalty(p_restaurant_id) THEN
+        RAISE EXCEPTION 'Not allowed to update this restaurant''s loyalty accounts' USING ERRCODE = '42501';
+    END IF;
+
+    PERFORM lock_loyalty_account(p_customer_id, p_restaurant_id);
+    SELECT balance, lifetime_earned INTO v_balance, v_lifetime FROM loyalty_ledger_totals(p_customer_id, p_restaurant_id);
+
+    UPDATE loyalty_accounts
+    SET balance = v_balance, lifetime_earned = v_lifetime, updated_at = NOW()
+    WHERE customer_id = p_customer_id AND restaurant_id = p_restaurant_id;
+
+    RETURN jsonb_build_object('balance', v_balance, 'lifetime_earned', v_lifetime);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Move coins from the old loyalty_points rows into the ledger (safe to re-run)
+INSERT INTO loyalty_transactions (
+    restaurant_id, customer_id, order_id, transaction_type, points, balance_after,
+    expires_at, idempotency_key, description, created_at
+)
+SELECT
+    entry.restaurant_id, entry.customer_id, entry.order_id, entry.transaction_type, entry.points,
+    SUM(entry.points) OVER (
+        PARTITION BY entry.customer_id, entry.restaurant_id
+        ORDER BY entry.created_at, entry.idempotency_key
+    ),
+    entry.expires_at, entry.idempotency_key, entry.description, entry.created_at
+FROM (
+    SELECT restaurant_id, customer_id, order_id,
+           CASE WHEN transaction_type = 'signup_bonus' THEN 'signup_bonus' ELSE 'earned' END AS transaction_type,
+           points_earned AS points, expires_at, 'legacy:' || id || ':earn' AS idempotency_key,
+           description, COALESCE(created_at, NOW()) AS created_at
+    FROM loyalty_points
+    WHERE COALESCE(points_earned, 0) > 0 AND customer_id IS NOT NULL AND restaurant_id IS NOT NULL
+    UNION ALL
+    SELECT restaurant_id, customer_id, order_id, 'redeemed', -points_redeemed, NULL,
+           'legacy:' || id || ':redeem', description, COALESCE(created_at, NOW())
+    FROM loyalty_points
+    WHERE COALESCE(points_redeemed, 0) > 0 AND customer_id IS NOT NULL AND restaurant_id IS NOT NULL
+) AS entry
+WHERE NOT EXISTS (SELECT 1 FROM loyalty_transactions t WHERE t.idempotency_key = entry.idempotency_key);
+
+INSERT INTO loyalty_accounts (customer_id, restaurant_id, balance, lifetime_earned)
+SELECT account.customer_id, account.restaurant_id, totals.balance, totals.lifetime_earned
+FROM (
+    SELECT DISTINCT customer_id, restaurant_id
+    FROM loyalty_transactions
+    WHERE customer_id IS NOT NULL AND restaurant_id IS NOT NULL
+) AS account
+CROSS JOIN LATERAL loyalty_ledger_totals(account.customer_id, account.restaurant_id) AS totals
+ON CONFLICT (customer_id, restaurant_id) DO UPDATE
+SET balance = EXCLUDED.balance, lifetime_earned = EXCLUDED.lifetime_earned, updated_at = NOW();
+
+-- Same checks as add_order_price_verification.sql, with the coin balance read from the
+-- ledger instead of loyalty_points.
+-- p_items: [{ menu_item_id, name, quantity, unit_price, modifiers: [{ group_id, option_id }] }]
+-- Returns { valid, issues: [{ code, line_index, menu_item_id, name, message, expected, received }],
+--           items: [{ menu_item_id, category_id, unit_price, quantity }], subtotal,
+--           offer_discount, coins_balance, max_coins_discount }
+-- Offer hours and weekdays are checked in India time, like the app.
+CREATE OR REPLACE FUNCTION verify_order_pricing(
+    p_restaurant_id UUID,
+    p_customer_id UUID,
+    p_items JSONB,
+    p_offer_id UUID DEFAULT NULL,
+    p_offer_discount DECIMAL DEFAULT 0,
+    p_coins_redeemed INTEGER DEFAULT 0,
+    p_coins_discount DECIMAL DEFAULT 0
+)
+RETURNS JSONB AS $$
+DECLARE
+    c_coins_per_rupee CONSTANT INTEGER := 10;
+
+    -- The restaurant's Ordyrr Coins rules (users.loyalty_settings, see loyaltyUtils.js)
+    v_loyalty JSONB;
+    v_loyalty_enabled BOOLEAN;
+    v_max_coins INTEGER;
+    v_max_coins_share DECIMAL;
+    v_min_coins_subtotal DECIMAL;
+
+    v_line JSONB;
+    v_index INTEGER := 0;
+    v_menu_item RECORD;
+    v_modifier JSONB;
+    v_option JSONB;
+    v_quantity INTEGER;
+    v_unit_price DECIMAL(10,2);
+    v_received DECIMAL(10,2);
+    v_subtotal DECIMAL(10,2) := 0;
+    v_issues JSONB := '[]'::jsonb;
+    v_items JSONB := '[]'::jsonb;
+
+    v_offer RECORD;
+    v_now TIMESTAMP := NOW() AT TIME ZONE 'Asia/Kolkata';
+    v_minute INTEGER;
+    v_from INTEGER;
+    v_until INTEGER;
+    v_offer_problem TEXT;
+    v_offer_discount DECIMAL(10,2) := 0;
+    v_total_uses BIGINT;
+    v_customer_uses BIGINT;
+
+    v_coins_balance INTEGER := 0;
+    v_max_coins_discount DECIMAL(10,2) := 0;
+BEGIN
+    SELECT COALESCE(loyalty_settings, '{}'::jsonb) INTO v_loyalty FROM users WHERE id = p_restaurant_id;
+    v_loyalty_enabled := COALESCE((v_loyalty->>'enabled')::BOOLEAN, true);
+    v_max_coins := COALESCE((v_loyalty->>'redeem_max_coins')::NUMERIC, 500)::INTEGER;
+    v_max_coins_share := LEAST(COALESCE((v_loyalty->>'redeem_max_percent')::DECIMAL, 5), 100) / 100;
+    v_min_coins_subtotal := COALESCE((v_loyalty->>'min_order_amount')::DECIMAL, 100);
+
+    IF p_items IS NULL OR jsonb_array_length(p_items) = 0 THEN
+        RETURN jsonb_build_object('valid', false, 'issues', jsonb_build_array(jsonb_build_object(
+            'code', 'EMPTY_ORDER', 'message', 'The order has no items')));
+    END IF;
+
+    -- Items: authoritative price, availability and modifiers
+    FOR v_line IN SELECT * FROM jsonb_array_elements(p_items) LOOP
+        v_received := COALESCE((v_line->>'unit_price')::DECIMAL, 0);
+        v_quantity := CASE WHEN (v_line->>'quantity') ~ '^\d+$' THEN (v_line->>'quantity')::INTEGER ELSE 0 END;
+
+        SELECT id, name, price, category_id, is_available, COALESCE(modifier_groups, '[]'::jsonb) AS modifier_groups
+        INTO v_menu_item
+        FROM menu_items
+        WHERE id = (v_line->>'menu_item_id')::UUID
+          AND restaurant_id = p_restaurant_id;
+
+        IF NOT FOUND THEN
+            v_issues := v_issues || jsonb_build_object(
+                'code', 'ITEM_NOT_FOUND', 'line_index', v_index, 'menu_item_id', v_line->>'menu_item_id',
+                'name', v_line->>'name', 'message', format('%s is no longer on the menu', COALESCE(v_line->>'name', 'An item')));
+            v_index := v_index + 1;
+            CONTINUE;
+        END IF;
+
+        IF v_menu_item.is_available IS NOT TRUE THEN
+            v_issues := v_issues || jsonb_build_object(
+                'code', 'ITEM_UNAVAILABLE', 'line_index', v_index, 'menu_item_id', v_menu_item.id,
+                'name', v_menu_item.name, 'message', format('%s is currently unavailable', v_menu_item.name));
+        END IF;
+
+        IF v_quantity < 1 OR v_quantity > 99 THEN
+            v_issues := v_issues || jsonb_build_object(
+                'code', 'INVALID_QUANTITY', 'line_index', v_index, 'menu_item_id', v_menu_item.id,
+                'name', v_menu_item.name, 'message', format('Invalid quantity for %s', v_menu_item.name),
+                'received', v_line->'quantity');
+        END IF;
+
+        v_unit_price := v_menu_item.price;
+        FOR v_modifier IN SELECT * FROM jsonb_array_elements(COALESCE(v_line->'modifiers', '[]'::jsonb)) LOOP
+            SELECT opt INTO v_option
+            FROM jsonb_array_elements(v_menu_item.modifier_groups) grp,
+                 jsonb_array_elements(COALESCE(grp->'options', '[]'::jsonb)) opt
+            WHERE grp->>'id' = v_modifier->>'group_id'
+              AND opt->>'id' = v_modifier->>'option_id'
+            LIMIT 1;
+
+            IF v_option IS NULL OR COALESCE((v_option->>'is_available')::BOOLEAN, true) = false THEN
+                v_issues := v_issues || jsonb_build_object(
+                    'code', 'MODIFIER_UNAVAILABLE', 'line_index', v_index, 'menu_item_id', v_menu_item.id,
+                    'name', v_menu_item.name,
+                    'message', format('%s: %s is no longer available', v_menu_item.name, COALESCE(v_modifier->>'option_name', 'an option')));
+            ELSE
+                v_unit_price := v_unit_price + COALESCE((v_option->>'price_delta')::DECIMAL, 0);
+            END IF;
+            v_option := NULL;
+        END LOOP;
+
+        IF ABS(v_unit_price - v_received) >= 0.01 THEN
+            v_issues := v_issues || jsonb_build_object(
+                'code', 'PRICE_MISMATCH', 'line_index', v_index, 'menu_item_id', v_menu_item.id,
+                'name', v_menu_item.name,
+                'message', format('%s now costs ₹%s (cart shows ₹%s)', v_menu_item.name, v_unit_price, v_received),
+                'expected', v_unit_price, 'received', v_received);
+        END IF;
+
+        v_subtotal := v_subtotal + v_unit_price * GREATEST(v_quantity, 0);
+        v_items := v_items || jsonb_build_object(
+            'menu_item_id', v_menu_item.id, 'category_id', v_menu_item.category_id,
+            'unit_price', v_unit_price, 'quantity', GREATEST(v_quantity, 0));
+        v_index := v_index + 1;
+    END LOOP;
+
+    -- Offer: same rules as promotionUtils.evaluateOffer
+    IF p_offer_id IS NOT NULL THEN
+        SELECT * INTO v_offer
+        FROM offers
+        WHERE id = p_offer_id
+          AND (restaurant_id = p_restaurant_id OR restaurant_id IS NULL);
+
+        IF NOT FOUND THEN
+            v_offer_problem := 'This offer is not valid at this restaurant';
+        ELSIF v_offer.is_active IS NOT TRUE THEN
+            v_offer_problem := 'This offer is no longer active';
+        ELSIF v_offer.starts_at IS NOT NULL AND NOW() < v_offer.starts_at THEN
+            v_offer_problem := 'This offer has not started yet';
+        ELSIF v_offer.ends_at IS NOT NULL AND NOW() > v_offer.ends_at THEN
+            v_offer_problem := 'This offer has expired';
+        ELSIF COALESCE(cardinality(v_offer.valid_days), 0) > 0 AND NOT (EXTRACT(DOW FROM v_now)::INTEGER = ANY(v_offer.valid_days)) THEN
+            v_offer_problem := 'This offer is not valid today';
+        ELSIF COALESCE(v_offer.min_order_amount, 0) > v_subtotal THEN
+            v_offer_problem := format('This offer needs a minimum order of ₹%s', v_offer.min_order_amount);
+        END IF;
+
+        IF v_offer_problem IS NULL AND v_offer.valid_from_time IS NOT NULL AND v_offer.valid_until_time IS NOT NULL THEN
+            v_minute := EXTRACT(HOUR FROM v_now)::INTEGER * 60 + EXTRACT(MINUTE FROM v_now)::INTEGER;
+            v_from := EXTRACT(HOUR FROM v_offer.valid_from_time)::INTEGER * 60 + EXTRACT(MINUTE FROM v_offer.valid_from_time)::INTEGER;
+            v_until := EXTRACT(HOUR FROM v_offer.valid_until_time)::INTEGER * 60 + EXTRACT(MINUTE FROM v_offer.valid_until_time)::INTEGER;
+            IF NOT (CASE WHEN v_from <= v_until
+                         THEN v_minute >= v_from AND v_minute < v_until
+                         ELSE v_minute >= v_from OR v_minute < v_until END) THEN
+                v_offer_problem := 'This offer is outside its hours';
+            END IF;
+        END IF;
+
+        IF v_offer_problem IS NULL AND (COALESCE(v_offer.usage_limit_total, 0) > 0 OR COALESCE(v_offer.usage_limit_per_customer, 0) > 0) THEN
+            SELECT COUNT(*), COUNT(*) FILTER (WHERE customer_id = p_customer_id)
+            INTO v_total_uses, v_customer_uses
+            FROM customer_offers
+            WHERE offer_id = p_offer_id;
+
+            IF p_customer_id IS NULL THEN
+                v_offer_problem := 'Log in to use this offer';
+            ELSIF COALESCE(v_offer.usage_limit_total, 0) > 0 AND v_total_uses >= v_offer.usage_limit_total THEN
+                v_offer_problem := 'This offer has been fully redeemed';
+            ELSIF COALESCE(v_offer.usage_limit_per_customer, 0) > 0 AND v_customer_uses >= v_offer.usage_limit_per_customer THEN
+                v_offer_problem := 'You have already used this offer';
+            END IF;
+        END IF;
+
+        IF v_offer_problem IS NULL THEN
+            v_offer_discount := calculate_offer_discount(p_offer_id, v_items);
+        END IF;
+    END IF;
+
+    IF COALESCE(p_offer_discount, 0) > 0 AND v_offer_problem IS NOT NULL THEN
+        v_issues := v_issues || jsonb_build_object(
+            'code', 'OFFER_INVALID', 'message', v_offer_problem,
+            'expected', 0, 'received', p_offer_discount);
+    ELSIF COALESCE(p_offer_discount, 0) > v_offer_discount + 0.005 THEN
+        v_issues := v_issues || jsonb_build_object(
+            'code', 'OFFER_DISCOUNT_MISMATCH',
+            'message', format('Your offer discount is ₹%s, not ₹%s', v_offer_discount, p_offer_discount),
+            'expected', v_offer_discount, 'received', p_offer_discount);
+    END IF;
+
+    -- Ordyrr Coins: real balance and redemption limits
+    IF COALESCE(p_coins_redeemed, 0) > 0 OR COALESCE(p_coins_discount, 0) > 0 THEN
+        IF p_customer_id IS NOT NULL THEN
+            v_coins_balance := loyalty_ledger_balance(p_customer_id, p_restaurant_id);
+        END IF;
+
+        v_max_coins_discount := LEAST(v_subtotal * v_max_coins_share, LEAST(v_coins_balance, v_max_coins)::DECIMAL / c_coins_per_rupee);
+
+        IF p_customer_id IS NULL THEN
+            v_issues := v_issues || jsonb_build_object(
+                'code', 'COINS_NOT_ALLOWED', 'message', 'Log in to use Ordyrr Coins');
+        ELSIF NOT v_loyalty_enabled THEN
+            v_issues := v_issues || jsonb_build_object(
+                'code', 'COINS_NOT_ALLOWED', 'message', 'This restaurant does not accept Ordyrr Coins');
+        ELSIF v_subtotal < v_min_coins_subtotal THEN
+            v_issues := v_issues || jsonb_build_object(
+                'code', 'COINS_NOT_ALLOWED', 'message', format('Ordyrr Coins need a minimum order of ₹%s', v_min_coins_subtotal));
+        ELSIF p_coins_redeemed > v_coins_balance OR p_coins_redeemed > v_max_coins THEN
+            v_issues := v_issues || jsonb_build_object(
+                'code', 'COINS_EXCEEDED',
+                'message', format('You can redeem up to %s coins', LEAST(v_coins_balance, v_max_coins)),
+                'expected', LEAST(v_coins_balance, v_max_coins), 'received', p_coins_redeemed);
+        ELSIF p_coins_discount > v_max_coins_discount + 0.005
+           OR p_coins_redeemed < FLOOR(p_coins_discount * c_coins_per_rupee) - 1 THEN
+            v_issues := v_issues || jsonb_build_object(
+                'code', 'COINS_EXCEEDED',
+                'message', format('Ordyrr Coins can take at most ₹%s off this order', ROUND(v_max_coins_discount, 2)),
+                'expected', ROUND(v_max_coins_discount, 2), 'received', p_coins_discount);
+        END IF;
+    END IF;
+
+    RETURN jsonb_build_object(
+        'valid', jsonb_array_length(v_issues) = 0,
+        'issues', v_issues,
+        'items', v_items,
+        'subtotal', v_subtotal,
+        'offer_discount', v_offer_discount,
+        'coins_balance', v_coins_balance,
+        'max_coins_discount', ROUND(v_max_coins_discount, 2)
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Params: p_idempotency_key - client key for the checkout attempt (orders.idempotency_key)
+--         p_session - customer_sessions row that reserves the table (kept if it exists), or NULL
+--         p_order - orders row (without id / timestamps)
+--         p_items - order_items rows (without order_id), in cart order
+--         p_verification - { customer_id, items, offer_id, offer_discount,
+--                            coins_redeemed, coins_discount } for verify_order_pricing
+-- Prices, discounts, tax and totals are written from verify_order_pricing and
+-- calculate_order_bill; p_order and p_items only supply the descriptive
+-- fields and must agree with them.
+-- Redeemed and earned coins are posted to the loyalty ledger in the same transaction.
+-- Returns: { valid, issues, order, items, coins_earned, deduplicated }
+--          valid = false (nothing written) when verify_order_pricing finds issues
+-- Raises P0001 when p_order or p_items don't match the verified bill, and
+-- 42501 when the order's customer isn't the one bound to its table session.
+DROP FUNCTION IF EXISTS create_order_transaction(TEXT, JSONB, JSONB, JSONB, JSONB);
+
+CREATE OR REPLACE FUNCTION create_order_transaction(
+    p_idempotency_key TEXT,
+    p_session JSONB,
+    p_order JSONB,
+    p_items JSONB,
+    p_verification JSONB
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_order orders%ROWTYPE;
+    v_items JSONB;
+    v_check JSONB;
+    v_bill JSONB;
+    v_line JSONB;
+    v_verified JSONB;
+    v_index INTEGER;
+    v_mismatch TEXT;
+    v_restaurant_id UUID := (p_order->>'restaurant_id')::UUID;
+    v_customer_id UUID := NULLIF(p_verification->>'customer_id', '')::UUID;
+    v_offer_id UUID := NULLIF(p_verification->>'offer_id', '')::UUID;
+    v_offer_discount DECIMAL(10,2);
+    v_coins_redeemed INTEGER := COALESCE((p_verification->>'coins_redeemed')::INTEGER, 0);
+    v_coins_discount DECIMAL(10,2) := COALESCE((p_verification->>'coins_discount')::DECIMAL, 0);
+    v_tip DECIMAL(10,2) := GREATEST(COALESCE((p_order->>'tip_amount')::DECIMAL, 0), 0);
+    v_coins_earned INTEGER := 0;
+BEGIN
+    IF p_items IS NULL OR jsonb_array_length(p_items) = 0 THEN
+        RAISE EXCEPTION 'Cart cannot be empty' USING ERRCODE = 'P0001';
+    END IF;
+
+    IF p_verification IS NULL OR jsonb_typeof(p_verification->'items') IS DISTINCT FROM 'array' THEN
+        RAISE EXCEPTION 'Order verification is required' USING ERRCODE = 'P0001';
+    END IF;
+
+    -- Two submissions with the same key wait for each other here; the
+    -- second one then finds the first one's order
+    IF p_idempotency_key IS NOT NULL THEN
+        PERFORM pg_advisory_xact_lock(hashtext('order:' || p_idempotency_key));
+
+        SELECT * INTO v_order FROM orders WHERE idempotency_key = p_idempotency_key;
+        IF FOUND THEN
+            SELECT COALESCE(jsonb_agg(to_jsonb(oi) ORDER BY oi.created_at), '[]'::jsonb)
+            INTO v_items
+            FROM order_items oi
+            WHERE oi.order_id = v_order.id;
+
+            RETURN jsonb_build_object('valid', true, 'issues', '[]'::jsonb,
+                'order', to_jsonb(v_order), 'items', v_items, 'deduplicated', true);
+        END IF;
+    END IF;
+
+    -- The order is written for the customer and offer that were verified
+    IF NULLIF(p_order->>'offer_id', '')::UUID IS DISTINCT FROM v_offer_id THEN
+        RAISE EXCEPTION 'Order offer does not match the verified offer' USING ERRCODE = 'P0001';
+    END IF;
+    IF v_customer_id IS NOT NULL AND NULLIF(p_order->>'customer_id', '')::UUID IS DISTINCT FROM v_customer_id THEN
+        RAISE EXCEPTION 'Order customer does not match the verified customer' USING ERRCODE = 'P0001';
+    END IF;
+
+    -- Offer usage limits are counted under this lock, so two orders can't
+    -- both take the last use
+    IF v_offer_id IS NOT NULL THEN
+        PERFORM 1 FROM offers WHERE id = v_offer_id FOR UPDATE;
+    END IF;
+
+    -- Coin balance is read and spent under the account lock, so two orders
+    -- can't redeem the same coins
+    IF v_customer_id IS NOT NULL AND v_coins_redeemed > 0 THEN
+        PERFORM lock_loyalty_account(v_customer_id, v_restaurant_id);
+    END IF;
+
+    v_check := verify_order_pricing(
+        v_restaurant_id,
+        v_customer_id,
+        p_verification->'items',
+        v_offer_id,
+        COALESCE((p_verification->>'offer_discount')::DECIMAL, 0),
+        v_coins_redeemed,
+        v_coins_discount
+    );
+
+    IF (v_check->>'valid')::BOOLEAN IS NOT TRUE THEN
+        RETURN jsonb_build_object('valid', false, 'issues', v_check->'issues');
+    END IF;
+
+    -- Every item row must be the verified line at the same position
+    IF jsonb_array_length(p_items) <> jsonb_array_length(v_check->'items') THEN
+        RAISE EXCEPTION 'Order has % items but % were verified',
+            jsonb_array_length(p_items), jsonb_array_length(v_check->'items') USING ERRCODE = 'P0001';
+    END IF;
+
+    FOR v_index IN 0 .. jsonb_array_length(p_items) - 1 LOOP
+        v_line := p_items->v_index;
+        v_verified := v_check->'items'->v_index;
+
+        IF v_line->>'menu_item_id' IS DISTINCT FROM v_verified->>'menu_item_id'
+           OR (v_line->>'quantity')::INTEGER IS DISTINCT FROM (v_verified->>'quantity')::INTEGER
+           OR ABS(COALESCE((v_line->>'unit_price')::DECIMAL, 0) - (v_verified->>'unit_price')::DECIMAL) >= 0.01
+           OR (SELECT COALESCE(jsonb_agg(modifier->>'option_id' ORDER BY modifier->>'option_id'), '[]'::jsonb)
+               FROM jsonb_array_elements(COALESCE(v_line->'modifiers', '[]'::jsonb)) AS modifier)
+              IS DISTINCT FROM
+              (SELECT COALESCE(jsonb_agg(modifier->>'option_id' ORDER BY modifier->>'option_id'), '[]'::jsonb)
+               FROM jsonb_array_elements(COALESCE(p_verification->'items'->v_index->'modifiers', '[]'::jsonb)) AS modifier) THEN
+            RAISE EXCEPTION 'Order item % does not match the verified cart', v_index + 1 USING ERRCODE = 'P0001';
+        END IF;
+    END LOOP;
+
+    v_offer_discount := COALESCE((v_check->>'offer_discount')::DECIMAL, 0);
+    v_bill := calculate_order_bill(v_restaurant_id, v_check->'items', v_offer_discount + v_coins_discount, v_tip);
+
+    -- The client's totals must be the ones the database works out
+    v_mismatch := CASE
+        WHEN ABS(COALESCE((p_order->>'subtotal')::DECIMAL, 0) - (v_bill->>'subtotal')::DECIMAL) >= 0.01 THEN 'subtotal'
+        WHEN ABS(COALESCE((p_order->>'offer_discount')::DECIMAL, 0) - v_offer_discount) >= 0.01 THEN 'offer_discount'
+        WHEN ABS(COALESCE((p_order->>'discount_amount')::DECIMAL, 0) - (v_bill->>'discount')::DECIMAL) >= 0.01 THEN 'discount_amount'
+        WHEN COALESCE((p_order->>'coins_redeemed')::INTEGER, 0) <> v_coins_redeemed THEN 'coins_redeemed'
+        WHEN ABS(COALESCE((p_order->>'tax_amount')::DECIMAL, 0) - (v_bill->'tax_breakdown'->>'total')::DECIMAL) >= 0.01 THEN 'tax_amount'
+        WHEN ABS(COALESCE((p_order->>'service_charge')::DECIMAL, 0)
+                 - (v_bill->>'service_charge')::DECIMAL - (v_bill->>'service_charge_tax')::DECIMAL) >= 0.01 THEN 'service_charge'
+        WHEN ABS(COALESCE((p_order->>'platform_fee')::DECIMAL, 0) - (v_bill->>'platform_fee')::DECIMAL) >= 0.01 THEN 'platform_fee'
+        WHEN ABS(COALESCE((p_order->>'total_amount')::DECIMAL, 0) - (v_bill->>'total')::DECIMAL) >= 0.01 THEN 'total_amount'
+    END;
+
+    IF v_mismatch IS NOT NULL THEN
+        RAISE EXCEPTION 'Order % does not match the verified bill', v_mismatch USING ERRCODE = 'P0001';
+    END IF;
+
+    -- Table reservation: the active session for this table. Later orders
+    -- from the same table session join the row the first one created.
+    IF p_session IS NOT NULL THEN
+        INSERT INTO customer_sessions (
+            session_id, restaurant_id, table_id, customer_name, customer_phone,
+            customer_email, status, started_at, created_by_staff, staff_id
+        ) VALUES (
+            p_session->>'session_id',
+            (p_session->>'restaurant_id')::UUID,
+            (p_session->>'table_id')::UUID,
+            p_session->>'customer_name',
+            p_session->>'customer_phone',
+            p_session->>'customer_email',
+            'active',
+            NOW(),
+            COALESCE((p_session->>'created_by_staff')::BOOLEAN, false),
+            NULLIF(p_session->>'staff_id', '')::UUID
+        )
+        ON CONFLICT (session_id) DO NOTHING;
+    END IF;
+
+    PERFORM bind_session_customer(
+        p_order->>'session_id',
+        v_restaurant_id,
+        COALESCE(v_customer_id, NULLIF(p_order->>'customer_id', '')::UUID)
+    );
+
+    INSERT INTO orders (
+        restaurant_id, table_id, session_id, customer_id, order_number, status, order_type,
+        subtotal, tax_amount, tax_breakdown, service_charge, platform_fee, tip_amount,
+        discount_amount, offer_id, offer_discount, coins_redeemed, total_amount,
+        payment_method, payment_status, special_instructions, assigned_staff_id, assigned_at,
+        estimated_preparation_time, idempotency_key
+    ) VALUES (
+        v_restaurant_id,
+        (p_order->>'table_id')::UUID,
+        p_order->>'session_id',
+        COALESCE(v_customer_id, NULLIF(p_order->>'customer_id', '')::UUID),
+        p_order->>'order_number',
+        COALESCE(p_order->>'status', 'pending'),
+        COALESCE(p_order->>'order_type', 'dine_in'),
+        (v_bill->>'subtotal')::DECIMAL,
+        (v_bill->'tax_breakdown'->>'total')::DECIMAL,
+        v_bill->'tax_breakdown',
+        (v_bill->>'service_charge')::DECIMAL + (v_bill->>'service_charge_tax')::DECIMAL,
+        (v_bill->>'platform_fee')::DECIMAL,
+        (v_bill->>'tip')::DECIMAL,
+        (v_bill->>'discount')::DECIMAL,
+        v_offer_id,
+        v_offer_discount,
+        v_coins_redeemed,
+        (v_bill->>'total')::DECIMAL,
+        p_order->>'payment_method',
+        'pending',
+        p_order->>'special_instructions',
+        NULLIF(p_order->>'assigned_staff_id', '')::UUID,
+        (p_order->>'assigned_at')::TIMESTAMPTZ,
+        (p_order->>'estimated_preparation_time')::INTEGER,
+        p_idempotency_key
+    )
+    RETURNING * INTO v_order;
+
+    -- Names, notes and chosen options come from the client; prices and tax
+    -- from the verified lines
+    WITH inserted AS (
+        INSERT INTO order_items (
+            order_id, menu_item_id, item_name, quantity, unit_price, total_price,
+            special_instructions, modifiers, hsn_code, gst_rate, taxable_value,
+            tax_amount, cgst_amount, sgst_amount, igst_amount
+        )
+        SELECT v_order.id,
+               (verified.line->>'menu_item_id')::UUID,
+               item.line->>'item_name',
+               (verified.line->>'quantity')::INTEGER,
+               (verified.line->>'unit_price')::DECIMAL,
+               (verified.line->>'unit_price')::DECIMAL * (verified.line->>'quantity')::INTEGER,
+               item.line->>'special_instructions',
+               COALESCE(item.line->'modifiers', '[]'::jsonb),
+               taxed.line->>'hsn_code',
+               (taxed.line->>'gst_rate')::DECIMAL,
+               (taxed.line->>'taxable_value')::DECIMAL,
+               (taxed.line->>'tax_amount')::DECIMAL,
+               (taxed.line->>'cgst_amount')::DECIMAL,
+               (taxed.line->>'sgst_amount')::DECIMAL,
+               (taxed.line->>'igst_amount')::DECIMAL
+        FROM jsonb_array_elements(p_items) WITH ORDINALITY AS item(line, line_no)
+        JOIN jsonb_array_elements(v_check->'items') WITH ORDINALITY AS verified(line, line_no) USING (line_no)
+        JOIN jsonb_array_elements(v_bill->'lines') WITH ORDINALITY AS taxed(line, line_no) USING (line_no)
+        ORDER BY line_no
+        RETURNING *
+    )
+    SELECT COALESCE(jsonb_agg(to_jsonb(inserted)), '[]'::jsonb) INTO v_items FROM inserted;
+
+    -- Offer usage (limits are per signed-in customer, like PromotionService.recordUsage)
+    IF v_offer_id IS NOT NULL AND v_customer_id IS NOT NULL THEN
+        INSERT INTO customer_offers (customer_id, offer_id, order_id, discount_amount)
+        VALUES (v_customer_id, v_offer_id, v_order.id, v_order.offer_discount);
+    END IF;
+
+    -- Coins spent on the order go into the ledger with it, from the
+    -- customer whose balance was verified
+    IF v_customer_id IS NOT NULL AND v_coins_redeemed > 0 THEN
+        PERFORM post_loyalty_transaction(
+            v_order.restaurant_id,
+            v_customer_id,
+            'redeemed',
+            -v_coins_redeemed,
+            v_order.id,
+            'Redeemed on order #' || v_order.order_number
+        );
+    END IF;
+
+    -- And the coins it earns, worked out from the rows just written
+    v_coins_earned := calculate_order_earn_points(v_order.id);
+    IF v_coins_earned > 0 THEN
+        PERFORM post_loyalty_transaction(
+            v_order.restaurant_id,
+            v_order.customer_id,
+            'earned',
+            v_coins_earned,
+            v_order.id,
+            'Points earned from order ' || v_order.order_number,
+            NULL,
+            loyalty_expiry_date(v_order.restaurant_id)
+        );
+    END IF;
+
+    RETURN jsonb_build_object('valid', true, 'issues', '[]'::jsonb,
+        'order', to_jsonb(v_order), 'items', v_items, 'coins_earned', v_coins_earned, 'deduplicated', false);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+COMMENT ON FUNCTION create_order_transaction IS 'Verifies and writes an order with its session, items, offer usage and coins in one transaction, pricing it from the database; returns the existing order for a repeated idempotency key';
+
+-- Verify the migration
+SELECT routine_name
+FROM information_schema.routines
+WHERE routine_name IN ('post_loyalty_transaction', 'calculate_order_earn_points', 'award_signup_bonus', 'reverse_order_loyalty',
+                       'get_loyalty_balance', 'get_loyalty_history',
+                       'get_loyalty_reconciliation', 'rebuild_loyalty_account');
@@ -0,0 +1,86 @@
+-- Migration: Loyalty expiry and tier maintenance job
+-- Purpose: Run log, expiry reminders and stored tiers for the scheduled loyalty job (src/scripts/loyaltyMaintenance.js)
+-- Date: 2026-10-19
+-- Requires: add_loyalty_ledger.sql
+
+-- Tier each account was last placed in by the job, so a change is noticed
+-- (and the customer told) once
+ALTER TABLE loyalty_accounts
+ADD COLUMN IF NOT EXISTS tier VARCHAR(20),
+ADD COLUMN IF NOT EXISTS tier_points INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS tier_updated_at TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON COLUMN loyalty_accounts.tier_points IS 'Coins earned and not expired; decides the tier';
+
+-- One row per job run
+CREATE TABLE IF NOT EXISTS loyalty_job_runs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    restaurant_id UUID REFERENCES users(id) ON DELETE CASCADE, -- NULL = every restaurant
+    dry_run BOOLEAN NOT NULL DEFAULT false,
+    as_of TIMESTAMP WITH TIME ZONE NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed')),
+    accounts_checked INTEGER NOT NULL DEFAULT 0,
+    points_expired INTEGER NOT NULL DEFAULT 0,
+    transactions_expired INTEGER NOT NULL DEFAULT 0,
+    tiers_changed INTEGER NOT NULL DEFAULT 0,
+    reminders_sent INTEGER NOT NULL DEFAULT 0,
+    errors JSONB NOT NULL DEFAULT '[]'::jsonb,
+    details JSONB NOT NULL DEFAULT '{}'::jsonb,
+    started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    finished_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_loyalty_job_runs_started ON loyalty_job_runs(started_at DESC);
+
+-- "Coins expiring soon" reminders already sent, one per earning
+CREATE TABLE IF NOT EXISTS loyalty_expiry_reminders (
+    transaction_id UUID PRIMARY KEY REFERENCES loyalty_transactions(id),
+    customer_id UUID NOT NULL,
+    restaurant_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    points INTEGER NOT NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    run_id UUID REFERENCES loyalty_job_runs(id) ON DELETE SET NULL,
+    sent_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Written by the job with the service role only
+ALTER TABLE loyalty_job_runs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE loyalty_expiry_reminders ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Restaurant team reads expiry reminders" ON loyalty_expiry_reminders;
+CREATE POLICY "Restaurant team reads expiry reminders" ON loyalty_expiry_reminders
+    FOR SELECT USING (can_manage_loyalty(restaurant_id));
+
+-- Ledger totals now also return tier points: lifetime earnings less expired
+-- coins. Mirrors summarizeLoyaltyRows in loyaltyUtils.js.
+DROP FUNCTION IF EXISTS loyalty_ledger_totals(UUID, UUID);
+CREATE FUNCTION loyalty_ledger_totals(p_customer_id UUID, p_restaurant_id UUID)
+RETURNS TABLE (balance INTEGER, lifetime_earned INTEGER, tier_points INTEGER) AS $$
+    SELECT
+        totals.balance,
+        totals.lifetime_earned,
+        totals.lifetime_earned + totals.expired
+    FROM (
+        SELECT
+            COALESCE(SUM(points), 0)::INTEGER AS balance,
+            COALESCE(SUM(points) FILTER (
+                WHERE transaction_type IN ('signup_bonus', 'earned', 'refund_clawback')
+                   OR (transaction_type = 'reversal' AND points < 0)
+            ), 0)::INTEGER AS lifetime_earned,
+            COALESCE(SUM(points) FILTER (WHERE transaction_type = 'expired'), 0)::INTEGER AS expired
+        FROM loyalty_transactions
+        WHERE customer_id = p_customer_id
+          AND restaurant_id = p_restaurant_id
+    ) AS totals;
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION get_loyalty_balance(p_customer_id UUID, p_restaurant_id UUID)
+RETURNS JSONB AS $$
+    SELECT jsonb_build_object('balance', balance, 'lifetime_earned', lifetime_earned, 'tier_points', tier_points)
+    FROM loyalty_ledger_totals(p_customer_id, p_restaurant_id);
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- Verify the migration
+SELECT table_name
+FROM information_schema.tables
+WHERE table_name IN ('loyalty_job_runs', 'loyalty_expiry_reminders');
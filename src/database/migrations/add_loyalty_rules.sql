@@ -0,0 +1,24 @@
+-- Migration: Owner-configurable loyalty rules
+-- Purpose: Per-restaurant Ordyrr Coins rules (earn rate, tiers, expiry, minimum order, redemption cap, excluded categories)
+-- Date: 2026-10-19
+
+-- Loyalty rules: { enabled, earn_rate, min_order_amount, signup_bonus, expiry_days,
+--   redeem_max_percent, redeem_max_coins, excluded_category_ids: [],
+--   tiers: [{ key, name, min_points, multiplier }] }
+-- Missing keys fall back to the defaults in src/utils/loyaltyUtils.js
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS loyalty_settings JSONB DEFAULT '{}'::jsonb;
+
+COMMENT ON COLUMN users.loyalty_settings IS 'Ordyrr Coins rules: {enabled, earn_rate, min_order_amount, signup_bonus, expiry_days, redeem_max_percent, redeem_max_coins, excluded_category_ids, tiers}';
+
+-- When coins earned on a row run out (NULL = never), from the rules at earning time
+ALTER TABLE loyalty_points
+ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_loyalty_points_expires_at ON loyalty_points(expires_at) WHERE expires_at IS NOT NULL;
+
+-- Verify the migration
+SELECT column_name
+FROM information_schema.columns
+WHERE (table_name = 'users' AND column_name = 'loyalty_settings')
+   OR (table_name = 'loyalty_points' AND column_name = 'expires_at');
@@ -0,0 +1,331 @@
+-- Migration: Cross-restaurant Ordyrr Coins wallet
+-- Purpose: Let coins earned at one participating restaurant be spent at any other, with super admin funding rules and settlement
+-- Date: 2026-10-19
+-- Requires: add_loyalty_maintenance.sql
+
+-- Platform-wide settings, one JSON value per key. Everyone may read them;
+-- only super admins change them.
+CREATE TABLE IF NOT EXISTS platform_settings (
+    key VARCHAR(100) PRIMARY KEY,
+    value JSONB NOT NULL DEFAULT '{}'::jsonb,
+    updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE platform_settings ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anyone reads platform settings" ON platform_settings;
+CREATE POLICY "Anyone reads platform settings" ON platform_settings
+    FOR SELECT USING (true);
+
+DROP POLICY IF EXISTS "Super admins manage platform settings" ON platform_settings;
+CREATE POLICY "Super admins manage platform settings" ON platform_settings
+    FOR ALL USING (
+        EXISTS (SELECT 1 FROM users WHERE id = auth.uid() AND role = 'super_admin')
+    ) WITH CHECK (
+        EXISTS (SELECT 1 FROM users WHERE id = auth.uid() AND role = 'super_admin')
+    );
+
+-- Wallet is off until a super admin turns it on. When a coin issued by one
+-- restaurant is redeemed at another, the shares say who pays for it: the
+-- issuing restaurant, the platform, or the restaurant that redeemed it.
+-- Mirrors DEFAULT_WALLET_SETTINGS in walletUtils.js.
+INSERT INTO platform_settings (key, value)
+VALUES ('ordyrr_wallet', '{
+    "enabled": false,
+    "issuer_share_percent": 100,
+    "platform_share_percent": 0,
+    "redeemer_share_percent": 0
+}'::jsonb)
+ON CONFLICT (key) DO NOTHING;
+
+-- Restaurants in the wallet: the wallet is on, the restaurant joined it
+-- (loyalty_settings.join_wallet) and its loyalty program is on
+CREATE OR REPLACE FUNCTION loyalty_wallet_restaurants()
+RETURNS SETOF UUID AS $$
+    SELECT u.id
+    FROM users u
+    WHERE u.role = 'restaurant_owner'
+      AND COALESCE((u.loyalty_settings->>'join_wallet')::BOOLEAN, false)
+      AND COALESCE((u.loyalty_settings->>'enabled')::BOOLEAN, true)
+      AND COALESCE((SELECT (value->>'enabled')::BOOLEAN FROM platform_settings WHERE key = 'ordyrr_wallet'), false);
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION loyalty_wallet_participates(p_restaurant_id UUID)
+RETURNS BOOLEAN AS $$
+    SELECT EXISTS (SELECT 1 FROM loyalty_wallet_restaurants() AS id WHERE id = p_restaurant_id);
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- Coins a customer can spend at a restaurant. In the wallet that is
+-- everything they hold at every participating restaurant; otherwise only
+-- what they hold at this one. Ledger rows and cached accounts stay per
+-- restaurant, so a wallet restaurant's own balance may go below zero.
+CREATE OR REPLACE FUNCTION loyalty_spendable_balance(p_customer_id UUID, p_restaurant_id UUID)
+RETURNS INTEGER AS $$
+    SELECT CASE
+        WHEN loyalty_wallet_participates(p_restaurant_id) THEN (
+            SELECT GREATEST(COALESCE(SUM(t.points), 0), 0)::INTEGER
+            FROM loyalty_transactions t
+            WHERE t.customer_id = p_customer_id
+              AND t.restaurant_id IN (SELECT loyalty_wallet_restaurants())
+        )
+        ELSE (SELECT balance FROM loyalty_ledger_totals(p_customer_id, p_restaurant_id))
+    END;
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- verify_order_pricing checks coins redeemed against this
+CREATE OR REPLACE FUNCTION loyalty_ledger_balance(p_customer_id UUID, p_restaurant_id UUID)
+RETURNS INTEGER AS $$
+    SELECT loyalty_spendable_balance(p_customer_id, p_restaurant_id);
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- A wallet customer spending at two restaurants at once must not spend the
+-- same coins twice, so wallet accounts also take a lock per customer
+CREATE OR REPLACE FUNCTION lock_loyalty_account(p_customer_id UUID, p_restaurant_id UUID)
+RETURNS loyalty_accounts AS $$
+DECLARE
+    v_account loyalty_accounts%ROWTYPE;
+BEGIN
+    IF loyalty_wallet_participates(p_restaurant_id) THEN
+        PERFORM pg_advisory_xact_lock(hashtext('loyalty-wallet:' || p_customer_id));
+    END IF;
+
+    INSERT INTO loyalty_accounts (customer_id, restaurant_id)
+    VALUES (p_customer_id, p_restaurant_id)
+    ON CONFLICT (customer_id, restaurant_id) DO NOTHING;
+
+    SELECT * INTO v_account
+    FROM loyalty_accounts
+    WHERE customer_id = p_customer_id AND restaurant_id = p_restaurant_id
+    FOR UPDATE;
+
+    RETURN v_account;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Post one ledger row. Same rules as before, except that a debit is checked
+-- against (and capped at) the coins the customer can spend here, which in
+-- the wallet includes coins from other restaurants. The returned balance is
+-- the spendable one.
+CREATE OR REPLACE FUNCTION post_loyalty_transaction(
+    p_restaurant_id UUID,
+    p_customer_id UUID,
+    p_type TEXT,
+    p_points INTEGER,
+    p_order_id UUID DEFAULT NULL,
+    p_description TEXT DEFAULT NULL,
+    p_idempotency_key TEXT DEFAULT NULL,
+    p_expires_at TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    p_reference_id UUID DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_settings JSONB;
+    v_order RECORD;
+    v_key TEXT := p_idempotency_key;
+    v_points INTEGER := p_points;
+    v_existing loyalty_transactions%ROWTYPE;
+    v_row loyalty_transactions%ROWTYPE;
+    v_balance INTEGER;
+    v_lifetime INTEGER;
+    v_spendable INTEGER;
+    v_earn_points INTEGER;
+BEGIN
+    IF p_customer_id IS NULL OR p_restaurant_id IS NULL THEN
+        RAISE EXCEPTION 'Customer and restaurant are required' USING ERRCODE = 'P0001';
+    END IF;
+
+    IF p_type NOT IN ('signup_bonus', 'earned', 'redeemed', 'reversal', 'refund_clawback', 'expired', 'adjustment') THEN
+        RAISE EXCEPTION 'Unknown loyalty transaction type %', p_type USING ERRCODE = 'P0001';
+    END IF;
+
+    IF COALESCE(p_points, 0) = 0
+       OR (p_type IN ('signup_bonus', 'earned') AND p_points < 0)
+       OR (p_type IN ('redeemed', 'refund_clawback', 'expired') AND p_points > 0) THEN
+        RAISE EXCEPTION 'Invalid points % for %', p_points, p_type USING ERRCODE = 'P0001';
+    END IF;
+
+    SELECT COALESCE(loyalty_settings, '{}'::jsonb) INTO v_settings FROM users WHERE id = p_restaurant_id;
+
+    IF p_type = 'signup_bonus' THEN
+        v_key := 'signup:' || p_customer_id || ':' || p_restaurant_id;
+        IF p_points <> COALESCE((v_settings->>'signup_bonus')::NUMERIC, 100)::INTEGER THEN
+            RAISE EXCEPTION 'Signup bonus is % coins', COALESCE((v_settings->>'signup_bonus')::NUMERIC, 100)::INTEGER USING ERRCODE = 'P0001';
+        END IF;
+    ELSIF p_type IN ('earned', 'redeemed') THEN
+        SELECT id, customer_id, coins_redeemed INTO v_order
+        FROM orders
+        WHERE id = p_order_id AND restaurant_id = p_restaurant_id;
+
+        IF NOT FOUND OR v_order.customer_id IS DISTINCT FROM p_customer_id THEN
+            RAISE EXCEPTION 'Order does not belong to this customer' USING ERRCODE = '42501';
+        END IF;
+
+        v_key := CASE p_type WHEN 'earned' THEN 'earn:' ELSE 'redeem:' END || p_order_id;
+
+        IF p_type = 'earned' THEN
+            v_earn_points := calculate_order_earn_points(p_order_id);
+            IF p_points <> v_earn_points THEN
+                RAISE EXCEPTION 'This order earns % coins, not %', v_earn_points, p_points USING ERRCODE = 'P0001';
+            END IF;
+        ELSIF -p_points <> COALESCE(v_order.coins_redeemed, 0) THEN
+            RAISE EXCEPTION 'Order redeemed % coins, not %', COALESCE(v_order.coins_redeemed, 0), -p_points USING ERRCODE = 'P0001';
+        END IF;
+    ELSIF NOT can_manage_loyalty(p_restaurant_id) THEN
+        RAISE EXCEPTION 'Not allowed to post % transactions', p_type USING ERRCODE = '42501';
+    END IF;
+
+    PERFORM lock_loyalty_account(p_customer_id, p_restaurant_id);
+
+    -- A repeated key returns the row already posted
+    IF v_key IS NOT NULL THEN
+        SELECT * INTO v_existing FROM loyalty_transactions WHERE idempotency_key = v_key;
+        IF FOUND THEN
+            SELECT balance, lifetime_earned INTO v_balance, v_lifetime FROM loyalty_ledger_totals(p_customer_id, p_restaurant_id);
+            RETURN jsonb_build_object('transaction', to_jsonb(v_existing), 'balance', loyalty_spendable_balance(p_customer_id, p_restaurant_id),
+                'lifetime_earned', v_lifetime, 'deduplicated', true);
+        END IF;
+    END IF;
+
+    SELECT balance INTO v_balance FROM loyalty_ledger_totals(p_customer_id, p_restaurant_id);
+    v_spendable := loyalty_spendable_balance(p_customer_id, p_restaurant_id);
+
+    IF v_spendable + v_points < 0 THEN
+        IF p_type IN ('redeemed', 'adjustment') THEN
+            RAISE EXCEPTION 'Not enough Ordyrr Coins: % available', v_spendable USING ERRCODE = 'P0001';
+        END IF;
+        v_points := -GREATEST(v_spendable, 0);
+    END IF;
+
+    IF v_points <> 0 THEN
+        INSERT INTO loyalty_transactions (
+            restaurant_id, customer_id, order_id, transaction_type, points, balance_after,
+            expires_at, reference_id, idempotency_key, description, created_by
+        ) VALUES (
+            p_restaurant_id, p_customer_id, p_order_id, p_type, v_points, v_balance + v_points,
+            CASE WHEN v_points > 0 THEN p_expires_at END, p_reference_id, v_key, p_description, auth.uid()
+        )
+        RETURNING * INTO v_row;
+    END IF;
+
+    SELECT balance, lifetime_earned INTO v_balance, v_lifetime FROM loyalty_ledger_totals(p_customer_id, p_restaurant_id);
+
+    UPDATE loyalty_accounts
+    SET balance = v_balance,
+        lifetime_earned = v_lifetime,
+        last_transaction_id = COALESCE(v_row.id, last_transaction_id),
+        updated_at = NOW()
+    WHERE customer_id = p_customer_id AND restaurant_id = p_restaurant_id;
+
+    RETURN jsonb_build_object(
+        'transaction', CASE WHEN v_row.id IS NULL THEN NULL ELSE to_jsonb(v_row) END,
+        'balance', loyalty_spendable_balance(p_customer_id, p_restaurant_id),
+        'lifetime_earned', v_lifetime,
+        'deduplicated', false
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Balance for the cart, checkout and profile: what can be spent here
+CREATE OR REPLACE FUNCTION get_loyalty_balance(p_customer_id UUID, p_restaurant_id UUID)
+RETURNS JSONB AS $$
+    SELECT jsonb_build_object(
+        'balance', loyalty_spendable_balance(p_customer_id, p_restaurant_id),
+        'restaurant_balance', balance,
+        'lifetime_earned', lifetime_earned,
+        'tier_points', tier_points,
+        'wallet', loyalty_wallet_participates(p_restaurant_id)
+    )
+    FROM loyalty_ledger_totals(p_customer_id, p_restaurant_id);
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- A wallet restaurant's own balance going below zero just means the
+-- customer spent coins earned elsewhere, so only flag it outside the wallet
+CREATE OR REPLACE FUNCTION get_loyalty_reconciliation(p_restaurant_id UUID)
+RETURNS TABLE (
+    customer_id UUID,
+    customer_name TEXT,
+    cached_balance INTEGER,
+    ledger_balance INTEGER,
+    cached_lifetime INTEGER,
+    ledger_lifetime INTEGER,
+    last_balance_after INTEGER,
+    issues TEXT[]
+) AS $$
+DECLARE
+    v_wallet BOOLEAN := loyalty_wallet_participates(p_restaurant_id);
+BEGIN
+    IF NOT can_manage_loyalty(p_restaurant_id) THEN
+        RAISE EXCEPTION 'Not allowed to view this restaurant''s loyalty ledger' USING ERRCODE = '42501';
+    END IF;
+
+    RETURN QUERY
+    WITH ledger AS (
+        SELECT
+            t.customer_id,
+            COALESCE(SUM(t.points), 0)::INTEGER AS balance,
+            COALESCE(SUM(t.points) FILTER (
+                WHERE t.transaction_type IN ('signup_bonus', 'earned', 'refund_clawback')
+                   OR (t.transaction_type = 'reversal' AND t.points < 0)
+            ), 0)::INTEGER AS lifetime,
+            (ARRAY_AGG(t.balance_after ORDER BY t.created_at DESC, t.id DESC))[1] AS last_balance_after
+        FROM loyalty_transactions t
+        WHERE t.restaurant_id = p_restaurant_id
+        GROUP BY t.customer_id
+    ),
+    compared AS (
+        SELECT
+            COALESCE(a.customer_id, l.customer_id) AS customer_id,
+            a.balance AS cached_balance,
+            COALESCE(l.balance, 0) AS ledger_balance,
+            a.lifetime_earned AS cached_lifetime,
+            COALESCE(l.lifetime, 0) AS ledger_lifetime,
+            l.last_balance_after
+        FROM (SELECT * FROM loyalty_accounts WHERE restaurant_id = p_restaurant_id) a
+        FULL OUTER JOIN ledger l ON l.customer_id = a.customer_id
+    )
+    SELECT
+        c.customer_id,
+        cu.full_name::TEXT,
+        c.cached_balance,
+        c.ledger_balance,
+        c.cached_lifetime,
+        c.ledger_lifetime,
+        c.last_balance_after,
+        ARRAY_REMOVE(ARRAY[
+            CASE WHEN c.cached_balance IS NULL THEN 'missing_account' END,
+            CASE WHEN c.cached_balance IS DISTINCT FROM c.ledger_balance THEN 'balance_mismatch' END,
+            CASE WHEN c.cached_lifetime IS DISTINCT FROM c.ledger_lifetime THEN 'lifetime_mismatch' END,
+            CASE WHEN c.last_balance_after IS NOT NULL AND c.last_balance_after <> c.ledger_balance THEN 'running_balance_mismatch' END,
+            CASE WHEN c.ledger_balance < 0 AND NOT v_wallet THEN 'negative_balance' END
+        ], NULL)
+    FROM compared c
+    LEFT JOIN customers cu ON cu.id = c.customer_id
+    WHERE c.cached_balance IS DISTINCT FROM c.ledger_balance
+       OR c.cached_lifetime IS DISTINCT FROM c.ledger_lifetime
+       OR (c.last_balance_after IS NOT NULL AND c.last_balance_after <> c.ledger_balance)
+       OR (c.ledger_balance < 0 AND NOT v_wallet)
+    ORDER BY ABS(COALESCE(c.cached_balance, 0) - c.ledger_balance) DESC;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Ledger rows of every wallet restaurant up to p_to, for the settlement
+-- report (calculateWalletSettlement in walletUtils.js). Super admins only.
+CREATE OR REPLACE FUNCTION get_wallet_ledger(p_to TIMESTAMP WITH TIME ZONE)
+RETURNS SETOF loyalty_transactions AS $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM users WHERE id = auth.uid() AND role = 'super_admin') THEN
+        RAISE EXCEPTION 'Only super admins can view wallet settlement' USING ERRCODE = '42501';
+    END IF;
+
+    RETURN QUERY
+    SELECT t.*
+    FROM loyalty_transactions t
+    WHERE t.created_at < p_to
+      AND t.restaurant_id IN (SELECT loyalty_wallet_restaurants())
+    ORDER BY t.customer_id, t.created_at, t.id;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+-- Verify the migration
+SELECT key, value FROM platform_settings WHERE key = 'ordyrr_wallet';
@@ -0,0 +1,29 @@
+-- Migration: Add modifier groups to menu items and chosen modifiers to order items
+-- Purpose: Support variants (Half / Full), choices and paid add-ons in the ordering pipeline
+-- Date: 2026-10-19
+
+-- Modifier groups defined by the owner in the Menu tab
+-- Shape: [{ id, name, type: 'variant'|'choice'|'addon', required, min_select, max_select,
+--           options: [{ id, name, price_delta, is_available }] }]
+ALTER TABLE menu_items
+ADD COLUMN IF NOT EXISTS modifier_groups JSONB DEFAULT '[]'::jsonb;
+
+COMMENT ON COLUMN menu_items.modifier_groups IS 'Variant / choice / add-on groups with per-option price deltas';
+
+-- Modifiers the customer picked for each order line
+-- Shape: [{ group_id, group_name, group_type, option_id, option_name, price_delta }]
+-- unit_price on the same row already includes the sum of price_delta
+ALTER TABLE order_items
+ADD COLUMN IF NOT EXISTS modifiers JSONB DEFAULT '[]'::jsonb;
+
+COMMENT ON COLUMN order_items.modifiers IS 'Chosen modifiers with price deltas, snapshotted at order time';
+
+-- Backfill existing rows so the app never has to handle NULL
+UPDATE menu_items SET modifier_groups = '[]'::jsonb WHERE modifier_groups IS NULL;
+UPDATE order_items SET modifiers = '[]'::jsonb WHERE modifiers IS NULL;
+
+-- Verify the migration
+SELECT
+  COUNT(*) AS total_menu_items,
+  COUNT(CASE WHEN jsonb_array_length(modifier_groups) > 0 THEN 1 END) AS items_with_modifiers
+FROM menu_items;
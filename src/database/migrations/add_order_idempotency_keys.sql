@@ -0,0 +1,19 @@
+-- Migration: Add idempotency keys to orders
+-- Purpose: Let the client retry or replay an order (offline queue) without creating it twice
+-- Date: 2026-10-19
+
+-- Key generated by the client for one checkout attempt
+ALTER TABLE orders
+ADD COLUMN IF NOT EXISTS idempotency_key VARCHAR(64);
+
+COMMENT ON COLUMN orders.idempotency_key IS 'Client-generated key; createOrder returns the existing order when the same key is sent again';
+
+-- One order per key (orders created before this migration have none)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_orders_idempotency_key
+ON orders(idempotency_key)
+WHERE idempotency_key IS NOT NULL;
+
+-- Verify the migration
+SELECT column_name, data_type
+FROM information_schema.columns
+WHERE table_name = 'orders' AND column_name = 'idempotency_key';
@@ -0,0 +1,315 @@
+-- Migration: Add server-side order price verification
+-- Purpose: Recompute order prices, offer discount and Ordyrr Coins from the database instead of trusting the cart payload
+-- Date: 2026-10-19
+
+-- Offer discount for a set of verified order lines.
+-- Mirrors calculateOfferDiscount in src/utils/promotionUtils.js - keep them in step.
+-- p_items: [{ menu_item_id, category_id, unit_price, quantity }]
+CREATE OR REPLACE FUNCTION calculate_offer_discount(p_offer_id UUID, p_items JSONB)
+RETURNS DECIMAL AS $$
+DECLARE
+    v_offer RECORD;
+    v_lines JSONB;
+    v_eligible DECIMAL(10,2);
+    v_discount DECIMAL(10,2) := 0;
+    v_buy INTEGER;
+    v_get INTEGER;
+    v_percent_off DECIMAL;
+BEGIN
+    SELECT * INTO v_offer FROM offers WHERE id = p_offer_id;
+    IF NOT FOUND THEN
+        RETURN 0;
+    END IF;
+
+    SELECT COALESCE(jsonb_agg(line), '[]'::jsonb) INTO v_lines
+    FROM jsonb_array_elements(p_items) line
+    WHERE (COALESCE(cardinality(v_offer.applicable_item_ids), 0) = 0 AND COALESCE(cardinality(v_offer.applicable_category_ids), 0) = 0)
+       OR (line->>'menu_item_id')::UUID = ANY(COALESCE(v_offer.applicable_item_ids, '{}'))
+       OR (line->>'category_id')::UUID = ANY(COALESCE(v_offer.applicable_category_ids, '{}'));
+
+    SELECT COALESCE(SUM((line->>'unit_price')::DECIMAL * (line->>'quantity')::INTEGER), 0) INTO v_eligible
+    FROM jsonb_array_elements(v_lines) line;
+    IF v_eligible <= 0 THEN
+        RETURN 0;
+    END IF;
+
+    IF v_offer.discount_type = 'percentage' THEN
+        v_discount := ROUND(v_eligible * COALESCE(v_offer.discount_value, 0) / 100, 2);
+    ELSIF v_offer.discount_type = 'fixed' THEN
+        v_discount := COALESCE(v_offer.discount_value, 0);
+    ELSIF v_offer.discount_type = 'bogo' THEN
+        -- Units ranked by price; in every full group of buy + get units the
+        -- get cheapest ones are discounted
+        v_buy := GREATEST(1, COALESCE(v_offer.buy_quantity, 1));
+        v_get := GREATEST(1, COALESCE(v_offer.get_quantity, 1));
+        v_percent_off := COALESCE(v_offer.discount_value, 100);
+
+        SELECT COALESCE(SUM(ROUND(ranked.unit_price * v_percent_off / 100, 2)), 0) INTO v_discount
+        FROM (
+            SELECT (line->>'unit_price')::DECIMAL AS unit_price,
+                   ROW_NUMBER() OVER (ORDER BY (line->>'unit_price')::DECIMAL DESC) AS rank,
+                   COUNT(*) OVER () AS units
+            FROM jsonb_array_elements(v_lines) line,
+                 generate_series(1, GREATEST((line->>'quantity')::INTEGER, 0))
+        ) ranked
+        WHERE (ranked.rank - 1) % (v_buy + v_get) >= v_buy
+          AND ranked.rank <= (ranked.units / (v_buy + v_get)) * (v_buy + v_get);
+    END IF;
+
+    IF COALESCE(v_offer.max_discount_amount, 0) > 0 THEN
+        v_discount := LEAST(v_discount, v_offer.max_discount_amount);
+    END IF;
+
+    RETURN LEAST(v_discount, v_eligible);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Coin redemption limits come from the restaurant's loyalty rules
+-- (add_loyalty_rules.sql documents the keys)
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS loyalty_settings JSONB DEFAULT '{}'::jsonb;
+
+-- Check an order payload against the database before it is created.
+-- p_items: [{ menu_item_id, name, quantity, unit_price, modifiers: [{ group_id, option_id }] }]
+-- Returns { valid, issues: [{ code, line_index, menu_item_id, name, message, expected, received }],
+--           items: [{ menu_item_id, category_id, unit_price, quantity }], subtotal,
+--           offer_discount, coins_balance, max_coins_discount }
+-- Offer hours and weekdays are checked in India time, like the app.
+CREATE OR REPLACE FUNCTION verify_order_pricing(
+    p_restaurant_id UUID,
+    p_customer_id UUID,
+    p_items JSONB,
+    p_offer_id UUID DEFAULT NULL,
+    p_offer_discount DECIMAL DEFAULT 0,
+    p_coins_redeemed INTEGER DEFAULT 0,
+    p_coins_discount DECIMAL DEFAULT 0
+)
+RETURNS JSONB AS $$
+DECLARE
+    c_coins_per_rupee CONSTANT INTEGER := 10;
+
+    -- The restaurant's Ordyrr Coins rules (users.loyalty_settings); missing
+    -- keys fall back to the defaults CheckoutModal / CartSidebar use
+    v_loyalty JSONB;
+    v_loyalty_enabled BOOLEAN;
+    v_max_coins INTEGER;
+    v_max_coins_share DECIMAL;
+    v_min_coins_subtotal DECIMAL;
+
+    v_line JSONB;
+    v_index INTEGER := 0;
+    v_menu_item RECORD;
+    v_modifier JSONB;
+    v_option JSONB;
+    v_quantity INTEGER;
+    v_unit_price DECIMAL(10,2);
+    v_received DECIMAL(10,2);
+    v_subtotal DECIMAL(10,2) := 0;
+    v_issues JSONB := '[]'::jsonb;
+    v_items JSONB := '[]'::jsonb;
+
+    v_offer RECORD;
+    v_now TIMESTAMP := NOW() AT TIME ZONE 'Asia/Kolkata';
+    v_minute INTEGER;
+    v_from INTEGER;
+    v_until INTEGER;
+    v_offer_problem TEXT;
+    v_offer_discount DECIMAL(10,2) := 0;
+    v_total_uses BIGINT;
+    v_customer_uses BIGINT;
+
+    v_coins_balance INTEGER := 0;
+    v_max_coins_discount DECIMAL(10,2) := 0;
+BEGIN
+    SELECT COALESCE(loyalty_settings, '{}'::jsonb) INTO v_loyalty FROM users WHERE id = p_restaurant_id;
+    v_loyalty_enabled := COALESCE((v_loyalty->>'enabled')::BOOLEAN, true);
+    v_max_coins := COALESCE((v_loyalty->>'redeem_max_coins')::NUMERIC, 500)::INTEGER;
+    v_max_coins_share := LEAST(COALESCE((v_loyalty->>'redeem_max_percent')::DECIMAL, 5), 100) / 100;
+    v_min_coins_subtotal := COALESCE((v_loyalty->>'min_order_amount')::DECIMAL, 100);
+
+    IF p_items IS NULL OR jsonb_array_length(p_items) = 0 THEN
+        RETURN jsonb_build_object('valid', false, 'issues', jsonb_build_array(jsonb_build_object(
+            'code', 'EMPTY_ORDER', 'message', 'The order has no items')));
+    END IF;
+
+    -- Items: authoritative price, availability and modifiers
+    FOR v_line IN SELECT * FROM jsonb_array_elements(p_items) LOOP
+        v_received := COALESCE((v_line->>'unit_price')::DECIMAL, 0);
+        v_quantity := CASE WHEN (v_line->>'quantity') ~ '^\d+$' THEN (v_line->>'quantity')::INTEGER ELSE 0 END;
+
+        SELECT id, name, price, category_id, is_available, COALESCE(modifier_groups, '[]'::jsonb) AS modifier_groups
+        INTO v_menu_item
+        FROM menu_items
+        WHERE id = (v_line->>'menu_item_id')::UUID
+          AND restaurant_id = p_restaurant_id;
+
+        IF NOT FOUND THEN
+            v_issues := v_issues || jsonb_build_object(
+                'code', 'ITEM_NOT_FOUND', 'line_index', v_index, 'menu_item_id', v_line->>'menu_item_id',
+                'name', v_line->>'name', 'message', format('%s is no longer on the menu', COALESCE(v_line->>'name', 'An item')));
+            v_index := v_index + 1;
+            CONTINUE;
+        END IF;
+
+        IF v_menu_item.is_available IS NOT TRUE THEN
+            v_issues := v_issues || jsonb_build_object(
+                'code', 'ITEM_UNAVAILABLE', 'line_index', v_index, 'menu_item_id', v_menu_item.id,
+                'name', v_menu_item.name, 'message', format('%s is currently unavailable', v_menu_item.name));
+        END IF;
+
+        IF v_quantity < 1 OR v_quantity > 99 THEN
+            v_issues := v_issues || jsonb_build_object(
+                'code', 'INVALID_QUANTITY', 'line_index', v_index, 'menu_item_id', v_menu_item.id,
+                'name', v_menu_item.name, 'message', format('Invalid quantity for %s', v_menu_item.name),
+                'received', v_line->'quantity');
+        END IF;
+
+        v_unit_price := v_menu_item.price;
+        FOR v_modifier IN SELECT * FROM jsonb_array_elements(COALESCE(v_line->'modifiers', '[]'::jsonb)) LOOP
+            SELECT opt INTO v_option
+            FROM jsonb_array_elements(v_menu_item.modifier_groups) grp,
+                 jsonb_array_elements(COALESCE(grp->'options', '[]'::jsonb)) opt
+            WHERE grp->>'id' = v_modifier->>'group_id'
+              AND opt->>'id' = v_modifier->>'option_id'
+            LIMIT 1;
+
+            IF v_option IS NULL OR COALESCE((v_option->>'is_available')::BOOLEAN, true) = false THEN
+                v_issues := v_issues || jsonb_build_object(
+                    'code', 'MODIFIER_UNAVAILABLE', 'line_index', v_index, 'menu_item_id', v_menu_item.id,
+                    'name', v_menu_item.name,
+                    'message', format('%s: %s is no longer available', v_menu_item.name, COALESCE(v_modifier->>'option_name', 'an option')));
+            ELSE
+                v_unit_price := v_unit_price + COALESCE((v_option->>'price_delta')::DECIMAL, 0);
+            END IF;
+            v_option := NULL;
+        END LOOP;
+
+        IF ABS(v_unit_price - v_received) >= 0.01 THEN
+            v_issues := v_issues || jsonb_build_object(
+                'code', 'PRICE_MISMATCH', 'line_index', v_index, 'menu_item_id', v_menu_item.id,
+                'name', v_menu_item.name,
+                'message', format('%s now costs ₹%s (cart shows ₹%s)', v_menu_item.name, v_unit_price, v_received),
+                'expected', v_unit_price, 'received', v_received);
+        END IF;
+
+        v_subtotal := v_subtotal + v_unit_price * GREATEST(v_quantity, 0);
+        v_items := v_items || jsonb_build_object(
+            'menu_item_id', v_menu_item.id, 'category_id', v_menu_item.category_id,
+            'unit_price', v_unit_price, 'quantity', GREATEST(v_quantity, 0));
+        v_index := v_index + 1;
+    END LOOP;
+
+    -- Offer: same rules as promotionUtils.evaluateOffer
+    IF p_offer_id IS NOT NULL THEN
+        SELECT * INTO v_offer
+        FROM offers
+        WHERE id = p_offer_id
+          AND (restaurant_id = p_restaurant_id OR restaurant_id IS NULL);
+
+        IF NOT FOUND THEN
+            v_offer_problem := 'This offer is not valid at this restaurant';
+        ELSIF v_offer.is_active IS NOT TRUE THEN
+            v_offer_problem := 'This offer is no longer active';
+        ELSIF v_offer.starts_at IS NOT NULL AND NOW() < v_offer.starts_at THEN
+            v_offer_problem := 'This offer has not started yet';
+        ELSIF v_offer.ends_at IS NOT NULL AND NOW() > v_offer.ends_at THEN
+            v_offer_problem := 'This offer has expired';
+        ELSIF COALESCE(cardinality(v_offer.valid_days), 0) > 0 AND NOT (EXTRACT(DOW FROM v_now)::INTEGER = ANY(v_offer.valid_days)) THEN
+            v_offer_problem := 'This offer is not valid today';
+        ELSIF COALESCE(v_offer.min_order_amount, 0) > v_subtotal THEN
+            v_offer_problem := format('This offer needs a minimum order of ₹%s', v_offer.min_order_amount);
+        END IF;
+
+        IF v_offer_problem IS NULL AND v_offer.valid_from_time IS NOT NULL AND v_offer.valid_until_time IS NOT NULL THEN
+            v_minute := EXTRACT(HOUR FROM v_now)::INTEGER * 60 + EXTRACT(MINUTE FROM v_now)::INTEGER;
+            v_from := EXTRACT(HOUR FROM v_offer.valid_from_time)::INTEGER * 60 + EXTRACT(MINUTE FROM v_offer.valid_from_time)::INTEGER;
+            v_until := EXTRACT(HOUR FROM v_offer.valid_until_time)::INTEGER * 60 + EXTRACT(MINUTE FROM v_offer.valid_until_time)::INTEGER;
+            IF NOT (CASE WHEN v_from <= v_until
+                         THEN v_minute >= v_from AND v_minute < v_until
+                         ELSE v_minute >= v_from OR v_minute < v_until END) THEN
+                v_offer_problem := 'This offer is outside its hours';
+            END IF;
+        END IF;
+
+        IF v_offer_problem IS NULL AND (COALESCE(v_offer.usage_limit_total, 0) > 0 OR COALESCE(v_offer.usage_limit_per_customer, 0) > 0) THEN
+            SELECT COUNT(*), COUNT(*) FILTER (WHERE customer_id = p_customer_id)
+            INTO v_total_uses, v_customer_uses
+            FROM customer_offers
+            WHERE offer_id = p_offer_id;
+
+            IF p_customer_id IS NULL THEN
+                v_offer_problem := 'Log in to use this offer';
+            ELSIF COALESCE(v_offer.usage_limit_total, 0) > 0 AND v_total_uses >= v_offer.usage_limit_total THEN
+                v_offer_problem := 'This offer has been fully redeemed';
+            ELSIF COALESCE(v_offer.usage_limit_per_customer, 0) > 0 AND v_customer_uses >= v_offer.usage_limit_per_customer THEN
+                v_offer_problem := 'You have already used this offer';
+            END IF;
+        END IF;
+
+        IF v_offer_problem IS NULL THEN
+            v_offer_discount := calculate_offer_discount(p_offer_id, v_items);
+        END IF;
+    END IF;
+
+    IF COALESCE(p_offer_discount, 0) > 0 AND v_offer_problem IS NOT NULL THEN
+        v_issues := v_issues || jsonb_build_object(
+            'code', 'OFFER_INVALID', 'message', v_offer_problem,
+            'expected', 0, 'received', p_offer_discount);
+    ELSIF COALESCE(p_offer_discount, 0) > v_offer_discount + 0.005 THEN
+        v_issues := v_issues || jsonb_build_object(
+            'code', 'OFFER_DISCOUNT_MISMATCH',
+            'message', format('Your offer discount is ₹%s, not ₹%s', v_offer_discount, p_offer_discount),
+            'expected', v_offer_discount, 'received', p_offer_discount);
+    END IF;
+
+    -- Ordyrr Coins: real balance and redemption limits
+    IF COALESCE(p_coins_redeemed, 0) > 0 OR COALESCE(p_coins_discount, 0) > 0 THEN
+        IF p_customer_id IS NOT NULL THEN
+            SELECT COALESCE(SUM(COALESCE(points_earned, 0) - COALESCE(points_redeemed, 0)), 0)
+            INTO v_coins_balance
+            FROM loyalty_points
+            WHERE customer_id = p_customer_id
+              AND restaurant_id = p_restaurant_id;
+        END IF;
+
+        v_max_coins_discount := LEAST(v_subtotal * v_max_coins_share, LEAST(v_coins_balance, v_max_coins)::DECIMAL / c_coins_per_rupee);
+
+        IF p_customer_id IS NULL THEN
+            v_issues := v_issues || jsonb_build_object(
+                'code', 'COINS_NOT_ALLOWED', 'message', 'Log in to use Ordyrr Coins');
+        ELSIF NOT v_loyalty_enabled THEN
+            v_issues := v_issues || jsonb_build_object(
+                'code', 'COINS_NOT_ALLOWED', 'message', 'This restaurant does not accept Ordyrr Coins');
+        ELSIF v_subtotal < v_min_coins_subtotal THEN
+            v_issues := v_issues || jsonb_build_object(
+                'code', 'COINS_NOT_ALLOWED', 'message', format('Ordyrr Coins need a minimum order of ₹%s', v_min_coins_subtotal));
+        ELSIF p_coins_redeemed > v_coins_balance OR p_coins_redeemed > v_max_coins THEN
+            v_issues := v_issues || jsonb_build_object(
+                'code', 'COINS_EXCEEDED',
+                'message', format('You can redeem up to %s coins', LEAST(v_coins_balance, v_max_coins)),
+                'expected', LEAST(v_coins_balance, v_max_coins), 'received', p_coins_redeemed);
+        ELSIF p_coins_discount > v_max_coins_discount + 0.005
+           OR p_coins_redeemed < FLOOR(p_coins_discount * c_coins_per_rupee) - 1 THEN
+            v_issues := v_issues || jsonb_build_object(
+                'code', 'COINS_EXCEEDED',
+                'message', format('Ordyrr Coins can take at most ₹%s off this order', ROUND(v_max_coins_discount, 2)),
+                'expected', ROUND(v_max_coins_discount, 2), 'received', p_coins_discount);
+        END IF;
+    END IF;
+
+    RETURN jsonb_build_object(
+        'valid', jsonb_array_length(v_issues) = 0,
+        'issues', v_issues,
+        'items', v_items,
+        'subtotal', v_subtotal,
+        'offer_discount', v_offer_discount,
+        'coins_balance', v_coins_balance,
+        'max_coins_discount', ROUND(v_max_coins_discount, 2)
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+COMMENT ON FUNCTION verify_order_pricing IS 'Recomputes item prices, offer discount and coin redemption for an order payload and lists every mismatch';
+
+-- Verify the migration
+SELECT proname FROM pg_proc WHERE proname IN ('verify_order_pricing', 'calculate_offer_discount');
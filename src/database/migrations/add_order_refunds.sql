@@ -0,0 +1,360 @@
+-- Migration: Order refunds and goodwill credits
+-- Purpose: Full, item-level and goodwill refunds with reason and method, paid back through the payment gateway adapters
+-- Date: 2026-10-19
+-- Requires: add_payment_gateway_fields.sql, add_gst_tax_engine.sql, add_loyalty_wallet.sql
+
+-- Money refunded so far (processed refunds paid in cash or to the original payment)
+ALTER TABLE orders
+ADD COLUMN IF NOT EXISTS refunded_amount DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+-- One row per refund. Amounts are worked out here from the order, never
+-- taken from the browser. Mirrors calculateRefundQuote in refundUtils.js.
+CREATE TABLE IF NOT EXISTS order_refunds (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    restaurant_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    refund_type VARCHAR(20) NOT NULL CHECK (refund_type IN ('full', 'items', 'goodwill')),
+    method VARCHAR(20) NOT NULL CHECK (method IN ('original', 'cash', 'coins')),
+    amount DECIMAL(10,2) NOT NULL CHECK (amount > 0),
+    tip_amount DECIMAL(10,2) NOT NULL DEFAULT 0, -- Part of amount that was the tip
+    items JSONB NOT NULL DEFAULT '[]'::jsonb, -- [{ order_item_id, item_name, quantity, amount }]
+    coins_ratio DECIMAL(8,6) NOT NULL DEFAULT 0, -- Share of the order's coins to undo
+    coins_credited INTEGER NOT NULL DEFAULT 0, -- Goodwill paid as Ordyrr Coins
+    reason VARCHAR(50) NOT NULL,
+    note TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'processed', 'failed')),
+    payment_transaction_id UUID REFERENCES payment_transactions(id) ON DELETE SET NULL,
+    gateway TEXT,
+    gateway_refund_id TEXT,
+    gateway_response JSONB,
+    error TEXT,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    processed_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_refunds_order ON order_refunds(order_id);
+CREATE INDEX IF NOT EXISTS idx_order_refunds_restaurant ON order_refunds(restaurant_id, created_at DESC);
+
+-- Refunds are given by the owner (or a server job), never by staff or customers
+CREATE OR REPLACE FUNCTION can_refund_orders(p_restaurant_id UUID)
+RETURNS BOOLEAN AS $$
+    SELECT auth.role() = 'service_role' OR auth.uid() = p_restaurant_id;
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+ALTER TABLE order_refunds ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Owners read their refunds" ON order_refunds;
+CREATE POLICY "Owners read their refunds" ON order_refunds
+    FOR SELECT USING (can_refund_orders(restaurant_id));
+
+DROP POLICY IF EXISTS "Super admins read refunds" ON order_refunds;
+CREATE POLICY "Super admins read refunds" ON order_refunds
+    FOR SELECT USING (
+        EXISTS (SELECT 1 FROM users WHERE id = auth.uid() AND role = 'super_admin')
+    );
+
+-- Settle a refund: mark it processed or failed and, once processed, take it
+-- off the order (refunded amount, tip, payment status) and free the order's
+-- offer when the whole order has been refunded. Gateway refunds are settled
+-- by the payment-gateway function; the owner settles cash, coins and mock
+-- gateway refunds.
+CREATE OR REPLACE FUNCTION complete_order_refund(
+    p_refund_id UUID,
+    p_status TEXT,
+    p_gateway_refund_id TEXT DEFAULT NULL,
+    p_gateway_response JSONB DEFAULT NULL,
+    p_error TEXT DEFAULT NULL
+)
+RETURNS order_refunds AS $$
+DECLARE
+    v_refund order_refunds%ROWTYPE;
+    v_order RECORD;
+    v_refunded DECIMAL(10,2);
+BEGIN
+    IF p_status NOT IN ('processed', 'failed') THEN
+        RAISE EXCEPTION 'Unknown refund status %', p_status USING ERRCODE = 'P0001';
+    END IF;
+
+    SELECT * INTO v_refund FROM order_refunds WHERE id = p_refund_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Refund not found' USING ERRCODE = 'P0001';
+    END IF;
+
+    IF NOT (auth.role() = 'service_role'
+            OR (can_refund_orders(v_refund.restaurant_id) AND COALESCE(v_refund.gateway, 'mock') = 'mock')) THEN
+        RAISE EXCEPTION 'Not allowed to settle this refund' USING ERRCODE = '42501';
+    END IF;
+
+    -- Settled once; a retry gets the same row back
+    IF v_refund.status <> 'pending' THEN
+        RETURN v_refund;
+    END IF;
+
+    UPDATE order_refunds
+    SET status = p_status,
+        gateway_refund_id = COALESCE(p_gateway_refund_id, gateway_refund_id),
+        gateway_response = COALESCE(p_gateway_response, gateway_response),
+        error = p_error,
+        processed_at = CASE WHEN p_status = 'processed' THEN NOW() END
+    WHERE id = p_refund_id
+    RETURNING * INTO v_refund;
+
+    IF p_status = 'failed' OR v_refund.method = 'coins' THEN
+        RETURN v_refund;
+    END IF;
+
+    SELECT id, total_amount, tip_amount, refunded_amount INTO v_order
+    FROM orders WHERE id = v_refund.order_id FOR UPDATE;
+
+    v_refunded := COALESCE(v_order.refunded_amount, 0) + v_refund.amount;
+
+    UPDATE orders
+    SET refunded_amount = v_refunded,
+        -- Refunded tips leave the staff tip pool (add_tip_pooling_payroll.sql)
+        tip_amount = GREATEST(COALESCE(tip_amount, 0) - v_refund.tip_amount, 0),
+        payment_status = CASE WHEN v_refunded >= total_amount THEN 'refunded' ELSE 'partially_refunded' END,
+        updated_at = NOW()
+    WHERE id = v_refund.order_id;
+
+    IF v_refund.payment_transaction_id IS NOT NULL THEN
+        UPDATE payment_transactions
+        SET payment_status = 'refunded', updated_at = NOW()
+        WHERE id = v_refund.payment_transaction_id
+          AND amount <= (
+              SELECT COALESCE(SUM(amount), 0) FROM order_refunds
+              WHERE payment_transaction_id = v_refund.payment_transaction_id AND status = 'processed'
+          );
+    END IF;
+
+    -- A fully refunded order no longer counts towards its offer's usage limits
+    IF v_refund.refund_type = 'full' OR v_refunded >= v_order.total_amount THEN
+        DELETE FROM customer_offers WHERE order_id = v_refund.order_id;
+    END IF;
+
+    RETURN v_refund;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Record a refund.
+--   full     - everything not refunded yet, tip included
+--   items    - p_items [{ order_item_id, quantity }], each line at what the
+--              customer paid for it (after discounts, with its GST); the tip
+--              only when p_include_tip
+--   goodwill - p_amount, no items; as money, or as Ordyrr Coins (method 'coins')
+-- Money refunds can't exceed what was paid and not refunded yet. 'original'
+-- refunds go back to the order's online payment and stay pending until the
+-- gateway confirms them; cash and coins are settled straight away.
+CREATE OR REPLACE FUNCTION create_order_refund(
+    p_order_id UUID,
+    p_refund_type TEXT,
+    p_method TEXT,
+    p_reason TEXT,
+    p_note TEXT DEFAULT NULL,
+    p_items JSONB DEFAULT '[]'::jsonb,
+    p_amount DECIMAL DEFAULT NULL,
+    p_include_tip BOOLEAN DEFAULT false
+)
+RETURNS order_refunds AS $$
+DECLARE
+    v_order RECORD;
+    v_remaining DECIMAL(10,2);
+    v_remaining_tip DECIMAL(10,2);
+    v_amount DECIMAL(10,2) := 0;
+    v_tip DECIMAL(10,2) := 0;
+    v_items JSONB := '[]'::jsonb;
+    v_ratio DECIMAL := 0;
+    v_coins INTEGER := 0;
+    v_line RECORD;
+    v_transaction RECORD;
+    v_transaction_id UUID;
+    v_gateway TEXT;
+    v_refund order_refunds%ROWTYPE;
+BEGIN
+    SELECT * INTO v_order FROM orders WHERE id = p_order_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Order not found' USING ERRCODE = 'P0001';
+    END IF;
+
+    IF NOT can_refund_orders(v_order.restaurant_id) THEN
+        RAISE EXCEPTION 'Only the restaurant owner can refund orders' USING ERRCODE = '42501';
+    END IF;
+
+    IF p_refund_type NOT IN ('full', 'items', 'goodwill') OR p_method NOT IN ('original', 'cash', 'coins') THEN
+        RAISE EXCEPTION 'Unknown refund % / %', p_refund_type, p_method USING ERRCODE = 'P0001';
+    END IF;
+
+    IF COALESCE(TRIM(p_reason), '') = '' THEN
+        RAISE EXCEPTION 'Give a reason for the refund' USING ERRCODE = 'P0001';
+    END IF;
+
+    IF p_method = 'coins' AND (p_refund_type <> 'goodwill' OR v_order.customer_id IS NULL) THEN
+        RAISE EXCEPTION 'Only goodwill credits for signed-in customers can be given as Ordyrr Coins' USING ERRCODE = 'P0001';
+    END IF;
+
+    IF p_method <> 'coins' AND v_order.payment_status NOT IN ('completed', 'paid', 'partially_refunded') THEN
+        RAISE EXCEPTION 'Only paid orders can be refunded' USING ERRCODE = 'P0001';
+    END IF;
+
+    -- Pending refunds count too, so two refunds at once can't both pay out
+    SELECT
+        v_order.total_amount - COALESCE(SUM(amount), 0),
+        COALESCE(v_order.tip_amount, 0) - COALESCE(SUM(tip_amount) FILTER (WHERE status = 'pending'), 0)
+    INTO v_remaining, v_remaining_tip
+    FROM order_refunds
+    WHERE order_id = p_order_id AND status <> 'failed' AND method <> 'coins';
+
+    IF p_refund_type = 'full' THEN
+        v_amount := v_remaining;
+        v_tip := GREATEST(v_remaining_tip, 0);
+        v_ratio := 1;
+
+        SELECT COALESCE(jsonb_agg(jsonb_build_object(
+            'order_item_id', line.id, 'item_name', line.item_name, 'quantity', line.quantity_left, 'amount', line.amount_left
+        )), '[]'::jsonb)
+        INTO v_items
+        FROM (
+            SELECT oi.id, oi.item_name,
+                   oi.quantity - COALESCE(done.quantity, 0) AS quantity_left,
+                   COALESCE(oi.taxable_value, oi.total_price) + COALESCE(oi.tax_amount, 0) - COALESCE(done.amount, 0) AS amount_left
+            FROM order_items oi
+            LEFT JOIN (
+                SELECT (item->>'order_item_id')::UUID AS order_item_id,
+                       SUM((item->>'quantity')::INTEGER) AS quantity,
+                       SUM((item->>'amount')::DECIMAL) AS amount
+                FROM order_refunds r, jsonb_array_elements(r.items) AS item
+                WHERE r.order_id = p_order_id AND r.status <> 'failed'
+                GROUP BY 1
+            ) done ON done.order_item_id = oi.id
+            WHERE oi.order_id = p_order_id
+        ) line
+        WHERE line.quantity_left > 0;
+    ELSIF p_refund_type = 'items' THEN
+        IF jsonb_array_length(COALESCE(p_items, '[]'::jsonb)) = 0 THEN
+            RAISE EXCEPTION 'Pick the items to refund' USING ERRCODE = 'P0001';
+        END IF;
+
+        FOR v_line IN
+            SELECT oi.id, oi.item_name, oi.quantity, oi.total_price,
+                   COALESCE(oi.taxable_value, oi.total_price) + COALESCE(oi.tax_amount, 0) AS paid,
+                   wanted.quantity AS wanted,
+                   COALESCE(done.quantity, 0) AS done_quantity,
+                   COALESCE(done.amount, 0) AS done_amount
+            FROM (
+                SELECT (item->>'order_item_id')::UUID AS order_item_id, SUM((item->>'quantity')::INTEGER) AS quantity
+                FROM jsonb_array_elements(p_items) AS item
+                GROUP BY 1
+            ) wanted
+            LEFT JOIN order_items oi ON oi.id = wanted.order_item_id AND oi.order_id = p_order_id
+            LEFT JOIN (
+                SELECT (item->>'order_item_id')::UUID AS order_item_id,
+                       SUM((item->>'quantity')::INTEGER) AS quantity,
+                       SUM((item->>'amount')::DECIMAL) AS amount
+                FROM order_refunds r, jsonb_array_elements(r.items) AS item
+                WHERE r.order_id = p_order_id AND r.status <> 'failed'
+                GROUP BY 1
+            ) done ON done.order_item_id = wanted.order_item_id
+        LOOP
+            IF v_line.id IS NULL THEN
+                RAISE EXCEPTION 'Item is not on this order' USING ERRCODE = 'P0001';
+            END IF;
+            IF v_line.wanted < 1 OR v_line.wanted > v_line.quantity - v_line.done_quantity THEN
+                RAISE EXCEPTION 'Only % of % left to refund', v_line.quantity - v_line.done_quantity, v_line.item_name USING ERRCODE = 'P0001';
+            END IF;
+
+            -- The last units take whatever is left, so rounding never leaves a paisa behind
+            v_items := v_items || jsonb_build_object(
+                'order_item_id', v_line.id,
+                'item_name', v_line.item_name,
+                'quantity', v_line.wanted,
+                'amount', CASE
+                    WHEN v_line.wanted = v_line.quantity - v_line.done_quantity THEN v_line.paid - v_line.done_amount
+                    ELSE ROUND(v_line.paid * v_line.wanted / v_line.quantity, 2)
+                END
+            );
+            v_ratio := v_ratio + v_line.total_price * v_line.wanted / v_line.quantity / NULLIF(v_order.subtotal, 0);
+        END LOOP;
+
+        SELECT COALESCE(SUM((item->>'amount')::DECIMAL), 0) INTO v_amount FROM jsonb_array_elements(v_items) AS item;
+
+        IF p_include_tip THEN
+            v_tip := GREATEST(v_remaining_tip, 0);
+            v_amount := v_amount + v_tip;
+        END IF;
+
+        v_amount := LEAST(v_amount, v_remaining);
+        v_ratio := LEAST(COALESCE(v_ratio, 0), 1);
+    ELSE
+        v_amount := ROUND(COALESCE(p_amount, 0), 2);
+        IF p_method = 'coins' THEN
+            -- 10 coins = ₹1 (COINS_PER_RUPEE in loyaltyUtils.js)
+            v_coins := ROUND(v_amount * 10)::INTEGER;
+        END IF;
+    END IF;
+
+    IF v_amount <= 0 THEN
+        RAISE EXCEPTION 'Nothing left to refund on this order' USING ERRCODE = 'P0001';
+    END IF;
+
+    IF p_method <> 'coins' AND v_amount > v_remaining THEN
+        RAISE EXCEPTION 'Only ₹% of this order is left to refund', v_remaining USING ERRCODE = 'P0001';
+    END IF;
+
+    -- Back to the online payment with the most left on it
+    IF p_method = 'original' THEN
+        SELECT pt.id, pt.gateway, pt.amount - COALESCE(SUM(r.amount), 0) AS left_to_refund
+        INTO v_transaction
+        FROM payment_transactions pt
+        LEFT JOIN order_refunds r ON r.payment_transaction_id = pt.id AND r.status <> 'failed'
+        WHERE pt.order_id = p_order_id
+          AND pt.gateway IS NOT NULL
+          AND pt.payment_status = 'completed'
+        GROUP BY pt.id
+        ORDER BY 3 DESC
+        LIMIT 1;
+
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'This order was not paid online - refund it in cash' USING ERRCODE = 'P0001';
+        END IF;
+        IF v_transaction.left_to_refund < v_amount THEN
+            RAISE EXCEPTION 'The online payment only has ₹% left to refund - refund the rest in cash', v_transaction.left_to_refund USING ERRCODE = 'P0001';
+        END IF;
+
+        v_transaction_id := v_transaction.id;
+        v_gateway := v_transaction.gateway;
+    END IF;
+
+    INSERT INTO order_refunds (
+        order_id, restaurant_id, refund_type, method, amount, tip_amount, items, coins_ratio,
+        coins_credited, reason, note, payment_transaction_id, gateway, created_by
+    ) VALUES (
+        p_order_id, v_order.restaurant_id, p_refund_type, p_method, v_amount, v_tip, v_items, v_ratio,
+        v_coins, p_reason, NULLIF(TRIM(p_note), ''), v_transaction_id, v_gateway, auth.uid()
+    )
+    RETURNING * INTO v_refund;
+
+    IF p_method = 'coins' THEN
+        PERFORM post_loyalty_transaction(
+            v_order.restaurant_id,
+            v_order.customer_id,
+            'adjustment',
+            v_coins,
+            p_order_id,
+            'Goodwill credit on order #' || v_order.order_number,
+            'goodwill:' || v_refund.id
+        );
+    END IF;
+
+    IF p_method <> 'original' THEN
+        v_refund := complete_order_refund(v_refund.id, 'processed');
+    END IF;
+
+    RETURN v_refund;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Verify the migration
+SELECT column_name
+FROM information_schema.columns
+WHERE table_name = 'order_refunds'
+ORDER BY ordinal_position;
@@ -0,0 +1,112 @@
+-- Migration: Order SLAs and escalation
+-- Purpose: Time-to-accept / prepare / serve targets, stage timestamps, an SLA breach log and a customer ETA lookup
+-- Date: 2026-10-19
+
+-- Targets in minutes: { accept_minutes, prepare_minutes, serve_minutes, auto_reassign }
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS sla_settings JSONB DEFAULT '{}'::jsonb;
+
+COMMENT ON COLUMN users.sla_settings IS 'Order SLAs: {accept_minutes, prepare_minutes, serve_minutes, auto_reassign}';
+
+-- When an order reached each stage. started_at is already set on accept.
+ALTER TABLE orders
+ADD COLUMN IF NOT EXISTS ready_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE orders
+ADD COLUMN IF NOT EXISTS served_at TIMESTAMP WITH TIME ZONE;
+
+-- Stamp stage times on every status change, whichever screen made it
+CREATE OR REPLACE FUNCTION stamp_order_stage_times()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.status IS DISTINCT FROM OLD.status THEN
+        IF NEW.status IN ('accepted', 'confirmed', 'preparing') AND NEW.started_at IS NULL THEN
+            NEW.started_at := NOW();
+        ELSIF NEW.status = 'ready' AND NEW.ready_at IS NULL THEN
+            NEW.ready_at := NOW();
+        ELSIF NEW.status IN ('served', 'delivered', 'completed') AND NEW.served_at IS NULL THEN
+            NEW.served_at := NOW();
+        END IF;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_stamp_order_stage_times ON orders;
+CREATE TRIGGER trg_stamp_order_stage_times
+BEFORE UPDATE OF status ON orders
+FOR EACH ROW EXECUTE FUNCTION stamp_order_stage_times();
+
+-- Every missed target and what the sweeper did about it
+CREATE TABLE IF NOT EXISTS public.order_sla_breaches (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    restaurant_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    stage VARCHAR(20) NOT NULL CHECK (stage IN ('accept', 'prepare', 'serve')),
+    staff_id UUID REFERENCES users(id) ON DELETE SET NULL, -- Who had the order when it went late
+    due_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    breached_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    minutes_late NUMERIC(8,2) NOT NULL DEFAULT 0,
+    action VARCHAR(20) NOT NULL CHECK (action IN ('reassigned', 'escalated')),
+    reassigned_to UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- One breach per stage deadline: a reassignment starts a new accept
+-- deadline, and two open dashboards can't both act on the same one
+CREATE UNIQUE INDEX IF NOT EXISTS idx_order_sla_breaches_once
+ON public.order_sla_breaches(order_id, stage, due_at);
+
+CREATE INDEX IF NOT EXISTS idx_order_sla_breaches_recent
+ON public.order_sla_breaches(restaurant_id, breached_at DESC);
+
+ALTER TABLE public.order_sla_breaches ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Owners manage SLA breaches" ON public.order_sla_breaches;
+CREATE POLICY "Owners manage SLA breaches" ON public.order_sla_breaches
+FOR ALL USING (restaurant_id = auth.uid())
+WITH CHECK (restaurant_id = auth.uid());
+
+-- What a customer needs to work out their ETA: the order's stage times and
+-- the restaurant's stage targets. Customers can't read the restaurant row
+-- directly, and QR guests aren't signed in, so anyone holding the order ID
+-- (the public /order/:orderId page) may ask. Only timing fields go out: no
+-- customer, staff, table or amount details.
+CREATE OR REPLACE FUNCTION get_order_eta_inputs(p_order_id UUID)
+RETURNS JSONB AS $$
+DECLARE
+    v_order RECORD;
+BEGIN
+    SELECT o.status, o.created_at, o.assigned_at, o.started_at, o.ready_at, o.served_at,
+           o.estimated_preparation_time, COALESCE(r.sla_settings, '{}'::jsonb) AS sla_settings
+    INTO v_order
+    FROM orders o
+    JOIN users r ON r.id = o.restaurant_id
+    WHERE o.id = p_order_id;
+
+    IF NOT FOUND THEN
+        RETURN NULL;
+    END IF;
+
+    RETURN jsonb_build_object(
+        'status', v_order.status,
+        'created_at', v_order.created_at,
+        'assigned_at', v_order.assigned_at,
+        'started_at', v_order.started_at,
+        'ready_at', v_order.ready_at,
+        'served_at', v_order.served_at,
+        'estimated_preparation_time', v_order.estimated_preparation_time,
+        'settings', jsonb_build_object(
+            'accept_minutes', v_order.sla_settings->'accept_minutes',
+            'prepare_minutes', v_order.sla_settings->'prepare_minutes',
+            'serve_minutes', v_order.sla_settings->'serve_minutes'
+        )
+    );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+-- Verify the migration
+SELECT column_name
+FROM information_schema.columns
+WHERE (table_name = 'users' AND column_name = 'sla_settings')
+   OR (table_name = 'orders' AND column_name IN ('ready_at', 'served_at'));
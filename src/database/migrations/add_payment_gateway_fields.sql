@@ -0,0 +1,110 @@
+-- Migration: Add payment gateway fields to payment transactions
+-- Purpose: Record which gateway adapter took a payment and its gateway order id for verification and webhooks
+-- Date: 2026-10-19
+
+-- Gateway adapter that processed the payment: razorpay, stripe, upi, mock (NULL for cash)
+ALTER TABLE payment_transactions
+ADD COLUMN IF NOT EXISTS gateway TEXT;
+
+-- Razorpay order id / Stripe checkout session id - webhooks are matched on this
+ALTER TABLE payment_transactions
+ADD COLUMN IF NOT EXISTS gateway_order_id TEXT;
+
+COMMENT ON COLUMN payment_transactions.gateway IS 'Payment gateway adapter: razorpay, stripe, upi, mock or NULL for cash';
+COMMENT ON COLUMN payment_transactions.gateway_order_id IS 'Gateway-side order / checkout session id used for verification and webhooks';
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payment_transactions_gateway_order
+ON payment_transactions(gateway_order_id)
+WHERE gateway_order_id IS NOT NULL;
+
+-- Owner or staff of a restaurant - the people who collect cash at its tables
+CREATE OR REPLACE FUNCTION can_collect_payments(p_restaurant_id UUID)
+RETURNS BOOLEAN AS $$
+    SELECT auth.uid() = p_restaurant_id
+        OR EXISTS (
+            SELECT 1 FROM users
+            WHERE id = auth.uid() AND role = 'staff' AND restaurant_id = p_restaurant_id
+        );
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- The mock adapter settles in the browser, so it only works on databases
+-- that opt in (local and staging):
+--   ALTER DATABASE postgres SET app.allow_mock_payments = 'on';
+CREATE OR REPLACE FUNCTION mock_payments_allowed()
+RETURNS BOOLEAN AS $$
+    SELECT COALESCE(current_setting('app.allow_mock_payments', true), '') = 'on';
+$$ LANGUAGE sql STABLE;
+
+-- "Staff can update payment status" (workflow_enhancement_schema.sql) lets
+-- any client update payment rows. Gateway payments are marked paid by the
+-- payment-gateway function (service role) only; browsers may complete cash
+-- payments their restaurant collected, and mock payments where allowed.
+-- Paid rows stay paid unless the restaurant changes them.
+CREATE OR REPLACE FUNCTION guard_payment_transaction_status()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_restaurant_id UUID;
+BEGIN
+    -- Direct database sessions (no JWT) and the service role
+    IF auth.role() IS NULL OR auth.role() = 'service_role' THEN
+        RETURN NEW;
+    END IF;
+
+    SELECT restaurant_id INTO v_restaurant_id FROM orders WHERE id = NEW.order_id;
+
+    IF TG_OP = 'UPDATE' AND OLD.payment_status = 'completed' THEN
+        IF NEW.payment_status IS DISTINCT FROM 'completed' AND NOT can_collect_payments(v_restaurant_id) THEN
+            RAISE EXCEPTION 'This payment is already paid' USING ERRCODE = '42501';
+        END IF;
+        RETURN NEW;
+    END IF;
+
+    IF NEW.payment_status IS DISTINCT FROM 'completed' THEN
+        RETURN NEW;
+    END IF;
+
+    IF NEW.gateway = 'mock' THEN
+        IF mock_payments_allowed() THEN
+            RETURN NEW;
+        END IF;
+        RAISE EXCEPTION 'Mock payments are disabled on this database' USING ERRCODE = '42501';
+    END IF;
+
+    IF NEW.gateway IS NULL AND NEW.payment_method = 'cash' AND can_collect_payments(v_restaurant_id) THEN
+        RETURN NEW;
+    END IF;
+
+    RAISE EXCEPTION 'Only the payment gateway or restaurant staff can mark this payment paid' USING ERRCODE = '42501';
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS guard_payment_transaction_status ON payment_transactions;
+CREATE TRIGGER guard_payment_transaction_status
+BEFORE INSERT OR UPDATE OF payment_status, payment_method, gateway ON payment_transactions
+FOR EACH ROW EXECUTE FUNCTION guard_payment_transaction_status();
+
+-- Orders are marked paid by the same people
+CREATE OR REPLACE FUNCTION guard_order_payment_status()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF auth.role() IS NULL OR auth.role() = 'service_role'
+       OR NEW.payment_status IS DISTINCT FROM 'completed'
+       OR (TG_OP = 'UPDATE' AND OLD.payment_status = 'completed')
+       OR can_collect_payments(NEW.restaurant_id)
+       OR mock_payments_allowed() THEN
+        RETURN NEW;
+    END IF;
+
+    RAISE EXCEPTION 'Only the payment gateway or restaurant staff can mark this order paid' USING ERRCODE = '42501';
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS guard_order_payment_status ON orders;
+CREATE TRIGGER guard_order_payment_status
+BEFORE INSERT OR UPDATE OF payment_status ON orders
+FOR EACH ROW EXECUTE FUNCTION guard_order_payment_status();
+
+-- Verify the migration
+SELECT gateway, payment_status, COUNT(*) AS transactions
+FROM payment_transactions
+GROUP BY gateway, payment_status;
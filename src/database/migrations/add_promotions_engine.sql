@@ -0,0 +1,111 @@
+-- Migration: Add configurable promotions and coupons
+-- Purpose: Let owners create coupon codes and automatic offers instead of the hard-wired FIRST_ORDER_10
+-- Date: 2026-10-19
+
+-- Owning restaurant (NULL = platform-wide offer such as FIRST_ORDER_10)
+ALTER TABLE offers
+ADD COLUMN IF NOT EXISTS restaurant_id UUID;
+
+ALTER TABLE offers
+ADD COLUMN IF NOT EXISTS title VARCHAR(255);
+
+ALTER TABLE offers
+ADD COLUMN IF NOT EXISTS description TEXT;
+
+-- Applied without a code when the cart qualifies
+ALTER TABLE offers
+ADD COLUMN IF NOT EXISTS is_automatic BOOLEAN DEFAULT false;
+
+-- Discount types: percentage, fixed, bogo (buy X get Y)
+ALTER TABLE offers
+ADD COLUMN IF NOT EXISTS buy_quantity INTEGER DEFAULT 1;
+
+ALTER TABLE offers
+ADD COLUMN IF NOT EXISTS get_quantity INTEGER DEFAULT 1;
+
+ALTER TABLE offers DROP CONSTRAINT IF EXISTS offers_discount_type_check;
+ALTER TABLE offers
+ADD CONSTRAINT offers_discount_type_check CHECK (discount_type IN ('percentage', 'fixed', 'bogo'));
+
+-- Schedule
+ALTER TABLE offers
+ADD COLUMN IF NOT EXISTS starts_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE offers
+ADD COLUMN IF NOT EXISTS ends_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE offers
+ADD COLUMN IF NOT EXISTS valid_days INTEGER[] DEFAULT '{}';
+
+ALTER TABLE offers
+ADD COLUMN IF NOT EXISTS valid_from_time TIME;
+
+ALTER TABLE offers
+ADD COLUMN IF NOT EXISTS valid_until_time TIME;
+
+-- Usage limits (counted from customer_offers)
+ALTER TABLE offers
+ADD COLUMN IF NOT EXISTS usage_limit_total INTEGER;
+
+ALTER TABLE offers
+ADD COLUMN IF NOT EXISTS usage_limit_per_customer INTEGER;
+
+-- Scope
+ALTER TABLE offers
+ADD COLUMN IF NOT EXISTS applicable_item_ids UUID[] DEFAULT '{}';
+
+ALTER TABLE offers
+ADD COLUMN IF NOT EXISTS applicable_category_ids UUID[] DEFAULT '{}';
+
+COMMENT ON COLUMN offers.restaurant_id IS 'Restaurant owner users.id; NULL for platform-wide offers';
+COMMENT ON COLUMN offers.is_automatic IS 'Applied without a coupon code whenever the cart qualifies';
+COMMENT ON COLUMN offers.discount_value IS 'Percent or rupees off; for bogo the percent off the free items (100 = free)';
+COMMENT ON COLUMN offers.valid_days IS 'Weekdays the offer runs (0 = Sunday); empty = every day';
+COMMENT ON COLUMN offers.valid_from_time IS 'Daily window start (happy hour); a window may run past midnight';
+COMMENT ON COLUMN offers.applicable_item_ids IS 'Menu items the discount applies to; empty with no categories = whole cart';
+
+-- FIRST_ORDER_10 keeps working as an automatic once-per-customer offer
+UPDATE offers
+SET is_automatic = true,
+    usage_limit_per_customer = COALESCE(usage_limit_per_customer, 1),
+    title = COALESCE(title, 'First order discount')
+WHERE offer_code = 'FIRST_ORDER_10';
+
+-- Which offer an order used
+ALTER TABLE orders
+ADD COLUMN IF NOT EXISTS offer_id UUID REFERENCES offers(id) ON DELETE SET NULL;
+
+ALTER TABLE orders
+ADD COLUMN IF NOT EXISTS offer_discount DECIMAL(10,2) DEFAULT 0;
+
+COMMENT ON COLUMN orders.offer_id IS 'Offer (coupon or automatic) applied to the order';
+COMMENT ON COLUMN orders.offer_discount IS 'Part of discount_amount that came from the offer (the rest is Ordyrr Coins)';
+
+CREATE INDEX IF NOT EXISTS idx_offers_restaurant ON offers(restaurant_id, is_active);
+CREATE INDEX IF NOT EXISTS idx_customer_offers_offer ON customer_offers(offer_id, customer_id);
+
+-- Usage counts for the engine. customer_offers is only readable per customer,
+-- so global counts come from here.
+CREATE OR REPLACE FUNCTION get_offer_usage(p_offer_ids UUID[], p_customer_id UUID DEFAULT NULL)
+RETURNS TABLE(offer_id UUID, total_uses BIGINT, customer_uses BIGINT) AS $$
+    SELECT co.offer_id,
+           COUNT(*) AS total_uses,
+           COUNT(*) FILTER (WHERE co.customer_id = p_customer_id) AS customer_uses
+    FROM customer_offers co
+    WHERE co.offer_id = ANY(p_offer_ids)
+    GROUP BY co.offer_id;
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- Owners manage their own offers; customers read active ones
+DROP POLICY IF EXISTS "Owners manage their offers" ON offers;
+CREATE POLICY "Owners manage their offers" ON offers
+FOR ALL USING (restaurant_id = auth.uid()) WITH CHECK (restaurant_id = auth.uid());
+
+DROP POLICY IF EXISTS "Anyone can read active offers" ON offers;
+CREATE POLICY "Anyone can read active offers" ON offers
+FOR SELECT USING (is_active = true);
+
+-- Verify the migration
+SELECT offer_code, discount_type, is_automatic, usage_limit_per_customer, restaurant_id
+FROM offers
+ORDER BY created_at;
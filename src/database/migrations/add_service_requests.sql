@@ -0,0 +1,126 @@
+-- Migration: Table service requests
+-- Purpose: Let seated customers ask for water, cutlery, the bill or help, and track how fast staff respond
+-- Date: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS public.service_requests (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    restaurant_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    table_id UUID NOT NULL REFERENCES public.tables(id) ON DELETE CASCADE,
+    session_id VARCHAR(255), -- customer's menu session, for status updates back to them
+    order_id UUID REFERENCES orders(id) ON DELETE SET NULL,
+    request_type VARCHAR(20) NOT NULL CHECK (request_type IN ('water', 'cutlery', 'bill', 'assistance')),
+    note TEXT,
+    customer_name VARCHAR(255),
+    source VARCHAR(20) NOT NULL DEFAULT 'menu' CHECK (source IN ('menu', 'support_chat')),
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'acknowledged', 'resolved', 'cancelled')),
+    -- Staff looking after the table's open order when the request came in (NULL = everyone)
+    assigned_staff_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    acknowledged_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    acknowledged_at TIMESTAMP WITH TIME ZONE,
+    resolved_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    resolved_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+COMMENT ON TABLE public.service_requests IS 'Customer requests from the table (water, cutlery, bill, assistance) and how staff handled them';
+
+-- One open request per table session and type, so repeated taps don't page
+-- staff twice but a new party at the table isn't handed the last one's request
+DROP INDEX IF EXISTS idx_service_requests_open;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_service_requests_open
+ON public.service_requests(table_id, COALESCE(session_id, ''), request_type)
+WHERE status IN ('pending', 'acknowledged');
+
+CREATE INDEX IF NOT EXISTS idx_service_requests_restaurant ON public.service_requests(restaurant_id, status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_service_requests_staff ON public.service_requests(acknowledged_by, created_at DESC);
+
+-- Raise a request from the table. Runs as definer so guests can't read other
+-- tables' requests; the session's open request is returned if one already exists.
+CREATE OR REPLACE FUNCTION create_service_request(
+    p_restaurant_id UUID,
+    p_table_id UUID,
+    p_request_type TEXT,
+    p_session_id TEXT DEFAULT NULL,
+    p_note TEXT DEFAULT NULL,
+    p_customer_name TEXT DEFAULT NULL,
+    p_source TEXT DEFAULT 'menu'
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_order RECORD;
+    v_request public.service_requests;
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM tables WHERE id = p_table_id AND restaurant_id = p_restaurant_id) THEN
+        RAISE EXCEPTION 'Table not found' USING ERRCODE = 'P0002';
+    END IF;
+
+    SELECT * INTO v_request
+    FROM service_requests
+    WHERE table_id = p_table_id
+      AND session_id IS NOT DISTINCT FROM p_session_id
+      AND request_type = p_request_type
+      AND status IN ('pending', 'acknowledged');
+
+    IF FOUND THEN
+        RETURN jsonb_build_object('request', to_jsonb(v_request), 'duplicate', true);
+    END IF;
+
+    -- Whoever serves the table's latest open order gets the request
+    SELECT id, assigned_staff_id INTO v_order
+    FROM orders
+    WHERE table_id = p_table_id
+      AND status NOT IN ('completed', 'cancelled')
+    ORDER BY created_at DESC
+    LIMIT 1;
+
+    INSERT INTO service_requests (
+        restaurant_id, table_id, session_id, order_id, request_type, note, customer_name, source, assigned_staff_id
+    ) VALUES (
+        p_restaurant_id, p_table_id, p_session_id, v_order.id, p_request_type,
+        NULLIF(left(trim(COALESCE(p_note, '')), 200), ''), p_customer_name, p_source, v_order.assigned_staff_id
+    )
+    RETURNING * INTO v_request;
+
+    RETURN jsonb_build_object('request', to_jsonb(v_request), 'duplicate', false);
+EXCEPTION
+    -- Two taps at the same moment: the other one won
+    WHEN unique_violation THEN
+        SELECT * INTO v_request
+        FROM service_requests
+        WHERE table_id = p_table_id
+          AND session_id IS NOT DISTINCT FROM p_session_id
+          AND request_type = p_request_type
+          AND status IN ('pending', 'acknowledged');
+        RETURN jsonb_build_object('request', to_jsonb(v_request), 'duplicate', true);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- A guest's own open and recent requests at their table
+CREATE OR REPLACE FUNCTION get_session_service_requests(p_table_id UUID, p_session_id TEXT)
+RETURNS SETOF public.service_requests AS $$
+    SELECT *
+    FROM service_requests
+    WHERE table_id = p_table_id
+      AND session_id = p_session_id
+      AND created_at > NOW() - INTERVAL '12 hours'
+    ORDER BY created_at DESC;
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+ALTER TABLE public.service_requests ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Owners manage their service requests" ON public.service_requests;
+CREATE POLICY "Owners manage their service requests" ON public.service_requests
+FOR ALL USING (restaurant_id = auth.uid()) WITH CHECK (restaurant_id = auth.uid());
+
+DROP POLICY IF EXISTS "Staff manage restaurant service requests" ON public.service_requests;
+CREATE POLICY "Staff manage restaurant service requests" ON public.service_requests
+FOR ALL USING (
+    restaurant_id IN (SELECT restaurant_id FROM users WHERE id = auth.uid() AND role = 'staff')
+);
+
+-- Verify the migration
+SELECT request_type, status, COUNT(*) AS requests
+FROM public.service_requests
+GROUP BY request_type, status;
@@ -0,0 +1,147 @@
+-- Migration: Add split bills and per-share partial payments
+-- Purpose: Let a table split its combined bill (equally, by item or custom amounts) and pay each share separately
+-- Date: 2026-10-19
+
+-- One row per split of a table session's bill
+CREATE TABLE IF NOT EXISTS public.bill_splits (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    restaurant_id UUID NOT NULL,
+    table_id UUID REFERENCES public.tables(id) ON DELETE CASCADE,
+    session_id VARCHAR(255) NOT NULL, -- customer_sessions.session_id
+    method VARCHAR(20) NOT NULL CHECK (method IN ('equal', 'by_item', 'custom')),
+    total_amount DECIMAL(10,2) NOT NULL,
+    share_count INTEGER NOT NULL,
+    order_ids UUID[] NOT NULL DEFAULT '{}', -- orders covered by the split
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'settled', 'cancelled')),
+    settled_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+COMMENT ON TABLE public.bill_splits IS 'Split of a table session bill; each share is a partial payment_transactions row';
+
+-- Each share is a partial payment
+ALTER TABLE payment_transactions
+ADD COLUMN IF NOT EXISTS is_partial BOOLEAN DEFAULT false;
+
+ALTER TABLE payment_transactions
+ADD COLUMN IF NOT EXISTS split_id UUID REFERENCES public.bill_splits(id) ON DELETE CASCADE;
+
+ALTER TABLE payment_transactions
+ADD COLUMN IF NOT EXISTS share_index INTEGER;
+
+ALTER TABLE payment_transactions
+ADD COLUMN IF NOT EXISTS share_label TEXT;
+
+ALTER TABLE payment_transactions
+ADD COLUMN IF NOT EXISTS share_items JSONB DEFAULT '[]'::jsonb;
+
+COMMENT ON COLUMN payment_transactions.is_partial IS 'True for split-bill shares that cover part of a table bill';
+COMMENT ON COLUMN payment_transactions.split_id IS 'bill_splits row this share belongs to';
+COMMENT ON COLUMN payment_transactions.share_label IS 'Who the share is for, e.g. Guest 2';
+COMMENT ON COLUMN payment_transactions.share_items IS 'Items paid by this share for by-item splits: [{id, item_name, quantity, shared_with, amount}]';
+
+CREATE INDEX IF NOT EXISTS idx_bill_splits_session ON public.bill_splits(session_id, status);
+CREATE INDEX IF NOT EXISTS idx_bill_splits_table ON public.bill_splits(table_id, status);
+CREATE INDEX IF NOT EXISTS idx_payment_transactions_split ON payment_transactions(split_id);
+
+-- Table guests split without logging in. A split may only be written for an
+-- active table session, covering orders placed in that session.
+CREATE OR REPLACE FUNCTION bill_split_matches_session(
+    p_session_id TEXT,
+    p_restaurant_id UUID,
+    p_table_id UUID,
+    p_order_ids UUID[]
+)
+RETURNS BOOLEAN AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM customer_sessions cs
+        WHERE cs.session_id = p_session_id
+          AND cs.restaurant_id = p_restaurant_id
+          AND cs.table_id = p_table_id
+          AND cs.status = 'active'
+    )
+    AND NOT EXISTS (
+        SELECT 1 FROM unnest(p_order_ids) AS split_order(id)
+        WHERE NOT EXISTS (
+            SELECT 1 FROM orders o
+            WHERE o.id = split_order.id AND o.session_id = p_session_id
+        )
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- Owner or staff of the restaurant
+CREATE OR REPLACE FUNCTION can_manage_bill_splits(p_restaurant_id UUID)
+RETURNS BOOLEAN AS $$
+    SELECT auth.uid() = p_restaurant_id
+        OR EXISTS (
+            SELECT 1 FROM users
+            WHERE id = auth.uid() AND role = 'staff' AND restaurant_id = p_restaurant_id
+        );
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+ALTER TABLE public.bill_splits ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Public access to bill splits" ON public.bill_splits;
+DROP POLICY IF EXISTS "Anyone can view bill splits" ON public.bill_splits;
+DROP POLICY IF EXISTS "Restaurant staff manage bill splits" ON public.bill_splits;
+DROP POLICY IF EXISTS "Table sessions split their own bill" ON public.bill_splits;
+DROP POLICY IF EXISTS "Table sessions close their own split" ON public.bill_splits;
+DROP POLICY IF EXISTS "Table sessions remove a split that failed to save" ON public.bill_splits;
+
+CREATE POLICY "Anyone can view bill splits" ON public.bill_splits
+FOR SELECT USING (true);
+
+CREATE POLICY "Restaurant staff manage bill splits" ON public.bill_splits
+FOR ALL USING (can_manage_bill_splits(restaurant_id))
+WITH CHECK (can_manage_bill_splits(restaurant_id));
+
+CREATE POLICY "Table sessions split their own bill" ON public.bill_splits
+FOR INSERT WITH CHECK (
+    status = 'open'
+    AND bill_split_matches_session(session_id, restaurant_id, table_id, order_ids)
+);
+
+-- Guests cancel a split to re-split, and settle it once every share is paid
+CREATE POLICY "Table sessions close their own split" ON public.bill_splits
+FOR UPDATE USING (
+    status = 'open'
+    AND bill_split_matches_session(session_id, restaurant_id, table_id, order_ids)
+)
+WITH CHECK (
+    bill_split_matches_session(session_id, restaurant_id, table_id, order_ids)
+    AND (
+        status = 'cancelled'
+        OR (status = 'settled' AND NOT EXISTS (
+            SELECT 1 FROM payment_transactions pt
+            WHERE pt.split_id = bill_splits.id AND pt.payment_status <> 'completed'
+        ))
+    )
+);
+
+CREATE POLICY "Table sessions remove a split that failed to save" ON public.bill_splits
+FOR DELETE USING (
+    status = 'open'
+    AND bill_split_matches_session(session_id, restaurant_id, table_id, order_ids)
+    AND NOT EXISTS (SELECT 1 FROM payment_transactions pt WHERE pt.split_id = bill_splits.id)
+);
+
+-- Re-splitting removes the old shares, but only while they are unpaid and
+-- the split is still open for its session
+DROP POLICY IF EXISTS "Unpaid split shares can be replaced" ON public.payment_transactions;
+CREATE POLICY "Unpaid split shares can be replaced" ON public.payment_transactions
+FOR DELETE USING (
+    split_id IS NOT NULL
+    AND payment_status = 'pending'
+    AND EXISTS (
+        SELECT 1 FROM bill_splits bs
+        WHERE bs.id = payment_transactions.split_id
+          AND bs.status = 'open'
+          AND (can_manage_bill_splits(bs.restaurant_id)
+               OR bill_split_matches_session(bs.session_id, bs.restaurant_id, bs.table_id, bs.order_ids))
+    )
+);
+
+-- Verify the migration
+SELECT status, COUNT(*) AS splits
+FROM public.bill_splits
+GROUP BY status;
@@ -0,0 +1,132 @@
+-- Migration: Workload-aware staff assignment
+-- Purpose: Assignment settings, staff sections, live workload for the assignment engine and an audit log of every decision
+-- Date: 2026-10-19
+
+-- Engine settings: { strategy, max_concurrent_orders, section_priority, eligible_positions }
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS assignment_settings JSONB DEFAULT '{}'::jsonb;
+
+-- Staff: sections they look after (matched against tables.location) and
+-- when they last got an order (round-robin)
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS sections TEXT[] DEFAULT '{}';
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS last_assigned_at TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON COLUMN users.assignment_settings IS 'Auto-assignment: {strategy: balanced|round_robin, max_concurrent_orders, section_priority, eligible_positions}';
+COMMENT ON COLUMN users.sections IS 'Staff: table sections they serve, matched against tables.location';
+
+-- Why each order went to whom
+CREATE TABLE IF NOT EXISTS public.staff_assignment_log (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    restaurant_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    order_id UUID REFERENCES orders(id) ON DELETE CASCADE,
+    staff_id UUID REFERENCES users(id) ON DELETE SET NULL, -- NULL when nobody could take it
+    source VARCHAR(20) NOT NULL DEFAULT 'auto' CHECK (source IN ('auto', 'reassign')),
+    strategy VARCHAR(20),
+    score NUMERIC(8,2),
+    reason TEXT NOT NULL,
+    candidates JSONB DEFAULT '[]'::jsonb, -- [{ staff_id, name, score, eligible, reasons }]
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_staff_assignment_log_recent
+ON public.staff_assignment_log(restaurant_id, created_at DESC);
+
+-- Staff the engine can choose from, with their live workload. Customers
+-- place orders too, so this runs as a function rather than through RLS.
+-- Returns: { settings, table_section, tracking, candidates: [...] }
+CREATE OR REPLACE FUNCTION get_assignment_candidates(
+    p_restaurant_id UUID,
+    p_table_id UUID DEFAULT NULL
+)
+RETURNS JSONB AS $$
+    SELECT jsonb_build_object(
+        'settings', COALESCE((SELECT assignment_settings FROM users WHERE id = p_restaurant_id), '{}'::jsonb),
+        'table_section', (SELECT location FROM tables WHERE id = p_table_id AND restaurant_id = p_restaurant_id),
+        'tracking', EXISTS (SELECT 1 FROM staff_attendance WHERE restaurant_id = p_restaurant_id),
+        'candidates', COALESCE((
+            SELECT jsonb_agg(jsonb_build_object(
+                'id', s.id,
+                'full_name', s.full_name,
+                'position', s.position,
+                'sections', COALESCE(s.sections, '{}'),
+                'is_available', COALESCE(s.is_available, false),
+                'last_assigned_at', s.last_assigned_at,
+                'on_shift', EXISTS (
+                    SELECT 1 FROM staff_attendance a
+                    WHERE a.staff_id = s.id AND a.clock_out_at IS NULL
+                      AND NOT EXISTS (
+                          SELECT 1 FROM staff_breaks b
+                          WHERE b.attendance_id = a.id AND b.ended_at IS NULL
+                      )
+                ),
+                'active_orders', (
+                    SELECT COUNT(*) FROM orders o
+                    WHERE o.assigned_staff_id = s.id
+                      AND o.status IN ('pending', 'assigned', 'accepted', 'confirmed', 'preparing', 'ready')
+                ),
+                'orders_today', (
+                    SELECT COUNT(*) FROM orders o
+                    WHERE o.assigned_staff_id = s.id
+                      AND o.created_at >= date_trunc('day', NOW())
+                )
+            ) ORDER BY s.full_name)
+            FROM users s
+            WHERE s.restaurant_id = p_restaurant_id
+              AND s.role = 'staff'
+              AND s.approved_at IS NOT NULL
+              AND COALESCE(s.is_active, true)
+        ), '[]'::jsonb)
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- Save an engine decision and move the chosen staff member to the back of
+-- the round-robin queue
+CREATE OR REPLACE FUNCTION record_staff_assignment(
+    p_restaurant_id UUID,
+    p_order_id UUID,
+    p_staff_id UUID,
+    p_source VARCHAR,
+    p_strategy VARCHAR,
+    p_score NUMERIC,
+    p_reason TEXT,
+    p_candidates JSONB
+)
+RETURNS UUID AS $$
+DECLARE
+    v_log_id UUID;
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM orders WHERE id = p_order_id AND restaurant_id = p_restaurant_id) THEN
+        RAISE EXCEPTION 'Order not found' USING ERRCODE = 'P0002';
+    END IF;
+
+    INSERT INTO staff_assignment_log (
+        restaurant_id, order_id, staff_id, source, strategy, score, reason, candidates
+    ) VALUES (
+        p_restaurant_id, p_order_id, p_staff_id, COALESCE(p_source, 'auto'), p_strategy, p_score,
+        LEFT(p_reason, 500), COALESCE(p_candidates, '[]'::jsonb)
+    )
+    RETURNING id INTO v_log_id;
+
+    IF p_staff_id IS NOT NULL THEN
+        UPDATE users SET last_assigned_at = NOW()
+        WHERE id = p_staff_id AND restaurant_id = p_restaurant_id;
+    END IF;
+
+    RETURN v_log_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Owners read the audit log; writes go through record_staff_assignment
+ALTER TABLE public.staff_assignment_log ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Owners read assignment log" ON public.staff_assignment_log;
+CREATE POLICY "Owners read assignment log" ON public.staff_assignment_log
+FOR SELECT USING (restaurant_id = auth.uid());
+
+-- Verify the migration
+SELECT column_name
+FROM information_schema.columns
+WHERE table_name = 'users' AND column_name IN ('assignment_settings', 'sections', 'last_assigned_at');
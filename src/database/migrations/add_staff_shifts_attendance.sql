@@ -0,0 +1,291 @@
+-- Migration: Staff shifts, clock-in/out and attendance
+-- Purpose: Weekly rota, clock-in/out with breaks (optionally geofenced), timesheets from hourly_rate, and on-shift-only auto assignment
+-- Date: 2026-10-19
+
+-- Needed for the no-overlap constraint on a staff member's shifts
+CREATE EXTENSION IF NOT EXISTS btree_gist;
+
+-- Clock-in rules: { geofence_enabled, latitude, longitude, radius_meters, early_clock_in_minutes }
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS attendance_settings JSONB DEFAULT '{}'::jsonb;
+
+COMMENT ON COLUMN users.attendance_settings IS 'Clock-in rules: {geofence_enabled, latitude, longitude, radius_meters, early_clock_in_minutes}';
+
+-- Rota: planned shifts
+CREATE TABLE IF NOT EXISTS public.staff_shifts (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    restaurant_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    staff_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    starts_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    ends_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    notes TEXT,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (ends_at > starts_at)
+);
+
+-- A staff member can't be rostered twice at the same time
+ALTER TABLE public.staff_shifts DROP CONSTRAINT IF EXISTS staff_shifts_no_overlap;
+ALTER TABLE public.staff_shifts
+ADD CONSTRAINT staff_shifts_no_overlap EXCLUDE USING gist (
+    staff_id WITH =,
+    tstzrange(starts_at, ends_at) WITH &&
+);
+
+CREATE INDEX IF NOT EXISTS idx_staff_shifts_week ON public.staff_shifts(restaurant_id, starts_at);
+
+-- Attendance: actual clock-in/out. hourly_rate is copied at clock-in so
+-- later pay changes don't rewrite old timesheets.
+CREATE TABLE IF NOT EXISTS public.staff_attendance (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    restaurant_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    staff_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    shift_id UUID REFERENCES public.staff_shifts(id) ON DELETE SET NULL,
+    clock_in_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    clock_out_at TIMESTAMP WITH TIME ZONE,
+    clock_in_latitude DOUBLE PRECISION,
+    clock_in_longitude DOUBLE PRECISION,
+    clock_in_distance_meters INTEGER, -- from the restaurant, when geofencing is on
+    clock_out_latitude DOUBLE PRECISION,
+    clock_out_longitude DOUBLE PRECISION,
+    hourly_rate DECIMAL(10,2) NOT NULL DEFAULT 0,
+    notes TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (clock_out_at IS NULL OR clock_out_at >= clock_in_at)
+);
+
+-- Only one open clock-in per staff member
+CREATE UNIQUE INDEX IF NOT EXISTS idx_staff_attendance_open
+ON public.staff_attendance(staff_id)
+WHERE clock_out_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_staff_attendance_period ON public.staff_attendance(restaurant_id, clock_in_at);
+
+CREATE TABLE IF NOT EXISTS public.staff_breaks (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    attendance_id UUID NOT NULL REFERENCES public.staff_attendance(id) ON DELETE CASCADE,
+    started_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    ended_at TIMESTAMP WITH TIME ZONE,
+    is_paid BOOLEAN NOT NULL DEFAULT false,
+    CHECK (ended_at IS NULL OR ended_at >= started_at)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_staff_breaks_open
+ON public.staff_breaks(attendance_id)
+WHERE ended_at IS NULL;
+
+-- Metres between two points (haversine)
+CREATE OR REPLACE FUNCTION distance_meters(
+    p_lat1 DOUBLE PRECISION,
+    p_lng1 DOUBLE PRECISION,
+    p_lat2 DOUBLE PRECISION,
+    p_lng2 DOUBLE PRECISION
+)
+RETURNS DOUBLE PRECISION AS $$
+    SELECT 2 * 6371000 * asin(sqrt(
+        power(sin(radians(p_lat2 - p_lat1) / 2), 2) +
+        cos(radians(p_lat1)) * cos(radians(p_lat2)) * power(sin(radians(p_lng2 - p_lng1) / 2), 2)
+    ));
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Clock the signed-in staff member in. Checks the geofence on the server so
+-- it can't be skipped, and links the rota shift that covers now.
+CREATE OR REPLACE FUNCTION staff_clock_in(
+    p_latitude DOUBLE PRECISION DEFAULT NULL,
+    p_longitude DOUBLE PRECISION DEFAULT NULL
+)
+RETURNS public.staff_attendance AS $$
+DECLARE
+    v_staff RECORD;
+    v_settings JSONB;
+    v_distance DOUBLE PRECISION;
+    v_shift_id UUID;
+    v_attendance public.staff_attendance;
+BEGIN
+    SELECT id, restaurant_id, COALESCE(hourly_rate, 0) AS hourly_rate INTO v_staff
+    FROM users
+    WHERE id = auth.uid() AND role = 'staff' AND restaurant_id IS NOT NULL;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Only restaurant staff can clock in' USING ERRCODE = 'P0002';
+    END IF;
+
+    SELECT COALESCE(attendance_settings, '{}'::jsonb) INTO v_settings
+    FROM users
+    WHERE id = v_staff.restaurant_id;
+
+    IF COALESCE((v_settings->>'geofence_enabled')::BOOLEAN, false)
+       AND v_settings->>'latitude' IS NOT NULL AND v_settings->>'longitude' IS NOT NULL THEN
+        IF p_latitude IS NULL OR p_longitude IS NULL THEN
+            RAISE EXCEPTION 'Turn on location to clock in' USING ERRCODE = 'P0001';
+        END IF;
+
+        v_distance := distance_meters(
+            p_latitude, p_longitude,
+            (v_settings->>'latitude')::DOUBLE PRECISION, (v_settings->>'longitude')::DOUBLE PRECISION
+        );
+
+        IF v_distance > COALESCE((v_settings->>'radius_meters')::INTEGER, 150) THEN
+            RAISE EXCEPTION 'You are % m from the restaurant. Clock in when you arrive', round(v_distance)
+                USING ERRCODE = 'P0001';
+        END IF;
+    END IF;
+
+    SELECT id INTO v_shift_id
+    FROM staff_shifts
+    WHERE staff_id = v_staff.id
+      AND starts_at - make_interval(mins => COALESCE((v_settings->>'early_clock_in_minutes')::INTEGER, 30)) <= NOW()
+      AND ends_at > NOW()
+    ORDER BY starts_at
+    LIMIT 1;
+
+    INSERT INTO staff_attendance (
+        restaurant_id, staff_id, shift_id, clock_in_latitude, clock_in_longitude, clock_in_distance_meters, hourly_rate
+    ) VALUES (
+        v_staff.restaurant_id, v_staff.id, v_shift_id, p_latitude, p_longitude, round(v_distance), v_staff.hourly_rate
+    )
+    RETURNING * INTO v_attendance;
+
+    UPDATE users SET is_available = true, updated_at = NOW() WHERE id = v_staff.id;
+
+    RETURN v_attendance;
+EXCEPTION
+    WHEN unique_violation THEN
+        RAISE EXCEPTION 'You are already clocked in' USING ERRCODE = 'P0001';
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Clock out, closing any open break, and go offline for orders
+CREATE OR REPLACE FUNCTION staff_clock_out(
+    p_latitude DOUBLE PRECISION DEFAULT NULL,
+    p_longitude DOUBLE PRECISION DEFAULT NULL
+)
+RETURNS public.staff_attendance AS $$
+DECLARE
+    v_attendance public.staff_attendance;
+BEGIN
+    SELECT * INTO v_attendance
+    FROM staff_attendance
+    WHERE staff_id = auth.uid() AND clock_out_at IS NULL
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'You are not clocked in' USING ERRCODE = 'P0001';
+    END IF;
+
+    UPDATE staff_breaks SET ended_at = NOW()
+    WHERE attendance_id = v_attendance.id AND ended_at IS NULL;
+
+    UPDATE staff_attendance
+    SET clock_out_at = NOW(),
+        clock_out_latitude = p_latitude,
+        clock_out_longitude = p_longitude,
+        updated_at = NOW()
+    WHERE id = v_attendance.id
+    RETURNING * INTO v_attendance;
+
+    UPDATE users SET is_available = false, updated_at = NOW() WHERE id = auth.uid();
+
+    RETURN v_attendance;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Start or end a break on the open clock-in. Staff on a break get no new orders.
+CREATE OR REPLACE FUNCTION staff_toggle_break(p_start BOOLEAN, p_paid BOOLEAN DEFAULT false)
+RETURNS public.staff_breaks AS $$
+DECLARE
+    v_attendance_id UUID;
+    v_break public.staff_breaks;
+BEGIN
+    SELECT id INTO v_attendance_id
+    FROM staff_attendance
+    WHERE staff_id = auth.uid() AND clock_out_at IS NULL;
+
+    IF v_attendance_id IS NULL THEN
+        RAISE EXCEPTION 'Clock in before taking a break' USING ERRCODE = 'P0001';
+    END IF;
+
+    IF p_start THEN
+        INSERT INTO staff_breaks (attendance_id, is_paid)
+        VALUES (v_attendance_id, p_paid)
+        RETURNING * INTO v_break;
+    ELSE
+        UPDATE staff_breaks SET ended_at = NOW()
+        WHERE attendance_id = v_attendance_id AND ended_at IS NULL
+        RETURNING * INTO v_break;
+
+        IF v_break.id IS NULL THEN
+            RAISE EXCEPTION 'You are not on a break' USING ERRCODE = 'P0001';
+        END IF;
+    END IF;
+
+    RETURN v_break;
+EXCEPTION
+    WHEN unique_violation THEN
+        RAISE EXCEPTION 'You are already on a break' USING ERRCODE = 'P0001';
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Staff who can take orders right now: clocked in and not on a break.
+-- tracking is false for restaurants that have never clocked anyone in, so
+-- auto-assignment keeps working for them as before.
+-- Returns: { tracking, staff_ids }
+CREATE OR REPLACE FUNCTION get_on_shift_staff(p_restaurant_id UUID)
+RETURNS JSONB AS $$
+    SELECT jsonb_build_object(
+        'tracking', EXISTS (SELECT 1 FROM staff_attendance WHERE restaurant_id = p_restaurant_id),
+        'staff_ids', COALESCE((
+            SELECT jsonb_agg(a.staff_id)
+            FROM staff_attendance a
+            WHERE a.restaurant_id = p_restaurant_id
+              AND a.clock_out_at IS NULL
+              AND NOT EXISTS (
+                  SELECT 1 FROM staff_breaks b
+                  WHERE b.attendance_id = a.id AND b.ended_at IS NULL
+              )
+        ), '[]'::jsonb)
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- Owners run the rota and fix timesheets; staff read their restaurant's rota
+-- and their own attendance (changes go through the functions above)
+ALTER TABLE public.staff_shifts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.staff_attendance ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.staff_breaks ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Owners manage shifts" ON public.staff_shifts;
+CREATE POLICY "Owners manage shifts" ON public.staff_shifts
+FOR ALL USING (restaurant_id = auth.uid()) WITH CHECK (restaurant_id = auth.uid());
+
+DROP POLICY IF EXISTS "Staff read restaurant shifts" ON public.staff_shifts;
+CREATE POLICY "Staff read restaurant shifts" ON public.staff_shifts
+FOR SELECT USING (
+    restaurant_id IN (SELECT restaurant_id FROM users WHERE id = auth.uid() AND role = 'staff')
+);
+
+DROP POLICY IF EXISTS "Owners manage attendance" ON public.staff_attendance;
+CREATE POLICY "Owners manage attendance" ON public.staff_attendance
+FOR ALL USING (restaurant_id = auth.uid()) WITH CHECK (restaurant_id = auth.uid());
+
+DROP POLICY IF EXISTS "Staff read own attendance" ON public.staff_attendance;
+CREATE POLICY "Staff read own attendance" ON public.staff_attendance
+FOR SELECT USING (staff_id = auth.uid());
+
+DROP POLICY IF EXISTS "Owners manage breaks" ON public.staff_breaks;
+CREATE POLICY "Owners manage breaks" ON public.staff_breaks
+FOR ALL USING (
+    attendance_id IN (SELECT id FROM staff_attendance WHERE restaurant_id = auth.uid())
+);
+
+DROP POLICY IF EXISTS "Staff read own breaks" ON public.staff_breaks;
+CREATE POLICY "Staff read own breaks" ON public.staff_breaks
+FOR SELECT USING (
+    attendance_id IN (SELECT id FROM staff_attendance WHERE staff_id = auth.uid())
+);
+
+-- Verify the migration
+SELECT table_name
+FROM information_schema.tables
+WHERE table_name IN ('staff_shifts', 'staff_attendance', 'staff_breaks');
@@ -0,0 +1,211 @@
+-- Migration: Add advance table reservations
+-- Purpose: Let customers book a table for a time slot and party size, and let owners manage bookings on a timeline
+-- Date: 2026-10-19
+
+-- Needed for the no-overlap constraint on (table_id, time range)
+CREATE EXTENSION IF NOT EXISTS btree_gist;
+
+-- Per-restaurant booking rules (see src/utils/reservationUtils.js for defaults)
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS reservation_settings JSONB DEFAULT '{}'::jsonb;
+
+COMMENT ON COLUMN users.reservation_settings IS 'Booking rules: {enabled, slot_minutes, duration_minutes, buffer_minutes, hold_minutes, advance_days, max_party_size}';
+
+CREATE TABLE IF NOT EXISTS public.table_reservations (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    restaurant_id UUID NOT NULL,
+    table_id UUID NOT NULL REFERENCES public.tables(id) ON DELETE CASCADE,
+    customer_id UUID REFERENCES public.customers(id) ON DELETE SET NULL,
+    customer_name VARCHAR(255) NOT NULL,
+    customer_phone VARCHAR(20),
+    party_size INTEGER NOT NULL CHECK (party_size > 0),
+    reserved_for TIMESTAMP WITH TIME ZONE NOT NULL, -- arrival time the guest booked
+    duration_minutes INTEGER NOT NULL DEFAULT 90,
+    -- Window the table is blocked for: arrival minus buffer to end plus buffer
+    blocked_from TIMESTAMP WITH TIME ZONE NOT NULL,
+    blocked_until TIMESTAMP WITH TIME ZONE NOT NULL,
+    -- Table is held for the guest until this time, then the booking lapses
+    hold_until TIMESTAMP WITH TIME ZONE NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'confirmed'
+        CHECK (status IN ('confirmed', 'seated', 'completed', 'cancelled', 'no_show')),
+    source VARCHAR(20) NOT NULL DEFAULT 'customer' CHECK (source IN ('customer', 'owner', 'staff')),
+    notes TEXT,
+    session_id VARCHAR(255), -- customer_sessions.session_id once seated
+    auto_released BOOLEAN DEFAULT false, -- marked no-show because the hold expired
+    seated_at TIMESTAMP WITH TIME ZONE,
+    cancelled_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (blocked_until > blocked_from)
+);
+
+COMMENT ON TABLE public.table_reservations IS 'Advance table bookings; active ones block their table for blocked_from..blocked_until';
+
+-- Two active bookings can never overlap on the same table
+ALTER TABLE public.table_reservations DROP CONSTRAINT IF EXISTS table_reservations_no_overlap;
+ALTER TABLE public.table_reservations
+ADD CONSTRAINT table_reservations_no_overlap EXCLUDE USING gist (
+    table_id WITH =,
+    tstzrange(blocked_from, blocked_until) WITH &&
+) WHERE (status IN ('confirmed', 'seated'));
+
+CREATE INDEX IF NOT EXISTS idx_table_reservations_day ON public.table_reservations(restaurant_id, reserved_for);
+CREATE INDEX IF NOT EXISTS idx_table_reservations_customer ON public.table_reservations(customer_id, reserved_for DESC);
+
+-- Book the smallest free table that fits the party (or a given table).
+-- Runs as definer so guests never need to read other people's bookings.
+-- The source comes from the caller: the owner and their staff may book
+-- outside the online rules, everyone else books as a customer.
+DROP FUNCTION IF EXISTS book_table(UUID, INTEGER, TIMESTAMP WITH TIME ZONE, TEXT, TEXT, UUID, UUID, TEXT, TEXT);
+CREATE OR REPLACE FUNCTION book_table(
+    p_restaurant_id UUID,
+    p_party_size INTEGER,
+    p_reserved_for TIMESTAMP WITH TIME ZONE,
+    p_customer_name TEXT,
+    p_customer_phone TEXT DEFAULT NULL,
+    p_customer_id UUID DEFAULT NULL,
+    p_table_id UUID DEFAULT NULL,
+    p_notes TEXT DEFAULT NULL
+)
+RETURNS public.table_reservations AS $$
+DECLARE
+    v_settings JSONB;
+    v_source TEXT;
+    v_duration INTEGER;
+    v_buffer INTEGER;
+    v_hold INTEGER;
+    v_from TIMESTAMP WITH TIME ZONE;
+    v_until TIMESTAMP WITH TIME ZONE;
+    v_table_id UUID;
+    v_reservation public.table_reservations;
+BEGIN
+    SELECT COALESCE(reservation_settings, '{}'::jsonb) INTO v_settings
+    FROM users
+    WHERE id = p_restaurant_id AND role = 'restaurant_owner';
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Restaurant not found' USING ERRCODE = 'P0002';
+    END IF;
+
+    IF auth.uid() = p_restaurant_id THEN
+        v_source := 'owner';
+    ELSIF EXISTS (SELECT 1 FROM staff WHERE user_id = auth.uid() AND restaurant_id = p_restaurant_id) THEN
+        v_source := 'staff';
+    ELSE
+        v_source := 'customer';
+    END IF;
+
+    IF COALESCE((v_settings->>'enabled')::BOOLEAN, true) = false AND v_source = 'customer' THEN
+        RAISE EXCEPTION 'This restaurant is not taking bookings right now' USING ERRCODE = 'P0001';
+    END IF;
+
+    IF p_reserved_for < NOW() - INTERVAL '5 minutes' THEN
+        RAISE EXCEPTION 'Pick a time in the future' USING ERRCODE = 'P0001';
+    END IF;
+
+    IF v_source = 'customer'
+       AND p_reserved_for > NOW() + make_interval(days => COALESCE((v_settings->>'advance_days')::INTEGER, 30)) THEN
+        RAISE EXCEPTION 'That date is too far ahead' USING ERRCODE = 'P0001';
+    END IF;
+
+    IF v_source = 'customer'
+       AND p_party_size > COALESCE((v_settings->>'max_party_size')::INTEGER, 12) THEN
+        RAISE EXCEPTION 'Online bookings are for up to % guests. Please call the restaurant for larger parties',
+            COALESCE((v_settings->>'max_party_size')::INTEGER, 12) USING ERRCODE = 'P0001';
+    END IF;
+
+    -- Guests who never turned up lose their hold and free the table
+    UPDATE table_reservations
+    SET status = 'no_show', auto_released = true, updated_at = NOW()
+    WHERE restaurant_id = p_restaurant_id
+      AND status = 'confirmed'
+      AND hold_until < NOW();
+
+    v_duration := COALESCE((v_settings->>'duration_minutes')::INTEGER, 90);
+    v_buffer := COALESCE((v_settings->>'buffer_minutes')::INTEGER, 15);
+    v_hold := COALESCE((v_settings->>'hold_minutes')::INTEGER, 15);
+    v_from := p_reserved_for - make_interval(mins => v_buffer);
+    v_until := p_reserved_for + make_interval(mins => v_duration + v_buffer);
+
+    SELECT t.id INTO v_table_id
+    FROM tables t
+    WHERE t.restaurant_id = p_restaurant_id
+      AND t.is_active = true
+      AND t.capacity >= p_party_size
+      AND (p_table_id IS NULL OR t.id = p_table_id)
+      AND NOT EXISTS (
+          SELECT 1 FROM table_reservations r
+          WHERE r.table_id = t.id
+            AND r.status IN ('confirmed', 'seated')
+            AND tstzrange(r.blocked_from, r.blocked_until) && tstzrange(v_from, v_until)
+      )
+    ORDER BY t.capacity, t.table_number
+    LIMIT 1;
+
+    IF v_table_id IS NULL THEN
+        IF p_table_id IS NOT NULL THEN
+            RAISE EXCEPTION 'That table is too small or already booked at this time' USING ERRCODE = 'P0001';
+        END IF;
+        RAISE EXCEPTION 'No table for % is free at this time', p_party_size USING ERRCODE = 'P0001';
+    END IF;
+
+    INSERT INTO table_reservations (
+        restaurant_id, table_id, customer_id, customer_name, customer_phone, party_size,
+        reserved_for, duration_minutes, blocked_from, blocked_until, hold_until, source, notes
+    ) VALUES (
+        p_restaurant_id, v_table_id, p_customer_id, p_customer_name, p_customer_phone, p_party_size,
+        p_reserved_for, v_duration, v_from, v_until, p_reserved_for + make_interval(mins => v_hold),
+        v_source, p_notes
+    )
+    RETURNING * INTO v_reservation;
+
+    RETURN v_reservation;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Blocked windows without guest details, for slot pickers
+CREATE OR REPLACE FUNCTION get_reserved_windows(
+    p_restaurant_id UUID,
+    p_from TIMESTAMP WITH TIME ZONE,
+    p_until TIMESTAMP WITH TIME ZONE
+)
+RETURNS TABLE(
+    table_id UUID,
+    blocked_from TIMESTAMP WITH TIME ZONE,
+    blocked_until TIMESTAMP WITH TIME ZONE,
+    hold_until TIMESTAMP WITH TIME ZONE,
+    status VARCHAR
+) AS $$
+    SELECT r.table_id, r.blocked_from, r.blocked_until, r.hold_until, r.status
+    FROM table_reservations r
+    WHERE r.restaurant_id = p_restaurant_id
+      AND r.status IN ('confirmed', 'seated')
+      AND r.blocked_until > p_from
+      AND r.blocked_from < p_until;
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- Owners and staff manage bookings, super admins read them for reporting.
+-- Guests only go through book_table / get_reserved_windows, so their
+-- details are never readable by others.
+ALTER TABLE public.table_reservations ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Owners manage their reservations" ON public.table_reservations;
+CREATE POLICY "Owners manage their reservations" ON public.table_reservations
+FOR ALL USING (restaurant_id = auth.uid()) WITH CHECK (restaurant_id = auth.uid());
+
+DROP POLICY IF EXISTS "Staff manage restaurant reservations" ON public.table_reservations;
+CREATE POLICY "Staff manage restaurant reservations" ON public.table_reservations
+FOR ALL USING (
+    restaurant_id IN (SELECT restaurant_id FROM staff WHERE user_id = auth.uid())
+);
+
+DROP POLICY IF EXISTS "Super admins read reservations" ON public.table_reservations;
+CREATE POLICY "Super admins read reservations" ON public.table_reservations
+FOR SELECT USING (
+    EXISTS (SELECT 1 FROM users WHERE id = auth.uid() AND role = 'super_admin')
+);
+
+-- Verify the migration
+SELECT status, COUNT(*) AS reservations
+FROM public.table_reservations
+GROUP BY status;
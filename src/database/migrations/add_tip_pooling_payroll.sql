@@ -0,0 +1,103 @@
+-- Migration: Tip pooling and pay-period settlement
+-- Purpose: Configurable tip distribution (individual, equal per shift, by hours, by role) and a wages + tips settlement per pay period
+-- Date: 2026-10-19
+
+-- Tip policy: { policy, role_weights: { "<position>": weight } }
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS tip_pool_settings JSONB DEFAULT '{}'::jsonb;
+
+COMMENT ON COLUMN users.tip_pool_settings IS 'Tip distribution: {policy: individual|equal_shift|hours_weighted|role_weighted, role_weights}';
+
+-- Tips are read from orders in a period
+CREATE INDEX IF NOT EXISTS idx_orders_tips_period
+ON orders(restaurant_id, created_at)
+WHERE tip_amount > 0;
+
+-- Everything a settlement needs for a pay period, for the owner or one of
+-- their staff. Pooled tips depend on everyone's hours, so staff see their
+-- colleagues' clock-ins here, but only their own hourly rate.
+-- Returns: { restaurant_name, settings, staff, attendance, tips }
+CREATE OR REPLACE FUNCTION get_pay_period_inputs(
+    p_from TIMESTAMP WITH TIME ZONE,
+    p_until TIMESTAMP WITH TIME ZONE,
+    p_restaurant_id UUID DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_restaurant_id UUID;
+    v_is_owner BOOLEAN := false;
+    v_result JSONB;
+BEGIN
+    SELECT restaurant_id INTO v_restaurant_id
+    FROM users
+    WHERE id = auth.uid() AND role = 'staff' AND approved_at IS NOT NULL;
+
+    IF v_restaurant_id IS NULL THEN
+        IF p_restaurant_id IS NULL OR p_restaurant_id <> auth.uid() THEN
+            RAISE EXCEPTION 'Not allowed to view this payroll' USING ERRCODE = '42501';
+        END IF;
+        v_restaurant_id := p_restaurant_id;
+        v_is_owner := true;
+    END IF;
+
+    SELECT jsonb_build_object(
+        'restaurant_name', COALESCE(r.restaurant_name, r.full_name),
+        'settings', COALESCE(r.tip_pool_settings, '{}'::jsonb),
+        'staff', COALESCE((
+            SELECT jsonb_agg(jsonb_build_object(
+                'id', s.id,
+                'full_name', s.full_name,
+                'position', s.position,
+                'hourly_rate', CASE WHEN v_is_owner OR s.id = auth.uid() THEN s.hourly_rate END
+            ) ORDER BY s.full_name)
+            FROM users s
+            WHERE s.restaurant_id = v_restaurant_id AND s.role = 'staff' AND s.approved_at IS NOT NULL
+        ), '[]'::jsonb),
+        'attendance', COALESCE((
+            SELECT jsonb_agg(jsonb_build_object(
+                'id', a.id,
+                'staff_id', a.staff_id,
+                'clock_in_at', a.clock_in_at,
+                'clock_out_at', a.clock_out_at,
+                'hourly_rate', CASE WHEN v_is_owner OR a.staff_id = auth.uid() THEN a.hourly_rate END,
+                'staff_breaks', COALESCE((
+                    SELECT jsonb_agg(jsonb_build_object(
+                        'started_at', b.started_at,
+                        'ended_at', b.ended_at,
+                        'is_paid', b.is_paid
+                    ))
+                    FROM staff_breaks b
+                    WHERE b.attendance_id = a.id
+                ), '[]'::jsonb)
+            ) ORDER BY a.clock_in_at)
+            FROM staff_attendance a
+            WHERE a.restaurant_id = v_restaurant_id
+              AND a.clock_in_at >= p_from
+              AND a.clock_in_at < p_until
+        ), '[]'::jsonb),
+        'tips', COALESCE((
+            SELECT jsonb_agg(jsonb_build_object(
+                'order_id', o.id,
+                'assigned_staff_id', o.assigned_staff_id,
+                'tip_amount', o.tip_amount,
+                'created_at', o.created_at
+            ) ORDER BY o.created_at)
+            FROM orders o
+            WHERE o.restaurant_id = v_restaurant_id
+              AND o.tip_amount > 0
+              AND o.status <> 'cancelled'
+              AND o.created_at >= p_from
+              AND o.created_at < p_until
+        ), '[]'::jsonb)
+    ) INTO v_result
+    FROM users r
+    WHERE r.id = v_restaurant_id;
+
+    RETURN v_result;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+-- Verify the migration
+SELECT column_name
+FROM information_schema.columns
+WHERE table_name = 'users' AND column_name = 'tip_pool_settings';
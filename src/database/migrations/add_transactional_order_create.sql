@@ -0,0 +1,503 @@
+-- Migration: Create orders in one transaction
+-- Purpose: Session, order, items and offer usage are written together or not at all, and a repeated submission returns the first order
+-- Date: 2026-10-19
+-- Requires: add_order_idempotency_keys.sql, add_order_price_verification.sql, add_gst_tax_engine.sql
+
+-- Bill for verified order lines. Mirrors calculateBill in src/utils/taxUtils.js -
+-- keep them in step. Everything is worked out in paise so the lines add up to
+-- the totals exactly as they do in the app.
+-- p_lines: [{ menu_item_id, unit_price, quantity }] (verify_order_pricing items)
+-- Returns { subtotal, discount, lines: [{ menu_item_id, hsn_code, gst_rate, taxable_value,
+--           tax_amount, cgst_amount, sgst_amount, igst_amount }], tax_breakdown,
+--           service_charge, service_charge_tax, platform_fee, tip, total }
+CREATE OR REPLACE FUNCTION calculate_order_bill(
+    p_restaurant_id UUID,
+    p_lines JSONB,
+    p_discount DECIMAL DEFAULT 0,
+    p_tip DECIMAL DEFAULT 0
+)
+RETURNS JSONB AS $$
+DECLARE
+    c_gst_slabs CONSTANT INTEGER[] := ARRAY[0, 5, 12, 18];
+
+    -- The restaurant's tax settings (users.tax_settings, see taxUtils.getTaxSettings)
+    v_gstin TEXT;
+    v_settings JSONB;
+    v_gst_enabled BOOLEAN;
+    v_default_rate INTEGER := 5;
+    v_inter_state BOOLEAN;
+    v_inclusive BOOLEAN;
+    v_service_charge_rate DECIMAL := 0;
+    v_platform_fee_rate DECIMAL := 0.015;
+    v_default_sac TEXT;
+
+    v_line JSONB;
+    v_index INTEGER := 0;
+    v_count INTEGER := COALESCE(jsonb_array_length(p_lines), 0);
+    v_gross BIGINT[] := '{}';
+    v_line_discount BIGINT[] := '{}';
+    v_subtotal BIGINT := 0;
+    v_discount BIGINT;
+    v_remainder BIGINT;
+    v_rate INTEGER;
+    v_hsn_code TEXT;
+    v_net BIGINT;
+    v_taxable BIGINT;
+    v_tax BIGINT;
+    v_cgst BIGINT;
+    v_lines JSONB := '[]'::jsonb;
+    v_parts JSONB := '[]'::jsonb;
+
+    v_taxable_total BIGINT;
+    v_line_tax BIGINT;
+    v_service_charge BIGINT;
+    v_service_rate INTEGER;
+    v_service_tax BIGINT;
+    v_platform_fee BIGINT;
+    v_tip BIGINT := GREATEST(ROUND(COALESCE(p_tip, 0) * 100), 0);
+    v_total BIGINT;
+    v_breakdown JSONB;
+BEGIN
+    SELECT UPPER(TRIM(COALESCE(NULLIF(gstin, ''), tax_settings->>'gstin', ''))), COALESCE(tax_settings, '{}'::jsonb)
+    INTO v_gstin, v_settings
+    FROM users
+    WHERE id = p_restaurant_id;
+    v_settings := COALESCE(v_settings, '{}'::jsonb);
+
+    v_gst_enabled := COALESCE(v_settings->'gst_enabled', 'false'::jsonb) NOT IN ('false'::jsonb, 'null'::jsonb, '0'::jsonb, '""'::jsonb);
+    IF (v_settings->>'default_gst_rate') ~ '^\d+(\.0+)?$' AND (v_settings->>'default_gst_rate')::NUMERIC::INTEGER = ANY(c_gst_slabs) THEN
+        v_default_rate := (v_settings->>'default_gst_rate')::NUMERIC::INTEGER;
+    END IF;
+    v_inter_state := v_settings->>'supply_type' = 'inter_state';
+    v_inclusive := v_settings->>'price_mode' = 'inclusive';
+    IF (v_settings->>'service_charge_rate') ~ '^\d+(\.\d+)?$' THEN
+        v_service_charge_rate := (v_settings->>'service_charge_rate')::DECIMAL;
+    END IF;
+    IF v_settings ? 'platform_fee_rate' AND jsonb_typeof(v_settings->'platform_fee_rate') <> 'null' THEN
+        v_platform_fee_rate := CASE WHEN (v_settings->>'platform_fee_rate') ~ '^\d+(\.\d+)?$'
+                                    THEN (v_settings->>'platform_fee_rate')::DECIMAL ELSE 0 END;
+    END IF;
+    v_default_sac := COALESCE(NULLIF(v_settings->>'default_sac_code', ''), '996331');
+
+    FOR v_line IN SELECT * FROM jsonb_array_elements(COALESCE(p_lines, '[]'::jsonb)) LOOP
+        v_gross := v_gross || (ROUND(COALESCE((v_line->>'unit_price')::DECIMAL, 0) * 100)::BIGINT
+                               * GREATEST(COALESCE((v_line->>'quantity')::INTEGER, 1), 1));
+        v_subtotal := v_subtotal + v_gross[array_length(v_gross, 1)];
+    END LOOP;
+
+    -- Discount spread over the lines by value; the rounding remainder goes
+    -- to the first lines (distributePaise)
+    v_discount := LEAST(GREATEST(ROUND(COALESCE(p_discount, 0) * 100)::BIGINT, 0), v_subtotal);
+    v_remainder := v_discount;
+    FOR v_index IN 1 .. v_count LOOP
+        v_line_discount := v_line_discount || CASE WHEN v_subtotal > 0
+            THEN FLOOR(v_discount::NUMERIC * v_gross[v_index] / v_subtotal)::BIGINT ELSE 0 END;
+        v_remainder := v_remainder - v_line_discount[v_index];
+    END LOOP;
+    FOR v_index IN 1 .. v_count LOOP
+        EXIT WHEN v_remainder <= 0;
+        IF v_gross[v_index] > 0 THEN
+            v_line_discount[v_index] := v_line_discount[v_index] + 1;
+            v_remainder := v_remainder - 1;
+        END IF;
+    END LOOP;
+
+    -- Line GST (calculateLineTaxPaise)
+    FOR v_index IN 1 .. v_count LOOP
+        v_line := p_lines->(v_index - 1);
+
+        SELECT CASE WHEN NOT v_gst_enabled THEN 0
+                    WHEN gst_rate IS NOT NULL THEN gst_rate::INTEGER
+                    ELSE v_default_rate END,
+               NULLIF(hsn_code, '')
+        INTO v_rate, v_hsn_code
+        FROM menu_items
+        WHERE id = (v_line->>'menu_item_id')::UUID;
+        v_rate := COALESCE(v_rate, CASE WHEN v_gst_enabled THEN v_default_rate ELSE 0 END);
+
+        v_net := v_gross[v_index] - v_line_discount[v_index];
+        v_taxable := v_net;
+        v_tax := 0;
+        IF v_rate > 0 THEN
+            IF v_inclusive THEN
+                v_taxable := ROUND(v_net * 100::NUMERIC / (100 + v_rate));
+                v_tax := v_net - v_taxable;
+            ELSE
+                v_tax := ROUND(v_net * v_rate::NUMERIC / 100);
+            END IF;
+        END IF;
+        v_cgst := CASE WHEN v_inter_state THEN 0 ELSE ROUND(v_tax / 2.0) END;
+
+        v_parts := v_parts || jsonb_build_object('rate', v_rate, 'taxable', v_taxable, 'tax', v_tax,
+            'cgst', v_cgst, 'sgst', CASE WHEN v_inter_state THEN 0 ELSE v_tax - v_cgst END,
+            'igst', CASE WHEN v_inter_state THEN v_tax ELSE 0 END);
+        v_lines := v_lines || jsonb_build_object(
+            'menu_item_id', v_line->>'menu_item_id',
+            'hsn_code', COALESCE(v_hsn_code, v_default_sac),
+            'gst_rate', v_rate,
+            'taxable_value', ROUND(v_taxable / 100.0, 2),
+            'tax_amount', ROUND(v_tax / 100.0, 2),
+            'cgst_amount', ROUND(v_cgst / 100.0, 2),
+            'sgst_amount', ROUND(CASE WHEN v_inter_state THEN 0 ELSE v_tax - v_cgst END / 100.0, 2),
+            'igst_amount', ROUND(CASE WHEN v_inter_state THEN v_tax ELSE 0 END / 100.0, 2));
+    END LOOP;
+
+    SELECT COALESCE(SUM((part->>'taxable')::BIGINT), 0), COALESCE(SUM((part->>'tax')::BIGINT), 0)
+    INTO v_taxable_total, v_line_tax
+    FROM jsonb_array_elements(v_parts) AS part;
+
+    -- Service charge is a taxable supply at the restaurant's default slab
+    v_service_charge := ROUND(v_taxable_total * v_service_charge_rate / 100);
+    v_service_rate := CASE WHEN v_gst_enabled THEN v_default_rate ELSE 0 END;
+    v_service_tax := ROUND(v_service_charge * v_service_rate::NUMERIC / 100);
+    IF v_service_charge > 0 THEN
+        v_cgst := CASE WHEN v_inter_state THEN 0 ELSE ROUND(v_service_tax / 2.0) END;
+        v_parts := v_parts || jsonb_build_object('rate', v_service_rate, 'taxable', v_service_charge,
+            'tax', v_service_tax, 'cgst', v_cgst,
+            'sgst', CASE WHEN v_inter_state THEN 0 ELSE v_service_tax - v_cgst END,
+            'igst', CASE WHEN v_inter_state THEN v_service_tax ELSE 0 END);
+    END IF;
+
+    v_platform_fee := ROUND(v_subtotal * v_platform_fee_rate);
+
+    -- Inclusive prices already carry the line GST
+    v_total := v_subtotal - v_discount + CASE WHEN v_inclusive THEN 0 ELSE v_line_tax END
+        + v_service_charge + v_service_tax + v_platform_fee + v_tip;
+
+    SELECT jsonb_build_object(
+        'gstin', NULLIF(v_gstin, ''),
+        'supply_type', CASE WHEN v_inter_state THEN 'inter_state' ELSE 'intra_state' END,
+        'price_mode', CASE WHEN v_inclusive THEN 'inclusive' ELSE 'exclusive' END,
+        'cgst', ROUND(COALESCE(SUM(cgst), 0) / 100.0, 2),
+        'sgst', ROUND(COALESCE(SUM(sgst), 0) / 100.0, 2),
+        'igst', ROUND(COALESCE(SUM(igst), 0) / 100.0, 2),
+        'total', ROUND((v_line_tax + v_service_tax) / 100.0, 2),
+        'by_slab', COALESCE(jsonb_agg(jsonb_build_object(
+            'rate', rate,
+            'taxable_value', ROUND(taxable / 100.0, 2),
+            'cgst', ROUND(cgst / 100.0, 2),
+            'sgst', ROUND(sgst / 100.0, 2),
+            'igst', ROUND(igst / 100.0, 2),
+            'tax', ROUND(tax / 100.0, 2)
+        ) ORDER BY rate) FILTER (WHERE rate > 0 AND tax > 0), '[]'::jsonb))
+    INTO v_breakdown
+    FROM (
+        SELECT (part->>'rate')::INTEGER AS rate,
+               SUM((part->>'taxable')::BIGINT) AS taxable, SUM((part->>'tax')::BIGINT) AS tax,
+               SUM((part->>'cgst')::BIGINT) AS cgst, SUM((part->>'sgst')::BIGINT) AS sgst,
+               SUM((part->>'igst')::BIGINT) AS igst
+        FROM jsonb_array_elements(v_parts) AS part
+        GROUP BY 1
+    ) AS slab;
+
+    RETURN jsonb_build_object(
+        'subtotal', ROUND(v_subtotal / 100.0, 2),
+        'discount', ROUND(v_discount / 100.0, 2),
+        'lines', v_lines,
+        'tax_breakdown', v_breakdown,
+        'service_charge', ROUND(v_service_charge / 100.0, 2),
+        'service_charge_tax', ROUND(v_service_tax / 100.0, 2),
+        'platform_fee', ROUND(v_platform_fee / 100.0, 2),
+        'tip', ROUND(v_tip / 100.0, 2),
+        'total', ROUND(v_total / 100.0, 2)
+    );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+ALTER TABLE customer_sessions ADD COLUMN IF NOT EXISTS customer_id UUID;
+
+-- Customers aren't auth users: the table session is what they hold. An
+-- order for a customer binds the customer to its session (the first order
+-- claims it), so a session can't order, use offers or spend coins as
+-- someone else. The restaurant owner, its staff and server jobs may order
+-- for any customer.
+CREATE OR REPLACE FUNCTION bind_session_customer(
+    p_session_id TEXT,
+    p_restaurant_id UUID,
+    p_customer_id UUID
+)
+RETURNS VOID AS $$
+DECLARE
+    v_session customer_sessions%ROWTYPE;
+BEGIN
+    IF p_customer_id IS NULL
+       OR auth.role() = 'service_role'
+       OR auth.uid() = p_restaurant_id
+       OR EXISTS (
+           SELECT 1 FROM users
+           WHERE id = auth.uid() AND role = 'staff' AND restaurant_id = p_restaurant_id
+       ) THEN
+        RETURN;
+    END IF;
+
+    SELECT * INTO v_session FROM customer_sessions WHERE session_id = p_session_id FOR UPDATE;
+
+    IF NOT FOUND OR v_session.restaurant_id IS DISTINCT FROM p_restaurant_id THEN
+        RAISE EXCEPTION 'Customer orders need a table session at this restaurant' USING ERRCODE = '42501';
+    END IF;
+
+    IF v_session.customer_id IS NOT NULL AND v_session.customer_id <> p_customer_id THEN
+        RAISE EXCEPTION 'This table session belongs to another customer' USING ERRCODE = '42501';
+    END IF;
+
+    IF v_session.customer_id IS NULL THEN
+        UPDATE customer_sessions SET customer_id = p_customer_id WHERE session_id = p_session_id;
+    END IF;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Only create_order_transaction binds customers
+REVOKE EXECUTE ON FUNCTION bind_session_customer(TEXT, UUID, UUID) FROM PUBLIC, anon, authenticated;
+
+-- Params: p_idempotency_key - client key for the checkout attempt (orders.idempotency_key)
+--         p_session - customer_sessions row that reserves the table (kept if it exists), or NULL
+--         p_order - orders row (without id / timestamps)
+--         p_items - order_items rows (without order_id), in cart order
+--         p_verification - { customer_id, items, offer_id, offer_discount,
+--                            coins_redeemed, coins_discount } for verify_order_pricing
+-- Prices, discounts, tax and totals are written from verify_order_pricing and
+-- calculate_order_bill; p_order and p_items only supply the descriptive
+-- fields and must agree with them.
+-- Returns: { valid, issues, order, items, deduplicated }
+--          valid = false (nothing written) when verify_order_pricing finds issues
+-- Raises P0001 when p_order or p_items don't match the verified bill, and
+-- 42501 when the order's customer isn't the one bound to its table session.
+DROP FUNCTION IF EXISTS create_order_transaction(TEXT, JSONB, JSONB, JSONB, JSONB);
+
+CREATE OR REPLACE FUNCTION create_order_transaction(
+    p_idempotency_key TEXT,
+    p_session JSONB,
+    p_order JSONB,
+    p_items JSONB,
+    p_verification JSONB
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_order orders%ROWTYPE;
+    v_items JSONB;
+    v_check JSONB;
+    v_bill JSONB;
+    v_line JSONB;
+    v_verified JSONB;
+    v_index INTEGER;
+    v_mismatch TEXT;
+    v_restaurant_id UUID := (p_order->>'restaurant_id')::UUID;
+    v_customer_id UUID := NULLIF(p_verification->>'customer_id', '')::UUID;
+    v_offer_id UUID := NULLIF(p_verification->>'offer_id', '')::UUID;
+    v_offer_discount DECIMAL(10,2);
+    v_coins_redeemed INTEGER := COALESCE((p_verification->>'coins_redeemed')::INTEGER, 0);
+    v_coins_discount DECIMAL(10,2) := COALESCE((p_verification->>'coins_discount')::DECIMAL, 0);
+    v_tip DECIMAL(10,2) := GREATEST(COALESCE((p_order->>'tip_amount')::DECIMAL, 0), 0);
+BEGIN
+    IF p_items IS NULL OR jsonb_array_length(p_items) = 0 THEN
+        RAISE EXCEPTION 'Cart cannot be empty' USING ERRCODE = 'P0001';
+    END IF;
+
+    IF p_verification IS NULL OR jsonb_typeof(p_verification->'items') IS DISTINCT FROM 'array' THEN
+        RAISE EXCEPTION 'Order verification is required' USING ERRCODE = 'P0001';
+    END IF;
+
+    -- Two submissions with the same key wait for each other here; the
+    -- second one then finds the first one's order
+    IF p_idempotency_key IS NOT NULL THEN
+        PERFORM pg_advisory_xact_lock(hashtext('order:' || p_idempotency_key));
+
+        SELECT * INTO v_order FROM orders WHERE idempotency_key = p_idempotency_key;
+        IF FOUND THEN
+            SELECT COALESCE(jsonb_agg(to_jsonb(oi) ORDER BY oi.created_at), '[]'::jsonb)
+            INTO v_items
+            FROM order_items oi
+            WHERE oi.order_id = v_order.id;
+
+            RETURN jsonb_build_object('valid', true, 'issues', '[]'::jsonb,
+                'order', to_jsonb(v_order), 'items', v_items, 'deduplicated', true);
+        END IF;
+    END IF;
+
+    -- The order is written for the customer and offer that were verified
+    IF NULLIF(p_order->>'offer_id', '')::UUID IS DISTINCT FROM v_offer_id THEN
+        RAISE EXCEPTION 'Order offer does not match the verified offer' USING ERRCODE = 'P0001';
+    END IF;
+    IF v_customer_id IS NOT NULL AND NULLIF(p_order->>'customer_id', '')::UUID IS DISTINCT FROM v_customer_id THEN
+        RAISE EXCEPTION 'Order customer does not match the verified customer' USING ERRCODE = 'P0001';
+    END IF;
+
+    -- Offer usage limits are counted under this lock, so two orders can't
+    -- both take the last use
+    IF v_offer_id IS NOT NULL THEN
+        PERFORM 1 FROM offers WHERE id = v_offer_id FOR UPDATE;
+    END IF;
+
+    v_check := verify_order_pricing(
+        v_restaurant_id,
+        v_customer_id,
+        p_verification->'items',
+        v_offer_id,
+        COALESCE((p_verification->>'offer_discount')::DECIMAL, 0),
+        v_coins_redeemed,
+        v_coins_discount
+    );
+
+    IF (v_check->>'valid')::BOOLEAN IS NOT TRUE THEN
+        RETURN jsonb_build_object('valid', false, 'issues', v_check->'issues');
+    END IF;
+
+    -- Every item row must be the verified line at the same position
+    IF jsonb_array_length(p_items) <> jsonb_array_length(v_check->'items') THEN
+        RAISE EXCEPTION 'Order has % items but % were verified',
+            jsonb_array_length(p_items), jsonb_array_length(v_check->'items') USING ERRCODE = 'P0001';
+    END IF;
+
+    FOR v_index IN 0 .. jsonb_array_length(p_items) - 1 LOOP
+        v_line := p_items->v_index;
+        v_verified := v_check->'items'->v_index;
+
+        IF v_line->>'menu_item_id' IS DISTINCT FROM v_verified->>'menu_item_id'
+           OR (v_line->>'quantity')::INTEGER IS DISTINCT FROM (v_verified->>'quantity')::INTEGER
+           OR ABS(COALESCE((v_line->>'unit_price')::DECIMAL, 0) - (v_verified->>'unit_price')::DECIMAL) >= 0.01
+           OR (SELECT COALESCE(jsonb_agg(modifier->>'option_id' ORDER BY modifier->>'option_id'), '[]'::jsonb)
+               FROM jsonb_array_elements(COALESCE(v_line->'modifiers', '[]'::jsonb)) AS modifier)
+              IS DISTINCT FROM
+              (SELECT COALESCE(jsonb_agg(modifier->>'option_id' ORDER BY modifier->>'option_id'), '[]'::jsonb)
+               FROM jsonb_array_elements(COALESCE(p_verification->'items'->v_index->'modifiers', '[]'::jsonb)) AS modifier) THEN
+            RAISE EXCEPTION 'Order item % does not match the verified cart', v_index + 1 USING ERRCODE = 'P0001';
+        END IF;
+    END LOOP;
+
+    v_offer_discount := COALESCE((v_check->>'offer_discount')::DECIMAL, 0);
+    v_bill := calculate_order_bill(v_restaurant_id, v_check->'items', v_offer_discount + v_coins_discount, v_tip);
+
+    -- The client's totals must be the ones the database works out
+    v_mismatch := CASE
+        WHEN ABS(COALESCE((p_order->>'subtotal')::DECIMAL, 0) - (v_bill->>'subtotal')::DECIMAL) >= 0.01 THEN 'subtotal'
+        WHEN ABS(COALESCE((p_order->>'offer_discount')::DECIMAL, 0) - v_offer_discount) >= 0.01 THEN 'offer_discount'
+        WHEN ABS(COALESCE((p_order->>'discount_amount')::DECIMAL, 0) - (v_bill->>'discount')::DECIMAL) >= 0.01 THEN 'discount_amount'
+        WHEN COALESCE((p_order->>'coins_redeemed')::INTEGER, 0) <> v_coins_redeemed THEN 'coins_redeemed'
+        WHEN ABS(COALESCE((p_order->>'tax_amount')::DECIMAL, 0) - (v_bill->'tax_breakdown'->>'total')::DECIMAL) >= 0.01 THEN 'tax_amount'
+        WHEN ABS(COALESCE((p_order->>'service_charge')::DECIMAL, 0)
+                 - (v_bill->>'service_charge')::DECIMAL - (v_bill->>'service_charge_tax')::DECIMAL) >= 0.01 THEN 'service_charge'
+        WHEN ABS(COALESCE((p_order->>'platform_fee')::DECIMAL, 0) - (v_bill->>'platform_fee')::DECIMAL) >= 0.01 THEN 'platform_fee'
+        WHEN ABS(COALESCE((p_order->>'total_amount')::DECIMAL, 0) - (v_bill->>'total')::DECIMAL) >= 0.01 THEN 'total_amount'
+    END;
+
+    IF v_mismatch IS NOT NULL THEN
+        RAISE EXCEPTION 'Order % does not match the verified bill', v_mismatch USING ERRCODE = 'P0001';
+    END IF;
+
+    -- Table reservation: the active session for this table. Later orders
+    -- from the same table session join the row the first one created.
+    IF p_session IS NOT NULL THEN
+        INSERT INTO customer_sessions (
+            session_id, restaurant_id, table_id, customer_name, customer_phone,
+            customer_email, status, started_at, created_by_staff, staff_id
+        ) VALUES (
+            p_session->>'session_id',
+            (p_session->>'restaurant_id')::UUID,
+            (p_session->>'table_id')::UUID,
+            p_session->>'customer_name',
+            p_session->>'customer_phone',
+            p_session->>'customer_email',
+            'active',
+            NOW(),
+            COALESCE((p_session->>'created_by_staff')::BOOLEAN, false),
+            NULLIF(p_session->>'staff_id', '')::UUID
+        )
+        ON CONFLICT (session_id) DO NOTHING;
+    END IF;
+
+    PERFORM bind_session_customer(
+        p_order->>'session_id',
+        v_restaurant_id,
+        COALESCE(v_customer_id, NULLIF(p_order->>'customer_id', '')::UUID)
+    );
+
+    INSERT INTO orders (
+        restaurant_id, table_id, session_id, customer_id, order_number, status, order_type,
+        subtotal, tax_amount, tax_breakdown, service_charge, platform_fee, tip_amount,
+        discount_amount, offer_id, offer_discount, coins_redeemed, total_amount,
+        payment_method, payment_status, special_instructions, assigned_staff_id, assigned_at,
+        estimated_preparation_time, idempotency_key
+    ) VALUES (
+        v_restaurant_id,
+        (p_order->>'table_id')::UUID,
+        p_order->>'session_id',
+        COALESCE(v_customer_id, NULLIF(p_order->>'customer_id', '')::UUID),
+        p_order->>'order_number',
+        COALESCE(p_order->>'status', 'pending'),
+        COALESCE(p_order->>'order_type', 'dine_in'),
+        (v_bill->>'subtotal')::DECIMAL,
+        (v_bill->'tax_breakdown'->>'total')::DECIMAL,
+        v_bill->'tax_breakdown',
+        (v_bill->>'service_charge')::DECIMAL + (v_bill->>'service_charge_tax')::DECIMAL,
+        (v_bill->>'platform_fee')::DECIMAL,
+        (v_bill->>'tip')::DECIMAL,
+        (v_bill->>'discount')::DECIMAL,
+        v_offer_id,
+        v_offer_discount,
+        v_coins_redeemed,
+        (v_bill->>'total')::DECIMAL,
+        p_order->>'payment_method',
+        'pending',
+        p_order->>'special_instructions',
+        NULLIF(p_order->>'assigned_staff_id', '')::UUID,
+        (p_order->>'assigned_at')::TIMESTAMPTZ,
+        (p_order->>'estimated_preparation_time')::INTEGER,
+        p_idempotency_key
+    )
+    RETURNING * INTO v_order;
+
+    -- Names, notes and chosen options come from the client; prices and tax
+    -- from the verified lines
+    WITH inserted AS (
+        INSERT INTO order_items (
+            order_id, menu_item_id, item_name, quantity, unit_price, total_price,
+            special_instructions, modifiers, hsn_code, gst_rate, taxable_value,
+            tax_amount, cgst_amount, sgst_amount, igst_amount
+        )
+        SELECT v_order.id,
+               (verified.line->>'menu_item_id')::UUID,
+               item.line->>'item_name',
+               (verified.line->>'quantity')::INTEGER,
+               (verified.line->>'unit_price')::DECIMAL,
+               (verified.line->>'unit_price')::DECIMAL * (verified.line->>'quantity')::INTEGER,
+               item.line->>'special_instructions',
+               COALESCE(item.line->'modifiers', '[]'::jsonb),
+               taxed.line->>'hsn_code',
+               (taxed.line->>'gst_rate')::DECIMAL,
+               (taxed.line->>'taxable_value')::DECIMAL,
+               (taxed.line->>'tax_amount')::DECIMAL,
+               (taxed.line->>'cgst_amount')::DECIMAL,
+               (taxed.line->>'sgst_amount')::DECIMAL,
+               (taxed.line->>'igst_amount')::DECIMAL
+        FROM jsonb_array_elements(p_items) WITH ORDINALITY AS item(line, line_no)
+        JOIN jsonb_array_elements(v_check->'items') WITH ORDINALITY AS verified(line, line_no) USING (line_no)
+        JOIN jsonb_array_elements(v_bill->'lines') WITH ORDINALITY AS taxed(line, line_no) USING (line_no)
+        ORDER BY line_no
+        RETURNING *
+    )
+    SELECT COALESCE(jsonb_agg(to_jsonb(inserted)), '[]'::jsonb) INTO v_items FROM inserted;
+
+    -- Offer usage (limits are per signed-in customer, like PromotionService.recordUsage)
+    IF v_offer_id IS NOT NULL AND v_customer_id IS NOT NULL THEN
+        INSERT INTO customer_offers (customer_id, offer_id, order_id, discount_amount)
+        VALUES (v_customer_id, v_offer_id, v_order.id, v_order.offer_discount);
+    END IF;
+
+    RETURN jsonb_build_object('valid', true, 'issues', '[]'::jsonb,
+        'order', to_jsonb(v_order), 'items', v_items, 'deduplicated', false);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Orders and their items are only written by create_order_transaction.
+-- The older schema scripts let anyone insert them directly, skipping the
+-- price check and the session binding.
+DROP POLICY IF EXISTS "Allow order creation" ON orders;
+DROP POLICY IF EXISTS "Customers can create orders" ON orders;
+REVOKE INSERT ON orders, order_items FROM anon, authenticated;
+
+COMMENT ON FUNCTION bind_session_customer IS 'Binds an order''s customer to its table session (first order claims it); owners, staff and server jobs are exempt';
+COMMENT ON FUNCTION calculate_order_bill IS 'Bill (GST, service charge, platform fee, tip) for verified order lines; mirrors calculateBill in taxUtils.js';
+COMMENT ON FUNCTION create_order_transaction IS 'Verifies and writes an order with its session, items and offer usage in one transaction, pricing it from the database; returns the existing order for a repeated idempotency key';
+
+-- Verify the migration
+SELECT proname FROM pg_proc WHERE proname IN ('bind_session_customer', 'calculate_order_bill', 'create_order_transaction');
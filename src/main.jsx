@@ -8,3 +8,13 @@ ReactDOM.createRoot(document.getElementById('root')).render(
     <App />
   </React.StrictMode>,
 )
+
+// Offline support - the worker precaches the build and caches menus.
+// The build id in the URL makes every deploy install a new worker with fresh caches.
+if ('serviceWorker' in navigator && import.meta.env.PROD) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(`/sw.js?build=${__BUILD_ID__}`)
+      .then((registration) => console.log('✅ Service worker registered:', registration.scope))
+      .catch((error) => console.error('❌ Service worker registration failed:', error))
+  })
+}
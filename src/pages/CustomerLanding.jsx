@@ -19,6 +19,7 @@ import toast from 'react-hot-toast'
 import FloatingActionButton from '../components/common/FloatingActionButton'
 import AppInstallPrompt from '../components/common/AppInstallPrompt'
 import NetworkStatus from '../components/common/NetworkStatus'
+import SupportChatWidget from '../components/customer/SupportChatWidget'
 import ordyrrLogo from '../assets/logo.png'
 
 // Brand palette from Ordyrr logo
@@ -1200,6 +1201,9 @@ const CustomerLanding = () => {
         onLocationSearch={() => setShowLocationSearch(true)}
       />
 
+      {/* Help chat - general questions before scanning a table */}
+      <SupportChatWidget />
+
       {/* App Install Prompt */}
       <AppInstallPrompt />
 
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react'
+import React, { useState, useEffect, useMemo } from 'react'
 import { useParams, useSearchParams, useNavigate } from 'react-router-dom'
 import { motion, AnimatePresence } from 'framer-motion'
 import { 
@@ -18,13 +18,16 @@ import {
   XMarkIcon,
   MapPinIcon,
   ArrowUpIcon,
-  ArrowDownIcon
+  ArrowDownIcon,
+  BellAlertIcon
 } from '@heroicons/react/24/outline'
 import { HeartIcon as HeartSolidIcon, StarIcon as StarSolidIcon } from '@heroicons/react/24/solid'
 import bcrypt from 'bcryptjs'
 import { supabase } from '../config/supabase'
 import useCartStore from '../stores/useCartStore'
+import { hasModifiers } from '../utils/modifierUtils'
 import UnifiedOrderService from '../services/unifiedOrderService'
+import LoyaltyService from '../services/loyaltyService'
 import NotificationService from '../services/notificationService'
 import tableService from '../services/tableService'
 import realtimeService from '../services/realtimeService'
@@ -58,6 +61,14 @@ import pokeBowl from '../assets/food png/vibrant_poke_bowl__afternoon_lunch_-rem
 import CartSidebar from '../components/customer/CartSidebar'
 import CheckoutModal from '../components/customer/CheckoutModal'
 import OrderTracking from '../components/customer/OrderTracking'
+import SplitBillModal from '../components/customer/SplitBillModal'
+import ServiceRequestModal from '../components/customer/ServiceRequestModal'
+import NetworkStatus from '../components/common/NetworkStatus'
+import SupportChatWidget from '../components/customer/SupportChatWidget'
+import { getTaxLines, getTaxSettings } from '../utils/taxUtils'
+import { LOYALTY_TRANSACTION_LABELS, getLoyaltySettings } from '../utils/loyaltyUtils'
+import { getOrderDisplayNumber } from '../utils/orderNumberUtils'
+import { isServiceRequestOpen } from '../utils/serviceRequestUtils'
 
 // Ordyrr Brand Colors - From UI Spec
 const BRAND_GREEN = '#00E676' // Header background
@@ -167,12 +178,17 @@ const CustomerMenu = () => {
   
   const [restaurant, setRestaurant] = useState(null)
   const [table, setTable] = useState(null)
+  const taxSettings = useMemo(() => getTaxSettings(restaurant), [restaurant])
+  const loyaltySettings = useMemo(() => getLoyaltySettings(restaurant), [restaurant])
   const [categories, setCategories] = useState([])
   const [menuItems, setMenuItems] = useState([])
   const [activeCategory, setActiveCategory] = useState(null)
   const [showCart, setShowCart] = useState(false)
   const [showCheckout, setShowCheckout] = useState(false)
   const [showOrderTracking, setShowOrderTracking] = useState(false)
+  const [showSplitBill, setShowSplitBill] = useState(false)
+  const [showServiceRequests, setShowServiceRequests] = useState(false)
+  const [serviceRequests, setServiceRequests] = useState([])
   const [currentOrder, setCurrentOrder] = useState(null)
   const [sessionId, setSessionId] = useState(null)
   const [loading, setLoading] = useState(true)
@@ -208,9 +224,10 @@ const CustomerMenu = () => {
   
   // Sync itemQuantities with cart whenever cart changes
   useEffect(() => {
+    // An item with modifiers can sit on several cart lines - show the total
     const newQuantities = {}
     cart.forEach(item => {
-      newQuantities[item.id] = item.quantity
+      newQuantities[item.id] = (newQuantities[item.id] || 0) + item.quantity
     })
     setItemQuantities(newQuantities)
   }, [cart])
@@ -294,6 +311,12 @@ const CustomerMenu = () => {
           toast(statusMessages[data.status] || 'Order updated', { icon: '📱' })
           setCurrentOrder(prev => ({ ...prev, status: data.status }))
         },
+        onServiceRequestUpdate: (data) => {
+          if (data.status === 'acknowledged') {
+            toast.success(`${data.label} - staff are on the way`, { icon: data.emoji })
+          }
+          setServiceRequests(prev => prev.map(request => request.id === data.id ? { ...request, ...data } : request))
+        },
         onError: (error) => {
           console.warn('Realtime connection error:', error)
           // Continue without realtime - app still works
@@ -423,7 +446,17 @@ const CustomerMenu = () => {
     }
   }
 
+  // Items with variants / add-ons are customised on the item detail page
+  const openItemCustomizer = (item) => {
+    navigate(`/menu/${restaurantId}/item/${item.id}`, { state: { tableId: finalTableId, tableNumber } })
+  }
+
   const handleAddToCart = (item) => {
+    if (hasModifiers(item)) {
+      setItemQuantities(prev => ({ ...prev, [item.id]: 0 }))
+      openItemCustomizer(item)
+      return
+    }
     addToCart(item)
     toast.success(`${item.name} added to cart`)
   }
@@ -505,28 +538,10 @@ const CustomerMenu = () => {
   // Fetch loyalty points for a customer
   const fetchLoyaltyPoints = async (customerId) => {
     try {
-      // Fetch all loyalty point transactions for the customer
-      const { data, error } = await supabase
-        .from('loyalty_points')
-        .select('points_earned, points_redeemed')
-        .eq('customer_id', customerId)
-        .eq('restaurant_id', restaurantId)
-
-      if (error) {
-        console.error('Error fetching loyalty points:', error)
-        setLoyaltyPoints(0)
-        return
-      }
-
-      // Calculate total points: sum of all earned points minus redeemed points
-      const totalPoints = (data || []).reduce((total, transaction) => {
-        const earned = transaction.points_earned || 0
-        const redeemed = transaction.points_redeemed || 0
-        return total + earned - redeemed
-      }, 0)
-
-      setLoyaltyPoints(totalPoints)
-      console.log('✅ Loyalty points calculated:', totalPoints, 'from', data?.length || 0, 'transactions')
+      // Balance from the loyalty ledger
+      const { balance } = await LoyaltyService.getBalance(customerId, restaurantId)
+      setLoyaltyPoints(balance)
+      console.log('✅ Loyalty points balance:', balance)
     } catch (error) {
       console.error('Error fetching loyalty points:', error)
       setLoyaltyPoints(0)
@@ -629,15 +644,7 @@ const CustomerMenu = () => {
     
     setLoadingCoinsHistory(true)
     try {
-      const { data, error } = await supabase
-        .from('loyalty_points')
-        .select('*')
-        .eq('customer_id', currentCustomer.id)
-        .order('created_at', { ascending: false })
-        .limit(50)
-      
-      if (error) throw error
-      setCoinsTransactions(data || [])
+      setCoinsTransactions(await LoyaltyService.getHistory(currentCustomer.id))
       setShowCoinsHistory(true)
     } catch (error) {
       console.error('Error fetching coins history:', error)
@@ -725,28 +732,23 @@ const CustomerMenu = () => {
 
       if (error) throw error
 
-      // Award signup bonus
-      await supabase
-        .from('loyalty_points')
-        .insert([{
-          customer_id: newCustomer.id,
-          restaurant_id: restaurantId,
-          points_earned: 100,
-          points_redeemed: 0,
-          current_balance: 100,
-          transaction_type: 'signup_bonus',
-          description: 'Welcome bonus - 100 Ordyrr Coins',
-          tier: 'bronze'
-        }])
+      // Award the restaurant's signup bonus
+      let signupBonus = 0
+      try {
+        const bonus = await LoyaltyService.awardSignupBonus(newCustomer.id, restaurantId, loyaltySettings)
+        signupBonus = bonus?.transaction?.points || 0
+      } catch (bonusError) {
+        console.error('❌ Error awarding signup bonus:', bonusError)
+      }
 
       // Success
       setCurrentCustomer(newCustomer)
       setIsAuthenticated(true)
       saveSession(newCustomer)
-      setLoyaltyPoints(100) // New signup gets 100 points
+      setLoyaltyPoints(signupBonus)
       setShowAuthModal(false)
       setShowMobileMenu(true)
-      toast.success('🎉 Account created! You earned 100 Ordyrr Coins!')
+      toast.success(signupBonus > 0 ? `🎉 Account created! You earned ${signupBonus} Ordyrr Coins!` : '🎉 Account created!')
       return true
     } catch (error) {
       console.error('Signup error:', error)
@@ -787,20 +789,26 @@ const CustomerMenu = () => {
     })
     
     // Update cart store (outside of setState to avoid warning)
-    const cartItem = cart.find(item => item.id === itemId)
+    // The most recently added line of this item is the one +/- applies to,
+    // so "+" repeats the customer's last customisation
+    const cartItem = [...cart].reverse().find(item => item.id === itemId)
     if (cartItem) {
       // Item already in cart, update quantity
-      updateQuantity(itemId, cartItem.quantity + change)
+      updateQuantity(cartItem.cartItemId || cartItem.id, cartItem.quantity + change)
     } else if (change > 0) {
       // Item not in cart, add it
       const menuItem = menuItems.find(item => item.id === itemId)
       if (menuItem) {
-        addToCart(menuItem)
+        handleAddToCart(menuItem)
       }
     }
   }
 
   const handleAddToCartWithQuantity = (item) => {
+    if (hasModifiers(item)) {
+      openItemCustomizer(item)
+      return
+    }
     const quantity = itemQuantities[item.id] || 0
     if (quantity > 0) {
       for (let i = 0; i < quantity; i++) {
@@ -998,22 +1006,44 @@ const CustomerMenu = () => {
               className="h-12"
             />
             
-            {/* Profile Button - White Circle with Curved Edge */}
-            <motion.button
-              whileTap={{ scale: 0.95 }}
-              onClick={() => setShowMobileMenu(true)}
-              className="w-10 h-10 bg-white flex items-center justify-center relative"
-              style={{ 
-                boxShadow: '0px 2px 8px rgba(0,0,0,0.1)',
-                borderRadius: '50%',
-                clipPath: 'circle(50% at 50% 50%)'
-              }}
-            >
-              <UserCircleIcon className="w-5 h-5 text-black" />
-              {isAuthenticated && (
-                <div className="absolute -top-1 -right-1 w-3 h-3 bg-green-500 rounded-full border-2 border-white"></div>
+            <div className="flex items-center gap-2">
+              {/* Call Staff Button - only when seated at a table */}
+              {finalTableId && (
+                <motion.button
+                  whileTap={{ scale: 0.95 }}
+                  onClick={() => setShowServiceRequests(true)}
+                  className="w-10 h-10 bg-white flex items-center justify-center relative"
+                  style={{ 
+                    boxShadow: '0px 2px 8px rgba(0,0,0,0.1)',
+                    borderRadius: '50%',
+                    clipPath: 'circle(50% at 50% 50%)'
+                  }}
+                  aria-label="Call staff"
+                >
+                  <BellAlertIcon className="w-5 h-5 text-black" />
+                  {serviceRequests.some(isServiceRequestOpen) && (
+                    <div className="absolute -top-1 -right-1 w-3 h-3 bg-orange-500 rounded-full border-2 border-white"></div>
+                  )}
+                </motion.button>
               )}
-            </motion.button>
+
+              {/* Profile Button - White Circle with Curved Edge */}
+              <motion.button
+                whileTap={{ scale: 0.95 }}
+                onClick={() => setShowMobileMenu(true)}
+                className="w-10 h-10 bg-white flex items-center justify-center relative"
+                style={{ 
+                  boxShadow: '0px 2px 8px rgba(0,0,0,0.1)',
+                  borderRadius: '50%',
+                  clipPath: 'circle(50% at 50% 50%)'
+                }}
+              >
+                <UserCircleIcon className="w-5 h-5 text-black" />
+                {isAuthenticated && (
+                  <div className="absolute -top-1 -right-1 w-3 h-3 bg-green-500 rounded-full border-2 border-white"></div>
+                )}
+              </motion.button>
+            </div>
           </div>
         </div>
 
@@ -1126,7 +1156,7 @@ const CustomerMenu = () => {
                     {/* Offer Details */}
                     <div className="flex-1 min-w-0">
                       <h3 className="font-bold text-base" style={{ color: DARK_TEXT }}>Sign Up & Get</h3>
-                      <p className="text-base font-bold" style={{ color: BRAND_GREEN }}>100 Ordyrr Coins</p>
+                      <p className="text-base font-bold" style={{ color: BRAND_GREEN }}>{loyaltySettings.signup_bonus} Ordyrr Coins</p>
                       <p className="text-xs mt-0.5" style={{ color: MEDIUM_GRAY }}>Join our loyalty program today!</p>
                     </div>
 
@@ -1794,6 +1824,8 @@ const CustomerMenu = () => {
             isAuthenticated={isAuthenticated}
             restaurantId={restaurantId}
             allMenuItems={menuItems}
+            taxSettings={taxSettings}
+            loyaltySettings={loyaltySettings}
           />
         )}
 
@@ -1809,6 +1841,8 @@ const CustomerMenu = () => {
             sessionId={sessionId}
             currentCustomer={currentCustomer}
             initialTip={selectedTip}
+            taxSettings={taxSettings}
+            loyaltySettings={loyaltySettings}
           />
         )}
 
@@ -1817,11 +1851,44 @@ const CustomerMenu = () => {
           <OrderTracking
             key="order-tracking"
             order={currentOrder}
+            sessionId={sessionId}
+            restaurantId={restaurantId}
+            tableId={finalTableId}
+            currentCustomer={currentCustomer}
             isOpen={showOrderTracking}
             onClose={() => setShowOrderTracking(false)}
           />
         )}
 
+        {/* Split Bill */}
+        {showSplitBill && (
+          <SplitBillModal
+            key="split-bill"
+            isOpen={showSplitBill}
+            onClose={() => setShowSplitBill(false)}
+            restaurantId={restaurantId}
+            tableId={finalTableId}
+            sessionId={sessionId}
+            currentCustomer={currentCustomer}
+          />
+        )}
+
+        {/* Service Requests */}
+        {showServiceRequests && (
+          <ServiceRequestModal
+            key="service-requests"
+            isOpen={showServiceRequests}
+            onClose={() => setShowServiceRequests(false)}
+            restaurantId={restaurantId}
+            tableId={finalTableId}
+            tableNumber={table?.table_number}
+            sessionId={sessionId}
+            customerName={currentCustomer?.name}
+            requests={serviceRequests}
+            onRequestsChange={setServiceRequests}
+          />
+        )}
+
         {/* Mobile Profile Menu */}
         {showMobileMenu && (
           <motion.div
@@ -1877,7 +1944,7 @@ const CustomerMenu = () => {
                           <img src={ordyrrCoin} alt="Ordyrr Coin" className="w-10 h-10 object-contain" />
                           <div className="flex-1">
                             <p className="text-sm font-semibold" style={{ color: '#666666' }}>Sign up and get</p>
-                            <p className="text-2xl font-black" style={{ color: '#F59E0B' }}>100 Coins!</p>
+                            <p className="text-2xl font-black" style={{ color: '#F59E0B' }}>{loyaltySettings.signup_bonus} Coins!</p>
                           </div>
                         </div>
                         <motion.button
@@ -1921,6 +1988,28 @@ const CustomerMenu = () => {
                             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
                           </svg>
                         </motion.button>
+
+                        {/* Split the Bill */}
+                        {finalTableId && sessionId && (
+                          <motion.button
+                            whileTap={{ scale: 0.98 }}
+                            onClick={() => {
+                              setShowMobileMenu(false)
+                              setShowSplitBill(true)
+                            }}
+                            className="w-full flex items-center justify-between py-3 px-4 bg-white rounded-xl border border-gray-200 hover:border-green-300 transition-colors"
+                          >
+                            <div className="flex items-center gap-3">
+                              <UserGroupIcon className="w-5 h-5" style={{ color: DARK_TEXT }} />
+                              <span className="text-sm font-semibold" style={{ color: DARK_TEXT }}>
+                                Split the Bill
+                              </span>
+                            </div>
+                            <svg className="w-5 h-5" style={{ color: MEDIUM_GRAY }} fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
+                            </svg>
+                          </motion.button>
+                        )}
                       </div>
                     </div>
 
@@ -2035,6 +2124,28 @@ const CustomerMenu = () => {
                           </svg>
                         </motion.button>
 
+                        {/* Split the Bill */}
+                        {finalTableId && sessionId && (
+                          <motion.button
+                            whileTap={{ scale: 0.98 }}
+                            onClick={() => {
+                              setShowProfile(false)
+                              setShowSplitBill(true)
+                            }}
+                            className="w-full flex items-center justify-between py-3 px-4 bg-white rounded-xl border border-gray-200 hover:border-green-300 transition-colors"
+                          >
+                            <div className="flex items-center gap-3">
+                              <UserGroupIcon className="w-5 h-5" style={{ color: DARK_TEXT }} />
+                              <span className="text-sm font-semibold" style={{ color: DARK_TEXT }}>
+                                Split the Bill
+                              </span>
+                            </div>
+                            <svg className="w-5 h-5" style={{ color: MEDIUM_GRAY }} fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
+                            </svg>
+                          </motion.button>
+                        )}
+
                         {/* Order History */}
                         <motion.button
                           whileTap={{ scale: 0.98 }}
@@ -2242,7 +2353,7 @@ const CustomerMenu = () => {
                   )
                 }}>
                   <div className="bg-gradient-to-r from-green-400 to-green-500 rounded-xl p-4 mb-6 text-center">
-                    <p className="text-white font-black text-lg">🎁 Get 100 Ordyrr Coins</p>
+                    <p className="text-white font-black text-lg">🎁 Get {loyaltySettings.signup_bonus} Ordyrr Coins</p>
                     <p className="text-white text-sm opacity-90">Join our loyalty program today!</p>
                   </div>
 
@@ -2398,7 +2509,7 @@ const CustomerMenu = () => {
                         <div className="flex items-start justify-between mb-3">
                           <div>
                             <p className="font-bold text-base" style={{ color: DARK_TEXT }}>
-                              Order #{order.order_number}
+                              Order #{getOrderDisplayNumber(order)}
                             </p>
                             <p className="text-xs mt-1" style={{ color: MEDIUM_GRAY }}>
                               {new Date(order.created_at).toLocaleDateString('en-US', {
@@ -2473,11 +2584,28 @@ const CustomerMenu = () => {
                               ₹{order.subtotal.toFixed(2)}
                             </span>
                           </div>
-                          {order.tax_amount > 0 && (
+                          {order.service_charge > 0 && (
                             <div className="flex justify-between">
-                              <span style={{ color: MEDIUM_GRAY }}>Platform Fee (1.5%):</span>
+                              <span style={{ color: MEDIUM_GRAY }}>Service Charge:</span>
                               <span className="font-semibold" style={{ color: DARK_TEXT }}>
-                                ₹{order.tax_amount.toFixed(2)}
+                                ₹{parseFloat(order.service_charge).toFixed(2)}
+                              </span>
+                            </div>
+                          )}
+                          {getTaxLines(order.tax_breakdown).map(line => (
+                            <div key={line.label} className="flex justify-between">
+                              <span style={{ color: MEDIUM_GRAY }}>{line.label}:</span>
+                              <span className="font-semibold" style={{ color: DARK_TEXT }}>
+                                ₹{line.amount.toFixed(2)}
+                              </span>
+                            </div>
+                          ))}
+                          {/* Orders placed before the tax engine kept the platform fee in tax_amount */}
+                          {(order.platform_fee ?? order.tax_amount) > 0 && (
+                            <div className="flex justify-between">
+                              <span style={{ color: MEDIUM_GRAY }}>Platform Fee:</span>
+                              <span className="font-semibold" style={{ color: DARK_TEXT }}>
+                                ₹{parseFloat(order.platform_fee ?? order.tax_amount).toFixed(2)}
                               </span>
                             </div>
                           )}
@@ -2584,9 +2712,8 @@ const CustomerMenu = () => {
                 ) : (
                   <div className="space-y-3">
                     {coinsTransactions.map((transaction) => {
-                      const isEarned = transaction.points_earned > 0
-                      const isRedeemed = transaction.points_redeemed > 0
-                      const amount = isEarned ? transaction.points_earned : transaction.points_redeemed
+                      const isEarned = transaction.points > 0
+                      const amount = Math.abs(transaction.points)
                       
                       return (
                         <motion.div
@@ -2608,7 +2735,7 @@ const CustomerMenu = () => {
                               </div>
                               <div>
                                 <p className="text-sm font-bold" style={{ color: DARK_TEXT }}>
-                                  {isEarned ? 'Earned' : 'Redeemed'}
+                                  {LOYALTY_TRANSACTION_LABELS[transaction.transaction_type] || (isEarned ? 'Earned' : 'Redeemed')}
                                 </p>
                                 <p className="text-xs" style={{ color: MEDIUM_GRAY }}>
                                   {new Date(transaction.created_at).toLocaleDateString('en-US', {
@@ -2642,6 +2769,20 @@ const CustomerMenu = () => {
           </motion.div>
         )}
       </AnimatePresence>
+
+      {/* Help chat - FAQ answers, order status and call a waiter */}
+      <SupportChatWidget
+        restaurantId={restaurantId}
+        tableId={finalTableId}
+        tableNumber={table?.table_number}
+        sessionId={sessionId}
+        orderId={currentOrder?.id}
+        customerName={currentCustomer?.name}
+        customerPhone={currentCustomer?.phone}
+      />
+
+      {/* Network Status - also sends orders queued while offline */}
+      <NetworkStatus />
     </div>
   )
 }
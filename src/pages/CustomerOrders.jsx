@@ -10,16 +10,19 @@ import {
   MapPinIcon,
   CalendarIcon,
   ArrowLeftIcon,
-  Bars3Icon
+  Bars3Icon,
+  DocumentArrowDownIcon
 } from '@heroicons/react/24/outline'
 import CustomerNavHeader from '../components/customer/CustomerNavHeader'
 import MobileMenu from '../components/customer/MobileMenu'
 import { useCustomerNavigation } from '../contexts/CustomerNavigationContext'
 import { supabase } from '../config/supabase'
 import useOrderStore from '../stores/useOrderStore'
+import InvoiceService from '../services/invoiceService'
 import toast from 'react-hot-toast'
 import { useNavigate } from 'react-router-dom'
 import logo from '../assets/logo.png'
+import { getOrderDisplayNumber } from '../utils/orderNumberUtils'
 
 // Brand colors
 const BRAND_LIME = '#C6FF3D'
@@ -41,6 +44,7 @@ const CustomerOrders = () => {
   const [showMobileMenu, setShowMobileMenu] = useState(false)
   const [activeTab, setActiveTab] = useState('all')
   const [subscription, setSubscription] = useState(null)
+  const [downloadingInvoiceId, setDownloadingInvoiceId] = useState(null)
 
   // Safe navigation hook usage
   let navigationContext = null
@@ -77,7 +81,7 @@ const CustomerOrders = () => {
     if (currentUser.session_id) {
       const sub = subscribeToCustomerOrders(currentUser.session_id, (orderUpdate) => {
         console.log('📨 Customer order update:', orderUpdate)
-        toast.success(`Order #${orderUpdate.order_number} status updated: ${orderUpdate.status}`, {
+        toast.success(`Order #${getOrderDisplayNumber(orderUpdate)} status updated: ${orderUpdate.status}`, {
           icon: '🔔',
           duration: 3000
         })
@@ -149,6 +153,19 @@ const CustomerOrders = () => {
     })
   }
 
+  const handleDownloadInvoice = async (orderId) => {
+    try {
+      setDownloadingInvoiceId(orderId)
+      const invoice = await InvoiceService.getOrderInvoice(orderId)
+      await InvoiceService.downloadPdf(invoice)
+    } catch (error) {
+      console.error('Error downloading invoice:', error)
+      toast.error('Failed to download invoice')
+    } finally {
+      setDownloadingInvoiceId(null)
+    }
+  }
+
   const handleRateOrder = (orderId) => {
     toast.success('⭐ Thank you for your rating!', {
       duration: 2000
@@ -397,6 +414,19 @@ const CustomerOrders = () => {
                     </motion.button>
                   )}
                   
+                  {order.status !== 'cancelled' && (
+                    <motion.button
+                      whileHover={{ scale: 1.02 }}
+                      whileTap={{ scale: 0.98 }}
+                      onClick={() => handleDownloadInvoice(order.id)}
+                      disabled={downloadingInvoiceId === order.id}
+                      className="px-4 py-2 bg-gray-100 text-gray-700 rounded-xl font-medium text-sm hover:bg-gray-200 transition-all disabled:opacity-50"
+                    >
+                      <DocumentArrowDownIcon className="w-4 h-4 inline mr-1" />
+                      {downloadingInvoiceId === order.id ? 'Saving...' : 'Invoice'}
+                    </motion.button>
+                  )}
+
                   <motion.button
                     whileHover={{ scale: 1.02 }}
                     whileTap={{ scale: 0.98 }}
@@ -13,6 +13,14 @@ import {
 import { HeartIcon as HeartSolidIcon, StarIcon as StarSolidIcon } from '@heroicons/react/24/solid'
 import { supabase } from '../config/supabase'
 import useCartStore from '../stores/useCartStore'
+import ModifierSelector from '../components/customer/ModifierSelector'
+import {
+  getDefaultSelections,
+  hasModifiers,
+  selectionsToModifiers,
+  getUnitPrice,
+  validateModifierSelections
+} from '../utils/modifierUtils'
 import toast from 'react-hot-toast'
 
 // Ordyrr Brand Colors - Match CustomerMenu
@@ -39,6 +47,8 @@ const ItemDetail = () => {
   const [loading, setLoading] = useState(true)
   const [showDishInfo, setShowDishInfo] = useState(true)
   const [showDishSection, setShowDishSection] = useState(false)
+  const [selections, setSelections] = useState({})
+  const [selectionErrors, setSelectionErrors] = useState([])
 
   useEffect(() => {
     fetchItemDetails()
@@ -57,6 +67,8 @@ const ItemDetail = () => {
 
       if (itemError) throw itemError
       setItem(itemData)
+      setSelections(getDefaultSelections(itemData))
+      setSelectionErrors([])
 
       // Fetch similar items (same category, different item)
       if (itemData.category_id) {
@@ -80,12 +92,29 @@ const ItemDetail = () => {
     }
   }
 
+  const selectedModifiers = item ? selectionsToModifiers(item, selections) : []
+  const unitPrice = item ? getUnitPrice(item, selectedModifiers) : 0
+
+  const handleSelectionsChange = (nextSelections) => {
+    setSelections(nextSelections)
+    if (selectionErrors.length > 0) {
+      setSelectionErrors(validateModifierSelections(item, nextSelections))
+    }
+  }
+
   const handleAddToCart = () => {
     if (!item) return
-    
-    for (let i = 0; i < quantity; i++) {
-      addToCart(item)
+
+    if (hasModifiers(item)) {
+      const errors = validateModifierSelections(item, selections)
+      if (errors.length > 0) {
+        setSelectionErrors(errors)
+        toast.error(errors[0])
+        return
+      }
     }
+
+    addToCart(item, selectedModifiers, quantity)
     
     toast.success(`Added ${quantity} ${item.name} to cart`)
     navigate(-1)
@@ -291,6 +320,18 @@ const ItemDetail = () => {
           )}
         </div>
 
+        {/* Variants, choices & add-ons */}
+        {hasModifiers(item) && (
+          <div className="mb-4">
+            <ModifierSelector
+              item={item}
+              selections={selections}
+              onChange={handleSelectionsChange}
+              errors={selectionErrors}
+            />
+          </div>
+        )}
+
         {/* View Product Details Link */}
         <button 
           onClick={() => setShowDishSection(!showDishSection)}
@@ -495,7 +536,7 @@ const ItemDetail = () => {
               <span className="text-sm font-medium" style={{ color: MEDIUM_GRAY }}>{item.serves || '280'} g</span>
             </div>
             <div className="flex items-baseline gap-2">
-              <span className="text-xl font-bold" style={{ color: DARK_TEXT }}>₹{item.price * quantity}</span>
+              <span className="text-xl font-bold" style={{ color: DARK_TEXT }}>₹{unitPrice * quantity}</span>
               {item.original_price && item.original_price > item.price && (
                 <span className="text-sm line-through" style={{ color: MEDIUM_GRAY }}>₹{item.original_price * quantity}</span>
               )}
@@ -0,0 +1,284 @@
+import React, { useState, useEffect, useCallback } from 'react'
+import { useParams, useNavigate } from 'react-router-dom'
+import { motion, AnimatePresence } from 'framer-motion'
+import {
+  ArrowLeftIcon,
+  ArrowPathIcon,
+  ArrowUturnLeftIcon,
+  CheckIcon,
+  ClockIcon
+} from '@heroicons/react/24/outline'
+import KitchenService from '../services/kitchenService'
+import realtimeService from '../services/realtimeService'
+import { formatModifierSummary } from '../utils/modifierUtils'
+import toast from 'react-hot-toast'
+
+const AGE_STYLES = {
+  ok: { header: 'bg-green-600', border: 'border-green-600', text: 'text-green-400' },
+  warning: { header: 'bg-yellow-500', border: 'border-yellow-500', text: 'text-yellow-300' },
+  late: { header: 'bg-red-600', border: 'border-red-600', text: 'text-red-400' }
+}
+
+const FALLBACK_REFRESH_MS = 60000
+const TIMER_TICK_MS = 15000
+
+const formatElapsed = (minutes) => {
+  const wholeMinutes = Math.floor(minutes)
+  if (wholeMinutes < 60) return `${wholeMinutes}m`
+  return `${Math.floor(wholeMinutes / 60)}h ${wholeMinutes % 60}m`
+}
+
+const KitchenDisplay = () => {
+  const { restaurantId } = useParams()
+  const navigate = useNavigate()
+  const [tickets, setTickets] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [activeStation, setActiveStation] = useState('all')
+  const [now, setNow] = useState(Date.now())
+  const [busyItemId, setBusyItemId] = useState(null)
+
+  const fetchTickets = useCallback(async () => {
+    try {
+      const data = await KitchenService.getKitchenTickets(restaurantId)
+      setTickets(data)
+    } catch (error) {
+      toast.error('Failed to load kitchen tickets')
+    } finally {
+      setLoading(false)
+    }
+  }, [restaurantId])
+
+  useEffect(() => {
+    if (!restaurantId) return
+
+    fetchTickets()
+
+    realtimeService.subscribeToRestaurant(restaurantId, {
+      onNewOrder: (data) => {
+        toast(`New order ${data?.orderNumber || ''}`, { icon: '🔔' })
+        fetchTickets()
+      },
+      onOrderUpdate: () => fetchTickets()
+    })
+
+    // Safety net in case a broadcast is missed
+    const refreshInterval = setInterval(fetchTickets, FALLBACK_REFRESH_MS)
+    const timerInterval = setInterval(() => setNow(Date.now()), TIMER_TICK_MS)
+
+    return () => {
+      clearInterval(refreshInterval)
+      clearInterval(timerInterval)
+      realtimeService.unsubscribeFromChannel(`restaurant-${restaurantId}`)
+    }
+  }, [restaurantId, fetchTickets])
+
+  const handleBump = async (ticket, item) => {
+    try {
+      setBusyItemId(item.id)
+      const { orderStatus } = await KitchenService.bumpItem(item.id, ticket.orderId, restaurantId)
+      if (orderStatus === 'ready') {
+        toast.success(`Order ${ticket.orderNumber} is ready`)
+      }
+      await fetchTickets()
+    } catch (error) {
+      toast.error('Failed to bump item')
+    } finally {
+      setBusyItemId(null)
+    }
+  }
+
+  const handleRecall = async (ticket, item) => {
+    try {
+      setBusyItemId(item.id)
+      await KitchenService.recallItem(item.id, ticket.orderId, restaurantId)
+      toast(`${item.item_name} recalled`, { icon: '↩️' })
+      await fetchTickets()
+    } catch (error) {
+      toast.error('Failed to recall item')
+    } finally {
+      setBusyItemId(null)
+    }
+  }
+
+  const stations = KitchenService.getAllStations()
+  const visibleTickets = activeStation === 'all'
+    ? tickets
+    : tickets.filter(ticket => ticket.stationId === activeStation)
+
+  // Open tickets first (oldest on the left), finished ones at the end for recall
+  const sortedTickets = [
+    ...visibleTickets.filter(ticket => !ticket.isComplete),
+    ...visibleTickets.filter(ticket => ticket.isComplete)
+  ]
+
+  const getStationCount = (stationId) => tickets.filter(ticket =>
+    ticket.stationId === stationId && !ticket.isComplete
+  ).length
+
+  return (
+    <div className="min-h-screen bg-neutral-900 text-white">
+      {/* Header */}
+      <div className="sticky top-0 z-20 bg-neutral-950 border-b border-neutral-800 px-4 py-3">
+        <div className="flex items-center justify-between gap-4">
+          <div className="flex items-center gap-3">
+            <button
+              onClick={() => navigate(-1)}
+              className="p-2 rounded-lg hover:bg-neutral-800 transition-colors"
+            >
+              <ArrowLeftIcon className="h-5 w-5" />
+            </button>
+            <h1 className="text-xl font-bold">Kitchen Display</h1>
+            <span className="px-2 py-0.5 rounded-full bg-neutral-800 text-sm text-neutral-300">
+              {tickets.filter(ticket => !ticket.isComplete).length} open
+            </span>
+          </div>
+          <button
+            onClick={fetchTickets}
+            className="flex items-center gap-2 px-3 py-2 rounded-lg bg-neutral-800 hover:bg-neutral-700 text-sm transition-colors"
+          >
+            <ArrowPathIcon className="h-4 w-4" />
+            Refresh
+          </button>
+        </div>
+
+        {/* Station Tabs */}
+        <div className="flex gap-2 mt-3 overflow-x-auto">
+          <button
+            onClick={() => setActiveStation('all')}
+            className={`px-4 py-2 rounded-lg text-sm font-semibold whitespace-nowrap transition-colors ${
+              activeStation === 'all' ? 'bg-orange-500 text-white' : 'bg-neutral-800 text-neutral-300 hover:bg-neutral-700'
+            }`}
+          >
+            All Stations
+          </button>
+          {stations.map(station => (
+            <button
+              key={station.id}
+              onClick={() => setActiveStation(station.id)}
+              className={`px-4 py-2 rounded-lg text-sm font-semibold whitespace-nowrap transition-colors ${
+                activeStation === station.id ? 'bg-orange-500 text-white' : 'bg-neutral-800 text-neutral-300 hover:bg-neutral-700'
+              }`}
+            >
+              {station.emoji} {station.name}
+              {getStationCount(station.id) > 0 && (
+                <span className="ml-2 px-1.5 py-0.5 rounded bg-black/30 text-xs">{getStationCount(station.id)}</span>
+              )}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Tickets */}
+      <div className="p-4">
+        {loading ? (
+          <div className="flex items-center justify-center py-24">
+            <div className="w-10 h-10 border-4 border-orange-500 border-t-transparent rounded-full animate-spin"></div>
+          </div>
+        ) : sortedTickets.length === 0 ? (
+          <div className="text-center py-24 text-neutral-500">
+            <p className="text-5xl mb-4">👨‍🍳</p>
+            <p className="text-lg font-medium">No tickets right now</p>
+          </div>
+        ) : (
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-4">
+            <AnimatePresence>
+              {sortedTickets.map(ticket => {
+                const station = KitchenService.getStation(ticket.stationId)
+                const { elapsedMinutes, level } = KitchenService.getTicketAge(ticket, now)
+                const style = ticket.isComplete
+                  ? { header: 'bg-neutral-700', border: 'border-neutral-700', text: 'text-neutral-400' }
+                  : AGE_STYLES[level]
+
+                return (
+                  <motion.div
+                    key={ticket.id}
+                    layout
+                    initial={{ opacity: 0, scale: 0.95 }}
+                    animate={{ opacity: ticket.isComplete ? 0.6 : 1, scale: 1 }}
+                    exit={{ opacity: 0, scale: 0.95 }}
+                    className={`bg-neutral-800 rounded-xl border-2 ${style.border} overflow-hidden flex flex-col`}
+                  >
+                    {/* Ticket Header */}
+                    <div className={`${style.header} px-4 py-2 flex items-center justify-between`}>
+                      <div>
+                        <p className="font-bold text-lg leading-tight">
+                          {ticket.tableNumber ? `Table ${ticket.tableNumber}` : 'Takeaway'}
+                        </p>
+                        <p className="text-xs opacity-90">{ticket.orderNumber}</p>
+                      </div>
+                      <div className="text-right">
+                        <p className="flex items-center gap-1 font-bold">
+                          <ClockIcon className="h-4 w-4" />
+                          {formatElapsed(elapsedMinutes)}
+                        </p>
+                        <p className="text-xs opacity-90">{station.emoji} {station.name}</p>
+                      </div>
+                    </div>
+
+                    {/* Items */}
+                    <div className="divide-y divide-neutral-700 flex-1">
+                      {ticket.items.map(item => {
+                        const isBumped = item.item_status === KitchenService.ITEM_STATUS.BUMPED
+                        return (
+                          <div key={item.id} className="px-4 py-3 flex items-start justify-between gap-3">
+                            <div className={isBumped ? 'line-through text-neutral-500' : ''}>
+                              <p className="font-semibold">
+                                <span className="text-orange-400 mr-2">{item.quantity}×</span>
+                                {item.item_name}
+                              </p>
+                              {item.modifiers?.length > 0 && (
+                                <p className="text-sm text-neutral-300">
+                                  {formatModifierSummary(item.modifiers, { showPrices: false })}
+                                </p>
+                              )}
+                              {item.special_instructions && (
+                                <p className="text-sm text-yellow-300">⚠ {item.special_instructions}</p>
+                              )}
+                            </div>
+                            <button
+                              onClick={() => isBumped ? handleRecall(ticket, item) : handleBump(ticket, item)}
+                              disabled={busyItemId === item.id}
+                              className={`flex-shrink-0 flex items-center gap-1 px-3 py-2 rounded-lg text-sm font-semibold transition-colors disabled:opacity-50 ${
+                                isBumped
+                                  ? 'bg-neutral-700 text-neutral-200 hover:bg-neutral-600'
+                                  : 'bg-green-600 text-white hover:bg-green-700'
+                              }`}
+                            >
+                              {isBumped ? (
+                                <>
+                                  <ArrowUturnLeftIcon className="h-4 w-4" />
+                                  Recall
+                                </>
+                              ) : (
+                                <>
+                                  <CheckIcon className="h-4 w-4" />
+                                  Bump
+                                </>
+                              )}
+                            </button>
+                          </div>
+                        )
+                      })}
+                    </div>
+
+                    {ticket.specialInstructions && (
+                      <div className="px-4 py-2 bg-yellow-500/10 border-t border-neutral-700">
+                        <p className="text-sm text-yellow-300">{ticket.specialInstructions}</p>
+                      </div>
+                    )}
+
+                    <div className={`px-4 py-2 border-t border-neutral-700 text-xs ${style.text}`}>
+                      Target {ticket.estimatedPrepMinutes} min · {ticket.orderStatus}
+                    </div>
+                  </motion.div>
+                )
+              })}
+            </AnimatePresence>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default KitchenDisplay
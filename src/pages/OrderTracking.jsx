@@ -7,11 +7,16 @@ import {
   TruckIcon,
   UserIcon,
   PhoneIcon,
-  StarIcon
+  StarIcon,
+  DocumentArrowDownIcon
 } from '@heroicons/react/24/outline'
 import { supabase } from '../config/supabase'
 import useOrderStore from '../stores/useOrderStore'
+import InvoiceService from '../services/invoiceService'
+import SlaService from '../services/slaService'
+import SupportChatWidget from '../components/customer/SupportChatWidget'
 import toast from 'react-hot-toast'
+import { getOrderDisplayNumber } from '../utils/orderNumberUtils'
 
 const OrderTracking = () => {
   const { orderId } = useParams()
@@ -20,6 +25,8 @@ const OrderTracking = () => {
   const [rating, setRating] = useState(0)
   const [review, setReview] = useState('')
   const [showReview, setShowReview] = useState(false)
+  const [downloadingInvoice, setDownloadingInvoice] = useState(false)
+  const [eta, setEta] = useState(null)
 
   useEffect(() => {
     loadOrder()
@@ -44,17 +51,30 @@ const OrderTracking = () => {
       )
       .subscribe()
 
+    // The ETA moves as stages run late, so refresh it every minute too
+    const etaTimer = setInterval(loadEta, 60000)
+
     return () => {
       subscription.unsubscribe()
+      clearInterval(etaTimer)
     }
   }, [orderId])
 
   const loadOrder = async () => {
     setLoading(true)
     await fetchOrderById(orderId)
+    await loadEta()
     setLoading(false)
   }
 
+  const loadEta = async () => {
+    try {
+      setEta(await SlaService.getOrderEta(orderId))
+    } catch (error) {
+      console.warn('⚠️ Could not load order ETA:', error)
+    }
+  }
+
   const getStatusSteps = () => {
     const steps = [
       { key: 'pending', label: 'Order Placed', icon: CheckCircleIcon },
@@ -74,6 +94,18 @@ const OrderTracking = () => {
     }))
   }
 
+  const downloadInvoice = async () => {
+    try {
+      setDownloadingInvoice(true)
+      const invoice = await InvoiceService.getOrderInvoice(currentOrder.id)
+      await InvoiceService.downloadPdf(invoice)
+    } catch (error) {
+      toast.error('Failed to download invoice')
+    } finally {
+      setDownloadingInvoice(false)
+    }
+  }
+
   const submitReview = async () => {
     if (!rating) {
       toast.error('Please provide a rating')
@@ -130,7 +162,7 @@ const OrderTracking = () => {
         <div className="max-w-2xl mx-auto px-4 py-6">
           <div className="text-center">
             <h1 className="text-2xl font-bold text-neutral-900">Order Tracking</h1>
-            <p className="text-neutral-600 mt-1">Order #{currentOrder.order_number}</p>
+            <p className="text-neutral-600 mt-1">Order #{getOrderDisplayNumber(currentOrder)}</p>
           </div>
         </div>
       </div>
@@ -139,6 +171,21 @@ const OrderTracking = () => {
         {/* Order Status */}
         <div className="bg-white rounded-2xl shadow-sm border border-neutral-200 p-6 mb-6">
           <h2 className="text-lg font-semibold mb-6">Order Status</h2>
+
+          {eta && (
+            <div className={`flex items-center gap-3 p-4 rounded-xl mb-6 ${eta.late ? 'bg-yellow-50' : 'bg-primary-50'}`}>
+              <ClockIcon className={`h-6 w-6 ${eta.late ? 'text-yellow-600' : 'text-primary-500'}`} />
+              <div>
+                <p className="font-medium text-neutral-900">
+                  At your table in about {eta.minutes} min
+                  <span className="text-neutral-500 font-normal"> ({eta.etaAt.toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' })})</span>
+                </p>
+                {eta.late && (
+                  <p className="text-sm text-yellow-700">Running a little behind - we've updated your ETA</p>
+                )}
+              </div>
+            </div>
+          )}
           
           <div className="space-y-4">
             {steps.map((step, index) => (
@@ -224,6 +271,16 @@ const OrderTracking = () => {
               <span>Total</span>
               <span>₹{currentOrder.total_amount}</span>
             </div>
+            {currentOrder.status !== 'cancelled' && (
+              <button
+                onClick={downloadInvoice}
+                disabled={downloadingInvoice}
+                className="mt-4 w-full flex items-center justify-center gap-2 btn-outline disabled:opacity-50"
+              >
+                <DocumentArrowDownIcon className="h-5 w-5" />
+                <span>{downloadingInvoice ? 'Preparing invoice...' : 'Download Invoice'}</span>
+              </button>
+            )}
           </div>
         </div>
 
@@ -292,6 +349,15 @@ const OrderTracking = () => {
           </motion.div>
         </div>
       )}
+
+      <SupportChatWidget
+        restaurantId={currentOrder.restaurant_id}
+        tableId={currentOrder.table_id}
+        orderId={currentOrder.id}
+        customerName={currentOrder.customer_name}
+        customerPhone={currentOrder.customer_phone}
+        launcherClassName="bottom-4 right-4"
+      />
     </div>
   )
 }
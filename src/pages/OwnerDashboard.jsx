@@ -21,7 +21,9 @@ import {
   CogIcon,
   ClipboardDocumentListIcon,
   Bars3Icon,
-  SparklesIcon
+  SparklesIcon,
+  ArchiveBoxIcon,
+  TagIcon
 } from '@heroicons/react/24/outline'
 import Header from '../components/header/Header'
 import { 
@@ -41,6 +43,7 @@ import {
 import { supabase } from '../config/supabase'
 import { uploadImageToStorage, compressImage } from '../utils/storageUtils'
 import UnifiedOrderService from '../services/unifiedOrderService'
+import { getTaxSettings, validateTaxSettings, GST_SLABS, SUPPLY_TYPES, PRICING_MODES } from '../utils/taxUtils'
 import NotificationService from '../services/notificationService'
 import useOrderStore from '../stores/useOrderStore'
 import useAuthStore from '../stores/useAuthStore'
@@ -51,6 +54,15 @@ import MenuTab from '../components/dashboard/MenuTab'
 import TablesTab from '../components/dashboard/TablesTab'
 import StaffTab from '../components/dashboard/StaffTab'
 import AnalyticsTab from '../components/dashboard/AnalyticsTab'
+import InventoryTab from '../components/dashboard/InventoryTab'
+import PromotionsTab from '../components/dashboard/PromotionsTab'
+import {
+  getOrderDisplayNumber,
+  getOrderNumberSettings,
+  formatDisplayNumber,
+  normalizeOrderPrefix,
+  ORDER_NUMBER_RESET_LABELS
+} from '../utils/orderNumberUtils'
 // import AuthDebug from '../components/AuthDebug' // Removed after database setup
 
 const OwnerDashboard = () => {
@@ -90,7 +102,10 @@ const OwnerDashboard = () => {
     email: '',
     cuisine_type: '',
     logo_url: '',
-    banner_url: ''
+    banner_url: '',
+    gstin: '',
+    tax_settings: getTaxSettings(null),
+    order_number_settings: getOrderNumberSettings(null)
   })
   const [imageFiles, setImageFiles] = useState({ logo: null, banner: null })
   const [imagePreview, setImagePreview] = useState({ logo: null, banner: null })
@@ -477,7 +492,7 @@ const OwnerDashboard = () => {
       // Fetch recent orders for notifications
       const { data: recentOrders } = await supabase
         .from('orders')
-        .select('id, order_number, status, created_at, customer_name, total_amount')
+        .select('id, order_number, display_number, status, created_at, customer_name, total_amount')
         .eq('restaurant_id', restaurantId)
         .order('created_at', { ascending: false })
         .limit(5)
@@ -497,7 +512,7 @@ const OwnerDashboard = () => {
         const timeAgo = getTimeAgo(order.created_at)
         notifications.push({
           id: `order_${order.id}`,
-          message: `New order #${order.order_number} from ${order.customer_name || 'Customer'}`,
+          message: `New order #${getOrderDisplayNumber(order)} from ${order.customer_name || 'Customer'}`,
           type: order.status === 'pending' ? 'info' : 'success',
           time: timeAgo
         })
@@ -1396,6 +1411,24 @@ const OwnerDashboard = () => {
 
 
 
+  const handleUpdateCategory = async (categoryId, updates) => {
+    try {
+      const { data, error } = await supabase
+        .from('categories')
+        .update(updates)
+        .eq('id', categoryId)
+        .select()
+        .single()
+
+      if (error) throw error
+      setCategories(categories.map(category => category.id === categoryId ? data : category))
+      toast.success('Category updated successfully')
+    } catch (error) {
+      console.error('Error updating category:', error)
+      toast.error('Failed to update category')
+    }
+  }
+
   // Profile and Restaurant Settings Handlers
   const handleUpdateProfile = async () => {
     try {
@@ -1446,12 +1479,55 @@ const OwnerDashboard = () => {
     reader.readAsDataURL(file)
   }, [])
 
+  const openRestaurantSettings = () => {
+    const taxSettings = getTaxSettings(restaurant)
+    setRestaurantData({
+      name: restaurant?.name || restaurant?.restaurant_name || '',
+      description: restaurant?.description || '',
+      address: restaurant?.address || '',
+      phone: restaurant?.phone || '',
+      email: restaurant?.email || '',
+      cuisine_type: restaurant?.cuisine_type || '',
+      logo_url: restaurant?.logo_url || '',
+      banner_url: restaurant?.banner_url || '',
+      gstin: taxSettings.gstin,
+      tax_settings: taxSettings,
+      order_number_settings: getOrderNumberSettings(restaurant)
+    })
+    setShowRestaurantSettings(true)
+  }
+
+  const updateTaxSetting = (field, value) => {
+    setRestaurantData(prev => ({ ...prev, tax_settings: { ...prev.tax_settings, [field]: value } }))
+  }
+
+  const updateOrderNumberSetting = (field, value) => {
+    setRestaurantData(prev => ({ ...prev, order_number_settings: { ...prev.order_number_settings, [field]: value } }))
+  }
+
   const handleUpdateRestaurant = async () => {
+    const gstin = restaurantData.gstin.trim().toUpperCase()
+    const taxValidation = validateTaxSettings({ ...restaurantData.tax_settings, gstin })
+    if (!taxValidation.valid) {
+      toast.error(taxValidation.errors[0])
+      return
+    }
+
     try {
       setUploadingImages(true)
       console.log('Updating restaurant:', restaurantData)
       
-      let updatedData = { ...restaurantData }
+      let updatedData = {
+        ...restaurantData,
+        gstin: gstin || null,
+        tax_settings: {
+          ...restaurantData.tax_settings,
+          gstin,
+          default_gst_rate: Number(restaurantData.tax_settings.default_gst_rate),
+          service_charge_rate: parseFloat(restaurantData.tax_settings.service_charge_rate) || 0
+        },
+        order_number_settings: getOrderNumberSettings({ order_number_settings: restaurantData.order_number_settings })
+      }
       
       // Upload new images if any
       if (imageFiles.logo || imageFiles.banner) {
@@ -1527,6 +1603,8 @@ const OwnerDashboard = () => {
     { id: 'overview', name: 'Overview', icon: ChartBarIcon },
     { id: 'orders', name: 'Orders', icon: ShoppingBagIcon },
     { id: 'menu', name: 'Menu', icon: PlusIcon },
+    { id: 'inventory', name: 'Inventory', icon: ArchiveBoxIcon },
+    { id: 'promotions', name: 'Promotions', icon: TagIcon },
     { id: 'staff', name: 'Staff', icon: UsersIcon },
     { id: 'tables', name: 'Tables', icon: QrCodeIcon },
     { id: 'analytics', name: 'Analytics', icon: TrendingUpIcon }
@@ -1598,6 +1676,7 @@ const OwnerDashboard = () => {
         unreadNotifications={unreadNotifications}
         setActiveTab={setActiveTab}
         handleLogout={handleLogout}
+        onOpenSettings={openRestaurantSettings}
         onMarkNotificationRead={async (notificationId) => {
           try {
             await NotificationService.markAsRead(notificationId)
@@ -1680,6 +1759,7 @@ const OwnerDashboard = () => {
           <OrdersTab 
             orders={orders}
             onUpdateOrder={handleUpdateOrder}
+            restaurantId={restaurant?.id}
           />
         )}
 
@@ -1691,10 +1771,27 @@ const OwnerDashboard = () => {
             onUpdateItem={handleUpdateMenuItem}
             onDeleteItem={handleDeleteMenuItem}
             onAddCategory={handleAddCategory}
+            onUpdateCategory={handleUpdateCategory}
             restaurantId={user?.id}
           />
         )}
 
+        {activeTab === 'inventory' && (
+          <InventoryTab 
+            restaurantId={restaurant?.id}
+            menuItems={menuItems}
+            onMenuItemsChanged={() => fetchMenuItems(restaurant?.id)}
+          />
+        )}
+
+        {activeTab === 'promotions' && (
+          <PromotionsTab 
+            restaurantId={restaurant?.id}
+            menuItems={menuItems}
+            categories={categories}
+          />
+        )}
+
         {activeTab === 'tables' && (
           <TablesTab 
             restaurant={restaurant}
@@ -1724,6 +1821,7 @@ const OwnerDashboard = () => {
             orders={orders}
             staff={staff}
             menuItems={menuItems}
+            restaurantId={restaurant?.id}
           />
         )}
       </div>
@@ -1870,6 +1968,173 @@ const OwnerDashboard = () => {
                   <option value="Other">Other</option>
                 </select>
               </div>
+
+              {/* GST */}
+              <div className="pt-4 border-t border-gray-200 space-y-4">
+                <div className="flex items-center justify-between">
+                  <div>
+                    <h3 className="text-sm font-semibold text-gray-900">GST</h3>
+                    <p className="text-xs text-gray-500">Charged per item on top of or inside menu prices</p>
+                  </div>
+                  <button
+                    type="button"
+                    onClick={() => updateTaxSetting('gst_enabled', !restaurantData.tax_settings.gst_enabled)}
+                    className={`relative inline-flex h-6 w-11 items-center rounded-full transition-colors ${
+                      restaurantData.tax_settings.gst_enabled ? 'bg-orange-500' : 'bg-gray-300'
+                    }`}
+                  >
+                    <span
+                      className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform ${
+                        restaurantData.tax_settings.gst_enabled ? 'translate-x-6' : 'translate-x-1'
+                      }`}
+                    />
+                  </button>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    GSTIN
+                  </label>
+                  <input
+                    type="text"
+                    value={restaurantData.gstin}
+                    onChange={(e) => setRestaurantData({ ...restaurantData, gstin: e.target.value.toUpperCase() })}
+                    maxLength={15}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-transparent uppercase"
+                    placeholder="22AAAAA0000A1Z5"
+                  />
+                </div>
+
+                <div className="grid grid-cols-2 gap-3">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Default GST Rate
+                    </label>
+                    <select
+                      value={restaurantData.tax_settings.default_gst_rate}
+                      onChange={(e) => updateTaxSetting('default_gst_rate', Number(e.target.value))}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-transparent"
+                    >
+                      {GST_SLABS.map(rate => (
+                        <option key={rate} value={rate}>{rate}%</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Service Charge (%)
+                    </label>
+                    <input
+                      type="number"
+                      min="0"
+                      max="20"
+                      step="0.5"
+                      value={restaurantData.tax_settings.service_charge_rate}
+                      onChange={(e) => updateTaxSetting('service_charge_rate', e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-transparent"
+                    />
+                  </div>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Supply Type
+                  </label>
+                  <select
+                    value={restaurantData.tax_settings.supply_type}
+                    onChange={(e) => updateTaxSetting('supply_type', e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-transparent"
+                  >
+                    <option value={SUPPLY_TYPES.INTRA}>Intra-state (CGST + SGST)</option>
+                    <option value={SUPPLY_TYPES.INTER}>Inter-state (IGST)</option>
+                  </select>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Menu Prices
+                  </label>
+                  <select
+                    value={restaurantData.tax_settings.price_mode}
+                    onChange={(e) => updateTaxSetting('price_mode', e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-transparent"
+                  >
+                    <option value={PRICING_MODES.EXCLUSIVE}>Exclusive - GST added at checkout</option>
+                    <option value={PRICING_MODES.INCLUSIVE}>Inclusive - prices already include GST</option>
+                  </select>
+                </div>
+              </div>
+
+              {/* Order numbers */}
+              <div className="pt-4 border-t border-gray-200 space-y-4">
+                <div>
+                  <h3 className="text-sm font-semibold text-gray-900">Order Numbers</h3>
+                  <p className="text-xs text-gray-500">
+                    Next order looks like <span className="font-semibold text-gray-900">#{formatDisplayNumber(1, getOrderNumberSettings({ order_number_settings: restaurantData.order_number_settings }))}</span>
+                  </p>
+                </div>
+
+                <div className="grid grid-cols-2 gap-3">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Prefix
+                    </label>
+                    <input
+                      type="text"
+                      value={restaurantData.order_number_settings.prefix}
+                      onChange={(e) => updateOrderNumberSetting('prefix', normalizeOrderPrefix(e.target.value))}
+                      maxLength={4}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-transparent uppercase"
+                      placeholder="A"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Digits
+                    </label>
+                    <select
+                      value={restaurantData.order_number_settings.padding}
+                      onChange={(e) => updateOrderNumberSetting('padding', Number(e.target.value))}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-transparent"
+                    >
+                      {[2, 3, 4].map(digits => (
+                        <option key={digits} value={digits}>{digits}</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+
+                <div className="grid grid-cols-2 gap-3">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Start Again From 1
+                    </label>
+                    <select
+                      value={restaurantData.order_number_settings.reset_policy}
+                      onChange={(e) => updateOrderNumberSetting('reset_policy', e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-transparent"
+                    >
+                      {Object.entries(ORDER_NUMBER_RESET_LABELS).map(([policy, label]) => (
+                        <option key={policy} value={policy}>{label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Business Day Starts
+                    </label>
+                    <select
+                      value={restaurantData.order_number_settings.day_start_hour}
+                      onChange={(e) => updateOrderNumberSetting('day_start_hour', Number(e.target.value))}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-transparent"
+                    >
+                      {[0, 1, 2, 3, 4, 5, 6].map(hour => (
+                        <option key={hour} value={hour}>{hour === 0 ? 'Midnight' : `${hour}:00 am`}</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+              </div>
             </div>
             
             <div className="p-4 sm:p-6 border-t border-gray-200 bg-gray-50">
@@ -38,6 +38,7 @@ import OrdersTab from '../components/dashboard/OrdersTab'
 import TablesTab from '../components/dashboard/TablesTab'
 import AnalyticsTab from '../components/dashboard/AnalyticsTab'
 import toast from 'react-hot-toast'
+import { getOrderDisplayNumber } from '../utils/orderNumberUtils'
 
 const OwnerDashboard = () => {
   const { user, profile, signOut, loading: authLoading } = useAuthStore()
@@ -312,7 +313,7 @@ const OwnerDashboard = () => {
       // Fetch recent orders for notifications
       const { data: recentOrders } = await supabase
         .from('orders')
-        .select('id, order_number, status, created_at, customer_name, total_amount')
+        .select('id, order_number, display_number, status, created_at, customer_name, total_amount')
         .eq('restaurant_id', restaurantId)
         .order('created_at', { ascending: false })
         .limit(5)
@@ -324,7 +325,7 @@ const OwnerDashboard = () => {
         const timeAgo = new Date(order.created_at).toLocaleTimeString()
         notifications.push({
           id: `order_${order.id}`,
-          message: `New order #${order.order_number} from ${order.customer_name || 'Customer'}`,
+          message: `New order #${getOrderDisplayNumber(order)} from ${order.customer_name || 'Customer'}`,
           type: order.status === 'pending' ? 'info' : 'success',
           time: timeAgo
         })
@@ -14,7 +14,8 @@ import {
   FireIcon,
   TrophyIcon,
   UserGroupIcon,
-  TableCellsIcon
+  TableCellsIcon,
+  CalendarDaysIcon
 } from '@heroicons/react/24/outline'
 import { LineChart, Line, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, PieChart, Pie, Cell } from 'recharts'
 import { supabase } from '../config/supabase'
@@ -44,6 +45,7 @@ const RestaurantDetailsPage = () => {
   const [menuItems, setMenuItems] = useState([])
   const [tables, setTables] = useState([])
   const [staff, setStaff] = useState([])
+  const [reservations, setReservations] = useState([])
 
   const BRAND_ORANGE = '#F59E0B'
   const BRAND_BLACK = '#1F2937'
@@ -102,6 +104,18 @@ const RestaurantDetailsPage = () => {
 
       if (staffError) throw staffError
 
+      // Fetch advance bookings in the date range (optional until the migration runs)
+      const { data: reservationsData, error: reservationsError } = await supabase
+        .from('table_reservations')
+        .select('id, party_size, reserved_for, status')
+        .eq('restaurant_id', restaurantId)
+        .gte('reserved_for', filters.dateFrom)
+        .lte('reserved_for', filters.dateTo + 'T23:59:59')
+
+      if (reservationsError) {
+        console.warn('Could not load reservations:', reservationsError)
+      }
+
       // Process analytics
       const processedAnalytics = processOrderAnalytics(orders || [])
       const topItems = processTopMenuItems(orders || [], menuData || [])
@@ -111,6 +125,7 @@ const RestaurantDetailsPage = () => {
       setMenuItems(menuData || [])
       setTables(tablesData || [])
       setStaff(staffData || [])
+      setReservations(reservationsData || [])
       
       // Process top menu items
       const menuItemsWithOrders = (menuData || []).map(item => {
@@ -258,6 +273,9 @@ const RestaurantDetailsPage = () => {
   }
 
   const COLORS = ['#F59E0B', '#10B981', '#3B82F6', '#8B5CF6', '#EC4899']
+  const keptBookings = reservations.filter(r => r.status === 'seated' || r.status === 'completed').length
+  const noShows = reservations.filter(r => r.status === 'no_show').length
+  const noShowRate = keptBookings + noShows > 0 ? Math.round((noShows / (keptBookings + noShows)) * 100) : 0
 
   return (
     <div className="min-h-screen bg-white">
@@ -527,6 +545,17 @@ const RestaurantDetailsPage = () => {
                 <span className="text-2xl font-black text-green-600">{menuItems.length}</span>
               </div>
               
+              <div className="flex items-center justify-between p-4 bg-pink-50 rounded-xl border-4 border-black">
+                <div className="flex items-center gap-3">
+                  <CalendarDaysIcon className="h-6 w-6 text-pink-600" />
+                  <span className="font-bold text-black">Table Bookings</span>
+                </div>
+                <div className="text-right">
+                  <span className="text-2xl font-black text-pink-600">{reservations.length}</span>
+                  <p className="text-xs font-bold text-black/60">{noShowRate}% NO-SHOW</p>
+                </div>
+              </div>
+              
               <div className="flex items-center justify-between p-4 bg-amber-50 rounded-xl border-4 border-black">
                 <div className="flex items-center gap-3">
                   <CurrencyRupeeIcon className="h-6 w-6 text-amber-600" />
@@ -13,7 +13,8 @@ import {
   EyeIcon,
   HeartIcon,
   FireIcon,
-  SparklesIcon
+  SparklesIcon,
+  CalendarDaysIcon
 } from '@heroicons/react/24/outline'
 import { HeartIcon as HeartSolidIcon, StarIcon as StarSolidIcon } from '@heroicons/react/24/solid'
 import { supabase } from '../config/supabase'
@@ -22,6 +23,8 @@ import CustomerLoader from '../components/customer/CustomerLoader'
 import CustomerNavHeader from '../components/customer/CustomerNavHeader'
 import CustomerBreadcrumbs from '../components/customer/CustomerBreadcrumbs'
 import MobileMenu from '../components/customer/MobileMenu'
+import TableBookingModal from '../components/customer/TableBookingModal'
+import { useCustomerNavigation } from '../contexts/CustomerNavigationContext'
 import logo from '../assets/logo green.png'
 
 // Brand colors - Matching Menu Page
@@ -38,6 +41,8 @@ const RestaurantDiscovery = () => {
   const [searchQuery, setSearchQuery] = useState(searchParams.get('location') || '')
   const [selectedCuisine, setSelectedCuisine] = useState('all')
   const [showMobileMenu, setShowMobileMenu] = useState(false)
+  const [bookingRestaurant, setBookingRestaurant] = useState(null)
+  const { currentUser } = useCustomerNavigation()
 
   const cuisineTypes = [
     { id: 'all', name: 'All Cuisines' },
@@ -192,6 +197,11 @@ const RestaurantDiscovery = () => {
     navigate(`/menu/${restaurant.id}`)
   }
 
+  const handleBookTable = (restaurant, e) => {
+    e.stopPropagation()
+    setBookingRestaurant(restaurant)
+  }
+
   const handleQRCode = (restaurant, e) => {
     e.stopPropagation()
     // Generate QR code URL for the restaurant
@@ -562,6 +572,17 @@ const RestaurantDiscovery = () => {
                       <EyeIcon className="w-4 h-4" />
                       <span>VIEW MENU</span>
                     </motion.button>
+
+                    {/* Book Table Button */}
+                    <motion.button
+                      whileHover={{ scale: 1.02 }}
+                      whileTap={{ scale: 0.98 }}
+                      onClick={(e) => handleBookTable(restaurant, e)}
+                      className="flex items-center justify-center gap-1 px-3 py-2.5 rounded-full font-bold text-sm border-2 border-black bg-white text-black shadow-[2px_2px_0_0_rgba(0,0,0,1)] hover:shadow-[3px_3px_0_0_rgba(0,0,0,1)] transition-all"
+                    >
+                      <CalendarDaysIcon className="w-4 h-4" />
+                      <span>BOOK</span>
+                    </motion.button>
                   </div>
                 </div>
               </motion.div>
@@ -570,6 +591,14 @@ const RestaurantDiscovery = () => {
         )}
       </div>
 
+      {/* Advance table booking */}
+      <TableBookingModal
+        isOpen={Boolean(bookingRestaurant)}
+        onClose={() => setBookingRestaurant(null)}
+        restaurant={bookingRestaurant}
+        currentCustomer={currentUser}
+      />
+
       {/* Mobile Menu */}
       <MobileMenu 
         isOpen={showMobileMenu}
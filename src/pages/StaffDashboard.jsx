@@ -539,6 +539,7 @@ switch (activeTab) {
             restaurantInfo={restaurantInfo}
             staffSession={staffSession}
             onStartOrdering={() => setShowOrderingFlow(true)}
+            onShiftChange={setIsOnline}
           />
         )
 
@@ -15,7 +15,8 @@ import {
   XMarkIcon,
   PencilIcon,
   TableCellsIcon,
-  ClipboardDocumentListIcon
+  ClipboardDocumentListIcon,
+  CircleStackIcon
 } from '@heroicons/react/24/outline'
 import { 
   BarChart, 
@@ -33,6 +34,7 @@ import {
 } from 'recharts'
 import { supabase } from '../config/supabase'
 import UnifiedOrderService from '../services/unifiedOrderService'
+import WalletSettlementPanel from '../components/admin/WalletSettlementPanel'
 import useOrderStore from '../stores/useOrderStore'
 import useAuthStore from '../stores/useAuthStore'
 import toast from 'react-hot-toast'
@@ -996,6 +998,7 @@ const SuperAdminPanel = () => {
     { id: 'customers', name: 'Customers', icon: UsersIcon },
     { id: 'users', name: 'Users', icon: UsersIcon },
     { id: 'analytics', name: 'Analytics', icon: ChartBarIcon },
+    { id: 'coins', name: 'Ordyrr Coins', icon: CircleStackIcon },
     { id: 'settings', name: 'Settings', icon: Cog6ToothIcon }
   ]
 
@@ -1563,6 +1566,11 @@ const SuperAdminPanel = () => {
           </div>
         )}
 
+        {/* Ordyrr Coins Tab */}
+        {activeTab === 'coins' && (
+          <WalletSettlementPanel />
+        )}
+
         {/* Settings Tab */}
         {activeTab === 'settings' && (
           <div className="space-y-6">
@@ -0,0 +1,368 @@
+// Loyalty Maintenance Job
+// Expires Ordyrr Coins past their expiry date, moves customers into the tier
+// their remaining coins earn, and reminds customers whose coins expire soon.
+// Run it once a day from cron or any scheduler:
+//
+//   npm run loyalty:maintenance -- [--dry-run] [--restaurant <id>] [--as-of <ISO date>] [--reminder-days 7]
+//
+// Env: SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY
+//
+// Every run is logged in loyalty_job_runs. It is safe to re-run: each
+// earning expires under one ledger key, each reminder is sent once per
+// earning, and a tier is only written when it changed. --dry-run works out
+// the same numbers without changing anything.
+
+import { parseArgs } from 'node:util'
+import { createClient } from '@supabase/supabase-js'
+import NotificationService from '../services/notificationService.js'
+import {
+  getLoyaltySettings,
+  getLoyaltyTier,
+  planLoyaltyExpiry,
+  summarizeLoyaltyRows
+} from '../utils/loyaltyUtils.js'
+
+const PAGE_SIZE = 1000
+
+// A run still marked running after this long is assumed to have crashed
+const STALE_RUN_MINUTES = 60
+
+const formatDate = (value) => new Date(value).toLocaleDateString('en-IN', {
+  day: 'numeric',
+  month: 'short',
+  year: 'numeric'
+})
+
+/**
+ * All rows of a query, a page at a time (PostgREST caps each response)
+ */
+const fetchAll = async (buildQuery) => {
+  const rows = []
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1)
+    if (error) throw error
+    rows.push(...data)
+    if (data.length < PAGE_SIZE) return rows
+  }
+}
+
+/**
+ * Every ledger row of some restaurants, oldest first, grouped by customer
+ */
+const loadLedger = async (supabase, restaurantIds) => {
+  const rows = await fetchAll(() => supabase
+    .from('loyalty_transactions')
+    .select('*')
+    .in('restaurant_id', restaurantIds)
+    .order('created_at', { ascending: true })
+    .order('id', { ascending: true }))
+
+  return rows.reduce((byCustomer, row) => {
+    if (!byCustomer.has(row.customer_id)) byCustomer.set(row.customer_id, [])
+    byCustomer.get(row.customer_id).push(row)
+    return byCustomer
+  }, new Map())
+}
+
+/**
+ * Expire, re-tier and remind for one customer's account
+ */
+const processAccount = async ({ supabase, run, restaurant, settings, account, rows, spendRows, options, totals }) => {
+  // In the wallet, coins earned here may have been spent anywhere, so the
+  // oldest-first plan runs over the whole wallet and keeps this restaurant's earnings
+  const plan = planLoyaltyExpiry(spendRows, options)
+  const ownEarning = ({ transaction }) => transaction.restaurant_id === restaurant.id
+  const expire = plan.expire.filter(ownEarning)
+  const expiringSoon = plan.expiringSoon.filter(ownEarning)
+
+  // 1. Expire what is left of each earning past its date
+  let expiredPoints = 0
+  for (const { transaction, points } of expire) {
+    if (options.dryRun) {
+      expiredPoints += points
+      totals.transactions_expired += 1
+      continue
+    }
+
+    const { data, error } = await supabase.rpc('post_loyalty_transaction', {
+      p_restaurant_id: restaurant.id,
+      p_customer_id: account.customer_id,
+      p_type: 'expired',
+      p_points: -points,
+      p_description: `${points} coins earned on ${formatDate(transaction.created_at)} expired`,
+      p_idempotency_key: `expire:${transaction.id}`,
+      p_reference_id: transaction.id
+    })
+
+    if (error) throw error
+    if (!data.deduplicated && data.transaction) {
+      expiredPoints -= data.transaction.points
+      totals.transactions_expired += 1
+    }
+  }
+  totals.points_expired += expiredPoints
+
+  // 2. Tier from the coins still counting towards it
+  const tierPoints = summarizeLoyaltyRows(rows).tierPoints - expiredPoints
+  const tier = getLoyaltyTier(tierPoints, settings)
+
+  if (account.tier !== tier.key || account.tier_points !== tierPoints) {
+    // First placement isn't a change worth telling the customer about
+    const tierChanged = Boolean(account.tier) && account.tier !== tier.key
+    if (tierChanged) totals.tiers_changed += 1
+
+    if (!options.dryRun) {
+      const { error } = await supabase
+        .from('loyalty_accounts')
+        .update({
+          tier: tier.key,
+          tier_points: tierPoints,
+          tier_updated_at: new Date().toISOString()
+        })
+        .eq('customer_id', account.customer_id)
+        .eq('restaurant_id', restaurant.id)
+
+      if (error) throw error
+
+      if (tierChanged) {
+        const previous = settings.tiers.find(candidate => candidate.key === account.tier)
+        const upgraded = tier.min_points > (previous?.min_points || 0)
+        await NotificationService.sendNotification({
+          recipientId: account.customer_id,
+          recipientType: 'customer',
+          notificationType: 'loyalty_tier_changed',
+          title: upgraded ? `You're now ${tier.name}!` : `Your tier is now ${tier.name}`,
+          message: upgraded
+            ? `Orders at ${restaurant.full_name || 'this restaurant'} now earn ${tier.multiplier}× Ordyrr Coins.`
+            : `Some of your Ordyrr Coins at ${restaurant.full_name || 'this restaurant'} expired. Orders now earn ${tier.multiplier}× coins.`,
+          data: { restaurant_id: restaurant.id, tier: tier.key, previous_tier: account.tier, tier_points: tierPoints },
+          client: supabase
+        })
+      }
+    }
+  }
+
+  // 3. One reminder per earning that runs out within the reminder window
+  if (expiringSoon.length === 0 || !settings.enabled) return
+
+  let reminders = expiringSoon
+  if (options.dryRun) {
+    const { data: sent, error } = await supabase
+      .from('loyalty_expiry_reminders')
+      .select('transaction_id')
+      .in('transaction_id', expiringSoon.map(({ transaction }) => transaction.id))
+
+    if (error) throw error
+    const sentIds = new Set((sent || []).map(reminder => reminder.transaction_id))
+    reminders = expiringSoon.filter(({ transaction }) => !sentIds.has(transaction.id))
+  } else {
+    // Only rows inserted now come back, so a re-run never reminds twice.
+    // The rows are released again below if the reminder can't be sent.
+    const { data: inserted, error } = await supabase
+      .from('loyalty_expiry_reminders')
+      .upsert(expiringSoon.map(({ transaction, points }) => ({
+        transaction_id: transaction.id,
+        customer_id: account.customer_id,
+        restaurant_id: restaurant.id,
+        points,
+        expires_at: transaction.expires_at,
+        run_id: run.id
+      })), { onConflict: 'transaction_id', ignoreDuplicates: true })
+      .select('transaction_id')
+
+    if (error) throw error
+    const insertedIds = new Set((inserted || []).map(reminder => reminder.transaction_id))
+    reminders = expiringSoon.filter(({ transaction }) => insertedIds.has(transaction.id))
+  }
+
+  if (reminders.length === 0) return
+  if (options.dryRun) {
+    totals.reminders_sent += 1
+    return
+  }
+
+  const points = reminders.reduce((sum, reminder) => sum + reminder.points, 0)
+  const firstExpiry = reminders
+    .map(({ transaction }) => transaction.expires_at)
+    .sort()[0]
+
+  try {
+    await NotificationService.sendNotification({
+      recipientId: account.customer_id,
+      recipientType: 'customer',
+      notificationType: 'loyalty_points_expiring',
+      title: `${points} Ordyrr Coins expire soon`,
+      message: `Use them at ${restaurant.full_name || 'the restaurant'} before ${formatDate(firstExpiry)}.`,
+      data: { restaurant_id: restaurant.id, points, expires_at: firstExpiry },
+      priority: 'high',
+      client: supabase
+    })
+  } catch (error) {
+    // Not sent, so not reminded: the next run tries again
+    const { error: releaseError } = await supabase
+      .from('loyalty_expiry_reminders')
+      .delete()
+      .in('transaction_id', reminders.map(({ transaction }) => transaction.id))
+      .eq('run_id', run.id)
+
+    if (releaseError) console.error('❌ Error releasing expiry reminders:', releaseError.message)
+    throw error
+  }
+  totals.reminders_sent += 1
+}
+
+const runLoyaltyMaintenance = async (options) => {
+  const supabaseUrl = process.env.SUPABASE_URL
+  const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY
+  if (!supabaseUrl || !serviceRoleKey) {
+    throw new Error('Set SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY')
+  }
+
+  const supabase = createClient(supabaseUrl, serviceRoleKey, {
+    auth: { persistSession: false, autoRefreshToken: false }
+  })
+
+  console.log(`🪙 Loyalty maintenance ${options.dryRun ? '(dry run) ' : ''}as of ${options.asOf.toISOString()}`)
+
+  // Two live runs at once would race on the same accounts
+  if (!options.dryRun) {
+    const staleBefore = new Date(Date.now() - STALE_RUN_MINUTES * 60 * 1000).toISOString()
+    const { data: running, error } = await supabase
+      .from('loyalty_job_runs')
+      .select('id, started_at')
+      .eq('status', 'running')
+      .eq('dry_run', false)
+      .gt('started_at', staleBefore)
+      .limit(1)
+
+    if (error) throw error
+    if (running.length > 0) {
+      console.log(`⏳ Run ${running[0].id} started at ${running[0].started_at} is still going - skipping`)
+      return null
+    }
+  }
+
+  const { data: run, error: runError } = await supabase
+    .from('loyalty_job_runs')
+    .insert({
+      restaurant_id: options.restaurantId,
+      dry_run: options.dryRun,
+      as_of: options.asOf.toISOString()
+    })
+    .select()
+    .single()
+
+  if (runError) throw runError
+
+  const totals = {
+    accounts_checked: 0,
+    points_expired: 0,
+    transactions_expired: 0,
+    tiers_changed: 0,
+    reminders_sent: 0
+  }
+  const errors = []
+  const details = {}
+
+  try {
+    const restaurants = await fetchAll(() => {
+      let query = supabase
+        .from('users')
+        .select('id, full_name, loyalty_settings')
+        .eq('role', 'restaurant_owner')
+        .order('id', { ascending: true })
+      if (options.restaurantId) query = query.eq('id', options.restaurantId)
+      return query
+    })
+
+    // Restaurants sharing coins through the Ordyrr Coins wallet (add_loyalty_wallet.sql)
+    const { data: walletIds, error: walletError } = await supabase.rpc('loyalty_wallet_restaurants')
+    if (walletError) console.warn('⚠️ Wallet restaurants unavailable, expiring per restaurant:', walletError.message)
+    const wallet = new Set(walletError ? [] : walletIds)
+
+    for (const restaurant of restaurants) {
+      const settings = getLoyaltySettings(restaurant)
+      const before = { ...totals }
+
+      const accounts = await fetchAll(() => supabase
+        .from('loyalty_accounts')
+        .select('*')
+        .eq('restaurant_id', restaurant.id)
+        .order('customer_id', { ascending: true }))
+      if (accounts.length === 0) continue
+
+      // Loaded per restaurant so expiries posted for an earlier one are seen
+      const inWallet = wallet.has(restaurant.id)
+      const ledger = await loadLedger(supabase, inWallet ? [...wallet] : [restaurant.id])
+
+      for (const account of accounts) {
+        totals.accounts_checked += 1
+        try {
+          await processAccount({
+            supabase,
+            run,
+            restaurant,
+            settings,
+            account,
+            rows: (ledger.get(account.customer_id) || []).filter(row => row.restaurant_id === restaurant.id),
+            spendRows: ledger.get(account.customer_id) || [],
+            options,
+            totals
+          })
+        } catch (error) {
+          console.error(`❌ Account ${account.customer_id} at ${restaurant.id}:`, error.message)
+          errors.push({ restaurant_id: restaurant.id, customer_id: account.customer_id, message: error.message })
+        }
+      }
+
+      details[restaurant.id] = Object.fromEntries(
+        Object.keys(totals).map(key => [key, totals[key] - before[key]])
+      )
+      console.log(`✅ ${restaurant.full_name || restaurant.id}:`, details[restaurant.id])
+    }
+  } catch (error) {
+    errors.push({ message: error.message })
+  }
+
+  const status = errors.length > 0 && totals.accounts_checked === 0 ? 'failed' : 'completed'
+  const { error: finishError } = await supabase
+    .from('loyalty_job_runs')
+    .update({ ...totals, status, errors, details, finished_at: new Date().toISOString() })
+    .eq('id', run.id)
+
+  if (finishError) console.error('❌ Error saving run log:', finishError.message)
+
+  console.log(`${status === 'completed' ? '🎯' : '❌'} Run ${run.id} ${status}:`, totals)
+  if (errors.length > 0) console.log(`⚠️ ${errors.length} error(s) - see loyalty_job_runs.errors`)
+
+  return { run: { ...run, ...totals, status, errors }, totals, errors }
+}
+
+const { values } = parseArgs({
+  options: {
+    'dry-run': { type: 'boolean', default: false },
+    restaurant: { type: 'string' },
+    'as-of': { type: 'string' },
+    'reminder-days': { type: 'string', default: '7' }
+  }
+})
+
+const asOf = values['as-of'] ? new Date(values['as-of']) : new Date()
+const reminderDays = parseInt(values['reminder-days'], 10)
+
+if (Number.isNaN(asOf.getTime()) || !(reminderDays >= 0)) {
+  console.error('❌ --as-of must be a date and --reminder-days a number of days')
+  process.exit(1)
+}
+
+runLoyaltyMaintenance({
+  dryRun: values['dry-run'],
+  restaurantId: values.restaurant || null,
+  asOf,
+  reminderDays
+})
+  .then(result => process.exit(result && result.errors.length > 0 ? 1 : 0))
+  .catch(error => {
+    console.error('❌ Loyalty maintenance failed:', error.message)
+    process.exit(1)
+  })
@@ -0,0 +1,78 @@
+// Order SLA Sweeper
+// Checks every active order against its restaurant's accept / prepare /
+// serve targets (SlaService.sweep): orders nobody accepts in time go to
+// another staff member and other late orders are escalated to the owner.
+// Run it every minute from cron or any scheduler, e.g.
+//
+//   * * * * * cd /srv/ordyrr && npm run sla:sweep -- [--restaurant <id>]
+//
+// Env: SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY
+//
+// Overlapping runs are safe: each breach is claimed once in
+// order_sla_breaches before anything happens to the order.
+
+import { parseArgs } from 'node:util'
+import { createClient } from '@supabase/supabase-js'
+import SlaService from '../services/slaService.js'
+import { SLA_TRACKED_STATUSES } from '../utils/slaUtils.js'
+
+const PAGE_SIZE = 1000
+
+/**
+ * Restaurants with at least one order the SLAs still apply to
+ */
+const loadActiveRestaurants = async (supabase, restaurantId) => {
+  const ids = new Set()
+  for (let from = 0; ; from += PAGE_SIZE) {
+    let query = supabase
+      .from('orders')
+      .select('restaurant_id')
+      .in('status', SLA_TRACKED_STATUSES)
+      .order('id', { ascending: true })
+    if (restaurantId) query = query.eq('restaurant_id', restaurantId)
+
+    const { data, error } = await query.range(from, from + PAGE_SIZE - 1)
+    if (error) throw error
+    data.forEach(order => ids.add(order.restaurant_id))
+    if (data.length < PAGE_SIZE) return [...ids]
+  }
+}
+
+const runSlaSweep = async ({ restaurantId }) => {
+  const supabaseUrl = process.env.SUPABASE_URL
+  const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY
+  if (!supabaseUrl || !serviceRoleKey) {
+    throw new Error('Set SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY')
+  }
+
+  const supabase = createClient(supabaseUrl, serviceRoleKey, {
+    auth: { persistSession: false, autoRefreshToken: false }
+  })
+
+  const now = new Date()
+  const restaurantIds = await loadActiveRestaurants(supabase, restaurantId)
+  console.log(`⏱️ SLA sweep as of ${now.toISOString()}: ${restaurantIds.length} restaurant(s) with active orders`)
+
+  let handled = 0
+  for (const id of restaurantIds) {
+    // sweep logs its own errors and carries on with the next order
+    const breaches = await SlaService.sweep(id, now, supabase)
+    handled += breaches.length
+  }
+
+  console.log(`🎯 SLA sweep done: ${handled} breach(es) handled`)
+  return handled
+}
+
+const { values } = parseArgs({
+  options: {
+    restaurant: { type: 'string' }
+  }
+})
+
+runSlaSweep({ restaurantId: values.restaurant || null })
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('❌ SLA sweep failed:', error.message)
+    process.exit(1)
+  })
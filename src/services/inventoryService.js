@@ -0,0 +1,331 @@
+import { supabase } from '../config/supabase'
+import NotificationService from './notificationService'
+
+export const INVENTORY_UNITS = ['kg', 'g', 'l', 'ml', 'pcs', 'dozen', 'pack']
+
+export const STOCK_STATUS = {
+  IN_STOCK: 'in_stock',
+  LOW: 'low',
+  OUT: 'out'
+}
+
+/**
+ * 📦 Inventory Service
+ * Ingredients (inventory_items), recipes linking menu items to ingredient
+ * quantities (menu_item_recipes) and the stock movement log. Every order from
+ * UnifiedOrderService.createOrder deducts its recipe quantities through the
+ * deduct_inventory_for_order RPC, which also switches off menu items whose
+ * required ingredient runs out. The owner is notified when an ingredient
+ * drops to its reorder level or runs out.
+ */
+class InventoryService {
+  /**
+   * 🚦 Stock status of an ingredient
+   * @param {Object} item - inventory_items row
+   * @returns {string} - STOCK_STATUS value
+   */
+  static getStockStatus(item) {
+    const stock = parseFloat(item.current_stock) || 0
+    if (stock <= 0) return STOCK_STATUS.OUT
+    if (stock <= (parseFloat(item.minimum_stock) || 0)) return STOCK_STATUS.LOW
+    return STOCK_STATUS.IN_STOCK
+  }
+
+  /**
+   * 📋 Get all ingredients of a restaurant
+   * @param {string} restaurantId - Restaurant ID
+   * @returns {Promise<Array>} - inventory_items rows
+   */
+  static async getInventoryItems(restaurantId) {
+    const { data, error } = await supabase
+      .from('inventory_items')
+      .select('*')
+      .eq('restaurant_id', restaurantId)
+      .order('name', { ascending: true })
+
+    if (error) throw error
+    return data || []
+  }
+
+  /**
+   * 💾 Create or update an ingredient
+   * Stock of an existing ingredient only changes through adjustStock so every
+   * change is logged.
+   * @param {string} restaurantId - Restaurant ID
+   * @param {Object} item - { id?, name, category, unit, current_stock, minimum_stock, cost_per_unit }
+   * @returns {Promise<Object>} - Saved row
+   */
+  static async saveInventoryItem(restaurantId, item) {
+    if (!item.name?.trim()) throw new Error('Ingredient name is required')
+    if (!item.unit) throw new Error('Unit is required')
+
+    const minimumStock = parseFloat(item.minimum_stock) || 0
+    if (minimumStock < 0) throw new Error('Reorder level cannot be negative')
+
+    const fields = {
+      name: item.name.trim(),
+      category: item.category?.trim() || null,
+      unit: item.unit,
+      minimum_stock: minimumStock,
+      cost_per_unit: item.cost_per_unit === '' || item.cost_per_unit == null ? null : parseFloat(item.cost_per_unit),
+      updated_at: new Date().toISOString()
+    }
+
+    if (item.id) {
+      const { data, error } = await supabase
+        .from('inventory_items')
+        .update(fields)
+        .eq('id', item.id)
+        .select()
+        .single()
+
+      if (error) throw error
+      return data
+    }
+
+    const openingStock = parseFloat(item.current_stock) || 0
+    if (openingStock < 0) throw new Error('Stock cannot be negative')
+
+    const { data, error } = await supabase
+      .from('inventory_items')
+      .insert({
+        ...fields,
+        restaurant_id: restaurantId,
+        current_stock: openingStock,
+        last_restocked_at: openingStock > 0 ? new Date().toISOString() : null
+      })
+      .select()
+      .single()
+
+    if (error) throw error
+    console.log('✅ Ingredient created:', data.name)
+    return data
+  }
+
+  /**
+   * 🗑️ Delete an ingredient (its recipe lines go with it)
+   * @param {string} itemId - inventory_items ID
+   */
+  static async deleteInventoryItem(itemId) {
+    const { error } = await supabase
+      .from('inventory_items')
+      .delete()
+      .eq('id', itemId)
+
+    if (error) throw error
+  }
+
+  /**
+   * ➕ Restock, correct or write off an ingredient
+   * @param {Object} item - inventory_items row
+   * @param {number} change - Quantity added (negative to remove)
+   * @param {string} reason - 'restock' | 'adjustment' | 'waste'
+   * @param {string} note - Optional note for the movement log
+   * @returns {Promise<number>} - Stock after the change
+   */
+  static async adjustStock(item, change, reason = 'restock', note = null) {
+    const quantity = parseFloat(change)
+    if (!quantity) throw new Error('Enter a quantity')
+
+    const { data: stockAfter, error } = await supabase.rpc('adjust_inventory_stock', {
+      p_item_id: item.id,
+      p_change: quantity,
+      p_reason: reason,
+      p_note: note
+    })
+
+    if (error) throw error
+    console.log(`📦 ${item.name} stock ${quantity > 0 ? '+' : ''}${quantity} ${item.unit} → ${stockAfter}`)
+
+    if (parseFloat(stockAfter) > 0) {
+      await this.restoreMenuAvailability(item.restaurant_id)
+    }
+
+    return parseFloat(stockAfter)
+  }
+
+  /**
+   * 📜 Recent stock movements of an ingredient
+   * @param {string} itemId - inventory_items ID
+   * @param {number} limit - Max rows
+   * @returns {Promise<Array>} - inventory_movements rows, newest first
+   */
+  static async getMovements(itemId, limit = 20) {
+    const { data, error } = await supabase
+      .from('inventory_movements')
+      .select('*')
+      .eq('inventory_item_id', itemId)
+      .order('created_at', { ascending: false })
+      .limit(limit)
+
+    if (error) throw error
+    return data || []
+  }
+
+  /**
+   * 🍳 Get all recipe lines of a restaurant
+   * @param {string} restaurantId - Restaurant ID
+   * @returns {Promise<Array>} - menu_item_recipes rows with their inventory item
+   */
+  static async getRecipes(restaurantId) {
+    const { data, error } = await supabase
+      .from('menu_item_recipes')
+      .select(`
+        *,
+        inventory_items (id, name, unit, current_stock)
+      `)
+      .eq('restaurant_id', restaurantId)
+
+    if (error) throw error
+    return data || []
+  }
+
+  /**
+   * 💾 Replace the recipe of a menu item
+   * @param {string} restaurantId - Restaurant ID
+   * @param {string} menuItemId - Menu item ID
+   * @param {Array} ingredients - [{ inventory_item_id, quantity, is_required }]
+   */
+  static async saveRecipe(restaurantId, menuItemId, ingredients) {
+    const lines = ingredients.filter(line => line.inventory_item_id)
+
+    const ingredientIds = lines.map(line => line.inventory_item_id)
+    if (new Set(ingredientIds).size !== ingredientIds.length) {
+      throw new Error('Each ingredient can only appear once in a recipe')
+    }
+    if (lines.some(line => !(parseFloat(line.quantity) > 0))) {
+      throw new Error('Ingredient quantities must be greater than 0')
+    }
+
+    const { error: deleteError } = await supabase
+      .from('menu_item_recipes')
+      .delete()
+      .eq('menu_item_id', menuItemId)
+
+    if (deleteError) throw deleteError
+
+    if (lines.length > 0) {
+      const { error: insertError } = await supabase
+        .from('menu_item_recipes')
+        .insert(lines.map(line => ({
+          restaurant_id: restaurantId,
+          menu_item_id: menuItemId,
+          inventory_item_id: line.inventory_item_id,
+          quantity: parseFloat(line.quantity),
+          is_required: line.is_required !== false
+        })))
+
+      if (insertError) throw insertError
+    }
+
+    console.log(`✅ Recipe saved for menu item ${menuItemId}: ${lines.length} ingredient(s)`)
+  }
+
+  /**
+   * 🧮 Deduct an order's ingredients and alert the owner
+   * Safe to call more than once - the RPC only deducts an order once.
+   * @param {Object} order - Order row (id, restaurant_id, order_number, session_id - a customer's table session shows the order is theirs)
+   * @returns {Promise<Object>} - { already_processed, deducted, disabled_menu_items }
+   */
+  static async deductForOrder(order) {
+    const { data: result, error } = await supabase.rpc('deduct_inventory_for_order', {
+      p_order_id: order.id,
+      p_session_id: order.session_id || null
+    })
+
+    if (error) throw error
+    if (result.already_processed || result.deducted.length === 0) return result
+
+    console.log(`📦 Deducted ${result.deducted.length} ingredient(s) for order ${order.order_number}`)
+
+    // Only alert when this order crossed the line, not on every later order
+    const crossedReorderLevel = result.deducted.filter(item =>
+      item.stock_after > 0 &&
+      item.stock_after <= item.minimum_stock &&
+      item.stock_before > item.minimum_stock
+    )
+    const ranOut = result.deducted.filter(item => item.stock_after <= 0 && item.stock_before > 0)
+
+    for (const item of crossedReorderLevel) {
+      await NotificationService.sendNotification({
+        recipientId: order.restaurant_id,
+        recipientType: 'owner',
+        notificationType: 'low_stock',
+        title: `Low Stock - ${item.name}`,
+        message: `${item.name} is down to ${item.stock_after} ${item.unit} (reorder level ${item.minimum_stock} ${item.unit})`,
+        data: {
+          inventory_item_id: item.inventory_item_id,
+          current_stock: item.stock_after,
+          minimum_stock: item.minimum_stock,
+          order_id: order.id
+        },
+        priority: 'high'
+      })
+    }
+
+    if (ranOut.length > 0) {
+      const disabledNames = result.disabled_menu_items.map(menuItem => menuItem.name)
+      await NotificationService.sendNotification({
+        recipientId: order.restaurant_id,
+        recipientType: 'owner',
+        notificationType: 'out_of_stock',
+        title: `Out of Stock - ${ranOut.map(item => item.name).join(', ')}`,
+        message: disabledNames.length > 0
+          ? `Marked unavailable: ${disabledNames.join(', ')}. Restock to put them back on the menu.`
+          : 'Restock to keep serving items that use it.',
+        data: {
+          inventory_item_ids: ranOut.map(item => item.inventory_item_id),
+          disabled_menu_items: result.disabled_menu_items,
+          order_id: order.id
+        },
+        priority: 'urgent'
+      })
+    }
+
+    return result
+  }
+
+  /**
+   * ♻️ Put menu items that were hidden for missing stock back on the menu
+   * once every required ingredient is in stock again. Items the owner switched
+   * off by hand (disabled_by_inventory = false) are left alone.
+   * @param {string} restaurantId - Restaurant ID
+   * @returns {Promise<Array>} - IDs of re-enabled menu items
+   */
+  static async restoreMenuAvailability(restaurantId) {
+    const { data: disabledItems, error } = await supabase
+      .from('menu_items')
+      .select(`
+        id,
+        name,
+        menu_item_recipes (
+          is_required,
+          inventory_items (current_stock)
+        )
+      `)
+      .eq('restaurant_id', restaurantId)
+      .eq('disabled_by_inventory', true)
+
+    if (error) throw error
+
+    const restorable = (disabledItems || []).filter(menuItem =>
+      (menuItem.menu_item_recipes || [])
+        .filter(line => line.is_required)
+        .every(line => parseFloat(line.inventory_items?.current_stock) > 0)
+    )
+
+    if (restorable.length === 0) return []
+
+    const ids = restorable.map(menuItem => menuItem.id)
+    const { error: updateError } = await supabase
+      .from('menu_items')
+      .update({ is_available: true, disabled_by_inventory: false })
+      .in('id', ids)
+
+    if (updateError) throw updateError
+    console.log('✅ Back on the menu:', restorable.map(menuItem => menuItem.name).join(', '))
+    return ids
+  }
+}
+
+export default InventoryService
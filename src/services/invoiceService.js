@@ -0,0 +1,313 @@
+import { supabase } from '../config/supabase'
+import {
+  buildInvoice,
+  buildEscPosReceipt,
+  formatInvoiceAmount,
+  formatThermalReceipt,
+  getInvoiceSummaryRows,
+  PAPER_WIDTHS
+} from '../utils/invoiceUtils'
+
+/**
+ * 🧾 Invoice Service
+ * Builds tax invoices for a single order or a whole table session and
+ * outputs them as an A4 PDF (jsPDF), a thermal print preview, or raw
+ * ESC/POS bytes for 58mm/80mm receipt printers.
+ */
+class InvoiceService {
+  /**
+   * 📄 Invoice for one order
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Object>} - Invoice (see invoiceUtils.buildInvoice)
+   */
+  static async getOrderInvoice(orderId) {
+    return this.getOrdersInvoice([orderId])
+  }
+
+  /**
+   * 📄 Invoice for every order of a table session
+   * @param {string} sessionId - customer_sessions.session_id
+   * @returns {Promise<Object>} - Invoice
+   */
+  static async getSessionInvoice(sessionId) {
+    const { data: orders, error } = await supabase
+      .from('orders')
+      .select('id')
+      .eq('session_id', sessionId)
+      .neq('status', 'cancelled')
+
+    if (error) throw error
+    if (!orders?.length) throw new Error('No orders found for this session')
+
+    return this.getOrdersInvoice(orders.map(order => order.id))
+  }
+
+  /**
+   * 📄 Combined invoice for a set of orders of one restaurant
+   * @param {Array<string>} orderIds - Order IDs
+   * @returns {Promise<Object>} - Invoice
+   */
+  static async getOrdersInvoice(orderIds) {
+    try {
+      console.log('🧾 Building invoice for orders:', orderIds)
+
+      const { data: orders, error: ordersError } = await supabase
+        .from('orders')
+        .select(`
+          *,
+          order_items (*),
+          tables (table_number)
+        `)
+        .in('id', orderIds)
+
+      if (ordersError) throw ordersError
+      if (!orders?.length) throw new Error('Order not found')
+
+      const restaurantIds = [...new Set(orders.map(order => order.restaurant_id))]
+      if (restaurantIds.length > 1) {
+        throw new Error('An invoice can only cover orders from one restaurant')
+      }
+
+      const [{ data: restaurant, error: restaurantError }, { data: payments, error: paymentsError }] = await Promise.all([
+        supabase
+          .from('users')
+          .select('*')
+          .eq('id', restaurantIds[0])
+          .maybeSingle(),
+        supabase
+          .from('payment_transactions')
+          .select('*')
+          .in('order_id', orderIds)
+          .eq('payment_status', 'completed')
+          .order('created_at', { ascending: true })
+      ])
+
+      if (restaurantError) throw restaurantError
+      if (paymentsError) throw paymentsError
+
+      return buildInvoice({ orders, restaurant: restaurant || {}, payments: payments || [] })
+    } catch (error) {
+      console.error('❌ Error building invoice:', error)
+      throw error
+    }
+  }
+
+  /**
+   * 📥 Download an A4 PDF of the invoice
+   * @param {Object} invoice - Invoice from getOrderInvoice / getSessionInvoice
+   */
+  static async downloadPdf(invoice) {
+    // jsPDF is only needed when someone downloads an invoice
+    const { jsPDF } = await import('jspdf')
+    const doc = new jsPDF({ unit: 'mm', format: 'a4' })
+
+    const pageWidth = 210
+    const margin = 15
+    const right = pageWidth - margin
+    let y = 20
+
+    const ensureSpace = (height) => {
+      if (y + height > 280) {
+        doc.addPage()
+        y = 20
+      }
+    }
+
+    // Restaurant
+    doc.setFont('helvetica', 'bold')
+    doc.setFontSize(18)
+    doc.text(invoice.restaurant.name, margin, y)
+    doc.setFontSize(14)
+    doc.text(invoice.title, right, y, { align: 'right' })
+
+    doc.setFont('helvetica', 'normal')
+    doc.setFontSize(9)
+    y += 6
+    const details = [
+      invoice.restaurant.address,
+      [invoice.restaurant.phone && `Phone: ${invoice.restaurant.phone}`, invoice.restaurant.email].filter(Boolean).join('  |  '),
+      invoice.restaurant.gstin && `GSTIN: ${invoice.restaurant.gstin}`
+    ].filter(Boolean)
+    details.forEach(line => {
+      doc.splitTextToSize(line, 110).forEach(part => {
+        doc.text(part, margin, y)
+        y += 4.5
+      })
+    })
+
+    // Invoice meta
+    let metaY = 26
+    const meta = [
+      `Invoice No: ${invoice.invoiceNumber}`,
+      `Date: ${new Date(invoice.issuedAt).toLocaleString('en-IN')}`,
+      invoice.tableNumber && `Table: ${invoice.tableNumber}`,
+      invoice.customerName && `Customer: ${invoice.customerName}`
+    ].filter(Boolean)
+    meta.forEach(line => {
+      doc.text(line, right, metaY, { align: 'right' })
+      metaY += 4.5
+    })
+
+    y = Math.max(y, metaY) + 2
+    if (invoice.orderNumbers.length > 1) {
+      doc.splitTextToSize(`Orders: ${invoice.orderNumbers.join(', ')}`, pageWidth - margin * 2).forEach(part => {
+        doc.text(part, margin, y)
+        y += 4.5
+      })
+    }
+
+    // Items table
+    const columns = [
+      { label: '#', x: margin },
+      { label: 'Item', x: margin + 8 },
+      { label: 'HSN/SAC', x: 112 },
+      { label: 'Qty', x: 135, align: 'right' },
+      { label: 'Rate', x: 155, align: 'right' },
+      { label: 'GST', x: 170, align: 'right' },
+      { label: 'Amount', x: right, align: 'right' }
+    ]
+
+    y += 3
+    doc.setFillColor(240, 240, 240)
+    doc.rect(margin, y - 4.5, pageWidth - margin * 2, 7, 'F')
+    doc.setFont('helvetica', 'bold')
+    columns.forEach(column => doc.text(column.label, column.x, y, { align: column.align || 'left' }))
+    doc.setFont('helvetica', 'normal')
+    y += 7
+
+    invoice.items.forEach((item, index) => {
+      const nameLines = doc.splitTextToSize(item.name, 88)
+      const optionLines = item.options ? doc.splitTextToSize(item.options, 88) : []
+      ensureSpace((nameLines.length + optionLines.length) * 4.5 + 2)
+
+      doc.text(String(index + 1), columns[0].x, y)
+      doc.text(nameLines, columns[1].x, y)
+      doc.text(item.hsnCode || '-', columns[2].x, y)
+      doc.text(String(item.quantity), columns[3].x, y, { align: 'right' })
+      doc.text(formatInvoiceAmount(item.unitPrice), columns[4].x, y, { align: 'right' })
+      doc.text(`${item.gstRate}%`, columns[5].x, y, { align: 'right' })
+      doc.text(formatInvoiceAmount(item.amount), columns[6].x, y, { align: 'right' })
+      y += nameLines.length * 4.5
+
+      if (optionLines.length) {
+        doc.setTextColor(110, 110, 110)
+        doc.text(optionLines, columns[1].x, y)
+        doc.setTextColor(0, 0, 0)
+        y += optionLines.length * 4.5
+      }
+      y += 1.5
+    })
+
+    doc.setDrawColor(200, 200, 200)
+    doc.line(margin, y, right, y)
+    y += 6
+
+    // Summary
+    const labelX = 150
+    getInvoiceSummaryRows(invoice).forEach(row => {
+      ensureSpace(6)
+      const amount = row.amount < 0 ? `- ${formatInvoiceAmount(-row.amount)}` : formatInvoiceAmount(row.amount)
+      doc.text(row.label, labelX, y, { align: 'right' })
+      doc.text(amount, right, y, { align: 'right' })
+      y += 5
+    })
+
+    ensureSpace(12)
+    doc.line(labelX - 40, y - 2, right, y - 2)
+    doc.setFont('helvetica', 'bold')
+    doc.setFontSize(11)
+    y += 3
+    doc.text('Total (Rs.)', labelX, y, { align: 'right' })
+    doc.text(formatInvoiceAmount(invoice.total), right, y, { align: 'right' })
+    doc.setFont('helvetica', 'normal')
+    doc.setFontSize(9)
+    y += 10
+
+    // Payments
+    ensureSpace(8 + invoice.payments.length * 5)
+    doc.setFont('helvetica', 'bold')
+    doc.text('Payment', margin, y)
+    doc.setFont('helvetica', 'normal')
+    y += 5
+    invoice.payments.forEach(payment => {
+      doc.text(payment.label ? `${payment.method} (${payment.label})` : payment.method, margin, y)
+      doc.text(`Rs. ${formatInvoiceAmount(payment.amount)}`, margin + 70, y, { align: 'right' })
+      y += 5
+    })
+    if (invoice.paymentStatus !== 'paid') {
+      doc.setTextColor(200, 0, 0)
+      doc.text(invoice.paymentStatus === 'partially_paid' ? 'Partially paid' : 'Payment pending', margin, y)
+      doc.setTextColor(0, 0, 0)
+      y += 5
+    }
+
+    // Footer
+    doc.setFontSize(8)
+    doc.setTextColor(120, 120, 120)
+    doc.text('This is a computer generated invoice. Powered by Ordyrr.', pageWidth / 2, 287, { align: 'center' })
+
+    doc.save(`${invoice.invoiceNumber}.pdf`)
+  }
+
+  /**
+   * 🖨️ Print the invoice on a thermal printer through the browser print dialog
+   * @param {Object} invoice - Invoice
+   * @param {number} paperWidth - 58 or 80 (mm)
+   */
+  static printThermal(invoice, paperWidth = PAPER_WIDTHS.MM80) {
+    const escapeHtml = (text) => text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+
+    const lines = formatThermalReceipt(invoice, paperWidth).map(line => {
+      const style = [
+        line.align === 'center' ? 'text-align:center' : '',
+        line.bold ? 'font-weight:bold' : '',
+        line.size === 2 ? 'font-size:16px' : ''
+      ].filter(Boolean).join(';')
+      return `<div style="${style}">${escapeHtml(line.text) || '&nbsp;'}</div>`
+    }).join('')
+
+    const printWindow = window.open('', '_blank', 'width=400,height=600')
+    if (!printWindow) {
+      throw new Error('Allow pop-ups to print receipts')
+    }
+
+    printWindow.document.write(`<!DOCTYPE html>
+<html>
+<head>
+  <title>${escapeHtml(invoice.invoiceNumber)}</title>
+  <style>
+    @page { size: ${paperWidth}mm auto; margin: 0; }
+    body { margin: 0; padding: 2mm; width: ${paperWidth - 4}mm; font-family: 'Courier New', monospace; font-size: ${paperWidth === PAPER_WIDTHS.MM58 ? 10 : 11}px; white-space: pre; }
+  </style>
+</head>
+<body>${lines}</body>
+</html>`)
+    printWindow.document.close()
+    printWindow.focus()
+    printWindow.print()
+    printWindow.close()
+  }
+
+  /**
+   * 💾 Download raw ESC/POS bytes for sending straight to a receipt printer
+   * @param {Object} invoice - Invoice
+   * @param {number} paperWidth - 58 or 80 (mm)
+   */
+  static downloadEscPos(invoice, paperWidth = PAPER_WIDTHS.MM80) {
+    const bytes = buildEscPosReceipt(invoice, paperWidth)
+    const url = URL.createObjectURL(new Blob([bytes], { type: 'application/octet-stream' }))
+
+    const link = document.createElement('a')
+    link.href = url
+    link.download = `${invoice.invoiceNumber}-${paperWidth}mm.bin`
+    document.body.appendChild(link)
+    link.click()
+    link.remove()
+    URL.revokeObjectURL(url)
+  }
+}
+
+export default InvoiceService
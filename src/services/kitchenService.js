@@ -0,0 +1,257 @@
+import { supabase } from '../config/supabase'
+import UnifiedOrderService from './unifiedOrderService'
+import realtimeService from './realtimeService'
+import { getOrderDisplayNumber } from '../utils/orderNumberUtils'
+
+/**
+ * Kitchen Display Service
+ * Builds per-station kitchen tickets and handles item bump / recall
+ */
+class KitchenService {
+  // Preparation stations a category can be routed to
+  static STATIONS = {
+    grill: { id: 'grill', name: 'Grill', emoji: '🔥' },
+    tandoor: { id: 'tandoor', name: 'Tandoor', emoji: '🫓' },
+    bar: { id: 'bar', name: 'Bar', emoji: '🍹' },
+    desserts: { id: 'desserts', name: 'Desserts', emoji: '🍰' }
+  }
+
+  // Categories without a station land on the main kitchen line
+  static DEFAULT_STATION = { id: 'kitchen', name: 'Main Kitchen', emoji: '👨‍🍳' }
+
+  // Order statuses the kitchen still has to work on
+  static ACTIVE_STATUSES = ['pending', 'assigned', 'accepted', 'confirmed', 'preparing']
+
+  // Ready tickets stay on screen this long so items can be recalled
+  static READY_VISIBLE_MINUTES = 10
+
+  static ITEM_STATUS = {
+    PENDING: 'pending',
+    BUMPED: 'bumped'
+  }
+
+  /**
+   * Get the station for a category id/station value
+   * @param {string|null} stationId - categories.station
+   * @returns {Object} - Station definition
+   */
+  static getStation(stationId) {
+    return this.STATIONS[stationId] || this.DEFAULT_STATION
+  }
+
+  /**
+   * Get all stations in display order, including the default line
+   * @returns {Array<Object>}
+   */
+  static getAllStations() {
+    return [this.DEFAULT_STATION, ...Object.values(this.STATIONS)]
+  }
+
+  /**
+   * Fetch active orders and split them into one ticket per station
+   * @param {string} restaurantId - Restaurant UUID
+   * @returns {Promise<Array>} - Tickets sorted oldest first
+   */
+  static async getKitchenTickets(restaurantId) {
+    try {
+      const readySince = new Date(Date.now() - this.READY_VISIBLE_MINUTES * 60 * 1000).toISOString()
+
+      const { data: orders, error } = await supabase
+        .from('orders')
+        .select(`
+          id,
+          order_number,
+          display_number,
+          status,
+          created_at,
+          updated_at,
+          estimated_preparation_time,
+          special_instructions,
+          tables (
+            table_number
+          ),
+          order_items (
+            id,
+            item_name,
+            quantity,
+            special_instructions,
+            modifiers,
+            item_status,
+            bumped_at,
+            menu_items (
+              category_id,
+              categories (
+                name,
+                station
+              )
+            )
+          )
+        `)
+        .eq('restaurant_id', restaurantId)
+        .or(`status.in.(${this.ACTIVE_STATUSES.join(',')}),and(status.eq.ready,updated_at.gte.${readySince})`)
+        .order('created_at', { ascending: true })
+
+      if (error) throw error
+
+      return this.buildTickets(orders || [])
+    } catch (error) {
+      console.error('❌ Error fetching kitchen tickets:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Split orders into per-station tickets
+   * @param {Array} orders - Orders with order_items and categories
+   * @returns {Array} - Tickets
+   */
+  static buildTickets(orders) {
+    const tickets = []
+
+    orders.forEach(order => {
+      const itemsByStation = {}
+
+      ;(order.order_items || []).forEach(item => {
+        const station = this.getStation(item.menu_items?.categories?.station)
+        if (!itemsByStation[station.id]) itemsByStation[station.id] = []
+        itemsByStation[station.id].push({
+          ...item,
+          item_status: item.item_status || this.ITEM_STATUS.PENDING
+        })
+      })
+
+      Object.entries(itemsByStation).forEach(([stationId, items]) => {
+        tickets.push({
+          id: `${order.id}-${stationId}`,
+          orderId: order.id,
+          orderNumber: getOrderDisplayNumber(order),
+          orderStatus: order.status,
+          tableNumber: order.tables?.table_number,
+          stationId,
+          items,
+          specialInstructions: order.special_instructions,
+          createdAt: order.created_at,
+          estimatedPrepMinutes: order.estimated_preparation_time || 15,
+          isComplete: items.every(item => item.item_status === this.ITEM_STATUS.BUMPED)
+        })
+      })
+    })
+
+    return tickets
+  }
+
+  /**
+   * Get the age colour band for a ticket
+   * @param {Object} ticket - Kitchen ticket
+   * @param {number} now - Current timestamp
+   * @returns {{elapsedMinutes: number, level: 'ok'|'warning'|'late'}}
+   */
+  static getTicketAge(ticket, now = Date.now()) {
+    const elapsedMinutes = Math.max(0, (now - new Date(ticket.createdAt).getTime()) / 60000)
+    const ratio = elapsedMinutes / ticket.estimatedPrepMinutes
+
+    let level = 'ok'
+    if (ratio >= 1) level = 'late'
+    else if (ratio >= 0.75) level = 'warning'
+
+    return { elapsedMinutes, level }
+  }
+
+  /**
+   * Mark an item as done at its station. Moves the order to preparing on the
+   * first bump and to ready once every item is bumped.
+   * @param {string} orderItemId - order_items UUID
+   * @param {string} orderId - Order UUID
+   * @param {string} restaurantId - Restaurant UUID
+   * @returns {Promise<Object>} - { orderStatus }
+   */
+  static async bumpItem(orderItemId, orderId, restaurantId) {
+    try {
+      const { error } = await supabase
+        .from('order_items')
+        .update({
+          item_status: this.ITEM_STATUS.BUMPED,
+          bumped_at: new Date().toISOString()
+        })
+        .eq('id', orderItemId)
+
+      if (error) throw error
+
+      console.log('✅ Item bumped:', orderItemId)
+      return await this.syncOrderStatus(orderId, restaurantId)
+    } catch (error) {
+      console.error('❌ Error bumping item:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Bring a bumped item back onto the station. A ready order goes back to
+   * preparing.
+   * @param {string} orderItemId - order_items UUID
+   * @param {string} orderId - Order UUID
+   * @param {string} restaurantId - Restaurant UUID
+   * @returns {Promise<Object>} - { orderStatus }
+   */
+  static async recallItem(orderItemId, orderId, restaurantId) {
+    try {
+      const { error } = await supabase
+        .from('order_items')
+        .update({
+          item_status: this.ITEM_STATUS.PENDING,
+          bumped_at: null
+        })
+        .eq('id', orderItemId)
+
+      if (error) throw error
+
+      console.log('↩️ Item recalled:', orderItemId)
+      return await this.syncOrderStatus(orderId, restaurantId)
+    } catch (error) {
+      console.error('❌ Error recalling item:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Derive the order status from its item states and push it through
+   * UnifiedOrderService so notifications fire as usual
+   * @param {string} orderId - Order UUID
+   * @param {string} restaurantId - Restaurant UUID
+   * @returns {Promise<Object>} - { orderStatus }
+   */
+  static async syncOrderStatus(orderId, restaurantId) {
+    const { data: order, error } = await supabase
+      .from('orders')
+      .select('status, order_items(item_status)')
+      .eq('id', orderId)
+      .single()
+
+    if (error) throw error
+
+    const items = order.order_items || []
+    const bumpedCount = items.filter(item => item.item_status === this.ITEM_STATUS.BUMPED).length
+
+    let nextStatus = null
+    if (items.length > 0 && bumpedCount === items.length) {
+      nextStatus = 'ready'
+    } else if (bumpedCount > 0 || order.status === 'ready') {
+      nextStatus = 'preparing'
+    }
+
+    if (nextStatus && nextStatus !== order.status) {
+      await UnifiedOrderService.updateOrderStatus(orderId, nextStatus, null, 'kitchen')
+    } else {
+      // Item-level change only - still let other kitchen screens refresh
+      await realtimeService.notifyRestaurant(restaurantId, 'order_update', {
+        orderId,
+        status: order.status,
+        source: 'kitchen'
+      })
+    }
+
+    return { orderStatus: nextStatus || order.status }
+  }
+}
+
+export default KitchenService
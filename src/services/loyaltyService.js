@@ -1,279 +1,211 @@
 import { supabase } from '../config/supabase'
+import {
+  COINS_PER_RUPEE,
+  LOYALTY_TRANSACTION_TYPES,
+  calculateEarnPoints,
+  getLoyaltySettings,
+  getLoyaltyTier,
+  getNextLoyaltyTier
+} from '../utils/loyaltyUtils'
 
 /**
  * Loyalty Points Service
- * Manages customer loyalty points and rewards
+ * Manages customer loyalty points and rewards with each restaurant's own
+ * rules (see loyaltyUtils). Every coin movement is a row in the append-only
+ * loyalty_transactions ledger. The database posts them: orders earn and
+ * spend coins in create_order_transaction, and the functions called below
+ * handle signup bonuses and reversals.
  */
 class LoyaltyService {
-  // Points configuration
-  static SIGNUP_BONUS = 100 // ₹10 worth
-  static POINTS_TO_RUPEE_RATIO = 0.1 // 1 point = ₹0.10
-  static MIN_ORDER_FOR_POINTS = 100 // Minimum order value to earn points
-  static POINTS_EXPIRY_DAYS = 365 // Points expire after 1 year
-
-  // Tier configuration
-  static TIERS = {
-    BRONZE: { name: 'Bronze', minPoints: 0, multiplier: 1 },
-    SILVER: { name: 'Silver', minPoints: 1000, multiplier: 1.2 },
-    GOLD: { name: 'Gold', minPoints: 5000, multiplier: 1.5 },
-    PLATINUM: { name: 'Platinum', minPoints: 10000, multiplier: 2 }
+  /**
+   * ⚙️ Loyalty rules of a restaurant
+   * @param {string} restaurantId - Restaurant UUID
+   * @returns {Promise<Object>}
+   */
+  static async getSettings(restaurantId) {
+    const { data, error } = await supabase
+      .from('users')
+      .select('loyalty_settings')
+      .eq('id', restaurantId)
+      .maybeSingle()
+
+    if (error) throw error
+    return getLoyaltySettings(data)
   }
 
   /**
-   * Initialize loyalty account for new customer
-   * @param {string} customerId - Customer UUID
+   * 💾 Save a restaurant's loyalty rules
    * @param {string} restaurantId - Restaurant UUID
-   * @returns {Promise<Object>} - Loyalty account
+   * @param {Object} settings - Loyalty settings (see DEFAULT_LOYALTY_SETTINGS)
    */
-  static async initializeLoyaltyAccount(customerId, restaurantId) {
-    try {
-      // Check if account already exists
-      const { data: existing } = await supabase
-        .from('loyalty_points')
-        .select('*')
-        .eq('customer_id', customerId)
-        .eq('restaurant_id', restaurantId)
-        .single()
-
-      if (existing) return existing
-
-      // Create new loyalty account
-      const { data: account, error } = await supabase
-        .from('loyalty_points')
-        .insert({
-          customer_id: customerId,
-          restaurant_id: restaurantId,
-          points_earned: this.SIGNUP_BONUS,
-          current_balance: this.SIGNUP_BONUS,
-          tier: 'bronze'
-        })
-        .select()
-        .single()
-
-      if (error) throw error
+  static async saveSettings(restaurantId, settings) {
+    const { error } = await supabase
+      .from('users')
+      .update({ loyalty_settings: getLoyaltySettings({ loyalty_settings: settings }) })
+      .eq('id', restaurantId)
+
+    if (error) throw error
+    console.log('✅ Loyalty settings saved')
+  }
 
-      // Record signup bonus transaction
-      await this.recordTransaction(
-        customerId,
-        restaurantId,
-        null,
-        'bonus',
-        this.SIGNUP_BONUS,
-        'Welcome bonus for signing up!'
-      )
-
-      return account
-    } catch (error) {
-      console.error('Error initializing loyalty account:', error)
-      throw error
+  /**
+   * 💰 Customer's coin balance at a restaurant, from the ledger
+   * @param {string} customerId - Customer UUID
+   * @param {string} restaurantId - Restaurant UUID
+   * @returns {Promise<Object>} - { balance, wallet, lifetimeEarned, tierPoints }
+   */
+  static async getBalance(customerId, restaurantId) {
+    const { data, error } = await supabase.rpc('get_loyalty_balance', {
+      p_customer_id: customerId,
+      p_restaurant_id: restaurantId
+    })
+
+    if (error) throw error
+    return {
+      balance: data?.balance || 0,
+      // In the Ordyrr Coins wallet the balance includes coins from other restaurants
+      wallet: Boolean(data?.wallet),
+      lifetimeEarned: data?.lifetime_earned || 0,
+      // Before add_loyalty_maintenance.sql there is no expiry, so lifetime earnings decide
+      tierPoints: data?.tier_points ?? data?.lifetime_earned ?? 0
     }
   }
 
   /**
-   * Calculate points to earn for an order
-   * @param {number} orderAmount - Order total amount
-   * @param {string} tier - Customer tier
-   * @returns {number} - Points to earn
+   * 📜 Customer's ledger rows, newest first
+   * @param {string} customerId - Customer UUID
+   * @param {string} restaurantId - Restaurant UUID (every restaurant when null)
+   * @param {number} limit - Rows to return (max 200)
+   * @returns {Promise<Array>}
    */
-  static calculatePointsToEarn(orderAmount, tier = 'bronze') {
-    if (orderAmount < this.MIN_ORDER_FOR_POINTS) return 0
-
-    // Random 2-10% of order value
-    const basePercentage = Math.random() * 0.08 + 0.02 // 2-10%
-    const tierMultiplier = this.getTierMultiplier(tier)
-    
-    const points = Math.floor(orderAmount * basePercentage * tierMultiplier)
-    return points
+  static async getHistory(customerId, restaurantId = null, limit = 50) {
+    const { data, error } = await supabase.rpc('get_loyalty_history', {
+      p_customer_id: customerId,
+      p_restaurant_id: restaurantId,
+      p_limit: limit
+    })
+
+    if (error) throw error
+    return data || []
   }
 
   /**
-   * Get tier multiplier
-   * @param {string} tier - Tier name
-   * @returns {number} - Multiplier
+   * 🏅 Customer's coin balance and tier at a restaurant
+   * @param {string} customerId - Customer UUID
+   * @param {string} restaurantId - Restaurant UUID
+   * @param {Object} settings - Loyalty rules (loaded when omitted)
+   * @returns {Promise<Object>} - { balance, lifetimeEarned, tierPoints, tier }
    */
-  static getTierMultiplier(tier) {
-    const tierConfig = Object.values(this.TIERS).find(
-      t => t.name.toLowerCase() === tier.toLowerCase()
-    )
-    return tierConfig?.multiplier || 1
+  static async getCustomerStanding(customerId, restaurantId, settings = null) {
+    const rules = settings || await this.getSettings(restaurantId)
+    const summary = await this.getBalance(customerId, restaurantId)
+    return { ...summary, tier: getLoyaltyTier(summary.tierPoints, rules) }
   }
 
   /**
-   * Award points for an order
+   * 🎁 Give a new customer the restaurant's signup bonus (once)
    * @param {string} customerId - Customer UUID
    * @param {string} restaurantId - Restaurant UUID
-   * @param {string} orderId - Order UUID
-   * @param {number} orderAmount - Order total amount
-   * @returns {Promise<Object>} - Points awarded
+   * @param {Object} settings - Loyalty rules (loaded when omitted)
+   * @returns {Promise<Object|null>} - Ledger result, null when there is no bonus
    */
-  static async awardPoints(customerId, restaurantId, orderId, orderAmount) {
-    try {
-      // Get customer's loyalty account
-      const { data: account } = await supabase
-        .from('loyalty_points')
-        .select('*')
-        .eq('customer_id', customerId)
-        .eq('restaurant_id', restaurantId)
-        .single()
-
-      if (!account) {
-        // Initialize account if doesn't exist
-        await this.initializeLoyaltyAccount(customerId, restaurantId)
-      }
-
-      // Calculate points to award
-      const pointsToAward = this.calculatePointsToEarn(
-        orderAmount,
-        account?.tier || 'bronze'
-      )
-
-      if (pointsToAward === 0) {
-        return { pointsAwarded: 0, message: 'Order amount too low for points' }
-      }
-
-      // Update loyalty account
-      const newBalance = (account?.current_balance || 0) + pointsToAward
-      const totalEarned = (account?.points_earned || 0) + pointsToAward
-
-      const { error: updateError } = await supabase
-        .from('loyalty_points')
-        .update({
-          points_earned: totalEarned,
-          current_balance: newBalance,
-          tier: this.calculateTier(totalEarned)
-        })
-        .eq('customer_id', customerId)
-        .eq('restaurant_id', restaurantId)
-
-      if (updateError) throw updateError
-
-      // Record transaction
-      await this.recordTransaction(
-        customerId,
-        restaurantId,
-        orderId,
-        'earned',
-        pointsToAward,
-        `Points earned for order #${orderId}`
-      )
+  static async awardSignupBonus(customerId, restaurantId, settings = null) {
+    const rules = settings || await this.getSettings(restaurantId)
+    if (!rules.enabled || rules.signup_bonus <= 0) return null
+
+    const { data, error } = await supabase.rpc('award_signup_bonus', {
+      p_customer_id: customerId,
+      p_restaurant_id: restaurantId
+    })
+
+    if (error) throw error
+    if (data?.transaction) console.log(`🪙 Signup bonus: ${data.transaction.points} coins`)
+    return data
+  }
 
-      return {
-        pointsAwarded: pointsToAward,
-        newBalance,
-        tier: this.calculateTier(totalEarned),
-        message: `You earned ${pointsToAward} points!`
-      }
-    } catch (error) {
-      console.error('Error awarding points:', error)
-      throw error
-    }
+  /**
+   * Calculate points to earn for an order
+   * Same rules for every order at the restaurant: no randomness, so the
+   * customer sees at checkout exactly what the order earns.
+   * @param {Object} params - { items, discount, tier, settings } (see calculateEarnPoints)
+   * @returns {number} - Points to earn
+   */
+  static calculatePointsToEarn({ items, discount = 0, tier = null, settings }) {
+    return calculateEarnPoints({ items, discount, tier, settings }).points
   }
 
   /**
-   * Redeem points for discount
-   * @param {string} customerId - Customer UUID
+   * ↩️ Undo an order's coins: claw back what it earned and give back what it spent
    * @param {string} restaurantId - Restaurant UUID
-   * @param {number} pointsToRedeem - Points to redeem
    * @param {string} orderId - Order UUID
-   * @returns {Promise<Object>} - Redemption result
+   * @param {Object} options
+   * @param {number} options.ratio - Share of the order undone (1 = all of it)
+   * @param {string} options.type - 'reversal' (cancelled) or 'refund_clawback' (refunded)
+   * @param {string} options.reason - Shown in the customer's history
+   * @param {string} options.referenceKey - Unique per undo (e.g. a refund id), so retries don't repeat it
+   * @returns {Promise<Object>} - { clawedBack, returned }
    */
-  static async redeemPoints(customerId, restaurantId, pointsToRedeem, orderId) {
-    try {
-      // Get customer's loyalty account
-      const { data: account, error } = await supabase
-        .from('loyalty_points')
-        .select('*')
-        .eq('customer_id', customerId)
-        .eq('restaurant_id', restaurantId)
-        .single()
-
-      if (error) throw error
-
-      if (!account || account.current_balance < pointsToRedeem) {
-        throw new Error('Insufficient points balance')
-      }
-
-      // Calculate discount amount
-      const discountAmount = pointsToRedeem * this.POINTS_TO_RUPEE_RATIO
-
-      // Update loyalty account
-      const newBalance = account.current_balance - pointsToRedeem
-      const totalRedeemed = account.points_redeemed + pointsToRedeem
-
-      const { error: updateError } = await supabase
-        .from('loyalty_points')
-        .update({
-          points_redeemed: totalRedeemed,
-          current_balance: newBalance
-        })
-        .eq('customer_id', customerId)
-        .eq('restaurant_id', restaurantId)
-
-      if (updateError) throw updateError
+  static async reverseOrderPoints(restaurantId, orderId, {
+    ratio = 1,
+    type = LOYALTY_TRANSACTION_TYPES.REVERSAL,
+    reason = 'Order cancelled',
+    referenceKey = `cancel:${orderId}`
+  } = {}) {
+    const { data, error } = await supabase.rpc('reverse_order_loyalty', {
+      p_order_id: orderId,
+      p_ratio: ratio,
+      p_type: type,
+      p_reason: reason,
+      p_reference_key: referenceKey
+    })
+
+    if (error) throw error
+    const result = { clawedBack: data?.clawed_back || 0, returned: data?.returned || 0 }
+    if (result.clawedBack || result.returned) {
+      console.log(`🪙 Loyalty ${type} on order ${orderId} at ${restaurantId}: -${result.clawedBack} / +${result.returned} coins`)
+    }
+    return result
+  }
 
-      // Record transaction
-      await this.recordTransaction(
-        customerId,
-        restaurantId,
-        orderId,
-        'redeemed',
-        -pointsToRedeem,
-        `Points redeemed for ₹${discountAmount} discount`
-      )
+  /**
+   * 🧾 Accounts whose cached balance doesn't match the ledger
+   * @param {string} restaurantId - Restaurant UUID
+   * @returns {Promise<Array>} - [{ customer_id, customer_name, cached_balance, ledger_balance, cached_lifetime, ledger_lifetime, last_balance_after, issues }]
+   */
+  static async getReconciliationReport(restaurantId) {
+    const { data, error } = await supabase.rpc('get_loyalty_reconciliation', {
+      p_restaurant_id: restaurantId
+    })
 
-      return {
-        pointsRedeemed: pointsToRedeem,
-        discountAmount,
-        newBalance,
-        message: `Redeemed ${pointsToRedeem} points for ₹${discountAmount} discount`
-      }
-    } catch (error) {
-      console.error('Error redeeming points:', error)
-      throw error
-    }
+    if (error) throw error
+    return data || []
   }
 
   /**
-   * Record loyalty transaction
+   * 🔧 Reset an account's cached balance from the ledger
    * @param {string} customerId - Customer UUID
    * @param {string} restaurantId - Restaurant UUID
-   * @param {string} orderId - Order UUID (optional)
-   * @param {string} type - Transaction type
-   * @param {number} points - Points amount
-   * @param {string} description - Transaction description
+   * @returns {Promise<Object>} - { balance, lifetime_earned }
    */
-  static async recordTransaction(customerId, restaurantId, orderId, type, points, description) {
-    try {
-      const expiresAt = type === 'earned' || type === 'bonus'
-        ? new Date(Date.now() + this.POINTS_EXPIRY_DAYS * 24 * 60 * 60 * 1000)
-        : null
-
-      await supabase
-        .from('loyalty_transactions')
-        .insert({
-          customer_id: customerId,
-          restaurant_id: restaurantId,
-          order_id: orderId,
-          transaction_type: type,
-          points,
-          description,
-          expires_at: expiresAt
-        })
-    } catch (error) {
-      console.error('Error recording transaction:', error)
-    }
+  static async rebuildAccount(customerId, restaurantId) {
+    const { data, error } = await supabase.rpc('rebuild_loyalty_account', {
+      p_customer_id: customerId,
+      p_restaurant_id: restaurantId
+    })
+
+    if (error) throw error
+    console.log('✅ Loyalty account rebuilt:', customerId)
+    return data
   }
 
   /**
    * Calculate customer tier based on total points earned
    * @param {number} totalPoints - Total points earned
-   * @returns {string} - Tier name
+   * @param {Object} settings - Loyalty rules
+   * @returns {string} - Tier key
    */
-  static calculateTier(totalPoints) {
-    if (totalPoints >= this.TIERS.PLATINUM.minPoints) return 'platinum'
-    if (totalPoints >= this.TIERS.GOLD.minPoints) return 'gold'
-    if (totalPoints >= this.TIERS.SILVER.minPoints) return 'silver'
-    return 'bronze'
+  static calculateTier(totalPoints, settings) {
+    return getLoyaltyTier(totalPoints, settings).key
   }
 
   /**
@@ -284,54 +216,27 @@ class LoyaltyService {
    */
   static async getCustomerLoyalty(customerId, restaurantId) {
     try {
-      // Get loyalty account
-      const { data: account } = await supabase
-        .from('loyalty_points')
-        .select('*')
-        .eq('customer_id', customerId)
-        .eq('restaurant_id', restaurantId)
-        .single()
-
-      if (!account) {
-        return {
-          hasAccount: false,
-          currentBalance: 0,
-          tier: 'bronze',
-          nextTier: 'silver',
-          pointsToNextTier: this.TIERS.SILVER.minPoints
-        }
-      }
-
-      // Calculate next tier info
-      const currentTierConfig = Object.values(this.TIERS).find(
-        t => t.name.toLowerCase() === account.tier
-      )
-      const nextTierConfig = Object.values(this.TIERS).find(
-        t => t.minPoints > account.points_earned
-      )
-
-      // Get recent transactions
-      const { data: transactions } = await supabase
-        .from('loyalty_transactions')
-        .select('*')
-        .eq('customer_id', customerId)
-        .eq('restaurant_id', restaurantId)
-        .order('created_at', { ascending: false })
-        .limit(10)
+      const settings = await this.getSettings(restaurantId)
+      const [summary, transactions] = await Promise.all([
+        this.getBalance(customerId, restaurantId),
+        this.getHistory(customerId, restaurantId, 200)
+      ])
+      const tier = getLoyaltyTier(summary.tierPoints, settings)
+      const next = getNextLoyaltyTier(summary.tierPoints, settings)
 
       return {
-        hasAccount: true,
-        currentBalance: account.current_balance,
-        totalEarned: account.points_earned,
-        totalRedeemed: account.points_redeemed,
-        tier: account.tier,
-        tierConfig: currentTierConfig,
-        nextTier: nextTierConfig?.name.toLowerCase(),
-        pointsToNextTier: nextTierConfig 
-          ? nextTierConfig.minPoints - account.points_earned
-          : 0,
-        discountAvailable: account.current_balance * this.POINTS_TO_RUPEE_RATIO,
-        recentTransactions: transactions || []
+        hasAccount: transactions.length > 0,
+        currentBalance: summary.balance,
+        totalEarned: summary.lifetimeEarned,
+        totalRedeemed: -transactions
+          .filter(row => row.transaction_type === LOYALTY_TRANSACTION_TYPES.REDEEMED)
+          .reduce((sum, row) => sum + row.points, 0),
+        tier: tier.key,
+        tierConfig: tier,
+        nextTier: next?.tier.key || null,
+        pointsToNextTier: next?.pointsNeeded || 0,
+        discountAvailable: summary.balance / COINS_PER_RUPEE,
+        recentTransactions: transactions.slice(0, 10)
       }
     } catch (error) {
       console.error('Error getting customer loyalty:', error)
@@ -347,90 +252,36 @@ class LoyaltyService {
    */
   static async getLeaderboard(restaurantId, limit = 10) {
     try {
-      const { data: topCustomers, error } = await supabase
-        .from('loyalty_points')
-        .select(`
-          *,
-          customer:auth.users(email, user_metadata)
-        `)
+      const settings = await this.getSettings(restaurantId)
+      const { data: accounts, error } = await supabase
+        .from('loyalty_accounts')
+        .select('*')
         .eq('restaurant_id', restaurantId)
-        .order('points_earned', { ascending: false })
+        .order('lifetime_earned', { ascending: false })
         .limit(limit)
 
       if (error) throw error
 
-      return topCustomers.map((customer, index) => ({
-        rank: index + 1,
-        customerId: customer.customer_id,
-        customerName: customer.customer?.user_metadata?.full_name || 'Anonymous',
-        customerEmail: customer.customer?.email,
-        pointsEarned: customer.points_earned,
-        currentBalance: customer.current_balance,
-        tier: customer.tier
-      }))
-    } catch (error) {
-      console.error('Error getting leaderboard:', error)
-      throw error
-    }
-  }
+      const customerIds = (accounts || []).map(account => account.customer_id)
+      const { data: customers } = customerIds.length > 0
+        ? await supabase.from('customers').select('id, full_name, email').in('id', customerIds)
+        : { data: [] }
 
-  /**
-   * Process expired points
-   * @param {string} restaurantId - Restaurant UUID
-   */
-  static async processExpiredPoints(restaurantId) {
-    try {
-      // Get expired transactions
-      const { data: expiredTransactions, error } = await supabase
-        .from('loyalty_transactions')
-        .select('*')
-        .eq('restaurant_id', restaurantId)
-        .eq('transaction_type', 'earned')
-        .lt('expires_at', new Date().toISOString())
-        .is('processed', false)
-
-      if (error) throw error
-
-      // Process each expired transaction
-      for (const transaction of expiredTransactions || []) {
-        // Deduct expired points from customer balance
-        const { data: account } = await supabase
-          .from('loyalty_points')
-          .select('*')
-          .eq('customer_id', transaction.customer_id)
-          .eq('restaurant_id', transaction.restaurant_id)
-          .single()
-
-        if (account) {
-          const newBalance = Math.max(0, account.current_balance - transaction.points)
-          
-          await supabase
-            .from('loyalty_points')
-            .update({ current_balance: newBalance })
-            .eq('customer_id', transaction.customer_id)
-            .eq('restaurant_id', transaction.restaurant_id)
-
-          // Mark transaction as processed
-          await supabase
-            .from('loyalty_transactions')
-            .update({ processed: true })
-            .eq('id', transaction.id)
-
-          // Record expiry transaction
-          await this.recordTransaction(
-            transaction.customer_id,
-            transaction.restaurant_id,
-            null,
-            'expired',
-            -transaction.points,
-            `Points expired from ${new Date(transaction.created_at).toLocaleDateString()}`
-          )
+      return (accounts || []).map((account, index) => {
+        const customer = (customers || []).find(candidate => candidate.id === account.customer_id)
+        return {
+          rank: index + 1,
+          customerId: account.customer_id,
+          customerName: customer?.full_name || 'Anonymous',
+          customerEmail: customer?.email,
+          pointsEarned: account.lifetime_earned,
+          currentBalance: account.balance,
+          // Tier set by the maintenance job, falling back to lifetime coins
+          tier: account.tier || getLoyaltyTier(account.lifetime_earned, settings).key
         }
-      }
-
-      return { processed: expiredTransactions?.length || 0 }
+      })
     } catch (error) {
-      console.error('Error processing expired points:', error)
+      console.error('Error getting leaderboard:', error)
       throw error
     }
   }
@@ -442,32 +293,32 @@ class LoyaltyService {
    */
   static async getLoyaltyAnalytics(restaurantId) {
     try {
-      // Get total customers enrolled
-      const { count: totalCustomers } = await supabase
-        .from('loyalty_points')
-        .select('*', { count: 'exact', head: true })
-        .eq('restaurant_id', restaurantId)
+      const settings = await this.getSettings(restaurantId)
 
-      // Get tier distribution
-      const { data: tierData } = await supabase
-        .from('loyalty_points')
-        .select('tier')
+      const { data: accounts, error } = await supabase
+        .from('loyalty_accounts')
+        .select('*')
         .eq('restaurant_id', restaurantId)
 
-      const tierDistribution = tierData?.reduce((acc, { tier }) => {
+      if (error) throw error
+
+      const totalCustomers = accounts?.length || 0
+      const tierDistribution = (accounts || []).reduce((acc, account) => {
+        const tier = account.tier || getLoyaltyTier(account.lifetime_earned, settings).key
         acc[tier] = (acc[tier] || 0) + 1
         return acc
       }, {})
 
-      // Get points statistics
-      const { data: stats } = await supabase
-        .from('loyalty_points')
-        .select('points_earned, points_redeemed, current_balance')
+      // Redemptions are counted from the ledger; reversals of them are netted off
+      const { data: redemptions } = await supabase
+        .from('loyalty_transactions')
+        .select('points')
         .eq('restaurant_id', restaurantId)
+        .eq('transaction_type', LOYALTY_TRANSACTION_TYPES.REDEEMED)
 
-      const totalPointsEarned = stats?.reduce((sum, s) => sum + s.points_earned, 0) || 0
-      const totalPointsRedeemed = stats?.reduce((sum, s) => sum + s.points_redeemed, 0) || 0
-      const totalPointsBalance = stats?.reduce((sum, s) => sum + s.current_balance, 0) || 0
+      const totalPointsEarned = (accounts || []).reduce((sum, account) => sum + account.lifetime_earned, 0)
+      const totalPointsRedeemed = -(redemptions || []).reduce((sum, row) => sum + row.points, 0)
+      const totalPointsBalance = (accounts || []).reduce((sum, account) => sum + account.balance, 0)
 
       // Get recent activity
       const { data: recentActivity } = await supabase
@@ -1,4 +1,4 @@
-import { supabase } from '../config/supabase'
+import { supabase } from '../config/supabase.js'
 import toast from 'react-hot-toast'
 
 /**
@@ -97,6 +97,34 @@ class NotificationService {
         })
         break
 
+      case 'sla_breach':
+        toast.error(`⏱️ ${title}\n${message}`, {
+          duration: 10000,
+          position: 'top-right'
+        })
+        break
+
+      case 'low_stock':
+        toast(`📦 ${title}\n${message}`, {
+          duration: 8000,
+          position: 'top-right'
+        })
+        break
+
+      case 'out_of_stock':
+        toast.error(`🚫 ${title}\n${message}`, {
+          duration: 10000,
+          position: 'top-right'
+        })
+        break
+
+      case 'new_reservation':
+        toast.success(`📅 ${title}\n${message}`, {
+          duration: 6000,
+          position: 'top-right'
+        })
+        break
+
       default:
         if (priority === 'urgent') {
           toast.error(`🚨 ${title}\n${message}`, {
@@ -214,6 +242,8 @@ class NotificationService {
 
   /**
    * 📢 Send custom notification
+   * Server jobs pass their own service-role client as `client`; the app's
+   * client is used otherwise.
    */
   static async sendNotification({
     recipientId,
@@ -222,10 +252,11 @@ class NotificationService {
     title,
     message,
     data = {},
-    priority = 'normal'
+    priority = 'normal',
+    client = supabase
   }) {
     try {
-      const { error } = await supabase
+      const { error } = await client
         .from('workflow_notifications')
         .insert({
           recipient_id: recipientId,
@@ -0,0 +1,238 @@
+import UnifiedOrderService from './unifiedOrderService'
+
+const DB_NAME = 'ordyrr-offline'
+const DB_VERSION = 1
+const ORDER_STORE = 'queued_orders'
+const QUEUE_EVENT = 'ordyrr:offline-orders'
+
+export const QUEUED_ORDER_STATUS = {
+  QUEUED: 'queued',
+  FAILED: 'failed' // Rejected by the server on replay (e.g. price changed) - needs the customer
+}
+
+// Failed orders the customer never retried or discarded are dropped after a day
+const FAILED_ORDER_TTL_MS = 24 * 60 * 60 * 1000
+
+// Queued orders older than this are not sent on their own: the customer may
+// have left the table. They are held as failed until the customer confirms.
+const QUEUED_ORDER_TTL_MS = 2 * 60 * 60 * 1000
+
+const openDatabase = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DB_NAME, DB_VERSION)
+  request.onupgradeneeded = () => {
+    const db = request.result
+    if (!db.objectStoreNames.contains(ORDER_STORE)) {
+      db.createObjectStore(ORDER_STORE, { keyPath: 'idempotencyKey' })
+    }
+  }
+  request.onsuccess = () => resolve(request.result)
+  request.onerror = () => reject(request.error)
+})
+
+// Run one request against the queue store and resolve with its result
+const withStore = async (mode, operation) => {
+  const db = await openDatabase()
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(ORDER_STORE, mode)
+    const request = operation(transaction.objectStore(ORDER_STORE))
+    transaction.oncomplete = () => {
+      db.close()
+      resolve(request?.result)
+    }
+    transaction.onerror = () => {
+      db.close()
+      reject(transaction.error)
+    }
+  })
+}
+
+/**
+ * 📴 Offline Order Service
+ * Orders placed while the connection is down are kept in IndexedDB with the
+ * idempotency key of their checkout attempt. When NetworkStatus sees the
+ * connection come back, replayQueue sends them through
+ * UnifiedOrderService.createOrder; the key makes a replay of an order that
+ * did reach the server return that order instead of creating a second one.
+ * Orders the server rejects, and orders that waited too long to be sent,
+ * stay in the queue as failed until the customer retries or discards them
+ * (NetworkStatus), or they expire.
+ */
+class OfflineOrderService {
+  static replaying = false
+
+  /**
+   * 📶 Whether an error means the request never reached the server
+   * @param {Error} error - Error from createOrder
+   * @returns {boolean}
+   */
+  static isNetworkError(error) {
+    if (!navigator.onLine) return true
+    const message = error?.message || ''
+    return /Failed to fetch|NetworkError|Network request failed|Load failed/i.test(message)
+  }
+
+  /**
+   * 📥 Queue an order to send when the connection is back
+   * @param {Object} orderParams - createOrder params (without idempotencyKey)
+   * @param {string} idempotencyKey - Key of the checkout attempt
+   * @returns {Promise<Object>} - Queued record
+   */
+  static async queueOrder(orderParams, idempotencyKey) {
+    const record = {
+      idempotencyKey,
+      params: orderParams,
+      status: QUEUED_ORDER_STATUS.QUEUED,
+      attempts: 0,
+      lastError: null,
+      queuedAt: new Date().toISOString()
+    }
+
+    await withStore('readwrite', store => store.put(record))
+    console.log('📥 Order queued offline:', idempotencyKey)
+    this.notifyChange()
+    return record
+  }
+
+  /**
+   * 📋 Orders waiting in the queue (oldest first). Expired failed orders are
+   * dropped on the way.
+   * @returns {Promise<Array>}
+   */
+  static async getQueuedOrders() {
+    try {
+      const records = await withStore('readonly', store => store.getAll())
+      const expiredBefore = Date.now() - FAILED_ORDER_TTL_MS
+      const expired = (records || []).filter(record =>
+        record.status === QUEUED_ORDER_STATUS.FAILED && new Date(record.failedAt || record.queuedAt).getTime() < expiredBefore
+      )
+
+      if (expired.length > 0) {
+        await withStore('readwrite', store => expired.forEach(record => store.delete(record.idempotencyKey)))
+        console.log(`🗑️ Dropped ${expired.length} expired failed order(s)`)
+      }
+
+      return (records || [])
+        .filter(record => !expired.includes(record))
+        .sort((a, b) => a.queuedAt.localeCompare(b.queuedAt))
+    } catch (error) {
+      console.warn('⚠️ Could not read offline order queue:', error)
+      return []
+    }
+  }
+
+  /**
+   * 🗑️ Drop a queued order
+   * @param {string} idempotencyKey - Queued order key
+   */
+  static async removeOrder(idempotencyKey) {
+    await withStore('readwrite', store => store.delete(idempotencyKey))
+    this.notifyChange()
+  }
+
+  /**
+   * ⏰ Whether a queued order waited too long to be sent without asking.
+   * A retry counts as the customer confirming it again.
+   * @param {Object} record - Queued record
+   * @returns {boolean}
+   */
+  static isStale(record) {
+    return new Date(record.confirmedAt || record.queuedAt).getTime() < Date.now() - QUEUED_ORDER_TTL_MS
+  }
+
+  /**
+   * 🔁 Put a failed order back in the queue and send it again
+   * @param {string} idempotencyKey - Queued order key
+   * @returns {Promise<Object>} - replayQueue result
+   */
+  static async retryOrder(idempotencyKey) {
+    const record = await withStore('readonly', store => store.get(idempotencyKey))
+    if (!record) return { sent: [], failed: [] }
+
+    await withStore('readwrite', store => store.put({
+      ...record,
+      status: QUEUED_ORDER_STATUS.QUEUED,
+      lastError: null,
+      confirmedAt: new Date().toISOString()
+    }))
+    return this.replayQueue()
+  }
+
+  /**
+   * 🔁 Send queued orders, oldest first. Stops at the first network error so
+   * the rest wait for the next reconnect. Stale orders (isStale) are not
+   * sent but held as failed for the customer to confirm or discard.
+   * @returns {Promise<Object>} - { sent: [order], failed: [record] }
+   */
+  static async replayQueue() {
+    const result = { sent: [], failed: [] }
+    if (this.replaying || !navigator.onLine) return result
+
+    this.replaying = true
+    try {
+      const queued = (await this.getQueuedOrders()).filter(record => record.status === QUEUED_ORDER_STATUS.QUEUED)
+
+      for (const record of queued) {
+        if (this.isStale(record)) {
+          const heldRecord = {
+            ...record,
+            status: QUEUED_ORDER_STATUS.FAILED,
+            lastError: 'It was saved more than 2 hours ago. Try again only if you are still at the table.',
+            failedAt: new Date().toISOString()
+          }
+          await withStore('readwrite', store => store.put(heldRecord))
+          result.failed.push(heldRecord)
+          console.warn('⏰ Queued order too old to send without asking:', record.idempotencyKey)
+          continue
+        }
+
+        try {
+          const order = await UnifiedOrderService.createOrder({
+            ...record.params,
+            idempotencyKey: record.idempotencyKey
+          })
+          await withStore('readwrite', store => store.delete(record.idempotencyKey))
+          result.sent.push(order)
+          console.log('✅ Queued order sent:', order.order_number)
+        } catch (error) {
+          if (this.isNetworkError(error)) {
+            await withStore('readwrite', store => store.put({ ...record, attempts: record.attempts + 1 }))
+            console.warn('📴 Still offline, keeping queued orders for later')
+            break
+          }
+
+          const failedRecord = {
+            ...record,
+            status: QUEUED_ORDER_STATUS.FAILED,
+            attempts: record.attempts + 1,
+            lastError: error.message || 'Order could not be placed',
+            failedAt: new Date().toISOString()
+          }
+          await withStore('readwrite', store => store.put(failedRecord))
+          result.failed.push(failedRecord)
+          console.error('❌ Queued order rejected:', record.idempotencyKey, error)
+        }
+      }
+    } finally {
+      this.replaying = false
+      this.notifyChange()
+    }
+
+    return result
+  }
+
+  /**
+   * 👂 Listen for queue changes
+   * @param {Function} callback - Called with no arguments
+   * @returns {Function} - Unsubscribe
+   */
+  static subscribe(callback) {
+    window.addEventListener(QUEUE_EVENT, callback)
+    return () => window.removeEventListener(QUEUE_EVENT, callback)
+  }
+
+  static notifyChange() {
+    window.dispatchEvent(new Event(QUEUE_EVENT))
+  }
+}
+
+export default OfflineOrderService
@@ -2,6 +2,8 @@ import { supabase } from '../config/supabase'
 import StaffAssignmentService from './staffAssignmentService'
 import CartService from './cartService'
 import realtimeService from './realtimeService'
+import PaymentService from './paymentService'
+import LoyaltyService from './loyaltyService'
 
 /**
  * Enhanced Order Management Service for Complete Restaurant Workflow
@@ -634,9 +636,11 @@ class OrderService {
         cancellation_reason: reason
       })
 
-      // Process refund if payment was made
-      if (order.payment_status === 'paid') {
+      // Refund whatever was paid; refunds also undo the order's coins
+      if (['paid', 'completed', 'partially_refunded'].includes(order.payment_status)) {
         await this.processRefund(orderId)
+      } else if (order.customer_id) {
+        await LoyaltyService.reverseOrderPoints(order.restaurant_id, orderId)
       }
 
       return order
@@ -647,26 +651,31 @@ class OrderService {
   }
 
   /**
-   * Process refund for cancelled order
+   * Refund everything left on a cancelled order
+   * Goes back to the online payment when there is one, otherwise in cash.
    * @param {string} orderId - Order UUID
+   * @param {string} reason - REFUND_REASONS key
    */
-  static async processRefund(orderId) {
+  static async processRefund(orderId, reason = 'order_cancelled') {
     try {
-      // Update payment status
-      await supabase
-        .from('payments')
-        .update({ status: 'refunded' })
+      const { data: onlinePayment } = await supabase
+        .from('payment_transactions')
+        .select('id')
         .eq('order_id', orderId)
+        .eq('payment_status', 'completed')
+        .not('gateway', 'is', null)
+        .limit(1)
+        .maybeSingle()
+
+      const result = await PaymentService.refundOrder({
+        orderId,
+        type: 'full',
+        method: onlinePayment ? 'original' : 'cash',
+        reason
+      })
 
-      // Update order payment status
-      await supabase
-        .from('orders')
-        .update({ payment_status: 'refunded' })
-        .eq('id', orderId)
-
-      // TODO: Integrate with payment gateway for actual refund
-
-      return { success: true }
+      if (!result.success) throw new Error(result.error)
+      return result
     } catch (error) {
       console.error('Error processing refund:', error)
       throw error
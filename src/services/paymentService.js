@@ -1,5 +1,9 @@
 import { supabase } from '../config/supabase'
 import realtimeService from './realtimeService'
+import { getPaymentGateway, getGatewayForMethod, WEBHOOK_EVENTS } from './payments'
+import LoyaltyService from './loyaltyService'
+import { getOrderDisplayNumber } from '../utils/orderNumberUtils'
+import { REFUND_METHODS, summarizeRefunds } from '../utils/refundUtils'
 
 /**
  * Enhanced Payment Service for Complete Restaurant Workflow
@@ -7,11 +11,13 @@ import realtimeService from './realtimeService'
  * 
  * PAYMENT WORKFLOW:
  * 1. Customer chooses payment method during order
- * 2. Pay Now: Online payment processing (UPI, Card, etc.)
+ * 2. Pay Now: Online payment through a gateway adapter (see ./payments)
  * 3. Pay Later: Cash payment collected by staff
  * 4. Staff payment collection interface
  * 5. Real-time payment confirmations
  * 6. Payment tracking and reconciliation
+ * 7. Refunds: full, item-level and goodwill (create_order_refund), paid
+ *    back through the same gateway adapter
  */
 class PaymentService {
   /**
@@ -27,10 +33,18 @@ class PaymentService {
         paymentMethod, // 'cash', 'card', 'upi', 'online'
         staffId = null,
         transactionId = null,
-        gatewayResponse = null
+        gatewayResponse = null,
+        gateway = null, // 'razorpay', 'stripe', 'upi', 'mock' - picked from paymentMethod when empty
+        customer = {},
+        sessionId = null, // Table session the order was placed from (guests paying online)
+        checkoutOptions = {}
       } = paymentData
 
-      console.log('💳 Processing payment:', { orderId, amount, paymentMethod })
+      console.log('💳 Processing payment:', { orderId, amount, paymentMethod, gateway })
+
+      const gatewayName = paymentMethod === 'cash'
+        ? null
+        : (gateway || getGatewayForMethod(paymentMethod).name)
 
       // Create payment transaction record
       const { data: transaction, error: transactionError } = await supabase
@@ -43,6 +57,7 @@ class PaymentService {
           payment_status: paymentMethod === 'cash' ? 'pending' : 'processing',
           transaction_id: transactionId,
           gateway_response: gatewayResponse,
+          gateway: gatewayName,
           collected_by_staff: paymentMethod === 'cash'
         })
         .select()
@@ -69,7 +84,12 @@ class PaymentService {
         paymentResult = await this.handleCashPayment(orderId, amount, staffId)
       } else {
         // Online payment - process through gateway
-        paymentResult = await this.handleOnlinePayment(orderId, amount, paymentMethod, transactionId)
+        paymentResult = await this.handleOnlinePayment(orderId, amount, paymentMethod, transactionId, {
+          gateway: gatewayName,
+          customer,
+          sessionId,
+          ...checkoutOptions
+        })
       }
 
       return paymentResult
@@ -117,7 +137,7 @@ class PaymentService {
           'payment_pending',
           {
             orderId,
-            orderNumber: order.order_number,
+            orderNumber: getOrderDisplayNumber(order),
             amount,
             paymentMethod: 'cash',
             message: 'Please prepare cash payment. Staff will collect when order is ready.',
@@ -141,49 +161,114 @@ class PaymentService {
   }
 
   /**
-   * Handle online payment processing
+   * Handle online payment processing through the gateway adapter
    * @param {string} orderId - Order ID
    * @param {number} amount - Payment amount
    * @param {string} paymentMethod - Payment method
    * @param {string} transactionId - Transaction ID
+   * @param {Object} options - { gateway, customer, flow, vpa, paymentRecordId, sessionId }
+   *   paymentRecordId targets one payment_transactions row (split-bill share)
    * @returns {Promise<Object>} - Payment result
    */
-  static async handleOnlinePayment(orderId, amount, paymentMethod, transactionId) {
+  static async handleOnlinePayment(orderId, amount, paymentMethod, transactionId, options = {}) {
+    const { gateway: gatewayName, customer = {}, paymentRecordId = null, sessionId = null, ...checkoutOptions } = options
+
     try {
-      console.log('🌐 Processing online payment...')
+      const gateway = gatewayName ? getPaymentGateway(gatewayName) : getGatewayForMethod(paymentMethod)
+      console.log('🌐 Processing online payment via', gateway.name)
 
-      // Simulate payment gateway processing
-      // In real implementation, integrate with Razorpay, Stripe, etc.
-      const paymentSuccess = await this.simulatePaymentGateway(amount, paymentMethod)
+      // Step 1: Register the amount with the gateway. Server-backed gateways
+      // charge the amount stored for the order and record the gateway order
+      // on the transaction themselves.
+      const gatewayOrder = await gateway.createOrder({
+        orderId,
+        amount,
+        currency: 'INR',
+        customer,
+        method: paymentMethod,
+        paymentRecordId,
+        sessionId
+      })
 
-      if (paymentSuccess.success) {
-        // Update payment status to completed
-        await this.confirmPayment(orderId, {
-          transactionId: paymentSuccess.transactionId,
-          gatewayResponse: paymentSuccess.response
-        })
+      if (!gateway.settlesOnServer) {
+        const transactionQuery = supabase
+          .from('payment_transactions')
+          .update({
+            gateway: gateway.name,
+            gateway_order_id: gatewayOrder.gatewayOrderId,
+            updated_at: new Date().toISOString()
+          })
 
+        await (paymentRecordId
+          ? transactionQuery.eq('id', paymentRecordId)
+          : transactionQuery.eq('order_id', orderId).eq('payment_status', 'processing'))
+      }
+
+      // Step 2: Customer-facing checkout (webhooks are routed back here)
+      const checkoutResult = await gateway.checkout(gatewayOrder, {
+        ...checkoutOptions,
+        customer,
+        method: paymentMethod,
+        onWebhook: (rawBody, headers) => this.handleGatewayWebhook(gateway.name, { rawBody, headers })
+      })
+
+      if (checkoutResult.pending) {
+        // Redirect / async flows settle through the webhook
         return {
           success: true,
           data: {
             paymentMethod,
-            status: 'completed',
-            transactionId: paymentSuccess.transactionId,
-            message: 'Payment completed successfully'
+            gateway: gateway.name,
+            status: 'processing',
+            gatewayOrderId: gatewayOrder.gatewayOrderId,
+            message: 'Waiting for payment confirmation'
           }
         }
-      } else {
-        // Payment failed
-        await this.failPayment(orderId, paymentSuccess.error)
-        
+      }
+
+      if (!checkoutResult.success) {
+        await this.failPayment(orderId, checkoutResult.error, {
+          gateway: gateway.name,
+          gatewayOrderId: gatewayOrder.gatewayOrderId,
+          gatewayResponse: { paymentId: checkoutResult.paymentId, cancelled: !!checkoutResult.cancelled }
+        })
+
         return {
           success: false,
-          error: paymentSuccess.error,
-          message: 'Payment failed. Please try again.'
+          error: checkoutResult.error,
+          message: checkoutResult.cancelled ? 'Payment cancelled.' : 'Payment failed. Please try again.'
+        }
+      }
+
+      // Step 3: Verify with the gateway before marking the order paid
+      const confirmation = await this.confirmPayment(orderId, {
+        transactionId: checkoutResult.paymentId,
+        gateway: gateway.name,
+        gatewayOrder,
+        checkoutResult
+      })
+
+      if (!confirmation.success) {
+        return {
+          success: false,
+          error: confirmation.error,
+          message: 'Payment could not be verified. Please contact staff.'
+        }
+      }
+
+      return {
+        success: true,
+        data: {
+          paymentMethod,
+          gateway: gateway.name,
+          status: 'completed',
+          transactionId: checkoutResult.paymentId,
+          message: 'Payment completed successfully'
         }
       }
     } catch (error) {
       console.error('❌ Error handling online payment:', error)
+      await this.failPayment(orderId, error.message, { gateway: gatewayName, paymentRecordId })
       return { success: false, error: error.message }
     }
   }
@@ -196,48 +281,128 @@ class PaymentService {
    */
   static async confirmPayment(orderId, paymentDetails = {}) {
     try {
-      const { transactionId, gatewayResponse, staffId } = paymentDetails
+      const {
+        transactionId,
+        staffId,
+        gateway = null, // Gateway adapter name for online payments
+        gatewayOrder = null, // createOrder result - required to verify a checkout
+        checkoutResult = null, // checkout result to verify with the gateway
+        verifiedByWebhook = false,
+        paymentRecordId = null // payment_transactions row id (split-bill share)
+      } = paymentDetails
+      let { gatewayResponse } = paymentDetails
 
       console.log('✅ Confirming payment for order:', orderId)
 
-      // Update payment transaction
-      const { data: transaction, error: transactionError } = await supabase
-        .from('payment_transactions')
-        .update({
-          payment_status: 'completed',
-          transaction_id: transactionId,
-          gateway_response: gatewayResponse,
-          collected_at: new Date().toISOString(),
-          updated_at: new Date().toISOString()
-        })
-        .eq('order_id', orderId)
-        .select()
-        .single()
+      // Online payments are only confirmed once the gateway vouches for them
+      if (gateway && !verifiedByWebhook && !checkoutResult?.confirmedByWebhook) {
+        if (!gatewayOrder || !checkoutResult) {
+          throw new Error('Gateway payments need a checkout result to verify')
+        }
+
+        const verification = await getPaymentGateway(gateway).verifyPayment(gatewayOrder, checkoutResult)
+        if (!verification.verified) {
+          // A failure the server already recorded (e.g. an amount mismatch) is kept as it is
+          if (!verification.settled) {
+            await this.failPayment(orderId, verification.error || 'Payment verification failed', {
+              gateway,
+              gatewayOrderId: gatewayOrder.gatewayOrderId,
+              gatewayResponse: { paymentId: checkoutResult.paymentId }
+            })
+          }
+          return { success: false, error: verification.error || 'Payment verification failed' }
+        }
+
+        gatewayResponse = {
+          ...gatewayResponse,
+          gateway,
+          gatewayOrderId: gatewayOrder.gatewayOrderId,
+          paymentId: verification.paymentId,
+          verified: true,
+          verifiedAt: new Date().toISOString()
+        }
+      }
+
+      // Gateway payments are settled by the payment-gateway function
+      // (verify_payment or the webhook); they are only read back here
+      const settledOnServer = !!gateway && getPaymentGateway(gateway).settlesOnServer
+
+      // Update payment transaction (the exact row or gateway order when known)
+      let transactionQuery = settledOnServer
+        ? supabase
+          .from('payment_transactions')
+          .select()
+        : supabase
+          .from('payment_transactions')
+          .update({
+            payment_status: 'completed',
+            transaction_id: transactionId,
+            gateway_response: gatewayResponse,
+            collected_at: new Date().toISOString(),
+            updated_at: new Date().toISOString()
+          })
+          .select()
+
+      if (paymentRecordId) {
+        transactionQuery = transactionQuery.eq('id', paymentRecordId)
+      } else if (gatewayOrder?.gatewayOrderId) {
+        transactionQuery = transactionQuery.eq('gateway_order_id', gatewayOrder.gatewayOrderId)
+      } else {
+        transactionQuery = transactionQuery.eq('order_id', orderId)
+      }
+
+      const { data: transaction, error: transactionError } = await transactionQuery.single()
 
       if (transactionError) throw transactionError
+      if (transaction.payment_status !== 'completed') {
+        throw new Error(transaction.gateway_response?.error || 'Payment has not been confirmed by the gateway yet')
+      }
 
-      // Update order payment status
-      const { data: order, error: orderError } = await supabase
-        .from('orders')
-        .update({
-          payment_status: 'completed',
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', orderId)
-        .select(`
+      // Split-bill shares only settle the table's orders once every share is paid
+      let splitSettled = null
+      if (transaction.split_id) {
+        splitSettled = settledOnServer
+          ? (await supabase.from('bill_splits').select('status').eq('id', transaction.split_id).single()).data?.status === 'settled'
+          : await this.settleSplit(transaction.split_id)
+      }
+
+      const orderSelect = `
           *,
           customer_sessions (
             session_id,
             customer_name
           )
-        `)
-        .single()
+        `
+
+      // Update order payment status
+      const { data: order, error: orderError } = transaction.split_id || settledOnServer
+        ? await supabase
+          .from('orders')
+          .select(orderSelect)
+          .eq('id', orderId)
+          .single()
+        : await supabase
+          .from('orders')
+          .update({
+            payment_status: 'completed',
+            updated_at: new Date().toISOString()
+          })
+          .eq('id', orderId)
+          .select(orderSelect)
+          .single()
 
       if (orderError) throw orderError
 
       // Update staff tips if applicable
       if (staffId && transaction.amount > order.total_amount) {
         const tipAmount = transaction.amount - order.total_amount
+
+        // Recorded on the order so pay settlements can pool it
+        await supabase
+          .from('orders')
+          .update({ tip_amount: (parseFloat(order.tip_amount) || 0) + tipAmount })
+          .eq('id', orderId)
+
         await this.addStaffTip(staffId, tipAmount)
       }
 
@@ -248,10 +413,12 @@ class PaymentService {
           'payment_confirmed',
           {
             orderId,
-            orderNumber: order.order_number,
+            orderNumber: getOrderDisplayNumber(order),
             amount: transaction.amount,
             paymentMethod: transaction.payment_method,
             transactionId: transaction.transaction_id,
+            shareLabel: transaction.share_label,
+            splitSettled,
             timestamp: new Date().toISOString()
           }
         )
@@ -264,7 +431,7 @@ class PaymentService {
           'payment_confirmed',
           {
             orderId,
-            orderNumber: order.order_number,
+            orderNumber: getOrderDisplayNumber(order),
             amount: transaction.amount,
             paymentMethod: transaction.payment_method
           }
@@ -282,37 +449,67 @@ class PaymentService {
    * Handle payment failure
    * @param {string} orderId - Order ID
    * @param {string} errorMessage - Error message
+   * @param {Object} details - { gateway, gatewayOrderId, gatewayResponse, paymentRecordId }
    * @returns {Promise<Object>} - Failure handling result
    */
-  static async failPayment(orderId, errorMessage) {
+  static async failPayment(orderId, errorMessage, details = {}) {
     try {
-      console.log('❌ Payment failed for order:', orderId)
+      const { gateway = null, gatewayOrderId = null, gatewayResponse = {}, paymentRecordId = null } = details
+
+      console.log('❌ Payment failed for order:', orderId, gateway ? `(${gateway})` : '')
 
       // Update payment transaction status
-      await supabase
+      let transactionQuery = supabase
         .from('payment_transactions')
         .update({
           payment_status: 'failed',
-          gateway_response: { error: errorMessage },
+          gateway_response: { ...gatewayResponse, error: errorMessage, gateway, gatewayOrderId },
           updated_at: new Date().toISOString()
         })
-        .eq('order_id', orderId)
 
-      // Update order payment status
-      const { data: order } = await supabase
-        .from('orders')
-        .update({
-          payment_status: 'failed',
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', orderId)
-        .select(`
+      if (paymentRecordId) {
+        transactionQuery = transactionQuery.eq('id', paymentRecordId)
+      } else if (gatewayOrderId) {
+        transactionQuery = transactionQuery.eq('gateway_order_id', gatewayOrderId)
+      } else {
+        transactionQuery = transactionQuery.eq('order_id', orderId)
+      }
+
+      // A paid row is never turned back into a failure from the browser
+      const { data: failedTransactions } = await transactionQuery
+        .neq('payment_status', 'completed')
+        .select('split_id')
+
+      if (!failedTransactions?.length) {
+        return { success: true }
+      }
+
+      // A failed split-bill share can simply be paid again - the orders stay payable
+      const isSplitShare = failedTransactions?.some(transaction => transaction.split_id)
+
+      const orderSelect = `
           *,
           customer_sessions (
             session_id
           )
-        `)
-        .single()
+        `
+
+      // Update order payment status
+      const { data: order } = isSplitShare
+        ? await supabase
+          .from('orders')
+          .select(orderSelect)
+          .eq('id', orderId)
+          .single()
+        : await supabase
+          .from('orders')
+          .update({
+            payment_status: 'failed',
+            updated_at: new Date().toISOString()
+          })
+          .eq('id', orderId)
+          .select(orderSelect)
+          .single()
 
       // Notify customer about payment failure
       if (order?.customer_sessions?.session_id) {
@@ -321,7 +518,7 @@ class PaymentService {
           'payment_failed',
           {
             orderId,
-            orderNumber: order.order_number,
+            orderNumber: getOrderDisplayNumber(order),
             error: errorMessage,
             message: 'Payment failed. Please try again or choose a different payment method.',
             timestamp: new Date().toISOString()
@@ -467,35 +664,292 @@ class PaymentService {
   }
 
   /**
-   * Simulate payment gateway (replace with real gateway integration)
-   * @param {number} amount - Payment amount
-   * @param {string} paymentMethod - Payment method
-   * @returns {Promise<Object>} - Gateway response
+   * Settle a split bill once every share is paid
+   * Marks the split settled and all orders it covers as paid.
+   * @param {string} splitId - bill_splits id
+   * @returns {Promise<boolean>} - Whether the split is fully paid
    */
-  static async simulatePaymentGateway(amount, paymentMethod) {
-    // Simulate network delay
-    await new Promise(resolve => setTimeout(resolve, 2000))
+  static async settleSplit(splitId) {
+    const { data: shares, error } = await supabase
+      .from('payment_transactions')
+      .select('payment_status')
+      .eq('split_id', splitId)
 
-    // Simulate 95% success rate
-    const success = Math.random() > 0.05
+    if (error) throw error
 
-    if (success) {
-      return {
-        success: true,
-        transactionId: `TXN_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-        response: {
-          status: 'success',
-          amount,
-          paymentMethod,
-          gateway: 'razorpay', // or stripe, payu, etc.
-          timestamp: new Date().toISOString()
-        }
+    if (!shares?.length || shares.some(share => share.payment_status !== 'completed')) {
+      return false
+    }
+
+    const { data: split } = await supabase
+      .from('bill_splits')
+      .update({
+        status: 'settled',
+        settled_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', splitId)
+      .eq('status', 'open')
+      .select('order_ids')
+      .maybeSingle()
+
+    if (split?.order_ids?.length) {
+      await supabase
+        .from('orders')
+        .update({
+          payment_status: 'completed',
+          updated_at: new Date().toISOString()
+        })
+        .in('id', split.order_ids)
+    }
+
+    console.log('✅ Split bill settled:', splitId)
+    return true
+  }
+
+  /**
+   * Handle a gateway webhook. Runs the adapter's signature check and event
+   * mapping, then settles the matching transaction. Safe to call more than
+   * once for the same event.
+   * @param {string} gatewayName - Gateway adapter name
+   * @param {Object} request - { rawBody, headers }
+   * @returns {Promise<Object>} - Handling result
+   */
+  static async handleGatewayWebhook(gatewayName, { rawBody, headers = {} }) {
+    try {
+      const gateway = getPaymentGateway(gatewayName)
+      const normalizedHeaders = Object.fromEntries(
+        Object.entries(headers).map(([key, value]) => [key.toLowerCase(), value])
+      )
+
+      const validSignature = await gateway.verifyWebhookSignature(rawBody, normalizedHeaders)
+      if (!validSignature) {
+        throw new Error('Invalid webhook signature')
       }
-    } else {
-      return {
-        success: false,
-        error: 'Payment gateway error. Please try again.'
+
+      const event = gateway.parseWebhookEvent(JSON.parse(rawBody))
+      console.log('🔔 Payment webhook:', gatewayName, event.type, event.gatewayOrderId)
+
+      if (event.type === WEBHOOK_EVENTS.IGNORED) {
+        return { success: true, data: { ignored: true } }
       }
+
+      const { data: transaction, error } = await supabase
+        .from('payment_transactions')
+        .select('id, order_id, payment_status')
+        .eq('gateway_order_id', event.gatewayOrderId)
+        .maybeSingle()
+
+      if (error) throw error
+      if (!transaction) {
+        throw new Error(`No transaction for gateway order ${event.gatewayOrderId}`)
+      }
+
+      // Already settled - webhooks can be retried or arrive after checkout
+      if (transaction.payment_status === 'completed') {
+        return { success: true, data: { duplicate: true } }
+      }
+
+      if (event.type === WEBHOOK_EVENTS.PAYMENT_SUCCEEDED) {
+        return await this.confirmPayment(transaction.order_id, {
+          transactionId: event.paymentId,
+          gateway: gatewayName,
+          gatewayOrder: { gatewayOrderId: event.gatewayOrderId },
+          verifiedByWebhook: true,
+          gatewayResponse: { ...event, gateway: gatewayName, source: 'webhook' }
+        })
+      }
+
+      if (transaction.payment_status === 'failed') {
+        return { success: true, data: { duplicate: true } }
+      }
+
+      return await this.failPayment(transaction.order_id, event.error, {
+        gateway: gatewayName,
+        gatewayOrderId: event.gatewayOrderId,
+        gatewayResponse: { paymentId: event.paymentId, source: 'webhook' }
+      })
+    } catch (error) {
+      console.error('❌ Error handling payment webhook:', error)
+      return { success: false, error: error.message }
+    }
+  }
+
+  /**
+   * Refund an order, some of its items, or give a goodwill credit
+   * The database works out the amount (create_order_refund). Refunds to the
+   * original payment go through the gateway adapter; once a refund is
+   * processed, the refunded share of the order's coins is undone.
+   * @param {Object} refundData
+   * @param {string} refundData.orderId - Order ID
+   * @param {string} refundData.type - 'full', 'items' or 'goodwill'
+   * @param {string} refundData.method - 'original', 'cash' or 'coins'
+   * @param {string} refundData.reason - REFUND_REASONS key
+   * @param {string} refundData.note - Optional note
+   * @param {Array<Object>} refundData.items - [{ order_item_id, quantity }] for item refunds
+   * @param {number} refundData.amount - Goodwill amount
+   * @param {boolean} refundData.includeTip - Refund the tip with the items
+   * @returns {Promise<Object>} - { success, data: { refund, coins }, error }
+   */
+  static async refundOrder({ orderId, type, method, reason, note = '', items = [], amount = null, includeTip = false }) {
+    try {
+      const { data: created, error } = await supabase.rpc('create_order_refund', {
+        p_order_id: orderId,
+        p_refund_type: type,
+        p_method: method,
+        p_reason: reason,
+        p_note: note,
+        p_items: items,
+        p_amount: amount,
+        p_include_tip: includeTip
+      })
+
+      if (error) throw error
+
+      return await this.settleRefund(created)
+    } catch (error) {
+      console.error('❌ Error refunding order:', error)
+      return { success: false, error: error.message }
+    }
+  }
+
+  /**
+   * Try a pending refund again, or check on one the gateway is still processing
+   * @param {string} refundId - order_refunds id
+   * @returns {Promise<Object>} - { success, data: { refund, coins }, error }
+   */
+  static async retryRefund(refundId) {
+    try {
+      const { data: refund, error } = await supabase
+        .from('order_refunds')
+        .select('*')
+        .eq('id', refundId)
+        .single()
+
+      if (error) throw error
+
+      return await this.settleRefund(refund)
+    } catch (error) {
+      console.error('❌ Error retrying refund:', error)
+      return { success: false, error: error.message }
+    }
+  }
+
+  /**
+   * Finish a recorded refund: pay it out if it is pending, then undo coins
+   * @param {Object} created - order_refunds row
+   * @returns {Promise<Object>} - { success, data: { refund, coins }, error }
+   */
+  static async settleRefund(created) {
+    const orderId = created.order_id
+    let refund = created
+    if (refund.status === 'pending') {
+      refund = await this.runGatewayRefund(refund)
+    }
+
+    if (refund.status === 'failed') {
+      return { success: false, data: { refund }, error: refund.error || 'Refund failed' }
+    }
+
+    // Coins follow the money once it has actually gone back
+    let coins = { clawedBack: 0, returned: 0 }
+    if (refund.status === 'processed' && refund.method !== REFUND_METHODS.COINS && parseFloat(refund.coins_ratio) > 0) {
+      try {
+        const { data: order } = await supabase
+          .from('orders')
+          .select('id, order_number, display_number')
+          .eq('id', orderId)
+          .maybeSingle()
+
+        coins = await LoyaltyService.reverseOrderPoints(refund.restaurant_id, orderId, {
+          ratio: parseFloat(refund.coins_ratio),
+          type: 'refund_clawback',
+          reason: `Refund on order #${getOrderDisplayNumber(order)}`,
+          referenceKey: `refund:${refund.id}`
+        })
+      } catch (loyaltyError) {
+        // The refund stands; reconciliation picks up coins that weren't undone
+        console.error('❌ Error reversing coins for refund:', loyaltyError)
+      }
+    }
+
+    console.log(`↩️ Refund ${refund.status}: ₹${refund.amount} (${refund.method}) on order ${orderId}`)
+    return { success: true, data: { refund, coins } }
+  }
+
+  /**
+   * Pay a pending refund back through its gateway adapter
+   * @param {Object} refund - order_refunds row
+   * @returns {Promise<Object>} - The settled order_refunds row
+   */
+  static async runGatewayRefund(refund) {
+    const adapter = getPaymentGateway(refund.gateway)
+    let result
+    try {
+      result = await adapter.refund(refund)
+    } catch (error) {
+      result = { success: false, finalized: false, error: error.message }
+    }
+
+    // Gateways behind the Edge Function settle the row there
+    if (!result.finalized) {
+      const { data, error } = await supabase.rpc('complete_order_refund', {
+        p_refund_id: refund.id,
+        p_status: result.success ? 'processed' : 'failed',
+        p_gateway_refund_id: result.gatewayRefundId || null,
+        p_gateway_response: result.success ? { gatewayRefundId: result.gatewayRefundId, gateway: refund.gateway } : null,
+        p_error: result.success ? null : result.error
+      })
+
+      // Real gateways can only be settled server side; leave it pending
+      if (error) {
+        console.error('❌ Error settling refund:', error)
+        return { ...refund, error: result.error || error.message }
+      }
+      return data
+    }
+
+    const { data, error } = await supabase
+      .from('order_refunds')
+      .select('*')
+      .eq('id', refund.id)
+      .single()
+
+    if (error) throw error
+    return data
+  }
+
+  /**
+   * Order with its items and refunds, for the refund form
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Object>} - { success, data: { order, refunds } }
+   */
+  static async getOrderRefunds(orderId) {
+    try {
+      const [orderResult, refundsResult] = await Promise.all([
+        supabase
+          .from('orders')
+          .select(`
+            id, restaurant_id, customer_id, order_number, display_number,
+            subtotal, total_amount, tip_amount, refunded_amount, payment_status, payment_method,
+            order_items (id, item_name, quantity, total_price, taxable_value, tax_amount)
+          `)
+          .eq('id', orderId)
+          .single(),
+        supabase
+          .from('order_refunds')
+          .select('*')
+          .eq('order_id', orderId)
+          .order('created_at', { ascending: false })
+      ])
+
+      if (orderResult.error) throw orderResult.error
+      if (refundsResult.error) throw refundsResult.error
+
+      return { success: true, data: { order: orderResult.data, refunds: refundsResult.data || [] } }
+    } catch (error) {
+      console.error('❌ Error loading order refunds:', error)
+      return { success: false, error: error.message }
     }
   }
 
@@ -526,9 +980,24 @@ class PaymentService {
         query = query.lte('created_at', endDate)
       }
 
-      const { data: transactions, error } = await query
+      let refundsQuery = supabase
+        .from('order_refunds')
+        .select('method, amount, tip_amount, coins_credited, reason, status')
+        .eq('restaurant_id', restaurantId)
+
+      if (startDate) {
+        refundsQuery = refundsQuery.gte('created_at', startDate)
+      }
+      if (endDate) {
+        refundsQuery = refundsQuery.lte('created_at', endDate)
+      }
+
+      const [{ data: transactions, error }, { data: refunds, error: refundsError }] = await Promise.all([query, refundsQuery])
 
       if (error) throw error
+      if (refundsError) throw refundsError
+
+      const refundSummary = summarizeRefunds(refunds || [])
 
       // Calculate analytics
       const analytics = {
@@ -542,7 +1011,10 @@ class PaymentService {
           return acc
         }, {}),
         averageTransactionValue: transactions.length > 0 ? 
-          transactions.reduce((sum, t) => sum + t.amount, 0) / transactions.length : 0
+          transactions.reduce((sum, t) => sum + t.amount, 0) / transactions.length : 0,
+        refundedAmount: refundSummary.amount,
+        refundCount: refundSummary.count,
+        refunds: refundSummary
       }
 
       return { success: true, data: analytics }
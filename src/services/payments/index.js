@@ -0,0 +1,79 @@
+import RazorpayAdapter from './razorpayAdapter'
+import StripeAdapter from './stripeAdapter'
+import UpiAdapter from './upiAdapter'
+import MockPaymentAdapter from './mockPaymentAdapter'
+
+export { WEBHOOK_EVENTS } from './paymentGatewayAdapter'
+
+/**
+ * Payment gateway registry
+ * Public keys come from Vite env; secrets stay in the payment-gateway
+ * Edge Function.
+ *
+ *   VITE_PAYMENT_GATEWAY          default gateway (razorpay | stripe | upi | mock)
+ *   VITE_RAZORPAY_KEY_ID          Razorpay public key id
+ *   VITE_STRIPE_PUBLISHABLE_KEY   Stripe publishable key
+ *   VITE_UPI_ENABLED              'true' to offer UPI intent / collect
+ *   VITE_ENABLE_MOCK_PAYMENTS     'true' to offer the mock gateway outside dev
+ *
+ * Mock payments settle in the browser, so the database refuses them unless
+ * it opts in with app.allow_mock_payments (add_payment_gateway_fields.sql).
+ */
+const env = import.meta.env || {}
+
+const adapters = {
+  razorpay: new RazorpayAdapter({ keyId: env.VITE_RAZORPAY_KEY_ID }),
+  stripe: new StripeAdapter({ publishableKey: env.VITE_STRIPE_PUBLISHABLE_KEY }),
+  upi: new UpiAdapter({ enabled: env.VITE_UPI_ENABLED === 'true' }),
+  mock: new MockPaymentAdapter()
+}
+
+const isMockEnabled = () => env.DEV || env.VITE_ENABLE_MOCK_PAYMENTS === 'true' || env.VITE_PAYMENT_GATEWAY === 'mock'
+
+/**
+ * Get a gateway adapter by name
+ * @param {string} name - Gateway id
+ * @returns {PaymentGatewayAdapter}
+ */
+export const getPaymentGateway = (name) => {
+  const adapter = adapters[name]
+  if (!adapter) {
+    throw new Error(`Unknown payment gateway: ${name}`)
+  }
+  return adapter
+}
+
+/**
+ * Gateways that can take payments in this build, default first
+ * @returns {Array<PaymentGatewayAdapter>}
+ */
+export const getAvailableGateways = () => {
+  const available = Object.values(adapters).filter(adapter =>
+    adapter.name === 'mock' ? isMockEnabled() : adapter.isConfigured()
+  )
+
+  const defaultName = getDefaultGatewayName()
+  return available.sort((a, b) => (a.name === defaultName ? -1 : b.name === defaultName ? 1 : 0))
+}
+
+/**
+ * Name of the default gateway for online payments
+ * @returns {string}
+ */
+export const getDefaultGatewayName = () => {
+  if (env.VITE_PAYMENT_GATEWAY && adapters[env.VITE_PAYMENT_GATEWAY]) {
+    return env.VITE_PAYMENT_GATEWAY
+  }
+  return isMockEnabled() ? 'mock' : 'razorpay'
+}
+
+/**
+ * Pick the gateway for a payment method when the caller did not choose one
+ * @param {string} paymentMethod - 'upi', 'card', 'online', ...
+ * @returns {PaymentGatewayAdapter}
+ */
+export const getGatewayForMethod = (paymentMethod) => {
+  const available = getAvailableGateways()
+  const match = available.find(adapter => adapter.supportedMethods.includes(paymentMethod))
+  return match || getPaymentGateway(getDefaultGatewayName())
+}
@@ -0,0 +1,138 @@
+import PaymentGatewayAdapter, { hmacSha256Hex } from './paymentGatewayAdapter'
+import { parseRazorpayWebhook } from './razorpayAdapter'
+
+// Local-only secrets - the mock never talks to a real gateway
+const MOCK_KEY_SECRET = 'mock_key_secret'
+const MOCK_WEBHOOK_SECRET = 'mock_webhook_secret'
+
+// Set localStorage 'ordyrr_mock_payment_outcome' to 'failure' to test the failure path
+const OUTCOME_STORAGE_KEY = 'ordyrr_mock_payment_outcome'
+const CHECKOUT_DELAY_MS = 1500
+const REFUND_DELAY_MS = 800
+const WEBHOOK_DELAY_MS = 3000
+
+const randomId = (prefix) => `${prefix}_mock${Date.now().toString(36)}${Math.random().toString(36).substr(2, 6)}`
+
+/**
+ * Mock adapter for offline development and testing
+ * Follows the Razorpay contract end to end: signed checkout response,
+ * signature verification, and a signed `payment.captured` /
+ * `payment.failed` webhook delivered through the same webhook handler the
+ * real gateways use.
+ */
+class MockPaymentAdapter extends PaymentGatewayAdapter {
+  get name() {
+    return 'mock'
+  }
+
+  get label() {
+    return 'Test Payment'
+  }
+
+  get supportedMethods() {
+    return ['card', 'upi', 'wallet']
+  }
+
+  // Never leaves the browser, so PaymentService settles it
+  get settlesOnServer() {
+    return false
+  }
+
+  async createOrder({ orderId, amount, currency = 'INR' }) {
+    return {
+      gatewayOrderId: randomId('order'),
+      amount,
+      currency,
+      orderId
+    }
+  }
+
+  async checkout(gatewayOrder, { outcome, method = 'card', onWebhook } = {}) {
+    await new Promise(resolve => setTimeout(resolve, CHECKOUT_DELAY_MS))
+
+    const finalOutcome = outcome || localStorage.getItem(OUTCOME_STORAGE_KEY) || 'success'
+    const paymentId = randomId('pay')
+    const succeeded = finalOutcome !== 'failure'
+
+    // Deliver the webhook later, like a real gateway would
+    if (onWebhook) {
+      const { rawBody, headers } = await this.buildWebhook(gatewayOrder, paymentId, method, succeeded)
+      setTimeout(() => {
+        Promise.resolve(onWebhook(rawBody, headers)).catch(error => {
+          console.error('❌ Mock webhook delivery failed:', error)
+        })
+      }, WEBHOOK_DELAY_MS)
+    }
+
+    if (!succeeded) {
+      return { success: false, paymentId, error: 'Mock payment declined' }
+    }
+
+    return {
+      success: true,
+      paymentId,
+      signature: await hmacSha256Hex(MOCK_KEY_SECRET, `${gatewayOrder.gatewayOrderId}|${paymentId}`)
+    }
+  }
+
+  async verifyPayment(gatewayOrder, checkoutResult) {
+    const expected = await hmacSha256Hex(MOCK_KEY_SECRET, `${gatewayOrder.gatewayOrderId}|${checkoutResult.paymentId}`)
+    const verified = expected === checkoutResult.signature
+
+    return { verified, paymentId: checkoutResult.paymentId, error: verified ? null : 'Signature mismatch' }
+  }
+
+  // Nothing to call - the owner settles mock refunds (complete_order_refund)
+  async refund(refund) {
+    await new Promise(resolve => setTimeout(resolve, REFUND_DELAY_MS))
+
+    if (localStorage.getItem(OUTCOME_STORAGE_KEY) === 'failure') {
+      return { success: false, finalized: false, error: 'Mock refund declined' }
+    }
+
+    return { success: true, gatewayRefundId: randomId('rfnd'), finalized: false }
+  }
+
+  /**
+   * Build a Razorpay-format webhook request for a mock payment
+   * @returns {Promise<{rawBody: string, headers: Object}>}
+   */
+  async buildWebhook(gatewayOrder, paymentId, method, succeeded) {
+    const payload = {
+      entity: 'event',
+      event: succeeded ? 'payment.captured' : 'payment.failed',
+      created_at: Math.floor(Date.now() / 1000),
+      payload: {
+        payment: {
+          entity: {
+            id: paymentId,
+            order_id: gatewayOrder.gatewayOrderId,
+            amount: Math.round(gatewayOrder.amount * 100),
+            currency: gatewayOrder.currency,
+            status: succeeded ? 'captured' : 'failed',
+            method,
+            error_description: succeeded ? null : 'Mock payment declined',
+            notes: { order_id: gatewayOrder.orderId }
+          }
+        }
+      }
+    }
+
+    const rawBody = JSON.stringify(payload)
+    return {
+      rawBody,
+      headers: { 'x-razorpay-signature': await hmacSha256Hex(MOCK_WEBHOOK_SECRET, rawBody) }
+    }
+  }
+
+  async verifyWebhookSignature(rawBody, headers) {
+    const expected = await hmacSha256Hex(MOCK_WEBHOOK_SECRET, rawBody)
+    return expected === headers['x-razorpay-signature']
+  }
+
+  parseWebhookEvent(payload) {
+    return parseRazorpayWebhook(payload)
+  }
+}
+
+export default MockPaymentAdapter
@@ -0,0 +1,197 @@
+import { supabase } from '../../config/supabase'
+
+/**
+ * Normalized webhook event types every adapter maps its gateway events to
+ */
+export const WEBHOOK_EVENTS = {
+  PAYMENT_SUCCEEDED: 'payment.succeeded',
+  PAYMENT_FAILED: 'payment.failed',
+  IGNORED: 'ignored'
+}
+
+// Edge Function holding gateway secrets (order creation, verification, webhooks)
+export const PAYMENT_FUNCTION_NAME = 'payment-gateway'
+
+/**
+ * HMAC-SHA256 hex digest using Web Crypto (browser and Deno)
+ * @param {string} secret - Signing secret
+ * @param {string} message - Message to sign
+ * @returns {Promise<string>} - Hex digest
+ */
+export const hmacSha256Hex = async (secret, message) => {
+  const encoder = new TextEncoder()
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  )
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(message))
+  return Array.from(new Uint8Array(signature))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('')
+}
+
+/**
+ * Payment Gateway Adapter
+ * Base class every gateway (Razorpay, Stripe, UPI, mock) implements so
+ * PaymentService never talks to a gateway directly.
+ *
+ * LIFECYCLE:
+ * 1. createOrder   - register the amount with the gateway (server side)
+ * 2. checkout      - run the customer-facing payment UI
+ * 3. verifyPayment - check the gateway signature / status and settle the
+ *                    transaction (server side)
+ * 4. webhooks      - verifyWebhookSignature + parseWebhookEvent turn gateway
+ *                    callbacks into WEBHOOK_EVENTS
+ * 5. refund        - pay an order_refunds row back to the original payment
+ *                    (server side)
+ */
+class PaymentGatewayAdapter {
+  constructor(config = {}) {
+    this.config = config
+  }
+
+  // Gateway id stored on payment_transactions.gateway
+  get name() {
+    throw new Error('Payment adapter must define a name')
+  }
+
+  // Label shown to customers
+  get label() {
+    return this.name
+  }
+
+  // Payment methods this adapter can take ('upi', 'card', 'wallet', 'netbanking')
+  get supportedMethods() {
+    return []
+  }
+
+  // Whether the payment-gateway function marks this gateway's payments paid
+  // (verify_payment / webhooks). The browser only writes completed for
+  // gateways that never leave it (mock).
+  get settlesOnServer() {
+    return true
+  }
+
+  /**
+   * Whether the adapter has the public keys it needs in this build
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return true
+  }
+
+  /**
+   * Create a gateway order for an app order
+   * Server-backed gateways charge the amount the payment-gateway function
+   * reads from the database; the returned amount is what will be charged.
+   * Guests pass the table session the order was placed from - the function
+   * only takes payments for that session or the restaurant's staff.
+   * @param {Object} params - { orderId, amount, currency, customer, method, paymentRecordId, sessionId }
+   * @returns {Promise<Object>} - { gatewayOrderId, amount, currency, ... }
+   */
+  async createOrder(params) {
+    throw new Error(`${this.name}: createOrder not implemented`)
+  }
+
+  /**
+   * Run the client-side checkout
+   * @param {Object} gatewayOrder - Result of createOrder
+   * @param {Object} options - { customer, method, vpa, flow }
+   * @returns {Promise<Object>} - { success, paymentId, signature, pending, error, cancelled }
+   */
+  async checkout(gatewayOrder, options = {}) {
+    throw new Error(`${this.name}: checkout not implemented`)
+  }
+
+  /**
+   * Verify a checkout result with the gateway
+   * Server-backed gateways also settle the transaction (settled: true once
+   * the outcome is recorded).
+   * @param {Object} gatewayOrder - Result of createOrder
+   * @param {Object} checkoutResult - Result of checkout
+   * @returns {Promise<Object>} - { verified, settled, paymentId, error }
+   */
+  async verifyPayment(gatewayOrder, checkoutResult) {
+    throw new Error(`${this.name}: verifyPayment not implemented`)
+  }
+
+  /**
+   * Verify a webhook request signature
+   * @param {string} rawBody - Raw request body
+   * @param {Object} headers - Request headers (lower-case keys)
+   * @returns {Promise<boolean>}
+   */
+  async verifyWebhookSignature(rawBody, headers) {
+    throw new Error(`${this.name}: webhook signatures are verified in the ${PAYMENT_FUNCTION_NAME} function`)
+  }
+
+  /**
+   * Map a gateway webhook payload to a normalized event
+   * @param {Object} payload - Parsed webhook body
+   * @returns {Object} - { type, gatewayOrderId, paymentId, amount, error }
+   */
+  parseWebhookEvent(payload) {
+    return { type: WEBHOOK_EVENTS.IGNORED }
+  }
+
+  /**
+   * Pay a pending refund back to the original payment
+   * The Edge Function reads the amount and payment from the order_refunds
+   * row and settles the row itself (finalized: true). A refund the gateway
+   * is still processing comes back pending and is settled by the refund
+   * webhook; calling this again only asks the gateway for its status.
+   * @param {Object} refund - order_refunds row
+   * @returns {Promise<Object>} - { success, gatewayRefundId, finalized, error }
+   */
+  async refund(refund) {
+    const result = await this.callServer('refund', { refundId: refund.id })
+    return {
+      success: result.status === 'processed',
+      gatewayRefundId: result.gateway_refund_id,
+      finalized: true,
+      error: result.error
+    }
+  }
+
+  /**
+   * Call the payment Edge Function for anything that needs a secret key
+   * @param {string} action - Function action
+   * @param {Object} body - Action payload
+   * @returns {Promise<Object>} - Function response data
+   */
+  async callServer(action, body = {}) {
+    const { data, error } = await supabase.functions.invoke(PAYMENT_FUNCTION_NAME, {
+      body: { gateway: this.name, action, ...body }
+    })
+
+    if (error) throw error
+    if (data?.error) throw new Error(data.error)
+
+    return data
+  }
+
+  /**
+   * Load a gateway checkout script once
+   * @param {string} src - Script URL
+   * @returns {Promise<void>}
+   */
+  static loadScript(src) {
+    if (document.querySelector(`script[src="${src}"]`)) {
+      return Promise.resolve()
+    }
+
+    return new Promise((resolve, reject) => {
+      const script = document.createElement('script')
+      script.src = src
+      script.async = true
+      script.onload = () => resolve()
+      script.onerror = () => reject(new Error(`Failed to load ${src}`))
+      document.body.appendChild(script)
+    })
+  }
+}
+
+export default PaymentGatewayAdapter
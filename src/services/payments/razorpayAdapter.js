@@ -0,0 +1,144 @@
+import PaymentGatewayAdapter, { WEBHOOK_EVENTS, hmacSha256Hex } from './paymentGatewayAdapter'
+
+const CHECKOUT_SCRIPT = 'https://checkout.razorpay.com/v1/checkout.js'
+
+/**
+ * Map a Razorpay webhook body to a normalized event. Shared with the mock
+ * adapter, which emits webhooks in the Razorpay format.
+ * @param {Object} payload - Razorpay webhook body
+ * @returns {Object} - Normalized event
+ */
+export const parseRazorpayWebhook = (payload) => {
+  const payment = payload?.payload?.payment?.entity
+  const order = payload?.payload?.order?.entity
+
+  switch (payload?.event) {
+    case 'payment.captured':
+    case 'order.paid':
+      return {
+        type: WEBHOOK_EVENTS.PAYMENT_SUCCEEDED,
+        gatewayOrderId: payment?.order_id || order?.id,
+        paymentId: payment?.id,
+        amount: (payment?.amount || order?.amount_paid || 0) / 100,
+        method: payment?.method
+      }
+    case 'payment.failed':
+      return {
+        type: WEBHOOK_EVENTS.PAYMENT_FAILED,
+        gatewayOrderId: payment?.order_id,
+        paymentId: payment?.id,
+        amount: (payment?.amount || 0) / 100,
+        error: payment?.error_description || 'Payment failed'
+      }
+    default:
+      return { type: WEBHOOK_EVENTS.IGNORED }
+  }
+}
+
+/**
+ * Razorpay adapter - Standard Checkout (cards, UPI, wallets, netbanking)
+ * Key secret and webhook secret live in the payment-gateway function; only
+ * the public key id is needed here.
+ */
+class RazorpayAdapter extends PaymentGatewayAdapter {
+  get name() {
+    return 'razorpay'
+  }
+
+  get label() {
+    return 'Cards, UPI & Wallets'
+  }
+
+  get supportedMethods() {
+    return ['card', 'upi', 'wallet', 'netbanking']
+  }
+
+  isConfigured() {
+    return !!this.config.keyId
+  }
+
+  async createOrder({ orderId, customer, paymentRecordId, sessionId }) {
+    const data = await this.callServer('create_order', {
+      orderId,
+      paymentRecordId,
+      sessionId,
+      customer
+    })
+
+    return {
+      gatewayOrderId: data.id,
+      amount: data.amount,
+      currency: data.currency,
+      orderId,
+      sessionId
+    }
+  }
+
+  async checkout(gatewayOrder, { customer = {}, restaurantName = 'Ordyrr' } = {}) {
+    await PaymentGatewayAdapter.loadScript(CHECKOUT_SCRIPT)
+
+    return new Promise((resolve) => {
+      const razorpay = new window.Razorpay({
+        key: this.config.keyId,
+        order_id: gatewayOrder.gatewayOrderId,
+        amount: Math.round(gatewayOrder.amount * 100),
+        currency: gatewayOrder.currency,
+        name: restaurantName,
+        prefill: {
+          name: customer.name,
+          contact: customer.phone,
+          email: customer.email
+        },
+        notes: { order_id: gatewayOrder.orderId },
+        handler: (response) => {
+          resolve({
+            success: true,
+            paymentId: response.razorpay_payment_id,
+            signature: response.razorpay_signature,
+            raw: response
+          })
+        },
+        modal: {
+          ondismiss: () => resolve({ success: false, cancelled: true, error: 'Payment cancelled' })
+        }
+      })
+
+      razorpay.on('payment.failed', (response) => {
+        resolve({
+          success: false,
+          paymentId: response.error?.metadata?.payment_id,
+          error: response.error?.description || 'Payment failed',
+          raw: response.error
+        })
+      })
+
+      razorpay.open()
+    })
+  }
+
+  async verifyPayment(gatewayOrder, checkoutResult) {
+    const data = await this.callServer('verify_payment', {
+      gatewayOrderId: gatewayOrder.gatewayOrderId,
+      paymentId: checkoutResult.paymentId,
+      signature: checkoutResult.signature,
+      sessionId: gatewayOrder.sessionId
+    })
+
+    return { verified: !!data.verified, settled: !!data.settled, paymentId: checkoutResult.paymentId, error: data.reason }
+  }
+
+  /**
+   * X-Razorpay-Signature is HMAC-SHA256(rawBody, webhookSecret)
+   */
+  async verifyWebhookSignature(rawBody, headers, secret = this.config.webhookSecret) {
+    if (!secret) return super.verifyWebhookSignature(rawBody, headers)
+    const expected = await hmacSha256Hex(secret, rawBody)
+    return expected === headers['x-razorpay-signature']
+  }
+
+  parseWebhookEvent(payload) {
+    return parseRazorpayWebhook(payload)
+  }
+}
+
+export default RazorpayAdapter
@@ -0,0 +1,92 @@
+import PaymentGatewayAdapter, { WEBHOOK_EVENTS } from './paymentGatewayAdapter'
+
+/**
+ * Stripe adapter - hosted Checkout Session
+ * The customer is redirected to Stripe and comes back to the order tracking
+ * page; the checkout.session.completed webhook confirms the payment.
+ */
+class StripeAdapter extends PaymentGatewayAdapter {
+  get name() {
+    return 'stripe'
+  }
+
+  get label() {
+    return 'Card (Stripe)'
+  }
+
+  get supportedMethods() {
+    return ['card']
+  }
+
+  isConfigured() {
+    return !!this.config.publishableKey
+  }
+
+  async createOrder({ orderId, customer, paymentRecordId, sessionId }) {
+    const returnUrl = `${window.location.origin}/order/${orderId}`
+    const data = await this.callServer('create_order', {
+      orderId,
+      paymentRecordId,
+      sessionId,
+      customer,
+      successUrl: `${returnUrl}?payment=success&session_id={CHECKOUT_SESSION_ID}`,
+      cancelUrl: `${returnUrl}?payment=cancelled`
+    })
+
+    return {
+      gatewayOrderId: data.id,
+      checkoutUrl: data.url,
+      amount: data.amount,
+      currency: data.currency,
+      orderId,
+      sessionId
+    }
+  }
+
+  async checkout(gatewayOrder) {
+    if (!gatewayOrder.checkoutUrl) {
+      return { success: false, error: 'Stripe checkout session has no URL' }
+    }
+
+    // Leaves the app - the webhook (or verifyPayment on return) settles it
+    window.location.assign(gatewayOrder.checkoutUrl)
+    return { success: true, pending: true, redirected: true }
+  }
+
+  async verifyPayment(gatewayOrder) {
+    const data = await this.callServer('verify_payment', {
+      gatewayOrderId: gatewayOrder.gatewayOrderId,
+      sessionId: gatewayOrder.sessionId
+    })
+
+    return { verified: !!data.verified, settled: !!data.settled, paymentId: data.paymentId, error: data.reason }
+  }
+
+  parseWebhookEvent(payload) {
+    const session = payload?.data?.object
+
+    switch (payload?.type) {
+      case 'checkout.session.completed':
+      case 'checkout.session.async_payment_succeeded':
+        if (session?.payment_status !== 'paid') return { type: WEBHOOK_EVENTS.IGNORED }
+        return {
+          type: WEBHOOK_EVENTS.PAYMENT_SUCCEEDED,
+          gatewayOrderId: session.id,
+          paymentId: session.payment_intent,
+          amount: (session.amount_total || 0) / 100
+        }
+      case 'checkout.session.async_payment_failed':
+      case 'checkout.session.expired':
+        return {
+          type: WEBHOOK_EVENTS.PAYMENT_FAILED,
+          gatewayOrderId: session?.id,
+          paymentId: session?.payment_intent,
+          error: payload.type === 'checkout.session.expired' ? 'Checkout session expired' : 'Payment failed'
+        }
+      default:
+        return { type: WEBHOOK_EVENTS.IGNORED }
+    }
+  }
+}
+
+export default StripeAdapter
@@ -0,0 +1,118 @@
+import PaymentGatewayAdapter from './paymentGatewayAdapter'
+import { parseRazorpayWebhook } from './razorpayAdapter'
+import { supabase } from '../../config/supabase'
+
+const STATUS_POLL_INTERVAL_MS = 3000
+const STATUS_POLL_TIMEOUT_MS = 5 * 60 * 1000
+
+/**
+ * UPI adapter - intent (opens the customer's UPI app) and collect (request
+ * sent to the customer's VPA). Both run through Razorpay's server-to-server
+ * UPI API, so completion arrives as a Razorpay webhook.
+ */
+class UpiAdapter extends PaymentGatewayAdapter {
+  static FLOWS = {
+    INTENT: 'intent',
+    COLLECT: 'collect'
+  }
+
+  get name() {
+    return 'upi'
+  }
+
+  get label() {
+    return 'UPI'
+  }
+
+  get supportedMethods() {
+    return ['upi']
+  }
+
+  isConfigured() {
+    return !!this.config.enabled
+  }
+
+  async createOrder({ orderId, customer, paymentRecordId, sessionId }) {
+    const data = await this.callServer('create_order', {
+      orderId,
+      paymentRecordId,
+      sessionId,
+      customer
+    })
+
+    return {
+      gatewayOrderId: data.id,
+      amount: data.amount,
+      currency: data.currency,
+      orderId,
+      sessionId
+    }
+  }
+
+  async checkout(gatewayOrder, { customer = {}, flow = UpiAdapter.FLOWS.INTENT, vpa } = {}) {
+    if (flow === UpiAdapter.FLOWS.COLLECT && !vpa) {
+      return { success: false, error: 'Please enter your UPI ID' }
+    }
+
+    const data = await this.callServer('upi_payment', {
+      gatewayOrderId: gatewayOrder.gatewayOrderId,
+      sessionId: gatewayOrder.sessionId,
+      flow,
+      vpa,
+      customer
+    })
+
+    if (flow === UpiAdapter.FLOWS.INTENT && data.link) {
+      // Hands over to GPay / PhonePe / Paytm on mobile
+      window.location.href = data.link
+    }
+
+    return this.waitForConfirmation(gatewayOrder.gatewayOrderId, data.paymentId)
+  }
+
+  /**
+   * UPI has no client callback - wait for the webhook to settle the
+   * transaction row
+   * @param {string} gatewayOrderId - Razorpay order id
+   * @param {string} paymentId - Razorpay payment id
+   * @returns {Promise<Object>} - Checkout result
+   */
+  async waitForConfirmation(gatewayOrderId, paymentId) {
+    const startedAt = Date.now()
+
+    while (Date.now() - startedAt < STATUS_POLL_TIMEOUT_MS) {
+      const { data: transaction } = await supabase
+        .from('payment_transactions')
+        .select('payment_status, transaction_id, gateway_response')
+        .eq('gateway_order_id', gatewayOrderId)
+        .maybeSingle()
+
+      if (transaction?.payment_status === 'completed') {
+        return { success: true, paymentId: transaction.transaction_id || paymentId, confirmedByWebhook: true }
+      }
+      if (transaction?.payment_status === 'failed') {
+        return { success: false, paymentId, error: transaction.gateway_response?.error || 'UPI payment failed', confirmedByWebhook: true }
+      }
+
+      await new Promise(resolve => setTimeout(resolve, STATUS_POLL_INTERVAL_MS))
+    }
+
+    return { success: false, paymentId, error: 'UPI payment timed out. If money was debited it will be refunded automatically.' }
+  }
+
+  async verifyPayment(gatewayOrder, checkoutResult) {
+    const data = await this.callServer('verify_payment', {
+      gatewayOrderId: gatewayOrder.gatewayOrderId,
+      paymentId: checkoutResult.paymentId,
+      sessionId: gatewayOrder.sessionId
+    })
+
+    return { verified: !!data.verified, settled: !!data.settled, paymentId: data.paymentId || checkoutResult.paymentId, error: data.reason }
+  }
+
+  parseWebhookEvent(payload) {
+    return parseRazorpayWebhook(payload)
+  }
+}
+
+export default UpiAdapter
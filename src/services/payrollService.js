@@ -0,0 +1,212 @@
+import { supabase } from '../config/supabase'
+import {
+  TIP_POLICY_LABELS,
+  buildSettlement,
+  getTipSettings,
+  settlementToCsv
+} from '../utils/payrollUtils'
+import { toDateKey } from '../utils/reservationUtils'
+
+/**
+ * 💰 Payroll Service
+ * Pay-period settlement: hourly wages from clock-ins plus tips shared out by
+ * the restaurant's tip policy. Inputs come from get_pay_period_inputs, which
+ * works for the owner and for staff (who only see their own rate).
+ */
+class PayrollService {
+  /**
+   * ⚙️ Tip policy of a restaurant
+   * @param {string} restaurantId - Restaurant ID
+   * @returns {Promise<Object>}
+   */
+  static async getTipSettings(restaurantId) {
+    const { data, error } = await supabase
+      .from('users')
+      .select('tip_pool_settings')
+      .eq('id', restaurantId)
+      .maybeSingle()
+
+    if (error) throw error
+    return getTipSettings(data)
+  }
+
+  /**
+   * 💾 Save a restaurant's tip policy
+   * @param {string} restaurantId - Restaurant ID
+   * @param {Object} settings - { policy, role_weights }
+   */
+  static async saveTipSettings(restaurantId, settings) {
+    const { error } = await supabase
+      .from('users')
+      .update({ tip_pool_settings: getTipSettings({ tip_pool_settings: settings }) })
+      .eq('id', restaurantId)
+
+    if (error) throw error
+    console.log('✅ Tip policy saved:', settings.policy)
+  }
+
+  /**
+   * 🧾 Wages and tips per staff member for a pay period
+   * @param {string} restaurantId - Restaurant ID
+   * @param {Date} from - Period start
+   * @param {Date} until - Period end
+   * @param {string} staffId - Only this staff member's row (the staff's own view)
+   * @returns {Promise<Object>} - { restaurantName, from, until, settings, rows, totals, generatedAt }
+   */
+  static async getSettlement(restaurantId, from, until, staffId = null) {
+    const { data, error } = await supabase.rpc('get_pay_period_inputs', {
+      p_from: from.toISOString(),
+      p_until: until.toISOString(),
+      p_restaurant_id: restaurantId
+    })
+
+    if (error) throw error
+
+    const settings = getTipSettings({ tip_pool_settings: data.settings })
+    const { rows, totals } = buildSettlement({
+      staff: data.staff || [],
+      attendance: data.attendance || [],
+      tips: data.tips || [],
+      settings
+    })
+
+    // Tips are pooled across everyone before narrowing to one person
+    const ownRows = staffId ? rows.filter(row => row.staffId === staffId) : rows
+    const ownTotals = staffId
+      ? {
+          payableHours: ownRows[0]?.payableHours || 0,
+          wages: ownRows[0]?.wages || 0,
+          tips: ownRows[0]?.tips || 0,
+          total: ownRows[0]?.total || 0,
+          unallocatedTips: 0
+        }
+      : totals
+
+    return {
+      restaurantName: data.restaurant_name || 'Restaurant',
+      from,
+      until,
+      settings,
+      rows: ownRows,
+      totals: ownTotals,
+      generatedAt: new Date().toISOString()
+    }
+  }
+
+  /**
+   * 📥 Download the settlement as CSV
+   * @param {Object} report - getSettlement result
+   */
+  static downloadCsv(report) {
+    this.downloadBlob(
+      new Blob([settlementToCsv(report)], { type: 'text/csv;charset=utf-8' }),
+      `${this.getFileName(report)}.csv`
+    )
+  }
+
+  /**
+   * 📥 Download the settlement as an A4 PDF
+   * @param {Object} report - getSettlement result
+   */
+  static async downloadPdf(report) {
+    // jsPDF is only needed when someone downloads a report
+    const { jsPDF } = await import('jspdf')
+    const doc = new jsPDF({ unit: 'mm', format: 'a4', orientation: 'landscape' })
+
+    const pageWidth = 297
+    const margin = 15
+    const right = pageWidth - margin
+    const amount = (value) => `Rs. ${value.toFixed(2)}`
+    let y = 20
+
+    doc.setFont('helvetica', 'bold')
+    doc.setFontSize(16)
+    doc.text(report.restaurantName, margin, y)
+    doc.setFontSize(13)
+    doc.text('Pay Settlement', right, y, { align: 'right' })
+
+    doc.setFont('helvetica', 'normal')
+    doc.setFontSize(9)
+    y += 6
+    doc.text(`Period: ${toDateKey(report.from)} to ${toDateKey(new Date(report.until.getTime() - 1))}`, margin, y)
+    doc.text(`Generated: ${new Date(report.generatedAt).toLocaleString('en-IN')}`, right, y, { align: 'right' })
+    y += 4.5
+    doc.text(`Tip policy: ${TIP_POLICY_LABELS[report.settings.policy].label}`, margin, y)
+
+    const columns = [
+      { label: 'Staff', x: margin, value: row => row.name },
+      { label: 'Position', x: 75, value: row => row.position || '-' },
+      { label: 'Clock-ins', x: 130, align: 'right', value: row => String(row.clockIns) },
+      { label: 'Hours', x: 150, align: 'right', value: row => row.payableHours.toFixed(2) },
+      { label: 'Rate', x: 175, align: 'right', value: row => amount(row.hourlyRate) },
+      { label: 'Wages', x: 205, align: 'right', value: row => amount(row.wages) },
+      { label: 'Tips served', x: 230, align: 'right', value: row => amount(row.tipsServed) },
+      { label: 'Tip share', x: 255, align: 'right', value: row => amount(row.tips) },
+      { label: 'Total', x: right, align: 'right', value: row => amount(row.total) }
+    ]
+
+    y += 9
+    doc.setFillColor(240, 240, 240)
+    doc.rect(margin, y - 4.5, pageWidth - margin * 2, 7, 'F')
+    doc.setFont('helvetica', 'bold')
+    columns.forEach(column => doc.text(column.label, column.x, y, { align: column.align || 'left' }))
+    doc.setFont('helvetica', 'normal')
+    y += 7
+
+    report.rows.forEach(row => {
+      if (y > 190) {
+        doc.addPage()
+        y = 20
+      }
+      columns.forEach(column => doc.text(column.value(row), column.x, y, { align: column.align || 'left' }))
+      y += 6
+    })
+
+    doc.setDrawColor(200, 200, 200)
+    doc.line(margin, y - 3, right, y - 3)
+    y += 2
+    doc.setFont('helvetica', 'bold')
+    doc.text('Total', margin, y)
+    doc.text(report.totals.payableHours.toFixed(2), columns[3].x, y, { align: 'right' })
+    doc.text(amount(report.totals.wages), columns[5].x, y, { align: 'right' })
+    doc.text(amount(report.totals.tips), columns[7].x, y, { align: 'right' })
+    doc.text(amount(report.totals.total), columns[8].x, y, { align: 'right' })
+
+    if (report.totals.unallocatedTips > 0) {
+      y += 7
+      doc.setFont('helvetica', 'normal')
+      doc.text(`Unallocated tips (no one clocked in and no server on the order): ${amount(report.totals.unallocatedTips)}`, margin, y)
+    }
+
+    doc.save(`${this.getFileName(report)}.pdf`)
+  }
+
+  /**
+   * File name for a report download
+   * @param {Object} report - getSettlement result
+   * @returns {string}
+   */
+  static getFileName(report) {
+    const scope = report.rows.length === 1 ? report.rows[0].name : report.restaurantName
+    return `settlement-${scope}-${toDateKey(report.from)}`.replace(/[^\w.-]+/g, '-').toLowerCase()
+  }
+
+  /**
+   * Save a Blob through a temporary download link
+   * @param {Blob} blob - File contents
+   * @param {string} fileName - Download name
+   */
+  static downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob)
+
+    const link = document.createElement('a')
+    link.href = url
+    link.download = fileName
+    document.body.appendChild(link)
+    link.click()
+    link.remove()
+    URL.revokeObjectURL(url)
+  }
+}
+
+export default PayrollService
@@ -0,0 +1,186 @@
+import { supabase } from '../config/supabase'
+import { applyPromotions, normalizeOfferCode, validateOffer } from '../utils/promotionUtils'
+
+/**
+ * 🏷️ Promotion Service
+ * Loads a restaurant's coupons and automatic offers (plus platform-wide ones
+ * such as FIRST_ORDER_10), counts their usage and runs the shared rule
+ * engine in promotionUtils. CartSidebar, CheckoutModal and
+ * UnifiedOrderService.createOrder all call evaluateCart, so the discount a
+ * customer sees is the one the order is charged.
+ */
+class PromotionService {
+  /**
+   * 📋 Offers a restaurant manages (owner dashboard)
+   * @param {string} restaurantId - Restaurant ID
+   * @returns {Promise<Array>} - offers rows, newest first
+   */
+  static async getRestaurantOffers(restaurantId) {
+    const { data, error } = await supabase
+      .from('offers')
+      .select('*')
+      .eq('restaurant_id', restaurantId)
+      .order('created_at', { ascending: false })
+
+    if (error) throw error
+    return data || []
+  }
+
+  /**
+   * 🎟️ Active offers that can apply to an order at a restaurant
+   * @param {string} restaurantId - Restaurant ID
+   * @returns {Promise<Array>} - Restaurant and platform-wide offers
+   */
+  static async getActiveOffers(restaurantId) {
+    const { data, error } = await supabase
+      .from('offers')
+      .select('*')
+      .eq('is_active', true)
+      .or(`restaurant_id.eq.${restaurantId},restaurant_id.is.null`)
+
+    if (error) throw error
+    return data || []
+  }
+
+  /**
+   * 📊 Global and per-customer use counts
+   * @param {Array<string>} offerIds - Offer IDs
+   * @param {string|null} customerId - Customer ID
+   * @returns {Promise<Object>} - { [offerId]: { total, customer } }
+   */
+  static async getOfferUsage(offerIds, customerId = null) {
+    if (offerIds.length === 0) return {}
+
+    const { data, error } = await supabase.rpc('get_offer_usage', {
+      p_offer_ids: offerIds,
+      p_customer_id: customerId
+    })
+
+    if (error) throw error
+    return (data || []).reduce((usage, row) => {
+      usage[row.offer_id] = { total: Number(row.total_uses), customer: Number(row.customer_uses) }
+      return usage
+    }, {})
+  }
+
+  /**
+   * 🧮 Work out the offer and discount for a cart
+   * @param {Object} params - { restaurantId, customerId, cartItems, couponCode, now }
+   * @returns {Promise<Object>} - { offer, discount, couponError }
+   */
+  static async evaluateCart({ restaurantId, customerId = null, cartItems = [], couponCode = '', now = new Date() }) {
+    if (!restaurantId || cartItems.length === 0) {
+      return { offer: null, discount: 0, couponError: null }
+    }
+
+    const offers = await this.getActiveOffers(restaurantId)
+    const limitedOfferIds = offers
+      .filter(offer => offer.usage_limit_total || offer.usage_limit_per_customer)
+      .map(offer => offer.id)
+    const usageByOffer = await this.getOfferUsage(limitedOfferIds, customerId)
+
+    return applyPromotions({ offers, cartItems, couponCode, usageByOffer, customerId, now })
+  }
+
+  /**
+   * 📝 Record that an order used an offer (counts towards its usage limits)
+   * @param {Object} params - { offer, customerId, orderId, discountAmount }
+   */
+  static async recordUsage({ offer, customerId, orderId, discountAmount }) {
+    if (!offer || !customerId) return
+
+    const { error } = await supabase
+      .from('customer_offers')
+      .insert({
+        customer_id: customerId,
+        offer_id: offer.id,
+        order_id: orderId,
+        discount_amount: discountAmount
+      })
+
+    if (error) throw error
+    console.log('✅ Offer usage recorded:', offer.offer_code)
+  }
+
+  /**
+   * 💾 Create or update an offer
+   * @param {string} restaurantId - Restaurant ID
+   * @param {Object} offer - Offer form values
+   * @returns {Promise<Object>} - Saved row
+   */
+  static async saveOffer(restaurantId, offer) {
+    const { valid, errors } = validateOffer(offer)
+    if (!valid) throw new Error(errors[0])
+
+    const numberOrNull = (value) => (value === '' || value == null ? null : parseFloat(value))
+    const fields = {
+      restaurant_id: restaurantId,
+      offer_code: normalizeOfferCode(offer.offer_code),
+      title: offer.title?.trim() || null,
+      description: offer.description?.trim() || null,
+      is_active: offer.is_active !== false,
+      is_automatic: Boolean(offer.is_automatic),
+      discount_type: offer.discount_type,
+      discount_value: numberOrNull(offer.discount_value) ?? 100,
+      min_order_amount: numberOrNull(offer.min_order_amount) || 0,
+      max_discount_amount: numberOrNull(offer.max_discount_amount),
+      buy_quantity: parseInt(offer.buy_quantity) || 1,
+      get_quantity: parseInt(offer.get_quantity) || 1,
+      starts_at: offer.starts_at ? new Date(offer.starts_at).toISOString() : null,
+      ends_at: offer.ends_at ? new Date(offer.ends_at).toISOString() : null,
+      valid_days: offer.valid_days || [],
+      valid_from_time: offer.valid_from_time || null,
+      valid_until_time: offer.valid_until_time || null,
+      usage_limit_total: numberOrNull(offer.usage_limit_total),
+      usage_limit_per_customer: numberOrNull(offer.usage_limit_per_customer),
+      applicable_item_ids: offer.applicable_item_ids || [],
+      applicable_category_ids: offer.applicable_category_ids || []
+    }
+
+    const query = offer.id
+      ? supabase.from('offers').update(fields).eq('id', offer.id)
+      : supabase.from('offers').insert(fields)
+
+    const { data, error } = await query.select().single()
+
+    if (error) {
+      if (error.code === '23505') throw new Error(`Code ${fields.offer_code} is already in use`)
+      throw error
+    }
+
+    console.log('✅ Offer saved:', data.offer_code)
+    return data
+  }
+
+  /**
+   * ⏯️ Switch an offer on or off
+   * @param {string} offerId - Offer ID
+   * @param {boolean} isActive - New state
+   */
+  static async setOfferActive(offerId, isActive) {
+    const { error } = await supabase
+      .from('offers')
+      .update({ is_active: isActive })
+      .eq('id', offerId)
+
+    if (error) throw error
+  }
+
+  /**
+   * 🗑️ Delete an offer
+   * @param {string} offerId - Offer ID
+   */
+  static async deleteOffer(offerId) {
+    const { error } = await supabase
+      .from('offers')
+      .delete()
+      .eq('id', offerId)
+
+    if (error) {
+      if (error.code === '23503') throw new Error('This offer has already been used - switch it off instead')
+      throw error
+    }
+  }
+}
+
+export default PromotionService
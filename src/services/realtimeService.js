@@ -1,4 +1,5 @@
-import { supabase } from '../config/supabase'
+import { supabase } from '../config/supabase.js'
+import { getOrderDisplayNumber } from '../utils/orderNumberUtils.js'
 
 /**
  * Enhanced Real-time Service for Complete Restaurant Workflow
@@ -47,6 +48,10 @@ class RealtimeService {
           console.log('Payment confirmed:', payload)
           handlers.onPaymentConfirmed?.(payload.payload)
         })
+        .on('broadcast', { event: 'service_request_update' }, (payload) => {
+          console.log('Service request update:', payload)
+          handlers.onServiceRequestUpdate?.(payload.payload)
+        })
         .subscribe((status, err) => {
           if (status === 'SUBSCRIBED') {
             console.log(`✅ Subscribed to session: ${sessionId}`)
@@ -94,6 +99,12 @@ class RealtimeService {
       .on('broadcast', { event: 'tip_received' }, (payload) => {
         handlers.onTipReceived?.(payload.payload)
       })
+      .on('broadcast', { event: 'service_request' }, (payload) => {
+        handlers.onServiceRequest?.(payload.payload)
+      })
+      .on('broadcast', { event: 'service_request_update' }, (payload) => {
+        handlers.onServiceRequestUpdate?.(payload.payload)
+      })
       .subscribe((status) => {
         if (status === 'SUBSCRIBED') {
           console.log(`✅ Staff subscribed: ${staffId}`)
@@ -129,6 +140,12 @@ class RealtimeService {
       .on('broadcast', { event: 'table_update' }, (payload) => {
         handlers.onTableUpdate?.(payload.payload)
       })
+      .on('broadcast', { event: 'service_request' }, (payload) => {
+        handlers.onServiceRequest?.(payload.payload)
+      })
+      .on('broadcast', { event: 'service_request_update' }, (payload) => {
+        handlers.onServiceRequestUpdate?.(payload.payload)
+      })
       .subscribe((status) => {
         if (status === 'SUBSCRIBED') {
           console.log(`✅ Restaurant subscribed: ${restaurantId}`)
@@ -217,10 +234,11 @@ class RealtimeService {
    * @param {string} channelName - Channel name
    * @param {string} event - Event name
    * @param {Object} payload - Event payload
+   * @param {Object} client - Supabase client (the app's by default)
    */
-  async broadcast(channelName, event, payload) {
+  async broadcast(channelName, event, payload, client = supabase) {
     try {
-      const channel = supabase.channel(channelName)
+      const channel = client.channel(channelName)
       await channel.send({
         type: 'broadcast',
         event: event,
@@ -248,9 +266,10 @@ class RealtimeService {
    * @param {string} staffId - Staff ID
    * @param {string} event - Event type
    * @param {Object} data - Notification data
+   * @param {Object} client - Supabase client (the app's by default)
    */
-  async notifyStaff(staffId, event, data) {
-    return this.broadcast(`staff-${staffId}`, event, data)
+  async notifyStaff(staffId, event, data, client = supabase) {
+    return this.broadcast(`staff-${staffId}`, event, data, client)
   }
 
   /**
@@ -286,7 +305,7 @@ class RealtimeService {
 
     return this.notifyCustomer(sessionId, 'order_status_update', {
       orderId: order.id,
-      orderNumber: order.order_number,
+      orderNumber: getOrderDisplayNumber(order),
       status,
       message: statusMessages[status] || 'Order status updated',
       timestamp: new Date().toISOString()
@@ -297,18 +316,19 @@ class RealtimeService {
    * Notify staff about new order assignment
    * @param {string} staffId - Staff ID
    * @param {Object} order - Order object
+   * @param {Object} client - Supabase client (the app's by default)
    */
-  async notifyStaffNewOrder(staffId, order) {
+  async notifyStaffNewOrder(staffId, order, client = supabase) {
     return this.notifyStaff(staffId, 'new_order_assigned', {
       orderId: order.id,
-      orderNumber: order.order_number,
+      orderNumber: getOrderDisplayNumber(order),
       tableNumber: order.table?.table_number || 'N/A',
       totalAmount: order.total_amount,
       itemCount: order.order_items?.length || 0,
       specialInstructions: order.special_instructions,
       estimatedTime: order.estimated_preparation_time,
       timestamp: new Date().toISOString()
-    })
+    }, client)
   }
 
   /**
@@ -319,7 +339,7 @@ class RealtimeService {
   async notifyOwnerStaffUnavailable(restaurantId, orderData) {
     return this.notifyRestaurant(restaurantId, 'staff_unavailable', {
       orderId: orderData.id,
-      orderNumber: orderData.order_number,
+      orderNumber: getOrderDisplayNumber(orderData),
       message: 'New order received but no staff available for assignment',
       totalAmount: orderData.total_amount,
       timestamp: new Date().toISOString(),
@@ -336,7 +356,7 @@ class RealtimeService {
   async notifyStaffPaymentCollection(staffId, order, paymentMethod) {
     return this.notifyStaff(staffId, 'payment_collection', {
       orderId: order.id,
-      orderNumber: order.order_number,
+      orderNumber: getOrderDisplayNumber(order),
       amount: order.total_amount,
       paymentMethod,
       message: paymentMethod === 'cash' ? 'Collect cash payment from customer' : 'Process card payment',
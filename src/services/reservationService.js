@@ -0,0 +1,251 @@
+import { supabase } from '../config/supabase'
+import NotificationService from './notificationService'
+import {
+  ACTIVE_RESERVATION_STATUSES,
+  RESERVATION_STATUS,
+  buildTimeSlots,
+  findTableForParty,
+  formatReservationTime,
+  getReservationSettings,
+  isHoldExpired
+} from '../utils/reservationUtils'
+
+/**
+ * 📅 Reservation Service
+ * Advance table bookings. Customers book through the book_table RPC, which
+ * picks the smallest free table that fits the party and refuses overlapping
+ * windows; owners and staff manage the day's bookings from TablesTab.
+ */
+class ReservationService {
+  /**
+   * ⚙️ Booking rules and opening hours for a restaurant
+   * @param {string} restaurantId - Restaurant ID
+   * @returns {Promise<Object>} - { restaurant, settings }
+   */
+  static async getSettings(restaurantId) {
+    const { data: restaurant, error } = await supabase
+      .from('users')
+      .select('id, restaurant_name, opening_hours, reservation_settings')
+      .eq('id', restaurantId)
+      .maybeSingle()
+
+    if (error) throw error
+    return { restaurant, settings: getReservationSettings(restaurant) }
+  }
+
+  /**
+   * 💾 Save a restaurant's booking rules
+   * @param {string} restaurantId - Restaurant ID
+   * @param {Object} settings - Reservation settings
+   */
+  static async saveSettings(restaurantId, settings) {
+    const { error } = await supabase
+      .from('users')
+      .update({ reservation_settings: getReservationSettings({ reservation_settings: settings }) })
+      .eq('id', restaurantId)
+
+    if (error) throw error
+    console.log('✅ Reservation settings saved')
+  }
+
+  /**
+   * 🚧 Windows during which tables are booked (no guest details)
+   * @param {string} restaurantId - Restaurant ID
+   * @param {Date} from - Range start
+   * @param {Date} until - Range end
+   * @returns {Promise<Array>} - [{ table_id, blocked_from, blocked_until, hold_until, status }]
+   */
+  static async getReservedWindows(restaurantId, from, until) {
+    const { data, error } = await supabase.rpc('get_reserved_windows', {
+      p_restaurant_id: restaurantId,
+      p_from: from.toISOString(),
+      p_until: until.toISOString()
+    })
+
+    if (error) throw error
+    return data || []
+  }
+
+  /**
+   * 🕒 Arrival times on a day and whether a table fits the party at each
+   * @param {Object} params - { restaurantId, dateKey, partySize }
+   * @returns {Promise<Object>} - { settings, slots: [{ time, available }] }
+   */
+  static async getSlotAvailability({ restaurantId, dateKey, partySize }) {
+    const { restaurant, settings } = await this.getSettings(restaurantId)
+    const times = buildTimeSlots(restaurant, dateKey, settings)
+    if (!settings.enabled || times.length === 0) return { settings, slots: [] }
+
+    const { data: tables, error } = await supabase
+      .from('tables')
+      .select('id, table_number, capacity')
+      .eq('restaurant_id', restaurantId)
+      .eq('is_active', true)
+
+    if (error) throw error
+
+    const lastEnd = new Date(times[times.length - 1].getTime() + (settings.duration_minutes + settings.buffer_minutes) * 60 * 1000)
+    const windows = await this.getReservedWindows(restaurantId, times[0], lastEnd)
+
+    return {
+      settings,
+      slots: times.map(time => ({
+        time,
+        available: Boolean(findTableForParty(tables || [], windows, time, partySize, settings))
+      }))
+    }
+  }
+
+  /**
+   * 🍽️ Book a table
+   * @param {Object} params - { restaurantId, partySize, reservedFor, customerName, customerPhone, customerId, tableId, notes }
+   * @returns {Promise<Object>} - table_reservations row
+   */
+  static async bookTable({
+    restaurantId,
+    partySize,
+    reservedFor,
+    customerName,
+    customerPhone = null,
+    customerId = null,
+    tableId = null,
+    notes = null
+  }) {
+    if (!customerName?.trim()) throw new Error('Please enter a name for the booking')
+    if (!partySize || partySize < 1) throw new Error('Please choose the number of guests')
+
+    const { data: reservation, error } = await supabase.rpc('book_table', {
+      p_restaurant_id: restaurantId,
+      p_party_size: partySize,
+      p_reserved_for: new Date(reservedFor).toISOString(),
+      p_customer_name: customerName.trim(),
+      p_customer_phone: customerPhone?.trim() || null,
+      p_customer_id: customerId,
+      p_table_id: tableId,
+      p_notes: notes?.trim() || null
+    })
+
+    if (error) {
+      // Someone else took the last table between loading slots and booking
+      if (error.code === '23P01') throw new Error('That time was just booked. Please pick another slot.')
+      if (error.code === 'P0001') throw new Error(error.message)
+      throw error
+    }
+
+    console.log('✅ Table booked:', reservation.id)
+
+    // The database sets the source from who is booking
+    if (reservation.source === 'customer') {
+      try {
+        await NotificationService.sendNotification({
+          recipientId: restaurantId,
+          recipientType: 'owner',
+          notificationType: 'new_reservation',
+          title: `New Booking - ${reservation.customer_name}`,
+          message: `Party of ${reservation.party_size} on ${new Date(reservation.reserved_for).toLocaleDateString('en-IN')} at ${formatReservationTime(reservation.reserved_for)}`,
+          data: { reservation_id: reservation.id, table_id: reservation.table_id },
+          priority: 'normal'
+        })
+      } catch (notifyError) {
+        console.warn('⚠️ Booking saved but owner notification failed:', notifyError)
+      }
+    }
+
+    return reservation
+  }
+
+  /**
+   * 📋 Bookings for a day (owner / staff)
+   * @param {string} restaurantId - Restaurant ID
+   * @param {Date} dayStart - Start of the day
+   * @param {Date} dayEnd - End of the day
+   * @returns {Promise<Array>} - Reservations with their table
+   */
+  static async getReservations(restaurantId, dayStart, dayEnd) {
+    const { data, error } = await supabase
+      .from('table_reservations')
+      .select('*, tables(table_number, capacity)')
+      .eq('restaurant_id', restaurantId)
+      .gte('blocked_until', dayStart.toISOString())
+      .lt('blocked_from', dayEnd.toISOString())
+      .order('reserved_for')
+
+    if (error) throw error
+    return data || []
+  }
+
+  /**
+   * 🔁 Move a booking through its lifecycle (seat, complete, cancel, no-show)
+   * @param {string} reservationId - Reservation ID
+   * @param {string} status - RESERVATION_STATUS value
+   * @returns {Promise<Object>} - Updated row
+   */
+  static async updateStatus(reservationId, status) {
+    const updates = { status, updated_at: new Date().toISOString() }
+    if (status === RESERVATION_STATUS.SEATED) updates.seated_at = new Date().toISOString()
+    if (status === RESERVATION_STATUS.CANCELLED) updates.cancelled_at = new Date().toISOString()
+
+    const { data, error } = await supabase
+      .from('table_reservations')
+      .update(updates)
+      .eq('id', reservationId)
+      .select('*, tables(table_number, capacity)')
+      .single()
+
+    if (error) {
+      if (error.code === '23P01') throw new Error('The table is booked by someone else at that time')
+      throw error
+    }
+
+    console.log(`✅ Reservation ${reservationId} → ${status}`)
+    return data
+  }
+
+  /**
+   * ⏱️ Mark bookings whose hold ran out as no-shows, freeing their tables
+   * @param {string} restaurantId - Restaurant ID
+   * @returns {Promise<number>} - Bookings released
+   */
+  static async releaseExpiredHolds(restaurantId) {
+    const { data, error } = await supabase
+      .from('table_reservations')
+      .update({ status: RESERVATION_STATUS.NO_SHOW, auto_released: true, updated_at: new Date().toISOString() })
+      .eq('restaurant_id', restaurantId)
+      .eq('status', RESERVATION_STATUS.CONFIRMED)
+      .lt('hold_until', new Date().toISOString())
+      .select('id')
+
+    if (error) throw error
+    if (data?.length) console.log('⏱️ Released expired booking holds:', data.length)
+    return data?.length || 0
+  }
+
+  /**
+   * 🪑 Active bookings overlapping a time range, keyed by table
+   * @param {string} restaurantId - Restaurant ID
+   * @param {Date} from - Range start
+   * @param {Date} until - Range end
+   * @returns {Promise<Map>} - table_id → reservations
+   */
+  static async getActiveReservationsByTable(restaurantId, from, until) {
+    const { data, error } = await supabase
+      .from('table_reservations')
+      .select('id, table_id, customer_name, customer_phone, party_size, reserved_for, blocked_from, blocked_until, hold_until, status')
+      .eq('restaurant_id', restaurantId)
+      .in('status', ACTIVE_RESERVATION_STATUSES)
+      .gte('blocked_until', from.toISOString())
+      .lt('blocked_from', until.toISOString())
+      .order('reserved_for')
+
+    if (error) throw error
+
+    return (data || [])
+      .filter(reservation => !isHoldExpired(reservation))
+      .reduce((byTable, reservation) => {
+        byTable.set(reservation.table_id, [...(byTable.get(reservation.table_id) || []), reservation])
+        return byTable
+      }, new Map())
+  }
+}
+
+export default ReservationService
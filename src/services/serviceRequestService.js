@@ -0,0 +1,247 @@
+import { supabase } from '../config/supabase'
+import realtimeService from './realtimeService'
+import {
+  OPEN_SERVICE_REQUEST_STATUSES,
+  SERVICE_REQUEST_STATUS,
+  getServiceRequestLabel
+} from '../utils/serviceRequestUtils'
+
+/**
+ * 🛎️ Service Request Service
+ * Requests from the table (water, cutlery, bill, assistance). The
+ * create_service_request RPC hands each one to the staff member serving the
+ * table's open order; the request is then broadcast to that staff member's
+ * channel, or to the whole restaurant when nobody is serving the table yet.
+ */
+class ServiceRequestService {
+  /**
+   * 🙋 Raise a request from the table
+   * @param {Object} params - { restaurantId, tableId, tableNumber, sessionId, requestType, note, customerName, source }
+   * @returns {Promise<Object>} - { request, duplicate, notified: 'staff' | 'restaurant' | null }
+   */
+  static async createRequest({
+    restaurantId,
+    tableId,
+    tableNumber = null,
+    sessionId = null,
+    requestType,
+    note = '',
+    customerName = null,
+    source = 'menu'
+  }) {
+    if (!restaurantId || !tableId) throw new Error('Requests can only be made from a table')
+
+    const { data, error } = await supabase.rpc('create_service_request', {
+      p_restaurant_id: restaurantId,
+      p_table_id: tableId,
+      p_request_type: requestType,
+      p_session_id: sessionId,
+      p_note: note,
+      p_customer_name: customerName,
+      p_source: source
+    })
+
+    if (error) throw error
+
+    const { request, duplicate } = data
+    // Staff already have this one on their list
+    if (duplicate) {
+      console.log('🛎️ Service request already open:', request.id)
+      return { request, duplicate, notified: null }
+    }
+
+    const notified = await this.broadcastRequest({ ...request, tables: { table_number: tableNumber } })
+    console.log(`🛎️ Service request created (${requestType}), notified ${notified}`)
+    return { request, duplicate, notified }
+  }
+
+  /**
+   * 📣 Tell the assigned staff member, or everyone, about a new request
+   * @param {Object} request - service_requests row (with tables.table_number)
+   * @returns {Promise<string>} - 'staff' | 'restaurant'
+   */
+  static async broadcastRequest(request) {
+    const payload = this.toPayload(request)
+
+    try {
+      if (request.assigned_staff_id) {
+        await realtimeService.notifyStaff(request.assigned_staff_id, 'service_request', payload)
+        return 'staff'
+      }
+      await realtimeService.notifyRestaurant(request.restaurant_id, 'service_request', payload)
+      return 'restaurant'
+    } catch (error) {
+      // The request is saved; staff still see it on their next refresh
+      console.warn('⚠️ Service request broadcast failed:', error)
+      return request.assigned_staff_id ? 'staff' : 'restaurant'
+    }
+  }
+
+  /**
+   * 📋 Guest's own requests at their table (recent ones, newest first)
+   * @param {string} tableId - Table ID
+   * @param {string} sessionId - Customer session ID
+   * @returns {Promise<Array>}
+   */
+  static async getSessionRequests(tableId, sessionId) {
+    if (!tableId || !sessionId) return []
+
+    const { data, error } = await supabase.rpc('get_session_service_requests', {
+      p_table_id: tableId,
+      p_session_id: sessionId
+    })
+
+    if (error) throw error
+    return data || []
+  }
+
+  /**
+   * 📋 Open requests a staff member should see: their tables' and unassigned ones
+   * @param {string} restaurantId - Restaurant ID
+   * @param {string} staffId - Staff user ID
+   * @returns {Promise<Array>}
+   */
+  static async getOpenRequests(restaurantId, staffId) {
+    const { data, error } = await supabase
+      .from('service_requests')
+      .select('*, tables(table_number)')
+      .eq('restaurant_id', restaurantId)
+      .in('status', OPEN_SERVICE_REQUEST_STATUSES)
+      .or(`assigned_staff_id.eq.${staffId},assigned_staff_id.is.null,acknowledged_by.eq.${staffId}`)
+      .order('created_at', { ascending: true })
+
+    if (error) throw error
+    return data || []
+  }
+
+  /**
+   * 👍 Acknowledge a request ("on my way")
+   * @param {string} requestId - Request ID
+   * @param {string} staffId - Staff user ID
+   * @returns {Promise<Object>} - Updated request
+   */
+  static async acknowledgeRequest(requestId, staffId) {
+    const { data, error } = await supabase
+      .from('service_requests')
+      .update({
+        status: SERVICE_REQUEST_STATUS.ACKNOWLEDGED,
+        acknowledged_by: staffId,
+        acknowledged_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', requestId)
+      .eq('status', SERVICE_REQUEST_STATUS.PENDING)
+      .select('*, tables(table_number)')
+      .maybeSingle()
+
+    if (error) throw error
+    if (!data) throw new Error('Someone else has already taken this request')
+
+    await this.broadcastUpdate(data)
+    return data
+  }
+
+  /**
+   * ✅ Mark a request as done
+   * Acknowledges it too when staff skip straight to done, so the response
+   * time is still recorded.
+   * @param {string} requestId - Request ID
+   * @param {string} staffId - Staff user ID
+   * @returns {Promise<Object>} - Updated request
+   */
+  static async resolveRequest(requestId, staffId) {
+    const { data: request, error: fetchError } = await supabase
+      .from('service_requests')
+      .select('status, acknowledged_at')
+      .eq('id', requestId)
+      .single()
+
+    if (fetchError) throw fetchError
+    if (!OPEN_SERVICE_REQUEST_STATUSES.includes(request.status)) {
+      throw new Error('This request is already closed')
+    }
+
+    const now = new Date().toISOString()
+    const updates = {
+      status: SERVICE_REQUEST_STATUS.RESOLVED,
+      resolved_by: staffId,
+      resolved_at: now,
+      updated_at: now
+    }
+    if (!request.acknowledged_at) {
+      updates.acknowledged_by = staffId
+      updates.acknowledged_at = now
+    }
+
+    const { data, error } = await supabase
+      .from('service_requests')
+      .update(updates)
+      .eq('id', requestId)
+      .in('status', OPEN_SERVICE_REQUEST_STATUSES)
+      .select('*, tables(table_number)')
+      .maybeSingle()
+
+    if (error) throw error
+    if (!data) throw new Error('This request is already closed')
+
+    await this.broadcastUpdate(data)
+    return data
+  }
+
+  /**
+   * 📣 Let the guest and the other staff know a request moved on
+   * @param {Object} request - Updated service_requests row
+   */
+  static async broadcastUpdate(request) {
+    const payload = this.toPayload(request)
+
+    try {
+      await realtimeService.notifyRestaurant(request.restaurant_id, 'service_request_update', payload)
+      if (request.assigned_staff_id) {
+        await realtimeService.notifyStaff(request.assigned_staff_id, 'service_request_update', payload)
+      }
+      if (request.session_id) {
+        await realtimeService.notifyCustomer(request.session_id, 'service_request_update', payload)
+      }
+    } catch (error) {
+      console.warn('⚠️ Service request update broadcast failed:', error)
+    }
+  }
+
+  /**
+   * 📊 Requests a staff member picked up since a date (for response times)
+   * @param {string} staffId - Staff user ID
+   * @param {Date} since - Period start
+   * @returns {Promise<Array>} - [{ request_type, created_at, acknowledged_at, resolved_at }]
+   */
+  static async getHandledRequests(staffId, since) {
+    const { data, error } = await supabase
+      .from('service_requests')
+      .select('request_type, created_at, acknowledged_at, resolved_at')
+      .eq('acknowledged_by', staffId)
+      .gte('created_at', since.toISOString())
+      .order('created_at', { ascending: false })
+
+    if (error) throw error
+    return data || []
+  }
+
+  /**
+   * Realtime payload for a request
+   * @param {Object} request - service_requests row
+   * @returns {Object}
+   */
+  static toPayload(request) {
+    const { label, emoji } = getServiceRequestLabel(request.request_type)
+
+    return {
+      ...request,
+      tableNumber: request.tables?.table_number || null,
+      label,
+      emoji,
+      timestamp: new Date().toISOString()
+    }
+  }
+}
+
+export default ServiceRequestService
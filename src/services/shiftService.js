@@ -0,0 +1,303 @@
+import { supabase } from '../config/supabase'
+import {
+  buildTimesheets,
+  getAttendanceSettings
+} from '../utils/attendanceUtils'
+
+/**
+ * 🗓️ Shift Service
+ * Weekly rota (staff_shifts), clock-in/out with breaks (staff_attendance,
+ * staff_breaks) and timesheets. Clocking in and out goes through RPCs that
+ * act on the signed-in staff member and check the geofence server-side.
+ */
+class ShiftService {
+  /**
+   * ⚙️ Clock-in rules for a restaurant
+   * @param {string} restaurantId - Restaurant ID
+   * @returns {Promise<Object>}
+   */
+  static async getSettings(restaurantId) {
+    const { data, error } = await supabase
+      .from('users')
+      .select('attendance_settings')
+      .eq('id', restaurantId)
+      .maybeSingle()
+
+    if (error) throw error
+    return getAttendanceSettings(data)
+  }
+
+  /**
+   * 💾 Save a restaurant's clock-in rules
+   * @param {string} restaurantId - Restaurant ID
+   * @param {Object} settings - Attendance settings
+   */
+  static async saveSettings(restaurantId, settings) {
+    const { error } = await supabase
+      .from('users')
+      .update({ attendance_settings: getAttendanceSettings({ attendance_settings: settings }) })
+      .eq('id', restaurantId)
+
+    if (error) throw error
+    console.log('✅ Attendance settings saved')
+  }
+
+  /**
+   * 👥 Approved staff of a restaurant (rota rows)
+   * @param {string} restaurantId - Restaurant ID
+   * @returns {Promise<Array>}
+   */
+  static async getStaff(restaurantId) {
+    const { data, error } = await supabase
+      .from('users')
+      .select('id, full_name, position, hourly_rate, is_available')
+      .eq('restaurant_id', restaurantId)
+      .eq('role', 'staff')
+      .not('approved_at', 'is', null)
+      .order('full_name', { ascending: true })
+
+    if (error) throw error
+    return data || []
+  }
+
+  /**
+   * 🗓️ Shifts starting within a period
+   * @param {string} restaurantId - Restaurant ID
+   * @param {Date} from - Period start
+   * @param {Date} until - Period end
+   * @param {string} staffId - Only this staff member's shifts (optional)
+   * @returns {Promise<Array>}
+   */
+  static async getShifts(restaurantId, from, until, staffId = null) {
+    let query = supabase
+      .from('staff_shifts')
+      .select('*')
+      .eq('restaurant_id', restaurantId)
+      .gte('starts_at', from.toISOString())
+      .lt('starts_at', until.toISOString())
+      .order('starts_at', { ascending: true })
+
+    if (staffId) query = query.eq('staff_id', staffId)
+
+    const { data, error } = await query
+    if (error) throw error
+    return data || []
+  }
+
+  /**
+   * 💾 Add or update a rota shift
+   * @param {Object} shift - { id?, restaurantId, staffId, startsAt, endsAt, notes, createdBy }
+   * @returns {Promise<Object>} - Saved shift
+   */
+  static async saveShift({ id = null, restaurantId, staffId, startsAt, endsAt, notes = '', createdBy = null }) {
+    const row = {
+      restaurant_id: restaurantId,
+      staff_id: staffId,
+      starts_at: startsAt.toISOString(),
+      ends_at: endsAt.toISOString(),
+      notes: notes.trim() || null,
+      updated_at: new Date().toISOString()
+    }
+
+    const { data, error } = id
+      ? await supabase.from('staff_shifts').update(row).eq('id', id).select().single()
+      : await supabase.from('staff_shifts').insert({ ...row, created_by: createdBy }).select().single()
+
+    if (error) throw this.toFriendlyError(error)
+    return data
+  }
+
+  /**
+   * 🗑️ Remove a rota shift
+   * @param {string} shiftId - Shift ID
+   */
+  static async deleteShift(shiftId) {
+    const { error } = await supabase
+      .from('staff_shifts')
+      .delete()
+      .eq('id', shiftId)
+
+    if (error) throw error
+  }
+
+  /**
+   * 📋 Copy one week's rota onto another (shifts that would overlap are skipped)
+   * @param {string} restaurantId - Restaurant ID
+   * @param {Date} fromWeekStart - Week to copy
+   * @param {Date} toWeekStart - Week to fill
+   * @param {string} createdBy - Owner ID
+   * @returns {Promise<Object>} - { copied, skipped }
+   */
+  static async copyWeek(restaurantId, fromWeekStart, toWeekStart, createdBy = null) {
+    const week = 7 * 24 * 60 * 60 * 1000
+    const offset = toWeekStart.getTime() - fromWeekStart.getTime()
+    const shifts = await this.getShifts(restaurantId, fromWeekStart, new Date(fromWeekStart.getTime() + week))
+
+    let copied = 0
+    let skipped = 0
+    for (const shift of shifts) {
+      try {
+        await this.saveShift({
+          restaurantId,
+          staffId: shift.staff_id,
+          startsAt: new Date(new Date(shift.starts_at).getTime() + offset),
+          endsAt: new Date(new Date(shift.ends_at).getTime() + offset),
+          notes: shift.notes || '',
+          createdBy
+        })
+        copied++
+      } catch (error) {
+        console.warn('⚠️ Skipped copying shift:', error.message)
+        skipped++
+      }
+    }
+
+    console.log(`✅ Copied ${copied} shifts (${skipped} skipped)`)
+    return { copied, skipped }
+  }
+
+  /**
+   * ⏱️ A staff member's open clock-in with its breaks, if any
+   * @param {string} staffId - Staff user ID
+   * @returns {Promise<Object|null>}
+   */
+  static async getOpenAttendance(staffId) {
+    const { data, error } = await supabase
+      .from('staff_attendance')
+      .select('*, staff_breaks(*)')
+      .eq('staff_id', staffId)
+      .is('clock_out_at', null)
+      .maybeSingle()
+
+    if (error) throw error
+    return data
+  }
+
+  /**
+   * 📍 Browser location for geofenced clock-in (null when unavailable)
+   * @returns {Promise<Object|null>} - { latitude, longitude }
+   */
+  static getCurrentPosition() {
+    if (typeof navigator === 'undefined' || !navigator.geolocation) return Promise.resolve(null)
+
+    return new Promise(resolve => {
+      navigator.geolocation.getCurrentPosition(
+        position => resolve({ latitude: position.coords.latitude, longitude: position.coords.longitude }),
+        error => {
+          console.warn('⚠️ Location unavailable:', error.message)
+          resolve(null)
+        },
+        { enableHighAccuracy: true, timeout: 10000, maximumAge: 60000 }
+      )
+    })
+  }
+
+  /**
+   * 🟢 Clock the signed-in staff member in
+   * @param {Object} position - { latitude, longitude } or null
+   * @returns {Promise<Object>} - staff_attendance row
+   */
+  static async clockIn(position = null) {
+    const { data, error } = await supabase.rpc('staff_clock_in', {
+      p_latitude: position?.latitude ?? null,
+      p_longitude: position?.longitude ?? null
+    })
+
+    if (error) throw this.toFriendlyError(error)
+    console.log('🟢 Clocked in:', data.id)
+    return data
+  }
+
+  /**
+   * 🔴 Clock the signed-in staff member out
+   * @param {Object} position - { latitude, longitude } or null
+   * @returns {Promise<Object>} - staff_attendance row
+   */
+  static async clockOut(position = null) {
+    const { data, error } = await supabase.rpc('staff_clock_out', {
+      p_latitude: position?.latitude ?? null,
+      p_longitude: position?.longitude ?? null
+    })
+
+    if (error) throw this.toFriendlyError(error)
+    console.log('🔴 Clocked out:', data.id)
+    return data
+  }
+
+  /**
+   * ☕ Start or end a break
+   * @param {boolean} start - true to start, false to end
+   * @param {boolean} paid - Paid break (counts towards payable hours)
+   * @returns {Promise<Object>} - staff_breaks row
+   */
+  static async toggleBreak(start, paid = false) {
+    const { data, error } = await supabase.rpc('staff_toggle_break', {
+      p_start: start,
+      p_paid: paid
+    })
+
+    if (error) throw this.toFriendlyError(error)
+    return data
+  }
+
+  /**
+   * 🧾 Timesheets for a period: payable hours and pay per staff member
+   * @param {string} restaurantId - Restaurant ID
+   * @param {Date} from - Period start
+   * @param {Date} until - Period end
+   * @returns {Promise<Object>} - { rows, attendance }
+   */
+  static async getTimesheets(restaurantId, from, until) {
+    const [staff, shifts, attendanceResult] = await Promise.all([
+      this.getStaff(restaurantId),
+      this.getShifts(restaurantId, from, until),
+      supabase
+        .from('staff_attendance')
+        .select('*, staff_breaks(*)')
+        .eq('restaurant_id', restaurantId)
+        .gte('clock_in_at', from.toISOString())
+        .lt('clock_in_at', until.toISOString())
+        .order('clock_in_at', { ascending: true })
+    ])
+
+    if (attendanceResult.error) throw attendanceResult.error
+    const attendance = attendanceResult.data || []
+
+    return {
+      rows: buildTimesheets(attendance, staff, shifts),
+      attendance
+    }
+  }
+
+  /**
+   * 🟢 Staff who can take orders now (clocked in, not on a break)
+   * Restaurants that have never clocked anyone in aren't using attendance
+   * yet, so this returns null and callers keep their old behaviour.
+   * @param {string} restaurantId - Restaurant ID
+   * @returns {Promise<Array<string>|null>} - Staff user IDs, or null
+   */
+  static async getOnShiftStaffIds(restaurantId) {
+    const { data, error } = await supabase.rpc('get_on_shift_staff', { p_restaurant_id: restaurantId })
+
+    if (error) {
+      // Migration not run yet
+      if (error.code === 'PGRST202' || error.code === '42883') return null
+      throw error
+    }
+
+    return data?.tracking ? data.staff_ids || [] : null
+  }
+
+  /**
+   * Database errors as messages staff and owners can act on
+   * @param {Object} error - Supabase error
+   * @returns {Error}
+   */
+  static toFriendlyError(error) {
+    if (error.code === '23P01') return new Error('This overlaps another shift for the same staff member')
+    if (error.code === '23514') return new Error('A shift must end after it starts')
+    return new Error(error.message || 'Something went wrong')
+  }
+}
+
+export default ShiftService
@@ -0,0 +1,257 @@
+import { supabase } from '../config/supabase.js'
+import NotificationService from './notificationService.js'
+import StaffAssignmentService from './staffAssignmentService.js'
+import realtimeService from './realtimeService.js'
+import { getOrderDisplayNumber } from '../utils/orderNumberUtils.js'
+import {
+  SLA_STAGES,
+  SLA_STAGE_LABELS,
+  SLA_TRACKED_STATUSES,
+  estimateServeTime,
+  getSlaSettings,
+  getSlaStatus,
+  getStageMinutes
+} from '../utils/slaUtils.js'
+
+/**
+ * ⏱️ SLA Service
+ * Accept / prepare / serve targets for orders. The sweeper runs every
+ * minute from src/scripts/slaSweeper.js with the service role: orders nobody
+ * accepts in time go to another staff member, other late orders are
+ * escalated to the owner, and every breach is logged once per stage deadline
+ * for analytics.
+ */
+class SlaService {
+  static sweeping = false
+
+  /**
+   * ⚙️ SLA targets of a restaurant
+   * @param {string} restaurantId - Restaurant ID
+   * @param {Object} client - Supabase client (the app's by default)
+   * @returns {Promise<Object>}
+   */
+  static async getSettings(restaurantId, client = supabase) {
+    const { data, error } = await client
+      .from('users')
+      .select('sla_settings')
+      .eq('id', restaurantId)
+      .maybeSingle()
+
+    if (error) throw error
+    return getSlaSettings(data)
+  }
+
+  /**
+   * 💾 Save a restaurant's SLA targets
+   * @param {string} restaurantId - Restaurant ID
+   * @param {Object} settings - { accept_minutes, prepare_minutes, serve_minutes, auto_reassign }
+   */
+  static async saveSettings(restaurantId, settings) {
+    const { error } = await supabase
+      .from('users')
+      .update({ sla_settings: getSlaSettings({ sla_settings: settings }) })
+      .eq('id', restaurantId)
+
+    if (error) throw error
+    console.log('✅ SLA settings saved')
+  }
+
+  /**
+   * 🧹 Check every active order against its stage target and act on new breaches
+   * Safe to run from overlapping jobs: each breach is claimed once in the
+   * log before anything happens to the order.
+   * @param {string} restaurantId - Restaurant ID
+   * @param {Date} now - Current time
+   * @param {Object} client - Supabase client; the sweeper job passes its service-role client
+   * @returns {Promise<Array<Object>>} - Breaches handled in this run
+   */
+  static async sweep(restaurantId, now = new Date(), client = supabase) {
+    if (this.sweeping) return []
+    this.sweeping = true
+
+    try {
+      const settings = await this.getSettings(restaurantId, client)
+      const { data: orders, error } = await client
+        .from('orders')
+        .select('id, order_number, display_number, status, table_id, assigned_staff_id, created_at, assigned_at, started_at, ready_at, updated_at, staff:users!orders_assigned_staff_id_fkey(full_name), tables(table_number)')
+        .eq('restaurant_id', restaurantId)
+        .in('status', SLA_TRACKED_STATUSES)
+
+      if (error) throw error
+
+      const handled = []
+      for (const order of orders || []) {
+        const status = getSlaStatus(order, settings, now)
+        if (!status?.breached) continue
+
+        try {
+          const breach = await this.handleBreach(restaurantId, order, status, settings, client)
+          if (breach) handled.push(breach)
+        } catch (orderError) {
+          console.error('❌ Error handling SLA breach:', order.id, orderError)
+        }
+      }
+
+      if (handled.length) console.log(`⏱️ SLA sweep: ${handled.length} breach(es) handled`)
+      return handled
+    } catch (error) {
+      console.error('❌ Error running SLA sweep:', error)
+      return []
+    } finally {
+      this.sweeping = false
+    }
+  }
+
+  /**
+   * Reassign or escalate one late order
+   * @returns {Promise<Object|null>} - The logged breach, or null if another sweeper got there first
+   */
+  static async handleBreach(restaurantId, order, status, settings, client = supabase) {
+    const previousStaffId = order.assigned_staff_id
+    const decision = status.stage === SLA_STAGES.ACCEPT && settings.auto_reassign
+      ? await StaffAssignmentService.pickStaff(restaurantId, {
+          tableId: order.table_id,
+          excludeStaffIds: previousStaffId ? [previousStaffId] : [],
+          source: 'reassign',
+          client
+        })
+      : null
+    const reassignTo = decision?.staffId || null
+
+    const breach = await this.claimBreach({
+      restaurant_id: restaurantId,
+      order_id: order.id,
+      stage: status.stage,
+      staff_id: previousStaffId,
+      due_at: status.dueAt.toISOString(),
+      minutes_late: status.minutesLate,
+      action: reassignTo ? 'reassigned' : 'escalated',
+      reassigned_to: reassignTo
+    }, client)
+    if (!breach) return null
+
+    if (reassignTo) {
+      if (await this.reassignOrder(order, decision, client)) return breach
+
+      // Accepted while we were picking someone: not late after all
+      await client.from('order_sla_breaches').delete().eq('id', breach.id)
+      return null
+    }
+
+    await this.escalate(restaurantId, order, status, settings, client)
+    return breach
+  }
+
+  /**
+   * Log a breach unless this deadline was already handled
+   * @param {Object} row - order_sla_breaches row
+   * @returns {Promise<Object|null>}
+   */
+  static async claimBreach(row, client = supabase) {
+    const { data, error } = await client
+      .from('order_sla_breaches')
+      .insert(row)
+      .select()
+      .maybeSingle()
+
+    if (error?.code === '23505') return null
+    if (error) throw error
+    return data
+  }
+
+  /**
+   * Hand an unaccepted order to the engine's pick, as long as nobody accepted
+   * it in the meantime
+   * @returns {Promise<boolean>} - Whether the order moved
+   */
+  static async reassignOrder(order, decision, client = supabase) {
+    let query = client
+      .from('orders')
+      .update({
+        assigned_staff_id: decision.staffId,
+        assigned_at: new Date().toISOString(),
+        status: 'assigned',
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', order.id)
+      .in('status', ['pending', 'assigned'])
+
+    query = order.assigned_staff_id
+      ? query.eq('assigned_staff_id', order.assigned_staff_id)
+      : query.is('assigned_staff_id', null)
+
+    const { data: updated, error } = await query.select('id').maybeSingle()
+    if (error) throw error
+    if (!updated) return false
+
+    await StaffAssignmentService.recordAssignment(decision, order.id, client)
+    await realtimeService.notifyStaffNewOrder(decision.staffId, { ...order, table: order.tables }, client)
+
+    console.log(`🔁 Order ${getOrderDisplayNumber(order)} not accepted in time, reassigned to ${decision.staffName}`)
+    return true
+  }
+
+  /**
+   * 🚨 Tell the owner an order is running late
+   */
+  static async escalate(restaurantId, order, status, settings, client = supabase) {
+    const stage = SLA_STAGE_LABELS[status.stage].label.toLowerCase()
+    const staffName = order.staff?.full_name
+    const lateBy = Math.ceil(status.minutesLate)
+
+    await NotificationService.sendNotification({
+      recipientId: restaurantId,
+      recipientType: 'owner',
+      notificationType: 'sla_breach',
+      title: `Order #${getOrderDisplayNumber(order)} running late - Table ${order.tables?.table_number || 'N/A'}`,
+      message: status.stage === SLA_STAGES.ACCEPT && !order.assigned_staff_id
+        ? `Waiting ${lateBy} min past the accept target with no staff available`
+        : `${lateBy} min past the ${stage} target${staffName ? ` (${staffName})` : ''}`,
+      data: {
+        order_id: order.id,
+        order_number: order.order_number,
+        table_number: order.tables?.table_number,
+        stage: status.stage,
+        staff_id: order.assigned_staff_id,
+        minutes_late: status.minutesLate
+      },
+      priority: status.minutesLate >= getStageMinutes(status.stage, settings) ? 'urgent' : 'high',
+      client
+    })
+  }
+
+  /**
+   * 📊 Logged breaches, newest first
+   * @param {string} restaurantId - Restaurant ID
+   * @param {Date} since - Only breaches after this time
+   * @returns {Promise<Array<Object>>}
+   */
+  static async getBreaches(restaurantId, since) {
+    const { data, error } = await supabase
+      .from('order_sla_breaches')
+      .select('*, orders(order_number, display_number, tables(table_number)), staff:users!order_sla_breaches_staff_id_fkey(full_name), reassigned:users!order_sla_breaches_reassigned_to_fkey(full_name)')
+      .eq('restaurant_id', restaurantId)
+      .gte('breached_at', since.toISOString())
+      .order('breached_at', { ascending: false })
+
+    if (error) throw error
+    return data || []
+  }
+
+  /**
+   * 🕒 Customer ETA for an order, from the restaurant's targets
+   * @param {string} orderId - Order ID
+   * @param {Date} now - Current time
+   * @returns {Promise<Object|null>} - estimateServeTime result, or null once served
+   */
+  static async getOrderEta(orderId, now = new Date()) {
+    const { data, error } = await supabase.rpc('get_order_eta_inputs', { p_order_id: orderId })
+
+    if (error) throw error
+    if (!data) return null
+
+    return estimateServeTime(data, getSlaSettings({ sla_settings: data.settings }), now)
+  }
+}
+
+export default SlaService
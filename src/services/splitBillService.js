@@ -0,0 +1,305 @@
+import { supabase } from '../config/supabase'
+import UnifiedOrderService from './unifiedOrderService'
+import PaymentService from './paymentService'
+import realtimeService from './realtimeService'
+import { buildBillSummary, buildShares, validateSplit } from '../utils/splitBillUtils'
+
+/**
+ * 🧾 Split Bill Service
+ * Splits a table session's combined bill into shares. Each share is a
+ * partial payment_transactions row (is_partial, split_id, share_index) that
+ * is paid on its own - online through the gateway adapters or in cash to
+ * staff. The orders are marked paid once every share is paid
+ * (PaymentService.settleSplit), and the table cannot be released while a
+ * share is unpaid.
+ */
+class SplitBillService {
+  /**
+   * 📊 Get the combined bill for the current table session
+   * @param {string} tableId - Table ID
+   * @param {string} restaurantId - Restaurant ID
+   * @param {string} sessionId - Customer session ID
+   * @returns {Promise<Object>} - { bill, split }
+   */
+  static async getTableBill(tableId, restaurantId, sessionId) {
+    try {
+      const orders = await UnifiedOrderService.getTableOrderHistory(tableId, restaurantId)
+      const sessionOrders = orders.filter(order => order.session_id === sessionId)
+
+      const bill = buildBillSummary(sessionOrders)
+      const split = await this.getActiveSplit(sessionId)
+
+      return { bill, split }
+    } catch (error) {
+      console.error('❌ Error getting table bill:', error)
+      throw error
+    }
+  }
+
+  /**
+   * 🔍 Get the open split for a session with its shares
+   * @param {string} sessionId - Customer session ID
+   * @returns {Promise<Object|null>} - Split with `shares`, or null
+   */
+  static async getActiveSplit(sessionId) {
+    const { data: split, error } = await supabase
+      .from('bill_splits')
+      .select('*')
+      .eq('session_id', sessionId)
+      .eq('status', 'open')
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle()
+
+    if (error) throw error
+    if (!split) return null
+
+    const shares = await this.getSplitShares(split.id)
+    return { ...split, shares }
+  }
+
+  /**
+   * 📋 Get the shares of a split
+   * @param {string} splitId - bill_splits id
+   * @returns {Promise<Array>} - payment_transactions rows
+   */
+  static async getSplitShares(splitId) {
+    const { data: shares, error } = await supabase
+      .from('payment_transactions')
+      .select('*')
+      .eq('split_id', splitId)
+      .order('share_index', { ascending: true })
+
+    if (error) throw error
+    return shares || []
+  }
+
+  /**
+   * ✂️ Split the table's bill
+   * Replaces an open split as long as none of its shares has been paid.
+   * @param {Object} splitData - { restaurantId, tableId, sessionId, method, shareCount, assignments, amounts, labels }
+   * @returns {Promise<Object>} - The new split with its shares
+   */
+  static async createSplit(splitData) {
+    const {
+      restaurantId,
+      tableId,
+      sessionId,
+      method,
+      shareCount,
+      assignments = {},
+      amounts = [],
+      labels = []
+    } = splitData
+
+    try {
+      console.log('✂️ Splitting bill:', { tableId, sessionId, method })
+
+      const { bill, split: existingSplit } = await this.getTableBill(tableId, restaurantId, sessionId)
+
+      if (existingSplit) {
+        const startedShares = existingSplit.shares.filter(share => ['completed', 'processing'].includes(share.payment_status))
+        if (startedShares.length > 0) {
+          throw new Error('Some shares are already paid. Ask staff to help change the split.')
+        }
+        await this.cancelSplit(existingSplit.id)
+      }
+
+      const shares = buildShares(bill, method, { shareCount, assignments, amounts, labels })
+      const validation = validateSplit(bill, method, shares, assignments)
+      if (!validation.valid) {
+        throw new Error(validation.errors[0])
+      }
+
+      const { data: split, error: splitError } = await supabase
+        .from('bill_splits')
+        .insert({
+          restaurant_id: restaurantId,
+          table_id: tableId,
+          session_id: sessionId,
+          method,
+          total_amount: bill.total,
+          share_count: shares.length,
+          order_ids: bill.orderIds,
+          status: 'open'
+        })
+        .select()
+        .single()
+
+      if (splitError) throw splitError
+
+      // One partial payment per share, anchored on the session's first order
+      const anchorOrderId = bill.orderIds[bill.orderIds.length - 1]
+      const { error: sharesError } = await supabase
+        .from('payment_transactions')
+        .insert(shares.map(share => ({
+          order_id: anchorOrderId,
+          amount: share.amount,
+          payment_method: 'cash',
+          payment_status: 'pending',
+          collected_by_staff: false,
+          is_partial: true,
+          split_id: split.id,
+          share_index: share.index,
+          share_label: share.label,
+          share_items: share.items
+        })))
+
+      if (sharesError) {
+        await supabase.from('bill_splits').delete().eq('id', split.id)
+        throw sharesError
+      }
+
+      await realtimeService.notifyRestaurant(restaurantId, 'bill_split', {
+        splitId: split.id,
+        tableId,
+        method,
+        shareCount: shares.length,
+        totalAmount: bill.total,
+        timestamp: new Date().toISOString()
+      })
+
+      console.log('✅ Bill split into', shares.length, 'shares')
+      return { ...split, shares: await this.getSplitShares(split.id) }
+    } catch (error) {
+      console.error('❌ Error splitting bill:', error)
+      throw error
+    }
+  }
+
+  /**
+   * 🗑️ Cancel an open split that has no paid shares
+   * @param {string} splitId - bill_splits id
+   */
+  static async cancelSplit(splitId) {
+    const { error: sharesError } = await supabase
+      .from('payment_transactions')
+      .delete()
+      .eq('split_id', splitId)
+      .eq('payment_status', 'pending')
+
+    if (sharesError) throw sharesError
+
+    const { error } = await supabase
+      .from('bill_splits')
+      .update({ status: 'cancelled', updated_at: new Date().toISOString() })
+      .eq('id', splitId)
+
+    if (error) throw error
+  }
+
+  /**
+   * 💳 Pay one share online through the payment gateway adapter
+   * @param {Object} share - payment_transactions row of the share
+   * @param {Object} paymentData - { gateway, paymentMethod, customer, sessionId, checkoutOptions }
+   * @returns {Promise<Object>} - Payment result
+   */
+  static async payShareOnline(share, paymentData = {}) {
+    const { gateway = null, paymentMethod = 'online', customer = {}, sessionId = null, checkoutOptions = {} } = paymentData
+
+    if (share.payment_status === 'completed') {
+      return { success: false, error: 'This share is already paid' }
+    }
+
+    const { error } = await supabase
+      .from('payment_transactions')
+      .update({
+        payment_method: paymentMethod,
+        payment_status: 'processing',
+        gateway,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', share.id)
+      .neq('payment_status', 'completed')
+
+    if (error) {
+      console.error('❌ Error starting share payment:', error)
+      return { success: false, error: error.message }
+    }
+
+    return PaymentService.handleOnlinePayment(share.order_id, share.amount, paymentMethod, null, {
+      gateway,
+      customer,
+      sessionId,
+      paymentRecordId: share.id,
+      ...checkoutOptions
+    })
+  }
+
+  /**
+   * 💵 Staff collects one share in cash
+   * @param {Object} share - payment_transactions row of the share
+   * @param {string} staffId - Staff ID collecting the cash
+   * @returns {Promise<Object>} - Confirmation result
+   */
+  static async collectShareCash(share, staffId) {
+    const { error } = await supabase
+      .from('payment_transactions')
+      .update({
+        payment_method: 'cash',
+        gateway: null, // A share tried online and then paid at the table is a cash payment
+        staff_id: staffId,
+        collected_by_staff: true,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', share.id)
+
+    if (error) {
+      console.error('❌ Error collecting share cash:', error)
+      return { success: false, error: error.message }
+    }
+
+    return PaymentService.confirmPayment(share.order_id, {
+      transactionId: `CASH_${Date.now()}`,
+      staffId,
+      paymentRecordId: share.id
+    })
+  }
+
+  /**
+   * 🚦 Unpaid shares of every open split on a table
+   * @param {string} tableId - Table ID
+   * @param {string} sessionId - Limit to one session (optional)
+   * @returns {Promise<Array>} - Unpaid share rows
+   */
+  static async getUnpaidShares(tableId, sessionId = null) {
+    let query = supabase
+      .from('bill_splits')
+      .select('id')
+      .eq('table_id', tableId)
+      .eq('status', 'open')
+
+    if (sessionId) {
+      query = query.eq('session_id', sessionId)
+    }
+
+    const { data: splits, error } = await query
+    if (error) throw error
+    if (!splits?.length) return []
+
+    const { data: shares, error: sharesError } = await supabase
+      .from('payment_transactions')
+      .select('*')
+      .in('split_id', splits.map(split => split.id))
+      .neq('payment_status', 'completed')
+      .order('share_index', { ascending: true })
+
+    if (sharesError) throw sharesError
+    return shares || []
+  }
+
+  /**
+   * 🔒 Throw if the table still has unpaid shares - called before releasing
+   * @param {string} tableId - Table ID
+   * @param {string} sessionId - Limit to one session (optional)
+   */
+  static async assertTableSettled(tableId, sessionId = null) {
+    const unpaidShares = await this.getUnpaidShares(tableId, sessionId)
+    if (unpaidShares.length > 0) {
+      const labels = unpaidShares.map(share => share.share_label).join(', ')
+      throw new Error(`Table has ${unpaidShares.length} unpaid bill share${unpaidShares.length > 1 ? 's' : ''} (${labels})`)
+    }
+  }
+}
+
+export default SplitBillService
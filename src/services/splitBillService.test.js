@@ -0,0 +1,96 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { supabase } from '../config/supabase'
+import UnifiedOrderService from './unifiedOrderService'
+import SplitBillService from './splitBillService'
+import PromotionService from './promotionService'
+import StaffAssignmentService from './staffAssignmentService'
+import InventoryService from './inventoryService'
+import tableService from './tableService'
+import { DEFAULT_TAX_SETTINGS } from '../utils/taxUtils'
+
+const restaurantId = 'restaurant-1'
+const tableId = 'table-1'
+const customerInfo = { name: 'Asha', phone: '9876543210' }
+
+// Orders go through createOrder as far as the create_order_transaction call,
+// which is replaced by an in-memory table
+const stubOrderWrites = () => {
+  const created = []
+
+  vi.spyOn(PromotionService, 'evaluateCart').mockResolvedValue({ discount: 0, offer: null })
+  vi.spyOn(UnifiedOrderService, 'getRestaurantTaxSettings').mockResolvedValue(DEFAULT_TAX_SETTINGS)
+  vi.spyOn(UnifiedOrderService, 'attachItemTaxCodes').mockImplementation(async (cartItems) => cartItems)
+  vi.spyOn(UnifiedOrderService, 'autoAssignStaff').mockResolvedValue(null)
+  vi.spyOn(UnifiedOrderService, 'findOrderByIdempotencyKey').mockResolvedValue(null)
+  vi.spyOn(UnifiedOrderService, 'addToOrderQueue').mockResolvedValue()
+  vi.spyOn(UnifiedOrderService, 'sendOrderNotifications').mockResolvedValue()
+  vi.spyOn(StaffAssignmentService, 'recordAssignment').mockResolvedValue()
+  vi.spyOn(InventoryService, 'deductForOrder').mockResolvedValue()
+  vi.spyOn(tableService, 'notifyTableStatusChange').mockResolvedValue()
+  vi.spyOn(supabase, 'rpc').mockResolvedValue({ data: null, error: null })
+  vi.spyOn(supabase, 'from').mockReturnValue({
+    select: () => ({ eq: () => ({ single: async () => ({ data: { table_number: '4' } }) }) })
+  })
+
+  vi.spyOn(UnifiedOrderService, 'saveOrderRecords').mockImplementation(async ({ orderData, orderItemsData }) => {
+    const id = `order-${created.length + 1}`
+    const order = {
+      ...orderData,
+      id,
+      order_items: orderItemsData.map((item, index) => ({ ...item, id: `${id}-item-${index + 1}` }))
+    }
+    created.push(order)
+    return { order, items: order.order_items, deduplicated: false }
+  })
+
+  vi.spyOn(UnifiedOrderService, 'getTableOrderHistory').mockImplementation(async () => created)
+  vi.spyOn(SplitBillService, 'getActiveSplit').mockResolvedValue(null)
+
+  return created
+}
+
+const placeOrder = (sessionId, cartItems, key) => UnifiedOrderService.createOrder({
+  source: 'customer',
+  restaurantId,
+  tableId,
+  sessionId,
+  cartItems,
+  customerInfo,
+  idempotencyKey: key
+})
+
+describe('SplitBillService.getTableBill', () => {
+  let created
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    created = stubOrderWrites()
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it('builds the bill from every order placed in the table session', async () => {
+    await placeOrder('session_a', [{ id: 'dosa', name: 'Masala Dosa', price: 120, quantity: 1 }], 'key-1')
+    await placeOrder('session_a', [{ id: 'chai', name: 'Masala Chai', price: 80, quantity: 2 }], 'key-2')
+    await placeOrder('session_b', [{ id: 'idli', name: 'Idli', price: 60, quantity: 1 }], 'key-3')
+
+    expect(created.map(order => order.session_id)).toEqual(['session_a', 'session_a', 'session_b'])
+
+    const { bill, split } = await SplitBillService.getTableBill(tableId, restaurantId, 'session_a')
+
+    expect(split).toBeNull()
+    expect(bill.orderIds).toEqual(['order-1', 'order-2'])
+    expect(bill.items.map(item => item.item_name)).toEqual(['Masala Dosa', 'Masala Chai'])
+    expect(bill.itemsTotal).toBe(280)
+    // Each order adds the 1.5% platform fee
+    expect(bill.total).toBe(284.2)
+  })
+
+  it('gives orders without a cart session a session of their own', async () => {
+    await placeOrder(null, [{ id: 'dosa', name: 'Masala Dosa', price: 120, quantity: 1 }], 'key-1')
+
+    expect(created[0].session_id).toMatch(/^customer_/)
+  })
+})
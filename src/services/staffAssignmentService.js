@@ -1,11 +1,20 @@
-import { supabase } from '../config/supabase'
-import realtimeService from './realtimeService'
+import { supabase } from '../config/supabase.js'
+import realtimeService from './realtimeService.js'
+import { getOrderDisplayNumber } from '../utils/orderNumberUtils.js'
+import {
+  explainAssignment,
+  getAssignmentSettings,
+  getWorkloadPercentage,
+  rankCandidates
+} from '../utils/assignmentUtils.js'
 
 /**
  * Enhanced Staff Assignment Service for Complete Workflow
  * Handles intelligent staff assignment with real-time notifications
  * - Checks staff availability in real-time
- * - Assigns orders using FIFO and load balancing
+ * - One engine for every automatic assignment (see assignmentUtils): load,
+ *   max concurrent orders, table section, role, fairness and round-robin
+ * - Records why each order went to whom for the owner
  * - Sends notifications to staff and owners
  * - Handles staff unavailability scenarios
  */
@@ -20,60 +29,29 @@ class StaffAssignmentService {
     try {
       console.log('🔍 Checking staff availability for restaurant:', restaurantId)
 
-      // Get available staff members with enhanced selection criteria
-      const { data: staffMembers, error: staffError } = await supabase
-        .from('staff')
-        .select(`
-          *,
-          users!staff_user_id_fkey (
-            full_name,
-            email,
-            phone
-          )
-        `)
-        .eq('restaurant_id', restaurantId)
-        .eq('is_available', true)
-        .order('total_orders_completed', { ascending: true })
-        .order('performance_rating', { ascending: false })
-        .order('created_at', { ascending: true })
+      const { data: orderData, error: orderError } = await supabase
+        .from('orders')
+        .select('*')
+        .eq('id', orderId)
+        .single()
 
-      if (staffError) {
-        console.error('❌ Error fetching staff:', staffError)
-        return null
-      }
+      if (orderError) throw orderError
 
-      if (!staffMembers || staffMembers.length === 0) {
-        console.warn('⚠️ No available staff members for order assignment')
-        
-        // Get order details for notification
-        const { data: orderData } = await supabase
-          .from('orders')
-          .select('*')
-          .eq('id', orderId)
-          .single()
+      const decision = await this.pickStaff(restaurantId, { tableId: orderData.table_id })
+      await this.recordAssignment(decision, orderId)
 
-        if (orderData) {
-          // Notify restaurant owner about staff unavailability
-          await realtimeService.notifyOwnerStaffUnavailable(restaurantId, orderData)
-        }
-        
+      if (!decision?.staffId) {
+        console.warn('⚠️ No available staff members for order assignment')
+        // Notify restaurant owner about staff unavailability
+        await realtimeService.notifyOwnerStaffUnavailable(restaurantId, orderData)
         return null
       }
 
-      // Select best available staff using enhanced criteria
-      const selectedStaff = await this.selectBestStaff(staffMembers)
-      console.log('👨‍🍳 Selected staff:', selectedStaff.id)
-
-      // Get staff name from users table or fallback
-      const staffName = selectedStaff.users?.full_name || 
-                       selectedStaff.full_name || 
-                       `Staff Member #${selectedStaff.id.slice(-4)}`
-
       // Assign the order to the selected staff and update status
       const { data: updatedOrder, error: assignError } = await supabase
         .from('orders')
         .update({
-          assigned_staff_id: selectedStaff.id,
+          assigned_staff_id: decision.staffId,
           status: 'assigned',
           updated_at: new Date().toISOString()
         })
@@ -86,24 +64,16 @@ class StaffAssignmentService {
         return null
       }
 
-      console.log('✅ Order assigned successfully:', updatedOrder.order_number)
-
-      // Update staff statistics (increment current workload)
-      await supabase
-        .from('staff')
-        .update({
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', selectedStaff.id)
+      console.log('✅ Order assigned successfully:', getOrderDisplayNumber(updatedOrder))
 
       // Send notification to assigned staff
-      await this.notifyStaff(selectedStaff.id, orderId)
+      await this.notifyStaff(decision.staffId, orderId)
 
       return {
-        staffId: selectedStaff.id,
-        staffName: staffName,
-        staffEmail: selectedStaff.users?.email || selectedStaff.email,
-        orderNumber: updatedOrder.order_number
+        staffId: decision.staffId,
+        staffName: decision.staffName,
+        reason: decision.reason,
+        orderNumber: getOrderDisplayNumber(updatedOrder)
       }
 
     } catch (error) {
@@ -113,34 +83,152 @@ class StaffAssignmentService {
   }
 
   /**
-   * Select the best available staff member based on multiple criteria
-   * @param {Array} staffMembers - Array of available staff
-   * @returns {Object} - Selected staff member
+   * ⚙️ Auto-assignment settings of a restaurant
+   * @param {string} restaurantId - Restaurant UUID
+   * @returns {Promise<Object>}
    */
-  static async selectBestStaff(staffMembers) {
-    // Calculate scores for each staff member using actual schema columns
-    const staffWithScores = staffMembers.map(staff => {
-      let score = 0
-
-      // Higher performance rating = higher score
-      score += (staff.performance_rating || 3) * 10
+  static async getAssignmentSettings(restaurantId) {
+    const { data, error } = await supabase
+      .from('users')
+      .select('assignment_settings')
+      .eq('id', restaurantId)
+      .maybeSingle()
+
+    if (error) throw error
+    return getAssignmentSettings(data)
+  }
 
-      // More experience (total orders completed) = bonus
-      score += Math.min(staff.total_orders_completed / 50, 10)
+  /**
+   * 💾 Save a restaurant's auto-assignment settings
+   * @param {string} restaurantId - Restaurant UUID
+   * @param {Object} settings - Assignment settings
+   */
+  static async saveAssignmentSettings(restaurantId, settings) {
+    const { error } = await supabase
+      .from('users')
+      .update({ assignment_settings: getAssignmentSettings({ assignment_settings: settings }) })
+      .eq('id', restaurantId)
+
+    if (error) throw error
+    console.log('✅ Assignment settings saved')
+  }
 
-      // Higher hourly rate might indicate seniority/skill
-      score += Math.min((staff.hourly_rate || 0) / 100, 5)
+  /**
+   * 🗺️ Set the table sections a staff member serves
+   * @param {string} staffId - Staff user ID
+   * @param {Array<string>} sections - Section names (matched against tables.location)
+   */
+  static async updateStaffSections(staffId, sections) {
+    const { error } = await supabase
+      .from('users')
+      .update({
+        sections: [...new Set(sections.map(section => section.trim()).filter(Boolean))],
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', staffId)
+
+    if (error) throw error
+  }
 
-      return {
-        ...staff,
-        assignmentScore: score
-      }
+  /**
+   * 📋 Staff the engine can choose from, with live workload
+   * @param {string} restaurantId - Restaurant UUID
+   * @param {string} tableId - Table of the order (optional)
+   * @param {Object} client - Supabase client (the app's by default)
+   * @returns {Promise<Object>} - { settings, tableSection, tracking, candidates }
+   */
+  static async getCandidates(restaurantId, tableId = null, client = supabase) {
+    const { data, error } = await client.rpc('get_assignment_candidates', {
+      p_restaurant_id: restaurantId,
+      p_table_id: tableId
     })
 
-    // Sort by score (highest first)
-    staffWithScores.sort((a, b) => b.assignmentScore - a.assignmentScore)
+    if (error) throw error
+
+    return {
+      settings: getAssignmentSettings({ assignment_settings: data.settings }),
+      tableSection: data.table_section || null,
+      tracking: Boolean(data.tracking),
+      candidates: data.candidates || []
+    }
+  }
 
-    return staffWithScores[0]
+  /**
+   * 🎯 Choose the staff member for an order
+   * @param {string} restaurantId - Restaurant UUID
+   * @param {Object} options - { tableId, excludeStaffIds, source: 'auto' | 'reassign', client }
+   * @returns {Promise<Object>} - { staffId, staffName, score, reason, strategy, ranked, source }; staffId is null when nobody can take it
+   */
+  static async pickStaff(restaurantId, { tableId = null, excludeStaffIds = [], source = 'auto', client = supabase } = {}) {
+    const { settings, tableSection, tracking, candidates } = await this.getCandidates(restaurantId, tableId, client)
+    const ranked = rankCandidates({ candidates, settings, tableSection, tracking, excludeStaffIds })
+    const chosen = ranked[0]?.eligible ? ranked[0] : null
+    const reason = explainAssignment(ranked, settings)
+
+    console.log(chosen ? `🎯 ${reason}` : `⚠️ ${reason}`)
+
+    return {
+      restaurantId,
+      staffId: chosen?.staffId || null,
+      staffName: chosen?.name || null,
+      score: chosen?.score ?? null,
+      reason,
+      strategy: settings.strategy,
+      ranked,
+      source
+    }
+  }
+
+  /**
+   * 📝 Save a pickStaff decision to the audit log
+   * Never throws: the order matters more than its audit entry.
+   * @param {Object} decision - pickStaff result
+   * @param {string} orderId - Order UUID
+   * @param {Object} client - Supabase client (the app's by default)
+   */
+  static async recordAssignment(decision, orderId, client = supabase) {
+    if (!decision || !orderId) return
+
+    try {
+      const { error } = await client.rpc('record_staff_assignment', {
+        p_restaurant_id: decision.restaurantId,
+        p_order_id: orderId,
+        p_staff_id: decision.staffId,
+        p_source: decision.source,
+        p_strategy: decision.strategy,
+        p_score: decision.score,
+        p_reason: decision.reason,
+        p_candidates: decision.ranked.map(candidate => ({
+          staff_id: candidate.staffId,
+          name: candidate.name,
+          eligible: candidate.eligible,
+          score: candidate.score,
+          reasons: candidate.reasons
+        }))
+      })
+
+      if (error) throw error
+    } catch (error) {
+      console.warn('⚠️ Could not record assignment decision:', error)
+    }
+  }
+
+  /**
+   * 🧾 Recent assignment decisions for the owner
+   * @param {string} restaurantId - Restaurant UUID
+   * @param {number} limit - How many
+   * @returns {Promise<Array>}
+   */
+  static async getAssignmentLog(restaurantId, limit = 50) {
+    const { data, error } = await supabase
+      .from('staff_assignment_log')
+      .select('*, orders(order_number, display_number), staff:users!staff_assignment_log_staff_id_fkey(full_name)')
+      .eq('restaurant_id', restaurantId)
+      .order('created_at', { ascending: false })
+      .limit(limit)
+
+    if (error) throw error
+    return data || []
   }
 
   /**
@@ -320,20 +408,13 @@ class StaffAssignmentService {
    */
   static async getStaffWorkload(restaurantId) {
     try {
-      const { data: staff, error } = await supabase
-        .from('staff')
-        .select(`
-          *,
-          orders:orders(count)
-        `)
-        .eq('restaurant_id', restaurantId)
-        .eq('is_active', true)
-
-      if (error) throw error
+      const { settings, tracking, candidates } = await this.getCandidates(restaurantId)
 
-      return staff.map(s => ({
-        ...s,
-        workloadPercentage: (s.current_orders_count / 5) * 100 // Assuming max 5 concurrent orders
+      return candidates.map(staff => ({
+        ...staff,
+        onShift: !tracking || staff.on_shift,
+        maxConcurrentOrders: settings.max_concurrent_orders,
+        workloadPercentage: getWorkloadPercentage(staff.active_orders, settings)
       }))
     } catch (error) {
       console.error('Error getting staff workload:', error)
@@ -388,21 +469,18 @@ class StaffAssignmentService {
         .filter('extract(hour from created_at)', 'eq', currentHour)
 
       const avgOrdersPerHour = historicalOrders ? historicalOrders.length / 30 : 10
-      const recommendedStaff = Math.ceil(avgOrdersPerHour / 5) // 5 orders per staff per hour
 
-      // Get current active staff
-      const { data: activeStaff } = await supabase
-        .from('staff')
-        .select('*')
-        .eq('restaurant_id', restaurantId)
-        .eq('is_available', true)
+      // Staff who can take orders right now, at the restaurant's own capacity
+      const { settings, tracking, candidates } = await this.getCandidates(restaurantId)
+      const activeStaff = candidates.filter(staff => staff.is_available && (!tracking || staff.on_shift))
+      const recommendedStaff = Math.ceil(avgOrdersPerHour / settings.max_concurrent_orders)
 
       return {
         currentHour,
         averageOrdersPerHour: avgOrdersPerHour,
-        currentActiveStaff: activeStaff?.length || 0,
+        currentActiveStaff: activeStaff.length,
         recommendedStaff,
-        staffShortage: Math.max(0, recommendedStaff - (activeStaff?.length || 0))
+        staffShortage: Math.max(0, recommendedStaff - activeStaff.length)
       }
     } catch (error) {
       console.error('Error getting staff distribution:', error)
@@ -0,0 +1,59 @@
+import { supabase } from '../config/supabase'
+import UnifiedOrderService from './unifiedOrderService'
+import ServiceRequestService from './serviceRequestService'
+import { SERVICE_REQUEST_TYPES } from '../utils/serviceRequestUtils'
+
+/**
+ * 💬 Support Chat Service
+ * Live data behind the customer help widget: the order the customer is
+ * asking about, and "call a waiter" when the FAQ has no answer.
+ */
+class SupportChatService {
+  /**
+   * 📦 The order a customer most likely means by "my order"
+   * @param {Object} context - { orderId, sessionId, tableId, customerPhone }
+   * @returns {Promise<Object|null>} - Latest open order, else the latest order
+   */
+  static async getLatestOrder({ orderId = null, sessionId = null, tableId = null, customerPhone = null }) {
+    if (orderId) {
+      const { data, error } = await supabase
+        .from('orders')
+        .select('*, tables(table_number), users!assigned_staff_id(full_name)')
+        .eq('id', orderId)
+        .maybeSingle()
+
+      if (error) throw error
+      if (data) return data
+    }
+
+    if (!sessionId && !(tableId && customerPhone)) return null
+
+    const orders = await UnifiedOrderService.getCustomerOrdersBySession(sessionId, tableId, customerPhone)
+    return orders.find(order => !['completed', 'cancelled'].includes(order.status)) || orders[0] || null
+  }
+
+  /**
+   * 🙋 Ask for a waiter at the table
+   * Raised as an assistance service request, so it shows up on the staff
+   * request list and counts towards response times.
+   * @param {Object} params - { restaurantId, tableId, tableNumber, sessionId, customerName, message }
+   * @returns {Promise<Object>} - { notified: 'staff' | 'restaurant' | null, duplicate }
+   */
+  static async callWaiter({ restaurantId, tableId, tableNumber = null, sessionId = null, customerName = null, message = '' }) {
+    const { notified, duplicate } = await ServiceRequestService.createRequest({
+      restaurantId,
+      tableId,
+      tableNumber,
+      sessionId,
+      requestType: SERVICE_REQUEST_TYPES.ASSISTANCE,
+      note: message,
+      customerName,
+      source: 'support_chat'
+    })
+
+    console.log('🙋 Waiter called from support chat:', { tableId, notified, duplicate })
+    return { notified, duplicate }
+  }
+}
+
+export default SupportChatService
@@ -1,4 +1,16 @@
 import { supabase } from '../config/supabase'
+import SplitBillService from './splitBillService'
+import ReservationService from './reservationService'
+import { isTableBlockedAt } from '../utils/reservationUtils'
+import { OPEN_SERVICE_REQUEST_STATUSES, SERVICE_REQUEST_TYPES } from '../utils/serviceRequestUtils'
+import {
+  applyMergeGroups,
+  clampRect,
+  findSectionForTable,
+  getFloorPlan,
+  getTableFloorStatus,
+  getTableRect
+} from '../utils/floorPlanUtils'
 
 class TableService {
   constructor() {
@@ -28,22 +40,35 @@ class TableService {
 
       if (error) throw error
 
-      // Enrich tables with reservation status
+      const now = new Date()
+      const [bookingsByTable, billTableIds] = await Promise.all([
+        this.getTodaysBookings(restaurantId, now),
+        this.getOpenBillTableIds(restaurantId)
+      ])
+
+      // Enrich tables with reservation status (live session, or a booking in its window)
       const enrichedTables = tables.map(table => {
         const activeSession = table.customer_sessions?.find(session => 
           session.status === 'active' && !session.ended_at
         )
+        const bookings = bookingsByTable.get(table.id) || []
+        const currentBooking = bookings.find(booking => isTableBlockedAt(booking, now)) || null
+        const nextBooking = bookings.find(booking => new Date(booking.reserved_for) > now) || null
 
-        return {
+        const enriched = {
           ...table,
-          reservation_status: activeSession ? 'reserved' : 'available',
+          reservation_status: activeSession || currentBooking ? 'reserved' : 'available',
           current_session: activeSession || null,
-          reserved_by: activeSession ? 'customer' : null,
-          reserved_at: activeSession?.started_at || null
+          current_booking: currentBooking,
+          next_booking: nextBooking,
+          reserved_by: activeSession ? 'customer' : currentBooking ? 'booking' : null,
+          reserved_at: activeSession?.started_at || currentBooking?.reserved_for || null
         }
+        return { ...enriched, floor_status: getTableFloorStatus(enriched, billTableIds.has(table.id)) }
       })
 
-      return enrichedTables
+      // Merged tables share their group's status and capacity
+      return applyMergeGroups(enrichedTables)
     } catch (error) {
       console.error('Error fetching restaurant tables:', error)
       throw error
@@ -228,6 +253,9 @@ class TableService {
   // Release table reservation
   async releaseTable(tableId, sessionId) {
     try {
+      // Split bills must be fully paid before the table is freed
+      await SplitBillService.assertTableSettled(tableId, sessionId)
+
       // End the customer session
       const { error } = await this.supabase
         .from('customer_sessions')
@@ -279,21 +307,60 @@ class TableService {
       const activeSession = table.customer_sessions?.find(session => 
         session.status === 'active' && !session.ended_at
       )
+      const billTableIds = await this.getOpenBillTableIds(table.restaurant_id, tableId)
 
-      return {
+      const status = {
         ...table,
         reservation_status: activeSession ? 'reserved' : 'available',
         current_session: activeSession || null,
         reserved_at: activeSession?.started_at || null
       }
+      return { ...status, floor_status: getTableFloorStatus(status, billTableIds.has(tableId)) }
     } catch (error) {
       console.error('Error getting table status:', error)
       throw error
     }
   }
 
-  // Get available tables for staff ordering
-  async getAvailableTables(restaurantId) {
+  // Active bookings from now to the end of the day, keyed by table.
+  // Bookings are optional - restaurants without the migration get none.
+  async getTodaysBookings(restaurantId, now = new Date()) {
+    try {
+      const endOfDay = new Date(now)
+      endOfDay.setHours(23, 59, 59, 999)
+      return await ReservationService.getActiveReservationsByTable(restaurantId, now, endOfDay)
+    } catch (error) {
+      console.warn('Could not load table bookings:', error)
+      return new Map()
+    }
+  }
+
+  // Tables with an open bill request. Service requests are optional -
+  // restaurants without the migration get none.
+  async getOpenBillTableIds(restaurantId, tableId = null) {
+    try {
+      let query = this.supabase
+        .from('service_requests')
+        .select('table_id')
+        .eq('restaurant_id', restaurantId)
+        .eq('request_type', SERVICE_REQUEST_TYPES.BILL)
+        .in('status', OPEN_SERVICE_REQUEST_STATUSES)
+
+      if (tableId) query = query.eq('table_id', tableId)
+
+      const { data, error } = await query
+      if (error) throw error
+      return new Set((data || []).map(request => request.table_id))
+    } catch (error) {
+      console.warn('Could not load bill requests:', error)
+      return new Set()
+    }
+  }
+
+  // Get available tables for staff ordering (free of live sessions and of
+  // any booking whose window covers `at`). Tables merged into another one
+  // are seated through their main table.
+  async getAvailableTables(restaurantId, at = new Date()) {
     try {
       const { data: tables, error } = await this.supabase
         .from('tables')
@@ -312,12 +379,15 @@ class TableService {
 
       if (error) throw error
 
+      const bookingsByTable = await this.getTodaysBookings(restaurantId, at)
+
       // Filter only available tables
       const availableTables = tables.filter(table => {
         const hasActiveSession = table.customer_sessions?.some(session => 
           session.status === 'active' && !session.ended_at
         )
-        return !hasActiveSession
+        const isBooked = (bookingsByTable.get(table.id) || []).some(booking => isTableBlockedAt(booking, at))
+        return !hasActiveSession && !isBooked && !table.merged_into
       })
 
       return availableTables
@@ -327,6 +397,94 @@ class TableService {
     }
   }
 
+  // Floor plan (grid size and sections) of a restaurant
+  async getFloorPlan(restaurantId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('users')
+        .select('floor_plan')
+        .eq('id', restaurantId)
+        .maybeSingle()
+
+      if (error) throw error
+      return getFloorPlan(data)
+    } catch (error) {
+      console.error('Error loading floor plan:', error)
+      throw error
+    }
+  }
+
+  // Save the floor plan and every table's position, shape, size and merge.
+  // Each table takes the name of the section it sits in as its location.
+  async saveFloorPlan(restaurantId, plan, tables) {
+    try {
+      const floorPlan = getFloorPlan({ floor_plan: plan })
+
+      const { error } = await this.supabase
+        .from('users')
+        .update({ floor_plan: floorPlan })
+        .eq('id', restaurantId)
+
+      if (error) throw error
+
+      const results = await Promise.all(tables.map(table => {
+        const rect = clampRect(getTableRect(table), floorPlan)
+        const section = findSectionForTable(floorPlan.sections, rect)
+
+        return this.supabase
+          .from('tables')
+          .update({
+            floor_x: rect.x,
+            floor_y: rect.y,
+            floor_width: rect.width,
+            floor_height: rect.height,
+            floor_shape: table.floor_shape || 'square',
+            merged_into: table.merged_into || null,
+            location: section ? section.name : table.location
+          })
+          .eq('id', table.id)
+          .eq('restaurant_id', restaurantId)
+      }))
+
+      const failed = results.find(result => result.error)
+      if (failed) throw failed.error
+
+      console.log('✅ Floor plan saved:', tables.length, 'tables')
+      return floorPlan
+    } catch (error) {
+      console.error('Error saving floor plan:', error)
+      throw error
+    }
+  }
+
+  // Staff or owner marks a table (and its merged group) clean
+  async markTableClean(tableId) {
+    try {
+      const { error } = await this.supabase.rpc('mark_table_clean', { p_table_id: tableId })
+      if (error) throw error
+    } catch (error) {
+      console.error('Error marking table clean:', error)
+      throw error
+    }
+  }
+
+  // Live floor changes: tables, customer sessions and service requests of a
+  // restaurant. Returns the channel; call unsubscribe() on it when done.
+  subscribeToFloor(restaurantId, onChange) {
+    const filter = `restaurant_id=eq.${restaurantId}`
+    const handle = (table) => (payload) => onChange({
+      table,
+      tableId: table === 'tables' ? payload.new?.id || payload.old?.id : payload.new?.table_id || payload.old?.table_id
+    })
+
+    return this.supabase
+      .channel(`floor-${restaurantId}-${Date.now()}`)
+      .on('postgres_changes', { event: '*', schema: 'public', table: 'tables', filter }, handle('tables'))
+      .on('postgres_changes', { event: '*', schema: 'public', table: 'customer_sessions', filter }, handle('customer_sessions'))
+      .on('postgres_changes', { event: '*', schema: 'public', table: 'service_requests', filter }, handle('service_requests'))
+      .subscribe()
+  }
+
   // Notify table status change via real-time
   async notifyTableStatusChange(tableId, status, reservedBy = null, staffId = null) {
     try {
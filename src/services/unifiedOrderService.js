@@ -1,6 +1,13 @@
 import { supabase } from '../config/supabase'
 import toast from 'react-hot-toast'
 import PerformanceMonitorService from './performanceMonitorService'
+import realtimeService from './realtimeService'
+import SplitBillService from './splitBillService'
+import InventoryService from './inventoryService'
+import PromotionService from './promotionService'
+import StaffAssignmentService from './staffAssignmentService'
+import { calculateBill, getTaxSettings } from '../utils/taxUtils'
+import { buildVerificationPayload, OrderVerificationError } from '../utils/orderVerificationUtils'
 
 /**
  * 🎯 UNIFIED ORDER SERVICE
@@ -42,24 +49,38 @@ class UnifiedOrderService {
 
   /**
    * 🔄 Retry mechanism for database operations
+   * Only transient failures are retried; any other error is rethrown
+   * unchanged straight away, as is the last transient one.
    */
   static async retryOperation(operation, maxRetries = 3, delay = 1000) {
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
       try {
         return await operation()
       } catch (error) {
+        if (!this.isTransientError(error) || attempt === maxRetries) throw error
+
         console.warn(`⚠️ Attempt ${attempt} failed:`, error.message)
         
-        if (attempt === maxRetries) {
-          throw new Error(`Operation failed after ${maxRetries} attempts: ${error.message}`)
-        }
-        
         // Exponential backoff
         await new Promise(resolve => setTimeout(resolve, delay * attempt))
       }
     }
   }
 
+  /**
+   * 🌐 Whether an error is worth retrying: network failures (no code),
+   * PostgREST connection errors and Postgres connection, deadlock,
+   * resource and timeout errors. Errors the database raised on purpose
+   * (P0001, 42501, 23505, a missing function...) are not.
+   * @param {Object} error - Supabase/PostgREST error
+   * @returns {boolean}
+   */
+  static isTransientError(error) {
+    if (error instanceof OrderVerificationError) return false
+    if (!error?.code) return true
+    return /^PGRST00[0-3]$/.test(error.code) || /^(08|40|53|57)/.test(error.code)
+  }
+
   /**
    * 🛡️ Validate order data before processing
    */
@@ -106,9 +127,12 @@ class UnifiedOrderService {
     specialInstructions = '',
     paymentMethod = 'cash',
     tipAmount = 0,
-    discountAmount = 0,
+    discountAmount = 0, // Discounts other than offers (Ordyrr Coins)
     coinsRedeemed = 0, // Ordyrr Coins redeemed for this order
-    firstOrderDiscountApplied = false
+    couponCode = null,
+    promotionDiscount = null, // Offer discount the customer was shown, if any
+    idempotencyKey = null, // Client key - resending it returns the order already created
+    sessionId = null // Customer's table session (useCartStore) - every order in it shares one bill
   }) {
     const operationId = `order_create_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
     
@@ -134,6 +158,20 @@ class UnifiedOrderService {
       // Step 1: Validate inputs with enhanced validation
       this.validateOrderData({ cartItems, customerInfo, restaurantId, tableId })
 
+      // Callers that can resend (checkout, offline queue) pass their own key;
+      // anything else still gets one so the write below is safe to retry
+      const submissionKey = idempotencyKey || this.generateIdempotencyKey()
+
+      // Step 1.5: A retried or replayed submission returns the original order
+      if (idempotencyKey) {
+        const existingOrder = await this.findOrderByIdempotencyKey(idempotencyKey)
+        if (existingOrder) {
+          console.log('♻️ Order already created for this submission:', existingOrder.order_number)
+          PerformanceMonitorService.endTracking(operationId, true)
+          return existingOrder
+        }
+      }
+
       // Step 2: Calculate totals with debugging
       console.log('🧮 Calculating totals for cart items:', cartItems.map(item => ({
         id: item.id,
@@ -143,73 +181,51 @@ class UnifiedOrderService {
         total: item.price * (item.quantity || 1)
       })))
       
-      const subtotal = cartItems.reduce((sum, item) => {
-        const itemPrice = parseFloat(item.price) || 0
-        const itemQuantity = parseInt(item.quantity) || 1
-        const itemTotal = itemPrice * itemQuantity
-        console.log(`📊 Item: ${item.name}, Price: ₹${itemPrice}, Qty: ${itemQuantity}, Total: ₹${itemTotal}`)
-        return sum + itemTotal
-      }, 0)
-      
-      console.log('💰 Subtotal calculated:', subtotal)
-      
-      const platformFeeRate = 0.015 // 1.5% platform fee (same as cart)
-      const platformFee = subtotal * platformFeeRate
-      const totalAmount = subtotal + platformFee + tipAmount - discountAmount
+      // Offers go through the same engine as the cart. Usage limits are per
+      // signed-in customer, so guest records created below do not count.
+      const promotionCustomerId = customerInfo?.customerId || null
+      const promotion = await PromotionService.evaluateCart({
+        restaurantId,
+        customerId: promotionCustomerId,
+        cartItems,
+        couponCode
+      })
+
+      if (promotionDiscount !== null && Math.abs(promotion.discount - promotionDiscount) >= 0.01) {
+        throw new Error(promotion.couponError || 'Your offer has changed. Please review your cart and try again.')
+      }
+
+      const totalDiscount = discountAmount + promotion.discount
+      const taxSettings = await this.getRestaurantTaxSettings(restaurantId)
+      const taxedItems = await this.attachItemTaxCodes(cartItems)
+      const bill = calculateBill(taxedItems, taxSettings, { discountAmount: totalDiscount, tipAmount })
+      const subtotal = bill.subtotal
+      const totalAmount = bill.total
       
       console.log('📋 Order totals:', {
         subtotal: subtotal,
-        platformFee: platformFee,
+        gst: bill.taxBreakdown.total,
+        serviceCharge: bill.serviceCharge.amount,
+        platformFee: bill.platformFee,
         tipAmount: tipAmount,
-        discountAmount: discountAmount,
+        discountAmount: totalDiscount,
+        offer: promotion.offer?.offer_code || null,
         totalAmount: totalAmount
       })
 
       // Step 3: Generate order number
       const orderNumber = `ORD-${Date.now()}-${Math.random().toString(36).substr(2, 6).toUpperCase()}`
 
-      // Step 4: Create customer session if needed
-      let sessionId = null
-      if (source === 'customer') {
-        sessionId = `customer_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
-        
-        const { error: sessionError } = await supabase
-          .from('customer_sessions')
-          .insert({
-            session_id: sessionId,
-            restaurant_id: restaurantId,
-            table_id: tableId,
-            customer_name: customerInfo.name || 'Customer',
-            customer_phone: customerInfo.phone || null,
-            customer_email: customerInfo.email || null,
-            status: 'active'
-          })
-
-        if (sessionError) throw sessionError
-      } else if (source === 'staff') {
-        sessionId = `staff_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
-        
-        const { error: sessionError } = await supabase
-          .from('customer_sessions')
-          .insert({
-            session_id: sessionId,
-            restaurant_id: restaurantId,
-            table_id: tableId,
-            customer_name: customerInfo.name,
-            customer_phone: customerInfo.phone,
-            customer_email: customerInfo.email || null,
-            created_by_staff: true,
-            staff_id: staffId,
-            status: 'active'
-          })
-
-        if (sessionError) throw sessionError
-      }
+      // Step 4: Customer session (reserves the table) - written with the order
+      const sessionData = this.buildSessionData({ source, sessionId, restaurantId, tableId, customerInfo, staffId })
+      const orderSessionId = sessionData?.session_id || null
 
       // Step 5: Auto-assign staff for customer orders
       let assignedStaffId = staffId // For staff-assisted orders
+      let assignment = null
       if (source === 'customer') {
-        assignedStaffId = await this.autoAssignStaff(restaurantId)
+        assignment = await this.autoAssignStaff(restaurantId, { tableId })
+        assignedStaffId = assignment?.staffId || null
       }
 
       // Step 6: Create or get customer record for order
@@ -244,18 +260,23 @@ class UnifiedOrderService {
         }
       }
 
-      // Step 7: Create the order
+      // Step 7: Order row
       const orderData = {
         restaurant_id: restaurantId,
         table_id: tableId,
-        session_id: sessionId,
+        session_id: orderSessionId,
         order_number: orderNumber,
         status: assignedStaffId ? 'assigned' : 'pending',
         order_type: source === 'staff' ? 'staff_assisted' : 'dine_in',
         subtotal: subtotal,
-        tax_amount: platformFee, // Store platform fee in tax_amount field for backward compatibility
+        tax_amount: bill.taxBreakdown.total, // GST only - fees are stored separately
+        tax_breakdown: bill.taxBreakdown,
+        service_charge: bill.serviceCharge.amount + bill.serviceCharge.tax,
+        platform_fee: bill.platformFee,
         tip_amount: tipAmount,
-        discount_amount: discountAmount,
+        discount_amount: totalDiscount,
+        offer_id: promotion.offer?.id || null,
+        offer_discount: promotion.discount,
         coins_redeemed: coinsRedeemed, // Track Ordyrr Coins used for this order
         total_amount: totalAmount,
         payment_method: paymentMethod,
@@ -264,7 +285,6 @@ class UnifiedOrderService {
         assigned_staff_id: assignedStaffId,
         assigned_at: assignedStaffId ? new Date().toISOString() : null,
         estimated_preparation_time: this.calculatePreparationTime(cartItems)
-        // Note: Offer usage is tracked in customer_offers table, not in orders table
       };
 
       // Only add customer_id if we successfully created/found a customer
@@ -275,163 +295,75 @@ class UnifiedOrderService {
         console.log('⚠️ No customer_id available, creating order without customer link');
       }
 
-      const { data: order, error: orderError } = await supabase
-        .from('orders')
-        .insert(orderData)
-        .select()
-        .single()
+      // Step 8: Order items
+      // unit_price already includes modifier price deltas (see useCartStore.addToCart)
+      // Tax columns come from the matching bill line (same order as cartItems)
+      const orderItemsData = cartItems.map((item, index) => {
+        const taxLine = bill.lines[index]
+        return {
+          menu_item_id: item.id,
+          item_name: item.name,
+          quantity: item.quantity,
+          unit_price: item.price,
+          total_price: item.price * item.quantity,
+          special_instructions: item.specialInstructions || '',
+          modifiers: item.modifiers || [],
+          hsn_code: taxLine.hsn_code,
+          gst_rate: taxLine.gst_rate,
+          taxable_value: taxLine.taxable_value,
+          tax_amount: taxLine.tax_amount,
+          cgst_amount: taxLine.cgst_amount,
+          sgst_amount: taxLine.sgst_amount,
+          igst_amount: taxLine.igst_amount
+        }
+      })
 
-      if (orderError) throw orderError
+      // Step 9: Write session (table reservation), order, items, offer usage and coins together.
+      // Prices, the offer and coins are re-checked in the database so a
+      // tampered cart cannot lower the bill.
+      const { order, items: orderItems, coinsEarned, deduplicated } = await this.saveOrderRecords({
+        idempotencyKey: submissionKey,
+        sessionData,
+        orderData,
+        orderItemsData,
+        verification: {
+          restaurantId,
+          customerId: promotionCustomerId,
+          cartItems,
+          offerId: promotion.offer?.id || null,
+          offerDiscount: promotion.discount,
+          coinsRedeemed,
+          coinsDiscount: discountAmount
+        }
+      })
+
+      if (deduplicated) {
+        console.log('♻️ Order already created for this submission:', order.order_number)
+        PerformanceMonitorService.endTracking(operationId, true)
+        return await this.findOrderByIdempotencyKey(submissionKey)
+      }
 
       console.log('✅ Order created:', order.order_number)
 
-      // Step 8: Create order items
-      const orderItems = cartItems.map(item => ({
-        order_id: order.id,
-        menu_item_id: item.id,
-        item_name: item.name,
-        quantity: item.quantity,
-        unit_price: item.price,
-        total_price: item.price * item.quantity,
-        special_instructions: item.specialInstructions || ''
-      }))
-
-      const { error: itemsError } = await supabase
-        .from('order_items')
-        .insert(orderItems)
-
-      if (itemsError) throw itemsError
-
-      console.log('✅ Order items created')
-
-      // Step 8.5: Track offer usage if discount was applied
-      if (discountAmount > 0 && firstOrderDiscountApplied && customerId) {
-        console.log('💰 Recording offer usage:', {
-          discountAmount,
-          firstOrderDiscountApplied,
-          customerId,
-          orderId: order.id
-        })
-        
-        try {
-          // Get the first order offer
-          const { data: offer, error: offerError } = await supabase
-            .from('offers')
-            .select('id, offer_code')
-            .eq('offer_code', 'FIRST_ORDER_10')
-            .eq('is_active', true)
-            .single()
-          
-          if (offerError) {
-            console.error('❌ Failed to fetch offer:', offerError)
-            throw offerError
-          }
-          
-          if (!offer) {
-            console.error('❌ Offer not found: FIRST_ORDER_10')
-            throw new Error('Offer not found')
-          }
-          
-          console.log('✅ Found offer to record:', offer.offer_code, 'ID:', offer.id)
-          
-          // Record offer usage
-          const { data: insertedData, error: offerUsageError } = await supabase
-            .from('customer_offers')
-            .insert({
-              customer_id: customerId,
-              offer_id: offer.id,
-              order_id: order.id,
-              discount_amount: discountAmount
-            })
-            .select()
-          
-          if (offerUsageError) {
-            console.error('❌ Failed to track offer usage:', offerUsageError)
-            throw offerUsageError
-          }
-          
-          console.log('✅ Offer usage tracked successfully:', insertedData)
-        } catch (offerError) {
-          console.error('❌ CRITICAL: Error tracking offer usage:', offerError)
-          // This is critical - we should not silently fail
-          // The discount was applied but not tracked, which allows reuse
-          throw new Error(`Failed to track offer usage: ${offerError.message}`)
-        }
-      } else {
-        console.log('ℹ️ Skipping offer usage tracking:', {
-          discountAmount,
-          firstOrderDiscountApplied,
-          customerId: customerId || 'missing'
-        })
-      }
+      // Why this staff member got the order, for the owner
+      await StaffAssignmentService.recordAssignment(assignment, order.id)
 
-      // Step 9: Reserve table NOW (only after successful order creation)
-      try {
-        console.log('🪑 Reserving table after successful order creation...')
-        
-        // Import tableService dynamically to avoid circular imports
+      if (sessionData) {
         const { default: tableService } = await import('./tableService')
-        
-        if (source === 'customer') {
-          await tableService.reserveTableByCustomer(
-            tableId,
-            restaurantId,
-            sessionId,
-            {
-              name: customerInfo.name || 'Customer',
-              phone: customerInfo.phone,
-              email: customerInfo.email
-            }
-          )
-        } else if (source === 'staff') {
-          await tableService.reserveTableByStaff(
-            tableId,
-            {
-              name: customerInfo.name,
-              phone: customerInfo.phone,
-              email: customerInfo.email
-            },
-            restaurantId,
-            staffId
-          )
-        }
-        
-        console.log('✅ Table reserved successfully after order creation')
-      } catch (reservationError) {
-        console.warn('⚠️ Table reservation failed but order was created:', reservationError)
-        // Don't fail the entire order if table reservation fails
+        await tableService.notifyTableStatusChange(tableId, 'reserved', source, staffId)
       }
 
-      // Step 10: Create loyalty points (if customer exists)
-      if (customerId) {
-        try {
-          console.log('🎁 Step 10: Creating loyalty points...');
-          const pointsEarned = Math.floor(totalAmount * 0.1); // 10% of total as points
-          
-          const { error: loyaltyError } = await supabase
-            .from('loyalty_points')
-            .insert({
-              customer_id: customerId,
-              restaurant_id: restaurantId,
-              order_id: order.id,
-              points_earned: pointsEarned,
-              points_redeemed: 0,
-              current_balance: pointsEarned, // Track current balance
-              tier: 'bronze', // Default tier
-              transaction_type: 'earned',
-              description: `Points earned from order ${orderNumber}`
-            });
-          
-          if (loyaltyError) {
-            console.warn('⚠️ Loyalty points creation failed:', loyaltyError);
-          } else {
-            console.log('✅ Loyalty points created:', pointsEarned);
-          }
-        } catch (loyaltyErr) {
-          console.warn('⚠️ Loyalty points error:', loyaltyErr);
-        }
-      } else {
-        console.log('ℹ️ Skipping loyalty points - no customer record');
+      // Step 10: Loyalty points, posted with the order by the restaurant's rules
+      const loyaltyPointsEarned = coinsEarned || 0
+      if (loyaltyPointsEarned > 0) {
+        console.log('✅ Loyalty points awarded:', loyaltyPointsEarned)
+      }
+
+      // Step 10.5: Deduct ingredient stock (low/out of stock alerts go to the owner)
+      try {
+        await InventoryService.deductForOrder(order)
+      } catch (inventoryError) {
+        console.warn('⚠️ Inventory deduction failed but order was created:', inventoryError)
       }
 
       // Step 11: Add to order queue
@@ -451,7 +383,8 @@ class UnifiedOrderService {
         ...order,
         table_number: tableInfo?.table_number,
         items: orderItems,
-        assigned_staff_id: assignedStaffId
+        assigned_staff_id: assignedStaffId,
+        loyalty_points_earned: loyaltyPointsEarned
       }
 
       // End performance tracking - success
@@ -470,29 +403,185 @@ class UnifiedOrderService {
   }
 
   /**
-   * 🤖 Auto-assign order to available staff
+   * 🔑 New idempotency key for one order submission
+   * @returns {string}
    */
-  static async autoAssignStaff(restaurantId) {
-    try {
-      // Get available staff members
-      const { data: availableStaff, error } = await supabase
-        .from('users')
-        .select('id, full_name')
-        .eq('restaurant_id', restaurantId)
-        .eq('role', 'staff')
-        .eq('is_available', true)
-        .eq('is_active', true)
-        .limit(1)
+  static generateIdempotencyKey() {
+    if (window.crypto?.randomUUID) return window.crypto.randomUUID()
+    return `order_${Date.now()}_${Math.random().toString(36).substr(2, 12)}`
+  }
 
+  /**
+   * 💾 Write an order's session, row, items, offer usage and coins in one transaction
+   * (create_order_transaction RPC). Safe to retry: the idempotency key makes a
+   * repeated call return the order already written.
+   * The database prices the order itself; orderData and orderItemsData must match it.
+   * @param {Object} params - { idempotencyKey, sessionData, orderData, orderItemsData, verification }
+   * @returns {Promise<Object>} - { order, items, coinsEarned, deduplicated }
+   * @throws {OrderVerificationError} - When prices, the offer or coins don't match
+   */
+  static async saveOrderRecords({ idempotencyKey, sessionData, orderData, orderItemsData, verification }) {
+    const { cartItems, ...checks } = verification
+
+    const result = await this.retryOperation(async () => {
+      const { data, error } = await supabase.rpc('create_order_transaction', {
+        p_idempotency_key: idempotencyKey,
+        p_session: sessionData,
+        p_order: orderData,
+        p_items: orderItemsData,
+        p_verification: {
+          customer_id: checks.customerId,
+          items: buildVerificationPayload(cartItems),
+          offer_id: checks.offerId,
+          offer_discount: checks.offerDiscount,
+          coins_redeemed: checks.coinsRedeemed,
+          coins_discount: checks.coinsDiscount
+        }
+      })
+
+      if (error?.code === 'PGRST202' || error?.code === '42883') {
+        console.error('❌ create_order_transaction is missing - run add_transactional_order_create.sql. Orders cannot be taken without it.')
+      }
       if (error) throw error
+      return data
+    })
 
-      if (availableStaff && availableStaff.length > 0) {
-        console.log('🎯 Auto-assigned to staff:', availableStaff[0].full_name)
-        return availableStaff[0].id
+    if (!result.valid) throw new OrderVerificationError(result.issues || [])
+    return {
+      order: result.order,
+      items: result.items || [],
+      coinsEarned: result.coins_earned || 0,
+      deduplicated: result.deduplicated
+    }
+  }
+
+  /**
+   * 🪑 customer_sessions row an order is written under
+   * Customer orders join the table session they were placed from, so the
+   * session's orders add up to one bill (SplitBillService.getTableBill).
+   * create_order_transaction only inserts the row for the session's first order.
+   * @param {Object} params - { source, sessionId, restaurantId, tableId, customerInfo, staffId }
+   * @returns {Object|null} - customer_sessions row, null for other sources
+   */
+  static buildSessionData({ source, sessionId = null, restaurantId, tableId, customerInfo = {}, staffId = null }) {
+    if (source === 'customer') {
+      return {
+        session_id: sessionId || `customer_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        restaurant_id: restaurantId,
+        table_id: tableId,
+        customer_name: customerInfo.name || 'Customer',
+        customer_phone: customerInfo.phone || null,
+        customer_email: customerInfo.email || null,
+        status: 'active'
       }
+    }
 
-      console.log('⚠️ No available staff found')
-      return null
+    if (source === 'staff') {
+      return {
+        session_id: `staff_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        restaurant_id: restaurantId,
+        table_id: tableId,
+        customer_name: customerInfo.name,
+        customer_phone: customerInfo.phone,
+        customer_email: customerInfo.email || null,
+        created_by_staff: true,
+        staff_id: staffId,
+        status: 'active'
+      }
+    }
+
+    return null
+  }
+
+  /**
+   * ♻️ Find the order created for an idempotency key
+   * @param {string} idempotencyKey - Client submission key
+   * @returns {Promise<Object|null>} - Order shaped like createOrder's result, or null
+   */
+  static async findOrderByIdempotencyKey(idempotencyKey) {
+    const { data: order, error } = await supabase
+      .from('orders')
+      .select('*, order_items(*), tables(table_number)')
+      .eq('idempotency_key', idempotencyKey)
+      .maybeSingle()
+
+    if (error) throw error
+    if (!order) return null
+
+    const { order_items: items, tables, ...orderFields } = order
+    return {
+      ...orderFields,
+      table_number: tables?.table_number,
+      items: items || [],
+      deduplicated: true
+    }
+  }
+
+  /**
+   * 🧾 Get a restaurant's GST settings
+   * Restaurants that never configured tax get the defaults (GST off).
+   * @param {string} restaurantId - Restaurant ID
+   * @returns {Promise<Object>} - Tax settings (see taxUtils.getTaxSettings)
+   */
+  static async getRestaurantTaxSettings(restaurantId) {
+    const cacheKey = `tax_settings_${restaurantId}`
+    const cached = this.getCachedData(cacheKey)
+    if (cached) return cached
+
+    const { data: restaurant, error } = await supabase
+      .from('users')
+      .select('gstin, tax_settings')
+      .eq('id', restaurantId)
+      .maybeSingle()
+
+    if (error) {
+      console.warn('⚠️ Could not load tax settings, using defaults:', error)
+    }
+
+    const settings = getTaxSettings(restaurant)
+    this.setCachedData(cacheKey, settings)
+    return settings
+  }
+
+  /**
+   * 🏷️ Attach each cart item's HSN/SAC code, GST rate and category from
+   * menu_items so the order is taxed (and earns loyalty points) with the
+   * restaurant's current setup rather than whatever the (persisted) cart carried.
+   * @param {Array} cartItems - Cart items
+   * @returns {Promise<Array>} - Cart items with hsn_code, gst_rate and category_id
+   */
+  static async attachItemTaxCodes(cartItems) {
+    const menuItemIds = [...new Set(cartItems.map(item => item.id).filter(Boolean))]
+    if (menuItemIds.length === 0) return cartItems
+
+    const { data: menuItems, error } = await supabase
+      .from('menu_items')
+      .select('id, hsn_code, gst_rate, category_id')
+      .in('id', menuItemIds)
+
+    if (error) {
+      console.warn('⚠️ Could not load item tax codes, using restaurant defaults:', error)
+      return cartItems.map(item => ({ ...item, hsn_code: null, gst_rate: null }))
+    }
+
+    const taxCodes = new Map((menuItems || []).map(menuItem => [menuItem.id, menuItem]))
+    return cartItems.map(item => ({
+      ...item,
+      hsn_code: taxCodes.get(item.id)?.hsn_code || null,
+      gst_rate: taxCodes.get(item.id)?.gst_rate ?? null,
+      category_id: taxCodes.get(item.id)?.category_id ?? item.category_id ?? null
+    }))
+  }
+
+  /**
+   * 🤖 Auto-assign order to available staff (see StaffAssignmentService.pickStaff)
+   * @param {string} restaurantId - Restaurant ID
+   * @param {Object} options - { tableId, excludeStaffIds, source }
+   * @returns {Promise<Object|null>} - Assignment decision; staffId is null when nobody is free
+   */
+  static async autoAssignStaff(restaurantId, options = {}) {
+    try {
+      return await StaffAssignmentService.pickStaff(restaurantId, options)
     } catch (error) {
       console.error('❌ Error auto-assigning staff:', error)
       return null
@@ -593,6 +682,14 @@ class UnifiedOrderService {
           })
       }
 
+      // Live screens (kitchen display, dashboards) listen on the restaurant channel
+      await realtimeService.notifyRestaurant(order.restaurant_id, 'new_order', {
+        orderId: order.id,
+        orderNumber: order.order_number,
+        tableNumber,
+        source
+      })
+
       console.log('✅ Notifications sent')
     } catch (error) {
       console.error('❌ Error sending notifications:', error)
@@ -678,8 +775,13 @@ class UnifiedOrderService {
       if (error) throw error
 
       // Try to reassign to another staff member
-      const newStaffId = await this.autoAssignStaff(order.restaurant_id)
-      
+      const reassignment = await this.autoAssignStaff(order.restaurant_id, {
+        tableId: order.table_id,
+        excludeStaffIds: [staffId],
+        source: 'reassign'
+      })
+      const newStaffId = reassignment?.staffId || null
+
       if (newStaffId) {
         await supabase
           .from('orders')
@@ -690,6 +792,7 @@ class UnifiedOrderService {
           })
           .eq('id', orderId)
       }
+      await StaffAssignmentService.recordAssignment(reassignment, orderId)
 
       // Get table info
       const { data: tableInfo } = await supabase
@@ -741,7 +844,8 @@ class UnifiedOrderService {
             item_name,
             quantity,
             unit_price,
-            total_price
+            total_price,
+            modifiers
           ),
           customer_sessions (
             customer_name,
@@ -895,6 +999,7 @@ class UnifiedOrderService {
             unit_price,
             total_price,
             special_instructions,
+            modifiers,
             menu_items (
               name,
               image_url
@@ -967,17 +1072,30 @@ class UnifiedOrderService {
 
   /**
    * 📍 Track order by order number (public tracking)
+   * Short numbers (A-042) restart every day, so they are looked up within a
+   * restaurant and resolve to its latest order with that number. The long
+   * order_number (ORD-...) is unique and works without a restaurant.
+   * Used by the staff order search and the customer "find your order" form.
+   * @param {string} orderNumber - display_number or order_number
+   * @param {string} restaurantId - Restaurant to search (needed for short numbers)
    */
-  static async trackOrderByNumber(orderNumber) {
+  static async trackOrderByNumber(orderNumber, restaurantId = null) {
     try {
-      const { data: order, error } = await supabase
+      const number = orderNumber.trim().replace(/^#/, '').toUpperCase()
+      if (!/^[A-Z0-9-]+$/.test(number)) throw new Error('Please enter a valid order number')
+
+      let query = supabase
         .from('orders')
         .select(`
           *,
           order_items (
+            id,
             item_name,
             quantity,
-            unit_price
+            unit_price,
+            total_price,
+            modifiers,
+            special_instructions
           ),
           tables (
             table_number
@@ -986,14 +1104,25 @@ class UnifiedOrderService {
             full_name
           )
         `)
-        .eq('order_number', orderNumber)
-        .single();
+
+      if (restaurantId) {
+        query = query
+          .eq('restaurant_id', restaurantId)
+          .or(`order_number.eq.${number},display_number.eq.${number}`)
+      } else {
+        query = query.eq('order_number', number)
+      }
+
+      const { data: orders, error } = await query
+        .order('created_at', { ascending: false })
+        .limit(1);
 
       if (error) throw error;
+      if (!orders?.length) throw new Error(`Order #${number} not found`)
 
       return {
-        ...order,
-        tracking_steps: this.getOrderTrackingSteps(order)
+        ...orders[0],
+        tracking_steps: this.getOrderTrackingSteps(orders[0])
       };
     } catch (error) {
       console.error('❌ Error tracking order:', error);
@@ -1111,7 +1240,8 @@ class UnifiedOrderService {
             quantity,
             unit_price,
             total_price,
-            special_instructions
+            special_instructions,
+            modifiers
           ),
           tables (
             table_number,
@@ -1368,6 +1498,13 @@ class UnifiedOrderService {
         console.log('📝 Notification table not available, status logged only')
       }
 
+      await realtimeService.notifyRestaurant(order.restaurant_id, 'order_update', {
+        orderId: order.id,
+        orderNumber: order.order_number,
+        status: newStatus,
+        updatedBy
+      })
+
       console.log('✅ Status update notifications processed')
     } catch (error) {
       console.error('❌ Error sending status notifications:', error)
@@ -1381,6 +1518,9 @@ class UnifiedOrderService {
     try {
       console.log('🏠 Releasing table:', { tableId, restaurantId, releasedBy })
 
+      // Split bills must be fully paid before the table is freed
+      await SplitBillService.assertTableSettled(tableId)
+
       // End active customer sessions for this table
       const { data: sessions, error: sessionError } = await supabase
         .from('customer_sessions')
@@ -1443,7 +1583,8 @@ class UnifiedOrderService {
             quantity,
             unit_price,
             total_price,
-            special_instructions
+            special_instructions,
+            modifiers
           ),
           customer_sessions (
             customer_name,
@@ -1545,7 +1686,8 @@ class UnifiedOrderService {
             quantity,
             unit_price,
             total_price,
-            special_instructions
+            special_instructions,
+            modifiers
           ),
           tables (
             table_number,
@@ -1620,7 +1762,8 @@ class UnifiedOrderService {
             quantity,
             unit_price,
             total_price,
-            special_instructions
+            special_instructions,
+            modifiers
           ),
           assigned_staff:users!assigned_staff_id (
             id,
@@ -1660,7 +1803,8 @@ class UnifiedOrderService {
             quantity,
             unit_price,
             total_price,
-            special_instructions
+            special_instructions,
+            modifiers
           ),
           customer_sessions (
             customer_name,
@@ -1727,7 +1871,8 @@ class UnifiedOrderService {
             quantity,
             unit_price,
             total_price,
-            special_instructions
+            special_instructions,
+            modifiers
           ),
           assigned_staff:users!assigned_staff_id (
             id,
@@ -0,0 +1,127 @@
+import { supabase } from '../config/supabase'
+import {
+  WALLET_SETTINGS_KEY,
+  calculateWalletSettlement,
+  getWalletSettings,
+  walletSettlementToCsv
+} from '../utils/walletUtils'
+import { toDateKey } from '../utils/reservationUtils'
+
+const PAGE_SIZE = 1000
+
+/**
+ * 🪙 Ordyrr Coins Wallet Service
+ * Platform-wide wallet rules (platform_settings 'ordyrr_wallet') and the
+ * settlement between restaurants for coins redeemed away from the
+ * restaurant that issued them. Rules are changed by super admins only.
+ */
+class WalletService {
+  /**
+   * ⚙️ Wallet rules
+   * @returns {Promise<Object>}
+   */
+  static async getSettings() {
+    const { data, error } = await supabase
+      .from('platform_settings')
+      .select('value')
+      .eq('key', WALLET_SETTINGS_KEY)
+      .maybeSingle()
+
+    if (error) throw error
+    return getWalletSettings(data?.value)
+  }
+
+  /**
+   * 💾 Save the wallet rules (super admin)
+   * @param {Object} settings - Wallet settings (see DEFAULT_WALLET_SETTINGS)
+   */
+  static async saveSettings(settings) {
+    const { data: { user } } = await supabase.auth.getUser()
+
+    const { error } = await supabase
+      .from('platform_settings')
+      .upsert({
+        key: WALLET_SETTINGS_KEY,
+        value: getWalletSettings(settings),
+        updated_by: user?.id || null,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'key' })
+
+    if (error) throw error
+    console.log('✅ Wallet settings saved')
+  }
+
+  /**
+   * 🏪 Restaurants currently in the wallet
+   * @returns {Promise<Array>} - users rows (id, full_name)
+   */
+  static async getParticipants() {
+    const { data: ids, error } = await supabase.rpc('loyalty_wallet_restaurants')
+    if (error) throw error
+    if (!ids || ids.length === 0) return []
+
+    const { data, error: usersError } = await supabase
+      .from('users')
+      .select('id, full_name')
+      .in('id', ids)
+      .order('full_name', { ascending: true })
+
+    if (usersError) throw usersError
+    return data || []
+  }
+
+  /**
+   * 🧾 Who owes whom for coins redeemed across restaurants in a period
+   * @param {Date} from - Period start
+   * @param {Date} until - Period end
+   * @returns {Promise<Object>} - calculateWalletSettlement result plus participants and generatedAt
+   */
+  static async getSettlementReport(from, until) {
+    const [settings, participants] = await Promise.all([
+      this.getSettings(),
+      this.getParticipants()
+    ])
+
+    // Coins redeemed in the period may have been earned long before it
+    const rows = []
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+      const { data, error } = await supabase
+        .rpc('get_wallet_ledger', { p_to: until.toISOString() })
+        .range(offset, offset + PAGE_SIZE - 1)
+
+      if (error) throw error
+      rows.push(...data)
+      if (data.length < PAGE_SIZE) break
+    }
+
+    const restaurantNames = Object.fromEntries(
+      participants.map(restaurant => [restaurant.id, restaurant.full_name || 'Restaurant'])
+    )
+
+    return {
+      ...calculateWalletSettlement(rows, { from, until, settings, restaurantNames }),
+      participants,
+      generatedAt: new Date().toISOString()
+    }
+  }
+
+  /**
+   * 📥 Download the settlement as CSV
+   * @param {Object} report - getSettlementReport result
+   */
+  static downloadCsv(report) {
+    const url = URL.createObjectURL(
+      new Blob([walletSettlementToCsv(report)], { type: 'text/csv;charset=utf-8' })
+    )
+
+    const link = document.createElement('a')
+    link.href = url
+    link.download = `ordyrr-coins-settlement-${toDateKey(report.from)}.csv`
+    document.body.appendChild(link)
+    link.click()
+    link.remove()
+    URL.revokeObjectURL(url)
+  }
+}
+
+export default WalletService
@@ -1,5 +1,12 @@
 import { create } from 'zustand'
 import { persist } from 'zustand/middleware'
+import { buildCartLineId, getUnitPrice } from '../utils/modifierUtils'
+import { calculateBill, DEFAULT_TAX_SETTINGS } from '../utils/taxUtils'
+
+// Cart lines are keyed by cartItemId so the same menu item with different
+// modifiers stays on separate lines. Carts persisted before modifiers existed
+// only have `id`, which is also the line id for items without modifiers.
+const getLineId = (cartItem) => cartItem.cartItemId || cartItem.id
 
 const useCartStore = create(
   persist(
@@ -8,6 +15,7 @@ const useCartStore = create(
       sessionId: null,
       tableId: null,
       restaurantId: null,
+      couponCode: '', // Entered coupon, evaluated by PromotionService in cart and checkout
 
       // Initialize cart session
       initializeSession: (restaurantId, tableId) => {
@@ -17,46 +25,76 @@ const useCartStore = create(
         return sessionId
       },
 
-      // Add item to cart
-      addToCart: (item) => {
+      // Add item to cart (optionally with chosen modifiers and quantity)
+      addToCart: (item, modifiers = [], quantity = 1) => {
+        const selectedModifiers = modifiers || []
+        const cartItemId = buildCartLineId(item.id, selectedModifiers)
+
         set((state) => {
-          const existingItem = state.cart.find(cartItem => cartItem.id === item.id)
+          const existingItem = state.cart.find(cartItem => getLineId(cartItem) === cartItemId)
           if (existingItem) {
             return {
               cart: state.cart.map(cartItem =>
-                cartItem.id === item.id
-                  ? { ...cartItem, quantity: cartItem.quantity + 1 }
+                getLineId(cartItem) === cartItemId
+                  ? { ...cartItem, quantity: cartItem.quantity + quantity }
                   : cartItem
               )
             }
           }
-          return { cart: [...state.cart, { ...item, quantity: 1 }] }
+
+          const basePrice = parseFloat(item.base_price ?? item.price) || 0
+          return {
+            cart: [...state.cart, {
+              ...item,
+              cartItemId,
+              base_price: basePrice,
+              price: getUnitPrice({ price: basePrice }, selectedModifiers),
+              modifiers: selectedModifiers,
+              quantity
+            }]
+          }
         })
       },
 
-      // Update item quantity
-      updateQuantity: (itemId, quantity) => {
+      // Update line quantity (cartItemId, or menu item id for plain items)
+      updateQuantity: (cartItemId, quantity) => {
         if (quantity <= 0) {
-          get().removeFromCart(itemId)
+          get().removeFromCart(cartItemId)
           return
         }
         set((state) => ({
           cart: state.cart.map(item =>
-            item.id === itemId ? { ...item, quantity } : item
+            getLineId(item) === cartItemId ? { ...item, quantity } : item
           )
         }))
       },
 
-      // Remove item from cart
-      removeFromCart: (itemId) => {
+      // Remove line from cart
+      removeFromCart: (cartItemId) => {
         set((state) => ({
-          cart: state.cart.filter(item => item.id !== itemId)
+          cart: state.cart.filter(item => getLineId(item) !== cartItemId)
+        }))
+      },
+
+      // Set a line's unit price (e.g. after the server reports a new menu price)
+      repriceLine: (cartItemId, price) => {
+        set((state) => ({
+          cart: state.cart.map(item => {
+            if (getLineId(item) !== cartItemId) return item
+            const basePrice = price - getUnitPrice({ price: 0 }, item.modifiers)
+            return { ...item, base_price: basePrice, price }
+          })
         }))
       },
 
       // Clear cart
       clearCart: () => {
-        set({ cart: [] })
+        set({ cart: [], couponCode: '' })
+      },
+
+      // Set or remove (empty string) the coupon code
+      setCouponCode: (couponCode) => {
+        set({ couponCode: couponCode || '' })
       },
 
       // Get cart total
@@ -71,17 +109,23 @@ const useCartStore = create(
         return cart.reduce((count, item) => count + item.quantity, 0)
       },
 
-      // Get cart with tax
-      getCartWithTax: (taxRate = 0.18) => {
-        const subtotal = get().getCartTotal()
-        const tax = subtotal * taxRate
-        const total = subtotal + tax
-        return { subtotal, tax, total }
+      // Get total quantity of a menu item across all its modifier lines
+      getItemQuantity: (menuItemId) => {
+        const { cart } = get()
+        return cart
+          .filter(item => item.id === menuItemId)
+          .reduce((count, item) => count + item.quantity, 0)
+      },
+
+      // Get cart with GST, service charge and platform fee for the restaurant's tax settings
+      getCartWithTax: (taxSettings = DEFAULT_TAX_SETTINGS, { discountAmount = 0, tipAmount = 0 } = {}) => {
+        const bill = calculateBill(get().cart, taxSettings, { discountAmount, tipAmount })
+        return { ...bill, tax: bill.taxBreakdown.total }
       }
     }),
     {
       name: 'cart-storage',
-      partialize: (state) => ({ cart: state.cart, sessionId: state.sessionId })
+      partialize: (state) => ({ cart: state.cart, sessionId: state.sessionId, couponCode: state.couponCode })
     }
   )
 )
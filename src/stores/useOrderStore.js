@@ -3,6 +3,7 @@ import { supabase } from '../config/supabase'
 import UnifiedOrderService from '../services/unifiedOrderService'
 import NotificationService from '../services/notificationService'
 import toast from 'react-hot-toast'
+import { getOrderDisplayNumber } from '../utils/orderNumberUtils'
 
 const useOrderStore = create((set, get) => ({
   // ==================== STATE ====================
@@ -97,6 +98,7 @@ const useOrderStore = create((set, get) => ({
         source: 'customer',
         restaurantId: orderData.restaurantId,
         tableId: orderData.tableId,
+        sessionId: orderData.sessionId || null,
         cartItems: cart,
         customerInfo: orderData.customerInfo || {},
         specialInstructions: orderData.specialInstructions || '',
@@ -106,7 +108,7 @@ const useOrderStore = create((set, get) => ({
       
       set({ currentOrder: order })
       get().clearCart()
-      toast.success(`Order #${order.order_number} placed successfully!`)
+      toast.success(`Order #${getOrderDisplayNumber(order)} placed successfully!`)
       
       return { data: order, error: null }
     } catch (error) {
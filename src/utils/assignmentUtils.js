@@ -0,0 +1,203 @@
+/**
+ * Staff auto-assignment engine
+ * Ranks the staff who could take a new order. Used for every automatic
+ * assignment (customer orders, reassignment after a rejection) and for the
+ * owner's workload view.
+ *
+ * A staff member can take an order when they are available, on shift (once
+ * the restaurant uses clock-in), below the max concurrent orders and in an
+ * eligible role. Among those:
+ *  - balanced: load, section ownership, fairness (orders today) and time
+ *    since their last order are scored together
+ *  - round_robin: whoever has waited longest for an order goes next, with
+ *    section owners first
+ * Ties go to the staff ID, so the same inputs always pick the same person.
+ */
+
+export const ASSIGNMENT_STRATEGIES = {
+  BALANCED: 'balanced',
+  ROUND_ROBIN: 'round_robin'
+}
+
+export const ASSIGNMENT_STRATEGY_LABELS = {
+  balanced: {
+    label: 'Balanced',
+    description: 'Weighs current load, table section, orders today and time since last order'
+  },
+  round_robin: {
+    label: 'Round robin',
+    description: 'Takes turns: whoever has waited longest for an order goes next'
+  }
+}
+
+export const DEFAULT_ASSIGNMENT_SETTINGS = {
+  strategy: ASSIGNMENT_STRATEGIES.BALANCED,
+  max_concurrent_orders: 5,
+  section_priority: true, // Prefer staff who own the table's section
+  eligible_positions: [] // Lower-case positions that take table orders; empty means everyone
+}
+
+const SCORE_WEIGHTS = {
+  load: 40, // Full load costs this many points
+  section: 30,
+  fairnessPerOrder: 5, // Per order above the least busy colleague today
+  fairnessCap: 25,
+  waitingMax: 10 // For an hour or more since their last order
+}
+
+/**
+ * Merge a restaurant's saved settings with the defaults
+ * @param {Object} restaurant - users row (assignment_settings)
+ * @returns {Object}
+ */
+export const getAssignmentSettings = (restaurant) => {
+  const saved = restaurant?.assignment_settings || {}
+  const maxConcurrent = parseInt(saved.max_concurrent_orders)
+
+  return {
+    strategy: Object.values(ASSIGNMENT_STRATEGIES).includes(saved.strategy)
+      ? saved.strategy
+      : DEFAULT_ASSIGNMENT_SETTINGS.strategy,
+    max_concurrent_orders: maxConcurrent > 0 ? maxConcurrent : DEFAULT_ASSIGNMENT_SETTINGS.max_concurrent_orders,
+    section_priority: saved.section_priority === undefined
+      ? DEFAULT_ASSIGNMENT_SETTINGS.section_priority
+      : Boolean(saved.section_priority),
+    eligible_positions: (saved.eligible_positions || [])
+      .map(position => String(position).trim().toLowerCase())
+      .filter(Boolean)
+  }
+}
+
+/**
+ * Does a staff member look after the table's section?
+ * A section matches when the table's location contains it, so "Patio" owns
+ * "Patio - Left".
+ * @param {Array<string>} sections - Staff sections
+ * @param {string} tableSection - tables.location
+ * @returns {string|null} - Matching section
+ */
+export const findOwnedSection = (sections = [], tableSection) => {
+  if (!tableSection) return null
+  const location = tableSection.trim().toLowerCase()
+  return sections.find(section => section && location.includes(section.trim().toLowerCase())) || null
+}
+
+/**
+ * Why a staff member can't take the order right now, if they can't
+ * @returns {string|null}
+ */
+const getIneligibleReason = (candidate, { settings, tracking, excludeStaffIds }) => {
+  if (excludeStaffIds.includes(candidate.id)) return 'Passed on this order'
+  if (!candidate.is_available) return 'Offline'
+  if (tracking && !candidate.on_shift) return 'Not on shift'
+  if (candidate.active_orders >= settings.max_concurrent_orders) {
+    return `At capacity (${candidate.active_orders}/${settings.max_concurrent_orders})`
+  }
+  const position = (candidate.position || '').trim().toLowerCase()
+  if (settings.eligible_positions.length && !settings.eligible_positions.includes(position)) {
+    return `${candidate.position || 'No role'} doesn't take table orders`
+  }
+  return null
+}
+
+/**
+ * Rank every staff member for a new order
+ * @param {Object} params - { candidates, settings, tableSection, tracking, excludeStaffIds, now }
+ * @returns {Array<Object>} - [{ staffId, name, eligible, score, reasons }], best first
+ */
+export const rankCandidates = ({
+  candidates = [],
+  settings = DEFAULT_ASSIGNMENT_SETTINGS,
+  tableSection = null,
+  tracking = false,
+  excludeStaffIds = [],
+  now = new Date()
+}) => {
+  const context = { settings, tracking, excludeStaffIds }
+  const eligible = candidates.filter(candidate => !getIneligibleReason(candidate, context))
+  const fewestToday = eligible.length ? Math.min(...eligible.map(candidate => candidate.orders_today || 0)) : 0
+
+  const ranked = candidates.map(candidate => {
+    const ineligible = getIneligibleReason(candidate, context)
+    const base = { staffId: candidate.id, name: candidate.full_name || 'Staff member' }
+    if (ineligible) return { ...base, eligible: false, score: null, waitingMinutes: 0, reasons: [ineligible] }
+
+    const reasons = []
+    const activeOrders = candidate.active_orders || 0
+    const ownedSection = settings.section_priority ? findOwnedSection(candidate.sections, tableSection) : null
+    const waitingMinutes = candidate.last_assigned_at
+      ? Math.max(0, (now - new Date(candidate.last_assigned_at)) / 60000)
+      : Infinity
+    const extraToday = (candidate.orders_today || 0) - fewestToday
+
+    let score = 100
+    score -= activeOrders / settings.max_concurrent_orders * SCORE_WEIGHTS.load
+    reasons.push(`${activeOrders}/${settings.max_concurrent_orders} active orders`)
+
+    if (ownedSection) {
+      score += SCORE_WEIGHTS.section
+      reasons.push(`Serves ${ownedSection}`)
+    }
+
+    score -= Math.min(extraToday * SCORE_WEIGHTS.fairnessPerOrder, SCORE_WEIGHTS.fairnessCap)
+    reasons.push(extraToday === 0 ? `Fewest orders today (${candidate.orders_today || 0})` : `${candidate.orders_today} orders today`)
+
+    score += Math.min(waitingMinutes, 60) / 60 * SCORE_WEIGHTS.waitingMax
+    reasons.push(waitingMinutes === Infinity
+      ? 'No orders yet'
+      : `Last order ${Math.round(waitingMinutes)} min ago`)
+
+    return {
+      ...base,
+      eligible: true,
+      ownsSection: Boolean(ownedSection),
+      waitingMinutes,
+      score: Math.round(score * 100) / 100,
+      reasons
+    }
+  })
+
+  const byId = (a, b) => a.staffId.localeCompare(b.staffId)
+  return ranked.sort((a, b) => {
+    if (a.eligible !== b.eligible) return a.eligible ? -1 : 1
+    if (!a.eligible) return byId(a, b)
+
+    if (settings.strategy === ASSIGNMENT_STRATEGIES.ROUND_ROBIN) {
+      if (a.ownsSection !== b.ownsSection) return a.ownsSection ? -1 : 1
+      if (a.waitingMinutes !== b.waitingMinutes) return b.waitingMinutes - a.waitingMinutes
+      return byId(a, b)
+    }
+
+    return b.score - a.score || byId(a, b)
+  })
+}
+
+/**
+ * One-line explanation of the engine's choice for the audit log
+ * @param {Array<Object>} ranked - rankCandidates result
+ * @param {Object} settings - Assignment settings
+ * @returns {string}
+ */
+export const explainAssignment = (ranked, settings) => {
+  const chosen = ranked[0]
+  if (!chosen?.eligible) {
+    if (!ranked.length) return 'No staff set up for this restaurant'
+    const blockers = [...new Set(ranked.map(candidate => candidate.reasons[0].replace(/ \(.*\)$/, '')))]
+    return `Nobody could take it: ${blockers.join(', ').toLowerCase()}`
+  }
+
+  const strategy = ASSIGNMENT_STRATEGY_LABELS[settings.strategy].label
+  const others = ranked.filter(candidate => candidate.eligible).length - 1
+  return `${strategy}: ${chosen.name} - ${chosen.reasons.join(', ')}` +
+    (others > 0 ? ` (ahead of ${others} other${others !== 1 ? 's' : ''})` : ' (only one free)')
+}
+
+/**
+ * Workload percentage against the restaurant's max concurrent orders
+ * @param {number} activeOrders - Orders in progress
+ * @param {Object} settings - Assignment settings
+ * @returns {number} - 0-100
+ */
+export const getWorkloadPercentage = (activeOrders, settings = DEFAULT_ASSIGNMENT_SETTINGS) => {
+  return Math.min(100, Math.round((activeOrders || 0) / settings.max_concurrent_orders * 100))
+}
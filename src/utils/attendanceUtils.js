@@ -0,0 +1,204 @@
+/**
+ * Staff rota, attendance and timesheets
+ * Shared by the owner's rota / timesheets in StaffTab and the staff clock-in
+ * card. The staff_clock_in RPC applies the same geofence in the database.
+ *
+ * Payable time for a clock-in is (clock out - clock in) minus unpaid breaks,
+ * paid at the hourly_rate copied onto the attendance row at clock-in.
+ */
+import { toDateKey } from './reservationUtils'
+
+export const DEFAULT_ATTENDANCE_SETTINGS = {
+  geofence_enabled: false,
+  latitude: null,
+  longitude: null,
+  radius_meters: 150, // How far from the restaurant staff may clock in
+  early_clock_in_minutes: 30 // Clock-ins this early still count towards the rota shift
+}
+
+const MINUTE = 60 * 1000
+const DAY = 24 * 60 * MINUTE
+
+/**
+ * Merge a restaurant's saved clock-in rules with the defaults
+ * @param {Object} restaurant - users row (attendance_settings)
+ * @returns {Object}
+ */
+export const getAttendanceSettings = (restaurant) => {
+  const saved = restaurant?.attendance_settings || {}
+  const latitude = parseFloat(saved.latitude)
+  const longitude = parseFloat(saved.longitude)
+
+  return {
+    geofence_enabled: Boolean(saved.geofence_enabled),
+    latitude: Number.isNaN(latitude) ? null : latitude,
+    longitude: Number.isNaN(longitude) ? null : longitude,
+    radius_meters: parseInt(saved.radius_meters) || DEFAULT_ATTENDANCE_SETTINGS.radius_meters,
+    early_clock_in_minutes: Number.isNaN(parseInt(saved.early_clock_in_minutes))
+      ? DEFAULT_ATTENDANCE_SETTINGS.early_clock_in_minutes
+      : parseInt(saved.early_clock_in_minutes)
+  }
+}
+
+/**
+ * Metres between two points (same formula as distance_meters in SQL)
+ * @returns {number}
+ */
+export const distanceMeters = (lat1, lng1, lat2, lng2) => {
+  const toRadians = (degrees) => degrees * Math.PI / 180
+  const a = Math.sin(toRadians(lat2 - lat1) / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(toRadians(lng2 - lng1) / 2) ** 2
+  return 2 * 6371000 * Math.asin(Math.sqrt(a))
+}
+
+/**
+ * Monday 00:00 of the week a date falls in
+ * @param {Date} date - Any day
+ * @returns {Date}
+ */
+export const getWeekStart = (date = new Date()) => {
+  const start = new Date(date.getFullYear(), date.getMonth(), date.getDate())
+  start.setDate(start.getDate() - ((start.getDay() + 6) % 7))
+  return start
+}
+
+/**
+ * The seven days of a week
+ * @param {Date} weekStart - getWeekStart result
+ * @returns {Array<Date>}
+ */
+export const getWeekDays = (weekStart) => {
+  return Array.from({ length: 7 }, (_, index) => {
+    const day = new Date(weekStart)
+    day.setDate(day.getDate() + index)
+    return day
+  })
+}
+
+/**
+ * Shift start and end from a day and HH:MM times; an end before the start
+ * runs past midnight into the next day
+ * @param {string} dateKey - YYYY-MM-DD
+ * @param {string} startTime - HH:MM
+ * @param {string} endTime - HH:MM
+ * @returns {Object} - { startsAt: Date, endsAt: Date }
+ */
+export const buildShiftTimes = (dateKey, startTime, endTime) => {
+  const startsAt = new Date(`${dateKey}T${startTime}:00`)
+  const endsAt = new Date(`${dateKey}T${endTime}:00`)
+  if (endsAt <= startsAt) endsAt.setTime(endsAt.getTime() + DAY)
+  return { startsAt, endsAt }
+}
+
+/**
+ * HH:MM for time inputs and shift chips
+ * @param {string|Date} date - Timestamp
+ * @returns {string}
+ */
+export const toTimeInput = (date) => {
+  const value = new Date(date)
+  return `${String(value.getHours()).padStart(2, '0')}:${String(value.getMinutes()).padStart(2, '0')}`
+}
+
+/**
+ * Rota shifts grouped by staff member and day
+ * @param {Array<Object>} shifts - staff_shifts rows
+ * @returns {Object} - { [staffId]: { [dateKey]: [shift] } }
+ */
+export const groupShiftsByStaffAndDay = (shifts = []) => {
+  return shifts.reduce((grouped, shift) => {
+    const dateKey = toDateKey(new Date(shift.starts_at))
+    grouped[shift.staff_id] = grouped[shift.staff_id] || {}
+    grouped[shift.staff_id][dateKey] = [...(grouped[shift.staff_id][dateKey] || []), shift]
+    return grouped
+  }, {})
+}
+
+/**
+ * Planned minutes for a set of shifts
+ * @param {Array<Object>} shifts - staff_shifts rows
+ * @returns {number}
+ */
+export const getScheduledMinutes = (shifts = []) => {
+  return shifts.reduce((total, shift) => total + (new Date(shift.ends_at) - new Date(shift.starts_at)) / MINUTE, 0)
+}
+
+/**
+ * Worked, break and payable minutes for one clock-in
+ * Open clock-ins and breaks count up to `now`.
+ * @param {Object} attendance - staff_attendance row with staff_breaks
+ * @param {Date} now - Current time
+ * @returns {Object} - { workedMinutes, breakMinutes, unpaidBreakMinutes, payableMinutes }
+ */
+export const calculateAttendanceMinutes = (attendance, now = new Date()) => {
+  const end = attendance.clock_out_at ? new Date(attendance.clock_out_at) : now
+  const workedMinutes = Math.max(0, (end - new Date(attendance.clock_in_at)) / MINUTE)
+
+  let breakMinutes = 0
+  let unpaidBreakMinutes = 0
+  ;(attendance.staff_breaks || []).forEach(breakRow => {
+    const breakEnd = breakRow.ended_at ? new Date(breakRow.ended_at) : end
+    const minutes = Math.max(0, (breakEnd - new Date(breakRow.started_at)) / MINUTE)
+    breakMinutes += minutes
+    if (!breakRow.is_paid) unpaidBreakMinutes += minutes
+  })
+
+  return {
+    workedMinutes,
+    breakMinutes,
+    unpaidBreakMinutes,
+    payableMinutes: Math.max(0, workedMinutes - unpaidBreakMinutes)
+  }
+}
+
+/**
+ * Timesheet rows per staff member
+ * @param {Array<Object>} attendance - staff_attendance rows with staff_breaks
+ * @param {Array<Object>} staff - users rows (id, full_name, hourly_rate)
+ * @param {Array<Object>} shifts - staff_shifts rows in the same period
+ * @param {Date} now - Current time
+ * @returns {Array<Object>} - [{ staffId, name, hourlyRate, clockIns, scheduledHours, breakHours, payableHours, pay, openClockIn }]
+ */
+export const buildTimesheets = (attendance = [], staff = [], shifts = [], now = new Date()) => {
+  const round2 = (value) => Math.round(value * 100) / 100
+
+  return staff.map(member => {
+    const records = attendance.filter(record => record.staff_id === member.id)
+    let breakMinutes = 0
+    let payableMinutes = 0
+    let pay = 0
+
+    records.forEach(record => {
+      const minutes = calculateAttendanceMinutes(record, now)
+      breakMinutes += minutes.breakMinutes
+      payableMinutes += minutes.payableMinutes
+      // Each clock-in is paid at the rate it started with
+      pay += minutes.payableMinutes / 60 * parseFloat(record.hourly_rate ?? member.hourly_rate ?? 0)
+    })
+
+    return {
+      staffId: member.id,
+      name: member.full_name || 'Staff member',
+      hourlyRate: parseFloat(member.hourly_rate || 0),
+      clockIns: records.length,
+      scheduledHours: round2(getScheduledMinutes(shifts.filter(shift => shift.staff_id === member.id)) / 60),
+      breakHours: round2(breakMinutes / 60),
+      payableHours: round2(payableMinutes / 60),
+      pay: round2(pay),
+      openClockIn: records.some(record => !record.clock_out_at)
+    }
+  })
+}
+
+/**
+ * "7h 30m" style duration
+ * @param {number} minutes - Duration
+ * @returns {string}
+ */
+export const formatHoursMinutes = (minutes) => {
+  const total = Math.max(0, Math.floor(minutes))
+  const hours = Math.floor(total / 60)
+  const rest = total % 60
+  if (!hours) return `${rest}m`
+  return rest ? `${hours}h ${rest}m` : `${hours}h`
+}
@@ -0,0 +1,269 @@
+/**
+ * Floor plan
+ * The dining room is a grid of cells. Tables sit on it with a shape and size,
+ * sections are named rectangles (a table inside one takes its name as
+ * tables.location), and adjacent tables can be merged into one party under a
+ * main table. The live view colours every table by its floor status.
+ */
+
+export const TABLE_SHAPES = {
+  SQUARE: 'square',
+  ROUND: 'round',
+  RECTANGLE: 'rectangle'
+}
+
+export const TABLE_SHAPE_LABELS = {
+  square: 'Square',
+  round: 'Round',
+  rectangle: 'Rectangle'
+}
+
+export const FLOOR_STATUSES = {
+  FREE: 'free',
+  RESERVED: 'reserved',
+  OCCUPIED: 'occupied',
+  BILL_REQUESTED: 'bill_requested',
+  NEEDS_CLEANING: 'needs_cleaning'
+}
+
+export const FLOOR_STATUS_LABELS = {
+  free: { label: 'Free', className: 'bg-green-100 border-green-400 text-green-800', dotClassName: 'bg-green-500' },
+  reserved: { label: 'Booked', className: 'bg-blue-100 border-blue-400 text-blue-800', dotClassName: 'bg-blue-500' },
+  occupied: { label: 'Occupied', className: 'bg-orange-100 border-orange-400 text-orange-800', dotClassName: 'bg-orange-500' },
+  bill_requested: { label: 'Bill requested', className: 'bg-purple-100 border-purple-500 text-purple-800', dotClassName: 'bg-purple-500' },
+  needs_cleaning: { label: 'Needs cleaning', className: 'bg-yellow-100 border-yellow-500 text-yellow-800', dotClassName: 'bg-yellow-500' }
+}
+
+// Pixels per grid cell when the plan is drawn
+export const FLOOR_CELL_SIZE = 36
+
+export const SECTION_COLORS = ['#fef3c7', '#dbeafe', '#dcfce7', '#fce7f3', '#ede9fe', '#e0f2fe']
+
+export const DEFAULT_FLOOR_PLAN = {
+  columns: 24,
+  rows: 16,
+  sections: []
+}
+
+const DEFAULT_TABLE_SIZE = { square: [2, 2], round: [2, 2], rectangle: [4, 2] }
+
+/**
+ * Merge a restaurant's saved floor plan with the defaults
+ * @param {Object} restaurant - users row (floor_plan)
+ * @returns {Object} - { columns, rows, sections }
+ */
+export const getFloorPlan = (restaurant) => {
+  const saved = restaurant?.floor_plan || {}
+  const size = (key, min, max) => {
+    const value = parseInt(saved[key])
+    return value >= min && value <= max ? value : DEFAULT_FLOOR_PLAN[key]
+  }
+
+  return {
+    columns: size('columns', 8, 60),
+    rows: size('rows', 6, 40),
+    sections: (saved.sections || [])
+      .filter(section => section?.name?.trim())
+      .map((section, index) => ({
+        id: section.id || `section-${index}`,
+        name: section.name.trim(),
+        x: parseInt(section.x) || 0,
+        y: parseInt(section.y) || 0,
+        width: Math.max(1, parseInt(section.width) || 4),
+        height: Math.max(1, parseInt(section.height) || 4),
+        color: section.color || SECTION_COLORS[index % SECTION_COLORS.length]
+      }))
+  }
+}
+
+/**
+ * A table's rectangle on the grid
+ * @param {Object} table - tables row
+ * @returns {Object} - { x, y, width, height }
+ */
+export const getTableRect = (table) => {
+  const [defaultWidth, defaultHeight] = DEFAULT_TABLE_SIZE[table.floor_shape] || DEFAULT_TABLE_SIZE.square
+  return {
+    x: table.floor_x ?? 0,
+    y: table.floor_y ?? 0,
+    width: table.floor_width || defaultWidth,
+    height: table.floor_height || defaultHeight
+  }
+}
+
+/**
+ * Keep a rectangle inside the floor
+ * @param {Object} rect - { x, y, width, height }
+ * @param {Object} plan - Floor plan
+ * @returns {Object}
+ */
+export const clampRect = (rect, plan) => {
+  const width = Math.min(Math.max(1, rect.width), plan.columns)
+  const height = Math.min(Math.max(1, rect.height), plan.rows)
+  return {
+    width,
+    height,
+    x: Math.min(Math.max(0, rect.x), plan.columns - width),
+    y: Math.min(Math.max(0, rect.y), plan.rows - height)
+  }
+}
+
+const rectsOverlap = (a, b) => a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height
+
+/**
+ * Give tables that were never placed a free spot, left to right, top to bottom
+ * @param {Array<Object>} tables - tables rows
+ * @param {Object} plan - Floor plan
+ * @returns {Array<Object>} - Same tables, every one with floor_x / floor_y
+ */
+export const placeUnpositionedTables = (tables, plan) => {
+  const placed = tables.filter(table => table.floor_x != null && table.floor_y != null).map(getTableRect)
+
+  return tables.map(table => {
+    if (table.floor_x != null && table.floor_y != null) return table
+
+    const { width, height } = getTableRect(table)
+    for (let y = 0; y + height <= plan.rows; y += 1) {
+      for (let x = 0; x + width <= plan.columns; x += 1) {
+        // Leave a one-cell aisle around every table
+        const spot = { x, y, width, height }
+        const padded = { x: x - 1, y: y - 1, width: width + 2, height: height + 2 }
+        if (!placed.some(rect => rectsOverlap(padded, rect))) {
+          placed.push(spot)
+          return { ...table, floor_x: x, floor_y: y }
+        }
+      }
+    }
+    return { ...table, floor_x: 0, floor_y: 0 }
+  })
+}
+
+/**
+ * Section a table sits in (by its centre)
+ * @param {Array<Object>} sections - Floor plan sections
+ * @param {Object} rect - Table rectangle
+ * @returns {Object|null}
+ */
+export const findSectionForTable = (sections, rect) => {
+  const centreX = rect.x + rect.width / 2
+  const centreY = rect.y + rect.height / 2
+  return sections.find(section =>
+    centreX >= section.x && centreX <= section.x + section.width &&
+    centreY >= section.y && centreY <= section.y + section.height
+  ) || null
+}
+
+/**
+ * Two tables are adjacent when they touch or have at most one cell between them
+ * @param {Object} a - tables row
+ * @param {Object} b - tables row
+ * @returns {boolean}
+ */
+export const areTablesAdjacent = (a, b) => {
+  const rectA = getTableRect(a)
+  const rectB = getTableRect(b)
+  const gapX = Math.max(rectA.x, rectB.x) - Math.min(rectA.x + rectA.width, rectB.x + rectB.width)
+  const gapY = Math.max(rectA.y, rectB.y) - Math.min(rectA.y + rectA.height, rectB.y + rectB.height)
+  return gapX <= 1 && gapY <= 1
+}
+
+/**
+ * Whether tables form one chain of neighbours and can be merged
+ * @param {Array<Object>} tables - tables rows
+ * @returns {boolean}
+ */
+export const canMergeTables = (tables) => {
+  if (tables.length < 2) return false
+
+  const reached = new Set([tables[0].id])
+  const queue = [tables[0]]
+  while (queue.length) {
+    const current = queue.shift()
+    tables.forEach(table => {
+      if (!reached.has(table.id) && areTablesAdjacent(current, table)) {
+        reached.add(table.id)
+        queue.push(table)
+      }
+    })
+  }
+  return reached.size === tables.length
+}
+
+/**
+ * Floor status of one table
+ * @param {Object} table - getRestaurantTables row
+ * @param {boolean} billRequested - An open bill request at the table
+ * @returns {string} - FLOOR_STATUSES value
+ */
+export const getTableFloorStatus = (table, billRequested = false) => {
+  if (billRequested) return FLOOR_STATUSES.BILL_REQUESTED
+  if (table.current_session) return FLOOR_STATUSES.OCCUPIED
+  if (table.needs_cleaning_since) return FLOOR_STATUSES.NEEDS_CLEANING
+  if (table.current_booking) return FLOOR_STATUSES.RESERVED
+  return FLOOR_STATUSES.FREE
+}
+
+const STATUS_PRIORITY = [
+  FLOOR_STATUSES.BILL_REQUESTED,
+  FLOOR_STATUSES.OCCUPIED,
+  FLOOR_STATUSES.NEEDS_CLEANING,
+  FLOOR_STATUSES.RESERVED,
+  FLOOR_STATUSES.FREE
+]
+
+/**
+ * Merged groups: the main table and its members share the busiest status
+ * and the combined capacity
+ * @param {Array<Object>} tables - Rows with floor_status
+ * @returns {Array<Object>} - Rows with floor_status (the group's), own_floor_status, group_capacity and group_tables (table numbers)
+ */
+export const applyMergeGroups = (tables) => {
+  const ownStatus = (table) => table.own_floor_status || table.floor_status
+  const groups = new Map()
+  tables.forEach(table => {
+    const mainId = table.merged_into || table.id
+    groups.set(mainId, [...(groups.get(mainId) || []), table])
+  })
+
+  return tables.map(table => {
+    const group = groups.get(table.merged_into || table.id)
+    const base = { ...table, own_floor_status: ownStatus(table) }
+    if (group.length < 2) {
+      return { ...base, floor_status: ownStatus(table), group_capacity: table.capacity, group_tables: [table.table_number] }
+    }
+
+    return {
+      ...base,
+      floor_status: STATUS_PRIORITY.find(candidate => group.some(member => ownStatus(member) === candidate)),
+      group_capacity: group.reduce((sum, member) => sum + (member.capacity || 0), 0),
+      group_tables: group.map(member => member.table_number)
+    }
+  })
+}
+
+/**
+ * Merge tables under the first one; groups they already head come along
+ * @param {Array<Object>} tables - All tables
+ * @param {Array<string>} tableIds - Tables to merge, main table first
+ * @returns {Array<Object>} - Tables with merged_into updated
+ */
+export const mergeTableGroup = (tables, tableIds) => {
+  const [mainId, ...memberIds] = tableIds
+  return tables.map(table => {
+    if (table.id === mainId) return { ...table, merged_into: null }
+    if (memberIds.includes(table.id) || memberIds.includes(table.merged_into)) return { ...table, merged_into: mainId }
+    return table
+  })
+}
+
+/**
+ * Split the group a table belongs to back into separate tables
+ * @param {Array<Object>} tables - All tables
+ * @param {string} tableId - Any table in the group
+ * @returns {Array<Object>}
+ */
+export const splitTableGroup = (tables, tableId) => {
+  const table = tables.find(candidate => candidate.id === tableId)
+  const mainId = table?.merged_into || tableId
+  return tables.map(candidate => candidate.merged_into === mainId ? { ...candidate, merged_into: null } : candidate)
+}
@@ -0,0 +1,313 @@
+import { getOrderTaxSummary, getTaxLines, SUPPLY_TYPES } from './taxUtils'
+
+/**
+ * Invoice helpers
+ * Turn one order - or every order of a table session - into a single invoice
+ * and lay it out for thermal printers. InvoiceService loads the data and
+ * renders the A4 PDF; everything here is pure.
+ *
+ * Amounts are printed as "Rs." because neither jsPDF's built-in fonts nor
+ * ESC/POS code pages carry the ₹ glyph.
+ */
+
+export const PAPER_WIDTHS = {
+  MM58: 58,
+  MM80: 80
+}
+
+// Characters per line in the printer's default font (Font A)
+export const THERMAL_COLUMNS = {
+  58: 32,
+  80: 48
+}
+
+// 100 Ordyrr Coins = ₹10
+const COIN_VALUE = 0.1
+
+const toPaise = (amount) => Math.round((parseFloat(amount) || 0) * 100)
+const fromPaise = (paise) => paise / 100
+
+/**
+ * Format an amount for invoices
+ * @param {number} amount - Amount in rupees
+ * @returns {string} - e.g. "1,234.50"
+ */
+export const formatInvoiceAmount = (amount) => {
+  return (parseFloat(amount) || 0).toLocaleString('en-IN', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+  })
+}
+
+const PAYMENT_METHOD_LABELS = {
+  cash: 'Cash',
+  online: 'Online',
+  card: 'Card',
+  upi: 'UPI',
+  wallet: 'Wallet',
+  counter: 'Counter'
+}
+
+const getPaymentMethodLabel = (method) => PAYMENT_METHOD_LABELS[method] || (method ? method.toUpperCase() : 'Cash')
+
+/**
+ * Build an invoice from one or more orders of the same restaurant
+ * @param {Object} data - { orders, restaurant, payments }
+ *   orders   - orders rows with order_items and tables
+ *   restaurant - users row of the restaurant owner
+ *   payments - completed payment_transactions rows of those orders
+ * @returns {Object} - Invoice
+ */
+export const buildInvoice = ({ orders = [], restaurant = {}, payments = [] }) => {
+  const billable = orders
+    .filter(order => order.status !== 'cancelled')
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+
+  const first = billable[0] || {}
+  const last = billable[billable.length - 1] || {}
+
+  const items = billable.flatMap(order =>
+    (order.order_items || []).map(item => ({
+      name: item.item_name || item.menu_items?.name || 'Item',
+      options: (item.modifiers || []).map(modifier => modifier.option_name).filter(Boolean).join(', '),
+      hsnCode: item.hsn_code || '',
+      gstRate: parseFloat(item.gst_rate) || 0,
+      quantity: item.quantity,
+      unitPrice: parseFloat(item.unit_price) || 0,
+      amount: parseFloat(item.total_price) || 0,
+      taxableValue: item.taxable_value !== null && item.taxable_value !== undefined
+        ? parseFloat(item.taxable_value)
+        : parseFloat(item.total_price) || 0
+    }))
+  )
+
+  // Same slab labels across orders are added together
+  const taxLineTotals = {}
+  billable.forEach(order => {
+    getTaxLines(order.tax_breakdown).forEach(line => {
+      taxLineTotals[line.label] = (taxLineTotals[line.label] || 0) + toPaise(line.amount)
+    })
+  })
+  const taxLines = Object.entries(taxLineTotals).map(([label, paise]) => ({ label, amount: fromPaise(paise) }))
+
+  const sum = (pick) => fromPaise(billable.reduce((total, order) => total + toPaise(pick(order)), 0))
+  const taxSummaries = billable.map(getOrderTaxSummary)
+
+  const coinsRedeemed = billable.reduce((total, order) => total + (parseInt(order.coins_redeemed) || 0), 0)
+  const coinsValue = fromPaise(toPaise(coinsRedeemed * COIN_VALUE))
+  const totalDiscount = sum(order => order.discount_amount)
+  // orders.discount_amount includes the coins redeemed - show them separately
+  const discount = Math.max(0, fromPaise(toPaise(totalDiscount) - toPaise(coinsValue)))
+
+  const breakdown = billable.find(order => order.tax_breakdown)?.tax_breakdown
+  const gstin = restaurant.gstin || breakdown?.gstin || ''
+
+  const paidTotal = fromPaise(payments.reduce((total, payment) => total + toPaise(payment.amount), 0))
+  const paymentStatus = billable.length > 0 && billable.every(order => order.payment_status === 'completed')
+    ? 'paid'
+    : paidTotal > 0 ? 'partially_paid' : 'unpaid'
+
+  const orderNumbers = billable.map(order => order.order_number)
+
+  return {
+    title: gstin ? 'TAX INVOICE' : 'RECEIPT',
+    invoiceNumber: orderNumbers.length > 1
+      ? `INV-${first.order_number}-${orderNumbers.length}`
+      : `INV-${first.order_number || ''}`,
+    issuedAt: last.created_at || new Date().toISOString(),
+    orderNumbers,
+    restaurant: {
+      name: restaurant.restaurant_name || restaurant.name || 'Restaurant',
+      address: restaurant.restaurant_address || restaurant.address || '',
+      phone: restaurant.restaurant_phone || restaurant.phone || '',
+      email: restaurant.restaurant_email || restaurant.email || '',
+      gstin
+    },
+    tableNumber: first.tables?.table_number || first.table_number || null,
+    customerName: first.customer_name || null,
+    supplyType: breakdown?.supply_type || SUPPLY_TYPES.INTRA,
+    pricesIncludeTax: breakdown?.price_mode === 'inclusive',
+    items,
+    subtotal: sum(order => order.subtotal),
+    discount,
+    coinsRedeemed,
+    coinsValue,
+    serviceCharge: fromPaise(taxSummaries.reduce((total, summary) => total + toPaise(summary.serviceCharge), 0)),
+    taxLines,
+    taxTotal: fromPaise(taxSummaries.reduce((total, summary) => total + toPaise(summary.gst), 0)),
+    platformFee: fromPaise(taxSummaries.reduce((total, summary) => total + toPaise(summary.platformFee), 0)),
+    tip: sum(order => order.tip_amount),
+    total: sum(order => order.total_amount),
+    payments: payments.length > 0
+      ? payments.map(payment => ({
+        method: getPaymentMethodLabel(payment.payment_method),
+        label: payment.share_label || null,
+        amount: parseFloat(payment.amount) || 0
+      }))
+      : [{ method: getPaymentMethodLabel(first.payment_method), label: null, amount: sum(order => order.total_amount) }],
+    paymentStatus
+  }
+}
+
+/**
+ * Rows below the item list: subtotal, discounts, charges, taxes, tip
+ * @param {Object} invoice - Result of buildInvoice
+ * @returns {Array<Object>} - [{ label, amount }] (negative amounts are deductions)
+ */
+export const getInvoiceSummaryRows = (invoice) => {
+  const rows = [{ label: 'Subtotal', amount: invoice.subtotal }]
+
+  if (invoice.discount > 0) rows.push({ label: 'Discount', amount: -invoice.discount })
+  if (invoice.coinsRedeemed > 0) rows.push({ label: `Ordyrr Coins (${invoice.coinsRedeemed})`, amount: -invoice.coinsValue })
+  if (invoice.serviceCharge > 0) rows.push({ label: 'Service Charge', amount: invoice.serviceCharge })
+  invoice.taxLines.forEach(line => {
+    rows.push({ label: invoice.pricesIncludeTax ? `${line.label} (incl.)` : line.label, amount: line.amount })
+  })
+  if (invoice.platformFee > 0) rows.push({ label: 'Platform Fee', amount: invoice.platformFee })
+  if (invoice.tip > 0) rows.push({ label: 'Tip', amount: invoice.tip })
+
+  return rows
+}
+
+const padRow = (left, right, columns) => {
+  const space = columns - right.length - 1
+  const text = left.length > space ? left.slice(0, space) : left
+  return `${text}${' '.repeat(columns - text.length - right.length)}${right}`
+}
+
+const wrapText = (text, columns) => {
+  const words = String(text).split(/\s+/).filter(Boolean)
+  const lines = []
+  let line = ''
+
+  words.forEach(word => {
+    if (!line) {
+      line = word.slice(0, columns)
+    } else if (line.length + word.length + 1 <= columns) {
+      line = `${line} ${word}`
+    } else {
+      lines.push(line)
+      line = word.slice(0, columns)
+    }
+  })
+  if (line) lines.push(line)
+
+  return lines
+}
+
+const formatDateTime = (isoString) => {
+  const date = new Date(isoString)
+  return `${date.toLocaleDateString('en-IN')} ${date.toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' })}`
+}
+
+/**
+ * Lay an invoice out for a thermal printer. Used both for the ESC/POS byte
+ * stream and for the browser print preview so they always match.
+ * @param {Object} invoice - Result of buildInvoice
+ * @param {number} paperWidth - 58 or 80 (mm)
+ * @returns {Array<Object>} - [{ text, align: 'left'|'center', bold, size: 1|2 }]
+ */
+export const formatThermalReceipt = (invoice, paperWidth = PAPER_WIDTHS.MM80) => {
+  const columns = THERMAL_COLUMNS[paperWidth] || THERMAL_COLUMNS[PAPER_WIDTHS.MM80]
+  const divider = { text: '-'.repeat(columns) }
+  const lines = []
+  const center = (text, options = {}) => {
+    // Double-size text takes two columns per character
+    const width = options.size === 2 ? Math.floor(columns / 2) : columns
+    wrapText(text, width).forEach(part => lines.push({ text: part, align: 'center', ...options }))
+  }
+  const row = (left, right, options = {}) => lines.push({ text: padRow(left, right, columns), ...options })
+
+  center(invoice.restaurant.name, { bold: true, size: 2 })
+  if (invoice.restaurant.address) center(invoice.restaurant.address)
+  if (invoice.restaurant.phone) center(`Ph: ${invoice.restaurant.phone}`)
+  if (invoice.restaurant.gstin) center(`GSTIN: ${invoice.restaurant.gstin}`)
+  lines.push(divider)
+  center(invoice.title, { bold: true })
+  lines.push({ text: `Bill: ${invoice.invoiceNumber}` })
+  lines.push({ text: `Date: ${formatDateTime(invoice.issuedAt)}` })
+  if (invoice.tableNumber) lines.push({ text: `Table: ${invoice.tableNumber}` })
+  if (invoice.orderNumbers.length > 1) {
+    wrapText(`Orders: ${invoice.orderNumbers.join(', ')}`, columns).forEach(text => lines.push({ text }))
+  }
+  lines.push(divider)
+
+  row('Item', 'Amount', { bold: true })
+  lines.push(divider)
+  invoice.items.forEach(item => {
+    wrapText(item.name, columns).forEach(text => lines.push({ text }))
+    if (item.options) {
+      wrapText(item.options, columns - 2).forEach(text => lines.push({ text: `  ${text}` }))
+    }
+    const hsn = item.hsnCode ? ` HSN ${item.hsnCode}` : ''
+    row(`  ${item.quantity} x ${formatInvoiceAmount(item.unitPrice)}${hsn}`, formatInvoiceAmount(item.amount))
+  })
+  lines.push(divider)
+
+  getInvoiceSummaryRows(invoice).forEach(summaryRow => {
+    const amount = summaryRow.amount < 0
+      ? `-${formatInvoiceAmount(-summaryRow.amount)}`
+      : formatInvoiceAmount(summaryRow.amount)
+    row(summaryRow.label, amount)
+  })
+  lines.push(divider)
+  row('TOTAL', `Rs.${formatInvoiceAmount(invoice.total)}`, { bold: true })
+  lines.push(divider)
+
+  invoice.payments.forEach(payment => {
+    row(payment.label ? `${payment.method} (${payment.label})` : payment.method, formatInvoiceAmount(payment.amount))
+  })
+  if (invoice.paymentStatus !== 'paid') {
+    center(invoice.paymentStatus === 'partially_paid' ? '** PARTIALLY PAID **' : '** UNPAID **', { bold: true })
+  }
+
+  lines.push({ text: '' })
+  center('Thank you! Visit again')
+  center('Powered by Ordyrr')
+
+  return lines
+}
+
+// ESC/POS command bytes
+const ESC = 0x1b
+const GS = 0x1d
+const LF = 0x0a
+const ESC_POS = {
+  INIT: [ESC, 0x40],
+  ALIGN_LEFT: [ESC, 0x61, 0x00],
+  ALIGN_CENTER: [ESC, 0x61, 0x01],
+  BOLD_ON: [ESC, 0x45, 0x01],
+  BOLD_OFF: [ESC, 0x45, 0x00],
+  SIZE_NORMAL: [GS, 0x21, 0x00],
+  SIZE_DOUBLE: [GS, 0x21, 0x11],
+  FEED_AND_CUT: [ESC, 0x64, 0x04, GS, 0x56, 0x42, 0x00]
+}
+
+/**
+ * Encode an invoice as ESC/POS commands for 58mm/80mm thermal printers
+ * @param {Object} invoice - Result of buildInvoice
+ * @param {number} paperWidth - 58 or 80 (mm)
+ * @returns {Uint8Array} - Raw bytes to send to the printer
+ */
+export const buildEscPosReceipt = (invoice, paperWidth = PAPER_WIDTHS.MM80) => {
+  const bytes = [...ESC_POS.INIT]
+
+  formatThermalReceipt(invoice, paperWidth).forEach(line => {
+    bytes.push(...(line.align === 'center' ? ESC_POS.ALIGN_CENTER : ESC_POS.ALIGN_LEFT))
+    if (line.bold) bytes.push(...ESC_POS.BOLD_ON)
+    if (line.size === 2) bytes.push(...ESC_POS.SIZE_DOUBLE)
+
+    // Printers use a single-byte code page - anything outside ASCII becomes "?"
+    for (const char of line.text) {
+      const code = char.charCodeAt(0)
+      bytes.push(code < 0x80 ? code : 0x3f)
+    }
+    bytes.push(LF)
+
+    if (line.size === 2) bytes.push(...ESC_POS.SIZE_NORMAL)
+    if (line.bold) bytes.push(...ESC_POS.BOLD_OFF)
+  })
+
+  bytes.push(...ESC_POS.ALIGN_LEFT, ...ESC_POS.FEED_AND_CUT)
+  return new Uint8Array(bytes)
+}
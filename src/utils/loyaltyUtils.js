@@ -0,0 +1,308 @@
+/**
+ * Loyalty rules (Ordyrr Coins)
+ * Each restaurant sets its own rules on its users row (loyalty_settings):
+ *  - earn rate: coins per ₹100 of eligible spend, times the customer's tier multiplier
+ *  - minimum order to earn or redeem coins
+ *  - categories that never earn coins
+ *  - tiers: coins earned at the restaurant (less expired ones) unlock a multiplier
+ *  - how long earned coins last
+ *  - how much of one order coins may pay for
+ *  - whether its coins join the platform-wide Ordyrr Coins wallet
+ * Earning is deterministic so the cart, checkout and the order itself agree
+ * on the coins an order earns. Coins only move through the loyalty ledger
+ * (post_loyalty_transaction, which only database functions and server jobs call).
+ */
+
+// 10 coins = ₹1 everywhere
+export const COINS_PER_RUPEE = 10
+
+export const LOYALTY_TIER_KEYS = ['bronze', 'silver', 'gold', 'platinum']
+
+export const DEFAULT_LOYALTY_SETTINGS = {
+  enabled: true,
+  earn_rate: 10, // Coins per ₹100 of eligible spend
+  min_order_amount: 100, // Subtotal needed to earn or redeem coins
+  signup_bonus: 100,
+  expiry_days: 365, // 0 = coins never expire
+  redeem_max_percent: 5, // Share of the subtotal coins can pay for
+  redeem_max_coins: 500, // Coins per order
+  excluded_category_ids: [],
+  join_wallet: false, // Share coins with other restaurants in the Ordyrr Coins wallet (walletUtils)
+  tiers: [
+    { key: 'bronze', name: 'Bronze', min_points: 0, multiplier: 1 },
+    { key: 'silver', name: 'Silver', min_points: 1000, multiplier: 1.2 },
+    { key: 'gold', name: 'Gold', min_points: 5000, multiplier: 1.5 },
+    { key: 'platinum', name: 'Platinum', min_points: 10000, multiplier: 2 }
+  ]
+}
+
+const toNumber = (value, fallback) => {
+  const number = parseFloat(value)
+  return Number.isFinite(number) && number >= 0 ? number : fallback
+}
+
+/**
+ * Merge a restaurant's saved loyalty rules with the defaults
+ * @param {Object} restaurant - users row (loyalty_settings)
+ * @returns {Object}
+ */
+export const getLoyaltySettings = (restaurant) => {
+  const saved = restaurant?.loyalty_settings || {}
+  const savedTiers = Array.isArray(saved.tiers) ? saved.tiers : []
+
+  return {
+    enabled: saved.enabled ?? DEFAULT_LOYALTY_SETTINGS.enabled,
+    earn_rate: toNumber(saved.earn_rate, DEFAULT_LOYALTY_SETTINGS.earn_rate),
+    min_order_amount: toNumber(saved.min_order_amount, DEFAULT_LOYALTY_SETTINGS.min_order_amount),
+    signup_bonus: Math.floor(toNumber(saved.signup_bonus, DEFAULT_LOYALTY_SETTINGS.signup_bonus)),
+    expiry_days: Math.floor(toNumber(saved.expiry_days, DEFAULT_LOYALTY_SETTINGS.expiry_days)),
+    redeem_max_percent: Math.min(100, toNumber(saved.redeem_max_percent, DEFAULT_LOYALTY_SETTINGS.redeem_max_percent)),
+    redeem_max_coins: Math.floor(toNumber(saved.redeem_max_coins, DEFAULT_LOYALTY_SETTINGS.redeem_max_coins)),
+    excluded_category_ids: Array.isArray(saved.excluded_category_ids) ? saved.excluded_category_ids : [],
+    join_wallet: saved.join_wallet ?? DEFAULT_LOYALTY_SETTINGS.join_wallet,
+    tiers: DEFAULT_LOYALTY_SETTINGS.tiers.map(tier => {
+      const savedTier = savedTiers.find(candidate => candidate?.key === tier.key) || {}
+      return {
+        ...tier,
+        // The entry tier always starts at zero
+        min_points: tier.key === 'bronze' ? 0 : Math.floor(toNumber(savedTier.min_points, tier.min_points)),
+        multiplier: toNumber(savedTier.multiplier, tier.multiplier) || tier.multiplier
+      }
+    })
+  }
+}
+
+/**
+ * Check loyalty rules before they are saved
+ * @param {Object} settings - Loyalty settings form
+ * @returns {Object} - { valid, errors }
+ */
+export const validateLoyaltySettings = (settings) => {
+  const errors = []
+  const number = (value) => parseFloat(value)
+
+  if (!(number(settings.earn_rate) >= 0)) {
+    errors.push('Earn rate must be zero or more coins per ₹100')
+  }
+  if (!(number(settings.min_order_amount) >= 0)) {
+    errors.push('Minimum order must be zero or more')
+  }
+  if (!(number(settings.signup_bonus) >= 0)) {
+    errors.push('Signup bonus must be zero or more coins')
+  }
+  if (!(number(settings.expiry_days) >= 0)) {
+    errors.push('Expiry must be zero (never) or a number of days')
+  }
+  if (!(number(settings.redeem_max_percent) >= 0 && number(settings.redeem_max_percent) <= 100)) {
+    errors.push('Coins can pay for between 0% and 100% of an order')
+  }
+  if (!(number(settings.redeem_max_coins) >= 0)) {
+    errors.push('Coins per order must be zero or more')
+  }
+
+  const tiers = settings.tiers || []
+  tiers.forEach((tier, index) => {
+    if (!(number(tier.multiplier) >= 1)) {
+      errors.push(`${tier.name} multiplier must be at least 1`)
+    }
+    if (index > 0 && !(number(tier.min_points) > number(tiers[index - 1].min_points))) {
+      errors.push(`${tier.name} must need more coins than ${tiers[index - 1].name}`)
+    }
+  })
+
+  return { valid: errors.length === 0, errors }
+}
+
+/**
+ * Tier a customer is in
+ * @param {number} tierPoints - Coins earned at the restaurant, less expired ones
+ * @param {Object} settings - Result of getLoyaltySettings
+ * @returns {Object} - Tier { key, name, min_points, multiplier }
+ */
+export const getLoyaltyTier = (tierPoints, settings) => {
+  const points = tierPoints || 0
+  return [...settings.tiers].reverse().find(tier => points >= tier.min_points) || settings.tiers[0]
+}
+
+/**
+ * Next tier up and the coins still needed for it
+ * @param {number} tierPoints - Coins earned at the restaurant, less expired ones
+ * @param {Object} settings - Result of getLoyaltySettings
+ * @returns {Object|null} - { tier, pointsNeeded }, null at the top tier
+ */
+export const getNextLoyaltyTier = (tierPoints, settings) => {
+  const points = tierPoints || 0
+  const tier = settings.tiers.find(candidate => candidate.min_points > points)
+  return tier ? { tier, pointsNeeded: tier.min_points - points } : null
+}
+
+// Ledger row types (loyalty_transactions.transaction_type)
+export const LOYALTY_TRANSACTION_TYPES = {
+  SIGNUP_BONUS: 'signup_bonus',
+  EARNED: 'earned',
+  REDEEMED: 'redeemed',
+  REVERSAL: 'reversal',
+  REFUND_CLAWBACK: 'refund_clawback',
+  EXPIRED: 'expired',
+  ADJUSTMENT: 'adjustment'
+}
+
+export const LOYALTY_TRANSACTION_LABELS = {
+  signup_bonus: 'Welcome bonus',
+  earned: 'Earned',
+  redeemed: 'Redeemed',
+  reversal: 'Reversed',
+  refund_clawback: 'Refunded order',
+  expired: 'Expired',
+  adjustment: 'Adjustment'
+}
+
+// Types that count towards lifetime earnings, besides negative reversals
+const LIFETIME_TYPES = ['signup_bonus', 'earned', 'refund_clawback']
+
+/**
+ * Balance, lifetime earnings and tier points from a customer's ledger rows
+ * Matches loyalty_ledger_totals in the database: lifetime earnings are
+ * bonuses and order earnings, less reversed or clawed back coins; tier
+ * points are lifetime earnings less expired coins.
+ * @param {Array<Object>} rows - loyalty_transactions rows { transaction_type, points }
+ * @returns {Object} - { balance, lifetimeEarned, tierPoints }
+ */
+export const summarizeLoyaltyRows = (rows) => (rows || []).reduce((summary, row) => {
+  const points = row.points || 0
+  const countsTowardsLifetime = LIFETIME_TYPES.includes(row.transaction_type) ||
+    (row.transaction_type === LOYALTY_TRANSACTION_TYPES.REVERSAL && points < 0)
+  const expired = row.transaction_type === LOYALTY_TRANSACTION_TYPES.EXPIRED ? points : 0
+
+  return {
+    balance: summary.balance + points,
+    lifetimeEarned: summary.lifetimeEarned + (countsTowardsLifetime ? points : 0),
+    tierPoints: summary.tierPoints + (countsTowardsLifetime ? points : 0) + expired
+  }
+}, { balance: 0, lifetimeEarned: 0, tierPoints: 0 })
+
+/**
+ * Coins to expire and coins expiring soon on one customer's account
+ * Spending uses the oldest coins first, so only what is left of each
+ * earning expires. An earning already expired (an 'expired' row pointing
+ * at it) has nothing left to expire.
+ * @param {Array<Object>} rows - All of the account's ledger rows
+ * @param {Object} options
+ * @param {Date} options.asOf - Run time
+ * @param {number} options.reminderDays - How far ahead "expiring soon" looks
+ * @returns {Object} - { expire: [{ transaction, points }], expiringSoon: [{ transaction, points }] }
+ */
+export const planLoyaltyExpiry = (rows, { asOf = new Date(), reminderDays = 7 } = {}) => {
+  const ledger = rows || []
+  const expiredFor = {}
+  ledger
+    .filter(row => row.transaction_type === LOYALTY_TRANSACTION_TYPES.EXPIRED && row.reference_id)
+    .forEach(row => { expiredFor[row.reference_id] = (expiredFor[row.reference_id] || 0) - row.points })
+
+  const credits = ledger
+    .filter(row => row.points > 0)
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+
+  const creditIds = new Set(credits.map(credit => credit.id))
+
+  // Every debit except expiries of an earning, which are netted off that earning
+  let spent = ledger
+    .filter(row => row.points < 0)
+    .filter(row => !(row.transaction_type === LOYALTY_TRANSACTION_TYPES.EXPIRED && creditIds.has(row.reference_id)))
+    .reduce((sum, row) => sum - row.points, 0)
+
+  const now = asOf.getTime()
+  const reminderUntil = now + reminderDays * 24 * 60 * 60 * 1000
+  const expire = []
+  const expiringSoon = []
+
+  credits.forEach(credit => {
+    const available = credit.points - (expiredFor[credit.id] || 0)
+    const used = Math.min(Math.max(available, 0), spent)
+    spent -= used
+    const left = available - used
+
+    if (left <= 0 || !credit.expires_at) return
+    const expiresAt = new Date(credit.expires_at).getTime()
+    if (expiresAt <= now) {
+      expire.push({ transaction: credit, points: left })
+    } else if (expiresAt <= reminderUntil) {
+      expiringSoon.push({ transaction: credit, points: left })
+    }
+  })
+
+  return { expire, expiringSoon }
+}
+
+/**
+ * Coins an order earns
+ * Only items outside the excluded categories count, after their share of the
+ * order's discounts; taxes, fees and tips never earn coins.
+ * calculate_order_earn_points works out the same coins when the ledger
+ * posts them.
+ * @param {Object} params
+ * @param {Array<Object>} params.items - Cart items { price, quantity, category_id }
+ * @param {number} params.discount - Offer and coin discounts on the order
+ * @param {Object} params.tier - Customer tier (getLoyaltyTier)
+ * @param {Object} params.settings - Result of getLoyaltySettings
+ * @returns {Object} - { points, eligibleAmount, multiplier, reason } (reason says why nothing is earned)
+ */
+export const calculateEarnPoints = ({ items, discount = 0, tier = null, settings }) => {
+  const multiplier = tier?.multiplier || 1
+  const lineTotal = (item) => (parseFloat(item.price) || 0) * (item.quantity || 1)
+  const subtotal = (items || []).reduce((sum, item) => sum + lineTotal(item), 0)
+  const eligibleSubtotal = (items || [])
+    .filter(item => !settings.excluded_category_ids.includes(item.category_id))
+    .reduce((sum, item) => sum + lineTotal(item), 0)
+
+  if (!settings.enabled || settings.earn_rate <= 0) {
+    return { points: 0, eligibleAmount: 0, multiplier, reason: 'disabled' }
+  }
+  if (subtotal <= 0 || subtotal < settings.min_order_amount) {
+    return { points: 0, eligibleAmount: 0, multiplier, reason: 'below_minimum' }
+  }
+  if (eligibleSubtotal <= 0) {
+    return { points: 0, eligibleAmount: 0, multiplier, reason: 'excluded' }
+  }
+
+  const discountShare = Math.min(discount || 0, subtotal) * (eligibleSubtotal / subtotal)
+  const eligibleAmount = Math.round((eligibleSubtotal - discountShare) * 100) / 100
+  // Rounded to the paisa first so floating point noise can't cost a coin
+  const points = Math.floor(Math.round(eligibleAmount * settings.earn_rate * multiplier) / 100)
+
+  return { points: Math.max(0, points), eligibleAmount, multiplier, reason: null }
+}
+
+/**
+ * Coins a customer can use on an order
+ * verify_order_pricing applies the same limits in the database.
+ * @param {Object} params
+ * @param {number} params.subtotal - Cart subtotal
+ * @param {number} params.balance - Customer's coin balance
+ * @param {Object} params.settings - Result of getLoyaltySettings
+ * @returns {Object} - { coinsUsed, discount, maxCoins }
+ */
+export const calculateCoinsRedemption = ({ subtotal, balance, settings }) => {
+  if (!settings.enabled || balance <= 0 || subtotal <= 0 || subtotal < settings.min_order_amount) {
+    return { coinsUsed: 0, discount: 0, maxCoins: 0 }
+  }
+
+  const maxCoins = Math.min(balance, settings.redeem_max_coins)
+  const discount = Math.min(maxCoins / COINS_PER_RUPEE, subtotal * settings.redeem_max_percent / 100)
+  return {
+    coinsUsed: Math.floor(discount * COINS_PER_RUPEE),
+    discount,
+    maxCoins
+  }
+}
+
+/**
+ * When coins earned now expire
+ * @param {Object} settings - Result of getLoyaltySettings
+ * @param {Date} from - Earning time
+ * @returns {string|null} - ISO timestamp, null when coins never expire
+ */
+export const getLoyaltyExpiryDate = (settings, from = new Date()) => {
+  if (!settings.expiry_days) return null
+  return new Date(from.getTime() + settings.expiry_days * 24 * 60 * 60 * 1000).toISOString()
+}
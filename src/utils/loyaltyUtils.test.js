@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest'
+import { calculateCoinsRedemption, calculateEarnPoints, getLoyaltySettings, getLoyaltyTier } from './loyaltyUtils'
+
+const settings = getLoyaltySettings({ loyalty_settings: { excluded_category_ids: ['drinks'] } })
+
+describe('getLoyaltyTier', () => {
+  it('picks the highest tier the customer has reached', () => {
+    expect(getLoyaltyTier(0, settings).key).toBe('bronze')
+    expect(getLoyaltyTier(1200, settings).key).toBe('silver')
+    expect(getLoyaltyTier(25000, settings).key).toBe('platinum')
+  })
+})
+
+// calculate_order_earn_points posts earned coins by the same rules
+describe('calculateEarnPoints', () => {
+  it('applies the earn rate and tier multiplier', () => {
+    const tier = getLoyaltyTier(1200, settings)
+    const result = calculateEarnPoints({ items: [{ price: 150, quantity: 2, category_id: 'mains' }], tier, settings })
+
+    expect(result).toEqual({ points: 36, eligibleAmount: 300, multiplier: 1.2, reason: null })
+  })
+
+  it('leaves excluded categories and their share of the discount out', () => {
+    const items = [{ price: 200, quantity: 1, category_id: 'mains' }, { price: 100, quantity: 1, category_id: 'drinks' }]
+    const result = calculateEarnPoints({ items, discount: 30, settings })
+
+    expect(result.eligibleAmount).toBe(180)
+    expect(result.points).toBe(18)
+  })
+
+  it('earns nothing below the minimum order', () => {
+    const result = calculateEarnPoints({ items: [{ price: 99, quantity: 1 }], settings })
+
+    expect(result.points).toBe(0)
+    expect(result.reason).toBe('below_minimum')
+  })
+
+  it('earns nothing when every item is excluded', () => {
+    expect(calculateEarnPoints({ items: [{ price: 150, quantity: 1, category_id: 'drinks' }], settings }).reason).toBe('excluded')
+  })
+})
+
+// verify_order_pricing applies the same caps in the database
+describe('calculateCoinsRedemption', () => {
+  it('caps coins at the per-order limit', () => {
+    expect(calculateCoinsRedemption({ subtotal: 1000, balance: 2000, settings })).toEqual({ coinsUsed: 500, discount: 50, maxCoins: 500 })
+  })
+
+  it('caps coins at the share of the subtotal they may pay for', () => {
+    expect(calculateCoinsRedemption({ subtotal: 400, balance: 2000, settings })).toEqual({ coinsUsed: 200, discount: 20, maxCoins: 500 })
+  })
+
+  it('uses nothing below the minimum order or without a balance', () => {
+    expect(calculateCoinsRedemption({ subtotal: 80, balance: 2000, settings }).coinsUsed).toBe(0)
+    expect(calculateCoinsRedemption({ subtotal: 400, balance: 0, settings }).coinsUsed).toBe(0)
+  })
+})
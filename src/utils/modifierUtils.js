@@ -0,0 +1,308 @@
+/**
+ * Menu item modifier helpers
+ * Shared by the owner menu editor, the customer item pickers, the cart store
+ * and the order pipeline so that prices and cart lines are always computed
+ * the same way.
+ *
+ * A menu item stores its groups in `menu_items.modifier_groups`:
+ *   {
+ *     id, name,
+ *     type: 'variant' | 'choice' | 'addon',
+ *     required, min_select, max_select,
+ *     options: [{ id, name, price_delta, is_available }]
+ *   }
+ *
+ * A cart line / order item stores the chosen options as a flat list:
+ *   [{ group_id, group_name, group_type, option_id, option_name, price_delta }]
+ */
+
+export const MODIFIER_GROUP_TYPES = {
+  VARIANT: 'variant', // Size / portion - exactly one option, e.g. Half / Full
+  CHOICE: 'choice',   // Pick from a list, e.g. base, spice level
+  ADDON: 'addon'      // Optional paid extras, e.g. extra cheese
+}
+
+export const MODIFIER_GROUP_LABELS = {
+  variant: 'Size / Variant',
+  choice: 'Choice',
+  addon: 'Add-ons'
+}
+
+const generateId = (prefix) => `${prefix}_${Date.now().toString(36)}${Math.random().toString(36).substr(2, 5)}`
+
+/**
+ * Create an empty modifier group for the owner editor
+ * @param {string} type - One of MODIFIER_GROUP_TYPES
+ * @returns {Object} - New modifier group
+ */
+export const createModifierGroup = (type = MODIFIER_GROUP_TYPES.CHOICE) => ({
+  id: generateId('grp'),
+  name: '',
+  type,
+  required: type !== MODIFIER_GROUP_TYPES.ADDON,
+  min_select: type === MODIFIER_GROUP_TYPES.ADDON ? 0 : 1,
+  max_select: type === MODIFIER_GROUP_TYPES.ADDON ? null : 1,
+  options: [createModifierOption()]
+})
+
+/**
+ * Create an empty modifier option for the owner editor
+ * @returns {Object} - New modifier option
+ */
+export const createModifierOption = () => ({
+  id: generateId('opt'),
+  name: '',
+  price_delta: 0,
+  is_available: true
+})
+
+/**
+ * Read the modifier groups of a menu item, tolerating rows saved before the
+ * column existed or returned as a JSON string
+ * @param {Object} item - Menu item row
+ * @returns {Array} - Normalized modifier groups
+ */
+export const getModifierGroups = (item) => {
+  let groups = item?.modifier_groups
+  if (!groups) return []
+
+  if (typeof groups === 'string') {
+    try {
+      groups = JSON.parse(groups)
+    } catch (error) {
+      console.warn('⚠️ Invalid modifier_groups JSON for item:', item?.id)
+      return []
+    }
+  }
+
+  if (!Array.isArray(groups)) return []
+
+  return groups
+    .filter(group => group && Array.isArray(group.options) && group.options.length > 0)
+    .map(group => ({
+      ...group,
+      type: group.type || MODIFIER_GROUP_TYPES.CHOICE,
+      options: group.options.map(option => ({
+        ...option,
+        price_delta: parseFloat(option.price_delta) || 0,
+        is_available: option.is_available !== false
+      }))
+    }))
+}
+
+/**
+ * Check whether a menu item has any modifier groups
+ * @param {Object} item - Menu item row
+ * @returns {boolean}
+ */
+export const hasModifiers = (item) => getModifierGroups(item).length > 0
+
+/**
+ * Get how many options a customer must / may pick in a group
+ * @param {Object} group - Modifier group
+ * @returns {{min: number, max: number}}
+ */
+export const getSelectionLimits = (group) => {
+  const optionCount = group.options?.length || 0
+
+  if (group.type === MODIFIER_GROUP_TYPES.VARIANT) {
+    return { min: 1, max: 1 }
+  }
+
+  const max = group.max_select ? Math.min(parseInt(group.max_select), optionCount) : optionCount
+  const configuredMin = parseInt(group.min_select) || 0
+  const min = group.required ? Math.max(1, configuredMin) : configuredMin
+
+  return { min: Math.min(min, max), max }
+}
+
+/**
+ * Pre-select the first available option of every variant group so the item
+ * shows a real price before the customer touches anything
+ * @param {Object} item - Menu item row
+ * @returns {Object} - Selections keyed by group id
+ */
+export const getDefaultSelections = (item) => {
+  return getModifierGroups(item).reduce((acc, group) => {
+    if (group.type === MODIFIER_GROUP_TYPES.VARIANT) {
+      const firstAvailable = group.options.find(option => option.is_available)
+      acc[group.id] = firstAvailable ? [firstAvailable.id] : []
+    } else {
+      acc[group.id] = []
+    }
+    return acc
+  }, {})
+}
+
+/**
+ * Toggle an option inside a selection map respecting the group limits
+ * @param {Object} selections - Selections keyed by group id
+ * @param {Object} group - Modifier group
+ * @param {string} optionId - Option being toggled
+ * @returns {Object} - New selections
+ */
+export const toggleModifierOption = (selections, group, optionId) => {
+  const current = selections[group.id] || []
+  const { max } = getSelectionLimits(group)
+
+  if (current.includes(optionId)) {
+    // Variants always keep one option selected
+    if (group.type === MODIFIER_GROUP_TYPES.VARIANT) return selections
+    return { ...selections, [group.id]: current.filter(id => id !== optionId) }
+  }
+
+  if (max === 1) {
+    return { ...selections, [group.id]: [optionId] }
+  }
+
+  if (current.length >= max) return selections
+
+  return { ...selections, [group.id]: [...current, optionId] }
+}
+
+/**
+ * Validate a selection map against an item's modifier groups
+ * @param {Object} item - Menu item row
+ * @param {Object} selections - Selections keyed by group id
+ * @returns {Array<string>} - Human readable errors, empty when valid
+ */
+export const validateModifierSelections = (item, selections = {}) => {
+  const errors = []
+
+  getModifierGroups(item).forEach(group => {
+    const chosen = (selections[group.id] || []).filter(optionId =>
+      group.options.some(option => option.id === optionId && option.is_available)
+    )
+    const { min, max } = getSelectionLimits(group)
+
+    if (chosen.length < min) {
+      errors.push(min === 1
+        ? `Please choose ${group.name || 'an option'}`
+        : `Please choose at least ${min} for ${group.name}`)
+    }
+    if (chosen.length > max) {
+      errors.push(`You can choose up to ${max} for ${group.name}`)
+    }
+  })
+
+  return errors
+}
+
+/**
+ * Convert a selection map into the flat modifier list stored on cart lines
+ * and order items
+ * @param {Object} item - Menu item row
+ * @param {Object} selections - Selections keyed by group id
+ * @returns {Array} - Chosen modifiers with their price deltas
+ */
+export const selectionsToModifiers = (item, selections = {}) => {
+  const modifiers = []
+
+  getModifierGroups(item).forEach(group => {
+    const chosen = selections[group.id] || []
+    group.options
+      .filter(option => chosen.includes(option.id) && option.is_available)
+      .forEach(option => {
+        modifiers.push({
+          group_id: group.id,
+          group_name: group.name,
+          group_type: group.type,
+          option_id: option.id,
+          option_name: option.name,
+          price_delta: option.price_delta
+        })
+      })
+  })
+
+  return modifiers
+}
+
+/**
+ * Sum the price deltas of a modifier list
+ * @param {Array} modifiers - Chosen modifiers
+ * @returns {number}
+ */
+export const getModifiersTotal = (modifiers = []) => {
+  return (modifiers || []).reduce((sum, modifier) => sum + (parseFloat(modifier.price_delta) || 0), 0)
+}
+
+/**
+ * Get the unit price of a menu item with the chosen modifiers applied
+ * @param {Object} item - Menu item row
+ * @param {Array} modifiers - Chosen modifiers
+ * @returns {number}
+ */
+export const getUnitPrice = (item, modifiers = []) => {
+  const basePrice = parseFloat(item?.base_price ?? item?.price) || 0
+  return basePrice + getModifiersTotal(modifiers)
+}
+
+/**
+ * Build a stable cart line id so the same item with different selections
+ * becomes a separate line. Items without modifiers keep their menu item id.
+ * @param {string} itemId - Menu item id
+ * @param {Array} modifiers - Chosen modifiers
+ * @returns {string}
+ */
+export const buildCartLineId = (itemId, modifiers = []) => {
+  if (!modifiers || modifiers.length === 0) return itemId
+
+  const optionKey = modifiers
+    .map(modifier => `${modifier.group_id}:${modifier.option_id}`)
+    .sort()
+    .join('|')
+
+  return `${itemId}::${optionKey}`
+}
+
+/**
+ * Format chosen modifiers for display, e.g. "Full · Extra Cheese (+₹30)"
+ * @param {Array} modifiers - Chosen modifiers
+ * @param {Object} options - { showPrices }
+ * @returns {string}
+ */
+export const formatModifierSummary = (modifiers = [], { showPrices = true } = {}) => {
+  if (!modifiers || modifiers.length === 0) return ''
+
+  return modifiers
+    .map(modifier => {
+      const delta = parseFloat(modifier.price_delta) || 0
+      if (!showPrices || delta === 0) return modifier.option_name
+      return `${modifier.option_name} (${delta > 0 ? '+' : '-'}₹${Math.abs(delta)})`
+    })
+    .join(' · ')
+}
+
+/**
+ * Clean up groups from the owner editor before saving: trims names, drops
+ * empty options/groups and coerces numbers
+ * @param {Array} groups - Groups from the editor
+ * @returns {Array} - Groups ready for `menu_items.modifier_groups`
+ */
+export const sanitizeModifierGroups = (groups = []) => {
+  return (groups || [])
+    .map(group => {
+      const options = (group.options || [])
+        .filter(option => option.name?.trim())
+        .map(option => ({
+          id: option.id,
+          name: option.name.trim(),
+          price_delta: parseFloat(option.price_delta) || 0,
+          is_available: option.is_available !== false
+        }))
+
+      const isVariant = group.type === MODIFIER_GROUP_TYPES.VARIANT
+      const maxSelect = group.max_select ? parseInt(group.max_select) : null
+
+      return {
+        id: group.id,
+        name: group.name?.trim() || '',
+        type: group.type,
+        required: isVariant ? true : !!group.required,
+        min_select: isVariant ? 1 : (parseInt(group.min_select) || 0),
+        max_select: isVariant ? 1 : maxSelect,
+        options
+      }
+    })
+    .filter(group => group.name && group.options.length > 0)
+}
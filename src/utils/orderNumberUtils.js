@@ -0,0 +1,98 @@
+/**
+ * Human-readable order numbers
+ * Each restaurant numbers its orders A-001, A-002, ... and the count starts
+ * over every day (or week / month / never, per restaurant). The database
+ * assigns the number when the order row is inserted (assign_order_display_number
+ * trigger), so concurrent orders never share one; these helpers mirror its
+ * format for the settings preview and pick what to show for an order.
+ *
+ * orders.order_number keeps the long unique reference (ORD-...) used by
+ * invoices and payments; orders.display_number is the short one. Staff and
+ * customers look orders up by either (UnifiedOrderService.trackOrderByNumber).
+ */
+
+export const ORDER_NUMBER_RESET_POLICIES = {
+  DAILY: 'daily',
+  WEEKLY: 'weekly',
+  MONTHLY: 'monthly',
+  NEVER: 'never'
+}
+
+export const ORDER_NUMBER_RESET_LABELS = {
+  daily: 'Every day',
+  weekly: 'Every week (Monday)',
+  monthly: 'Every month',
+  never: 'Never'
+}
+
+export const DEFAULT_ORDER_NUMBER_SETTINGS = {
+  prefix: 'A',
+  reset_policy: ORDER_NUMBER_RESET_POLICIES.DAILY,
+  padding: 3, // Digits, e.g. 3 → A-042
+  day_start_hour: 0 // Late-night venues can start the business day at e.g. 4 am
+}
+
+/**
+ * Merge a restaurant's saved numbering rules with the defaults
+ * @param {Object} restaurant - users row (order_number_settings)
+ * @returns {Object}
+ */
+export const getOrderNumberSettings = (restaurant) => {
+  const saved = restaurant?.order_number_settings || {}
+  const prefix = typeof saved.prefix === 'string' ? saved.prefix : DEFAULT_ORDER_NUMBER_SETTINGS.prefix
+  const padding = parseInt(saved.padding)
+  const dayStartHour = parseInt(saved.day_start_hour)
+
+  return {
+    prefix: normalizeOrderPrefix(prefix),
+    reset_policy: Object.values(ORDER_NUMBER_RESET_POLICIES).includes(saved.reset_policy)
+      ? saved.reset_policy
+      : DEFAULT_ORDER_NUMBER_SETTINGS.reset_policy,
+    padding: Number.isNaN(padding) ? DEFAULT_ORDER_NUMBER_SETTINGS.padding : Math.min(Math.max(padding, 1), 6),
+    day_start_hour: Number.isNaN(dayStartHour) ? DEFAULT_ORDER_NUMBER_SETTINGS.day_start_hour : Math.min(Math.max(dayStartHour, 0), 23)
+  }
+}
+
+/**
+ * Prefixes are short and upper-case so they read well over the phone
+ * @param {string} prefix - Raw prefix
+ * @returns {string}
+ */
+export const normalizeOrderPrefix = (prefix = '') => {
+  return prefix.toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 4)
+}
+
+/**
+ * Format a sequence number like the database does
+ * @param {number} sequence - Order count in the current period
+ * @param {Object} settings - Order number settings
+ * @returns {string} - e.g. "A-042"
+ */
+export const formatDisplayNumber = (sequence, settings = DEFAULT_ORDER_NUMBER_SETTINGS) => {
+  const number = String(sequence).padStart(settings.padding, '0')
+  return settings.prefix ? `${settings.prefix}-${number}` : number
+}
+
+/**
+ * Number to show for an order (older orders only have order_number)
+ * @param {Object} order - orders row
+ * @returns {string}
+ */
+export const getOrderDisplayNumber = (order) => {
+  return order?.display_number || order?.order_number || order?.id?.slice(-6) || ''
+}
+
+/**
+ * Whether an order matches a search term by either of its numbers
+ * @param {Object} order - orders row
+ * @param {string} term - Search text ("a-042", "42", "ORD-...")
+ * @returns {boolean}
+ */
+export const matchesOrderNumber = (order, term) => {
+  const search = term.trim().toLowerCase().replace(/^#/, '')
+  if (!search) return true
+
+  return [order?.display_number, order?.order_number]
+    .filter(Boolean)
+    .some(number => number.toLowerCase().includes(search))
+}
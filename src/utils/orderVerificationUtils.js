@@ -0,0 +1,90 @@
+/**
+ * Server-side order verification helpers
+ * createOrder writes the order through create_order_transaction, which runs
+ * verify_order_pricing on the cart in the same transaction: every line is
+ * recomputed from menu_items and the offer and Ordyrr Coins are re-checked.
+ * When the payload does not match, nothing is written, the RPC returns a list
+ * of issues and createOrder throws an OrderVerificationError carrying them, so
+ * checkout can show exactly what changed and fix the cart.
+ */
+
+export const ORDER_ISSUE_CODES = {
+  EMPTY_ORDER: 'EMPTY_ORDER',
+  ITEM_NOT_FOUND: 'ITEM_NOT_FOUND',
+  ITEM_UNAVAILABLE: 'ITEM_UNAVAILABLE',
+  INVALID_QUANTITY: 'INVALID_QUANTITY',
+  MODIFIER_UNAVAILABLE: 'MODIFIER_UNAVAILABLE',
+  PRICE_MISMATCH: 'PRICE_MISMATCH',
+  OFFER_INVALID: 'OFFER_INVALID',
+  OFFER_DISCOUNT_MISMATCH: 'OFFER_DISCOUNT_MISMATCH',
+  COINS_NOT_ALLOWED: 'COINS_NOT_ALLOWED',
+  COINS_EXCEEDED: 'COINS_EXCEEDED'
+}
+
+// Issues fixed by taking the line out of the cart
+const REMOVE_LINE_CODES = [
+  ORDER_ISSUE_CODES.ITEM_NOT_FOUND,
+  ORDER_ISSUE_CODES.ITEM_UNAVAILABLE,
+  ORDER_ISSUE_CODES.MODIFIER_UNAVAILABLE
+]
+
+/**
+ * Thrown by createOrder when the server rejects the order's prices,
+ * offer or coins. `issues` is the RPC's structured list.
+ */
+export class OrderVerificationError extends Error {
+  constructor(issues = []) {
+    super(issues[0]?.message || 'Your order has changed. Please review your cart and try again.')
+    this.name = 'OrderVerificationError'
+    this.code = 'ORDER_VERIFICATION_FAILED'
+    this.issues = issues
+  }
+}
+
+/**
+ * Build the verify_order_pricing items payload (create_order_transaction's
+ * p_verification.items) from cart lines
+ * @param {Array} cartItems - Cart items
+ * @returns {Array} - [{ menu_item_id, name, quantity, unit_price, modifiers }]
+ */
+export const buildVerificationPayload = (cartItems = []) => {
+  return cartItems.map(item => ({
+    menu_item_id: item.id,
+    name: item.name,
+    quantity: item.quantity || 1,
+    unit_price: parseFloat(item.price) || 0,
+    modifiers: (item.modifiers || []).map(modifier => ({
+      group_id: modifier.group_id,
+      option_id: modifier.option_id,
+      option_name: modifier.option_name
+    }))
+  }))
+}
+
+/**
+ * Work out the cart changes that resolve verification issues
+ * @param {Array} issues - Issues from OrderVerificationError
+ * @param {Array} cartItems - Cart items the order was placed with
+ * @returns {Object} - { removeLineIds, reprice: [{ lineId, price }], resetOffer }
+ */
+export const getCartFixes = (issues = [], cartItems = []) => {
+  const lineId = (index) => cartItems[index]?.cartItemId || cartItems[index]?.id
+  const removeLineIds = new Set()
+  const reprice = []
+
+  issues.forEach(issue => {
+    if (issue.line_index == null || !lineId(issue.line_index)) return
+
+    if (REMOVE_LINE_CODES.includes(issue.code)) {
+      removeLineIds.add(lineId(issue.line_index))
+    } else if (issue.code === ORDER_ISSUE_CODES.PRICE_MISMATCH) {
+      reprice.push({ lineId: lineId(issue.line_index), price: parseFloat(issue.expected) || 0 })
+    }
+  })
+
+  return {
+    removeLineIds: [...removeLineIds],
+    reprice: reprice.filter(fix => !removeLineIds.has(fix.lineId)),
+    resetOffer: issues.some(issue => issue.code === ORDER_ISSUE_CODES.OFFER_INVALID)
+  }
+}
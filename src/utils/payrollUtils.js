@@ -0,0 +1,292 @@
+/**
+ * Tip pooling and pay-period settlement
+ * Shared by the owner's Payroll tab and the staff's own StaffPerformance.
+ *
+ * Tips come from orders.tip_amount. Pooled policies share a shift's tips
+ * among everyone who clocked in for it; a "shift" here is a business day,
+ * i.e. the day a clock-in started, so a tip at 00:30 belongs to the
+ * previous evening while anyone from that evening is still clocked in.
+ * Amounts are split in paise with the largest-remainder method, so shares
+ * always add up to the tips exactly and the same inputs give the same split.
+ */
+import { calculateAttendanceMinutes, buildTimesheets, getWeekStart } from './attendanceUtils'
+import { toDateKey } from './reservationUtils'
+
+export const TIP_POLICIES = {
+  INDIVIDUAL: 'individual',
+  EQUAL_SHIFT: 'equal_shift',
+  HOURS_WEIGHTED: 'hours_weighted',
+  ROLE_WEIGHTED: 'role_weighted'
+}
+
+export const TIP_POLICY_LABELS = {
+  individual: {
+    label: 'Individual',
+    description: 'Each tip goes to the staff member who served the order'
+  },
+  equal_shift: {
+    label: 'Equal pool per shift',
+    description: "A shift's tips are split equally among everyone who clocked in"
+  },
+  hours_weighted: {
+    label: 'Pool by hours',
+    description: "A shift's tips are split by the hours each person worked"
+  },
+  role_weighted: {
+    label: 'Pool by role',
+    description: "A shift's tips are split by role points (e.g. waiter 2, kitchen 1)"
+  }
+}
+
+export const DEFAULT_TIP_SETTINGS = {
+  policy: TIP_POLICIES.INDIVIDUAL,
+  role_weights: {} // { "<position in lower case>": points }, anything missing counts as 1
+}
+
+export const PAY_PERIODS = [
+  { key: 'this_week', label: 'This week' },
+  { key: 'last_week', label: 'Last week' },
+  { key: 'this_month', label: 'This month' },
+  { key: 'last_month', label: 'Last month' }
+]
+
+const round2 = (value) => Math.round(value * 100) / 100
+
+/**
+ * Merge a restaurant's saved tip policy with the defaults
+ * @param {Object} restaurant - users row (tip_pool_settings)
+ * @returns {Object}
+ */
+export const getTipSettings = (restaurant) => {
+  const saved = restaurant?.tip_pool_settings || {}
+  const roleWeights = {}
+  Object.entries(saved.role_weights || {}).forEach(([role, weight]) => {
+    const value = parseFloat(weight)
+    if (!Number.isNaN(value) && value >= 0) roleWeights[role.trim().toLowerCase()] = value
+  })
+
+  return {
+    policy: Object.values(TIP_POLICIES).includes(saved.policy) ? saved.policy : DEFAULT_TIP_SETTINGS.policy,
+    role_weights: roleWeights
+  }
+}
+
+/**
+ * Role points for a position (1 when not configured)
+ * @param {Object} settings - getTipSettings result
+ * @param {string} position - Staff position
+ * @returns {number}
+ */
+export const getRoleWeight = (settings, position) => {
+  const weight = settings.role_weights[(position || '').trim().toLowerCase()]
+  return weight === undefined ? 1 : weight
+}
+
+/**
+ * Start and end of a pay period preset
+ * @param {string} key - PAY_PERIODS key
+ * @param {Date} now - Current time
+ * @returns {Object} - { from, until }
+ */
+export const getPayPeriod = (key, now = new Date()) => {
+  if (key === 'this_month' || key === 'last_month') {
+    const offset = key === 'last_month' ? -1 : 0
+    return {
+      from: new Date(now.getFullYear(), now.getMonth() + offset, 1),
+      until: new Date(now.getFullYear(), now.getMonth() + offset + 1, 1)
+    }
+  }
+
+  const from = getWeekStart(now)
+  if (key === 'last_week') from.setDate(from.getDate() - 7)
+  const until = new Date(from)
+  until.setDate(until.getDate() + 7)
+  return { from, until }
+}
+
+/**
+ * Split an amount by weights, exactly to the paisa
+ * @param {number} amount - Amount to split
+ * @param {Object} weights - { [staffId]: weight }
+ * @returns {Object} - { [staffId]: share }, empty when every weight is 0
+ */
+export const splitByWeights = (amount, weights) => {
+  const ids = Object.keys(weights).filter(id => weights[id] > 0).sort()
+  const totalWeight = ids.reduce((sum, id) => sum + weights[id], 0)
+  if (!ids.length || totalWeight <= 0) return {}
+
+  const paise = Math.round(amount * 100)
+  const exact = ids.map(id => ({ id, value: paise * weights[id] / totalWeight }))
+  const shares = Object.fromEntries(exact.map(({ id, value }) => [id, Math.floor(value)]))
+
+  // Leftover paise go to the largest remainders (ties by staff ID)
+  let leftover = paise - Object.values(shares).reduce((sum, value) => sum + value, 0)
+  const byRemainder = [...exact].sort((a, b) =>
+    (b.value - Math.floor(b.value)) - (a.value - Math.floor(a.value)) || a.id.localeCompare(b.id))
+  for (let index = 0; leftover > 0; index = (index + 1) % byRemainder.length, leftover--) {
+    shares[byRemainder[index].id]++
+  }
+
+  return Object.fromEntries(ids.map(id => [id, shares[id] / 100]))
+}
+
+/**
+ * Business day a tip belongs to: the clock-in day of the earliest shift
+ * that was running when the order came in, else the order's own day
+ * @param {Object} tip - { created_at }
+ * @param {Array<Object>} attendance - staff_attendance rows
+ * @param {Date} now - Current time (for open clock-ins)
+ * @returns {string} - YYYY-MM-DD
+ */
+const getTipShiftDay = (tip, attendance, now) => {
+  const at = new Date(tip.created_at)
+  const covering = attendance.find(record =>
+    new Date(record.clock_in_at) <= at && at <= (record.clock_out_at ? new Date(record.clock_out_at) : now))
+  return toDateKey(new Date(covering ? covering.clock_in_at : tip.created_at))
+}
+
+/**
+ * Share tips out according to the restaurant's policy
+ * @param {Object} params - { tips, attendance, staff, settings, now }
+ * @returns {Object} - { byStaff: { [staffId]: amount }, unallocated }
+ */
+export const distributeTips = ({ tips = [], attendance = [], staff = [], settings = DEFAULT_TIP_SETTINGS, now = new Date() }) => {
+  const byStaff = {}
+  let unallocated = 0
+  const staffById = new Map(staff.map(member => [member.id, member]))
+  const credit = (shares) => Object.entries(shares).forEach(([id, amount]) => {
+    byStaff[id] = round2((byStaff[id] || 0) + amount)
+  })
+
+  // Who worked each business day, and for how long
+  const shifts = {}
+  attendance.forEach(record => {
+    const day = toDateKey(new Date(record.clock_in_at))
+    shifts[day] = shifts[day] || {}
+    shifts[day][record.staff_id] = (shifts[day][record.staff_id] || 0) +
+      calculateAttendanceMinutes(record, now).payableMinutes
+  })
+
+  const weightsFor = (day) => {
+    const worked = shifts[day] || {}
+    return Object.fromEntries(Object.entries(worked).map(([id, minutes]) => {
+      if (settings.policy === TIP_POLICIES.HOURS_WEIGHTED) return [id, minutes]
+      if (settings.policy === TIP_POLICIES.ROLE_WEIGHTED) return [id, getRoleWeight(settings, staffById.get(id)?.position)]
+      return [id, 1]
+    }))
+  }
+
+  // Pooled tips are gathered per shift first so each shift is split once
+  const pools = {}
+  tips.forEach(tip => {
+    const amount = parseFloat(tip.tip_amount) || 0
+    if (amount <= 0) return
+
+    if (settings.policy === TIP_POLICIES.INDIVIDUAL && tip.assigned_staff_id) {
+      credit({ [tip.assigned_staff_id]: amount })
+      return
+    }
+
+    // Unassigned tips under the individual policy are shared like a pool
+    const day = getTipShiftDay(tip, attendance, now)
+    pools[day] = pools[day] || { amount: 0, fallback: {} }
+    pools[day].amount += amount
+    if (tip.assigned_staff_id) {
+      pools[day].fallback[tip.assigned_staff_id] = (pools[day].fallback[tip.assigned_staff_id] || 0) + amount
+    }
+  })
+
+  Object.keys(pools).sort().forEach(day => {
+    const pool = pools[day]
+    const weights = settings.policy === TIP_POLICIES.INDIVIDUAL
+      ? Object.fromEntries(Object.keys(shifts[day] || {}).map(id => [id, 1]))
+      : weightsFor(day)
+    const shares = splitByWeights(pool.amount, weights)
+
+    if (Object.keys(shares).length) {
+      credit(shares)
+      return
+    }
+
+    // Nobody clocked in that day: tips stay with whoever served the order
+    credit(pool.fallback)
+    const assigned = Object.values(pool.fallback).reduce((sum, value) => sum + value, 0)
+    unallocated = round2(unallocated + pool.amount - assigned)
+  })
+
+  return { byStaff, unallocated }
+}
+
+/**
+ * Wages and tips per staff member for a pay period
+ * @param {Object} params - { staff, attendance, tips, settings, now }
+ * @returns {Object} - { rows, totals: { wages, tips, total, unallocatedTips, payableHours } }
+ */
+export const buildSettlement = ({ staff = [], attendance = [], tips = [], settings = DEFAULT_TIP_SETTINGS, now = new Date() }) => {
+  const timesheets = buildTimesheets(attendance, staff, [], now)
+  const { byStaff, unallocated } = distributeTips({ tips, attendance, staff, settings, now })
+  const servedTips = tips.reduce((served, tip) => {
+    if (tip.assigned_staff_id) served[tip.assigned_staff_id] = round2((served[tip.assigned_staff_id] || 0) + (parseFloat(tip.tip_amount) || 0))
+    return served
+  }, {})
+
+  const rows = timesheets.map(sheet => {
+    const member = staff.find(candidate => candidate.id === sheet.staffId) || {}
+    const tipShare = byStaff[sheet.staffId] || 0
+    return {
+      staffId: sheet.staffId,
+      name: sheet.name,
+      position: member.position || '',
+      hourlyRate: sheet.hourlyRate,
+      clockIns: sheet.clockIns,
+      payableHours: sheet.payableHours,
+      wages: sheet.pay,
+      tipsServed: servedTips[sheet.staffId] || 0, // Tips on orders they served, before pooling
+      tips: tipShare,
+      total: round2(sheet.pay + tipShare)
+    }
+  })
+
+  const sum = (key) => round2(rows.reduce((total, row) => total + row[key], 0))
+  return {
+    rows,
+    totals: {
+      payableHours: sum('payableHours'),
+      wages: sum('wages'),
+      tips: sum('tips'),
+      total: sum('total'),
+      unallocatedTips: unallocated
+    }
+  }
+}
+
+/**
+ * Settlement as CSV (one row per staff member plus a total)
+ * @param {Object} report - PayrollService.getSettlement result
+ * @returns {string}
+ */
+export const settlementToCsv = (report) => {
+  const escape = (value) => {
+    const text = String(value ?? '')
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+  }
+
+  const lines = [
+    ['Restaurant', report.restaurantName],
+    ['Period', `${toDateKey(report.from)} to ${toDateKey(new Date(report.until.getTime() - 1))}`],
+    ['Tip policy', TIP_POLICY_LABELS[report.settings.policy].label],
+    [],
+    ['Staff', 'Position', 'Clock-ins', 'Payable hours', 'Hourly rate', 'Wages', 'Tips served', 'Tip share', 'Total'],
+    ...report.rows.map(row => [
+      row.name, row.position, row.clockIns, row.payableHours.toFixed(2), row.hourlyRate.toFixed(2),
+      row.wages.toFixed(2), row.tipsServed.toFixed(2), row.tips.toFixed(2), row.total.toFixed(2)
+    ]),
+    ['Total', '', '', report.totals.payableHours.toFixed(2), '', report.totals.wages.toFixed(2), '', report.totals.tips.toFixed(2), report.totals.total.toFixed(2)]
+  ]
+
+  if (report.totals.unallocatedTips > 0) {
+    lines.push(['Unallocated tips', '', '', '', '', '', '', report.totals.unallocatedTips.toFixed(2), ''])
+  }
+
+  return lines.map(line => line.map(escape).join(',')).join('\n')
+}
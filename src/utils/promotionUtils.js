@@ -0,0 +1,351 @@
+/**
+ * Promotion rule engine
+ * One set of pure rules behind the cart, checkout and
+ * UnifiedOrderService.createOrder, so the discount a customer is shown is the
+ * discount the order is charged.
+ *
+ * An offer (offers row) is either a coupon the customer types in or an
+ * automatic offer (is_automatic). Rules it can carry:
+ *   - percentage / flat amount / buy-X-get-Y (bogo) discount
+ *   - minimum order value and a maximum discount cap
+ *   - date range, weekdays and a daily time window (happy hour)
+ *   - global and per-customer usage limits (counted from customer_offers)
+ *   - scope limited to some menu items and/or categories
+ *
+ * Only one offer applies per order: the entered coupon, or else the best
+ * automatic offer. All maths is done in paise.
+ */
+
+export const DISCOUNT_TYPES = {
+  PERCENTAGE: 'percentage',
+  FIXED: 'fixed',
+  BOGO: 'bogo'
+}
+
+export const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+
+export const INELIGIBLE_REASONS = {
+  INACTIVE: 'inactive',
+  NOT_STARTED: 'not_started',
+  EXPIRED: 'expired',
+  WRONG_DAY: 'wrong_day',
+  OUTSIDE_HOURS: 'outside_hours',
+  MIN_ORDER: 'min_order',
+  NO_ELIGIBLE_ITEMS: 'no_eligible_items',
+  USAGE_LIMIT: 'usage_limit',
+  CUSTOMER_LIMIT: 'customer_limit',
+  LOGIN_REQUIRED: 'login_required'
+}
+
+export const EMPTY_OFFER = {
+  offer_code: '',
+  title: '',
+  description: '',
+  is_active: true,
+  is_automatic: false,
+  discount_type: DISCOUNT_TYPES.PERCENTAGE,
+  discount_value: '',
+  min_order_amount: '',
+  max_discount_amount: '',
+  starts_at: '',
+  ends_at: '',
+  valid_days: [],
+  valid_from_time: '',
+  valid_until_time: '',
+  usage_limit_total: '',
+  usage_limit_per_customer: '',
+  applicable_item_ids: [],
+  applicable_category_ids: [],
+  buy_quantity: 1,
+  get_quantity: 1
+}
+
+const OFFER_CODE_PATTERN = /^[A-Z0-9_-]{3,20}$/
+
+const toPaise = (amount) => Math.round((parseFloat(amount) || 0) * 100)
+const fromPaise = (paise) => paise / 100
+
+const hasValue = (value) => value !== null && value !== undefined && value !== ''
+
+// 'HH:MM' or 'HH:MM:SS' -> minutes after midnight
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number)
+  return hours * 60 + (minutes || 0)
+}
+
+/**
+ * Normalise a coupon code the way it is stored
+ * @param {string} code - Code as typed
+ * @returns {string} - Upper-case code without spaces
+ */
+export const normalizeOfferCode = (code) => (code || '').replace(/\s+/g, '').toUpperCase()
+
+/**
+ * Is the offer running at a given moment (active flag, dates, weekdays, hours)
+ * @param {Object} offer - offers row
+ * @param {Date} now - Moment to check
+ * @returns {string|null} - INELIGIBLE_REASONS value, or null when running
+ */
+export const getScheduleBlocker = (offer, now = new Date()) => {
+  if (!offer.is_active) return INELIGIBLE_REASONS.INACTIVE
+  if (offer.starts_at && now < new Date(offer.starts_at)) return INELIGIBLE_REASONS.NOT_STARTED
+  if (offer.ends_at && now > new Date(offer.ends_at)) return INELIGIBLE_REASONS.EXPIRED
+
+  if (offer.valid_days?.length && !offer.valid_days.map(Number).includes(now.getDay())) {
+    return INELIGIBLE_REASONS.WRONG_DAY
+  }
+
+  if (offer.valid_from_time && offer.valid_until_time) {
+    const minute = now.getHours() * 60 + now.getMinutes()
+    const from = toMinutes(offer.valid_from_time)
+    const until = toMinutes(offer.valid_until_time)
+    // A window like 22:00-02:00 runs past midnight
+    const inWindow = from <= until
+      ? minute >= from && minute < until
+      : minute >= from || minute < until
+    if (!inWindow) return INELIGIBLE_REASONS.OUTSIDE_HOURS
+  }
+
+  return null
+}
+
+/**
+ * Cart lines the offer applies to (all lines when it has no item/category scope)
+ * @param {Object} offer - offers row
+ * @param {Array} cartItems - Cart lines ({ id, category_id, price, quantity })
+ * @returns {Array} - Matching cart lines
+ */
+export const getEligibleLines = (offer, cartItems = []) => {
+  const itemIds = offer.applicable_item_ids || []
+  const categoryIds = offer.applicable_category_ids || []
+  if (itemIds.length === 0 && categoryIds.length === 0) return cartItems
+
+  return cartItems.filter(item =>
+    itemIds.includes(item.id) || (item.category_id && categoryIds.includes(item.category_id))
+  )
+}
+
+/**
+ * Buy X get Y: units are ranked by price and in every group of X + Y units
+ * the Y cheapest get discount_value % off (100 = free)
+ * @returns {number} - Discount in paise
+ */
+const calculateBogoPaise = (offer, lines) => {
+  const buy = Math.max(1, parseInt(offer.buy_quantity) || 1)
+  const get = Math.max(1, parseInt(offer.get_quantity) || 1)
+  const percentOff = hasValue(offer.discount_value) ? parseFloat(offer.discount_value) : 100
+
+  const unitPrices = lines
+    .flatMap(line => Array(Math.max(0, parseInt(line.quantity) || 0)).fill(toPaise(line.price)))
+    .sort((a, b) => b - a)
+
+  let discountPaise = 0
+  for (let start = 0; start + buy + get <= unitPrices.length; start += buy + get) {
+    unitPrices.slice(start + buy, start + buy + get).forEach(price => {
+      discountPaise += Math.round((price * percentOff) / 100)
+    })
+  }
+  return discountPaise
+}
+
+/**
+ * Discount an offer gives on a cart, ignoring schedule and usage limits
+ * @param {Object} offer - offers row
+ * @param {Array} cartItems - Cart lines
+ * @returns {number} - Discount in rupees
+ */
+export const calculateOfferDiscount = (offer, cartItems = []) => {
+  const lines = getEligibleLines(offer, cartItems)
+  const eligiblePaise = lines.reduce((sum, line) => sum + toPaise(line.price) * (parseInt(line.quantity) || 0), 0)
+  if (eligiblePaise <= 0) return 0
+
+  let discountPaise = 0
+  if (offer.discount_type === DISCOUNT_TYPES.PERCENTAGE) {
+    discountPaise = Math.round((eligiblePaise * (parseFloat(offer.discount_value) || 0)) / 100)
+  } else if (offer.discount_type === DISCOUNT_TYPES.FIXED) {
+    discountPaise = toPaise(offer.discount_value)
+  } else if (offer.discount_type === DISCOUNT_TYPES.BOGO) {
+    discountPaise = calculateBogoPaise(offer, lines)
+  }
+
+  if (hasValue(offer.max_discount_amount) && parseFloat(offer.max_discount_amount) > 0) {
+    discountPaise = Math.min(discountPaise, toPaise(offer.max_discount_amount))
+  }
+
+  return fromPaise(Math.min(discountPaise, eligiblePaise))
+}
+
+/**
+ * Check every rule of an offer against a cart
+ * @param {Object} offer - offers row
+ * @param {Object} context - { cartItems, usage: { total, customer }, customerId, now }
+ * @returns {Object} - { eligible, discount, reason }
+ */
+export const evaluateOffer = (offer, { cartItems = [], usage = {}, customerId = null, now = new Date() } = {}) => {
+  const ineligible = (reason) => ({ eligible: false, discount: 0, reason })
+
+  const scheduleBlocker = getScheduleBlocker(offer, now)
+  if (scheduleBlocker) return ineligible(scheduleBlocker)
+
+  // Usage is tracked per customer, so limited offers need a signed-in customer
+  const limitTotal = parseInt(offer.usage_limit_total) || 0
+  const limitPerCustomer = parseInt(offer.usage_limit_per_customer) || 0
+  if (!customerId && (limitTotal > 0 || limitPerCustomer > 0)) {
+    return ineligible(INELIGIBLE_REASONS.LOGIN_REQUIRED)
+  }
+  if (limitTotal > 0 && (usage.total || 0) >= limitTotal) return ineligible(INELIGIBLE_REASONS.USAGE_LIMIT)
+  if (limitPerCustomer > 0 && (usage.customer || 0) >= limitPerCustomer) return ineligible(INELIGIBLE_REASONS.CUSTOMER_LIMIT)
+
+  const subtotalPaise = cartItems.reduce((sum, line) => sum + toPaise(line.price) * (parseInt(line.quantity) || 0), 0)
+  if (subtotalPaise < toPaise(offer.min_order_amount)) return ineligible(INELIGIBLE_REASONS.MIN_ORDER)
+
+  const discount = calculateOfferDiscount(offer, cartItems)
+  if (discount <= 0) return ineligible(INELIGIBLE_REASONS.NO_ELIGIBLE_ITEMS)
+
+  return { eligible: true, discount, reason: null }
+}
+
+/**
+ * Customer-facing explanation of why an offer does not apply
+ * @param {string} reason - INELIGIBLE_REASONS value
+ * @param {Object} offer - offers row
+ * @returns {string} - Message
+ */
+export const getIneligibleMessage = (reason, offer = {}) => {
+  switch (reason) {
+    case INELIGIBLE_REASONS.INACTIVE:
+    case INELIGIBLE_REASONS.EXPIRED:
+      return 'This coupon has expired'
+    case INELIGIBLE_REASONS.NOT_STARTED:
+      return 'This coupon is not active yet'
+    case INELIGIBLE_REASONS.WRONG_DAY:
+      return `Valid only on ${(offer.valid_days || []).map(day => WEEKDAYS[day]).join(', ')}`
+    case INELIGIBLE_REASONS.OUTSIDE_HOURS:
+      return `Valid only between ${String(offer.valid_from_time).slice(0, 5)} and ${String(offer.valid_until_time).slice(0, 5)}`
+    case INELIGIBLE_REASONS.MIN_ORDER:
+      return `Add items worth ₹${parseFloat(offer.min_order_amount).toFixed(0)} or more to use this coupon`
+    case INELIGIBLE_REASONS.NO_ELIGIBLE_ITEMS:
+      return offer.discount_type === DISCOUNT_TYPES.BOGO
+        ? `Add ${(parseInt(offer.buy_quantity) || 1) + (parseInt(offer.get_quantity) || 1)} eligible items to use this offer`
+        : 'None of the items in your cart are eligible'
+    case INELIGIBLE_REASONS.USAGE_LIMIT:
+      return 'This coupon has been fully redeemed'
+    case INELIGIBLE_REASONS.CUSTOMER_LIMIT:
+      return 'You have already used this coupon'
+    case INELIGIBLE_REASONS.LOGIN_REQUIRED:
+      return 'Log in to use this coupon'
+    default:
+      return 'This coupon cannot be applied'
+  }
+}
+
+/**
+ * Pick the offer for a cart: the entered coupon when it applies and beats the
+ * automatic offers, otherwise the best automatic offer
+ * @param {Object} params - { offers, cartItems, couponCode, usageByOffer, customerId, now }
+ * @returns {Object} - { offer, discount, couponError }
+ */
+export const applyPromotions = ({ offers = [], cartItems = [], couponCode = '', usageByOffer = {}, customerId = null, now = new Date() }) => {
+  const context = (offer) => ({ cartItems, usage: usageByOffer[offer.id] || {}, customerId, now })
+
+  let best = { offer: null, discount: 0 }
+  offers
+    .filter(offer => offer.is_automatic)
+    .forEach(offer => {
+      const result = evaluateOffer(offer, context(offer))
+      if (result.eligible && result.discount > best.discount) {
+        best = { offer, discount: result.discount }
+      }
+    })
+
+  const code = normalizeOfferCode(couponCode)
+  if (!code) return { ...best, couponError: null }
+
+  const coupon = offers.find(offer => normalizeOfferCode(offer.offer_code) === code)
+  if (!coupon) return { ...best, couponError: 'Invalid coupon code' }
+
+  const result = evaluateOffer(coupon, context(coupon))
+  if (!result.eligible) return { ...best, couponError: getIneligibleMessage(result.reason, coupon) }
+
+  if (best.offer && best.offer.id !== coupon.id && best.discount > result.discount) {
+    return { ...best, couponError: `A better offer (${best.offer.title || best.offer.offer_code}) is already applied` }
+  }
+
+  return { offer: coupon, discount: result.discount, couponError: null }
+}
+
+/**
+ * Short description of an offer, e.g. "20% off up to ₹100 on ₹300+"
+ * @param {Object} offer - offers row
+ * @returns {string} - Summary
+ */
+export const formatOfferSummary = (offer) => {
+  let summary
+  if (offer.discount_type === DISCOUNT_TYPES.BOGO) {
+    const percentOff = hasValue(offer.discount_value) ? parseFloat(offer.discount_value) : 100
+    summary = `Buy ${offer.buy_quantity || 1} get ${offer.get_quantity || 1} ${percentOff >= 100 ? 'free' : `${percentOff}% off`}`
+  } else if (offer.discount_type === DISCOUNT_TYPES.PERCENTAGE) {
+    summary = `${parseFloat(offer.discount_value) || 0}% off`
+  } else {
+    summary = `₹${parseFloat(offer.discount_value) || 0} off`
+  }
+
+  if (hasValue(offer.max_discount_amount) && parseFloat(offer.max_discount_amount) > 0) {
+    summary += ` up to ₹${parseFloat(offer.max_discount_amount)}`
+  }
+  if (parseFloat(offer.min_order_amount) > 0) {
+    summary += ` on ₹${parseFloat(offer.min_order_amount)}+`
+  }
+  if (offer.valid_from_time && offer.valid_until_time) {
+    summary += `, ${String(offer.valid_from_time).slice(0, 5)}-${String(offer.valid_until_time).slice(0, 5)}`
+  }
+  return summary
+}
+
+/**
+ * Validate an offer before saving it
+ * @param {Object} offer - Offer form values
+ * @returns {Object} - { valid, errors }
+ */
+export const validateOffer = (offer) => {
+  const errors = []
+  const code = normalizeOfferCode(offer.offer_code)
+  const value = parseFloat(offer.discount_value)
+
+  if (!OFFER_CODE_PATTERN.test(code)) {
+    errors.push('Code must be 3-20 letters, numbers, _ or -')
+  }
+  if (!Object.values(DISCOUNT_TYPES).includes(offer.discount_type)) {
+    errors.push('Choose a discount type')
+  }
+  if (offer.discount_type === DISCOUNT_TYPES.BOGO) {
+    if (!(parseInt(offer.buy_quantity) >= 1) || !(parseInt(offer.get_quantity) >= 1)) {
+      errors.push('Buy and get quantities must be at least 1')
+    }
+    if (hasValue(offer.discount_value) && !(value > 0 && value <= 100)) {
+      errors.push('Discount on the free items must be between 1 and 100%')
+    }
+  } else if (!(value > 0)) {
+    errors.push('Discount value must be greater than 0')
+  } else if (offer.discount_type === DISCOUNT_TYPES.PERCENTAGE && value > 100) {
+    errors.push('Percentage discount cannot exceed 100%')
+  }
+
+  const amountFields = ['min_order_amount', 'max_discount_amount', 'usage_limit_total', 'usage_limit_per_customer']
+  amountFields.forEach(field => {
+    if (hasValue(offer[field]) && !(parseFloat(offer[field]) >= 0)) {
+      errors.push(`${field.replace(/_/g, ' ')} cannot be negative`)
+    }
+  })
+
+  if (offer.starts_at && offer.ends_at && new Date(offer.ends_at) <= new Date(offer.starts_at)) {
+    errors.push('End date must be after the start date')
+  }
+  if (Boolean(offer.valid_from_time) !== Boolean(offer.valid_until_time)) {
+    errors.push('Set both the start and end of the daily time window')
+  } else if (offer.valid_from_time && offer.valid_from_time === offer.valid_until_time) {
+    errors.push('Daily time window cannot start and end at the same time')
+  }
+
+  return { valid: errors.length === 0, errors }
+}
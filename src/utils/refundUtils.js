@@ -0,0 +1,189 @@
+/**
+ * Order refunds and goodwill credits
+ * An owner refunds the whole order, some items (or some of an item's
+ * quantity), or gives a goodwill credit. Money goes back to the original
+ * online payment or in cash; goodwill can also be paid as Ordyrr Coins.
+ * create_order_refund works out the final amount in the database; the quote
+ * here mirrors it so the refund form shows the same number.
+ */
+import { COINS_PER_RUPEE } from './loyaltyUtils'
+
+export const REFUND_TYPES = {
+  FULL: 'full',
+  ITEMS: 'items',
+  GOODWILL: 'goodwill'
+}
+
+export const REFUND_METHODS = {
+  ORIGINAL: 'original',
+  CASH: 'cash',
+  COINS: 'coins'
+}
+
+export const REFUND_METHOD_LABELS = {
+  original: 'Original payment',
+  cash: 'Cash',
+  coins: 'Ordyrr Coins'
+}
+
+export const REFUND_REASONS = [
+  { key: 'wrong_item', label: 'Wrong item served' },
+  { key: 'quality', label: 'Food quality' },
+  { key: 'missing_item', label: 'Item missing or unavailable' },
+  { key: 'late', label: 'Order too late' },
+  { key: 'overcharged', label: 'Charged twice or overcharged' },
+  { key: 'order_cancelled', label: 'Order cancelled' },
+  { key: 'customer_request', label: 'Customer request' },
+  { key: 'other', label: 'Other' }
+]
+
+export const getRefundReasonLabel = (key) =>
+  REFUND_REASONS.find(reason => reason.key === key)?.label || key
+
+const toPaise = (amount) => Math.round((parseFloat(amount) || 0) * 100)
+const fromPaise = (paise) => paise / 100
+
+// Refunds that still hold money back: processed or waiting on the gateway
+const isOpenMoneyRefund = (refund) => refund.status !== 'failed' && refund.method !== REFUND_METHODS.COINS
+
+/**
+ * What can still be refunded on an order
+ * @param {Object} order - orders row with order_items
+ * @param {Array<Object>} refunds - The order's order_refunds rows
+ * @returns {Object} - { amount, tip, items: [{ id, itemName, quantity, quantityLeft, totalPrice, paid, paidLeft }] }
+ */
+export const getRefundableBalance = (order, refunds = []) => {
+  const open = refunds.filter(refund => refund.status !== 'failed')
+  const done = {}
+  open.forEach(refund => (refund.items || []).forEach(item => {
+    const line = done[item.order_item_id] || { quantity: 0, paise: 0 }
+    line.quantity += parseInt(item.quantity) || 0
+    line.paise += toPaise(item.amount)
+    done[item.order_item_id] = line
+  }))
+
+  const refundedPaise = refunds
+    .filter(isOpenMoneyRefund)
+    .reduce((sum, refund) => sum + toPaise(refund.amount), 0)
+
+  // Processed tips are already off orders.tip_amount
+  const pendingTipPaise = refunds
+    .filter(refund => refund.status === 'pending')
+    .reduce((sum, refund) => sum + toPaise(refund.tip_amount), 0)
+
+  return {
+    amount: fromPaise(Math.max(toPaise(order.total_amount) - refundedPaise, 0)),
+    tip: fromPaise(Math.max(toPaise(order.tip_amount) - pendingTipPaise, 0)),
+    items: (order.order_items || []).map(item => {
+      // What the customer paid for the line: after discounts, with its GST
+      const paidPaise = toPaise(item.taxable_value ?? item.total_price) + toPaise(item.tax_amount)
+      const line = done[item.id] || { quantity: 0, paise: 0 }
+      return {
+        id: item.id,
+        itemName: item.item_name,
+        quantity: item.quantity,
+        quantityLeft: Math.max(item.quantity - line.quantity, 0),
+        totalPrice: parseFloat(item.total_price) || 0,
+        paid: fromPaise(paidPaise),
+        paidLeft: fromPaise(paidPaise - line.paise)
+      }
+    })
+  }
+}
+
+/**
+ * Amount, items and coin share of a refund before it is made
+ * @param {Object} order - orders row with order_items
+ * @param {Array<Object>} refunds - The order's order_refunds rows
+ * @param {Object} request
+ * @param {string} request.type - One of REFUND_TYPES
+ * @param {string} request.method - One of REFUND_METHODS
+ * @param {Object} request.quantities - { [orderItemId]: quantity } for item refunds
+ * @param {boolean} request.includeTip - Refund the tip with the items
+ * @param {number} request.amount - Goodwill amount
+ * @returns {Object} - { amount, tip, items, coinsRatio, coins, remaining, exceedsRemaining }
+ */
+export const calculateRefundQuote = (order, refunds, { type, method, quantities = {}, includeTip = false, amount = 0 }) => {
+  const balance = getRefundableBalance(order, refunds)
+  const subtotalPaise = toPaise(order.subtotal)
+  let amountPaise = 0
+  let tipPaise = 0
+  let coinsRatio = 0
+  let items = []
+
+  if (type === REFUND_TYPES.FULL) {
+    amountPaise = toPaise(balance.amount)
+    tipPaise = toPaise(balance.tip)
+    coinsRatio = 1
+    items = balance.items
+      .filter(item => item.quantityLeft > 0)
+      .map(item => ({ orderItemId: item.id, itemName: item.itemName, quantity: item.quantityLeft, amount: item.paidLeft }))
+  } else if (type === REFUND_TYPES.ITEMS) {
+    items = balance.items
+      .map(item => ({ item, quantity: Math.min(parseInt(quantities[item.id]) || 0, item.quantityLeft) }))
+      .filter(({ quantity }) => quantity > 0)
+      .map(({ item, quantity }) => ({
+        orderItemId: item.id,
+        itemName: item.itemName,
+        quantity,
+        // The last units take whatever is left, so rounding never leaves a paisa behind
+        amount: quantity === item.quantityLeft
+          ? item.paidLeft
+          : fromPaise(Math.round(toPaise(item.paid) * quantity / item.quantity))
+      }))
+
+    amountPaise = items.reduce((sum, item) => sum + toPaise(item.amount), 0)
+    if (includeTip) {
+      tipPaise = toPaise(balance.tip)
+      amountPaise += tipPaise
+    }
+    amountPaise = Math.min(amountPaise, toPaise(balance.amount))
+
+    coinsRatio = subtotalPaise > 0
+      ? Math.min(items.reduce((sum, item) => {
+        const line = balance.items.find(candidate => candidate.id === item.orderItemId)
+        return sum + toPaise(line.totalPrice) * item.quantity / line.quantity
+      }, 0) / subtotalPaise, 1)
+      : 0
+  } else {
+    amountPaise = Math.max(toPaise(amount), 0)
+  }
+
+  return {
+    amount: fromPaise(amountPaise),
+    tip: fromPaise(tipPaise),
+    items,
+    coinsRatio,
+    coins: method === REFUND_METHODS.COINS ? Math.round(fromPaise(amountPaise) * COINS_PER_RUPEE) : 0,
+    remaining: balance.amount,
+    exceedsRemaining: method !== REFUND_METHODS.COINS && amountPaise > toPaise(balance.amount)
+  }
+}
+
+/**
+ * Processed refunds by method and reason, for payment analytics
+ * @param {Array<Object>} refunds - order_refunds rows
+ * @returns {Object} - { count, amount, tips, coinsCredited, pendingCount, byMethod, byReason }
+ */
+export const summarizeRefunds = (refunds = []) => {
+  const processed = refunds.filter(refund => refund.status === 'processed')
+  const money = processed.filter(refund => refund.method !== REFUND_METHODS.COINS)
+
+  const group = (rows, key) => Object.values(rows.reduce((groups, refund) => {
+    const name = refund[key]
+    if (!groups[name]) groups[name] = { key: name, count: 0, amount: 0 }
+    groups[name].count += 1
+    groups[name].amount = fromPaise(toPaise(groups[name].amount) + toPaise(refund.amount))
+    return groups
+  }, {})).sort((a, b) => b.amount - a.amount)
+
+  return {
+    count: processed.length,
+    amount: fromPaise(money.reduce((sum, refund) => sum + toPaise(refund.amount), 0)),
+    tips: fromPaise(money.reduce((sum, refund) => sum + toPaise(refund.tip_amount), 0)),
+    coinsCredited: processed.reduce((sum, refund) => sum + (refund.coins_credited || 0), 0),
+    pendingCount: refunds.filter(refund => refund.status === 'pending').length,
+    byMethod: group(processed, 'method'),
+    byReason: group(processed, 'reason')
+  }
+}
@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest'
+import { calculateRefundQuote, getRefundableBalance, REFUND_TYPES, REFUND_METHODS } from './refundUtils'
+
+// ₹300 of items, ₹10 GST on the paneer, ₹20 tip
+const order = {
+  subtotal: 300,
+  total_amount: 330,
+  tip_amount: 20,
+  order_items: [
+    { id: 'paneer', item_name: 'Paneer Tikka', quantity: 3, total_price: 200, taxable_value: 200, tax_amount: 10 },
+    { id: 'naan', item_name: 'Butter Naan', quantity: 3, total_price: 100, taxable_value: 100, tax_amount: 0 }
+  ]
+}
+
+const refund = (overrides) => ({ status: 'processed', method: REFUND_METHODS.ORIGINAL, amount: 0, tip_amount: 0, items: [], ...overrides })
+
+describe('getRefundableBalance', () => {
+  it('leaves failed and coin refunds out of the money already refunded', () => {
+    const balance = getRefundableBalance(order, [
+      refund({ status: 'failed', amount: 330 }),
+      refund({ method: REFUND_METHODS.COINS, amount: 50 }),
+      refund({ amount: 30 })
+    ])
+
+    expect(balance.amount).toBe(300)
+  })
+
+  it('holds back the tip of a pending refund', () => {
+    expect(getRefundableBalance(order, [refund({ status: 'pending', amount: 20, tip_amount: 20 })]).tip).toBe(0)
+  })
+})
+
+// create_order_refund works out the same numbers in the database
+describe('calculateRefundQuote', () => {
+  it('refunds the whole remaining balance and tip on a full refund', () => {
+    const quote = calculateRefundQuote(order, [], { type: REFUND_TYPES.FULL, method: REFUND_METHODS.ORIGINAL })
+
+    expect(quote.amount).toBe(330)
+    expect(quote.tip).toBe(20)
+    expect(quote.coinsRatio).toBe(1)
+    expect(quote.items).toEqual([
+      { orderItemId: 'paneer', itemName: 'Paneer Tikka', quantity: 3, amount: 210 },
+      { orderItemId: 'naan', itemName: 'Butter Naan', quantity: 3, amount: 100 }
+    ])
+  })
+
+  it('prices part of a line by the share of what was paid for it', () => {
+    const quote = calculateRefundQuote(order, [], { type: REFUND_TYPES.ITEMS, method: REFUND_METHODS.ORIGINAL, quantities: { naan: 1 } })
+
+    expect(quote.amount).toBe(33.33)
+    expect(quote.tip).toBe(0)
+    expect(quote.coinsRatio).toBeCloseTo(100 / 3 / 300)
+  })
+
+  it('gives the last units whatever is left of the line', () => {
+    const refunds = [refund({ amount: 66.66, items: [{ order_item_id: 'naan', quantity: 2, amount: 66.66 }] })]
+    const quote = calculateRefundQuote(order, refunds, { type: REFUND_TYPES.ITEMS, method: REFUND_METHODS.ORIGINAL, quantities: { naan: 5 } })
+
+    expect(quote.items).toEqual([{ orderItemId: 'naan', itemName: 'Butter Naan', quantity: 1, amount: 33.34 }])
+    expect(quote.amount).toBe(33.34)
+  })
+
+  it('caps item refunds with the tip at the remaining balance', () => {
+    const refunds = [refund({ amount: 300 })]
+    const quote = calculateRefundQuote(order, refunds, { type: REFUND_TYPES.ITEMS, method: REFUND_METHODS.ORIGINAL, quantities: { paneer: 3 }, includeTip: true })
+
+    expect(quote.amount).toBe(30)
+    expect(quote.remaining).toBe(30)
+  })
+
+  it('credits goodwill coins at 10 coins a rupee', () => {
+    const quote = calculateRefundQuote(order, [], { type: REFUND_TYPES.GOODWILL, method: REFUND_METHODS.COINS, amount: 12.34 })
+
+    expect(quote.coins).toBe(123)
+    expect(quote.exceedsRemaining).toBe(false)
+  })
+
+  it('flags goodwill money above what is left on the order', () => {
+    const quote = calculateRefundQuote(order, [], { type: REFUND_TYPES.GOODWILL, method: REFUND_METHODS.CASH, amount: 500 })
+
+    expect(quote.coins).toBe(0)
+    expect(quote.exceedsRemaining).toBe(true)
+  })
+})
@@ -0,0 +1,214 @@
+/**
+ * Table reservation rules
+ * Shared by the customer booking modal, the owner's bookings timeline and
+ * tableService.getAvailableTables. The book_table RPC applies the same
+ * window and capacity rules in the database.
+ *
+ * A booking for `reserved_for` blocks its table from (reserved_for - buffer)
+ * to (reserved_for + duration + buffer). Until the guest is seated the table
+ * is only held until hold_until (reserved_for + hold); after that the
+ * booking lapses and is marked as a no-show.
+ */
+
+export const RESERVATION_STATUS = {
+  CONFIRMED: 'confirmed',
+  SEATED: 'seated',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled',
+  NO_SHOW: 'no_show'
+}
+
+export const ACTIVE_RESERVATION_STATUSES = [RESERVATION_STATUS.CONFIRMED, RESERVATION_STATUS.SEATED]
+
+export const RESERVATION_STATUS_LABELS = {
+  confirmed: 'Confirmed',
+  seated: 'Seated',
+  completed: 'Completed',
+  cancelled: 'Cancelled',
+  no_show: 'No-show'
+}
+
+export const DEFAULT_RESERVATION_SETTINGS = {
+  enabled: true,
+  slot_minutes: 30, // Gap between bookable arrival times
+  duration_minutes: 90, // How long a party keeps the table
+  buffer_minutes: 15, // Turnover time before and after each booking
+  hold_minutes: 15, // How late a guest can arrive before the table is released
+  advance_days: 30, // How far ahead customers can book
+  max_party_size: 12
+}
+
+// Used when the restaurant has no opening_hours for the day
+const DEFAULT_OPENING_HOURS = { open: '11:00', close: '23:00' }
+
+const MINUTE = 60 * 1000
+const WEEKDAY_KEYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday']
+
+/**
+ * Merge a restaurant's saved booking rules with the defaults
+ * @param {Object} restaurant - users row (reservation_settings)
+ * @returns {Object}
+ */
+export const getReservationSettings = (restaurant) => {
+  const saved = restaurant?.reservation_settings || {}
+  const settings = { ...DEFAULT_RESERVATION_SETTINGS }
+
+  Object.keys(DEFAULT_RESERVATION_SETTINGS).forEach(key => {
+    if (saved[key] === undefined || saved[key] === null || saved[key] === '') return
+    settings[key] = key === 'enabled' ? Boolean(saved[key]) : parseInt(saved[key]) || 0
+  })
+
+  settings.slot_minutes = Math.max(settings.slot_minutes, 5)
+  settings.duration_minutes = Math.max(settings.duration_minutes, 15)
+  return settings
+}
+
+/**
+ * Time window a booking blocks its table for
+ * @param {Date|string} reservedFor - Arrival time
+ * @param {Object} settings - Reservation settings
+ * @returns {Object} - { blockedFrom, blockedUntil, holdUntil } as Dates
+ */
+export const getBookingWindow = (reservedFor, settings = DEFAULT_RESERVATION_SETTINGS) => {
+  const start = new Date(reservedFor).getTime()
+  return {
+    blockedFrom: new Date(start - settings.buffer_minutes * MINUTE),
+    blockedUntil: new Date(start + (settings.duration_minutes + settings.buffer_minutes) * MINUTE),
+    holdUntil: new Date(start + settings.hold_minutes * MINUTE)
+  }
+}
+
+/**
+ * Whether a confirmed booking's hold has run out (guest never arrived)
+ * @param {Object} reservation - table_reservations row
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+export const isHoldExpired = (reservation, now = new Date()) => {
+  return reservation.status === RESERVATION_STATUS.CONFIRMED && new Date(reservation.hold_until) < now
+}
+
+/**
+ * Whether a booking still counts against its table (active, hold not lapsed)
+ * @param {Object} reservation - table_reservations row or reserved window
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+export const isReservationActive = (reservation, now = new Date()) => {
+  return ACTIVE_RESERVATION_STATUSES.includes(reservation.status) && !isHoldExpired(reservation, now)
+}
+
+/**
+ * Whether a booking makes its table unavailable at a moment in time
+ * @param {Object} reservation - table_reservations row or reserved window
+ * @param {Date} at - Moment to check
+ * @returns {boolean}
+ */
+export const isTableBlockedAt = (reservation, at = new Date()) => {
+  if (!isReservationActive(reservation, at)) return false
+  return new Date(reservation.blocked_from) <= at && at < new Date(reservation.blocked_until)
+}
+
+const rangesOverlap = (fromA, untilA, fromB, untilB) => fromA < untilB && fromB < untilA
+
+/**
+ * Pick the smallest free table that seats the party (same order as book_table)
+ * @param {Array} tables - Active tables ({ id, capacity, table_number })
+ * @param {Array} windows - Reserved windows ({ table_id, blocked_from, blocked_until, hold_until, status })
+ * @param {Date} reservedFor - Arrival time
+ * @param {number} partySize - Guests
+ * @param {Object} settings - Reservation settings
+ * @returns {Object|null} - Table, or null if none is free
+ */
+export const findTableForParty = (tables, windows, reservedFor, partySize, settings = DEFAULT_RESERVATION_SETTINGS) => {
+  const { blockedFrom, blockedUntil } = getBookingWindow(reservedFor, settings)
+  const now = new Date()
+
+  return [...tables]
+    .filter(table => (table.capacity || 0) >= partySize)
+    .sort((a, b) => a.capacity - b.capacity || String(a.table_number).localeCompare(String(b.table_number)))
+    .find(table => !windows.some(window =>
+      window.table_id === table.id &&
+      isReservationActive(window, now) &&
+      rangesOverlap(new Date(window.blocked_from), new Date(window.blocked_until), blockedFrom, blockedUntil)
+    )) || null
+}
+
+/**
+ * Local YYYY-MM-DD key for a date
+ * @param {Date} date - Date
+ * @returns {string}
+ */
+export const toDateKey = (date = new Date()) => {
+  const pad = (value) => String(value).padStart(2, '0')
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+}
+
+/**
+ * Opening hours for a day from users.opening_hours ({ monday: { open, close, closed } })
+ * @param {Object} restaurant - users row
+ * @param {string} dateKey - YYYY-MM-DD
+ * @returns {Object|null} - { open, close } or null when closed
+ */
+export const getOpeningHoursForDate = (restaurant, dateKey) => {
+  const weekday = WEEKDAY_KEYS[new Date(`${dateKey}T00:00`).getDay()]
+  const hours = restaurant?.opening_hours?.[weekday]
+
+  if (!restaurant?.opening_hours || !hours) return DEFAULT_OPENING_HOURS
+  if (hours.closed === true || !hours.open || !hours.close) return null
+  return { open: hours.open, close: hours.close }
+}
+
+/**
+ * Bookable arrival times for a day: from opening until the last slot whose
+ * seating still ends by closing, skipping times already past
+ * @param {Object} restaurant - users row
+ * @param {string} dateKey - YYYY-MM-DD
+ * @param {Object} settings - Reservation settings
+ * @param {Date} now - Current time
+ * @returns {Array<Date>}
+ */
+export const buildTimeSlots = (restaurant, dateKey, settings = DEFAULT_RESERVATION_SETTINGS, now = new Date()) => {
+  const hours = getOpeningHoursForDate(restaurant, dateKey)
+  if (!hours) return []
+
+  const open = new Date(`${dateKey}T${hours.open}`)
+  const close = new Date(`${dateKey}T${hours.close}`)
+  // Closing after midnight (e.g. 11:00 - 01:00)
+  if (close <= open) close.setDate(close.getDate() + 1)
+
+  const lastStart = close.getTime() - settings.duration_minutes * MINUTE
+  const slots = []
+  for (let time = open.getTime(); time <= lastStart; time += settings.slot_minutes * MINUTE) {
+    if (time > now.getTime()) slots.push(new Date(time))
+  }
+  return slots
+}
+
+/**
+ * Format a time for display, e.g. "7:30 pm"
+ * @param {Date|string} date - Date
+ * @returns {string}
+ */
+export const formatReservationTime = (date) => {
+  return new Date(date).toLocaleTimeString('en-IN', { hour: 'numeric', minute: '2-digit' })
+}
+
+/**
+ * Position of a time range on a day timeline, as percentages
+ * @param {Date|string} from - Range start
+ * @param {Date|string} until - Range end
+ * @param {Date} dayStart - Timeline start
+ * @param {Date} dayEnd - Timeline end
+ * @returns {Object} - { left, width } in percent (clamped to the timeline)
+ */
+export const getTimelinePosition = (from, until, dayStart, dayEnd) => {
+  const span = dayEnd.getTime() - dayStart.getTime()
+  const start = Math.max(new Date(from).getTime(), dayStart.getTime())
+  const end = Math.min(new Date(until).getTime(), dayEnd.getTime())
+
+  return {
+    left: ((start - dayStart.getTime()) / span) * 100,
+    width: (Math.max(end - start, 0) / span) * 100
+  }
+}
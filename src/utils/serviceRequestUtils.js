@@ -0,0 +1,96 @@
+/**
+ * Table service requests
+ * Customers ask for water, cutlery, the bill or help from their table; staff
+ * acknowledge (on my way) and resolve (done) them. The time to acknowledge is
+ * the response time shown in StaffPerformance.
+ */
+
+export const SERVICE_REQUEST_TYPES = {
+  WATER: 'water',
+  CUTLERY: 'cutlery',
+  BILL: 'bill',
+  ASSISTANCE: 'assistance'
+}
+
+export const SERVICE_REQUEST_LABELS = {
+  water: { label: 'Water', emoji: '💧', description: 'Refill or a fresh bottle' },
+  cutlery: { label: 'Cutlery', emoji: '🍴', description: 'Spoons, forks, napkins' },
+  bill: { label: 'Bill', emoji: '🧾', description: 'Ready to pay' },
+  assistance: { label: 'Assistance', emoji: '🙋', description: 'Anything else' }
+}
+
+export const SERVICE_REQUEST_STATUS = {
+  PENDING: 'pending',
+  ACKNOWLEDGED: 'acknowledged',
+  RESOLVED: 'resolved',
+  CANCELLED: 'cancelled'
+}
+
+export const OPEN_SERVICE_REQUEST_STATUSES = [SERVICE_REQUEST_STATUS.PENDING, SERVICE_REQUEST_STATUS.ACKNOWLEDGED]
+
+/**
+ * Label and emoji for a request type
+ * @param {string} type - SERVICE_REQUEST_TYPES value
+ * @returns {Object} - { label, emoji, description }
+ */
+export const getServiceRequestLabel = (type) => {
+  return SERVICE_REQUEST_LABELS[type] || SERVICE_REQUEST_LABELS.assistance
+}
+
+/**
+ * Whether staff still need to act on a request
+ * @param {Object} request - service_requests row
+ * @returns {boolean}
+ */
+export const isServiceRequestOpen = (request) => OPEN_SERVICE_REQUEST_STATUSES.includes(request?.status)
+
+/**
+ * Seconds between two timestamps, or null when either is missing
+ * @param {string} from - ISO timestamp
+ * @param {string} to - ISO timestamp
+ * @returns {number|null}
+ */
+const secondsBetween = (from, to) => {
+  if (!from || !to) return null
+  return Math.max(0, Math.round((new Date(to) - new Date(from)) / 1000))
+}
+
+/**
+ * Response and resolution times for a set of requests
+ * @param {Array<Object>} requests - service_requests rows
+ * @returns {Object} - { total, acknowledged, resolved, avgResponseSeconds, avgResolveSeconds, within2Min }
+ */
+export const summarizeServiceResponse = (requests = []) => {
+  const responseTimes = requests
+    .map(request => secondsBetween(request.created_at, request.acknowledged_at))
+    .filter(seconds => seconds !== null)
+  const resolveTimes = requests
+    .map(request => secondsBetween(request.created_at, request.resolved_at))
+    .filter(seconds => seconds !== null)
+  const average = (values) => values.length ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length) : 0
+
+  return {
+    total: requests.length,
+    acknowledged: responseTimes.length,
+    resolved: resolveTimes.length,
+    avgResponseSeconds: average(responseTimes),
+    avgResolveSeconds: average(resolveTimes),
+    // Share of requests answered within two minutes, as a percentage
+    within2Min: responseTimes.length
+      ? Math.round(responseTimes.filter(seconds => seconds <= 120).length / responseTimes.length * 100)
+      : 0
+  }
+}
+
+/**
+ * Short duration for badges and metrics ("45s", "3m 10s")
+ * @param {number} seconds - Duration
+ * @returns {string}
+ */
+export const formatResponseTime = (seconds) => {
+  if (!seconds) return '0s'
+  if (seconds < 60) return `${seconds}s`
+  const minutes = Math.floor(seconds / 60)
+  const rest = seconds % 60
+  return rest ? `${minutes}m ${rest}s` : `${minutes}m`
+}
@@ -0,0 +1,181 @@
+/**
+ * Order SLA timers
+ * Every active order is in one stage with a target time:
+ *  - accept: from assignment (or placing the order) until a staff member accepts
+ *  - prepare: from acceptance until the order is ready
+ *  - serve: from ready until it reaches the table
+ * The sweeper reassigns orders that miss the accept target and escalates the
+ * rest to the owner. Customers get an ETA built from the same targets.
+ */
+
+export const SLA_STAGES = {
+  ACCEPT: 'accept',
+  PREPARE: 'prepare',
+  SERVE: 'serve'
+}
+
+export const SLA_STAGE_LABELS = {
+  accept: { label: 'Accept', description: 'Staff accepts the order' },
+  prepare: { label: 'Prepare', description: 'Order is ready after acceptance' },
+  serve: { label: 'Serve', description: 'Ready order reaches the table' }
+}
+
+export const DEFAULT_SLA_SETTINGS = {
+  accept_minutes: 3,
+  prepare_minutes: 20,
+  serve_minutes: 5,
+  auto_reassign: true // Hand unaccepted orders to someone else instead of only escalating
+}
+
+// A late stage is expected to finish this long from now in the customer ETA
+export const LATE_GRACE_MINUTES = 5
+
+const STAGE_ORDER = [SLA_STAGES.ACCEPT, SLA_STAGES.PREPARE, SLA_STAGES.SERVE]
+
+const STAGE_BY_STATUS = {
+  pending: SLA_STAGES.ACCEPT,
+  assigned: SLA_STAGES.ACCEPT,
+  accepted: SLA_STAGES.PREPARE,
+  confirmed: SLA_STAGES.PREPARE,
+  preparing: SLA_STAGES.PREPARE,
+  ready: SLA_STAGES.SERVE
+}
+
+export const SLA_TRACKED_STATUSES = Object.keys(STAGE_BY_STATUS)
+
+/**
+ * Merge a restaurant's saved targets with the defaults
+ * @param {Object} restaurant - users row (sla_settings)
+ * @returns {Object}
+ */
+export const getSlaSettings = (restaurant) => {
+  const saved = restaurant?.sla_settings || {}
+  const minutes = (key) => {
+    const value = parseInt(saved[key])
+    return value > 0 ? value : DEFAULT_SLA_SETTINGS[key]
+  }
+
+  return {
+    accept_minutes: minutes('accept_minutes'),
+    prepare_minutes: minutes('prepare_minutes'),
+    serve_minutes: minutes('serve_minutes'),
+    auto_reassign: saved.auto_reassign === undefined
+      ? DEFAULT_SLA_SETTINGS.auto_reassign
+      : Boolean(saved.auto_reassign)
+  }
+}
+
+/**
+ * Target for one stage
+ * @param {string} stage - SLA_STAGES value
+ * @param {Object} settings - SLA settings
+ * @returns {number} - Minutes
+ */
+export const getStageMinutes = (stage, settings = DEFAULT_SLA_SETTINGS) => settings[`${stage}_minutes`]
+
+/**
+ * Stage an order is in and when its clock started
+ * @param {Object} order - orders row with stage timestamps
+ * @returns {Object|null} - { stage, startedAt } or null once it's served or cancelled
+ */
+export const getOrderStage = (order) => {
+  const stage = STAGE_BY_STATUS[order?.status]
+  if (!stage) return null
+
+  const startedAt = {
+    accept: order.assigned_at || order.created_at,
+    prepare: order.started_at || order.assigned_at || order.created_at,
+    serve: order.ready_at || order.updated_at || order.created_at
+  }[stage]
+
+  return { stage, startedAt: new Date(startedAt) }
+}
+
+/**
+ * Where an order stands against its current stage target
+ * @param {Object} order - orders row with stage timestamps
+ * @param {Object} settings - SLA settings
+ * @param {Date} now - Current time
+ * @returns {Object|null} - { stage, startedAt, dueAt, minutesLeft, minutesLate, breached }
+ */
+export const getSlaStatus = (order, settings = DEFAULT_SLA_SETTINGS, now = new Date()) => {
+  const current = getOrderStage(order)
+  if (!current) return null
+
+  const dueAt = new Date(current.startedAt.getTime() + getStageMinutes(current.stage, settings) * 60000)
+  const minutesLeft = (dueAt - now) / 60000
+
+  return {
+    ...current,
+    dueAt,
+    minutesLeft: Math.max(0, Math.round(minutesLeft * 10) / 10),
+    minutesLate: Math.max(0, Math.round(-minutesLeft * 10) / 10),
+    breached: minutesLeft < 0
+  }
+}
+
+/**
+ * When the order should reach the table: the current stage's deadline (or a
+ * short grace period once it's late) plus the targets of the stages after it
+ * @param {Object} order - orders row with stage timestamps
+ * @param {Object} settings - SLA settings
+ * @param {Date} now - Current time
+ * @returns {Object|null} - { etaAt, minutes, late, stage } or null once it's served
+ */
+export const estimateServeTime = (order, settings = DEFAULT_SLA_SETTINGS, now = new Date()) => {
+  const status = getSlaStatus(order, settings, now)
+  if (!status) return null
+
+  const stageEnd = status.breached
+    ? new Date(now.getTime() + LATE_GRACE_MINUTES * 60000)
+    : status.dueAt
+  const remainingMinutes = STAGE_ORDER
+    .slice(STAGE_ORDER.indexOf(status.stage) + 1)
+    .reduce((sum, stage) => sum + getStageMinutes(stage, settings), 0)
+  const etaAt = new Date(stageEnd.getTime() + remainingMinutes * 60000)
+
+  return {
+    etaAt,
+    minutes: Math.max(1, Math.ceil((etaAt - now) / 60000)),
+    late: status.breached,
+    stage: status.stage
+  }
+}
+
+/**
+ * Breach counts for the analytics view
+ * @param {Array<Object>} breaches - order_sla_breaches rows
+ * @returns {Object} - { total, reassigned, escalated, byStage: { accept: { count, avgMinutesLate } }, byStaff: [{ staffId, name, count }] }
+ */
+export const summarizeBreaches = (breaches = []) => {
+  const byStage = Object.fromEntries(STAGE_ORDER.map(stage => [stage, { count: 0, avgMinutesLate: 0 }]))
+  const staffCounts = {}
+
+  breaches.forEach(breach => {
+    const stage = byStage[breach.stage]
+    if (stage) {
+      stage.avgMinutesLate += parseFloat(breach.minutes_late || 0)
+      stage.count += 1
+    }
+    if (breach.staff_id) {
+      staffCounts[breach.staff_id] = staffCounts[breach.staff_id] || {
+        staffId: breach.staff_id,
+        name: breach.staff?.full_name || 'Staff member',
+        count: 0
+      }
+      staffCounts[breach.staff_id].count += 1
+    }
+  })
+
+  Object.values(byStage).forEach(stage => {
+    stage.avgMinutesLate = stage.count ? Math.round(stage.avgMinutesLate / stage.count * 10) / 10 : 0
+  })
+
+  return {
+    total: breaches.length,
+    reassigned: breaches.filter(breach => breach.action === 'reassigned').length,
+    escalated: breaches.filter(breach => breach.action === 'escalated').length,
+    byStage,
+    byStaff: Object.values(staffCounts).sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+  }
+}
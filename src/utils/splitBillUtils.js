@@ -0,0 +1,244 @@
+/**
+ * Split bill helpers
+ * Pure calculations behind the customer split-bill flow; SplitBillService
+ * persists the result as one partial payment_transactions row per share.
+ *
+ * All maths is done in paise so the shares always add up to the bill total
+ * exactly - any leftover paisa goes to the first shares.
+ *
+ * A share looks like:
+ *   { index, label, amount, items: [{ id, item_name, quantity, amount }] }
+ */
+
+export const SPLIT_METHODS = {
+  EQUAL: 'equal',     // Same amount for everyone
+  BY_ITEM: 'by_item', // Everyone pays for what they had
+  CUSTOM: 'custom'    // Amounts typed in by the table
+}
+
+export const SPLIT_METHOD_LABELS = {
+  equal: 'Split equally',
+  by_item: 'By item',
+  custom: 'Custom amounts'
+}
+
+export const MIN_SPLIT_SHARES = 2
+export const MAX_SPLIT_SHARES = 20
+
+const toPaise = (amount) => Math.round((parseFloat(amount) || 0) * 100)
+const fromPaise = (paise) => paise / 100
+
+/**
+ * Spread a paise total over weights, handing the rounding remainder to the
+ * first entries so the parts always sum to the total
+ * @param {number} totalPaise - Amount to distribute
+ * @param {Array<number>} weights - Relative weights
+ * @returns {Array<number>} - Parts in paise
+ */
+const distributePaise = (totalPaise, weights) => {
+  const weightSum = weights.reduce((sum, weight) => sum + weight, 0)
+  if (weightSum <= 0) {
+    return distributePaise(totalPaise, weights.map(() => 1))
+  }
+
+  const parts = weights.map(weight => Math.floor((totalPaise * weight) / weightSum))
+  let remainder = totalPaise - parts.reduce((sum, part) => sum + part, 0)
+
+  for (let i = 0; remainder > 0; i = (i + 1) % parts.length) {
+    if (weights[i] > 0) {
+      parts[i] += 1
+      remainder -= 1
+    }
+  }
+
+  return parts
+}
+
+/**
+ * Default label for a share
+ * @param {number} index - Zero-based share index
+ * @returns {string}
+ */
+export const getShareLabel = (index) => `Guest ${index + 1}`
+
+/**
+ * Combine a table session's orders into one bill. Cancelled and already
+ * paid orders are left out.
+ * @param {Array} orders - Orders from UnifiedOrderService.getTableOrderHistory
+ * @returns {Object} - { orders, orderIds, items, itemsTotal, total }
+ */
+export const buildBillSummary = (orders = []) => {
+  const billableOrders = orders.filter(order =>
+    order.status !== 'cancelled' && order.payment_status !== 'completed'
+  )
+
+  const items = billableOrders.flatMap(order =>
+    (order.order_items || []).map(item => ({
+      id: item.id,
+      order_id: order.id,
+      order_number: order.order_number,
+      item_name: item.item_name || item.menu_items?.name,
+      quantity: item.quantity,
+      modifiers: item.modifiers || [],
+      total_price: parseFloat(item.total_price) || 0
+    }))
+  )
+
+  const itemsTotal = fromPaise(items.reduce((sum, item) => sum + toPaise(item.total_price), 0))
+  const total = fromPaise(billableOrders.reduce((sum, order) => sum + toPaise(order.total_amount), 0))
+
+  return {
+    orders: billableOrders,
+    orderIds: billableOrders.map(order => order.id),
+    items,
+    itemsTotal,
+    total
+  }
+}
+
+/**
+ * Split a total into equal shares
+ * @param {number} total - Bill total
+ * @param {number} shareCount - Number of people
+ * @returns {Array<Object>} - Shares
+ */
+export const splitEqually = (total, shareCount) => {
+  const count = Math.max(1, Math.min(MAX_SPLIT_SHARES, parseInt(shareCount) || 1))
+
+  return distributePaise(toPaise(total), Array(count).fill(1)).map((paise, index) => ({
+    index,
+    label: getShareLabel(index),
+    amount: fromPaise(paise),
+    items: []
+  }))
+}
+
+/**
+ * Split by item. Each item is assigned to one or more shares (a shared
+ * starter is divided between everyone it is assigned to). Taxes, fees,
+ * tips and discounts on top of the items are spread in proportion to each
+ * share's item total.
+ * @param {Object} bill - Result of buildBillSummary
+ * @param {Object} assignments - { [orderItemId]: [shareIndex, ...] }
+ * @param {number} shareCount - Number of people
+ * @returns {Array<Object>} - Shares
+ */
+export const splitByItem = (bill, assignments, shareCount) => {
+  const count = Math.max(1, Math.min(MAX_SPLIT_SHARES, parseInt(shareCount) || 1))
+  const itemPaise = Array(count).fill(0)
+  const shareItems = Array.from({ length: count }, () => [])
+
+  bill.items.forEach(item => {
+    const owners = (assignments[item.id] || []).filter(index => index < count)
+    if (owners.length === 0) return
+
+    const parts = distributePaise(toPaise(item.total_price), owners.map(() => 1))
+    owners.forEach((shareIndex, i) => {
+      itemPaise[shareIndex] += parts[i]
+      shareItems[shareIndex].push({
+        id: item.id,
+        item_name: item.item_name,
+        quantity: item.quantity,
+        shared_with: owners.length,
+        amount: fromPaise(parts[i])
+      })
+    })
+  })
+
+  // Whatever the orders add on top of the items (tax, fees, tip, discount)
+  const extrasPaise = toPaise(bill.total) - toPaise(bill.itemsTotal)
+  const extras = extrasPaise >= 0
+    ? distributePaise(extrasPaise, itemPaise)
+    : distributePaise(-extrasPaise, itemPaise).map(part => -part)
+
+  return itemPaise.map((paise, index) => ({
+    index,
+    label: getShareLabel(index),
+    amount: fromPaise(paise + extras[index]),
+    items: shareItems[index]
+  }))
+}
+
+/**
+ * Shares from amounts typed in by the customers
+ * @param {Array<number|string>} amounts - One amount per person
+ * @returns {Array<Object>} - Shares
+ */
+export const splitByCustomAmounts = (amounts = []) => {
+  return amounts.map((amount, index) => ({
+    index,
+    label: getShareLabel(index),
+    amount: fromPaise(toPaise(amount)),
+    items: []
+  }))
+}
+
+/**
+ * Build shares for a split method
+ * @param {Object} bill - Result of buildBillSummary
+ * @param {string} method - One of SPLIT_METHODS
+ * @param {Object} options - { shareCount, assignments, amounts, labels }
+ * @returns {Array<Object>} - Shares
+ */
+export const buildShares = (bill, method, { shareCount = MIN_SPLIT_SHARES, assignments = {}, amounts = [], labels = [] } = {}) => {
+  let shares
+  switch (method) {
+    case SPLIT_METHODS.BY_ITEM:
+      shares = splitByItem(bill, assignments, shareCount)
+      break
+    case SPLIT_METHODS.CUSTOM:
+      shares = splitByCustomAmounts(amounts)
+      break
+    default:
+      shares = splitEqually(bill.total, shareCount)
+  }
+
+  return shares.map(share => ({
+    ...share,
+    label: labels[share.index]?.trim() || share.label
+  }))
+}
+
+/**
+ * Check that a split covers the bill exactly
+ * @param {Object} bill - Result of buildBillSummary
+ * @param {string} method - One of SPLIT_METHODS
+ * @param {Array<Object>} shares - Shares from buildShares
+ * @param {Object} assignments - Item assignments for BY_ITEM
+ * @returns {Object} - { valid, errors, remaining }
+ */
+export const validateSplit = (bill, method, shares, assignments = {}) => {
+  const errors = []
+
+  if (bill.total <= 0) {
+    errors.push('There is nothing left to pay on this table')
+  }
+
+  if (shares.length < MIN_SPLIT_SHARES) {
+    errors.push(`Split between at least ${MIN_SPLIT_SHARES} people`)
+  }
+
+  if (shares.length > MAX_SPLIT_SHARES) {
+    errors.push(`Split between at most ${MAX_SPLIT_SHARES} people`)
+  }
+
+  if (method === SPLIT_METHODS.BY_ITEM) {
+    const unassigned = bill.items.filter(item => !(assignments[item.id] || []).length)
+    if (unassigned.length > 0) {
+      errors.push(`Assign every item - ${unassigned.length} left`)
+    }
+  }
+
+  if (shares.some(share => share.amount <= 0)) {
+    errors.push('Every share must be more than ₹0')
+  }
+
+  const remaining = fromPaise(toPaise(bill.total) - shares.reduce((sum, share) => sum + toPaise(share.amount), 0))
+  if (remaining !== 0) {
+    errors.push(remaining > 0
+      ? `₹${remaining.toFixed(2)} still unassigned`
+      : `Shares exceed the bill by ₹${Math.abs(remaining).toFixed(2)}`)
+  }
+
+  return { valid: errors.length === 0, errors, remaining }
+}
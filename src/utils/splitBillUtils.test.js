@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest'
+import { buildBillSummary, buildShares, splitEqually, validateSplit, SPLIT_METHODS } from './splitBillUtils'
+
+const orders = [
+  {
+    id: 'order-1',
+    order_number: 'ORD-1',
+    status: 'served',
+    payment_status: 'pending',
+    total_amount: 110,
+    order_items: [
+      { id: 'starter', item_name: 'Nachos', quantity: 1, total_price: 60 },
+      { id: 'drink', item_name: 'Lime Soda', quantity: 2, total_price: 40 }
+    ]
+  },
+  { id: 'order-2', status: 'cancelled', payment_status: 'pending', total_amount: 500, order_items: [] },
+  { id: 'order-3', status: 'served', payment_status: 'completed', total_amount: 250, order_items: [] }
+]
+
+describe('buildBillSummary', () => {
+  it('leaves cancelled and paid orders off the bill', () => {
+    const bill = buildBillSummary(orders)
+
+    expect(bill.orderIds).toEqual(['order-1'])
+    expect(bill.itemsTotal).toBe(100)
+    expect(bill.total).toBe(110)
+  })
+})
+
+describe('splitting', () => {
+  const bill = buildBillSummary(orders)
+
+  it('hands leftover paise to the first shares', () => {
+    expect(splitEqually(100, 3).map(share => share.amount)).toEqual([33.34, 33.33, 33.33])
+  })
+
+  it('spreads extras over item shares by their item totals', () => {
+    const assignments = { starter: [0], drink: [0, 1] }
+    const shares = buildShares(bill, SPLIT_METHODS.BY_ITEM, { shareCount: 2, assignments, labels: ['Asha'] })
+
+    expect(shares.map(share => share.amount)).toEqual([88, 22])
+    expect(shares.map(share => share.label)).toEqual(['Asha', 'Guest 2'])
+    expect(validateSplit(bill, SPLIT_METHODS.BY_ITEM, shares, assignments).valid).toBe(true)
+  })
+
+  it('rejects custom amounts that do not cover the bill', () => {
+    const shares = buildShares(bill, SPLIT_METHODS.CUSTOM, { amounts: [50, 50] })
+    const result = validateSplit(bill, SPLIT_METHODS.CUSTOM, shares)
+
+    expect(result.valid).toBe(false)
+    expect(result.remaining).toBe(10)
+  })
+})
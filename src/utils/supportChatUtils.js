@@ -0,0 +1,238 @@
+/**
+ * Support chat matching
+ * Answers customer questions from src/data/chatSupportDataset.json. A
+ * question is scored against every entry's keywords and its own wording,
+ * with small typos forgiven, and the best entry above MIN_ANSWER_SCORE wins.
+ * A few intents are answered from the live session instead of the dataset
+ * (where is my order, call a waiter) - see detectSupportIntent.
+ */
+import { getOrderDisplayNumber } from './orderNumberUtils'
+
+export const SUPPORT_INTENTS = {
+  ORDER_STATUS: 'order_status',
+  CALL_WAITER: 'call_waiter'
+}
+
+export const SUPPORT_REPLY_TYPES = {
+  ANSWER: 'answer',
+  ORDER_STATUS: 'order_status',
+  CALL_WAITER: 'call_waiter',
+  FALLBACK: 'fallback'
+}
+
+// Below this the match is too weak to show as an answer
+export const MIN_ANSWER_SCORE = 3
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'i', 'me', 'my', 'is', 'are', 'am', 'to', 'do', 'does', 'can', 'could',
+  'of', 'for', 'it', 'in', 'on', 'and', 'or', 'you', 'your', 'what', 'please', 'with', 'be',
+  'this', 'that', 'there', 'will', 'would', 'should', 'if', 'at', 'so', 'just', 'any', 'we'
+])
+
+const INTENT_PATTERNS = {
+  [SUPPORT_INTENTS.ORDER_STATUS]: [
+    /\bwhere\b.*\b(order|food|meal|dish)\b/,
+    /\b(order|food|meal)\b.*\b(status|ready|late|coming|taking|long|delayed)\b/,
+    /\btrack(ing)?\b.*\border\b/,
+    /\bhow long\b/,
+    /\border status\b/
+  ],
+  [SUPPORT_INTENTS.CALL_WAITER]: [
+    /\b(call|need|get|want|send)\b.*\b(waiter|staff|server|someone|manager)\b/,
+    /\btalk\b.*\b(human|person|someone|staff|manager)\b/,
+    /\b(waiter|server)\b/
+  ]
+}
+
+/**
+ * Lower-case, strip punctuation and collapse spaces
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+export const normalizeText = (text = '') => {
+  return text.toLowerCase().replace(/[^a-z0-9\s]/g, ' ').replace(/\s+/g, ' ').trim()
+}
+
+/**
+ * Meaningful words of a text
+ * @param {string} text - Raw text
+ * @returns {Array<string>}
+ */
+export const tokenize = (text = '') => {
+  return normalizeText(text).split(' ').filter(word => word && !STOP_WORDS.has(word))
+}
+
+const editDistance = (a, b) => {
+  const row = Array.from({ length: b.length + 1 }, (_, index) => index)
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0]
+    row[0] = i
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j]
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1))
+      previous = current
+    }
+  }
+  return row[b.length]
+}
+
+/**
+ * Whether two words are the same allowing for typos and word endings
+ * ("paymnet" ~ "payment", "refunds" ~ "refund")
+ * @param {string} a - Word
+ * @param {string} b - Word
+ * @returns {boolean}
+ */
+export const wordsMatch = (a, b) => {
+  if (a === b) return true
+  if (a.length < 4 || b.length < 4) return false
+  if (a.startsWith(b) || b.startsWith(a)) return true
+  const allowed = Math.max(a.length, b.length) >= 7 ? 2 : 1
+  return Math.abs(a.length - b.length) <= allowed && editDistance(a, b) <= allowed
+}
+
+/**
+ * Flatten the dataset into searchable entries
+ * @param {Object} dataset - chatSupportDataset.json
+ * @returns {Array<Object>} - [{ id, question, answer, keywords, categoryId, categoryName, icon, questionTokens }]
+ */
+export const buildSupportIndex = (dataset) => {
+  return Object.entries(dataset?.categories || {}).flatMap(([categoryId, category]) =>
+    (category.questions || []).map(entry => ({
+      ...entry,
+      categoryId,
+      categoryName: category.name,
+      icon: category.icon,
+      keywords: (entry.keywords || []).map(normalizeText).filter(Boolean),
+      questionTokens: tokenize(entry.question)
+    }))
+  )
+}
+
+/**
+ * How well an entry answers a question
+ * Whole keyword phrases count most, then keyword words and question words.
+ * @param {Object} entry - Index entry
+ * @param {string} normalizedQuery - normalizeText(question)
+ * @param {Array<string>} queryTokens - tokenize(question)
+ * @returns {number}
+ */
+export const scoreSupportEntry = (entry, normalizedQuery, queryTokens) => {
+  const hasWord = (word) => queryTokens.some(token => wordsMatch(token, word))
+  let score = 0
+
+  entry.keywords.forEach(keyword => {
+    if (` ${normalizedQuery} `.includes(` ${keyword} `)) {
+      score += 2 + keyword.split(' ').length
+      return
+    }
+    const words = tokenize(keyword)
+    const matched = words.filter(hasWord).length
+    if (words.length && matched === words.length) score += 2
+    else score += matched * 0.5
+  })
+
+  score += entry.questionTokens.filter(hasWord).length
+  return score
+}
+
+/**
+ * Best dataset answers for a question
+ * @param {Array<Object>} index - buildSupportIndex result
+ * @param {string} question - Customer's question
+ * @param {number} limit - Matches to return
+ * @returns {Array<Object>} - [{ entry, score }], best first
+ */
+export const findSupportAnswers = (index, question, limit = 3) => {
+  const normalizedQuery = normalizeText(question)
+  const queryTokens = tokenize(question)
+  if (!queryTokens.length) return []
+
+  return index
+    .map(entry => ({ entry, score: scoreSupportEntry(entry, normalizedQuery, queryTokens) }))
+    .filter(match => match.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+}
+
+/**
+ * Intent that needs live data rather than a dataset answer
+ * @param {string} question - Customer's question
+ * @returns {string|null} - SUPPORT_INTENTS value
+ */
+export const detectSupportIntent = (question) => {
+  const text = normalizeText(question)
+  const intent = Object.entries(INTENT_PATTERNS).find(([, patterns]) =>
+    patterns.some(pattern => pattern.test(text))
+  )
+  return intent ? intent[0] : null
+}
+
+/**
+ * Work out the reply to a question (without fetching anything)
+ * @param {Array<Object>} index - buildSupportIndex result
+ * @param {string} question - Customer's question
+ * @param {Object} context - { hasOrder, canCallWaiter }
+ * @returns {Object} - { type, entry, related }
+ */
+export const resolveSupportReply = (index, question, { hasOrder = false, canCallWaiter = false } = {}) => {
+  const intent = detectSupportIntent(question)
+  if (intent === SUPPORT_INTENTS.ORDER_STATUS && hasOrder) return { type: SUPPORT_REPLY_TYPES.ORDER_STATUS }
+  if (intent === SUPPORT_INTENTS.CALL_WAITER && canCallWaiter) return { type: SUPPORT_REPLY_TYPES.CALL_WAITER }
+
+  const [best, ...others] = findSupportAnswers(index, question)
+  if (!best || best.score < MIN_ANSWER_SCORE) {
+    return { type: SUPPORT_REPLY_TYPES.FALLBACK, related: best ? [best.entry] : [] }
+  }
+
+  return {
+    type: SUPPORT_REPLY_TYPES.ANSWER,
+    entry: best.entry,
+    related: others.filter(match => match.score >= MIN_ANSWER_SCORE).map(match => match.entry)
+  }
+}
+
+const STATUS_MESSAGES = {
+  pending: 'has been received and is waiting for the restaurant to confirm it',
+  assigned: 'has been confirmed and handed to our staff',
+  accepted: 'has been accepted by our staff',
+  preparing: 'is being prepared in the kitchen',
+  ready: 'is ready and on its way to your table',
+  served: 'has been served - enjoy your meal!',
+  delivered: 'has been served - enjoy your meal!',
+  completed: 'is complete. Thank you for dining with us!',
+  cancelled: 'was cancelled. Please ask a waiter if this is unexpected.'
+}
+
+/**
+ * Answer "where is my order" from the live order
+ * @param {Object} order - orders row (status, created_at, estimated_preparation_time)
+ * @param {Date} now - Current time
+ * @returns {string}
+ */
+export const describeOrderStatus = (order, now = new Date()) => {
+  const number = getOrderDisplayNumber(order)
+  let message = `Order #${number} ${STATUS_MESSAGES[order.status] || `is ${order.status}`}`
+  if (!message.endsWith('!') && !message.endsWith('.')) message += '.'
+
+  if (['pending', 'assigned', 'accepted', 'preparing'].includes(order.status) && order.estimated_preparation_time && order.created_at) {
+    const readyAt = new Date(order.created_at).getTime() + order.estimated_preparation_time * 60 * 1000
+    const minutesLeft = Math.ceil((readyAt - now.getTime()) / 60000)
+    message += minutesLeft > 0
+      ? ` It should be ready in about ${minutesLeft} min.`
+      : ' It is taking a little longer than expected - you can call a waiter if you need help.'
+  }
+
+  if (order.users?.full_name && !['completed', 'cancelled'].includes(order.status)) {
+    message += ` ${order.users.full_name} is looking after it.`
+  }
+
+  return message
+}
+
+/**
+ * Random pick, e.g. a greeting or fallback line from the dataset
+ * @param {Array<string>} lines - Options
+ * @returns {string}
+ */
+export const pickLine = (lines = []) => lines[Math.floor(Math.random() * lines.length)] || ''
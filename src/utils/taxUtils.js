@@ -0,0 +1,353 @@
+/**
+ * GST tax helpers
+ * Pure calculations behind the cart, checkout and UnifiedOrderService.createOrder
+ * so the customer sees exactly what the order stores.
+ *
+ * A restaurant's tax settings live on its users row (gstin + tax_settings) and
+ * every menu item can carry its own HSN/SAC code and GST slab. GST is kept
+ * apart from the Ordyrr platform fee and the restaurant's service charge:
+ *   - intra-state supply is taxed as CGST + SGST (half the slab each)
+ *   - inter-state supply is taxed as IGST (the full slab)
+ *   - exclusive pricing adds GST on top of menu prices, inclusive pricing
+ *     backs it out of them
+ *
+ * All maths is done in paise so line taxes always add up to the bill totals.
+ */
+
+export const GST_SLABS = [0, 5, 12, 18]
+
+export const SUPPLY_TYPES = {
+  INTRA: 'intra_state', // CGST + SGST
+  INTER: 'inter_state'  // IGST
+}
+
+export const PRICING_MODES = {
+  EXCLUSIVE: 'exclusive', // GST added on top of menu prices
+  INCLUSIVE: 'inclusive'  // Menu prices already include GST
+}
+
+// SAC for restaurant services, used when an item has no HSN/SAC of its own
+export const DEFAULT_SAC_CODE = '996331'
+
+// Ordyrr platform fee - not a tax, reported separately
+export const PLATFORM_FEE_RATE = 0.015
+
+export const DEFAULT_TAX_SETTINGS = {
+  gst_enabled: false,
+  gstin: '',
+  default_gst_rate: 5,
+  supply_type: SUPPLY_TYPES.INTRA,
+  price_mode: PRICING_MODES.EXCLUSIVE,
+  service_charge_rate: 0,
+  platform_fee_rate: PLATFORM_FEE_RATE,
+  default_sac_code: DEFAULT_SAC_CODE
+}
+
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/
+const HSN_SAC_PATTERN = /^\d{4,8}$/
+
+const toPaise = (amount) => Math.round((parseFloat(amount) || 0) * 100)
+const fromPaise = (paise) => paise / 100
+
+/**
+ * Spread a paise total over weights; the rounding remainder goes to the
+ * first entries so the parts always sum to the total
+ * @param {number} totalPaise - Amount to distribute
+ * @param {Array<number>} weights - Relative weights
+ * @returns {Array<number>} - Parts in paise
+ */
+const distributePaise = (totalPaise, weights) => {
+  const weightSum = weights.reduce((sum, weight) => sum + weight, 0)
+  if (totalPaise <= 0 || weightSum <= 0) return weights.map(() => 0)
+
+  const parts = weights.map(weight => Math.floor((totalPaise * weight) / weightSum))
+  let remainder = totalPaise - parts.reduce((sum, part) => sum + part, 0)
+
+  for (let i = 0; remainder > 0; i = (i + 1) % parts.length) {
+    if (weights[i] > 0) {
+      parts[i] += 1
+      remainder -= 1
+    }
+  }
+
+  return parts
+}
+
+/**
+ * Split a tax amount into its CGST/SGST or IGST components
+ * @param {number} taxPaise - Tax in paise
+ * @param {string} supplyType - One of SUPPLY_TYPES
+ * @returns {Object} - { cgst, sgst, igst } in paise
+ */
+const splitTaxPaise = (taxPaise, supplyType) => {
+  if (supplyType === SUPPLY_TYPES.INTER) {
+    return { cgst: 0, sgst: 0, igst: taxPaise }
+  }
+  const cgst = Math.round(taxPaise / 2)
+  return { cgst, sgst: taxPaise - cgst, igst: 0 }
+}
+
+/**
+ * Check a GSTIN's format (15 characters: state code, PAN, entity, Z, checksum)
+ * @param {string} gstin - GSTIN to check
+ * @returns {boolean}
+ */
+export const isValidGstin = (gstin) => GSTIN_PATTERN.test((gstin || '').trim().toUpperCase())
+
+/**
+ * Check an HSN/SAC code (4 to 8 digits)
+ * @param {string} code - HSN or SAC code
+ * @returns {boolean}
+ */
+export const isValidHsnCode = (code) => HSN_SAC_PATTERN.test((code || '').trim())
+
+/**
+ * Resolve a restaurant's tax settings, falling back to the defaults
+ * (GST off, 1.5% platform fee) for restaurants that never configured tax
+ * @param {Object} restaurant - users row of the restaurant owner
+ * @returns {Object} - Tax settings
+ */
+export const getTaxSettings = (restaurant) => {
+  const stored = restaurant?.tax_settings || {}
+  const settings = { ...DEFAULT_TAX_SETTINGS, ...stored }
+
+  settings.gstin = (restaurant?.gstin || stored.gstin || '').trim().toUpperCase()
+  settings.gst_enabled = Boolean(stored.gst_enabled)
+  settings.default_gst_rate = GST_SLABS.includes(Number(settings.default_gst_rate))
+    ? Number(settings.default_gst_rate)
+    : DEFAULT_TAX_SETTINGS.default_gst_rate
+  settings.service_charge_rate = Math.max(0, parseFloat(settings.service_charge_rate) || 0)
+  settings.platform_fee_rate = Math.max(0, parseFloat(settings.platform_fee_rate ?? PLATFORM_FEE_RATE) || 0)
+
+  return settings
+}
+
+/**
+ * Validate tax settings before they are saved
+ * @param {Object} settings - Tax settings from the owner's form
+ * @returns {Object} - { valid, errors }
+ */
+export const validateTaxSettings = (settings) => {
+  const errors = []
+
+  if (settings.gst_enabled && !isValidGstin(settings.gstin)) {
+    errors.push('Enter a valid 15-character GSTIN to charge GST')
+  }
+  if (!GST_SLABS.includes(Number(settings.default_gst_rate))) {
+    errors.push(`Default GST rate must be one of ${GST_SLABS.join('%, ')}%`)
+  }
+  if (!Object.values(SUPPLY_TYPES).includes(settings.supply_type)) {
+    errors.push('Choose intra-state (CGST + SGST) or inter-state (IGST) supply')
+  }
+  if (!Object.values(PRICING_MODES).includes(settings.price_mode)) {
+    errors.push('Choose whether menu prices include GST')
+  }
+  const serviceChargeRate = parseFloat(settings.service_charge_rate) || 0
+  if (serviceChargeRate < 0 || serviceChargeRate > 20) {
+    errors.push('Service charge must be between 0% and 20%')
+  }
+  if (settings.default_sac_code && !isValidHsnCode(settings.default_sac_code)) {
+    errors.push('Default SAC code must be 4 to 8 digits')
+  }
+
+  return { valid: errors.length === 0, errors }
+}
+
+/**
+ * GST slab for a menu item - its own rate, else the restaurant default.
+ * Always 0 while the restaurant does not charge GST.
+ * @param {Object} item - Menu or cart item
+ * @param {Object} settings - Result of getTaxSettings
+ * @returns {number} - Rate in percent
+ */
+export const getItemTaxRate = (item, settings) => {
+  if (!settings?.gst_enabled) return 0
+  const rate = item?.gst_rate
+  if (rate !== null && rate !== undefined && rate !== '' && GST_SLABS.includes(Number(rate))) {
+    return Number(rate)
+  }
+  return settings.default_gst_rate
+}
+
+/**
+ * Tax for one line
+ * @param {number} netPaise - Line amount after discount, in paise
+ * @param {number} rate - GST rate in percent
+ * @param {Object} settings - Result of getTaxSettings
+ * @returns {Object} - { taxable, tax, cgst, sgst, igst } in paise
+ */
+const calculateLineTaxPaise = (netPaise, rate, settings) => {
+  let taxable = netPaise
+  let tax = 0
+
+  if (rate > 0) {
+    if (settings.price_mode === PRICING_MODES.INCLUSIVE) {
+      taxable = Math.round((netPaise * 100) / (100 + rate))
+      tax = netPaise - taxable
+    } else {
+      tax = Math.round((netPaise * rate) / 100)
+    }
+  }
+
+  return { taxable, tax, ...splitTaxPaise(tax, settings.supply_type) }
+}
+
+/**
+ * Calculate a full bill: line-level GST, service charge (taxed at the
+ * default slab), platform fee and tip. Discounts are spread over the lines
+ * in proportion to their value before tax is worked out.
+ *
+ * With GST disabled and no service charge this gives the same total as the
+ * old flat-fee maths: subtotal + platform fee + tip - discount.
+ *
+ * @param {Array} items - Cart items or order lines ({ id, name, price, quantity, hsn_code, gst_rate })
+ * @param {Object} settings - Result of getTaxSettings
+ * @param {Object} options - { discountAmount, tipAmount }
+ * @returns {Object} - { subtotal, discount, taxableValue, lines, taxBreakdown, serviceCharge, platformFee, tip, total }
+ */
+export const calculateBill = (items = [], settings = DEFAULT_TAX_SETTINGS, { discountAmount = 0, tipAmount = 0 } = {}) => {
+  const grossPaise = items.map(item => toPaise(item.price) * (parseInt(item.quantity) || 1))
+  const subtotalPaise = grossPaise.reduce((sum, paise) => sum + paise, 0)
+  const discountPaise = Math.min(Math.max(0, toPaise(discountAmount)), subtotalPaise)
+  const lineDiscounts = distributePaise(discountPaise, grossPaise)
+
+  const slabs = {}
+  const addToSlab = (rate, { taxable, tax, cgst, sgst, igst }) => {
+    const slab = slabs[rate] || (slabs[rate] = { rate, taxable: 0, tax: 0, cgst: 0, sgst: 0, igst: 0 })
+    slab.taxable += taxable
+    slab.tax += tax
+    slab.cgst += cgst
+    slab.sgst += sgst
+    slab.igst += igst
+  }
+
+  const lines = items.map((item, index) => {
+    const rate = getItemTaxRate(item, settings)
+    const netPaise = grossPaise[index] - lineDiscounts[index]
+    const lineTax = calculateLineTaxPaise(netPaise, rate, settings)
+    addToSlab(rate, lineTax)
+
+    return {
+      menu_item_id: item.menu_item_id || item.id,
+      item_name: item.item_name || item.name,
+      hsn_code: item.hsn_code || settings.default_sac_code,
+      gst_rate: rate,
+      quantity: parseInt(item.quantity) || 1,
+      gross_amount: fromPaise(grossPaise[index]),
+      discount_amount: fromPaise(lineDiscounts[index]),
+      taxable_value: fromPaise(lineTax.taxable),
+      tax_amount: fromPaise(lineTax.tax),
+      cgst_amount: fromPaise(lineTax.cgst),
+      sgst_amount: fromPaise(lineTax.sgst),
+      igst_amount: fromPaise(lineTax.igst),
+      total: fromPaise(lineTax.taxable + lineTax.tax)
+    }
+  })
+
+  const taxablePaise = Object.values(slabs).reduce((sum, slab) => sum + slab.taxable, 0)
+  const lineTaxPaise = Object.values(slabs).reduce((sum, slab) => sum + slab.tax, 0)
+
+  // Service charge is a taxable supply at the restaurant's default slab
+  const serviceChargePaise = Math.round((taxablePaise * settings.service_charge_rate) / 100)
+  const serviceRate = getItemTaxRate({}, settings)
+  const serviceTaxPaise = Math.round((serviceChargePaise * serviceRate) / 100)
+  if (serviceChargePaise > 0) {
+    addToSlab(serviceRate, { taxable: serviceChargePaise, tax: serviceTaxPaise, ...splitTaxPaise(serviceTaxPaise, settings.supply_type) })
+  }
+
+  const platformFeePaise = Math.round(subtotalPaise * settings.platform_fee_rate)
+  const tipPaise = Math.max(0, toPaise(tipAmount))
+
+  // Inclusive prices already carry the line GST
+  const addedLineTaxPaise = settings.price_mode === PRICING_MODES.INCLUSIVE ? 0 : lineTaxPaise
+  const totalPaise = subtotalPaise - discountPaise + addedLineTaxPaise +
+    serviceChargePaise + serviceTaxPaise + platformFeePaise + tipPaise
+
+  const bySlab = Object.values(slabs)
+    .filter(slab => slab.rate > 0 && slab.tax > 0)
+    .sort((a, b) => a.rate - b.rate)
+    .map(slab => ({
+      rate: slab.rate,
+      taxable_value: fromPaise(slab.taxable),
+      cgst: fromPaise(slab.cgst),
+      sgst: fromPaise(slab.sgst),
+      igst: fromPaise(slab.igst),
+      tax: fromPaise(slab.tax)
+    }))
+
+  const totalTaxPaise = lineTaxPaise + serviceTaxPaise
+  const { cgst, sgst, igst } = Object.values(slabs).reduce((sum, slab) => ({
+    cgst: sum.cgst + slab.cgst,
+    sgst: sum.sgst + slab.sgst,
+    igst: sum.igst + slab.igst
+  }), { cgst: 0, sgst: 0, igst: 0 })
+
+  return {
+    subtotal: fromPaise(subtotalPaise),
+    discount: fromPaise(discountPaise),
+    taxableValue: fromPaise(taxablePaise),
+    lines,
+    taxBreakdown: {
+      gstin: settings.gstin || null,
+      supply_type: settings.supply_type,
+      price_mode: settings.price_mode,
+      cgst: fromPaise(cgst),
+      sgst: fromPaise(sgst),
+      igst: fromPaise(igst),
+      total: fromPaise(totalTaxPaise),
+      by_slab: bySlab
+    },
+    serviceCharge: {
+      rate: settings.service_charge_rate,
+      amount: fromPaise(serviceChargePaise),
+      tax: fromPaise(serviceTaxPaise)
+    },
+    platformFee: fromPaise(platformFeePaise),
+    tip: fromPaise(tipPaise),
+    total: fromPaise(totalPaise)
+  }
+}
+
+/**
+ * Display lines for a tax breakdown, e.g. "CGST @ 2.5%" / "IGST @ 5%"
+ * @param {Object} taxBreakdown - calculateBill().taxBreakdown or orders.tax_breakdown
+ * @returns {Array<Object>} - [{ label, amount }]
+ */
+export const getTaxLines = (taxBreakdown) => {
+  if (!taxBreakdown?.by_slab?.length) return []
+
+  return taxBreakdown.by_slab.flatMap(slab => {
+    if (taxBreakdown.supply_type === SUPPLY_TYPES.INTER) {
+      return [{ label: `IGST @ ${slab.rate}%`, amount: slab.igst }]
+    }
+    return [
+      { label: `CGST @ ${slab.rate / 2}%`, amount: slab.cgst },
+      { label: `SGST @ ${slab.rate / 2}%`, amount: slab.sgst }
+    ]
+  })
+}
+
+/**
+ * Tax, service charge and platform fee stored on an order. Orders placed
+ * before the tax engine have no platform_fee column value and kept the
+ * platform fee in tax_amount, so that is reported as a fee, not GST.
+ * @param {Object} order - orders row
+ * @returns {Object} - { gst, cgst, sgst, igst, serviceCharge, platformFee }
+ */
+export const getOrderTaxSummary = (order) => {
+  const amount = (value) => parseFloat(value) || 0
+
+  if (order?.platform_fee === null || order?.platform_fee === undefined) {
+    return { gst: 0, cgst: 0, sgst: 0, igst: 0, serviceCharge: 0, platformFee: amount(order?.tax_amount) }
+  }
+
+  const breakdown = order.tax_breakdown || {}
+  return {
+    gst: amount(order.tax_amount),
+    cgst: amount(breakdown.cgst),
+    sgst: amount(breakdown.sgst),
+    igst: amount(breakdown.igst),
+    serviceCharge: amount(order.service_charge),
+    platformFee: amount(order.platform_fee)
+  }
+}
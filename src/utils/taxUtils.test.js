@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest'
+import { calculateBill, DEFAULT_TAX_SETTINGS, PRICING_MODES, SUPPLY_TYPES } from './taxUtils'
+
+const gstSettings = { ...DEFAULT_TAX_SETTINGS, gst_enabled: true, default_gst_rate: 5 }
+
+// calculate_order_bill repeats this maths when the database prices an order
+describe('calculateBill', () => {
+  it('adds the platform fee and tip without GST', () => {
+    const bill = calculateBill([{ id: 'a', price: 100, quantity: 2 }, { id: 'b', price: 50, quantity: 1 }], DEFAULT_TAX_SETTINGS, { tipAmount: 10 })
+
+    expect(bill.subtotal).toBe(250)
+    expect(bill.platformFee).toBe(3.75)
+    expect(bill.taxBreakdown.total).toBe(0)
+    expect(bill.total).toBe(263.75)
+  })
+
+  it('spreads a discount over the lines before adding exclusive GST', () => {
+    const bill = calculateBill([{ id: 'a', price: 100, quantity: 1 }, { id: 'b', price: 200, quantity: 1 }], gstSettings, { discountAmount: 30 })
+
+    expect(bill.lines.map(line => line.discount_amount)).toEqual([10, 20])
+    expect(bill.lines.map(line => line.tax_amount)).toEqual([4.5, 9])
+    expect(bill.taxBreakdown.cgst).toBe(6.75)
+    expect(bill.taxBreakdown.sgst).toBe(6.75)
+    expect(bill.platformFee).toBe(4.5)
+    expect(bill.total).toBe(288)
+  })
+
+  it('backs GST out of inclusive prices', () => {
+    const bill = calculateBill([{ id: 'a', price: 105, quantity: 1 }], { ...gstSettings, price_mode: PRICING_MODES.INCLUSIVE })
+
+    expect(bill.lines[0].taxable_value).toBe(100)
+    expect(bill.lines[0].tax_amount).toBe(5)
+    expect(bill.total).toBe(106.58)
+  })
+
+  it('taxes inter-state supply as IGST', () => {
+    const bill = calculateBill([{ id: 'a', price: 100, quantity: 1, gst_rate: 18 }], { ...gstSettings, supply_type: SUPPLY_TYPES.INTER })
+
+    expect(bill.taxBreakdown.igst).toBe(18)
+    expect(bill.taxBreakdown.cgst).toBe(0)
+    expect(bill.taxBreakdown.by_slab).toEqual([{ rate: 18, taxable_value: 100, cgst: 0, sgst: 0, igst: 18, tax: 18 }])
+  })
+
+  it('taxes the service charge at the default slab', () => {
+    const bill = calculateBill([{ id: 'a', price: 200, quantity: 1 }], { ...gstSettings, service_charge_rate: 10 })
+
+    expect(bill.serviceCharge).toEqual({ rate: 10, amount: 20, tax: 1 })
+    expect(bill.taxBreakdown.total).toBe(11)
+    expect(bill.total).toBe(234)
+  })
+})
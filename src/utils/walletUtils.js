@@ -0,0 +1,290 @@
+/**
+ * Ordyrr Coins wallet and settlement between restaurants
+ * When the super admin turns the wallet on, coins earned at any restaurant
+ * that joined it can be redeemed at any other. A coin redeemed away from the
+ * restaurant that issued it is paid for by the funding rules (platform_settings
+ * 'ordyrr_wallet'): a share from the issuing restaurant, a share from the
+ * platform, and the rest absorbed by the restaurant that redeemed it.
+ */
+import { COINS_PER_RUPEE, LOYALTY_TRANSACTION_TYPES } from './loyaltyUtils'
+import { toDateKey } from './reservationUtils'
+
+export const WALLET_SETTINGS_KEY = 'ordyrr_wallet'
+
+export const DEFAULT_WALLET_SETTINGS = {
+  enabled: false,
+  issuer_share_percent: 100, // Paid by the restaurant that issued the coins
+  platform_share_percent: 0, // Paid by Ordyrr
+  redeemer_share_percent: 0 // Absorbed by the restaurant where they were redeemed
+}
+
+const toPercent = (value, fallback) => {
+  const number = parseFloat(value)
+  return Number.isFinite(number) && number >= 0 && number <= 100 ? number : fallback
+}
+
+const roundMoney = (value) => Math.round(value * 100) / 100
+
+/**
+ * Merge the saved wallet rules with the defaults
+ * @param {Object} value - platform_settings.value of the 'ordyrr_wallet' row
+ * @returns {Object}
+ */
+export const getWalletSettings = (value) => {
+  const saved = value || {}
+  const settings = {
+    enabled: saved.enabled ?? DEFAULT_WALLET_SETTINGS.enabled,
+    issuer_share_percent: toPercent(saved.issuer_share_percent, DEFAULT_WALLET_SETTINGS.issuer_share_percent),
+    platform_share_percent: toPercent(saved.platform_share_percent, DEFAULT_WALLET_SETTINGS.platform_share_percent),
+    redeemer_share_percent: toPercent(saved.redeemer_share_percent, DEFAULT_WALLET_SETTINGS.redeemer_share_percent)
+  }
+
+  // Shares that don't add up fall back to the issuer paying for everything
+  const total = settings.issuer_share_percent + settings.platform_share_percent + settings.redeemer_share_percent
+  return Math.abs(total - 100) < 0.01
+    ? settings
+    : { ...settings, ...DEFAULT_WALLET_SETTINGS, enabled: settings.enabled }
+}
+
+/**
+ * Check wallet rules before they are saved
+ * @param {Object} settings - Wallet settings form
+ * @returns {Object} - { valid, errors }
+ */
+export const validateWalletSettings = (settings) => {
+  const errors = []
+  const shares = [
+    ['Issuing restaurant', settings.issuer_share_percent],
+    ['Platform', settings.platform_share_percent],
+    ['Redeeming restaurant', settings.redeemer_share_percent]
+  ]
+
+  shares.forEach(([label, value]) => {
+    const number = parseFloat(value)
+    if (!(number >= 0 && number <= 100)) {
+      errors.push(`${label} share must be between 0% and 100%`)
+    }
+  })
+
+  const total = shares.reduce((sum, [, value]) => sum + (parseFloat(value) || 0), 0)
+  if (Math.abs(total - 100) >= 0.01) {
+    errors.push(`Shares must add up to 100% (now ${total}%)`)
+  }
+
+  return { valid: errors.length === 0, errors }
+}
+
+/**
+ * Follow a customer's coins from the restaurant that issued them to the
+ * restaurant that redeemed them
+ * Coins are spent oldest first. A debit that points at a credit (clawback,
+ * expiry, reversal of an earning) takes from that credit first. A reversal
+ * of a redemption puts the coins back where they came from and undoes the
+ * redemption's share of the settlement.
+ * @param {Array<Object>} rows - The customer's wallet ledger rows, oldest first
+ * @returns {Array<Object>} - [{ issuerId, redeemerId, coins, at }], coins < 0 for reversals
+ */
+const traceCustomerRedemptions = (rows) => {
+  const lots = []
+  const lotsById = new Map()
+  const allocationsByRedemption = new Map()
+  const movements = []
+
+  const take = (lot, wanted) => {
+    const used = Math.min(lot.remaining, wanted)
+    lot.remaining -= used
+    return used
+  }
+
+  // Oldest coins first; whatever the lots can't cover was already overdrawn
+  const spend = (wanted, first = null) => {
+    const allocations = []
+    let left = wanted
+    if (first) {
+      const used = take(first, left)
+      if (used > 0) allocations.push({ lot: first, coins: used })
+      left -= used
+    }
+    for (const lot of lots) {
+      if (left === 0) break
+      const used = take(lot, left)
+      if (used > 0) allocations.push({ lot, coins: used })
+      left -= used
+    }
+    return allocations
+  }
+
+  rows.forEach(row => {
+    if (row.points > 0) {
+      const redemption = allocationsByRedemption.get(row.reference_id)
+      if (row.transaction_type === LOYALTY_TRANSACTION_TYPES.REVERSAL && redemption) {
+        // Undo the redemption, newest allocation first
+        let left = row.points
+        for (let index = redemption.length - 1; index >= 0 && left > 0; index -= 1) {
+          const allocation = redemption[index]
+          const returned = Math.min(allocation.coins, left)
+          allocation.coins -= returned
+          allocation.lot.remaining += returned
+          left -= returned
+          movements.push({ issuerId: allocation.lot.restaurantId, redeemerId: row.restaurant_id, coins: -returned, at: row.created_at })
+        }
+        return
+      }
+
+      const lot = { id: row.id, restaurantId: row.restaurant_id, remaining: row.points }
+      lots.push(lot)
+      lotsById.set(row.id, lot)
+      return
+    }
+
+    const allocations = spend(-row.points, lotsById.get(row.reference_id) || null)
+    if (row.transaction_type !== LOYALTY_TRANSACTION_TYPES.REDEEMED) return
+
+    allocationsByRedemption.set(row.id, allocations)
+    allocations.forEach(({ lot, coins }) => {
+      movements.push({ issuerId: lot.restaurantId, redeemerId: row.restaurant_id, coins, at: row.created_at })
+    })
+  })
+
+  return movements
+}
+
+/**
+ * Who owes whom for coins redeemed away from the restaurant that issued them
+ * @param {Array<Object>} rows - Wallet ledger rows up to the end of the period (get_wallet_ledger)
+ * @param {Object} options
+ * @param {Date} options.from - Period start
+ * @param {Date} options.until - Period end
+ * @param {Object} options.settings - Wallet rules (getWalletSettings)
+ * @param {Object} options.restaurantNames - { [restaurantId]: name }
+ * @returns {Object} - { from, until, settings, restaurants, flows, totals }
+ */
+export const calculateWalletSettlement = (rows, { from, until, settings, restaurantNames = {} }) => {
+  const byCustomer = (rows || []).reduce((groups, row) => {
+    if (!groups.has(row.customer_id)) groups.set(row.customer_id, [])
+    groups.get(row.customer_id).push(row)
+    return groups
+  }, new Map())
+
+  const start = from.getTime()
+  const end = until.getTime()
+  const flowsByPair = new Map()
+  const restaurants = new Map()
+  let coinsRedeemed = 0
+
+  const restaurantRow = (id) => {
+    if (!restaurants.has(id)) {
+      restaurants.set(id, {
+        restaurantId: id,
+        name: restaurantNames[id] || 'Restaurant',
+        coinsRedeemedHere: 0,
+        coinsFromOthers: 0,
+        coinsSpentElsewhere: 0,
+        owes: 0,
+        owed: 0,
+        net: 0
+      })
+    }
+    return restaurants.get(id)
+  }
+
+  byCustomer.forEach(customerRows => {
+    const ordered = [...customerRows].sort((a, b) =>
+      new Date(a.created_at) - new Date(b.created_at) || String(a.id).localeCompare(String(b.id)))
+
+    traceCustomerRedemptions(ordered).forEach(movement => {
+      const at = new Date(movement.at).getTime()
+      if (at < start || at >= end) return
+
+      coinsRedeemed += movement.coins
+      restaurantRow(movement.redeemerId).coinsRedeemedHere += movement.coins
+      if (movement.issuerId === movement.redeemerId) return
+
+      const key = `${movement.issuerId}:${movement.redeemerId}`
+      if (!flowsByPair.has(key)) {
+        flowsByPair.set(key, { issuerId: movement.issuerId, redeemerId: movement.redeemerId, coins: 0 })
+      }
+      flowsByPair.get(key).coins += movement.coins
+    })
+  })
+
+  const flows = [...flowsByPair.values()]
+    .filter(flow => flow.coins !== 0)
+    .map(flow => {
+      const value = flow.coins / COINS_PER_RUPEE
+      return {
+        ...flow,
+        issuerName: restaurantNames[flow.issuerId] || 'Restaurant',
+        redeemerName: restaurantNames[flow.redeemerId] || 'Restaurant',
+        value: roundMoney(value),
+        issuerAmount: roundMoney(value * settings.issuer_share_percent / 100),
+        platformAmount: roundMoney(value * settings.platform_share_percent / 100),
+        redeemerAmount: roundMoney(value * settings.redeemer_share_percent / 100)
+      }
+    })
+    .sort((a, b) => b.value - a.value)
+
+  flows.forEach(flow => {
+    const issuer = restaurantRow(flow.issuerId)
+    issuer.coinsSpentElsewhere += flow.coins
+    issuer.owes += flow.issuerAmount
+
+    const redeemer = restaurantRow(flow.redeemerId)
+    redeemer.coinsFromOthers += flow.coins
+    redeemer.owed += flow.issuerAmount + flow.platformAmount
+  })
+
+  const restaurantRows = [...restaurants.values()]
+    .map(row => ({ ...row, owes: roundMoney(row.owes), owed: roundMoney(row.owed), net: roundMoney(row.owed - row.owes) }))
+    .sort((a, b) => b.net - a.net || a.name.localeCompare(b.name))
+
+  return {
+    from,
+    until,
+    settings,
+    restaurants: restaurantRows,
+    flows,
+    totals: {
+      coinsRedeemed,
+      crossCoins: flows.reduce((sum, flow) => sum + flow.coins, 0),
+      crossValue: roundMoney(flows.reduce((sum, flow) => sum + flow.value, 0)),
+      restaurantsPay: roundMoney(flows.reduce((sum, flow) => sum + flow.issuerAmount, 0)),
+      platformPays: roundMoney(flows.reduce((sum, flow) => sum + flow.platformAmount, 0)),
+      redeemersAbsorb: roundMoney(flows.reduce((sum, flow) => sum + flow.redeemerAmount, 0))
+    }
+  }
+}
+
+/**
+ * Settlement report as CSV
+ * @param {Object} report - calculateWalletSettlement result
+ * @returns {string}
+ */
+export const walletSettlementToCsv = (report) => {
+  const escape = (value) => {
+    const text = String(value ?? '')
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+  }
+
+  const { settings } = report
+  const lines = [
+    ['Ordyrr Coins wallet settlement'],
+    ['Period', `${toDateKey(report.from)} to ${toDateKey(new Date(report.until.getTime() - 1))}`],
+    ['Funding', `Issuer ${settings.issuer_share_percent}% / Platform ${settings.platform_share_percent}% / Redeemer ${settings.redeemer_share_percent}%`],
+    [],
+    ['Restaurant', 'Coins redeemed here', 'From other restaurants', 'Spent elsewhere', 'Owes', 'Owed', 'Net'],
+    ...report.restaurants.map(row => [
+      row.name, row.coinsRedeemedHere, row.coinsFromOthers, row.coinsSpentElsewhere,
+      row.owes.toFixed(2), row.owed.toFixed(2), row.net.toFixed(2)
+    ]),
+    ['Platform', '', '', '', report.totals.platformPays.toFixed(2), '', (-report.totals.platformPays).toFixed(2)],
+    [],
+    ['Issued by', 'Redeemed at', 'Coins', 'Value', 'Issuer pays', 'Platform pays', 'Redeemer absorbs'],
+    ...report.flows.map(flow => [
+      flow.issuerName, flow.redeemerName, flow.coins, flow.value.toFixed(2),
+      flow.issuerAmount.toFixed(2), flow.platformAmount.toFixed(2), flow.redeemerAmount.toFixed(2)
+    ])
+  ]
+
+  return lines.map(line => line.map(escape).join(',')).join('\n')
+}
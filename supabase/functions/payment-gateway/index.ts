@@ -0,0 +1,802 @@
+// Payment gateway Edge Function
+// Holds the gateway secrets the browser adapters (src/services/payments) must
+// never see, and receives gateway webhooks.
+//
+//   POST { gateway, action, ...body }     called via supabase.functions.invoke
+//     actions: create_order | upi_payment | verify_payment | refund
+//   POST ?webhook=razorpay|stripe         gateway webhook endpoint
+//
+// Charge amounts come from the database, and gateway payments are only
+// marked paid here (verify_payment or a webhook), never by the browser.
+// Browser actions are only taken for the table session an order was placed
+// from (sessionId) or the restaurant's owner and staff.
+//
+// Env: RAZORPAY_KEY_ID, RAZORPAY_KEY_SECRET, RAZORPAY_WEBHOOK_SECRET,
+//      STRIPE_SECRET_KEY, STRIPE_WEBHOOK_SECRET,
+//      SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY
+
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts'
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type'
+}
+
+const env = (key: string) => Deno.env.get(key) || ''
+
+const json = (body: unknown, status = 200) =>
+  new Response(JSON.stringify(body), {
+    status,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+  })
+
+const hmacSha256Hex = async (secret: string, message: string) => {
+  const encoder = new TextEncoder()
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  )
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(message))
+  return Array.from(new Uint8Array(signature))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('')
+}
+
+// Compares two signatures in time that doesn't depend on where they differ
+const timingSafeEqual = (a: string, b: string) => {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false
+  let difference = 0
+  for (let i = 0; i < a.length; i++) {
+    difference |= a.charCodeAt(i) ^ b.charCodeAt(i)
+  }
+  return difference === 0
+}
+
+// Gateway refund status as an order_refunds status. Razorpay answers
+// pending | processed | failed; Stripe pending | requires_action |
+// succeeded | failed | canceled. Anything still in flight stays pending.
+const toRefundStatus = (status: string) => {
+  if (['processed', 'succeeded'].includes(status)) return 'processed'
+  if (['failed', 'canceled'].includes(status)) return 'failed'
+  return 'pending'
+}
+
+// ---------------------------------------------------------------------------
+// Razorpay (also backs the UPI adapter)
+// ---------------------------------------------------------------------------
+
+const razorpayRequest = async (path: string, body?: Record<string, unknown>) => {
+  const response = await fetch(`https://api.razorpay.com/v1${path}`, {
+    method: body ? 'POST' : 'GET',
+    headers: {
+      Authorization: `Basic ${btoa(`${env('RAZORPAY_KEY_ID')}:${env('RAZORPAY_KEY_SECRET')}`)}`,
+      'Content-Type': 'application/json'
+    },
+    body: body ? JSON.stringify(body) : undefined
+  })
+
+  const data = await response.json()
+  if (!response.ok) {
+    throw new Error(data?.error?.description || 'Razorpay request failed')
+  }
+  return data
+}
+
+const razorpay = {
+  create_order: ({ orderId, amount, currency = 'INR' }) =>
+    razorpayRequest('/orders', {
+      amount: Math.round(amount * 100),
+      currency,
+      receipt: orderId,
+      notes: { order_id: orderId }
+    }),
+
+  upi_payment: async ({ gatewayOrderId, amount, flow, vpa, customer = {} }) => {
+    const payment = await razorpayRequest('/payments/create/upi', {
+      amount: Math.round(amount * 100),
+      currency: 'INR',
+      order_id: gatewayOrderId,
+      method: 'upi',
+      email: customer.email || 'guest@ordyrr.app',
+      contact: customer.phone || '',
+      upi: flow === 'collect'
+        ? { flow: 'collect', vpa, expiry_time: 5 }
+        : { flow: 'intent' }
+    })
+
+    return { paymentId: payment.razorpay_payment_id, link: payment.link }
+  },
+
+  verify_payment: async ({ gatewayOrderId, paymentId, signature }) => {
+    if (signature) {
+      if (!env('RAZORPAY_KEY_SECRET')) throw new Error('RAZORPAY_KEY_SECRET is not set')
+      const expected = await hmacSha256Hex(env('RAZORPAY_KEY_SECRET'), `${gatewayOrderId}|${paymentId}`)
+      return timingSafeEqual(expected, signature)
+        ? { verified: true, paymentId }
+        : { verified: false, reason: 'Signature mismatch' }
+    }
+
+    // UPI has no checkout signature - ask Razorpay directly
+    const payment = await razorpayRequest(`/payments/${paymentId}`)
+    const verified = payment.order_id === gatewayOrderId && payment.status === 'captured'
+    return {
+      verified,
+      paymentId,
+      amount: payment.amount / 100,
+      currency: payment.currency,
+      reason: verified ? null : `Payment is ${payment.status}`
+    }
+  },
+
+  refund: async ({ paymentId, amount, refundId, orderId }) => {
+    const refund = await razorpayRequest(`/payments/${paymentId}/refund`, {
+      amount: Math.round(amount * 100),
+      notes: { refund_id: refundId, order_id: orderId }
+    })
+    return { gatewayRefundId: refund.id, status: toRefundStatus(refund.status) }
+  },
+
+  refund_status: async ({ gatewayRefundId }) => {
+    const refund = await razorpayRequest(`/refunds/${gatewayRefundId}`)
+    return { gatewayRefundId: refund.id, status: toRefundStatus(refund.status) }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Stripe
+// ---------------------------------------------------------------------------
+
+const stripeRequest = async (path: string, params?: Record<string, string>) => {
+  const response = await fetch(`https://api.stripe.com/v1${path}`, {
+    method: params ? 'POST' : 'GET',
+    headers: {
+      Authorization: `Bearer ${env('STRIPE_SECRET_KEY')}`,
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    body: params ? new URLSearchParams(params) : undefined
+  })
+
+  const data = await response.json()
+  if (!response.ok) {
+    throw new Error(data?.error?.message || 'Stripe request failed')
+  }
+  return data
+}
+
+const stripe = {
+  create_order: ({ orderId, amount, currency = 'INR', customer = {}, successUrl, cancelUrl }) =>
+    stripeRequest('/checkout/sessions', {
+      mode: 'payment',
+      success_url: successUrl,
+      cancel_url: cancelUrl,
+      client_reference_id: orderId,
+      'metadata[order_id]': orderId,
+      ...(customer.email ? { customer_email: customer.email } : {}),
+      'line_items[0][quantity]': '1',
+      'line_items[0][price_data][currency]': currency.toLowerCase(),
+      'line_items[0][price_data][unit_amount]': String(Math.round(amount * 100)),
+      'line_items[0][price_data][product_data][name]': `Order ${orderId.slice(0, 8)}`
+    }),
+
+  verify_payment: async ({ gatewayOrderId }) => {
+    const session = await stripeRequest(`/checkout/sessions/${gatewayOrderId}`)
+    const verified = session.payment_status === 'paid'
+    return {
+      verified,
+      paymentId: session.payment_intent,
+      amount: (session.amount_total || 0) / 100,
+      currency: session.currency,
+      reason: verified ? null : `Session is ${session.payment_status}`
+    }
+  },
+
+  refund: async ({ paymentId, amount, refundId, orderId }) => {
+    const refund = await stripeRequest('/refunds', {
+      payment_intent: paymentId,
+      amount: String(Math.round(amount * 100)),
+      'metadata[refund_id]': refundId,
+      'metadata[order_id]': orderId
+    })
+    return { gatewayRefundId: refund.id, status: toRefundStatus(refund.status), error: refund.failure_reason }
+  },
+
+  refund_status: async ({ gatewayRefundId }) => {
+    const refund = await stripeRequest(`/refunds/${gatewayRefundId}`)
+    return { gatewayRefundId: refund.id, status: toRefundStatus(refund.status), error: refund.failure_reason }
+  }
+}
+
+const handlers = { razorpay, stripe, upi: razorpay }
+
+// ---------------------------------------------------------------------------
+// Amounts and settlement
+// ---------------------------------------------------------------------------
+
+const serviceClient = () => createClient(env('SUPABASE_URL'), env('SUPABASE_SERVICE_ROLE_KEY'))
+
+// The app only charges in rupees
+const CURRENCY = 'INR'
+
+// What a payment_transactions row may charge, from the database. A whole
+// order pays its total_amount; a split-bill share pays its own amount once
+// the shares are checked to add up to the orders they cover.
+const getChargeAmount = async (supabase, transaction) => {
+  if (!transaction.split_id) {
+    const { data: order } = await supabase
+      .from('orders')
+      .select('total_amount')
+      .eq('id', transaction.order_id)
+      .single()
+    return Number(order.total_amount)
+  }
+
+  const { data: split } = await supabase
+    .from('bill_splits')
+    .select('order_ids')
+    .eq('id', transaction.split_id)
+    .single()
+  const { data: orders } = await supabase
+    .from('orders')
+    .select('total_amount')
+    .in('id', split.order_ids)
+  const { data: shares } = await supabase
+    .from('payment_transactions')
+    .select('amount')
+    .eq('split_id', transaction.split_id)
+
+  const billTotal = orders.reduce((sum, order) => sum + Number(order.total_amount), 0)
+  const sharesTotal = shares.reduce((sum, share) => sum + Number(share.amount), 0)
+  if (Math.abs(billTotal - sharesTotal) >= 0.01 || Number(transaction.amount) <= 0) {
+    throw new Error('Split shares do not add up to the bill')
+  }
+  return Number(transaction.amount)
+}
+
+// Amount and currency a gateway reports against the row's stored charge.
+// Returns a description of the mismatch, or null when they agree.
+const findAmountMismatch = (transaction, { amount, currency }) => {
+  if (amount === undefined || amount === null) return null
+
+  const expectedCurrency = transaction.gateway_response?.currency || CURRENCY
+  if (Math.abs(Number(amount) - Number(transaction.amount)) >= 0.01 ||
+      (currency && currency.toUpperCase() !== expectedCurrency.toUpperCase())) {
+    return { expected: Number(transaction.amount), expectedCurrency, received: Number(amount), receivedCurrency: currency }
+  }
+  return null
+}
+
+// Mark a transaction (and its order, or a fully paid split) paid or failed.
+// Only this function and the webhook path settle gateway payments.
+const settleTransaction = async (supabase, transaction, { succeeded, paymentId, gatewayResponse }) => {
+  const now = new Date().toISOString()
+
+  await supabase
+    .from('payment_transactions')
+    .update({
+      payment_status: succeeded ? 'completed' : 'failed',
+      transaction_id: paymentId,
+      gateway_response: { ...transaction.gateway_response, ...gatewayResponse },
+      ...(succeeded ? { collected_at: now } : {}),
+      updated_at: now
+    })
+    .eq('id', transaction.id)
+
+  if (!transaction.split_id) {
+    await supabase
+      .from('orders')
+      .update({ payment_status: succeeded ? 'completed' : 'failed', updated_at: now })
+      .eq('id', transaction.order_id)
+    return
+  }
+
+  // A failed share can be paid again; the split settles once every share is paid
+  if (!succeeded) return
+
+  const { data: shares } = await supabase
+    .from('payment_transactions')
+    .select('payment_status')
+    .eq('split_id', transaction.split_id)
+  if (shares.some(share => share.payment_status !== 'completed')) return
+
+  const { data: split } = await supabase
+    .from('bill_splits')
+    .update({ status: 'settled', settled_at: now, updated_at: now })
+    .eq('id', transaction.split_id)
+    .eq('status', 'open')
+    .select('order_ids')
+    .maybeSingle()
+
+  if (split?.order_ids?.length) {
+    await supabase
+      .from('orders')
+      .update({ payment_status: 'completed', updated_at: now })
+      .in('id', split.order_ids)
+  }
+}
+
+const TRANSACTION_FIELDS = 'id, order_id, amount, split_id, payment_status, gateway_response'
+
+// Signed-in user behind the request's JWT, or null for anon callers
+const getCaller = async (supabase, req: Request) => {
+  const token = (req.headers.get('authorization') || '').replace('Bearer ', '')
+  if (!token) return null
+  const { data: { user } } = await supabase.auth.getUser(token)
+  return user || null
+}
+
+// QR guests are not signed in, so they prove an order is theirs with the
+// table session it was placed from; the restaurant's owner and staff may
+// take payments for any of its orders
+const canPayForOrder = async (supabase, req: Request, orderId: string, sessionId?: string) => {
+  const { data: order } = await supabase
+    .from('orders')
+    .select('restaurant_id, session_id')
+    .eq('id', orderId)
+    .maybeSingle()
+
+  if (!order) return false
+  if (sessionId && order.session_id && timingSafeEqual(sessionId, order.session_id)) return true
+
+  const user = await getCaller(supabase, req)
+  if (!user) return false
+  if (user.id === order.restaurant_id) return true
+
+  const { data: staff } = await supabase
+    .from('users')
+    .select('id')
+    .eq('id', user.id)
+    .eq('role', 'staff')
+    .eq('restaurant_id', order.restaurant_id)
+    .maybeSingle()
+  return !!staff
+}
+
+const NOT_YOUR_ORDER = 'You can only pay for orders from your table'
+
+// Registers the charge with the gateway. The amount comes from the
+// database, never from the browser.
+const handleCreateOrder = async (gateway: string, body, req: Request) => {
+  const supabase = serviceClient()
+  const { orderId, paymentRecordId = null, sessionId, ...options } = body
+
+  if (!await canPayForOrder(supabase, req, orderId, sessionId)) {
+    return json({ error: NOT_YOUR_ORDER }, 403)
+  }
+
+  let query = supabase.from('payment_transactions').select(TRANSACTION_FIELDS)
+  query = paymentRecordId
+    ? query.eq('id', paymentRecordId)
+    : query.eq('order_id', orderId).eq('payment_status', 'processing').is('split_id', null)
+      .order('created_at', { ascending: false }).limit(1)
+  const { data: transaction } = await query.maybeSingle()
+
+  if (!transaction || transaction.order_id !== orderId || transaction.payment_status === 'completed') {
+    return json({ error: 'No payment is waiting for this order' }, 404)
+  }
+
+  const amount = await getChargeAmount(supabase, transaction)
+  // Any amount or currency the browser sent is overwritten here
+  const gatewayOrder = await handlers[gateway].create_order({ ...options, orderId, amount, currency: CURRENCY })
+
+  await supabase
+    .from('payment_transactions')
+    .update({
+      amount,
+      gateway,
+      gateway_order_id: gatewayOrder.id,
+      gateway_response: { ...transaction.gateway_response, gateway, gatewayOrderId: gatewayOrder.id, amount, currency: CURRENCY },
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', transaction.id)
+
+  return json({ id: gatewayOrder.id, url: gatewayOrder.url, amount, currency: CURRENCY })
+}
+
+// UPI payments are raised for the amount registered on the gateway order
+const handleUpiPayment = async (gateway: string, body, req: Request) => {
+  const supabase = serviceClient()
+  const { sessionId, ...payment } = body
+  const { data: transaction } = await supabase
+    .from('payment_transactions')
+    .select(TRANSACTION_FIELDS)
+    .eq('gateway_order_id', payment.gatewayOrderId)
+    .maybeSingle()
+
+  if (!transaction) {
+    return json({ error: 'Unknown gateway order' }, 404)
+  }
+  if (!await canPayForOrder(supabase, req, transaction.order_id, sessionId)) {
+    return json({ error: NOT_YOUR_ORDER }, 403)
+  }
+
+  return json(await handlers[gateway].upi_payment({ ...payment, amount: Number(transaction.amount) }))
+}
+
+// Verifies a checkout with the gateway and settles the transaction here, so
+// the browser never marks a gateway payment paid itself
+const handleVerifyPayment = async (gateway: string, body, req: Request) => {
+  const supabase = serviceClient()
+  const { sessionId, ...payment } = body
+  const { data: transaction } = await supabase
+    .from('payment_transactions')
+    .select(TRANSACTION_FIELDS)
+    .eq('gateway_order_id', payment.gatewayOrderId)
+    .maybeSingle()
+
+  if (!transaction) {
+    return json({ error: 'Unknown gateway order' }, 404)
+  }
+  if (!await canPayForOrder(supabase, req, transaction.order_id, sessionId)) {
+    return json({ error: NOT_YOUR_ORDER }, 403)
+  }
+  if (transaction.payment_status === 'completed') {
+    return json({ verified: true, paymentId: payment.paymentId, duplicate: true })
+  }
+
+  const result = await handlers[gateway].verify_payment(payment)
+  if (!result.verified) {
+    return json(result)
+  }
+
+  const mismatch = findAmountMismatch(transaction, result)
+  await settleTransaction(supabase, transaction, {
+    succeeded: !mismatch,
+    paymentId: result.paymentId,
+    gatewayResponse: mismatch
+      ? { gateway, paymentId: result.paymentId, source: 'verify_payment', amount_mismatch: mismatch, error: 'Paid amount does not match the order' }
+      : { gateway, paymentId: result.paymentId, source: 'verify_payment', verified: true, verifiedAt: new Date().toISOString() }
+  })
+
+  return json(mismatch
+    ? { verified: false, settled: true, paymentId: result.paymentId, reason: 'Paid amount does not match the order' }
+    : { ...result, settled: true })
+}
+
+// ---------------------------------------------------------------------------
+// Webhooks
+// ---------------------------------------------------------------------------
+
+// Stripe's default: older signed payloads are treated as replays
+const STRIPE_SIGNATURE_TOLERANCE_SECONDS = 300
+
+// Stripe-Signature: t=<timestamp>,v1=<sig>[,v1=<sig>...] - one v1 per
+// active secret while a secret is being rolled
+const verifyStripeSignature = async (rawBody: string, header: string) => {
+  const parts = header.split(',').map(part => part.trim().split('='))
+  const timestamp = Number(parts.find(([key]) => key === 't')?.[1])
+  const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value)
+
+  if (!Number.isFinite(timestamp) || signatures.length === 0) return false
+  if (Math.abs(Date.now() / 1000 - timestamp) > STRIPE_SIGNATURE_TOLERANCE_SECONDS) return false
+
+  const expected = await hmacSha256Hex(env('STRIPE_WEBHOOK_SECRET'), `${timestamp}.${rawBody}`)
+  return signatures.some(signature => timingSafeEqual(signature, expected))
+}
+
+const verifyRazorpaySignature = async (rawBody: string, signature: string) =>
+  timingSafeEqual(await hmacSha256Hex(env('RAZORPAY_WEBHOOK_SECRET'), rawBody), signature)
+
+const WEBHOOK_SECRETS = { razorpay: 'RAZORPAY_WEBHOOK_SECRET', stripe: 'STRIPE_WEBHOOK_SECRET' }
+
+// Same mapping as parseRazorpayWebhook / StripeAdapter.parseWebhookEvent
+const parseWebhook = (gateway: string, payload: any) => {
+  if (gateway === 'stripe') {
+    // Refund objects carry the order_refunds id in metadata.refund_id
+    if (['refund.updated', 'refund.failed', 'charge.refund.updated'].includes(payload.type)) {
+      const refund = payload?.data?.object
+      const status = toRefundStatus(refund?.status)
+      return status === 'pending'
+        ? { type: 'ignored' }
+        : { type: `refund.${status}`, gatewayRefundId: refund.id, refundId: refund.metadata?.refund_id, error: refund.failure_reason }
+    }
+
+    const session = payload?.data?.object
+    if (['checkout.session.completed', 'checkout.session.async_payment_succeeded'].includes(payload.type)) {
+      return session?.payment_status === 'paid'
+        ? {
+            type: 'payment.succeeded',
+            gatewayOrderId: session.id,
+            paymentId: session.payment_intent,
+            amount: (session.amount_total || 0) / 100,
+            currency: session.currency
+          }
+        : { type: 'ignored' }
+    }
+    if (['checkout.session.async_payment_failed', 'checkout.session.expired'].includes(payload.type)) {
+      return { type: 'payment.failed', gatewayOrderId: session?.id, paymentId: session?.payment_intent, error: 'Payment failed' }
+    }
+    return { type: 'ignored' }
+  }
+
+  // Refund entities carry the order_refunds id in notes.refund_id
+  if (['refund.processed', 'refund.failed'].includes(payload.event)) {
+    const refund = payload?.payload?.refund?.entity
+    return {
+      type: payload.event,
+      gatewayRefundId: refund?.id,
+      refundId: refund?.notes?.refund_id,
+      error: payload.event === 'refund.failed' ? 'Gateway refund failed' : null
+    }
+  }
+
+  const payment = payload?.payload?.payment?.entity
+  if (['payment.captured', 'order.paid'].includes(payload.event)) {
+    return {
+      type: 'payment.succeeded',
+      gatewayOrderId: payment?.order_id,
+      paymentId: payment?.id,
+      amount: (payment?.amount || 0) / 100,
+      currency: payment?.currency
+    }
+  }
+  if (payload.event === 'payment.failed') {
+    return { type: 'payment.failed', gatewayOrderId: payment?.order_id, paymentId: payment?.id, error: payment?.error_description || 'Payment failed' }
+  }
+  return { type: 'ignored' }
+}
+
+const handleWebhook = async (gateway: string, req: Request) => {
+  // Anyone can sign with an empty key, so no secret means no webhooks
+  const secretName = WEBHOOK_SECRETS[gateway]
+  if (!secretName) {
+    return json({ error: `Unsupported webhook ${gateway}` }, 400)
+  }
+  if (!env(secretName)) {
+    console.error(`❌ ${secretName} is not set - refusing ${gateway} webhooks`)
+    return json({ error: 'Webhook secret is not configured' }, 503)
+  }
+
+  const rawBody = await req.text()
+
+  const validSignature = gateway === 'stripe'
+    ? await verifyStripeSignature(rawBody, req.headers.get('stripe-signature') || '')
+    : await verifyRazorpaySignature(rawBody, req.headers.get('x-razorpay-signature') || '')
+
+  if (!validSignature) {
+    return json({ error: 'Invalid signature' }, 401)
+  }
+
+  const event = parseWebhook(gateway, JSON.parse(rawBody))
+  if (event.type === 'ignored') {
+    return json({ received: true, ignored: true })
+  }
+
+  const supabase = serviceClient()
+
+  if (event.type.startsWith('refund.')) {
+    return await handleRefundWebhook(supabase, gateway, event)
+  }
+
+  const { data: transaction } = await supabase
+    .from('payment_transactions')
+    .select(TRANSACTION_FIELDS)
+    .eq('gateway_order_id', event.gatewayOrderId)
+    .maybeSingle()
+
+  // Unknown or already settled - acknowledge so the gateway stops retrying
+  if (!transaction || transaction.payment_status === 'completed') {
+    return json({ received: true, duplicate: !!transaction })
+  }
+
+  // A capture for a different amount or currency than was registered is
+  // not accepted as payment; the flag tells the owner to look at it
+  const mismatch = event.type === 'payment.succeeded' ? findAmountMismatch(transaction, event) : null
+  if (mismatch) {
+    console.error('❌ Webhook amount mismatch:', event.gatewayOrderId, mismatch)
+  }
+
+  await settleTransaction(supabase, transaction, {
+    succeeded: event.type === 'payment.succeeded' && !mismatch,
+    paymentId: event.paymentId,
+    gatewayResponse: {
+      ...event,
+      gateway,
+      source: 'webhook',
+      ...(mismatch ? { amount_mismatch: mismatch, error: 'Paid amount does not match the order' } : {})
+    }
+  })
+
+  return json({ received: true, ...(mismatch ? { flagged: 'amount_mismatch' } : {}) })
+}
+
+// ---------------------------------------------------------------------------
+// Refunds
+// ---------------------------------------------------------------------------
+
+// Settle an order_refunds row from what the gateway reported. A refund the
+// gateway is still working on keeps its gateway refund id and stays pending;
+// the refund webhook (or a later status check) settles it.
+const applyRefundResult = async (supabase, refund, gateway: string, result) => {
+  if (result.status === 'pending') {
+    const { data: updated, error } = await supabase
+      .from('order_refunds')
+      .update({
+        gateway_refund_id: result.gatewayRefundId,
+        gateway_response: { ...refund.gateway_response, ...result, gateway }
+      })
+      .eq('id', refund.id)
+      .eq('status', 'pending')
+      .select('*')
+      .maybeSingle()
+    if (error) throw error
+    return updated || refund
+  }
+
+  const { data: settled, error } = await supabase.rpc('complete_order_refund', {
+    p_refund_id: refund.id,
+    p_status: result.status,
+    p_gateway_refund_id: result.gatewayRefundId || null,
+    p_gateway_response: { ...result, gateway },
+    p_error: result.status === 'failed' ? result.error || 'Gateway refund failed' : null
+  })
+  if (error) throw error
+  return settled
+}
+
+// Undo the refunded share of an order's coins once the money is back.
+// Same ledger rows and idempotency keys as LoyaltyService.reverseOrderPoints,
+// so whichever of this function or the owner's browser runs first wins.
+const reverseRefundCoins = async (supabase, refund) => {
+  const ratio = Math.min(Math.max(Number(refund.coins_ratio) || 0, 0), 1)
+  if (refund.status !== 'processed' || refund.method === 'coins' || ratio === 0) return
+
+  const { data: rows } = await supabase
+    .from('loyalty_transactions')
+    .select('id, customer_id, transaction_type, points')
+    .eq('restaurant_id', refund.restaurant_id)
+    .eq('order_id', refund.order_id)
+    .in('transaction_type', ['earned', 'redeemed'])
+  if (!rows?.length) return
+
+  const { data: order } = await supabase
+    .from('orders')
+    .select('display_number, order_number')
+    .eq('id', refund.order_id)
+    .single()
+  const { data: undone } = await supabase
+    .from('loyalty_transactions')
+    .select('reference_id, points')
+    .eq('restaurant_id', refund.restaurant_id)
+    .in('reference_id', rows.map(row => row.id))
+
+  for (const row of rows) {
+    const already = (undone || [])
+      .filter(entry => entry.reference_id === row.id)
+      .reduce((sum, entry) => sum + Math.abs(entry.points), 0)
+    const points = Math.min(Math.round(Math.abs(row.points) * ratio), Math.max(Math.abs(row.points) - already, 0))
+    if (points === 0) continue
+
+    const earned = row.transaction_type === 'earned'
+    const { error } = await supabase.rpc('post_loyalty_transaction', {
+      p_restaurant_id: refund.restaurant_id,
+      p_customer_id: row.customer_id,
+      p_type: earned ? 'refund_clawback' : 'reversal',
+      p_points: earned ? -points : points,
+      p_order_id: refund.order_id,
+      p_description: `Refund on order #${order.display_number || order.order_number}`,
+      p_idempotency_key: `refund:${refund.id}:${earned ? 'earn' : 'redeem'}`,
+      p_reference_id: row.id
+    })
+    if (error) throw error
+  }
+}
+
+// Pays a pending order_refunds row back to its payment. Amount and payment
+// come from the database, and only the restaurant owner may trigger it. A
+// row the gateway already took (gateway_refund_id set) is not refunded
+// again; its status is asked for instead.
+const handleRefund = async (gateway: string, refundId: string, req: Request) => {
+  const supabase = serviceClient()
+  const user = await getCaller(supabase, req)
+
+  const { data: refund } = await supabase
+    .from('order_refunds')
+    .select('*, payment_transactions(transaction_id, gateway_response)')
+    .eq('id', refundId)
+    .maybeSingle()
+
+  if (!refund || !user || refund.restaurant_id !== user.id) {
+    return json({ error: 'Refund not found' }, 404)
+  }
+  if (refund.gateway !== gateway || !handlers[gateway]?.refund) {
+    return json({ error: `Unsupported action ${gateway}/refund` }, 400)
+  }
+  if (refund.status !== 'pending') {
+    return json(refund)
+  }
+
+  const transaction = refund.payment_transactions || {}
+  let result
+  try {
+    result = refund.gateway_refund_id
+      ? await handlers[gateway].refund_status({ gatewayRefundId: refund.gateway_refund_id })
+      : await handlers[gateway].refund({
+        paymentId: transaction.transaction_id || transaction.gateway_response?.paymentId,
+        amount: Number(refund.amount),
+        refundId: refund.id,
+        orderId: refund.order_id
+      })
+  } catch (error) {
+    console.error('❌ Gateway refund failed:', error)
+    // A status check that fails says nothing about the refund itself
+    if (refund.gateway_refund_id) {
+      return json({ ...refund, error: error.message })
+    }
+    result = { status: 'failed', error: error.message }
+  }
+
+  const { payment_transactions: _transaction, ...row } = refund
+  return json(await applyRefundResult(supabase, row, gateway, result))
+}
+
+// refund.processed / refund.failed from the gateway settles the pending row
+const handleRefundWebhook = async (supabase, gateway: string, event) => {
+  let query = supabase.from('order_refunds').select('*').eq('gateway', gateway)
+  query = event.refundId
+    ? query.eq('id', event.refundId)
+    : query.eq('gateway_refund_id', event.gatewayRefundId)
+  const { data: refund } = await query.maybeSingle()
+
+  // Unknown, someone else's gateway refund, or already settled - acknowledge
+  if (!refund || (refund.gateway_refund_id && refund.gateway_refund_id !== event.gatewayRefundId) ||
+      refund.status !== 'pending') {
+    return json({ received: true, duplicate: !!refund })
+  }
+
+  const settled = await applyRefundResult(supabase, refund, gateway, {
+    gatewayRefundId: event.gatewayRefundId,
+    status: event.type === 'refund.processed' ? 'processed' : 'failed',
+    error: event.error,
+    source: 'webhook'
+  })
+
+  try {
+    await reverseRefundCoins(supabase, settled)
+  } catch (error) {
+    // The refund stands; reconciliation picks up coins that weren't undone
+    console.error('❌ Error reversing coins for refund:', error)
+  }
+
+  return json({ received: true })
+}
+
+// ---------------------------------------------------------------------------
+
+// Browser actions; refunds are routed separately (owner only)
+const actions = {
+  create_order: handleCreateOrder,
+  upi_payment: handleUpiPayment,
+  verify_payment: handleVerifyPayment
+}
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  try {
+    const webhookGateway = new URL(req.url).searchParams.get('webhook')
+    if (webhookGateway) {
+      return await handleWebhook(webhookGateway, req)
+    }
+
+    const { gateway, action, ...body } = await req.json()
+    if (action === 'refund') {
+      return await handleRefund(gateway, body.refundId, req)
+    }
+
+    const handleAction = actions[action]
+    if (!handleAction || !handlers[gateway]?.[action]) {
+      return json({ error: `Unsupported action ${gateway}/${action}` }, 400)
+    }
+
+    return await handleAction(gateway, body, req)
+  } catch (error) {
+    console.error('❌ payment-gateway error:', error)
+    return json({ error: error.message }, 500)
+  }
+})
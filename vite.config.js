@@ -1,15 +1,23 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Changes with every build; public/sw.js names its caches after it
+const BUILD_ID = Date.now().toString(36)
+
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  define: {
+    __BUILD_ID__: JSON.stringify(BUILD_ID)
+  },
   server: {
     host: true,
     port: 3000
   },
   build: {
     outDir: 'dist',
-    sourcemap: true
+    sourcemap: true,
+    // Read by public/sw.js to precache the build
+    manifest: 'asset-manifest.json'
   }
 })